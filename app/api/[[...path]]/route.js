@@ -1,4 +1,4 @@
-import { createHash } from 'crypto'
+import { createHash, randomBytes } from 'crypto'
 import { MongoClient } from 'mongodb'
 import { v4 as uuidv4 } from 'uuid'
 import { NextResponse } from 'next/server'
@@ -9,9 +9,15 @@ import { validateStageAction } from '@/lib/trips/validateStageAction.js'
 import { getVotingStatus } from '@/lib/trips/getVotingStatus.js'
 import { ITINERARY_CONFIG, SCHEDULING_CONFIG } from '@/lib/itinerary/config.js'
 import { isLateJoinerForTrip } from '@/lib/trips/isLateJoiner.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
 import { generateICS } from '@/lib/trips/generateICS.js'
 import { checkRateLimit, getTierForRoute } from '@/lib/server/rateLimit.js'
 import { ensureCoreIndexes } from '@/lib/server/ensureCoreIndexes'
+import { getTripBaseCurrency, isValidCurrencyCode } from '@/lib/expenses/currency.js'
+import { isValidTimeZone } from '@/lib/trips/tripTimezone.js'
+import { buildBriefExpensesSummary } from '@/lib/expenses/expenseBreakdown.js'
+import { collectReceiptUrls } from '@/lib/expenses/receipts.js'
+import { deleteReceiptFiles } from '@/lib/expenses/receiptStorage.js'
 
 // Event instrumentation (data moat)
 import {
@@ -120,50 +126,6 @@ function generateInviteCode() {
   return Math.random().toString(36).substring(2, 8).toUpperCase()
 }
 
-// Helper: Check if user is an active traveler for a trip
-async function isActiveTraveler(db, trip, userId) {
-  if (!trip || !userId) return false
-
-  // Get all participants
-  const allParticipants = await db.collection('trip_participants')
-    .find({ tripId: trip.id })
-    .toArray()
-
-  if (trip.type === 'collaborative') {
-    // For collaborative trips: user must be circle member AND not have left/removed status
-    const circleMembership = await db.collection('memberships').findOne({
-      userId,
-      circleId: trip.circleId,
-      status: { $ne: 'left' }
-    })
-
-    if (!circleMembership) return false
-
-    // Check explicit participant record
-    const participant = allParticipants.find(p => p.userId === userId)
-    if (participant) {
-      const status = participant.status || 'active'
-      // Explicit 'active' record (approved join request or grandfathered backfill)
-      if (status === 'active') return true
-      // Left or removed
-      return false
-    }
-
-    // No participant record: check if late joiner
-    if (isLateJoinerForTrip(circleMembership, trip)) return false
-
-    // Original member (joined circle before trip was created)
-    return true
-  } else {
-    // Hosted trips: user must have active participant record
-    const participant = allParticipants.find(p => p.userId === userId)
-    if (!participant) return false
-
-    const status = participant.status || 'active'
-    return status === 'active'
-  }
-}
-
 // Privacy helper: Get user privacy with defaults applied
 function getUserPrivacyWithDefaults(userDoc) {
   if (!userDoc) return null
@@ -1191,6 +1153,13 @@ async function handleRoute(request, { params }) {
         ))
       }
 
+      if (body.destinationTimeZone && !isValidTimeZone(body.destinationTimeZone)) {
+        return handleCORS(NextResponse.json(
+          { error: 'Time zone must be an IANA name like Europe/Lisbon' },
+          { status: 400 }
+        ))
+      }
+
       // Scheduling mode: collaborative trips use 'date_windows' mode (free-form text, caps, overlap)
       // Legacy trips without schedulingMode use top3_heatmap flow
       const schedulingMode = type === 'hosted' ? null : (body.schedulingMode || 'date_windows')
@@ -1235,6 +1204,8 @@ async function handleRoute(request, { params }) {
         // Itinerary
         itineraryStatus: isHosted ? 'collecting_ideas' : null,
         destinationHint: body.destinationHint?.trim() || null,
+        // IANA zone for itinerary times, calendar export and countdowns
+        destinationTimeZone: body.destinationTimeZone || null,
         createdBy: auth.user.id,
         createdAt: new Date().toISOString()
       }
@@ -1658,9 +1629,9 @@ async function handleRoute(request, { params }) {
         if (body.endDate !== undefined) updateFields.endDate = body.endDate
         if (body.duration !== undefined) updateFields.duration = parseInt(body.duration)
       } else {
-        // If trip is locked, only allow editing destinationHint
+        // If trip is locked, only allow editing destinationHint (plus the base currency and time zone)
         const onlyDestinationHint = Object.keys(body).every(key => key === 'destinationHint' || key === 'destinationHint' || Object.keys(updateFields).length === 0)
-        if (!onlyDestinationHint && Object.keys(body).some(key => key !== 'destinationHint')) {
+        if (!onlyDestinationHint && Object.keys(body).some(key => !['destinationHint', 'currency', 'destinationTimeZone'].includes(key))) {
           return handleCORS(NextResponse.json(
             { error: 'Cannot edit trip details when trip is locked. Only destination hint can be updated.' },
             { status: 400 }
@@ -1668,6 +1639,80 @@ async function handleRoute(request, { params }) {
         }
       }
 
+      // Base currency for expenses/settle up — money keeps moving after dates lock
+      if (body.currency !== undefined) {
+        if (!isValidCurrencyCode(body.currency)) {
+          return handleCORS(NextResponse.json(
+            { error: 'Currency must be a 3-letter code like USD' },
+            { status: 400 }
+          ))
+        }
+        updateFields.currency = body.currency
+      }
+
+      // Destination time zone — itinerary times and the calendar export follow it
+      if (body.destinationTimeZone !== undefined) {
+        if (body.destinationTimeZone !== null && !isValidTimeZone(body.destinationTimeZone)) {
+          return handleCORS(NextResponse.json(
+            { error: 'Time zone must be an IANA name like Europe/Lisbon' },
+            { status: 400 }
+          ))
+        }
+        updateFields.destinationTimeZone = body.destinationTimeZone
+      }
+
+      // Must-attend travelers — scheduling won't treat dates as ready without them
+      if (canEditOtherFields && body.requiredTravelerIds !== undefined) {
+        const requiredIds = body.requiredTravelerIds
+        if (!Array.isArray(requiredIds) || requiredIds.some(id => typeof id !== 'string')) {
+          return handleCORS(NextResponse.json(
+            { error: 'requiredTravelerIds must be a list of user IDs' },
+            { status: 400 }
+          ))
+        }
+        const uniqueIds = [...new Set(requiredIds)]
+        for (const userId of uniqueIds) {
+          if (!(await isActiveTraveler(db, trip, userId))) {
+            return handleCORS(NextResponse.json(
+              { error: 'Only active travelers can be marked as must-attend' },
+              { status: 400 }
+            ))
+          }
+        }
+        updateFields.requiredTravelerIds = uniqueIds
+      }
+
+      // Scheduling deadlines — the hourly cron moves scheduling on when they pass
+      if (canEditOtherFields && (body.suggestDatesBy !== undefined || body.reactBy !== undefined)) {
+        const { validateSchedulingDeadlines } = await import('@/lib/trips/schedulingDeadlines.js')
+        const deadlineCheck = validateSchedulingDeadlines(
+          { suggestDatesBy: body.suggestDatesBy, reactBy: body.reactBy },
+          { trip }
+        )
+        if (!deadlineCheck.ok) {
+          return handleCORS(NextResponse.json({ error: deadlineCheck.message }, { status: 400 }))
+        }
+        Object.assign(updateFields, deadlineCheck.updates)
+      }
+
+      // Voting mode — ranked ballots are kept when switching, so travelers don't re-rank
+      if (canEditOtherFields && body.votingMode !== undefined) {
+        const { isValidVotingMode, VOTING_MODES } = await import('@/lib/trips/rankedChoice.js')
+        if (!isValidVotingMode(body.votingMode)) {
+          return handleCORS(NextResponse.json(
+            { error: 'Voting mode must be approval, instant_runoff or borda' },
+            { status: 400 }
+          ))
+        }
+        if (body.votingMode !== VOTING_MODES.APPROVAL && trip.schedulingMode !== 'date_windows') {
+          return handleCORS(NextResponse.json(
+            { error: 'Ranked-choice voting is only available for date windows scheduling' },
+            { status: 400 }
+          ))
+        }
+        updateFields.votingMode = body.votingMode
+      }
+
       // destinationHint can always be edited by trip leader
       if (canEditDestinationHint && body.destinationHint !== undefined) {
         updateFields.destinationHint = body.destinationHint?.trim() || null
@@ -1680,6 +1725,16 @@ async function handleRoute(request, { params }) {
         { $set: updateFields }
       )
 
+      // Pin today's rate on expenses and payments recorded under the old base (non-critical)
+      if (updateFields.currency && updateFields.currency !== getTripBaseCurrency(trip)) {
+        try {
+          const { captureBaseCurrencyRates } = await import('@/lib/expenses/baseCurrencyRates.js')
+          await captureBaseCurrencyRates(db, trip, updateFields.currency)
+        } catch (err) {
+          console.error('[expenses] rate capture failed:', err.message)
+        }
+      }
+
       const updatedTrip = await db.collection('trips').findOne({ id: tripId })
       return handleCORS(NextResponse.json(updatedTrip))
     }
@@ -2199,6 +2254,7 @@ async function handleRoute(request, { params }) {
         totalMembers,
         activeTravelerCount: effectiveActiveUserIds.size, // Explicit count for UI
         effectiveActiveVoterCount: effectiveActiveUserIds.size, // Count of active participants for heatmap scaling
+        activeRequiredTravelerIds: (trip.requiredTravelerIds || []).filter(id => effectiveActiveUserIds.has(id)), // Must-attend travelers still on the trip
         respondedCount,
         votedCount,
         // New top3_heatmap scheduling data
@@ -3060,20 +3116,23 @@ async function handleRoute(request, { params }) {
       const updatedTrip = await db.collection('trips').findOne({ id: tripId })
 
       // Compute approval status for response
-      const memberCount = await (async () => {
-        const circleMemberships = await db.collection('memberships').find({ circleId: trip.circleId, status: { $ne: 'left' } }).toArray()
-        const participants = await db.collection('trip_participants').find({ tripId }).toArray()
-        const statusMap = new Map(participants.map(p => [p.userId, p.status || 'active']))
-        let count = 0
-        for (const m of circleMemberships) {
-          const status = statusMap.get(m.userId)
-          if (!status || status === 'active') count++
-        }
-        return count
-      })()
+      const circleMemberships = await db.collection('memberships').find({ circleId: trip.circleId, status: { $ne: 'left' } }).toArray()
+      const participants = await db.collection('trip_participants').find({ tripId }).toArray()
+      const statusMap = new Map(participants.map(p => [p.userId, p.status || 'active']))
+      let memberCount = 0
+      for (const m of circleMemberships) {
+        const status = statusMap.get(m.userId)
+        if (!status || status === 'active') memberCount++
+      }
 
       const approvals = (updatedTrip.dateReactions || []).filter(r => r.reactionType === 'WORKS').length
       const requiredApprovals = Math.ceil(memberCount / 2)
+      // Must-attend travelers who have since left don't hold the dates up
+      const { getMissingRequiredApprovals } = await import('@/lib/trips/proposalReady.js')
+      const activeRequiredIds = (updatedTrip.requiredTravelerIds || []).filter(id =>
+        circleMemberships.some(m => m.userId === id) && (statusMap.get(id) || 'active') === 'active'
+      )
+      const missingRequiredUserIds = getMissingRequiredApprovals(activeRequiredIds, updatedTrip.dateReactions)
 
       return handleCORS(NextResponse.json({
         ...updatedTrip,
@@ -3081,7 +3140,8 @@ async function handleRoute(request, { params }) {
           approvals,
           requiredApprovals,
           memberCount,
-          readyToLock: approvals >= requiredApprovals
+          missingRequiredUserIds,
+          readyToLock: approvals >= requiredApprovals && missingRequiredUserIds.length === 0
         }
       }))
     }
@@ -3526,6 +3586,18 @@ async function handleRoute(request, { params }) {
           ))
         }
 
+        // Must-attend travelers who have since left don't block the lock
+        const { getMissingRequiredApprovals } = await import('@/lib/trips/proposalReady.js')
+        const activeRequiredIds = (trip.requiredTravelerIds || []).filter(id =>
+          circleMemberships.some(m => m.userId === id) && (statusMap.get(id) || 'active') === 'active'
+        )
+        if (getMissingRequiredApprovals(activeRequiredIds, trip.dateReactions).length > 0) {
+          return handleCORS(NextResponse.json(
+            { error: 'A must-attend traveler hasn\'t approved these dates yet.', code: 'REQUIRED_TRAVELER_MISSING' },
+            { status: 400 }
+          ))
+        }
+
         lockedStartDate = trip.dateProposal.startDate
         lockedEndDate = trip.dateProposal.endDate
       }
@@ -3741,6 +3813,12 @@ async function handleRoute(request, { params }) {
       const { getProposedWindowIds } = await import('@/lib/trips/proposalReady.js')
       const proposedWindowIds = getProposedWindowIds(trip)
 
+      // Travelers' blackout dates — flagged on every window they hit
+      const { tripBlackoutsQuery, findWindowConflicts } = await import('@/lib/trips/blackoutDates.js')
+      const blackouts = await db.collection('blackout_dates')
+        .find(tripBlackoutsQuery(trip, travelers.map(t => t.id)))
+        .toArray()
+
       // Enrich windows with support counts
       const enrichedWindows = windows.map(w => {
         const windowSupports = supports.filter(s => s.windowId === w.id)
@@ -3748,7 +3826,10 @@ async function handleRoute(request, { params }) {
           ...w,
           supportCount: windowSupports.length,
           supporterIds: windowSupports.map(s => s.userId),
-          isProposed: proposedWindowIds.includes(w.id)
+          isProposed: proposedWindowIds.includes(w.id),
+          conflictUserIds: (w.windowType || 'available') === 'blocker'
+            ? []
+            : findWindowConflicts(w, blackouts).map(c => c.userId)
         }
       })
 
@@ -3764,6 +3845,8 @@ async function handleRoute(request, { params }) {
       let approvalSummary = null
       let approvalSummaries = null
       const requiredApprovals = Math.ceil(travelers.length / 2)
+      const { getRequiredTravelerIds, getMissingRequiredApprovals } = await import('@/lib/trips/proposalReady.js')
+      const requiredTravelerIds = getRequiredTravelerIds(trip, travelers)
 
       if (proposedWindowIds.length > 0) {
         // Per-window approval summaries (from date_windows.reactions)
@@ -3775,6 +3858,7 @@ async function handleRoute(request, { params }) {
           const wCaveats = wReactions.filter(r => r.reactionType === 'CAVEAT').length
           const wCants = wReactions.filter(r => r.reactionType === 'CANT').length
           const userReaction = wReactions.find(r => r.userId === auth.user.id)
+          const wMissingRequired = getMissingRequiredApprovals(requiredTravelerIds, wReactions)
           approvalSummaries[pid] = {
             approvals: wApprovals,
             caveats: wCaveats,
@@ -3782,7 +3866,8 @@ async function handleRoute(request, { params }) {
             totalReactions: wReactions.length,
             requiredApprovals,
             memberCount: travelers.length,
-            readyToLock: wApprovals >= requiredApprovals,
+            missingRequiredUserIds: wMissingRequired,
+            readyToLock: wApprovals >= requiredApprovals && wMissingRequired.length === 0,
             userReaction: userReaction?.reactionType || null,
             reactions: wReactions
           }
@@ -3802,6 +3887,7 @@ async function handleRoute(request, { params }) {
             const tCaveats = tripReactions.filter(r => r.reactionType === 'CAVEAT').length
             const tCants = tripReactions.filter(r => r.reactionType === 'CANT').length
             const tUserReaction = tripReactions.find(r => r.userId === auth.user.id)
+            const tMissingRequired = getMissingRequiredApprovals(requiredTravelerIds, tripReactions)
             approvalSummary = {
               approvals: tApprovals,
               caveats: tCaveats,
@@ -3809,7 +3895,8 @@ async function handleRoute(request, { params }) {
               totalReactions: tripReactions.length,
               requiredApprovals,
               memberCount: travelers.length,
-              readyToLock: tApprovals >= requiredApprovals,
+              missingRequiredUserIds: tMissingRequired,
+              readyToLock: tApprovals >= requiredApprovals && tMissingRequired.length === 0,
               userReaction: tUserReaction?.reactionType || null,
               reactions: tripReactions
             }
@@ -3817,6 +3904,31 @@ async function handleRoute(request, { params }) {
         }
       }
 
+      // Ranked-choice results, tallied over the rankable windows
+      const { isRankedVotingMode, getRankableWindows, VOTING_MODES } = await import('@/lib/trips/rankedChoice.js')
+      let rankedVoting = null
+      if (isRankedVotingMode(trip.votingMode)) {
+        const { getVotingStatus } = await import('@/lib/trips/getVotingStatus.js')
+        const rankedBallots = await db.collection('ranked_ballots').find({ tripId }).toArray()
+        const rankedStatus = getVotingStatus({
+          ...trip,
+          consensusOptions: getRankableWindows(windows).map(w => ({ optionKey: w.id, startDate: w.startDate, endDate: w.endDate })),
+          promisingWindows: undefined,
+          rankedBallots
+        }, travelers, auth.user.id)
+        rankedVoting = {
+          mode: rankedStatus.votingMode,
+          options: rankedStatus.options,
+          rounds: rankedStatus.rounds,
+          leadingOption: rankedStatus.leadingOption,
+          isTie: rankedStatus.isTie,
+          votedCount: rankedStatus.votedCount,
+          totalTravelers: rankedStatus.totalTravelers,
+          readyToLock: rankedStatus.readyToLock,
+          myRanking: rankedBallots.find(b => b.userId === auth.user.id)?.ranking || []
+        }
+      }
+
       // Lazy check for stale CAVEAT reactions → insert chat reminders
       if (phase === 'PROPOSED' && proposedWindowIds.length > 0) {
         try {
@@ -3835,11 +3947,102 @@ async function handleRoute(request, { params }) {
         proposedWindowId: proposedWindowIds[0] || null,
         proposedWindowIds,
         isLeader: trip.createdBy === auth.user.id,
+        requiredTravelerIds,
         userWindowCount,
         maxWindows: WINDOW_CONFIG.MAX_WINDOWS_PER_USER,
         canCreateWindow: phase === 'COLLECTING' && userWindowCount < WINDOW_CONFIG.MAX_WINDOWS_PER_USER,
         approvalSummary,
-        approvalSummaries
+        approvalSummaries,
+        votingMode: trip.votingMode || VOTING_MODES.APPROVAL,
+        rankedVoting
+      }))
+    }
+
+    // Solve for the best date ranges - GET /api/trips/:id/date-windows/solve
+    // Leader only. Ranks ranges by attendance, conflicts and duration preferences
+    if (route.match(/^\/trips\/[^/]+\/date-windows\/solve$/) && method === 'GET') {
+      const auth = await requireAuth(request)
+      if (auth.error) {
+        return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+      }
+
+      const tripId = path[1]
+      const trip = await db.collection('trips').findOne({ id: tripId })
+      if (!trip) {
+        return handleCORS(NextResponse.json({ error: 'Trip not found' }, { status: 404 }))
+      }
+
+      if (trip.createdBy !== auth.user.id) {
+        return handleCORS(NextResponse.json({ error: 'Only the trip leader can see suggested dates' }, { status: 403 }))
+      }
+
+      let travelers = []
+      if (trip.type === 'collaborative') {
+        const memberships = await db.collection('memberships').find({ circleId: trip.circleId, status: { $ne: 'left' } }).toArray()
+        const participants = await db.collection('trip_participants').find({ tripId }).toArray()
+        const statusMap = new Map(participants.map(p => [p.userId, p.status || 'active']))
+
+        travelers = memberships
+          .filter(m => {
+            const status = statusMap.get(m.userId)
+            if (status === 'active') return true
+            if (status === 'left' || status === 'removed') return false
+            // No participant record — exclude late joiners
+            return !isLateJoinerForTrip(m, trip)
+          })
+          .map(m => ({ id: m.userId }))
+      } else {
+        const participants = await db.collection('trip_participants').find({ tripId, status: 'active' }).toArray()
+        travelers = participants.map(p => ({ id: p.userId }))
+      }
+
+      const { tripBlackoutsQuery, blackoutsToDays } = await import('@/lib/trips/blackoutDates.js')
+      const [windows, supports, durationPreferences, busyDocs, blackoutDocs] = await Promise.all([
+        db.collection('date_windows').find({ tripId }).toArray(),
+        db.collection('window_supports').find({ tripId }).toArray(),
+        db.collection('duration_preferences').find({ tripId }).toArray(),
+        db.collection('calendar_busy').find({ tripId }).toArray(),
+        db.collection('blackout_dates').find(tripBlackoutsQuery(trip)).toArray()
+      ])
+
+      const { solveDateWindows } = await import('@/lib/trips/solveDateWindows.js')
+      const { computeProposalReady } = await import('@/lib/trips/proposalReady.js')
+      const candidates = solveDateWindows({
+        travelers,
+        windows,
+        supports,
+        durationPreferences,
+        blackouts: [
+          ...blackoutsToDays(blackoutDocs),
+          ...busyDocs.map(doc => ({ userId: doc.userId, days: doc.busyDays || [], source: 'calendar' }))
+        ],
+        trip: {
+          startBound: trip.startBound || trip.startDate || undefined,
+          endBound: trip.endBound || trip.endDate || undefined,
+          tripLengthDays: trip.tripLengthDays || null
+        }
+      })
+
+      const users = await db.collection('users')
+        .find({ id: { $in: travelers.map(t => t.id) } })
+        .project({ id: 1, name: 1 })
+        .toArray()
+      const nameById = new Map(users.map(u => [u.id, u.name || 'Unknown']))
+      const withName = (userId) => ({ userId, name: nameById.get(userId) || 'Unknown' })
+
+      const availableWindows = windows.filter(w => (w.windowType || 'available') !== 'blocker')
+      const proposalStatus = computeProposalReady(trip, travelers, availableWindows, supports)
+
+      return handleCORS(NextResponse.json({
+        candidates: candidates.map(c => ({
+          ...c,
+          attendees: c.attendees.map(withName),
+          conflicts: c.conflicts.map(conflict => ({ ...withName(conflict.userId), reason: conflict.reason })),
+          unavailable: c.unavailable.map(withName),
+          noResponse: c.noResponse.map(withName)
+        })),
+        totalTravelers: travelers.length,
+        proposalReady: proposalStatus.proposalReady
       }))
     }
 
@@ -3926,8 +4129,36 @@ async function handleRoute(request, { params }) {
         sourceText = text.trim()
         const context = {
           startBound: trip.startBound || trip.startDate,
-          endBound: trip.endBound || trip.endDate
+          endBound: trip.endBound || trip.endDate,
+          // Writer's locale decides DD/MM vs MM/DD for numeric dates
+          locale: (typeof body.locale === 'string' && body.locale) ||
+            request.headers.get('accept-language')?.split(',')[0]?.split(';')[0]?.trim() || null
+        }
+
+        // Recurring/relative phrases ("any weekend in March", "week after Easter")
+        // expand to candidates the traveler confirms — nothing is created yet
+        if (!forceAccept) {
+          const { expandWindowPhrase } = await import('@/lib/trips/expandWindowPhrase.js')
+          const expansion = expandWindowPhrase(sourceText, {
+            ...context,
+            today: new Date().toISOString().slice(0, 10)
+          })
+          if (expansion) {
+            if (expansion.candidates.length === 0) {
+              return handleCORS(NextResponse.json({
+                error: `None of the dates for "${expansion.summary}" fall within this trip's date range.`
+              }, { status: 400 }))
+            }
+            return handleCORS(NextResponse.json({
+              requiresConfirmation: true,
+              expansion,
+              sourceText,
+              userWindowCount,
+              maxWindows: WINDOW_CONFIG.MAX_WINDOWS_PER_USER
+            }))
+          }
         }
+
         const normResult = normalizeWindow(sourceText, context)
         if (normResult.error) {
           // If forceAccept is true, accept the text as-is without normalized dates
@@ -3955,7 +4186,10 @@ async function handleRoute(request, { params }) {
         normalizedStart = startDate
         normalizedEnd = endDate
         precision = 'exact'
-        sourceText = `${startDate} to ${endDate}`
+        // Candidates confirmed from an expanded phrase keep the phrase they came from
+        sourceText = typeof body.sourceText === 'string' && body.sourceText.trim()
+          ? body.sourceText.trim().slice(0, MAX_WINDOW_TEXT_LENGTH)
+          : `${startDate} to ${endDate}`
 
         // Check max window length
         const daysDiff = Math.round((new Date(endDate + 'T12:00:00') - new Date(startDate + 'T12:00:00')) / (1000 * 60 * 60 * 24)) + 1
@@ -3994,9 +4228,11 @@ async function handleRoute(request, { params }) {
           return handleCORS(NextResponse.json({ error: 'You have already proposed this date range' }, { status: 400 }))
         }
 
-        // Check for similar windows (overlap detection)
+        // Check for similar windows (overlap detection), steering toward ones nobody has blacked out
+        const { tripBlackoutsQuery } = await import('@/lib/trips/blackoutDates.js')
+        const blackouts = await db.collection('blackout_dates').find(tripBlackoutsQuery(trip)).toArray()
         const newWindowForComparison = { startISO: normalizedStart, endISO: normalizedEnd }
-        similarMatch = getMostSimilarWindow(newWindowForComparison, existingWindows)
+        similarMatch = getMostSimilarWindow(newWindowForComparison, existingWindows, undefined, { blackouts })
 
         // If similar window found and user hasn't acknowledged, return nudge without creating
         if (similarMatch && !acknowledgeOverlap) {
@@ -4334,6 +4570,73 @@ async function handleRoute(request, { params }) {
       return handleCORS(NextResponse.json({ message: 'Date suggestion deleted' }))
     }
 
+    // Cast a ranked ballot - POST /api/trips/:id/ranked-ballot
+    // Body: { ranking: [windowId, ...] } best first. An empty ranking withdraws the ballot.
+    if (route.match(/^\/trips\/[^/]+\/ranked-ballot$/) && method === 'POST') {
+      const auth = await requireAuth(request)
+      if (auth.error) {
+        return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+      }
+
+      const tripId = path[1]
+      const trip = await db.collection('trips').findOne({ id: tripId })
+      if (!trip) {
+        return handleCORS(NextResponse.json({ error: 'Trip not found' }, { status: 404 }))
+      }
+
+      const circle = await db.collection('circles').findOne({ id: trip?.circleId })
+
+      // Same window as supporting dates: while they're still being collected
+      const validation = validateStageAction(trip, 'support_window', auth.user.id, circle)
+      if (!validation.ok) {
+        return handleCORS(NextResponse.json({ error: validation.message }, { status: validation.status }))
+      }
+
+      const { isRankedVotingMode, getRankableWindows, validateRanking } = await import('@/lib/trips/rankedChoice.js')
+      if (!isRankedVotingMode(trip.votingMode)) {
+        return handleCORS(NextResponse.json({ error: 'This trip is not using ranked-choice voting' }, { status: 400 }))
+      }
+
+      const isActive = await isActiveTraveler(db, trip, auth.user.id)
+      if (!isActive) {
+        return handleCORS(NextResponse.json({ error: 'You are not an active participant in this trip' }, { status: 403 }))
+      }
+
+      const body = await request.json()
+      const windows = await db.collection('date_windows').find({ tripId }).toArray()
+      const check = validateRanking(body.ranking, getRankableWindows(windows).map(w => w.id))
+      if (!check.ok) {
+        return handleCORS(NextResponse.json({ error: check.message }, { status: 400 }))
+      }
+
+      if (check.ranking.length === 0) {
+        await db.collection('ranked_ballots').deleteOne({ tripId, userId: auth.user.id })
+        return handleCORS(NextResponse.json({ message: 'Ballot withdrawn', ranking: [] }))
+      }
+
+      const { ensureRankedBallotIndexes } = await import('@/lib/server/ensureIndexes.js')
+      await ensureRankedBallotIndexes()
+
+      const now = new Date().toISOString()
+      const saveBallot = () => db.collection('ranked_ballots').updateOne(
+        { tripId, userId: auth.user.id },
+        {
+          $set: { ranking: check.ranking, updatedAt: now },
+          $setOnInsert: { id: uuidv4(), tripId, userId: auth.user.id, createdAt: now }
+        },
+        { upsert: true }
+      )
+      try {
+        await saveBallot()
+      } catch (err) {
+        // A concurrent submit inserted the ballot first — update it instead
+        if (err.code !== 11000) throw err
+        await saveBallot()
+      }
+
+      return handleCORS(NextResponse.json({ message: 'Ballot saved', ranking: check.ranking }))
+    }
+
     // ── Scheduling Insights ──
 
     // Generate scheduling insights - POST /api/trips/:tripId/scheduling/insights
@@ -5096,11 +5399,16 @@ async function handleRoute(request, { params }) {
         if (!status || status === 'active') memberCount++
       }
       const requiredApprovals = Math.ceil(memberCount / 2)
+      // Must-attend travelers who are still active
+      const requiredTravelerIds = (updatedTrip.requiredTravelerIds || []).filter(id =>
+        circleMemberships.some(m => m.userId === id) && (statusMap.get(id) || 'active') === 'active'
+      )
 
       // Build per-window approval summaries
       const proposedWindowDocs = await db.collection('date_windows').find({
         id: { $in: allProposedIds }, tripId
       }).toArray()
+      const { getMissingRequiredApprovals } = await import('@/lib/trips/proposalReady.js')
 
       const approvalSummaries = {}
       for (const pw of proposedWindowDocs) {
@@ -5109,6 +5417,7 @@ async function handleRoute(request, { params }) {
         const wCaveats = wReactions.filter(r => r.reactionType === 'CAVEAT').length
         const wCants = wReactions.filter(r => r.reactionType === 'CANT').length
         const userReaction = wReactions.find(r => r.userId === auth.user.id)
+        const wMissingRequired = getMissingRequiredApprovals(requiredTravelerIds, wReactions)
         approvalSummaries[pw.id] = {
           approvals: wApprovals,
           caveats: wCaveats,
@@ -5116,7 +5425,8 @@ async function handleRoute(request, { params }) {
           totalReactions: wReactions.length,
           requiredApprovals,
           memberCount,
-          readyToLock: wApprovals >= requiredApprovals,
+          missingRequiredUserIds: wMissingRequired,
+          readyToLock: wApprovals >= requiredApprovals && wMissingRequired.length === 0,
           userReaction: userReaction?.reactionType || null,
           reactions: wReactions
         }
@@ -5331,6 +5641,28 @@ async function handleRoute(request, { params }) {
             }
           }, { status: 400 }))
         }
+
+        // Every must-attend traveler has to say these dates work
+        const { getMissingRequiredApprovals } = await import('@/lib/trips/proposalReady.js')
+        const activeRequiredIds = (trip.requiredTravelerIds || []).filter(id =>
+          circleMemberships.some(m => m.userId === id) && (statusMap.get(id) || 'active') === 'active'
+        )
+        const missingRequired = getMissingRequiredApprovals(activeRequiredIds, reactions)
+        if (missingRequired.length > 0) {
+          const missingUsers = await db.collection('users').find({ id: { $in: missingRequired } }).toArray()
+          const missingNames = missingUsers.map(u => u.name || 'Unknown').join(', ')
+          return handleCORS(NextResponse.json({
+            error: `${missingNames} must attend but ${missingUsers.length === 1 ? "hasn't" : "haven't"} approved these dates yet. You can lock anyway by using the override option.`,
+            code: 'REQUIRED_TRAVELER_MISSING',
+            approvalSummary: {
+              approvals,
+              requiredApprovals,
+              memberCount,
+              missingRequiredUserIds: missingRequired,
+              reactions
+            }
+          }, { status: 400 }))
+        }
       }
 
       // Lock the dates
@@ -7049,18 +7381,8 @@ async function handleRoute(request, { params }) {
         assignedTo: item.assignedTo || null
       }))
 
-      // Expenses summary
-      let expensesSummary = null
-      const expenses = trip.expenses || []
-      if (expenses.length > 0) {
-        const totalCents = expenses.reduce((sum, e) => sum + (e.amountCents || 0), 0)
-        const currency = expenses[0]?.currency || trip.currency || 'USD'
-        expensesSummary = {
-          totalAmount: totalCents / 100,
-          currency,
-          itemCount: expenses.length
-        }
-      }
+      // Expenses summary — totals in the trip base currency, per category and per person per day
+      const expensesSummary = buildBriefExpensesSummary(trip, getTripBaseCurrency(trip))
 
       return handleCORS(NextResponse.json({
         overview,
@@ -7310,7 +7632,7 @@ async function handleRoute(request, { params }) {
 
       const tripId = path[1]
       const body = await request.json()
-      const { action, currentWindowCount, proposedWindowCoverage, proposedWindowTotal } = body
+      const { action, currentWindowCount, proposedWindowCoverage, proposedWindowTotal, proposedWindowId } = body
 
       const trip = await db.collection('trips').findOne({ id: tripId })
       if (!trip) {
@@ -7334,8 +7656,22 @@ async function handleRoute(request, { params }) {
           : await db.collection('memberships').find({ circleId: trip.circleId, status: { $ne: 'left' } }).toArray()
         const travelerCount = participants.filter(p => !p.status || p.status === 'active').length
 
+        // Must-attend travelers who haven't supported the window being proposed
+        let missingRequiredNames = []
+        if (proposedWindowId && trip.requiredTravelerIds?.length > 0) {
+          const activeIds = new Set(participants.filter(p => !p.status || p.status === 'active').map(p => p.userId))
+          const supporterIds = new Set(
+            (await db.collection('window_supports').find({ tripId, windowId: proposedWindowId }).toArray()).map(s => s.userId)
+          )
+          const missingIds = trip.requiredTravelerIds.filter(id => activeIds.has(id) && !supporterIds.has(id))
+          if (missingIds.length > 0) {
+            const missingUsers = await db.collection('users').find({ id: { $in: missingIds } }).toArray()
+            missingRequiredNames = missingUsers.map(u => u.name || 'Unknown')
+          }
+        }
+
         nudge = evaluateLowCoverageProposal(
-          { action, proposedWindowCoverage, proposedWindowTotal },
+          { action, proposedWindowCoverage, proposedWindowTotal, missingRequiredNames },
           tripId,
           travelerCount
         )
@@ -7653,6 +7989,165 @@ async function handleRoute(request, { params }) {
       return handleCORS(NextResponse.json(updates.slice(0, 50)))
     }
 
+    // Search messages - GET /api/messages/search?q=&tripId=&circleId=&limit=
+    // Full-text search over trip chat and circle messages the viewer can still see.
+    // tripId narrows to one trip's chat; circleId narrows to one circle.
+    if (route === '/messages/search' && method === 'GET') {
+      const auth = await requireAuth(request)
+      if (auth.error) {
+        return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+      }
+
+      const { validateSearchQuery, getSearchTerms, buildSnippet, SEARCH_CONFIG } = await import('@/lib/chat/messageSearch.js')
+      const url = new URL(request.url)
+      const check = validateSearchQuery(url.searchParams.get('q'))
+      if (!check.ok) {
+        return handleCORS(NextResponse.json(
+          { error: check.message },
+          { status: 400 }
+        ))
+      }
+      const tripIdParam = url.searchParams.get('tripId')
+      const circleIdParam = url.searchParams.get('circleId')
+      const limit = Math.min(
+        Math.max(parseInt(url.searchParams.get('limit') || String(SEARCH_CONFIG.DEFAULT_LIMIT), 10) || SEARCH_CONFIG.DEFAULT_LIMIT, 1),
+        SEARCH_CONFIG.MAX_LIMIT
+      )
+
+      const memberships = await db.collection('memberships')
+        .find({ userId: auth.user.id, status: { $ne: 'left' } })
+        .toArray()
+      let circleIds = memberships.map(m => m.circleId)
+      if (circleIdParam) {
+        if (!circleIds.includes(circleIdParam)) {
+          return handleCORS(NextResponse.json(
+            { error: 'You are not a member of this circle' },
+            { status: 403 }
+          ))
+        }
+        circleIds = [circleIdParam]
+      }
+
+      // Trips the viewer can still see ("most restrictive traveler wins")
+      const tripQuery = tripIdParam
+        ? { id: tripIdParam, circleId: { $in: circleIds } }
+        : { circleId: { $in: circleIds } }
+      const candidateTrips = await db.collection('trips').find(tripQuery).toArray()
+      const { filterTripsByActiveTravelerPrivacy } = await import('@/lib/trips/canViewerSeeTrip.js')
+      const visibleTrips = await filterTripsByActiveTravelerPrivacy({
+        viewerId: auth.user.id,
+        trips: candidateTrips,
+        db
+      })
+      if (tripIdParam && visibleTrips.length === 0) {
+        return handleCORS(NextResponse.json(
+          { error: 'Trip not found' },
+          { status: 404 }
+        ))
+      }
+      const visibleTripIds = visibleTrips.map(t => t.id)
+      const tripById = new Map(visibleTrips.map(t => [t.id, t]))
+
+      const { ensureMessageSearchIndexes } = await import('@/lib/server/ensureIndexes.js')
+      await ensureMessageSearchIndexes()
+
+      const textQuery = { $text: { $search: check.query } }
+      const scoreProjection = { projection: { score: { $meta: 'textScore' } } }
+      const textSort = { score: { $meta: 'textScore' }, createdAt: -1 }
+
+      const [tripHits, circleHits] = await Promise.all([
+        visibleTripIds.length > 0
+          ? db.collection('trip_messages')
+            .find({ ...textQuery, tripId: { $in: visibleTripIds } }, scoreProjection)
+            .sort(textSort)
+            .limit(limit)
+            .toArray()
+          : [],
+        // Circle messages only when not narrowed to one trip; trip-linked ones follow trip visibility
+        !tripIdParam && circleIds.length > 0
+          ? db.collection('circle_messages')
+            .find({
+              ...textQuery,
+              circleId: { $in: circleIds },
+              $or: [{ tripId: { $exists: false } }, { tripId: null }, { tripId: { $in: visibleTripIds } }]
+            }, scoreProjection)
+            .sort(textSort)
+            .limit(limit)
+            .toArray()
+          : []
+      ])
+
+      const hits = [
+        ...tripHits.map(m => ({ ...m, source: 'trip' })),
+        ...circleHits.map(m => ({ ...m, source: 'circle' }))
+      ]
+        .sort((a, b) => (b.score - a.score) || (new Date(b.createdAt) - new Date(a.createdAt)))
+        .slice(0, limit)
+
+      const userIds = [...new Set(hits.map(m => m.userId).filter(Boolean))]
+      const users = userIds.length > 0
+        ? await db.collection('users').find({ id: { $in: userIds } }).toArray()
+        : []
+      const userMap = new Map(users.map(u => [u.id, u]))
+
+      const terms = getSearchTerms(check.query)
+      const results = hits.map(m => {
+        const u = m.userId ? userMap.get(m.userId) : null
+        return {
+          id: m.id,
+          source: m.source,
+          tripId: m.tripId || null,
+          tripName: tripById.get(m.tripId)?.name || null,
+          circleId: m.circleId || tripById.get(m.tripId)?.circleId || null,
+          isSystem: !!m.isSystem,
+          createdAt: m.createdAt,
+          user: u ? { id: u.id, name: u.name } : null,
+          snippet: buildSnippet(m.content, terms)
+        }
+      })
+
+      return handleCORS(NextResponse.json({ query: check.query, results }))
+    }
+
+    // Mention autocomplete - GET /api/trips/:id/mention-candidates
+    // Active travelers other than the viewer, by name
+    if (route.match(/^\/trips\/[^/]+\/mention-candidates$/) && method === 'GET') {
+      const auth = await requireAuth(request)
+      if (auth.error) {
+        return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+      }
+
+      const tripId = path[1]
+      const trip = await db.collection('trips').findOne({ id: tripId })
+      if (!trip) {
+        return handleCORS(NextResponse.json(
+          { error: 'Trip not found' },
+          { status: 404 }
+        ))
+      }
+
+      const userIsActiveTraveler = await isActiveTraveler(db, trip, auth.user.id)
+      if (!userIsActiveTraveler) {
+        return handleCORS(NextResponse.json(
+          { error: 'You are not an active traveler for this trip' },
+          { status: 403 }
+        ))
+      }
+
+      const { getActiveTravelerIds } = await import('@/lib/push/pushAudience.js')
+      const travelerIds = (await getActiveTravelerIds(db, trip)).filter(id => id !== auth.user.id)
+      const travelers = travelerIds.length > 0
+        ? await db.collection('users').find({ id: { $in: travelerIds } }).toArray()
+        : []
+
+      return handleCORS(NextResponse.json({
+        travelers: travelers
+          .filter(u => u.name)
+          .map(u => ({ id: u.id, name: u.name }))
+          .sort((a, b) => a.name.localeCompare(b.name))
+      }))
+    }
+
     // Get trip messages - GET /api/trips/:id/messages
     if (route.match(/^\/trips\/[^/]+\/messages$/) && method === 'GET') {
       const auth = await requireAuth(request)
@@ -7684,11 +8179,38 @@ async function handleRoute(request, { params }) {
         ))
       }
 
+      // Cursor paging: ?before=<messageId> or ?after=<messageId>, &limit=
+      // Without a cursor this is the newest page (oldest first, like every page)
+      const { parsePageParams, buildPageQuery } = await import('@/lib/chat/messagePages.js')
+      const page = parsePageParams(new URL(request.url).searchParams)
+      if (!page.ok) {
+        return handleCORS(NextResponse.json(
+          { error: page.message },
+          { status: 400 }
+        ))
+      }
+
+      const cursorId = page.before || page.after
+      let cursorMessage = null
+      if (cursorId) {
+        cursorMessage = await db.collection('trip_messages').findOne({ tripId, id: cursorId })
+        if (!cursorMessage) {
+          return handleCORS(NextResponse.json(
+            { error: 'Message not found' },
+            { status: 404 }
+          ))
+        }
+        const { ensureMessageSearchIndexes } = await import('@/lib/server/ensureIndexes.js')
+        await ensureMessageSearchIndexes()
+      }
+
+      const pageQuery = buildPageQuery(tripId, cursorMessage, page.after ? 'after' : 'before')
       const messages = await db.collection('trip_messages')
-        .find({ tripId })
-        .sort({ createdAt: 1 })
-        .limit(100)
+        .find(pageQuery.filter)
+        .sort(pageQuery.sort)
+        .limit(page.limit)
         .toArray()
+      if (pageQuery.newestFirst) messages.reverse()
 
       // Get user details for messages
       const userIds = [...new Set(messages.filter(m => m.userId).map(m => m.userId))]
@@ -7702,6 +8224,11 @@ async function handleRoute(request, { params }) {
         isSystem: m.isSystem,
         subtype: m.subtype || null,
         metadata: m.metadata || {},
+        mentions: m.mentions || [],
+        reactions: m.reactions || [],
+        replyTo: m.replyTo || null,
+        editedAt: m.editedAt || null,
+        deleted: !!m.deletedAt,
         createdAt: m.createdAt,
         userId: m.userId, // Include userId for own-message detection
         user: m.userId ? users.find(u => u.id === m.userId) : null
@@ -7717,8 +8244,8 @@ async function handleRoute(request, { params }) {
       // Get trip status and relevant data
       const tripStatus = trip.status || (trip.type === 'hosted' ? 'locked' : 'scheduling')
 
-      // Get votes for vote aggregation (only if trip is in voting stage)
-      if (tripStatus === 'voting') {
+      // Get votes for vote aggregation (only if trip is in voting stage, on the newest page)
+      if (tripStatus === 'voting' && !cursorMessage) {
         const votes = await db.collection('votes')
           .find({ tripId })
           .toArray()
@@ -7793,7 +8320,7 @@ async function handleRoute(request, { params }) {
 
       const tripId = path[1]
       const body = await request.json()
-      const { content } = body
+      const { content, replyToId } = body
 
       if (!content || !content.trim()) {
         return handleCORS(NextResponse.json(
@@ -7845,14 +8372,191 @@ async function handleRoute(request, { params }) {
         createdAt: new Date().toISOString()
       }
 
+      // Quoted reply — snapshot the original so the quote survives paging
+      if (replyToId) {
+        const { canActOnMessage, buildReplySnapshot } = await import('@/lib/chat/messageActions.js')
+        const parent = await db.collection('trip_messages').findOne({ tripId, id: replyToId })
+        const check = canActOnMessage(parent, 'reply', { userId: auth.user.id })
+        if (!check.ok) {
+          return handleCORS(NextResponse.json(
+            { error: check.message },
+            { status: check.status }
+          ))
+        }
+        const parentAuthor = parent.userId
+          ? await db.collection('users').findOne({ id: parent.userId })
+          : null
+        message.replyTo = buildReplySnapshot(parent, parentAuthor?.name || null)
+      }
+
+      // @mentions — matched against the active traveler list
+      let mentionedUserIds = []
+      if (message.content.includes('@')) {
+        const { getActiveTravelerIds } = await import('@/lib/push/pushAudience.js')
+        const { parseMentions } = await import('@/lib/chat/mentions.js')
+        const travelerIds = await getActiveTravelerIds(db, trip)
+        const travelers = await db.collection('users')
+          .find({ id: { $in: travelerIds } })
+          .toArray()
+        const parsed = parseMentions(message.content, travelers, auth.user.id)
+        if (parsed.mentions.length > 0) message.mentions = parsed.mentions
+        mentionedUserIds = parsed.mentionedUserIds
+      }
+
       await db.collection('trip_messages').insertOne(message)
 
+      // Push notification: mentioned travelers
+      if (mentionedUserIds.length > 0) {
+        try {
+          const { pushRouter } = await import('@/lib/push/pushRouter.js')
+          const { buildMentionPreview } = await import('@/lib/chat/mentions.js')
+          await pushRouter(db, {
+            type: 'mention',
+            tripId,
+            trip,
+            context: {
+              tripName: trip.name,
+              actorName: auth.user.name,
+              actorUserId: auth.user.id,
+              messageId: message.id,
+              mentionedUserIds,
+              preview: buildMentionPreview(message.content)
+            }
+          })
+        } catch (pushErr) {
+          console.error('[push] mention failed:', pushErr.message)
+        }
+      }
+
       return handleCORS(NextResponse.json({
         ...message,
         user: { id: auth.user.id, name: auth.user.name }
       }))
     }
 
+    // Edit / delete a trip message - PATCH|DELETE /api/trips/:id/messages/:messageId
+    // Reactions - POST /api/trips/:id/messages/:messageId/reactions
+    // Authors edit; authors and the leader delete (soft). System chat cards are immutable.
+    if (
+      (route.match(/^\/trips\/[^/]+\/messages\/[^/]+$/) && (method === 'PATCH' || method === 'DELETE')) ||
+      (route.match(/^\/trips\/[^/]+\/messages\/[^/]+\/reactions$/) && method === 'POST')
+    ) {
+      const auth = await requireAuth(request)
+      if (auth.error) {
+        return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+      }
+
+      const tripId = path[1]
+      const messageId = path[3]
+      const action = method === 'PATCH' ? 'edit' : method === 'DELETE' ? 'delete' : 'react'
+
+      const trip = await db.collection('trips').findOne({ id: tripId })
+      if (!trip) {
+        return handleCORS(NextResponse.json(
+          { error: 'Trip not found' },
+          { status: 404 }
+        ))
+      }
+
+      // Block changes on cancelled trips
+      if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+        return handleCORS(NextResponse.json(
+          { error: 'This trip has been canceled and is read-only' },
+          { status: 400 }
+        ))
+      }
+
+      const userIsActiveTraveler = await isActiveTraveler(db, trip, auth.user.id)
+      if (!userIsActiveTraveler) {
+        return handleCORS(NextResponse.json(
+          { error: 'You are not an active traveler for this trip' },
+          { status: 403 }
+        ))
+      }
+
+      const { canActOnMessage, isValidReaction } = await import('@/lib/chat/messageActions.js')
+      const message = await db.collection('trip_messages').findOne({ tripId, id: messageId })
+      const check = canActOnMessage(message, action, {
+        userId: auth.user.id,
+        isLeader: trip.createdBy === auth.user.id
+      })
+      if (!check.ok) {
+        return handleCORS(NextResponse.json(
+          { error: check.message },
+          { status: check.status }
+        ))
+      }
+
+      const now = new Date().toISOString()
+      let update
+
+      if (action === 'edit') {
+        const body = await request.json()
+        const content = typeof body.content === 'string' ? body.content.trim() : ''
+        if (!content) {
+          return handleCORS(NextResponse.json(
+            { error: 'Message content is required' },
+            { status: 400 }
+          ))
+        }
+        const MAX_MESSAGE_LENGTH = 2000
+        if (content.length > MAX_MESSAGE_LENGTH) {
+          return handleCORS(NextResponse.json(
+            { error: `Message too long (max ${MAX_MESSAGE_LENGTH} characters)` },
+            { status: 400 }
+          ))
+        }
+
+        // Re-parse mentions against the new text (no new pushes for edits)
+        let mentions = []
+        if (content.includes('@')) {
+          const { getActiveTravelerIds } = await import('@/lib/push/pushAudience.js')
+          const { parseMentions } = await import('@/lib/chat/mentions.js')
+          const travelerIds = await getActiveTravelerIds(db, trip)
+          const travelers = await db.collection('users')
+            .find({ id: { $in: travelerIds } })
+            .toArray()
+          mentions = parseMentions(content, travelers, auth.user.id).mentions
+        }
+
+        update = mentions.length > 0
+          ? { $set: { content, mentions, editedAt: now, updatedAt: now } }
+          : { $set: { content, editedAt: now, updatedAt: now }, $unset: { mentions: '' } }
+      } else if (action === 'delete') {
+        update = {
+          $set: { content: '', deletedAt: now, deletedBy: auth.user.id, updatedAt: now },
+          $unset: { mentions: '', reactions: '' }
+        }
+        // Quotes of a deleted message shouldn't keep its text
+        await db.collection('trip_messages').updateMany(
+          { tripId, 'replyTo.messageId': messageId },
+          { $set: { 'replyTo.excerpt': '', 'replyTo.deleted': true, updatedAt: now } }
+        )
+      } else {
+        const body = await request.json()
+        if (!isValidReaction(body.emoji)) {
+          return handleCORS(NextResponse.json(
+            { error: 'Unsupported reaction' },
+            { status: 400 }
+          ))
+        }
+        const reaction = { emoji: body.emoji, userId: auth.user.id }
+        const hasReacted = (message.reactions || []).some(r => r.emoji === reaction.emoji && r.userId === reaction.userId)
+        update = hasReacted
+          ? { $pull: { reactions: reaction }, $set: { updatedAt: now } }
+          : { $addToSet: { reactions: reaction }, $set: { updatedAt: now } }
+      }
+
+      await db.collection('trip_messages').updateOne({ tripId, id: messageId }, update)
+
+      const updated = await db.collection('trip_messages').findOne({ tripId, id: messageId })
+      const { toStreamMessage } = await import('@/lib/chat/tripStream.js')
+      const author = updated.userId ? await db.collection('users').findOne({ id: updated.userId }) : null
+      return handleCORS(NextResponse.json(
+        toStreamMessage(updated, new Map(author ? [[author.id, author]] : []))
+      ))
+    }
+
     // ============ TRIP INTELLIGENCE ROUTES (Phase 6 LLM) ============
 
     // Get trip intelligence (blocker detection, nudges) - GET /api/trips/:id/intelligence
@@ -10362,7 +11066,7 @@ async function handleRoute(request, { params }) {
 
       const tripId = path[1]
       const body = await request.json()
-      const { stayRequirementId, source, title, url, priceRange, sleepCapacity, notes } = body
+      const { stayRequirementId, source, title, url, priceRange, sleepCapacity, notes, sourceMessageId } = body
 
       if (!title || !title.trim()) {
         return handleCORS(NextResponse.json(
@@ -10443,6 +11147,13 @@ async function handleRoute(request, { params }) {
         ))
       }
 
+      // Saved from a chat message: keep a back-link to it
+      const { loadConversionSource, announceConversion } = await import('@/lib/chat/messageConversions.js')
+      const sourceMessage = await loadConversionSource(db, tripId, sourceMessageId, auth.user.id)
+      if (!sourceMessage.ok) {
+        return handleCORS(NextResponse.json({ error: sourceMessage.message }, { status: sourceMessage.status }))
+      }
+
       const option = {
         id: uuidv4(),
         tripId,
@@ -10454,6 +11165,7 @@ async function handleRoute(request, { params }) {
         sleepCapacity: sleepCapacity ? parseInt(sleepCapacity) : null,
         notes: notes?.trim() || null,
         addedByUserId: auth.user.id,
+        ...(sourceMessage.message ? { sourceMessageId: sourceMessage.message.id } : {}),
         status: 'shortlisted',
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
@@ -10484,6 +11196,13 @@ async function handleRoute(request, { params }) {
           source: effectiveSource
         }
       })
+      await announceConversion(emitTripChatEvent, {
+        trip,
+        actor: auth.user,
+        source: sourceMessage,
+        target: 'accommodation',
+        artifactId: option.id
+      })
 
       // Get user info
       const user = await db.collection('users').findOne({ id: auth.user.id })
@@ -10874,7 +11593,7 @@ async function handleRoute(request, { params }) {
 
       const tripId = path[1]
       const body = await request.json()
-      const { mode, fromLocation, toLocation, departAt, arriveAt, bookingRef, provider, link, notes, status } = body
+      const { mode, fromLocation, toLocation, departAt, arriveAt, departTimeZone, arriveTimeZone, bookingRef, provider, link, notes, status } = body
 
       if (!fromLocation || !fromLocation.trim() || !toLocation || !toLocation.trim()) {
         return handleCORS(NextResponse.json(
@@ -10890,6 +11609,14 @@ async function handleRoute(request, { params }) {
         ))
       }
 
+      // departAt/arriveAt are wall-clock times at each end of the leg
+      if ((departTimeZone && !isValidTimeZone(departTimeZone)) || (arriveTimeZone && !isValidTimeZone(arriveTimeZone))) {
+        return handleCORS(NextResponse.json(
+          { error: 'Time zone must be an IANA name like Europe/Lisbon' },
+          { status: 400 }
+        ))
+      }
+
       const trip = await db.collection('trips').findOne({ id: tripId })
       if (!trip) {
         return handleCORS(NextResponse.json(
@@ -10940,6 +11667,8 @@ async function handleRoute(request, { params }) {
         toLocation: toLocation.trim(),
         departAt: departAt || null,
         arriveAt: arriveAt || null,
+        departTimeZone: departTimeZone || null,
+        arriveTimeZone: arriveTimeZone || null,
         bookingRef: bookingRef?.trim() || null,
         provider: provider?.trim() || null,
         link: link?.trim() || null,
@@ -10988,7 +11717,7 @@ async function handleRoute(request, { params }) {
 
       const tripId = path[1]
       const body = await request.json()
-      const { category, title, quantity, notes, scope } = body
+      const { category, title, quantity, notes, scope, sourceMessageId } = body
 
       if (!title || !title.trim()) {
         return handleCORS(NextResponse.json(
@@ -11046,6 +11775,13 @@ async function handleRoute(request, { params }) {
         ))
       }
 
+      // Saved from a chat message: keep a back-link to it
+      const { loadConversionSource, announceConversion } = await import('@/lib/chat/messageConversions.js')
+      const sourceMessage = await loadConversionSource(db, tripId, sourceMessageId, auth.user.id)
+      if (!sourceMessage.ok) {
+        return handleCORS(NextResponse.json({ error: sourceMessage.message }, { status: sourceMessage.status }))
+      }
+
       const prepItem = {
         id: uuidv4(),
         tripId,
@@ -11055,6 +11791,7 @@ async function handleRoute(request, { params }) {
         quantity: quantity ? parseInt(quantity) : null,
         notes: notes?.trim() || null,
         ownerUserId: auth.user.id,
+        ...(sourceMessage.message ? { sourceMessageId: sourceMessage.message.id } : {}),
         status: 'todo',
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
@@ -11062,6 +11799,8 @@ async function handleRoute(request, { params }) {
 
       await db.collection('prep_items').insertOne(prepItem)
 
+      const { emitTripChatEvent } = await import('@/lib/chat/emitTripChatEvent.js')
+
       // Update trip prepStatus to in_progress if currently not_started
       if (trip.prepStatus === 'not_started' || !trip.prepStatus) {
         await db.collection('trips').updateOne(
@@ -11070,7 +11809,6 @@ async function handleRoute(request, { params }) {
         )
 
         // Emit chat event for prep phase started (first item added)
-        const { emitTripChatEvent } = await import('@/lib/chat/emitTripChatEvent.js')
         await emitTripChatEvent({
           tripId,
           circleId: trip.circleId,
@@ -11083,6 +11821,15 @@ async function handleRoute(request, { params }) {
         })
       }
 
+      // Chat note for the conversion (non-critical)
+      await announceConversion(emitTripChatEvent, {
+        trip,
+        actor: auth.user,
+        source: sourceMessage,
+        target: 'prep',
+        artifactId: prepItem.id
+      })
+
       return handleCORS(NextResponse.json(prepItem))
     }
 
@@ -11675,7 +12422,7 @@ async function handleRoute(request, { params }) {
 
       const tripId = path[1]
       const body = await request.json()
-      const { text } = body
+      const { text, sourceMessageId } = body
 
       if (!text || !text.trim()) {
         return handleCORS(NextResponse.json(
@@ -11738,12 +12485,20 @@ async function handleRoute(request, { params }) {
         ))
       }
 
+      // Saved from a chat message: keep a back-link to it
+      const { loadConversionSource, announceConversion } = await import('@/lib/chat/messageConversions.js')
+      const sourceMessage = await loadConversionSource(db, tripId, sourceMessageId, auth.user.id)
+      if (!sourceMessage.ok) {
+        return handleCORS(NextResponse.json({ error: sourceMessage.message }, { status: sourceMessage.status }))
+      }
+
       const idea = {
         id: uuidv4(),
         tripId,
         authorUserId: auth.user.id,
         text: text.trim(),
         likes: [auth.user.id], // Auto-like for submitter (matches date windows auto-support pattern)
+        ...(sourceMessage.message ? { sourceMessageId: sourceMessage.message.id } : {}),
         createdAt: new Date().toISOString()
       }
 
@@ -11763,6 +12518,13 @@ async function handleRoute(request, { params }) {
         },
         dedupeKey: `idea:${idea.id}`
       })
+      await announceConversion(emitTripChatEvent, {
+        trip,
+        actor: auth.user,
+        source: sourceMessage,
+        target: 'idea',
+        artifactId: idea.id
+      })
 
       // Push notification: first idea contributed (P1, fire-and-forget)
       // Trip-scoped dedupe key ensures only one push per trip regardless of race conditions
@@ -12354,6 +13116,8 @@ async function handleRoute(request, { params }) {
           createdAt: new Date().toISOString(),
           sourceIdeaIds: ideas.map(i => i.id),
           content: itineraryContent,
+          // Block times are wall-clock times in this zone
+          timeZone: trip.destinationTimeZone || null,
           changeLog: '',
           // Observability metadata - no PII, no raw prompts
           llmMeta: {
@@ -13134,6 +13898,7 @@ async function handleRoute(request, { params }) {
           createdAt: new Date().toISOString(),
           sourceIdeaIds: [...new Set(sourceIdeaIds)],
           content: revisedContent,
+          timeZone: trip.destinationTimeZone || null,
           changeLog: changeLog.trim(),
           // Observability metadata - no PII, no raw prompts
           llmMeta: {
@@ -13847,7 +14612,25 @@ async function handleRoute(request, { params }) {
       // 10. Delete join requests
       await db.collection('trip_join_requests').deleteMany({ userId })
 
-      // 11. Soft-delete the user record
+      // 11. Delete expense receipt photos this user uploaded (the expenses themselves stay)
+      const tripsWithReceipts = await db.collection('trips')
+        .find({ 'expenses.receipts.uploadedBy': userId })
+        .project({ expenses: 1 })
+        .toArray()
+      const receiptUrls = tripsWithReceipts.flatMap(t => collectReceiptUrls(t.expenses, { uploadedBy: userId }))
+      if (receiptUrls.length > 0) {
+        await db.collection('trips').updateMany(
+          { 'expenses.receipts.uploadedBy': userId },
+          { $pull: { 'expenses.$[].receipts': { uploadedBy: userId } } }
+        )
+        await deleteReceiptFiles(db, receiptUrls, { uploadedBy: userId })
+      }
+
+      // 12. Delete imported calendar busy days and blackout dates
+      await db.collection('calendar_busy').deleteMany({ userId })
+      await db.collection('blackout_dates').deleteMany({ userId })
+
+      // 13. Soft-delete the user record
       const emailHash = createHash('sha256').update(userEmail.toLowerCase()).digest('hex')
       await db.collection('users').updateOne(
         { id: userId },
@@ -13864,6 +14647,8 @@ async function handleRoute(request, { params }) {
           $unset: {
             googleId: '',
             appleId: '',
+            calendarFeedToken: '',
+            calendarFeedTokenCreatedAt: '',
           }
         }
       )
@@ -13901,11 +14686,13 @@ async function handleRoute(request, { params }) {
         ))
       }
 
-      // Fetch latest itinerary version (if any)
-      const itinerary = await db.collection('itinerary_versions')
-        .findOne({ tripId }, { sort: { version: -1 } })
+      // Fetch latest itinerary version (if any) and timed transport legs
+      const [itinerary, transportItems] = await Promise.all([
+        db.collection('itinerary_versions').findOne({ tripId }, { sort: { version: -1 } }),
+        db.collection('transport_items').find({ tripId, departAt: { $ne: null } }).toArray()
+      ])
 
-      const icsContent = generateICS(trip, itinerary)
+      const icsContent = generateICS(trip, itinerary, { transportItems })
 
       // Slugify trip name for filename
       const slug = (trip.name || 'trip').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '')
@@ -13920,6 +14707,62 @@ async function handleRoute(request, { params }) {
       return handleCORS(response)
     }
 
+    // Get calendar feed link - GET /api/users/me/calendar-feed
+    // Returns the subscription path, or null when the user hasn't created one
+    if (route === '/users/me/calendar-feed' && method === 'GET') {
+      const auth = await requireAuth(request)
+      if (auth.error) {
+        return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+      }
+
+      const token = auth.user.calendarFeedToken
+      return handleCORS(NextResponse.json({
+        feedPath: token ? `/api/public/calendar/${token}` : null,
+        createdAt: token ? auth.user.calendarFeedTokenCreatedAt || null : null
+      }))
+    }
+
+    // Create calendar feed link - POST /api/users/me/calendar-feed
+    // Reuses the existing token unless { rotate: true } — rotating breaks old subscriptions
+    if (route === '/users/me/calendar-feed' && method === 'POST') {
+      const auth = await requireAuth(request)
+      if (auth.error) {
+        return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+      }
+
+      const body = await request.json().catch(() => ({}))
+      const reuse = auth.user.calendarFeedToken && body.rotate !== true
+      const token = reuse ? auth.user.calendarFeedToken : randomBytes(24).toString('base64url')
+      const createdAt = reuse ? auth.user.calendarFeedTokenCreatedAt : new Date().toISOString()
+
+      if (!reuse) {
+        await db.collection('users').updateOne(
+          { id: auth.user.id },
+          { $set: { calendarFeedToken: token, calendarFeedTokenCreatedAt: createdAt } }
+        )
+      }
+
+      return handleCORS(NextResponse.json({
+        feedPath: `/api/public/calendar/${token}`,
+        createdAt
+      }))
+    }
+
+    // Revoke calendar feed link - DELETE /api/users/me/calendar-feed
+    if (route === '/users/me/calendar-feed' && method === 'DELETE') {
+      const auth = await requireAuth(request)
+      if (auth.error) {
+        return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+      }
+
+      await db.collection('users').updateOne(
+        { id: auth.user.id },
+        { $set: { calendarFeedToken: null, calendarFeedTokenCreatedAt: null } }
+      )
+
+      return handleCORS(NextResponse.json({ message: 'Calendar feed revoked' }))
+    }
+
     // ============ DEV/SEEDING ROUTES ============
     // Note: POST /api/seed/discover is now handled by app/api/seed/discover/route.js
 
@@ -0,0 +1,161 @@
+/**
+ * Decision Deadlines Cron Job
+ *
+ * POST /api/jobs/decision-deadlines - Closes overdue polls and nudges non-voters
+ *
+ * Runs hourly via Vercel Cron. Boosted trips only:
+ * - decision_auto_close: polls past their deadline with auto-close on are
+ *   closed, the outcome is posted to chat and pushed (same as a leader close).
+ *   Ties follow the poll's tie-break rule; under the "leader picks" rule the
+ *   poll stays open and chat tells the leader to choose.
+ * - decision_nudge_voters: travelers who haven't voted get one decision_nudge
+ *   push when the deadline is less than a day away.
+ *
+ * Overdue polls the job leaves open (auto-close off, not boosted, or a tie
+ * for the leader) get `deadlineHandledAt` so later runs skip them. Changing
+ * the deadline or auto-close clears it.
+ *
+ * Security: Requires CRON_SECRET Bearer token.
+ */
+
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db'
+import { pushRouter } from '@/lib/push/pushRouter'
+import { isFeatureGated } from '@/lib/trips/isFeatureGated'
+import { emitTripChatEvent } from '@/lib/chat/emitTripChatEvent'
+import { closeDecision } from '@/lib/decisions/closeDecision'
+import {
+  isPastDeadline,
+  isNudgeDue,
+  resolveAutoCloseOutcome,
+  DECISION_STATUS,
+  DECISION_NUDGE_WINDOW_HOURS
+} from '@/lib/decisions/decisionPolls'
+
+export async function POST(request) {
+  try {
+    const authHeader = request.headers.get('authorization')
+    const cronSecret = process.env.CRON_SECRET
+
+    if (!cronSecret || authHeader !== `Bearer ${cronSecret}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const db = await connectToMongo()
+    const now = new Date()
+    const stats = {
+      decision_auto_close: { closed: 0, awaiting_leader: 0 },
+      decision_nudge: { sent: 0, suppressed: 0, failed: 0 },
+      decisions_scanned: 0,
+    }
+
+    const nudgeHorizon = new Date(now.getTime() + DECISION_NUDGE_WINDOW_HOURS * 60 * 60 * 1000)
+    const decisions = await db.collection('decisions').find({
+      status: DECISION_STATUS.OPEN,
+      deadline: { $ne: null, $lte: nudgeHorizon.toISOString() },
+      deadlineHandledAt: null,
+    }).toArray()
+    if (decisions.length === 0) {
+      return NextResponse.json({ success: true, ...stats, completedAt: new Date().toISOString() })
+    }
+
+    const tripIds = [...new Set(decisions.map(d => d.tripId))]
+    const trips = await db.collection('trips').find({
+      id: { $in: tripIds },
+      status: { $ne: 'canceled' },
+    }).toArray()
+    const tripById = new Map(trips.map(t => [t.id, t]))
+
+    const markDeadlineHandled = (decision) => db.collection('decisions').updateOne(
+      { id: decision.id },
+      { $set: { deadlineHandledAt: now.toISOString() } }
+    )
+
+    for (const decision of decisions) {
+      const trip = tripById.get(decision.tripId)
+      if (!trip || trip.tripStatus === 'CANCELLED') continue
+      stats.decisions_scanned++
+
+      if (isPastDeadline(decision, now)) {
+        if (!decision.autoClose || isFeatureGated(trip, 'decision_auto_close')) {
+          await markDeadlineHandled(decision)
+          continue
+        }
+
+        const outcome = resolveAutoCloseOutcome(decision)
+        if (outcome.close) {
+          const closed = await closeDecision(db, {
+            decision,
+            trip,
+            closedBy: 'system',
+            winningOptionId: outcome.winningOptionId
+          })
+          if (closed) stats.decision_auto_close.closed++
+          continue
+        }
+
+        // Tie left to the leader — say so once in chat
+        stats.decision_auto_close.awaiting_leader++
+        try {
+          await emitTripChatEvent({
+            tripId: trip.id,
+            circleId: trip.circleId,
+            actorUserId: null,
+            subtype: 'decision_tie',
+            text: `Voting ended in a tie — the trip leader picks the winner: ${decision.question}`,
+            metadata: { decisionId: decision.id, question: decision.question },
+            dedupeKey: `decision_tie:${decision.id}`
+          })
+        } catch (err) {
+          console.error('[decision-deadlines] chat event failed:', err.message)
+        }
+        await markDeadlineHandled(decision)
+        continue
+      }
+
+      if (!isNudgeDue(decision, now) || isFeatureGated(trip, 'decision_nudge_voters')) continue
+
+      const result = await pushRouter(db, {
+        type: 'decision_nudge',
+        tripId: trip.id,
+        trip,
+        context: {
+          tripName: trip.name,
+          decisionId: decision.id,
+          question: decision.question,
+          deadline: decision.deadline,
+          voterIds: [...new Set((decision.votes || []).map(v => v.userId))],
+        },
+      })
+      stats.decision_nudge.sent += result.sent
+      stats.decision_nudge.suppressed += result.suppressed
+      stats.decision_nudge.failed += result.failed
+
+      await db.collection('decisions').updateOne(
+        { id: decision.id },
+        { $set: { nudgedAt: now.toISOString() } }
+      )
+    }
+
+    return NextResponse.json({
+      success: true,
+      ...stats,
+      completedAt: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error('[decision-deadlines] Job failed:', error)
+    return NextResponse.json(
+      { success: false, error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function GET() {
+  return NextResponse.json({
+    endpoint: '/api/jobs/decision-deadlines',
+    method: 'POST',
+    description: 'Hourly: auto-closes polls past their deadline and nudges travelers who have not voted (boosted trips)',
+    authentication: process.env.CRON_SECRET ? 'Bearer token required' : 'No authentication configured',
+  })
+}
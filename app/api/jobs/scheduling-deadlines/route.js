@@ -0,0 +1,85 @@
+/**
+ * Scheduling Deadlines Cron Job
+ *
+ * POST /api/jobs/scheduling-deadlines - Moves scheduling on when a leader's deadline passes
+ *
+ * Runs hourly via Vercel Cron:
+ * - suggestDatesBy passed while collecting: the leading date window is
+ *   proposed (date windows trips) or voting opens (date picks trips).
+ * - reactBy passed while reacting or voting: the leading option is locked —
+ *   most thumbs-up for proposed windows, most votes per getVotingStatus.
+ * Ties, missing must-attend approvals and empty input leave it to the
+ * leader. Every outcome is posted to chat; transitions are also pushed.
+ *
+ * Security: Requires CRON_SECRET Bearer token.
+ */
+
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db'
+import { applySchedulingDeadline } from '@/lib/trips/applySchedulingDeadline'
+import { getDueSchedulingStep } from '@/lib/trips/schedulingDeadlines'
+
+export async function POST(request) {
+  try {
+    const authHeader = request.headers.get('authorization')
+    const cronSecret = process.env.CRON_SECRET
+
+    if (!cronSecret || authHeader !== `Bearer ${cronSecret}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const db = await connectToMongo()
+    const now = new Date()
+    const nowISO = now.toISOString()
+    const stats = {
+      proposed: 0,
+      voting_opened: 0,
+      locked: 0,
+      leader_decides: 0,
+      skipped: 0,
+      trips_scanned: 0,
+    }
+
+    const trips = await db.collection('trips').find({
+      status: { $nin: ['locked', 'completed', 'canceled'] },
+      $or: [
+        { suggestDatesBy: { $ne: null, $lte: nowISO }, suggestDatesByHandledAt: null },
+        { reactBy: { $ne: null, $lte: nowISO }, reactByHandledAt: null },
+      ],
+    }).toArray()
+
+    for (const trip of trips) {
+      const step = getDueSchedulingStep(trip, now)
+      if (!step) continue
+      stats.trips_scanned++
+
+      try {
+        const result = await applySchedulingDeadline(db, { trip, step, now })
+        stats[result.action]++
+      } catch (err) {
+        console.error(`[scheduling-deadlines] trip ${trip.id} failed:`, err.message)
+      }
+    }
+
+    return NextResponse.json({
+      success: true,
+      ...stats,
+      completedAt: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error('[scheduling-deadlines] Job failed:', error)
+    return NextResponse.json(
+      { success: false, error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function GET() {
+  return NextResponse.json({
+    endpoint: '/api/jobs/scheduling-deadlines',
+    method: 'POST',
+    description: 'Hourly: proposes leading dates or opens voting after "suggest dates by", and locks the leading option after "react by"',
+    authentication: process.env.CRON_SECRET ? 'Bearer token required' : 'No authentication configured',
+  })
+}
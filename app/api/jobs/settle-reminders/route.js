@@ -0,0 +1,121 @@
+/**
+ * Settle Up Reminders Cron Job
+ *
+ * POST /api/jobs/settle-reminders - Reminds travelers who still owe money
+ *
+ * Runs daily via Vercel Cron (10:00 AM UTC). For boosted trips that ended in
+ * the last week, recomputes who owes whom (expenses + settlement ledger) and
+ * sends each debtor a settle_reminder push, escalating on the day the trip
+ * ends, +3 days and +7 days. Debtors who have recorded their payment are
+ * skipped; the usual dedupe and daily cap apply via pushRouter.
+ *
+ * Security: Requires CRON_SECRET Bearer token.
+ */
+
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db'
+import { pushRouter } from '@/lib/push/pushRouter'
+import { isFeatureGated } from '@/lib/trips/isFeatureGated'
+import { settleUp, formatCents } from '@/lib/expenses/settleUp'
+import { getTripBaseCurrency, convertExpensesToBase, convertSettlementsToBase } from '@/lib/expenses/currency'
+import {
+  getTripEndDate,
+  getDueReminderStage,
+  groupTransfersByDebtor,
+  SETTLE_REMINDER_LOOKBACK_DAYS
+} from '@/lib/expenses/settleReminders'
+
+export async function POST(request) {
+  try {
+    const authHeader = request.headers.get('authorization')
+    const cronSecret = process.env.CRON_SECRET
+
+    if (!cronSecret || authHeader !== `Bearer ${cronSecret}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const db = await connectToMongo()
+    const now = new Date()
+    const stats = { sent: 0, suppressed: 0, failed: 0, debtors: 0, trips_scanned: 0 }
+
+    const todayStr = now.toISOString().slice(0, 10)
+    const lookbackStart = new Date(now)
+    lookbackStart.setUTCDate(lookbackStart.getUTCDate() - SETTLE_REMINDER_LOOKBACK_DAYS)
+    const lookbackStr = lookbackStart.toISOString().slice(0, 10)
+
+    const trips = await db.collection('trips').find({
+      boostStatus: 'boosted',
+      status: { $ne: 'canceled' },
+      lockedEndDate: { $gte: lookbackStr, $lte: todayStr },
+      'expenses.0': { $exists: true },
+    }).toArray()
+
+    for (const trip of trips) {
+      if (isFeatureGated(trip, 'settle_reminder')) continue
+
+      const stage = getDueReminderStage(getTripEndDate(trip), now)
+      if (!stage) continue
+
+      const tripId = trip.id || trip._id?.toString()
+      stats.trips_scanned++
+
+      // Same math as GET /api/trips/:tripId/settlements — recorded payments count right away
+      const currency = getTripBaseCurrency(trip)
+      const expenses = convertExpensesToBase(trip.expenses || [], currency)
+      const ledger = convertSettlementsToBase(
+        await db.collection('settlements').find({ tripId }).toArray(),
+        currency
+      )
+      const debtors = groupTransfersByDebtor(settleUp(expenses, ledger).transfers)
+      if (debtors.length === 0) continue
+
+      const creditorIds = [...new Set(debtors.flatMap(d => d.creditorIds))]
+      const users = await db.collection('users')
+        .find({ id: { $in: creditorIds } })
+        .project({ id: 1, name: 1 })
+        .toArray()
+      const nameById = new Map(users.map(u => [u.id, u.name]))
+
+      for (const debtor of debtors) {
+        stats.debtors++
+        const result = await pushRouter(db, {
+          type: 'settle_reminder',
+          tripId,
+          trip: { ...trip, id: tripId },
+          context: {
+            tripName: trip.name,
+            stage,
+            debtorId: debtor.debtorId,
+            creditorName: nameById.get(debtor.creditorIds[0]) || 'your group',
+            creditorCount: debtor.creditorIds.length,
+            amount: formatCents(debtor.totalCents, currency),
+          },
+        })
+        stats.sent += result.sent
+        stats.suppressed += result.suppressed
+        stats.failed += result.failed
+      }
+    }
+
+    return NextResponse.json({
+      success: true,
+      settle_reminder: stats,
+      completedAt: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error('[settle-reminders] Job failed:', error)
+    return NextResponse.json(
+      { success: false, error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function GET() {
+  return NextResponse.json({
+    endpoint: '/api/jobs/settle-reminders',
+    method: 'POST',
+    description: 'Daily settle up reminders for debtors after a boosted trip ends (trip end, +3 days, +7 days)',
+    authentication: process.env.CRON_SECRET ? 'Bearer token required' : 'No authentication configured',
+  })
+}
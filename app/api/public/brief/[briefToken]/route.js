@@ -1,5 +1,7 @@
 import { NextResponse } from 'next/server'
 import { connectToMongo } from '@/lib/server/db.js'
+import { getTripBaseCurrency } from '@/lib/expenses/currency.js'
+import { buildBriefExpensesSummary } from '@/lib/expenses/expenseBreakdown.js'
 
 export async function GET(request, { params }) {
   try {
@@ -112,17 +114,7 @@ export async function GET(request, { params }) {
     }))
 
     // Expenses — summary only, no individual details or user IDs
-    let expensesSummary = null
-    const expenses = trip.expenses || []
-    if (expenses.length > 0) {
-      const totalCents = expenses.reduce((sum, e) => sum + (e.amountCents || 0), 0)
-      const currency = expenses[0]?.currency || trip.currency || 'USD'
-      expensesSummary = {
-        totalAmount: totalCents / 100,
-        currency,
-        itemCount: expenses.length
-      }
-    }
+    const expensesSummary = buildBriefExpensesSummary(trip, getTripBaseCurrency(trip))
 
     // Decisions
     const decisions = {
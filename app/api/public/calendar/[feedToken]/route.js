@@ -0,0 +1,103 @@
+import { connectToMongo } from '@/lib/server/db.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { generateCalendarFeed } from '@/lib/trips/generateICS.js'
+
+// Trips that ended longer ago than this drop out of the feed
+const FEED_LOOKBACK_DAYS = 365
+
+// GET /api/public/calendar/:feedToken
+// Subscribable ICS feed of every locked trip the token's owner is traveling on.
+// No auth header — calendar apps can't send one; the token is the credential
+// and is revoked via DELETE /api/users/me/calendar-feed.
+export async function GET(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return new Response('Too many requests', { status: 429, headers: { 'Retry-After': String(retryAfter) } })
+    }
+
+    // Calendar apps often append .ics to subscription URLs
+    const feedToken = params.feedToken?.replace(/\.ics$/, '')
+    if (!feedToken) {
+      return new Response('Not found', { status: 404 })
+    }
+
+    const db = await connectToMongo()
+
+    const user = await db.collection('users').findOne({
+      calendarFeedToken: feedToken,
+      deletedAt: null
+    })
+    if (!user || !user.calendarFeedToken) {
+      return new Response('Not found', { status: 404 })
+    }
+
+    const [memberships, participations] = await Promise.all([
+      db.collection('memberships').find({ userId: user.id, status: { $ne: 'left' } }).toArray(),
+      db.collection('trip_participants').find({ userId: user.id }).toArray()
+    ])
+
+    const cutoff = new Date()
+    cutoff.setUTCDate(cutoff.getUTCDate() - FEED_LOOKBACK_DAYS)
+
+    const candidates = await db.collection('trips').find({
+      $or: [
+        { circleId: { $in: memberships.map(m => m.circleId) } },
+        { id: { $in: participations.map(p => p.tripId) } }
+      ],
+      status: 'locked',
+      lockedStartDate: { $ne: null },
+      lockedEndDate: { $gte: cutoff.toISOString().slice(0, 10) },
+      tripStatus: { $ne: 'CANCELLED' }
+    }).sort({ lockedStartDate: 1 }).toArray()
+
+    const trips = []
+    for (const trip of candidates) {
+      if (await isActiveTraveler(db, trip, user.id)) trips.push(trip)
+    }
+
+    // Only a selected itinerary goes on the calendar; drafts still show as the trip span
+    const selectedTripIds = trips
+      .filter(t => t.itineraryStatus === 'selected' || t.itineraryStatus === 'published')
+      .map(t => t.id)
+    const [versions, transportItems] = await Promise.all([
+      selectedTripIds.length > 0
+        ? db.collection('itinerary_versions')
+          .find({ tripId: { $in: selectedTripIds } })
+          .sort({ version: -1 })
+          .toArray()
+        : [],
+      db.collection('transport_items')
+        .find({ tripId: { $in: trips.map(t => t.id) }, departAt: { $ne: null } })
+        .toArray()
+    ])
+    const latestByTrip = new Map()
+    for (const v of versions) {
+      if (!latestByTrip.has(v.tripId)) latestByTrip.set(v.tripId, v)
+    }
+
+    const icsContent = generateCalendarFeed(
+      trips.map(trip => ({
+        trip,
+        itinerary: latestByTrip.get(trip.id) || null,
+        transportItems: transportItems.filter(item => item.tripId === trip.id)
+      })),
+      { name: 'Tripti trips' }
+    )
+
+    return new Response(icsContent, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="tripti.ics"',
+        'Cache-Control': 'private, max-age=900'
+      }
+    })
+  } catch (error) {
+    console.error('Error in GET /api/public/calendar/:feedToken:', error)
+    return new Response('Internal server error', { status: 500 })
+  }
+}
@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+
+// DELETE /api/trips/:tripId/blackouts/:blackoutId
+// Owner only. Removing a circle-wide blackout removes it from every trip in the circle.
+export async function DELETE(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId, blackoutId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    const blackout = await db.collection('blackout_dates').findOne({ id: blackoutId })
+    const appliesToTrip = blackout && (blackout.tripId === trip.id || (!blackout.tripId && blackout.circleId === trip.circleId))
+    if (!appliesToTrip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Blackout not found' },
+        { status: 404 }
+      ))
+    }
+
+    if (blackout.userId !== auth.user.id) {
+      return handleCORS(NextResponse.json(
+        { error: 'You can only remove your own blackout dates' },
+        { status: 403 }
+      ))
+    }
+
+    await db.collection('blackout_dates').deleteOne({ id: blackoutId })
+    return handleCORS(NextResponse.json({ message: 'Blackout removed' }))
+  } catch (error) {
+    console.error('Error in DELETE /api/trips/:tripId/blackouts/:blackoutId:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
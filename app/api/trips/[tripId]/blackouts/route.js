@@ -0,0 +1,155 @@
+import { NextResponse } from 'next/server'
+import { v4 as uuidv4 } from 'uuid'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { ensureBlackoutIndexes } from '@/lib/server/ensureIndexes.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import {
+  validateBlackout,
+  tripBlackoutsQuery,
+  BLACKOUT_SCOPE,
+  BLACKOUT_CONFIG
+} from '@/lib/trips/blackoutDates.js'
+
+// What the owner sees — notes stay private to them
+function toResponse(doc) {
+  return {
+    id: doc.id,
+    startDate: doc.startDate,
+    endDate: doc.endDate,
+    note: doc.note || null,
+    scope: doc.tripId ? BLACKOUT_SCOPE.TRIP : BLACKOUT_SCOPE.CIRCLE,
+    createdAt: doc.createdAt
+  }
+}
+
+// Shared checks for all methods: rate limit, auth, trip, active traveler
+async function loadTripForBlackouts(request, params) {
+  const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+  const rl = await checkRateLimit(`ip:${ip}`, 'global')
+  if (!rl.success) {
+    const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+  }
+
+  const { tripId } = params
+  const db = await connectToMongo()
+
+  const auth = await requireAuth(request)
+  if (auth.error) {
+    return { response: handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status })) }
+  }
+
+  const trip = await db.collection('trips').findOne({ id: tripId })
+  if (!trip) {
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+  }
+
+  // Check if user is an active traveler
+  const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+  if (!isTraveler) {
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+  }
+
+  return { db, auth, trip }
+}
+
+// GET /api/trips/:tripId/blackouts
+// The viewer's blackout dates that apply to this trip (trip-only and circle-wide)
+export async function GET(request, { params }) {
+  try {
+    const loaded = await loadTripForBlackouts(request, params)
+    if (loaded.response) return loaded.response
+    const { db, auth, trip } = loaded
+
+    const docs = await db.collection('blackout_dates')
+      .find(tripBlackoutsQuery(trip, [auth.user.id]))
+      .sort({ startDate: 1 })
+      .toArray()
+    return handleCORS(NextResponse.json({ blackouts: docs.map(toResponse) }))
+  } catch (error) {
+    console.error('Error in GET /api/trips/:tripId/blackouts:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
+
+// POST /api/trips/:tripId/blackouts
+// Body: { startDate, endDate, note?, scope?: 'trip' | 'circle' }
+// Circle-wide blackouts apply to every trip in the trip's circle.
+export async function POST(request, { params }) {
+  try {
+    const loaded = await loadTripForBlackouts(request, params)
+    if (loaded.response) return loaded.response
+    const { db, auth, trip } = loaded
+
+    // Block modifications on cancelled trips
+    if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+      return handleCORS(NextResponse.json(
+        { error: 'This trip has been canceled and is read-only' },
+        { status: 400 }
+      ))
+    }
+
+    const body = await request.json()
+    const check = validateBlackout(body)
+    if (!check.ok) {
+      return handleCORS(NextResponse.json(
+        { error: check.message },
+        { status: 400 }
+      ))
+    }
+
+    await ensureBlackoutIndexes()
+
+    const existingCount = await db.collection('blackout_dates').countDocuments(
+      tripBlackoutsQuery(trip, [auth.user.id])
+    )
+    if (existingCount >= BLACKOUT_CONFIG.MAX_PER_USER) {
+      return handleCORS(NextResponse.json(
+        { error: `You can have up to ${BLACKOUT_CONFIG.MAX_PER_USER} blackout dates — remove one first` },
+        { status: 400 }
+      ))
+    }
+
+    const { startDate, endDate, note, scope } = check.blackout
+    const doc = {
+      id: uuidv4(),
+      userId: auth.user.id,
+      circleId: trip.circleId || null,
+      tripId: scope === BLACKOUT_SCOPE.CIRCLE && trip.circleId ? null : trip.id,
+      startDate,
+      endDate,
+      note,
+      createdAt: new Date().toISOString()
+    }
+    await db.collection('blackout_dates').insertOne(doc)
+
+    return handleCORS(NextResponse.json(toResponse(doc)))
+  } catch (error) {
+    console.error('Error in POST /api/trips/:tripId/blackouts:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
@@ -0,0 +1,233 @@
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { ensureCalendarBusyIndexes } from '@/lib/server/ensureIndexes.js'
+import { fetchCalendarFeed, CalendarFeedError } from '@/lib/server/fetchCalendarFeed.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import {
+  extractBusyDays,
+  findFreeWindows,
+  buildAvailabilityFromBusy,
+  getCalendarImportRange,
+  CALENDAR_IMPORT_CONFIG
+} from '@/lib/trips/calendarBusy.js'
+
+// Stored import → what the client needs to pre-fill dates
+function buildImportResponse(doc) {
+  const range = { rangeStart: doc.rangeStart, rangeEnd: doc.rangeEnd }
+  return {
+    source: doc.source,
+    importedAt: doc.importedAt,
+    ...range,
+    busyDays: doc.busyDays,
+    freeWindows: findFreeWindows(doc.busyDays, range),
+    // Ready for POST /api/trips/:id/availability
+    availabilities: buildAvailabilityFromBusy(doc.busyDays, range)
+  }
+}
+
+// Shared checks for all methods: rate limit, auth, trip, active traveler
+async function loadTripForImport(request, params) {
+  const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+  const rl = await checkRateLimit(`ip:${ip}`, 'global')
+  if (!rl.success) {
+    const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+  }
+
+  const { tripId } = params
+  const db = await connectToMongo()
+
+  const auth = await requireAuth(request)
+  if (auth.error) {
+    return { response: handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status })) }
+  }
+
+  const trip = await db.collection('trips').findOne({ id: tripId })
+  if (!trip) {
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+  }
+
+  // Check if user is an active traveler
+  const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+  if (!isTraveler) {
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+  }
+
+  return { db, auth, trip }
+}
+
+// GET /api/trips/:tripId/calendar-import
+// The viewer's last import for this trip (busy days only), or null
+export async function GET(request, { params }) {
+  try {
+    const loaded = await loadTripForImport(request, params)
+    if (loaded.response) return loaded.response
+    const { db, auth, trip } = loaded
+
+    const doc = await db.collection('calendar_busy').findOne({ tripId: trip.id, userId: auth.user.id })
+    return handleCORS(NextResponse.json(doc ? buildImportResponse(doc) : null))
+  } catch (error) {
+    console.error('Error in GET /api/trips/:tripId/calendar-import:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
+
+// POST /api/trips/:tripId/calendar-import
+// Multipart { file: .ics, timeZone? } or JSON { url, timeZone? } (ICS / CalDAV export URL).
+// Parses busy days within the trip's bounds and proposes free windows.
+// Only busy dates are kept — never event titles, and never the URL.
+export async function POST(request, { params }) {
+  try {
+    const loaded = await loadTripForImport(request, params)
+    if (loaded.response) return loaded.response
+    const { db, auth, trip } = loaded
+
+    // Block modifications on cancelled trips
+    if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+      return handleCORS(NextResponse.json(
+        { error: 'This trip has been canceled and is read-only' },
+        { status: 400 }
+      ))
+    }
+
+    if (trip.status === 'locked') {
+      return handleCORS(NextResponse.json(
+        { error: 'Dates are already locked for this trip' },
+        { status: 400 }
+      ))
+    }
+
+    let icsText
+    let timeZone
+    let source
+    const contentType = request.headers.get('content-type') || ''
+
+    if (contentType.includes('multipart/form-data')) {
+      const formData = await request.formData()
+      const file = formData.get('file')
+      if (!file || typeof file === 'string') {
+        return handleCORS(NextResponse.json(
+          { error: 'Choose an .ics file to import' },
+          { status: 400 }
+        ))
+      }
+      if (file.size > CALENDAR_IMPORT_CONFIG.MAX_ICS_BYTES) {
+        return handleCORS(NextResponse.json(
+          { error: 'That calendar is too large to import' },
+          { status: 400 }
+        ))
+      }
+      icsText = await file.text()
+      timeZone = formData.get('timeZone')
+      source = 'upload'
+    } else {
+      const body = await request.json()
+      if (!body.url || typeof body.url !== 'string') {
+        return handleCORS(NextResponse.json(
+          { error: 'Provide a calendar URL or upload an .ics file' },
+          { status: 400 }
+        ))
+      }
+      try {
+        icsText = await fetchCalendarFeed(body.url)
+      } catch (err) {
+        if (err instanceof CalendarFeedError) {
+          return handleCORS(NextResponse.json(
+            { error: err.message },
+            { status: 400 }
+          ))
+        }
+        throw err
+      }
+      timeZone = body.timeZone
+      source = 'url'
+    }
+
+    const range = getCalendarImportRange(trip)
+    if (!range) {
+      return handleCORS(NextResponse.json(
+        { error: 'This trip\'s date range has already passed' },
+        { status: 400 }
+      ))
+    }
+
+    let busyDays
+    try {
+      busyDays = extractBusyDays(icsText, {
+        ...range,
+        timeZone: typeof timeZone === 'string' && timeZone ? timeZone : 'UTC'
+      })
+    } catch (err) {
+      return handleCORS(NextResponse.json(
+        { error: err.message },
+        { status: 400 }
+      ))
+    }
+
+    await ensureCalendarBusyIndexes()
+
+    const now = new Date().toISOString()
+    const doc = {
+      tripId: trip.id,
+      userId: auth.user.id,
+      source,
+      rangeStart: range.rangeStart,
+      rangeEnd: range.rangeEnd,
+      busyDays,
+      importedAt: now
+    }
+    await db.collection('calendar_busy').updateOne(
+      { tripId: trip.id, userId: auth.user.id },
+      { $set: doc },
+      { upsert: true }
+    )
+
+    return handleCORS(NextResponse.json(buildImportResponse(doc)))
+  } catch (error) {
+    console.error('Error in POST /api/trips/:tripId/calendar-import:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
+
+// DELETE /api/trips/:tripId/calendar-import
+// Forget the viewer's imported busy days for this trip
+export async function DELETE(request, { params }) {
+  try {
+    const loaded = await loadTripForImport(request, params)
+    if (loaded.response) return loaded.response
+    const { db, auth, trip } = loaded
+
+    await db.collection('calendar_busy').deleteOne({ tripId: trip.id, userId: auth.user.id })
+    return handleCORS(NextResponse.json({ message: 'Calendar import removed' }))
+  } catch (error) {
+    console.error('Error in DELETE /api/trips/:tripId/calendar-import:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
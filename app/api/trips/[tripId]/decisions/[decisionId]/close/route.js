@@ -0,0 +1,110 @@
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { resolveWinningOption, serializeDecision, DECISION_STATUS } from '@/lib/decisions/decisionPolls.js'
+import { closeDecision } from '@/lib/decisions/closeDecision.js'
+
+// POST /api/trips/:tripId/decisions/:decisionId/close
+// Leader only. Body: { winningOptionId? } — required to break a tie, otherwise the top option wins.
+export async function POST(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId, decisionId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const body = await request.json().catch(() => ({}))
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Block modifications on cancelled trips
+    if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+      return handleCORS(NextResponse.json(
+        { error: 'This trip has been canceled and is read-only' },
+        { status: 400 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    if (trip.createdBy !== auth.user.id) {
+      return handleCORS(NextResponse.json(
+        { error: 'Only the trip leader can close a poll' },
+        { status: 403 }
+      ))
+    }
+
+    const decision = await db.collection('decisions').findOne({ id: decisionId, tripId })
+    if (!decision) {
+      return handleCORS(NextResponse.json(
+        { error: 'Decision not found' },
+        { status: 404 }
+      ))
+    }
+
+    if (decision.status !== DECISION_STATUS.OPEN) {
+      return handleCORS(NextResponse.json(
+        { error: 'This poll is already closed' },
+        { status: 400 }
+      ))
+    }
+
+    const outcome = resolveWinningOption(decision, body.winningOptionId)
+    if (!outcome.ok) {
+      return handleCORS(NextResponse.json(
+        { error: outcome.message, ...(outcome.tie ? { tie: true } : {}) },
+        { status: 400 }
+      ))
+    }
+
+    const closed = await closeDecision(db, {
+      decision,
+      trip,
+      closedBy: auth.user.id,
+      winningOptionId: outcome.winningOptionId
+    })
+    if (!closed) {
+      return handleCORS(NextResponse.json(
+        { error: 'This poll is already closed' },
+        { status: 400 }
+      ))
+    }
+
+    return handleCORS(NextResponse.json(serializeDecision(closed, auth.user.id)))
+  } catch (error) {
+    console.error('Error in POST /api/trips/:tripId/decisions/:decisionId/close:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
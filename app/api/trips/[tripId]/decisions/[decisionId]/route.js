@@ -0,0 +1,249 @@
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { serializeDecision, validateDecisionSettings, DECISION_STATUS } from '@/lib/decisions/decisionPolls.js'
+
+// GET /api/trips/:tripId/decisions/:decisionId
+export async function GET(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId, decisionId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    const decision = await db.collection('decisions').findOne({ id: decisionId, tripId })
+    if (!decision) {
+      return handleCORS(NextResponse.json(
+        { error: 'Decision not found' },
+        { status: 404 }
+      ))
+    }
+
+    return handleCORS(NextResponse.json(serializeDecision(decision, auth.user.id)))
+  } catch (error) {
+    console.error('Error in GET /api/trips/:tripId/decisions/:decisionId:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
+
+// PATCH /api/trips/:tripId/decisions/:decisionId
+// Update an open poll's schedule. Body: { deadline?, autoClose?, tieBreak? }
+// Creator or trip leader; only the leader can change tieBreak.
+export async function PATCH(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId, decisionId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const body = await request.json()
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Block modifications on cancelled trips
+    if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+      return handleCORS(NextResponse.json(
+        { error: 'This trip has been canceled and is read-only' },
+        { status: 400 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    const decision = await db.collection('decisions').findOne({ id: decisionId, tripId })
+    if (!decision) {
+      return handleCORS(NextResponse.json(
+        { error: 'Decision not found' },
+        { status: 404 }
+      ))
+    }
+
+    const isLeader = trip.createdBy === auth.user.id
+    if (decision.createdBy !== auth.user.id && !isLeader) {
+      return handleCORS(NextResponse.json(
+        { error: 'Only the poll creator or trip leader can change this poll' },
+        { status: 403 }
+      ))
+    }
+
+    if (decision.status !== DECISION_STATUS.OPEN) {
+      return handleCORS(NextResponse.json(
+        { error: 'This poll is closed' },
+        { status: 400 }
+      ))
+    }
+
+    const settings = validateDecisionSettings(
+      { deadline: body.deadline, autoClose: body.autoClose, tieBreak: body.tieBreak },
+      { trip, isLeader, decision }
+    )
+    if (!settings.ok) {
+      return handleCORS(NextResponse.json(
+        { error: settings.message, ...(settings.feature ? { feature: settings.feature } : {}) },
+        { status: settings.status }
+      ))
+    }
+
+    const updated = await db.collection('decisions').findOneAndUpdate(
+      { id: decisionId, status: DECISION_STATUS.OPEN },
+      { $set: { ...settings.updates, updatedAt: new Date().toISOString() } },
+      { returnDocument: 'after' }
+    )
+    if (!updated) {
+      return handleCORS(NextResponse.json(
+        { error: 'This poll is closed' },
+        { status: 400 }
+      ))
+    }
+
+    return handleCORS(NextResponse.json(serializeDecision(updated, auth.user.id)))
+  } catch (error) {
+    console.error('Error in PATCH /api/trips/:tripId/decisions/:decisionId:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
+
+// DELETE /api/trips/:tripId/decisions/:decisionId
+// Creator or trip leader, only while the poll is still open
+export async function DELETE(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId, decisionId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Block modifications on cancelled trips
+    if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+      return handleCORS(NextResponse.json(
+        { error: 'This trip has been canceled and is read-only' },
+        { status: 400 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    const decision = await db.collection('decisions').findOne({ id: decisionId, tripId })
+    if (!decision) {
+      return handleCORS(NextResponse.json(
+        { error: 'Decision not found' },
+        { status: 404 }
+      ))
+    }
+
+    if (decision.createdBy !== auth.user.id && trip.createdBy !== auth.user.id) {
+      return handleCORS(NextResponse.json(
+        { error: 'Only the poll creator or trip leader can delete this poll' },
+        { status: 403 }
+      ))
+    }
+
+    const result = await db.collection('decisions').deleteOne({ id: decisionId, status: DECISION_STATUS.OPEN })
+    if (result.deletedCount === 0) {
+      return handleCORS(NextResponse.json(
+        { error: 'Closed polls can\'t be deleted' },
+        { status: 400 }
+      ))
+    }
+
+    return handleCORS(NextResponse.json({ message: 'Poll deleted' }))
+  } catch (error) {
+    console.error('Error in DELETE /api/trips/:tripId/decisions/:decisionId:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
@@ -0,0 +1,123 @@
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { validateBallot, serializeDecision, isPastDeadline, DECISION_STATUS } from '@/lib/decisions/decisionPolls.js'
+
+// POST /api/trips/:tripId/decisions/:decisionId/vote
+// Cast or change a vote. Body: { optionIds: string[] } — one id for single-choice polls,
+// any number for multi-choice; an empty array withdraws the vote.
+export async function POST(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId, decisionId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const body = await request.json()
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Block modifications on cancelled trips
+    if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+      return handleCORS(NextResponse.json(
+        { error: 'This trip has been canceled and is read-only' },
+        { status: 400 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    const decision = await db.collection('decisions').findOne({ id: decisionId, tripId })
+    if (!decision) {
+      return handleCORS(NextResponse.json(
+        { error: 'Decision not found' },
+        { status: 404 }
+      ))
+    }
+
+    if (decision.status !== DECISION_STATUS.OPEN) {
+      return handleCORS(NextResponse.json(
+        { error: 'This poll is closed' },
+        { status: 400 }
+      ))
+    }
+
+    if (isPastDeadline(decision)) {
+      return handleCORS(NextResponse.json(
+        { error: 'Voting has ended for this poll' },
+        { status: 400 }
+      ))
+    }
+
+    const ballot = validateBallot(decision, body.optionIds)
+    if (!ballot.ok) {
+      return handleCORS(NextResponse.json(
+        { error: ballot.message },
+        { status: 400 }
+      ))
+    }
+
+    // Replace this voter's ballot in one atomic update so concurrent voters don't overwrite each other
+    const now = new Date().toISOString()
+    const newVotes = ballot.optionIds.map(optionId => ({ userId: auth.user.id, optionId, votedAt: now }))
+    const updated = await db.collection('decisions').findOneAndUpdate(
+      { id: decisionId, status: DECISION_STATUS.OPEN, $or: [{ deadline: null }, { deadline: { $gt: now } }] },
+      [{
+        $set: {
+          votes: {
+            $concatArrays: [
+              { $filter: { input: { $ifNull: ['$votes', []] }, cond: { $ne: ['$$this.userId', auth.user.id] } } },
+              { $literal: newVotes }
+            ]
+          },
+          updatedAt: now
+        }
+      }],
+      { returnDocument: 'after' }
+    )
+
+    if (!updated) {
+      return handleCORS(NextResponse.json(
+        { error: 'Voting has ended for this poll' },
+        { status: 400 }
+      ))
+    }
+
+    return handleCORS(NextResponse.json(serializeDecision(updated, auth.user.id)))
+  } catch (error) {
+    console.error('Error in POST /api/trips/:tripId/decisions/:decisionId/vote:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
@@ -0,0 +1,244 @@
+import { NextResponse } from 'next/server'
+import { v4 as uuidv4 } from 'uuid'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { ensureDecisionIndexes } from '@/lib/server/ensureIndexes.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import {
+  validateDecisionInput,
+  validateDecisionSettings,
+  serializeDecision,
+  DECISION_STATUS,
+  DEFAULT_TIE_BREAK
+} from '@/lib/decisions/decisionPolls.js'
+
+// GET /api/trips/:tripId/decisions
+// All polls for the trip, newest first, with results. Optional ?status=open|closed
+export async function GET(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status')
+    if (status && !Object.values(DECISION_STATUS).includes(status)) {
+      return handleCORS(NextResponse.json(
+        { error: 'Status must be open or closed' },
+        { status: 400 }
+      ))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    const decisions = await db.collection('decisions')
+      .find({ tripId, ...(status ? { status } : {}) })
+      .sort({ createdAt: -1 })
+      .toArray()
+
+    return handleCORS(NextResponse.json(decisions.map(d => serializeDecision(d, auth.user.id))))
+  } catch (error) {
+    console.error('Error in GET /api/trips/:tripId/decisions:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
+
+// POST /api/trips/:tripId/decisions
+// Any traveler can start a poll. Body: { question, options: string[], multiChoice?, deadline?, autoClose?, tieBreak? }
+// Deadlines and auto-close need a boosted trip; only the leader sets tieBreak.
+// Posts a decision card into trip chat.
+export async function POST(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const body = await request.json()
+    const input = validateDecisionInput(body)
+    if (!input.ok) {
+      return handleCORS(NextResponse.json(
+        { error: input.message },
+        { status: 400 }
+      ))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Block modifications on cancelled trips
+    if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+      return handleCORS(NextResponse.json(
+        { error: 'This trip has been canceled and is read-only' },
+        { status: 400 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    const settings = validateDecisionSettings(
+      { deadline: body.deadline, autoClose: body.autoClose, tieBreak: body.tieBreak },
+      { trip, isLeader: trip.createdBy === auth.user.id }
+    )
+    if (!settings.ok) {
+      return handleCORS(NextResponse.json(
+        { error: settings.message, ...(settings.feature ? { feature: settings.feature } : {}) },
+        { status: settings.status }
+      ))
+    }
+
+    // Saved from a chat message: keep a back-link to it
+    const { loadConversionSource, announceConversion } = await import('@/lib/chat/messageConversions.js')
+    const sourceMessage = await loadConversionSource(db, tripId, body.sourceMessageId, auth.user.id)
+    if (!sourceMessage.ok) {
+      return handleCORS(NextResponse.json(
+        { error: sourceMessage.message },
+        { status: sourceMessage.status }
+      ))
+    }
+
+    await ensureDecisionIndexes()
+
+    const now = new Date().toISOString()
+    const decision = {
+      id: uuidv4(),
+      tripId,
+      createdBy: auth.user.id,
+      question: input.question,
+      options: input.options,
+      multiChoice: input.multiChoice,
+      votes: [],
+      status: DECISION_STATUS.OPEN,
+      closedAt: null,
+      closedBy: null,
+      winningOptionId: null,
+      deadline: settings.updates.deadline || null,
+      autoClose: settings.updates.autoClose === true,
+      tieBreak: settings.updates.tieBreak || DEFAULT_TIE_BREAK,
+      nudgedAt: null,
+      deadlineHandledAt: null,
+      ...(sourceMessage.message ? { sourceMessageId: sourceMessage.message.id } : {}),
+      createdAt: now,
+      updatedAt: now
+    }
+
+    await db.collection('decisions').insertOne(decision)
+
+    // Chat card (non-critical) — ChatTab renders it as a live poll
+    try {
+      const { emitTripChatEvent } = await import('@/lib/chat/emitTripChatEvent.js')
+      await emitTripChatEvent({
+        tripId,
+        circleId: trip.circleId,
+        actorUserId: auth.user.id,
+        subtype: 'decision_created',
+        text: `${auth.user.name || 'Someone'} started a poll: ${decision.question}`,
+        metadata: {
+          decisionId: decision.id,
+          question: decision.question,
+          optionCount: decision.options.length,
+          deadline: decision.deadline,
+          creatorName: auth.user.name || null
+        }
+      })
+    } catch (err) {
+      console.error('[decisions] chat event failed:', err.message)
+    }
+
+    // Chat note for the conversion (non-critical)
+    if (sourceMessage.message) {
+      const { emitTripChatEvent } = await import('@/lib/chat/emitTripChatEvent.js')
+      await announceConversion(emitTripChatEvent, {
+        trip,
+        actor: auth.user,
+        source: sourceMessage,
+        target: 'poll',
+        artifactId: decision.id
+      })
+    }
+
+    // Push notification: decision created (P1, fire-and-forget)
+    try {
+      const { pushRouter } = await import('@/lib/push/pushRouter.js')
+      pushRouter(db, {
+        type: 'decision_created',
+        tripId,
+        trip,
+        context: {
+          tripName: trip.name,
+          actorName: auth.user.name,
+          actorUserId: auth.user.id,
+          decisionId: decision.id,
+          question: decision.question,
+        }
+      }).catch(err => console.error('[push] decision_created failed:', err.message))
+    } catch {}
+
+    return handleCORS(NextResponse.json(serializeDecision(decision, auth.user.id)))
+  } catch (error) {
+    console.error('Error in POST /api/trips/:tripId/decisions:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { getTripBaseCurrency, isValidCurrencyCode } from '@/lib/expenses/currency.js'
+import { getExchangeRate } from '@/lib/expenses/rateProvider.js'
+
+// GET /api/trips/:tripId/exchange-rate?from=EUR
+// Suggested rate from `from` to the trip base currency, used to prefill the add expense form
+export async function GET(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const { searchParams } = new URL(request.url)
+    const from = searchParams.get('from')
+
+    if (!isValidCurrencyCode(from)) {
+      return handleCORS(NextResponse.json(
+        { error: 'Currency must be a 3-letter code like USD' },
+        { status: 400 }
+      ))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    const to = getTripBaseCurrency(trip)
+    const result = await getExchangeRate(from, to)
+    if (!result) {
+      return handleCORS(NextResponse.json(
+        { error: `No exchange rate available for ${from}` },
+        { status: 404 }
+      ))
+    }
+
+    return handleCORS(NextResponse.json({ from, to, rate: result.rate, source: result.source }))
+  } catch (error) {
+    console.error('Error in GET /api/trips/:tripId/exchange-rate:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { buildExpensesCsv } from '@/lib/expenses/expenseCsv.js'
+
+// GET /api/trips/:tripId/expenses/export
+// Splitwise-style CSV of the trip's expenses, with payer/participant names resolved
+export async function GET(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    const expenses = trip.expenses || []
+    const userIds = [...new Set(expenses.flatMap(e => [
+      e.paidByUserId,
+      ...(e.splitBetweenUserIds || []),
+      ...(e.splits || []).map(s => s.userId)
+    ]).filter(Boolean))]
+    const users = userIds.length > 0
+      ? await db.collection('users').find({ id: { $in: userIds } }).project({ id: 1, name: 1 }).toArray()
+      : []
+    const nameById = new Map(users.map(u => [u.id, u.name]))
+
+    const csv = buildExpensesCsv(expenses, (userId) => nameById.get(userId) || 'Former traveler')
+
+    // Slugify trip name for filename
+    const slug = (trip.name || 'trip').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '')
+
+    const response = new Response(csv, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${slug}-expenses.csv"`,
+      },
+    })
+    return handleCORS(response)
+  } catch (error) {
+    console.error('Error in GET /api/trips/:tripId/expenses/export:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
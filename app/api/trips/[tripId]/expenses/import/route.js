@@ -0,0 +1,171 @@
+import { NextResponse } from 'next/server'
+import { ObjectId } from 'mongodb'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { getActiveTravelerIds } from '@/lib/push/pushAudience.js'
+import { parseExpensesCsv } from '@/lib/expenses/expenseCsv.js'
+import { getTripBaseCurrency } from '@/lib/expenses/currency.js'
+import { getExchangeRate } from '@/lib/expenses/rateProvider.js'
+
+// Helper: match a CSV name (or email) to a current traveler; ambiguous names don't match
+async function buildTravelerResolver(db, trip) {
+  const travelerIds = await getActiveTravelerIds(db, trip)
+  const users = travelerIds.length > 0
+    ? await db.collection('users').find({ id: { $in: travelerIds } }).project({ id: 1, name: 1, email: 1 }).toArray()
+    : []
+
+  const byKey = new Map()
+  const add = (key, userId) => {
+    if (!key) return
+    const normalized = key.trim().toLowerCase()
+    byKey.set(normalized, byKey.has(normalized) && byKey.get(normalized) !== userId ? null : userId)
+  }
+  users.forEach(u => {
+    add(u.name, u.id)
+    add(u.email, u.id)
+  })
+
+  return (name) => byKey.get(String(name || '').trim().toLowerCase()) || null
+}
+
+// POST /api/trips/:tripId/expenses/import
+// Body: { csv, dryRun = true, mapping? } — mapping overrides column detection ({ title: 'What', amount: 'Price', ... })
+// Dry run returns a per-row preview (unknown travelers flagged) and writes nothing.
+// A real import only goes through when every row is valid.
+export async function POST(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const body = await request.json()
+    const { csv, mapping } = body
+    const dryRun = body.dryRun !== false
+
+    if (!csv || typeof csv !== 'string') {
+      return handleCORS(NextResponse.json(
+        { error: 'CSV content is required' },
+        { status: 400 }
+      ))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Block modifications on cancelled trips
+    if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+      return handleCORS(NextResponse.json(
+        { error: 'This trip has been canceled and is read-only' },
+        { status: 400 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    const baseCurrency = getTripBaseCurrency(trip)
+    const resolveTraveler = await buildTravelerResolver(db, trip)
+    const parsed = parseExpensesCsv(csv, {
+      resolveTraveler,
+      defaultCurrency: baseCurrency,
+      mapping: mapping && typeof mapping === 'object' ? mapping : undefined
+    })
+
+    if (parsed.error) {
+      return handleCORS(NextResponse.json(
+        { error: parsed.error },
+        { status: 400 }
+      ))
+    }
+
+    // Capture exchange rates now, same as adding an expense by hand
+    for (const row of parsed.rows) {
+      if (!row.ok || row.expense.currency === baseCurrency) continue
+      const rate = await getExchangeRate(row.expense.currency, baseCurrency)
+      if (!rate) {
+        row.ok = false
+        row.errors.push(`No exchange rate available for ${row.expense.currency}`)
+        continue
+      }
+      Object.assign(row.expense, { baseCurrency, exchangeRate: rate.rate, rateSource: rate.source })
+    }
+
+    const unknownTravelers = [...new Set(parsed.rows.flatMap(r => r.unknownTravelers))]
+    const summary = {
+      total: parsed.rows.length,
+      valid: parsed.rows.filter(r => r.ok).length,
+      invalid: parsed.rows.filter(r => !r.ok).length,
+      unknownTravelers
+    }
+
+    if (dryRun) {
+      return handleCORS(NextResponse.json({ dryRun: true, mapping: parsed.mapping, rows: parsed.rows, summary }))
+    }
+
+    if (summary.invalid > 0 || summary.valid === 0) {
+      return handleCORS(NextResponse.json(
+        {
+          error: summary.valid === 0
+            ? 'No expenses to import'
+            : `Fix the ${summary.invalid} flagged ${summary.invalid === 1 ? 'row' : 'rows'} before importing`,
+          rows: parsed.rows,
+          summary
+        },
+        { status: 400 }
+      ))
+    }
+
+    const now = new Date().toISOString()
+    const expenses = parsed.rows.map(r => ({
+      _id: new ObjectId(),
+      ...r.expense,
+      incurredAt: r.expense.incurredAt || now,
+      importedBy: auth.user.id,
+      createdAt: now
+    }))
+
+    await db.collection('trips').updateOne(
+      { id: tripId },
+      {
+        $push: { expenses: { $each: expenses } },
+        $set: { updatedAt: now }
+      }
+    )
+
+    return handleCORS(NextResponse.json({ dryRun: false, imported: expenses.length, expenses, summary }))
+  } catch (error) {
+    console.error('Error in POST /api/trips/:tripId/expenses/import:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
@@ -0,0 +1,196 @@
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { MAX_RECEIPTS_PER_EXPENSE, isReceiptUrl, buildReceipt } from '@/lib/expenses/receipts.js'
+import { claimReceiptUploads, deleteReceiptFiles } from '@/lib/expenses/receiptStorage.js'
+
+// Helper: shared request checks; returns { response } on failure or { db, auth, trip, expense }
+async function loadExpenseForReceipts(request, params) {
+  const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+  const rl = await checkRateLimit(`ip:${ip}`, 'global')
+  if (!rl.success) {
+    const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+  }
+
+  const { tripId } = params
+  const db = await connectToMongo()
+
+  const auth = await requireAuth(request)
+  if (auth.error) {
+    return { response: handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status })) }
+  }
+
+  const { searchParams } = new URL(request.url)
+  const expenseId = searchParams.get('expenseId')
+  if (!expenseId) {
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'Expense ID is required' },
+        { status: 400 }
+      ))
+    }
+  }
+
+  const trip = await db.collection('trips').findOne({ id: tripId })
+  if (!trip) {
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+  }
+
+  // Block modifications on cancelled trips
+  if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'This trip has been canceled and is read-only' },
+        { status: 400 }
+      ))
+    }
+  }
+
+  // Check if user is an active traveler
+  const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+  if (!isTraveler) {
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+  }
+
+  const expense = (trip.expenses || []).find((e) => {
+    const eId = e._id?.toString() || e.id
+    return eId === expenseId
+  })
+  if (!expense) {
+    return {
+      response: handleCORS(NextResponse.json(
+        { error: 'Expense not found' },
+        { status: 404 }
+      ))
+    }
+  }
+
+  return { db, auth, trip, expense }
+}
+
+// POST /api/trips/:tripId/expenses/receipts?expenseId=...
+// Attach an uploaded receipt photo. Body: { url } from /api/upload (blob or local fallback)
+// Any traveler can attach — whoever holds the paper receipt isn't always the payer —
+// but only a receipt they uploaded for this trip that isn't attached anywhere yet.
+export async function POST(request, { params }) {
+  try {
+    const loaded = await loadExpenseForReceipts(request, params)
+    if (loaded.response) return loaded.response
+    const { db, auth, trip, expense } = loaded
+
+    const body = await request.json()
+    const { url } = body
+
+    if (!isReceiptUrl(url, trip.id)) {
+      return handleCORS(NextResponse.json(
+        { error: 'Receipts must be uploaded through the app' },
+        { status: 400 }
+      ))
+    }
+
+    if ((expense.receipts || []).length >= MAX_RECEIPTS_PER_EXPENSE) {
+      return handleCORS(NextResponse.json(
+        { error: `An expense can have up to ${MAX_RECEIPTS_PER_EXPENSE} receipts` },
+        { status: 400 }
+      ))
+    }
+
+    const claimed = await claimReceiptUploads(db, [url], {
+      tripId: trip.id,
+      userId: auth.user.id,
+      expenseId: expense._id.toString()
+    })
+    if (!claimed) {
+      return handleCORS(NextResponse.json(
+        { error: 'Receipts must be uploaded through the app' },
+        { status: 400 }
+      ))
+    }
+
+    const receipt = buildReceipt(url, auth.user.id)
+    await db.collection('trips').updateOne(
+      { id: trip.id, 'expenses._id': expense._id },
+      {
+        $push: { 'expenses.$.receipts': receipt },
+        $set: { updatedAt: new Date().toISOString() }
+      }
+    )
+
+    return handleCORS(NextResponse.json(receipt))
+  } catch (error) {
+    console.error('Error in POST /api/trips/:tripId/expenses/receipts:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
+
+// DELETE /api/trips/:tripId/expenses/receipts?expenseId=...&receiptId=...
+// Removes the attachment and the stored file. Uploader, expense creator or trip leader.
+export async function DELETE(request, { params }) {
+  try {
+    const loaded = await loadExpenseForReceipts(request, params)
+    if (loaded.response) return loaded.response
+    const { db, auth, trip, expense } = loaded
+
+    const { searchParams } = new URL(request.url)
+    const receiptId = searchParams.get('receiptId')
+    const receipt = (expense.receipts || []).find(r => r.id === receiptId)
+
+    if (!receipt) {
+      return handleCORS(NextResponse.json(
+        { error: 'Receipt not found' },
+        { status: 404 }
+      ))
+    }
+
+    const isUploader = receipt.uploadedBy === auth.user.id
+    const isExpenseCreator = expense.paidByUserId === auth.user.id
+    const isTripLeader = trip.createdBy === auth.user.id || trip.ownerId === auth.user.id || trip.leaderId === auth.user.id
+
+    if (!isUploader && !isExpenseCreator && !isTripLeader) {
+      return handleCORS(NextResponse.json(
+        { error: 'Only the uploader, expense creator or trip leader can remove this receipt' },
+        { status: 403 }
+      ))
+    }
+
+    await db.collection('trips').updateOne(
+      { id: trip.id, 'expenses._id': expense._id },
+      {
+        $pull: { 'expenses.$.receipts': { id: receipt.id } },
+        $set: { updatedAt: new Date().toISOString() }
+      }
+    )
+
+    await deleteReceiptFiles(db, [receipt.url], { expenseId: expense._id.toString() })
+
+    return handleCORS(NextResponse.json({ message: 'Receipt removed' }))
+  } catch (error) {
+    console.error('Error in DELETE /api/trips/:tripId/expenses/receipts:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
@@ -5,50 +5,17 @@ import { handleCORS } from '@/lib/server/cors.js'
 import { checkRateLimit } from '@/lib/server/rateLimit.js'
 import { ObjectId } from 'mongodb'
 import { isLateJoinerForTrip } from '@/lib/trips/isLateJoiner.js'
-
-// Helper: Check if user is an active traveler for a trip
-async function isActiveTraveler(db, trip, userId) {
-  if (!trip || !userId) return false
-
-  // Get all participants
-  const allParticipants = await db.collection('trip_participants')
-    .find({ tripId: trip.id })
-    .toArray()
-
-  if (trip.type === 'collaborative') {
-    // For collaborative trips: user must be circle member AND not have left/removed status
-    const circleMembership = await db.collection('memberships').findOne({
-      userId,
-      circleId: trip.circleId,
-      status: { $ne: 'left' }
-    })
-
-    if (!circleMembership) return false
-
-    // Check explicit participant record
-    const participant = allParticipants.find(p => p.userId === userId)
-    if (participant) {
-      const status = participant.status || 'active'
-      if (status === 'active') return true
-      return false
-    }
-
-    // No participant record: check if late joiner
-    if (isLateJoinerForTrip(circleMembership, trip)) return false
-
-    // Original member
-    return true
-  } else {
-    // Hosted trips: user must have active participant record
-    const participant = allParticipants.find(p => p.userId === userId)
-    if (!participant) return false
-
-    const status = participant.status || 'active'
-    return status === 'active'
-  }
-}
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { resolveSplit } from '@/lib/expenses/splitExpense.js'
+import { getTripBaseCurrency, isValidCurrencyCode } from '@/lib/expenses/currency.js'
+import { getExchangeRate } from '@/lib/expenses/rateProvider.js'
+import { EXPENSE_CATEGORIES, DEFAULT_EXPENSE_CATEGORY, filterExpenses, isDateOnly, isIsoDate } from '@/lib/expenses/expenseBreakdown.js'
+import { MAX_RECEIPTS_PER_EXPENSE, isReceiptUrl, buildReceipt, collectReceiptUrls } from '@/lib/expenses/receipts.js'
+import { claimReceiptUploads, deleteReceiptFiles } from '@/lib/expenses/receiptStorage.js'
+import { loadConversionSource, announceConversion } from '@/lib/chat/messageConversions.js'
 
 // GET /api/trips/:tripId/expenses
+// Optional filters: ?category=food&paidBy=<userId>&from=YYYY-MM-DD&to=YYYY-MM-DD
 export async function GET(request, { params }) {
   try {
     const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
@@ -68,6 +35,26 @@ export async function GET(request, { params }) {
     if (auth.error) {
       return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
     }
+
+    const { searchParams } = new URL(request.url)
+    const category = searchParams.get('category') || undefined
+    const paidBy = searchParams.get('paidBy') || undefined
+    const from = searchParams.get('from') || undefined
+    const to = searchParams.get('to') || undefined
+
+    if (category && !EXPENSE_CATEGORIES.includes(category)) {
+      return handleCORS(NextResponse.json(
+        { error: `Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}` },
+        { status: 400 }
+      ))
+    }
+
+    if ((from && !isDateOnly(from)) || (to && !isDateOnly(to))) {
+      return handleCORS(NextResponse.json(
+        { error: 'Dates must be in YYYY-MM-DD format' },
+        { status: 400 }
+      ))
+    }
     
     const trip = await db.collection('trips').findOne({ id: tripId })
     if (!trip) {
@@ -87,7 +74,7 @@ export async function GET(request, { params }) {
     }
     
     // Return expenses array (default to empty array if not set)
-    const expenses = trip.expenses || []
+    const expenses = filterExpenses(trip.expenses || [], { category, paidBy, from, to })
     return handleCORS(NextResponse.json(expenses))
   } catch (error) {
     console.error('Error in GET /api/trips/:tripId/expenses:', error)
@@ -120,7 +107,7 @@ export async function POST(request, { params }) {
     }
     
     const body = await request.json()
-    const { title, amountCents, currency, paidByUserId, splitBetweenUserIds, incurredAt, note } = body
+    const { title, amountCents, currency, exchangeRate, category, paidByUserId, splitBetweenUserIds, splitMode, splits, items, receiptUrls, incurredAt, note, sourceMessageId } = body
     
     // Validation
     if (!title || !title.trim()) {
@@ -144,9 +131,60 @@ export async function POST(request, { params }) {
       ))
     }
     
-    if (!Array.isArray(splitBetweenUserIds) || splitBetweenUserIds.length === 0) {
+    if (currency !== undefined && !isValidCurrencyCode(currency)) {
+      return handleCORS(NextResponse.json(
+        { error: 'Currency must be a 3-letter code like USD' },
+        { status: 400 }
+      ))
+    }
+
+    if (category !== undefined && !EXPENSE_CATEGORIES.includes(category)) {
+      return handleCORS(NextResponse.json(
+        { error: `Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}` },
+        { status: 400 }
+      ))
+    }
+
+    if (exchangeRate !== undefined && (typeof exchangeRate !== 'number' || !(exchangeRate > 0))) {
       return handleCORS(NextResponse.json(
-        { error: 'At least one person must be included in split' },
+        { error: 'Exchange rate must be a positive number' },
+        { status: 400 }
+      ))
+    }
+
+    if (incurredAt !== undefined && incurredAt !== null && !isIsoDate(incurredAt)) {
+      return handleCORS(NextResponse.json(
+        { error: 'Date must be an ISO date like 2026-06-01' },
+        { status: 400 }
+      ))
+    }
+
+    if (receiptUrls !== undefined) {
+      if (!Array.isArray(receiptUrls) || receiptUrls.length > MAX_RECEIPTS_PER_EXPENSE) {
+        return handleCORS(NextResponse.json(
+          { error: `Attach up to ${MAX_RECEIPTS_PER_EXPENSE} receipts` },
+          { status: 400 }
+        ))
+      }
+      if (!receiptUrls.every(url => isReceiptUrl(url, tripId))) {
+        return handleCORS(NextResponse.json(
+          { error: 'Receipts must be uploaded through the app' },
+          { status: 400 }
+        ))
+      }
+    }
+
+    // Resolve the split server-side: parts must add up to amountCents exactly
+    const split = resolveSplit({
+      amountCents: Math.round(amountCents),
+      splitMode: splitMode || 'equal',
+      splitBetweenUserIds,
+      splits,
+      items
+    })
+    if (!split.ok) {
+      return handleCORS(NextResponse.json(
+        { error: split.message },
         { status: 400 }
       ))
     }
@@ -189,7 +227,7 @@ export async function POST(request, { params }) {
         tripId,
         tripType: trip.type,
         paidByUserId,
-        splitBetweenUserIds,
+        splitBetweenUserIds: split.splitBetweenUserIds,
         allParticipantsSample: allParticipants.slice(0, 5).map(p => ({ userId: p.userId, status: p.status }))
       })
     }
@@ -258,7 +296,7 @@ export async function POST(request, { params }) {
       ))
     }
     
-    const invalidSplitIds = splitBetweenUserIds.filter(id => !validTravelerIds.has(id))
+    const invalidSplitIds = split.splitBetweenUserIds.filter(id => !validTravelerIds.has(id))
     if (invalidSplitIds.length > 0) {
       return handleCORS(NextResponse.json(
         { error: 'All split participants must be travelers on this trip' },
@@ -268,7 +306,7 @@ export async function POST(request, { params }) {
 
     // Defensive check: ensure splitCount is not zero to prevent division by zero
     // when calculating per-person shares downstream
-    const splitCount = splitBetweenUserIds.length
+    const splitCount = split.splitBetweenUserIds.length
     if (!splitCount || splitCount === 0) {
       return handleCORS(NextResponse.json(
         { error: 'At least one person must be selected for expense split' },
@@ -276,18 +314,69 @@ export async function POST(request, { params }) {
       ))
     }
 
+    // Saved from a chat message: keep a back-link to it
+    const sourceMessage = await loadConversionSource(db, tripId, sourceMessageId, auth.user.id)
+    if (!sourceMessage.ok) {
+      return handleCORS(NextResponse.json(
+        { error: sourceMessage.message },
+        { status: sourceMessage.status }
+      ))
+    }
+
+    // Capture the exchange rate to the trip base currency at entry time
+    // (a rate typed in by the user wins over the provider)
+    const baseCurrency = getTripBaseCurrency(trip)
+    const expenseCurrency = currency || baseCurrency
+    let rateFields = {}
+    if (expenseCurrency !== baseCurrency) {
+      const lookedUp = exchangeRate ? null : await getExchangeRate(expenseCurrency, baseCurrency)
+      if (!exchangeRate && !lookedUp) {
+        return handleCORS(NextResponse.json(
+          { error: `No exchange rate available for ${expenseCurrency} — enter one manually` },
+          { status: 400 }
+        ))
+      }
+      rateFields = {
+        baseCurrency,
+        exchangeRate: exchangeRate || lookedUp.rate,
+        rateSource: exchangeRate ? 'manual' : lookedUp.source
+      }
+    }
+
     // Create expense object
     const expense = {
       _id: new ObjectId(),
       title: title.trim(),
       amountCents: Math.round(amountCents), // Ensure integer
-      currency: currency || trip.currency || 'USD',
+      currency: expenseCurrency,
+      ...rateFields,
+      category: category || DEFAULT_EXPENSE_CATEGORY,
       paidByUserId,
-      splitBetweenUserIds,
+      splitBetweenUserIds: split.splitBetweenUserIds,
+      // Unequal splits keep the resolved per-person cents; equal splits stay in the legacy shape
+      ...(split.splitMode !== 'equal' ? { splitMode: split.splitMode, splits: split.splits } : {}),
+      ...(split.items ? { items: split.items } : {}),
+      ...(receiptUrls?.length > 0 ? { receipts: receiptUrls.map(url => buildReceipt(url, auth.user.id)) } : {}),
       incurredAt: incurredAt || new Date().toISOString(),
       note: note?.trim() || undefined,
+      ...(sourceMessage.message ? { sourceMessageId: sourceMessage.message.id } : {}),
       createdAt: new Date().toISOString()
     }
+
+    // Receipts must be this traveler's own, not-yet-attached uploads for the trip
+    if (receiptUrls?.length > 0) {
+      const claimed = await claimReceiptUploads(db, receiptUrls, {
+        tripId,
+        userId: auth.user.id,
+        expenseId: expense._id.toString()
+      })
+      if (!claimed) {
+        return handleCORS(NextResponse.json(
+          { error: 'Receipts must be uploaded through the app' },
+          { status: 400 }
+        ))
+      }
+    }
     
     // Add expense to trip's expenses array
     await db.collection('trips').updateOne(
@@ -298,6 +387,18 @@ export async function POST(request, { params }) {
       }
     )
     
+    // Chat note for the conversion (non-critical)
+    if (sourceMessage.message) {
+      const { emitTripChatEvent } = await import('@/lib/chat/emitTripChatEvent.js')
+      await announceConversion(emitTripChatEvent, {
+        trip,
+        actor: auth.user,
+        source: sourceMessage,
+        target: 'expense',
+        artifactId: expense._id.toString()
+      })
+    }
+
     // Push notification: expense added (P1, fire-and-forget)
     try {
       const { pushRouter } = await import('@/lib/push/pushRouter.js')
@@ -324,6 +425,143 @@ export async function POST(request, { params }) {
   }
 }
 
+// PATCH /api/trips/:tripId/expenses?expenseId=...
+// Edit an expense's category, or the exchange rate captured on a foreign-currency expense
+// Body: { category?, exchangeRate? } — exchangeRate is units of the trip base currency per 1 unit
+// of the expense currency
+export async function PATCH(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const { searchParams } = new URL(request.url)
+    const expenseId = searchParams.get('expenseId')
+
+    if (!expenseId) {
+      return handleCORS(NextResponse.json(
+        { error: 'Expense ID is required' },
+        { status: 400 }
+      ))
+    }
+
+    const body = await request.json()
+    const { exchangeRate, category } = body
+
+    if (exchangeRate === undefined && category === undefined) {
+      return handleCORS(NextResponse.json(
+        { error: 'Nothing to update' },
+        { status: 400 }
+      ))
+    }
+
+    if (exchangeRate !== undefined && (typeof exchangeRate !== 'number' || !(exchangeRate > 0))) {
+      return handleCORS(NextResponse.json(
+        { error: 'Exchange rate must be a positive number' },
+        { status: 400 }
+      ))
+    }
+
+    if (category !== undefined && !EXPENSE_CATEGORIES.includes(category)) {
+      return handleCORS(NextResponse.json(
+        { error: `Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}` },
+        { status: 400 }
+      ))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Block modifications on cancelled trips
+    if (trip.tripStatus === 'CANCELLED' || trip.status === 'canceled') {
+      return handleCORS(NextResponse.json(
+        { error: 'This trip has been canceled and is read-only' },
+        { status: 400 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    const expense = (trip.expenses || []).find((e) => {
+      const eId = e._id?.toString() || e.id
+      return eId === expenseId
+    })
+
+    if (!expense) {
+      return handleCORS(NextResponse.json(
+        { error: 'Expense not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Same permission as delete: expense creator or trip leader
+    const isExpenseCreator = expense.paidByUserId === auth.user.id
+    const isTripLeader = trip.createdBy === auth.user.id || trip.ownerId === auth.user.id || trip.leaderId === auth.user.id
+
+    if (!isExpenseCreator && !isTripLeader) {
+      return handleCORS(NextResponse.json(
+        { error: 'Only the expense creator or trip leader can edit this expense' },
+        { status: 403 }
+      ))
+    }
+
+    const changes = {}
+    if (category !== undefined) changes.category = category
+
+    if (exchangeRate !== undefined) {
+      const baseCurrency = getTripBaseCurrency(trip)
+      if (!expense.currency || expense.currency === baseCurrency) {
+        return handleCORS(NextResponse.json(
+          { error: 'This expense is already in the trip currency' },
+          { status: 400 }
+        ))
+      }
+      Object.assign(changes, { baseCurrency, exchangeRate, rateSource: 'manual' })
+    }
+
+    const $set = { updatedAt: new Date().toISOString() }
+    for (const [field, value] of Object.entries(changes)) $set[`expenses.$.${field}`] = value
+    await db.collection('trips').updateOne(
+      { id: tripId, 'expenses._id': expense._id },
+      { $set }
+    )
+
+    return handleCORS(NextResponse.json({ ...expense, ...changes }))
+  } catch (error) {
+    console.error('Error in PATCH /api/trips/:tripId/expenses:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
+
 // DELETE /api/trips/:tripId/expenses?expenseId=...
 export async function DELETE(request, { params }) {
   try {
@@ -421,6 +659,9 @@ export async function DELETE(request, { params }) {
       ))
     }
 
+    // Receipt photos go with the expense
+    await deleteReceiptFiles(db, collectReceiptUrls([expense]), { expenseId })
+
     return handleCORS(NextResponse.json({ message: 'Expense deleted' }))
   } catch (error) {
     console.error('Error in DELETE /api/trips/:tripId/expenses:', error)
@@ -0,0 +1,168 @@
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { isFeatureGated } from '@/lib/trips/isFeatureGated.js'
+import { formatCents, SETTLEMENT_STATUS } from '@/lib/expenses/settleUp.js'
+
+// PATCH /api/trips/:tripId/settlements/:settlementId
+// Body: { action: 'confirm' | 'dispute', reason? }
+// Either party can dispute; confirming is done by whoever did NOT record the payment.
+export async function PATCH(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId, settlementId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const body = await request.json()
+    const { action, reason } = body
+
+    if (action !== 'confirm' && action !== 'dispute') {
+      return handleCORS(NextResponse.json(
+        { error: 'Action must be "confirm" or "dispute"' },
+        { status: 400 }
+      ))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    if (isFeatureGated(trip, 'settle_mark')) {
+      return handleCORS(NextResponse.json(
+        { error: 'Marking debts as settled is available on boosted trips', feature: 'settle_mark' },
+        { status: 403 }
+      ))
+    }
+
+    const settlement = await db.collection('settlements').findOne({ id: settlementId, tripId })
+    if (!settlement) {
+      return handleCORS(NextResponse.json(
+        { error: 'Payment not found' },
+        { status: 404 }
+      ))
+    }
+
+    const userId = auth.user.id
+    const isParty = userId === settlement.fromUserId || userId === settlement.toUserId
+    if (!isParty) {
+      return handleCORS(NextResponse.json(
+        { error: 'Only the payer or the recipient can confirm or dispute this payment' },
+        { status: 403 }
+      ))
+    }
+
+    const nextStatus = action === 'confirm' ? SETTLEMENT_STATUS.CONFIRMED : SETTLEMENT_STATUS.DISPUTED
+    if (settlement.status === nextStatus) {
+      return handleCORS(NextResponse.json(
+        { error: `This payment is already ${nextStatus}` },
+        { status: 400 }
+      ))
+    }
+
+    // The person who recorded a payment can't also be the one to confirm it
+    // (a leader-recorded payment can be confirmed by either party)
+    if (action === 'confirm' && userId === settlement.createdBy) {
+      return handleCORS(NextResponse.json(
+        { error: 'Waiting on the other person to confirm this payment' },
+        { status: 400 }
+      ))
+    }
+
+    const now = new Date().toISOString()
+    const historyEntry = {
+      action: action === 'confirm' ? 'confirmed' : 'disputed',
+      userId,
+      at: now,
+      ...(action === 'dispute' && reason?.trim() ? { reason: reason.trim().slice(0, 280) } : {})
+    }
+
+    // Conditional on the status we read, so two parties acting at once can't clobber each other
+    const result = await db.collection('settlements').updateOne(
+      { id: settlementId, tripId, status: settlement.status },
+      {
+        $set: { status: nextStatus, updatedAt: now },
+        $push: { history: historyEntry }
+      }
+    )
+
+    if (result.modifiedCount === 0) {
+      return handleCORS(NextResponse.json(
+        { error: 'This payment was just updated — refresh and try again' },
+        { status: 409 }
+      ))
+    }
+
+    // Chat event (non-critical)
+    try {
+      const names = await db.collection('users')
+        .find({ id: { $in: [settlement.fromUserId, settlement.toUserId] } })
+        .project({ id: 1, name: 1 })
+        .toArray()
+      const nameOf = (id) => names.find(u => u.id === id)?.name || 'Someone'
+      const amount = formatCents(settlement.amountCents, settlement.currency)
+      const { emitTripChatEvent } = await import('@/lib/chat/emitTripChatEvent.js')
+      await emitTripChatEvent({
+        tripId,
+        circleId: trip.circleId,
+        actorUserId: userId,
+        subtype: action === 'confirm' ? 'settlement_confirmed' : 'settlement_disputed',
+        text: action === 'confirm'
+          ? `${nameOf(userId)} confirmed the ${amount} payment from ${nameOf(settlement.fromUserId)} to ${nameOf(settlement.toUserId)}`
+          : `${nameOf(userId)} disputed the ${amount} payment from ${nameOf(settlement.fromUserId)} to ${nameOf(settlement.toUserId)}`,
+        metadata: {
+          settlementId,
+          fromUserId: settlement.fromUserId,
+          toUserId: settlement.toUserId,
+          amountCents: settlement.amountCents,
+          status: nextStatus
+        }
+      })
+    } catch (err) {
+      console.error('[settlements] chat event failed:', err.message)
+    }
+
+    const { _id, ...rest } = settlement
+    return handleCORS(NextResponse.json({
+      ...rest,
+      status: nextStatus,
+      updatedAt: now,
+      history: [...(settlement.history || []), historyEntry]
+    }))
+  } catch (error) {
+    console.error('Error in PATCH /api/trips/:tripId/settlements/:settlementId:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
@@ -0,0 +1,356 @@
+import { NextResponse } from 'next/server'
+import { v4 as uuidv4 } from 'uuid'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { ensureSettlementIndexes } from '@/lib/server/ensureIndexes.js'
+import { isActiveTraveler } from '@/lib/trips/isActiveTraveler.js'
+import { isFeatureGated } from '@/lib/trips/isFeatureGated.js'
+import { settleUp, formatCents, SETTLEMENT_STATUS } from '@/lib/expenses/settleUp.js'
+import { getTripBaseCurrency, convertExpensesToBase, convertSettlementsToBase, isValidCurrencyCode } from '@/lib/expenses/currency.js'
+import { getExchangeRate } from '@/lib/expenses/rateProvider.js'
+
+// Helper: IDs of people who are no longer on the trip (left/removed, or left the circle)
+async function getDepartedUserIds(db, trip, userIds) {
+  const departed = new Set()
+  if (userIds.length === 0) return departed
+
+  const participants = await db.collection('trip_participants')
+    .find({ tripId: trip.id, userId: { $in: userIds } })
+    .toArray()
+  participants.forEach(p => {
+    if (p.status === 'left' || p.status === 'removed') departed.add(p.userId)
+  })
+
+  if (trip.type === 'collaborative' && trip.circleId) {
+    const memberships = await db.collection('memberships')
+      .find({ circleId: trip.circleId, userId: { $in: userIds }, status: { $ne: 'left' } })
+      .toArray()
+    const memberIds = new Set(memberships.map(m => m.userId))
+    userIds.forEach(id => {
+      if (!memberIds.has(id)) departed.add(id)
+    })
+  }
+
+  return departed
+}
+
+// Helper: resolve { userId, name, hasLeft } for everyone in a settle up response
+async function buildPersonLookup(db, trip, userIds) {
+  const [users, departedIds] = await Promise.all([
+    userIds.length > 0
+      ? db.collection('users').find({ id: { $in: userIds } }).project({ id: 1, name: 1 }).toArray()
+      : Promise.resolve([]),
+    getDepartedUserIds(db, trip, userIds)
+  ])
+  const nameById = new Map(users.map(u => [u.id, u.name]))
+  return (userId) => ({
+    userId,
+    name: nameById.get(userId) || 'Former traveler',
+    hasLeft: departedIds.has(userId)
+  })
+}
+
+// GET /api/trips/:tripId/settlements
+// Settle Up (Boost): net balances, minimum set of transfers, and the recorded payment ledger
+export async function GET(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    if (isFeatureGated(trip, 'settle_up')) {
+      return handleCORS(NextResponse.json(
+        { error: 'Settle Up is available on boosted trips', feature: 'settle_up' },
+        { status: 403 }
+      ))
+    }
+
+    // Everything is settled in the trip base currency
+    const currency = getTripBaseCurrency(trip)
+    const expenses = convertExpensesToBase(trip.expenses || [], currency)
+    const ledger = convertSettlementsToBase(
+      await db.collection('settlements')
+        .find({ tripId })
+        .sort({ createdAt: -1 })
+        .toArray(),
+      currency
+    )
+    const { balances, transfers, totalSpendCents } = settleUp(expenses, ledger)
+
+    // Resolve names for everyone with a balance — including travelers who have since left
+    const userIds = [...new Set([
+      ...Object.keys(balances),
+      ...ledger.map(s => s.createdBy)
+    ])]
+    const person = await buildPersonLookup(db, trip, userIds)
+
+    const payments = transfers.map((t, index) => ({
+      index,
+      from: person(t.fromUserId),
+      to: person(t.toUserId),
+      amountCents: t.amountCents,
+      currency
+    }))
+
+    return handleCORS(NextResponse.json({
+      balances: Object.keys(balances).map(userId => ({
+        ...person(userId),
+        ...balances[userId]
+      })),
+      payments,
+      ledger: ledger.map(({ _id, ...s }) => ({
+        ...s,
+        from: person(s.fromUserId),
+        to: person(s.toUserId),
+        recordedBy: person(s.createdBy)
+      })),
+      summary: {
+        totalPayments: payments.length,
+        totalAmountCents: payments.reduce((sum, p) => sum + p.amountCents, 0),
+        totalSpendCents,
+        settledCount: ledger.filter(s => s.status === SETTLEMENT_STATUS.CONFIRMED).length,
+        currency
+      }
+    }))
+  } catch (error) {
+    console.error('Error in GET /api/trips/:tripId/settlements:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
+
+// POST /api/trips/:tripId/settlements
+// Record a payment ("A paid B $X on date"). The payer, the recipient or the leader can record it.
+// Recorded by the recipient → confirmed right away; otherwise pending until the other side confirms.
+// Body: { fromUserId, toUserId, amountCents, currency?, exchangeRate?, paidAt?, note? } — currency
+// defaults to the trip base; other currencies capture a rate to the base like expenses do.
+export async function POST(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const body = await request.json()
+    const { fromUserId, toUserId, amountCents, currency, exchangeRate, paidAt, note } = body
+
+    // Validation
+    if (!fromUserId || !toUserId) {
+      return handleCORS(NextResponse.json(
+        { error: 'Payer and recipient are required' },
+        { status: 400 }
+      ))
+    }
+
+    if (fromUserId === toUserId) {
+      return handleCORS(NextResponse.json(
+        { error: 'Payer and recipient must be different people' },
+        { status: 400 }
+      ))
+    }
+
+    if (!amountCents || typeof amountCents !== 'number' || amountCents <= 0) {
+      return handleCORS(NextResponse.json(
+        { error: 'Amount must be a positive number' },
+        { status: 400 }
+      ))
+    }
+
+    if (currency !== undefined && !isValidCurrencyCode(currency)) {
+      return handleCORS(NextResponse.json(
+        { error: 'Currency must be a 3-letter code like USD' },
+        { status: 400 }
+      ))
+    }
+
+    if (exchangeRate !== undefined && (typeof exchangeRate !== 'number' || !(exchangeRate > 0))) {
+      return handleCORS(NextResponse.json(
+        { error: 'Exchange rate must be a positive number' },
+        { status: 400 }
+      ))
+    }
+
+    if (paidAt && isNaN(new Date(paidAt).getTime())) {
+      return handleCORS(NextResponse.json(
+        { error: 'Payment date is invalid' },
+        { status: 400 }
+      ))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Note: cancelled trips are intentionally NOT blocked — money spent before
+    // the cancellation still needs to be paid back.
+
+    // Check if user is an active traveler
+    const isTraveler = await isActiveTraveler(db, trip, auth.user.id)
+    if (!isTraveler) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a traveler on this trip' },
+        { status: 403 }
+      ))
+    }
+
+    if (isFeatureGated(trip, 'settle_mark')) {
+      return handleCORS(NextResponse.json(
+        { error: 'Marking debts as settled is available on boosted trips', feature: 'settle_mark' },
+        { status: 403 }
+      ))
+    }
+
+    const isParty = auth.user.id === fromUserId || auth.user.id === toUserId
+    const isTripLeader = trip.createdBy === auth.user.id
+    if (!isParty && !isTripLeader) {
+      return handleCORS(NextResponse.json(
+        { error: 'Only the payer, the recipient or the trip leader can record a payment' },
+        { status: 403 }
+      ))
+    }
+
+    // Both people must have a balance on this trip (travelers who left still count)
+    const baseCurrency = getTripBaseCurrency(trip)
+    const existing = await db.collection('settlements').find({ tripId }).toArray()
+    const { balances } = settleUp(
+      convertExpensesToBase(trip.expenses || [], baseCurrency),
+      convertSettlementsToBase(existing, baseCurrency)
+    )
+    if (!balances[fromUserId] || !balances[toUserId]) {
+      return handleCORS(NextResponse.json(
+        { error: 'Both people must have expenses on this trip' },
+        { status: 400 }
+      ))
+    }
+
+    // Capture the exchange rate to the trip base currency at entry time
+    // (a rate typed in by the user wins over the provider)
+    const paymentCurrency = currency || baseCurrency
+    let rateFields = {}
+    if (paymentCurrency !== baseCurrency) {
+      const lookedUp = exchangeRate ? null : await getExchangeRate(paymentCurrency, baseCurrency)
+      if (!exchangeRate && !lookedUp) {
+        return handleCORS(NextResponse.json(
+          { error: `No exchange rate available for ${paymentCurrency} — enter one manually` },
+          { status: 400 }
+        ))
+      }
+      rateFields = {
+        baseCurrency,
+        exchangeRate: exchangeRate || lookedUp.rate,
+        rateSource: exchangeRate ? 'manual' : lookedUp.source
+      }
+    }
+
+    await ensureSettlementIndexes()
+
+    const now = new Date().toISOString()
+    const status = auth.user.id === toUserId ? SETTLEMENT_STATUS.CONFIRMED : SETTLEMENT_STATUS.PENDING
+    const settlement = {
+      id: uuidv4(),
+      tripId,
+      fromUserId,
+      toUserId,
+      amountCents: Math.round(amountCents), // Ensure integer
+      currency: paymentCurrency,
+      ...rateFields,
+      paidAt: paidAt || now,
+      note: note?.trim() || undefined,
+      status,
+      createdBy: auth.user.id,
+      createdAt: now,
+      updatedAt: now,
+      history: [
+        { action: 'recorded', userId: auth.user.id, at: now },
+        ...(status === SETTLEMENT_STATUS.CONFIRMED
+          ? [{ action: 'confirmed', userId: auth.user.id, at: now }]
+          : [])
+      ]
+    }
+
+    await db.collection('settlements').insertOne(settlement)
+
+    // Chat event (non-critical)
+    try {
+      const names = await db.collection('users')
+        .find({ id: { $in: [fromUserId, toUserId] } })
+        .project({ id: 1, name: 1 })
+        .toArray()
+      const nameOf = (id) => names.find(u => u.id === id)?.name || 'Someone'
+      const { emitTripChatEvent } = await import('@/lib/chat/emitTripChatEvent.js')
+      await emitTripChatEvent({
+        tripId,
+        circleId: trip.circleId,
+        actorUserId: auth.user.id,
+        subtype: 'settlement_recorded',
+        text: status === SETTLEMENT_STATUS.CONFIRMED
+          ? `${nameOf(toUserId)} got ${formatCents(settlement.amountCents, paymentCurrency)} from ${nameOf(fromUserId)}`
+          : `${nameOf(fromUserId)} paid ${nameOf(toUserId)} ${formatCents(settlement.amountCents, paymentCurrency)} — waiting on ${nameOf(toUserId)} to confirm`,
+        metadata: { settlementId: settlement.id, fromUserId, toUserId, amountCents: settlement.amountCents, status }
+      })
+    } catch (err) {
+      console.error('[settlements] chat event failed:', err.message)
+    }
+
+    const { _id, ...created } = settlement
+    return handleCORS(NextResponse.json(created))
+  } catch (error) {
+    console.error('Error in POST /api/trips/:tripId/settlements:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
@@ -0,0 +1,154 @@
+import { NextResponse } from 'next/server'
+import { connectToMongo } from '@/lib/server/db.js'
+import { requireAuth } from '@/lib/server/auth.js'
+import { handleCORS } from '@/lib/server/cors.js'
+import { checkRateLimit } from '@/lib/server/rateLimit.js'
+import { ensureTripStreamIndexes } from '@/lib/server/ensureIndexes.js'
+import {
+  STREAM_CONFIG,
+  STREAM_EVENT,
+  formatSSE,
+  getStreamEventType,
+  getStreamPollInterval,
+  toStreamMessage,
+  resolveStreamCursor,
+  readMessagesSince
+} from '@/lib/chat/tripStream.js'
+
+export const dynamic = 'force-dynamic'
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// GET /api/trips/:tripId/stream?after=<messageId>
+// Server-Sent Events: message, chat_event and nudge events, each with the
+// message as data and its id as the SSE id, plus message_updated for edits,
+// deletes and reactions. Resumes after Last-Event-ID (or ?after=); ends with
+// a reconnect event before the function time limit.
+export async function GET(request, { params }) {
+  try {
+    const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || 'unknown'
+    const rl = await checkRateLimit(`ip:${ip}`, 'global')
+    if (!rl.success) {
+      const retryAfter = Math.ceil(Math.max(0, rl.reset - Date.now()) / 1000) || 60
+      return handleCORS(NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      ))
+    }
+
+    const { tripId } = params
+    const db = await connectToMongo()
+
+    const auth = await requireAuth(request)
+    if (auth.error) {
+      return handleCORS(NextResponse.json({ error: auth.error }, { status: auth.status }))
+    }
+
+    const trip = await db.collection('trips').findOne({ id: tripId })
+    if (!trip) {
+      return handleCORS(NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      ))
+    }
+
+    // Same access as GET /api/trips/:id/messages
+    const membership = await db.collection('memberships').findOne({
+      userId: auth.user.id,
+      circleId: trip.circleId,
+      status: { $ne: 'left' }
+    })
+    if (!membership) {
+      return handleCORS(NextResponse.json(
+        { error: 'You are not a member of this circle' },
+        { status: 403 }
+      ))
+    }
+
+    await ensureTripStreamIndexes()
+
+    const lastMessageId = request.headers.get('last-event-id') || new URL(request.url).searchParams.get('after')
+    let cursor = await resolveStreamCursor(db, tripId, lastMessageId)
+    // Updates only from now — the client refetches the page when it connects
+    let updatesCursor = { createdAt: new Date().toISOString(), seenIds: [] }
+
+    const encoder = new TextEncoder()
+    const usersById = new Map()
+
+    const stream = new ReadableStream({
+      async start(controller) {
+        const send = (text) => controller.enqueue(encoder.encode(text))
+        const startedAt = Date.now()
+        let lastWriteAt = startedAt
+        let lastActivityAt = startedAt
+
+        send(formatSSE({ event: STREAM_EVENT.READY, data: { tripId }, retry: STREAM_CONFIG.RETRY_MS }))
+
+        try {
+          while (!request.signal?.aborted && Date.now() - startedAt < STREAM_CONFIG.MAX_DURATION_MS) {
+            const result = await readMessagesSince(db, tripId, cursor)
+            cursor = result.cursor
+            const updates = await readMessagesSince(db, tripId, updatesCursor, 'updatedAt')
+            updatesCursor = updates.cursor
+
+            if (result.messages.length > 0 || updates.messages.length > 0) {
+              const all = [...result.messages, ...updates.messages]
+              const missingUserIds = [...new Set(all.map(m => m.userId).filter(id => id && !usersById.has(id)))]
+              if (missingUserIds.length > 0) {
+                const users = await db.collection('users').find({ id: { $in: missingUserIds } }).toArray()
+                users.forEach(u => usersById.set(u.id, u))
+              }
+              for (const message of result.messages) {
+                send(formatSSE({
+                  event: getStreamEventType(message),
+                  id: message.id,
+                  data: toStreamMessage(message, usersById)
+                }))
+              }
+              for (const message of updates.messages) {
+                send(formatSSE({
+                  event: STREAM_EVENT.MESSAGE_UPDATED,
+                  data: toStreamMessage(message, usersById)
+                }))
+              }
+              lastWriteAt = Date.now()
+              lastActivityAt = lastWriteAt
+            } else if (Date.now() - lastWriteAt >= STREAM_CONFIG.HEARTBEAT_MS) {
+              // Comment line keeps proxies from closing an idle stream
+              send(': heartbeat\n\n')
+              lastWriteAt = Date.now()
+            }
+
+            await sleep(getStreamPollInterval(Date.now() - lastActivityAt))
+          }
+          if (!request.signal?.aborted) {
+            send(formatSSE({ event: STREAM_EVENT.RECONNECT, data: null }))
+          }
+        } catch (err) {
+          console.error('[stream] trip chat stream failed:', err)
+        } finally {
+          try {
+            controller.close()
+          } catch {
+            // Already closed by the client
+          }
+        }
+      }
+    })
+
+    return handleCORS(new NextResponse(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      }
+    }))
+  } catch (error) {
+    console.error('Error in GET /api/trips/:tripId/stream:', error)
+    return handleCORS(NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    ))
+  }
+}
@@ -2,12 +2,16 @@ import { NextResponse } from 'next/server'
 import { requireAuth } from '@/lib/server/auth.js'
 import { handleCORS, OPTIONS as handleOPTIONS } from '@/lib/server/cors.js'
 import { v4 as uuidv4 } from 'uuid'
+import { connectToMongo } from '@/lib/server/db.js'
+import { ensureReceiptUploadIndexes } from '@/lib/server/ensureIndexes.js'
+import { authorizeReceiptUpload } from '@/lib/expenses/receiptStorage.js'
 import { writeFile, mkdir, access } from 'fs/promises'
 import { join } from 'path'
 
 export { handleOPTIONS as OPTIONS }
 
 // POST /api/upload/local — Local file upload fallback (dev only, no Vercel Blob)
+// An optional receiptTripId field stores the file as an expense receipt for that trip.
 export async function POST(request) {
   try {
     const auth = await requireAuth(request)
@@ -40,21 +44,36 @@ export async function POST(request) {
       ))
     }
 
-    const uploadsDir = join(process.cwd(), 'public', 'uploads')
+    const ext = file.name?.split('.').pop()?.toLowerCase().replace(/[^a-z0-9]/g, '') || 'jpg'
+    const filename = `${uuidv4()}.${ext}`
+
+    // Expense receipts: only travelers, and the upload is recorded so it can be attached later
+    const receiptTripId = formData.get('receiptTripId')
+    const folder = typeof receiptTripId === 'string' && receiptTripId ? `receipts/${receiptTripId}` : ''
+    if (folder) {
+      await ensureReceiptUploadIndexes()
+      const allowed = await authorizeReceiptUpload(await connectToMongo(), `${folder}/${filename}`, auth.user.id)
+      if (!allowed.ok) {
+        return handleCORS(NextResponse.json(
+          { error: allowed.message },
+          { status: allowed.status }
+        ))
+      }
+    }
+
+    const uploadsDir = join(process.cwd(), 'public', 'uploads', folder)
     try {
       await access(uploadsDir)
     } catch {
       await mkdir(uploadsDir, { recursive: true })
     }
 
-    const ext = file.name?.split('.').pop()?.toLowerCase() || 'jpg'
-    const filename = `${uuidv4()}.${ext}`
     const filePath = join(uploadsDir, filename)
     const buffer = Buffer.from(await file.arrayBuffer())
     await writeFile(filePath, buffer)
 
     return handleCORS(NextResponse.json({
-      url: `/uploads/${filename}`
+      url: folder ? `/uploads/${folder}/${filename}` : `/uploads/${filename}`
     }))
   } catch (error) {
     console.error('Local upload error:', error)
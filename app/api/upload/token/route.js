@@ -2,6 +2,9 @@ import { NextResponse } from 'next/server'
 import { handleUpload } from '@vercel/blob/client'
 import { requireAuth } from '@/lib/server/auth.js'
 import { handleCORS, OPTIONS as handleOPTIONS } from '@/lib/server/cors.js'
+import { connectToMongo } from '@/lib/server/db.js'
+import { ensureReceiptUploadIndexes } from '@/lib/server/ensureIndexes.js'
+import { authorizeReceiptUpload } from '@/lib/expenses/receiptStorage.js'
 
 export { handleOPTIONS as OPTIONS }
 
@@ -17,10 +20,20 @@ export async function POST(request) {
     const jsonResponse = await handleUpload({
       body,
       request,
-      onBeforeGenerateToken: async (pathname) => ({
-        allowedContentTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'image/heif'],
-        maximumSizeInBytes: 5 * 1024 * 1024,
-      }),
+      onBeforeGenerateToken: async (pathname) => {
+        // Expense receipts: only travelers, and the upload is recorded so it can be attached later
+        if (pathname.startsWith('receipts/')) {
+          await ensureReceiptUploadIndexes()
+          const allowed = await authorizeReceiptUpload(await connectToMongo(), pathname, auth.user.id)
+          if (!allowed.ok) {
+            throw Object.assign(new Error(allowed.message), { status: allowed.status })
+          }
+        }
+        return {
+          allowedContentTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'image/heif'],
+          maximumSizeInBytes: 5 * 1024 * 1024,
+        }
+      },
       onUploadCompleted: async ({ blob }) => {
         console.log('Upload completed:', blob.url)
       },
@@ -28,6 +41,9 @@ export async function POST(request) {
 
     return handleCORS(jsonResponse)
   } catch (error) {
+    if (error.status) {
+      return handleCORS(NextResponse.json({ error: error.message }, { status: error.status }))
+    }
     console.error('Upload token error:', error)
     return handleCORS(NextResponse.json(
       { error: 'Upload failed', details: error.message },
@@ -1,6 +1,8 @@
 import Link from 'next/link'
 import Image from 'next/image'
 import { connectToMongo } from '@/lib/server/db.js'
+import { getTripBaseCurrency } from '@/lib/expenses/currency.js'
+import { buildBriefExpensesSummary } from '@/lib/expenses/expenseBreakdown.js'
 
 /**
  * Format a date range, e.g. "Mar 7–9, 2026" or "Mar 28 – Apr 2, 2026"
@@ -260,6 +262,21 @@ export default async function PublicBriefPage({ params }) {
                 <p className="text-xs text-brand-carbon/60 mt-0.5">
                   {expensesSummary.itemCount} expense{expensesSummary.itemCount !== 1 ? 's' : ''} tracked
                 </p>
+                {expensesSummary.byCategory?.length > 0 && (
+                  <div className="mt-2 space-y-1">
+                    {expensesSummary.byCategory.map((c) => (
+                      <div key={c.category} className="flex justify-between text-xs">
+                        <span className="text-brand-carbon/70">{c.label}</span>
+                        <span className="font-medium text-brand-carbon">{formatCurrency(c.amount, expensesSummary.currency)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {!!expensesSummary.perPersonPerDay && (
+                  <p className="text-xs text-brand-carbon/60 mt-1">
+                    ≈ {formatCurrency(expensesSummary.perPersonPerDay, expensesSummary.currency)} per person per day
+                  </p>
+                )}
               </div>
             ) : (
               <EmptyState text="No expenses tracked yet" />
@@ -422,13 +439,7 @@ async function fetchBriefData(briefToken) {
       name: item.name || item.text || 'Unnamed item'
     }))
 
-    let expensesSummary = null
-    const expenses = trip.expenses || []
-    if (expenses.length > 0) {
-      const totalCents = expenses.reduce((sum, e) => sum + (e.amountCents || 0), 0)
-      const currency = expenses[0]?.currency || trip.currency || 'USD'
-      expensesSummary = { totalAmount: totalCents / 100, currency, itemCount: expenses.length }
-    }
+    const expensesSummary = buildBriefExpensesSummary(trip, getTripBaseCurrency(trip))
 
     const decisions = { closed: [] }
     if (trip.lockedStartDate && trip.lockedEndDate) {
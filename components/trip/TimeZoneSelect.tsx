@@ -0,0 +1,52 @@
+'use client'
+
+import { useMemo } from 'react'
+
+// Fallback for runtimes without Intl.supportedValuesOf
+const COMMON_TIME_ZONES = [
+  'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+  'America/Mexico_City', 'America/Sao_Paulo', 'Europe/London', 'Europe/Lisbon',
+  'Europe/Paris', 'Europe/Berlin', 'Europe/Athens', 'Africa/Cairo', 'Asia/Dubai',
+  'Asia/Kolkata', 'Asia/Bangkok', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney',
+  'Pacific/Auckland', 'Pacific/Honolulu', 'UTC'
+]
+
+/**
+ * TimeZoneSelect — native select of IANA zones ("Europe/Lisbon").
+ * Empty value means "not set".
+ */
+export function TimeZoneSelect({
+  id,
+  value,
+  onChange,
+  placeholder = 'Not set',
+  className = ''
+}: {
+  id?: string
+  value: string
+  onChange: (timeZone: string) => void
+  placeholder?: string
+  className?: string
+}) {
+  const zones = useMemo(() => {
+    const supported: string[] = typeof (Intl as any).supportedValuesOf === 'function'
+      ? (Intl as any).supportedValuesOf('timeZone')
+      : COMMON_TIME_ZONES
+    // Keep a stored zone selectable even if this browser doesn't list it
+    return value && !supported.includes(value) ? [value, ...supported] : supported
+  }, [value])
+
+  return (
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={`w-full rounded-md border border-brand-carbon/20 bg-white px-3 py-2 text-sm ${className}`}
+    >
+      <option value="">{placeholder}</option>
+      {zones.map((tz) => (
+        <option key={tz} value={tz}>{tz.replace(/_/g, ' ')}</option>
+      ))}
+    </select>
+  )
+}
@@ -11,9 +11,18 @@ import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, D
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from '@/components/ui/alert-dialog'
 import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group'
 import { Label } from '@/components/ui/label'
-import { MessageCircle, Send, X, Lock, ShieldCheck } from 'lucide-react'
+import { MessageCircle, Send, X, Lock, ShieldCheck, BarChart3, Plus, Clock } from 'lucide-react'
 import { ActionCard } from '@/components/trip/chat/ActionCard'
+import { DecisionCard } from '@/components/trip/chat/DecisionCard'
+import { Switch } from '@/components/ui/switch'
 import { ChatBottomCTA } from '@/components/trip/chat/ChatBottomCTA'
+import { MessageSearch } from '@/components/trip/chat/MessageSearch'
+import { MentionText } from '@/components/trip/chat/MentionText'
+import { MessageActionsMenu, type ConversionTarget } from '@/components/trip/chat/MessageActionsMenu'
+import { getMentionQuery, filterMentionCandidates } from '@/lib/chat/mentions'
+import { summarizeReactions } from '@/lib/chat/messageActions'
+import { CONVERSION_TARGETS, buildConversionDraft } from '@/lib/chat/messageConversions'
+import { getTripBaseCurrency } from '@/lib/expenses/currency'
 import { toast } from 'sonner'
 import { getTripCountdownLabel } from '@/lib/trips/getTripCountdownLabel'
 import { getBlockingUsers } from '@/lib/trips/getBlockingUsers'
@@ -21,6 +30,17 @@ import { formatLeadingOption } from '@/lib/trips/getVotingStatus'
 import { computeTripProgressSnapshot } from '@/lib/trips/progressSnapshot'
 import { normalizeWindow } from '@/lib/trips/normalizeWindow'
 import { getSchedulingPhase } from '@/lib/trips/proposalReady'
+import {
+  MAX_OPTIONS,
+  MIN_OPTIONS,
+  MAX_QUESTION_LENGTH,
+  MAX_OPTION_LENGTH,
+  DEFAULT_TIE_BREAK,
+  TIE_BREAK_LABELS
+} from '@/lib/decisions/decisionPolls'
+import { isFeatureGated } from '@/lib/trips/isFeatureGated'
+import { BoostGateCard } from '@/components/trip/BoostGateCard'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 
 // API helper (local to this component)
 const api = async (endpoint, options = {}, token = null) => {
@@ -66,17 +86,29 @@ export function ChatTab({
   stage,
   setActiveTab,
   isReadOnly = false,
-  onOpenOverlay
+  onOpenOverlay,
+  refreshMessages,
+  hasOlderMessages = false,
+  loadingOlderMessages = false,
+  loadOlderMessages,
+  jumpToMessage,
+  replyingTo = null,
+  setReplyingTo,
+  editMessage,
+  deleteMessage,
+  toggleReaction
 }: any) {
   // Chat-to-scheduling bridge: detect parseable dates in messages
   const dateDetectionCache = useMemo(() => {
     const cache = new Map()
     if (!trip || getSchedulingPhase(trip) !== 'COLLECTING') return cache
     if (!messages?.length) return cache
+    // Best guess for DD/MM vs MM/DD: the viewer's locale
+    const locale = typeof navigator !== 'undefined' ? navigator.language : undefined
     for (const msg of messages) {
       if (msg.isSystem || !msg.content) continue
       try {
-        const result = normalizeWindow(msg.content)
+        const result = normalizeWindow(msg.content, { locale })
         if (result && !result.error && result.startISO && result.endISO) {
           cache.set(msg.id, { startISO: result.startISO, endISO: result.endISO })
         }
@@ -167,6 +199,62 @@ export function ChatTab({
     prevMessageCountRef.current = currentCount
   }, [messages, scrollToBottom])
 
+  // Jump to a message (from search): page back until it's loaded, then flash it
+  const [highlightedMessageId, setHighlightedMessageId] = useState<string | null>(null)
+  const handleJumpToMessage = useCallback(async (messageId: string) => {
+    const loaded = jumpToMessage
+      ? await jumpToMessage(messageId)
+      : (messages || []).some((m: any) => m.id === messageId)
+    if (!loaded) {
+      toast.error("That message is too far back to show here")
+      return
+    }
+    isNearBottomRef.current = false
+    // Wait for older pages to render before scrolling
+    setTimeout(() => {
+      const el = scrollAreaRef.current?.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`)
+      el?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+      setHighlightedMessageId(messageId)
+      setTimeout(() => setHighlightedMessageId(null), 2000)
+    }, 50)
+  }, [jumpToMessage, messages])
+
+  // @mention autocomplete — candidates load on the first "@"
+  const composerRef = useRef<HTMLInputElement>(null)
+  const [mentionCandidates, setMentionCandidates] = useState<Array<{ id: string; name: string }> | null>(null)
+  const [mentionQuery, setMentionQuery] = useState<{ start: number; query: string } | null>(null)
+  const [mentionIndex, setMentionIndex] = useState(0)
+
+  const mentionMatches = useMemo(() => {
+    if (!mentionQuery || !mentionCandidates) return []
+    return filterMentionCandidates(mentionCandidates, mentionQuery.query).slice(0, 5)
+  }, [mentionQuery, mentionCandidates])
+
+  const updateMentionQuery = useCallback((text: string, caret: number | null) => {
+    const next = caret == null ? null : getMentionQuery(text, caret)
+    setMentionQuery(next)
+    setMentionIndex(0)
+    if (next && mentionCandidates === null && trip?.id && token) {
+      setMentionCandidates([])
+      api(`/trips/${trip.id}/mention-candidates`, { method: 'GET' }, token)
+        .then((data: any) => setMentionCandidates(data.travelers || []))
+        .catch(() => setMentionCandidates(null))
+    }
+  }, [mentionCandidates, trip?.id, token])
+
+  const insertMention = useCallback((candidate: { id: string; name: string }) => {
+    if (!mentionQuery) return
+    const caret = mentionQuery.start + 1 + mentionQuery.query.length
+    const inserted = `@${candidate.name} `
+    setNewMessage(newMessage.slice(0, mentionQuery.start) + inserted + newMessage.slice(caret))
+    setMentionQuery(null)
+    requestAnimationFrame(() => {
+      const pos = mentionQuery.start + inserted.length
+      composerRef.current?.focus()
+      composerRef.current?.setSelectionRange(pos, pos)
+    })
+  }, [mentionQuery, newMessage, setNewMessage])
+
   // Wrap sendMessage to always scroll to bottom after sending
   const handleSendMessage = useCallback(() => {
     if (sendMessage) {
@@ -646,6 +734,164 @@ export function ChatTab({
     }
   }
 
+  // Decision polls: chat messages carry the card, results come from the decisions API
+  const [decisionsById, setDecisionsById] = useState<Record<string, any>>({})
+  const [decisionsLoaded, setDecisionsLoaded] = useState(false)
+  const [showPollDialog, setShowPollDialog] = useState(false)
+  const [pollQuestion, setPollQuestion] = useState('')
+  const [pollOptions, setPollOptions] = useState<string[]>(['', ''])
+  const [pollMultiChoice, setPollMultiChoice] = useState(false)
+  const [pollShowDeadline, setPollShowDeadline] = useState(false)
+  const [pollDeadline, setPollDeadline] = useState('')
+  const [pollAutoClose, setPollAutoClose] = useState(true)
+  const [pollTieBreak, setPollTieBreak] = useState(DEFAULT_TIE_BREAK)
+  const [creatingPoll, setCreatingPoll] = useState(false)
+  const [pollSourceMessageId, setPollSourceMessageId] = useState<string | null>(null)
+
+  const decisionMessageCount = useMemo(
+    () => (messages || []).filter((m: any) => m.subtype === 'decision_created' || m.subtype === 'decision_closed').length,
+    [messages]
+  )
+  const hasOpenDecision = Object.values(decisionsById).some((d: any) => d.status === 'open')
+
+  const loadDecisions = useCallback(async () => {
+    if (!trip?.id || !token) return
+    try {
+      const data = await api(`/trips/${trip.id}/decisions`, { method: 'GET' }, token)
+      setDecisionsById(Object.fromEntries((data || []).map((d: any) => [d.id, d])))
+      setDecisionsLoaded(true)
+    } catch (error) {
+      console.error('Failed to load decisions:', error)
+    }
+  }, [trip?.id, token])
+
+  // Load when poll cards appear in chat, then keep open polls' results fresh
+  useEffect(() => {
+    if (decisionMessageCount > 0) loadDecisions()
+  }, [decisionMessageCount, loadDecisions])
+
+  useEffect(() => {
+    if (!hasOpenDecision) return
+    const interval = setInterval(loadDecisions, 10000)
+    return () => clearInterval(interval)
+  }, [hasOpenDecision, loadDecisions])
+
+  const handleVote = async (decisionId: string, optionIds: string[]) => {
+    try {
+      const updated = await api(`/trips/${trip.id}/decisions/${decisionId}/vote`, {
+        method: 'POST',
+        body: JSON.stringify({ optionIds })
+      }, token)
+      setDecisionsById(prev => ({ ...prev, [updated.id]: updated }))
+    } catch (error: any) {
+      toast.error(error.message || 'Could not save your vote — please try again')
+    }
+  }
+
+  const handleClosePoll = async (decisionId: string, winningOptionId?: string) => {
+    try {
+      const updated = await api(`/trips/${trip.id}/decisions/${decisionId}/close`, {
+        method: 'POST',
+        body: JSON.stringify(winningOptionId ? { winningOptionId } : {})
+      }, token)
+      setDecisionsById(prev => ({ ...prev, [updated.id]: updated }))
+      refreshMessages?.()
+    } catch (error: any) {
+      toast.error(error.message || 'Could not close the poll — please try again')
+    }
+  }
+
+  const handleUpdatePoll = async (decisionId: string, updates: Record<string, any>) => {
+    try {
+      const updated = await api(`/trips/${trip.id}/decisions/${decisionId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates)
+      }, token)
+      setDecisionsById(prev => ({ ...prev, [updated.id]: updated }))
+    } catch (error: any) {
+      toast.error(error.message || 'Could not update the poll — please try again')
+    }
+  }
+
+  const resetPollForm = () => {
+    setPollQuestion('')
+    setPollOptions(['', ''])
+    setPollMultiChoice(false)
+    setPollShowDeadline(false)
+    setPollDeadline('')
+    setPollAutoClose(true)
+    setPollTieBreak(DEFAULT_TIE_BREAK)
+    setPollSourceMessageId(null)
+  }
+
+  const handleCreatePoll = async () => {
+    const options = pollOptions.map(o => o.trim()).filter(Boolean)
+    if (!pollQuestion.trim() || options.length < MIN_OPTIONS) {
+      toast.error(`Add a question and at least ${MIN_OPTIONS} options`)
+      return
+    }
+
+    setCreatingPoll(true)
+    try {
+      const created = await api(`/trips/${trip.id}/decisions`, {
+        method: 'POST',
+        body: JSON.stringify({
+          question: pollQuestion,
+          options,
+          multiChoice: pollMultiChoice,
+          ...(pollSourceMessageId ? { sourceMessageId: pollSourceMessageId } : {}),
+          ...(pollShowDeadline && pollDeadline
+            ? {
+                // datetime-local is in the viewer's timezone
+                deadline: new Date(pollDeadline).toISOString(),
+                autoClose: pollAutoClose,
+                ...(isTripLeader ? { tieBreak: pollTieBreak } : {})
+              }
+            : {})
+        })
+      }, token)
+      setDecisionsById(prev => ({ ...prev, [created.id]: created }))
+      setShowPollDialog(false)
+      resetPollForm()
+      refreshMessages?.()
+    } catch (error: any) {
+      toast.error(error.message || 'Could not create the poll — please try again')
+    } finally {
+      setCreatingPoll(false)
+    }
+  }
+
+  // Save a chat message as a trip item. Expenses and polls open their form
+  // pre-filled; the rest are created straight away.
+  const handleConvertMessage = async (msg: any, target: ConversionTarget) => {
+    const draft: any = buildConversionDraft(msg, target, { baseCurrency: getTripBaseCurrency(trip) })
+    if (!draft) return
+
+    if (target === 'expense') {
+      onOpenOverlay?.('expenses', { prefillExpense: draft })
+      return
+    }
+    if (target === 'poll') {
+      resetPollForm()
+      setPollQuestion(draft.question)
+      setPollSourceMessageId(draft.sourceMessageId)
+      setShowPollDialog(true)
+      return
+    }
+
+    const endpoint = { idea: 'itinerary/ideas', prep: 'prep/checklist', accommodation: 'accommodations' }[target]
+    try {
+      await api(`/trips/${trip.id}/${endpoint}`, {
+        method: 'POST',
+        body: JSON.stringify(draft)
+      }, token)
+      toast.success(`Saved as ${CONVERSION_TARGETS[target].noun}`)
+      refreshMessages?.()
+    } catch (error: any) {
+      toast.error(error.message || 'Could not save that message — please try again')
+    }
+  }
+
   // ActionCard hidden — Command Center V3 has its own CTA bar
   const showActionCard = false
 
@@ -698,11 +944,135 @@ export function ChatTab({
     }
   }, [blockingInfo, shouldShowInitialBlocking, trip?.id, user?.id])
 
+  // Reactions, replies, edits and deletes — system chat cards never get these
+  const [editingMessageId, setEditingMessageId] = useState<string | null>(null)
+  const [editDraft, setEditDraft] = useState('')
+  const [pendingDeleteId, setPendingDeleteId] = useState<string | null>(null)
+  const canUseMessageActions = !viewerIsReadOnly && !!toggleReaction
+
+  const handleSaveEdit = async () => {
+    if (!editingMessageId || !editDraft.trim() || !editMessage) return
+    const saved = await editMessage(editingMessageId, editDraft.trim())
+    if (saved) setEditingMessageId(null)
+  }
+
+  const renderMessageBubble = (msg: any, isFromCurrentUser: boolean) => {
+    if (msg.deleted) {
+      return (
+        <div className={`rounded-2xl border border-dashed border-brand-carbon/15 px-3.5 py-2 ${isFromCurrentUser ? 'rounded-br-md' : 'rounded-bl-md'}`}>
+          <p className="text-sm italic text-brand-carbon/50">Message deleted</p>
+        </div>
+      )
+    }
+
+    if (editingMessageId === msg.id) {
+      return (
+        <div className="flex items-center gap-1.5 min-w-[240px]">
+          <Input
+            autoFocus
+            value={editDraft}
+            onChange={(e) => setEditDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleSaveEdit()
+              if (e.key === 'Escape') setEditingMessageId(null)
+            }}
+            maxLength={2000}
+            className="h-9 text-sm text-brand-carbon bg-white"
+            aria-label="Edit message"
+          />
+          <Button size="sm" onClick={handleSaveEdit} disabled={!editDraft.trim()}>Save</Button>
+          <Button size="sm" variant="ghost" onClick={() => setEditingMessageId(null)}>Cancel</Button>
+        </div>
+      )
+    }
+
+    const reactions = summarizeReactions(msg.reactions, user?.id)
+    return (
+      <div className={`group flex flex-col ${isFromCurrentUser ? 'items-end' : 'items-start'}`}>
+        <div className={`flex items-center gap-1 ${isFromCurrentUser ? 'flex-row-reverse' : ''}`}>
+          <div className={isFromCurrentUser
+            ? 'bg-brand-blue text-white rounded-2xl rounded-br-md px-3.5 py-2'
+            : 'bg-brand-sand/50 rounded-2xl rounded-bl-md px-3.5 py-2'}
+          >
+            {msg.replyTo && (
+              <button
+                type="button"
+                onClick={() => !msg.replyTo.deleted && handleJumpToMessage(msg.replyTo.messageId)}
+                className={`block w-full text-left mb-1 border-l-2 pl-2 text-xs ${isFromCurrentUser ? 'border-white/60 text-white/80' : 'border-brand-blue/40 text-brand-carbon/60'}`}
+              >
+                <span className="font-medium">{msg.replyTo.userName || 'Trip update'}</span>
+                <span className="block truncate max-w-[240px]">{msg.replyTo.deleted ? 'Message deleted' : msg.replyTo.excerpt}</span>
+              </button>
+            )}
+            <p className={`text-sm ${isFromCurrentUser ? '' : 'text-brand-carbon'}`}>
+              <MentionText content={msg.content} mentions={msg.mentions} viewerId={user?.id} onDark={isFromCurrentUser} />
+              {msg.editedAt && <span className="text-[10px] opacity-60 ml-1">(edited)</span>}
+            </p>
+          </div>
+          {canUseMessageActions && (
+            <MessageActionsMenu
+              align={isFromCurrentUser ? 'end' : 'start'}
+              canEdit={isFromCurrentUser}
+              canDelete={isFromCurrentUser || isTripLeader}
+              onReact={(emoji) => toggleReaction(msg.id, emoji)}
+              onReply={() => {
+                setReplyingTo?.(msg)
+                composerRef.current?.focus()
+              }}
+              onEdit={() => {
+                setEditingMessageId(msg.id)
+                setEditDraft(msg.content)
+              }}
+              onDelete={() => setPendingDeleteId(msg.id)}
+              onConvert={(target) => handleConvertMessage(msg, target)}
+            />
+          )}
+        </div>
+        {reactions.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-1">
+            {reactions.map(r => (
+              <button
+                key={r.emoji}
+                type="button"
+                disabled={!canUseMessageActions}
+                onClick={() => toggleReaction(msg.id, r.emoji)}
+                aria-label={`${r.emoji} ${r.count}`}
+                aria-pressed={r.reacted}
+                className={`flex items-center gap-0.5 rounded-full border px-1.5 py-0.5 text-xs ${r.reacted ? 'border-brand-blue/40 bg-brand-blue/10 text-brand-blue' : 'border-brand-carbon/10 bg-white text-brand-carbon/70'}`}
+              >
+                <span>{r.emoji}</span>
+                <span>{r.count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    )
+  }
+
   // Chat content (shared between legacy and command-center modes)
   const chatContent = (
     <>
+      {trip?.id && token && (
+        <div className="shrink-0 pr-4">
+          <MessageSearch tripId={trip.id} token={token} onJump={handleJumpToMessage} />
+        </div>
+      )}
       <ScrollArea ref={scrollAreaRef} className="flex-1 min-h-0 pr-4">
           <div className="space-y-0 px-1">
+            {hasOlderMessages && loadOlderMessages && (
+              <div className="flex justify-center py-2">
+                <button
+                  type="button"
+                  onClick={() => loadOlderMessages()}
+                  disabled={loadingOlderMessages}
+                  className="text-xs font-medium text-brand-blue hover:underline disabled:opacity-50"
+                >
+                  {loadingOlderMessages ? 'Loading...' : 'Load earlier messages'}
+                </button>
+              </div>
+            )}
+
             {/* Waiting on... clarity message (system style, at top) */}
             {blockingInfo && (blockingInfo.reasonCode !== 'initial_scheduling' || allowInitialBlocking) && (
               <div className="flex justify-center mb-3">
@@ -821,7 +1191,11 @@ export function ChatTab({
                   : '?'
 
                 return (
-                  <div key={msg.id}>
+                  <div
+                    key={msg.id}
+                    data-message-id={msg.id}
+                    className={highlightedMessageId === msg.id ? 'rounded-lg bg-brand-sand/40 transition-colors' : 'transition-colors'}
+                  >
                     {/* Date divider */}
                     {showDateDivider && dateDividerLabel && (
                       <div className="flex items-center gap-3 py-2">
@@ -853,6 +1227,36 @@ export function ChatTab({
                                 </div>
                               </div>
                             </div>
+                          ) : msg.subtype === 'decision_created' && msg.metadata?.decisionId ? (
+                            // Live poll card
+                            <DecisionCard
+                              decision={decisionsById[msg.metadata.decisionId]}
+                              fallbackQuestion={msg.metadata.question || msg.content}
+                              loaded={decisionsLoaded}
+                              isTripLeader={isTripLeader}
+                              readOnly={viewerIsReadOnly}
+                              onVote={handleVote}
+                              onClose={handleClosePoll}
+                              onUpdate={handleUpdatePoll}
+                            />
+                          ) : msg.subtype === 'scheduling_deadline' ? (
+                            // Deadline passed — proposed dates or handed back to the leader
+                            <div className="bg-brand-sand rounded-lg px-4 py-3 text-sm text-brand-carbon max-w-[85%]">
+                              <div className="flex items-start gap-2">
+                                <Clock className="h-4 w-4 text-brand-blue mt-0.5 shrink-0" />
+                                <div>
+                                  <p>{msg.content}</p>
+                                  {onOpenOverlay && (
+                                    <button
+                                      onClick={() => onOpenOverlay('scheduling')}
+                                      className="text-xs font-medium text-brand-blue hover:underline mt-1 inline-block"
+                                    >
+                                      {msg.metadata?.outcome === 'proposed' ? 'React to the dates' : 'Open dates'} &rarr;
+                                    </button>
+                                  )}
+                                </div>
+                              </div>
+                            </div>
                           ) : msg.subtype === 'nudge' || msg.metadata?.source === 'nudge_engine' ? (
                             // Nudge messages with Planner Shield identity
                             <div className="bg-brand-sand/60 border border-brand-sand rounded-lg px-4 py-2 text-sm text-brand-carbon max-w-[85%]">
@@ -863,13 +1267,16 @@ export function ChatTab({
                             </div>
                           ) : (
                             <div
-                              className={`bg-brand-sand/50 rounded-full px-4 py-1 text-sm text-brand-carbon/70 ${msg.metadata?.href ? 'cursor-pointer hover:bg-brand-sand/70 transition-colors' : ''}`}
+                              className={`bg-brand-sand/50 rounded-full px-4 py-1 text-sm text-brand-carbon/70 ${msg.metadata?.href || msg.metadata?.sourceMessageId ? 'cursor-pointer hover:bg-brand-sand/70 transition-colors' : ''}`}
                               onClick={msg.metadata?.href ? () => {
                                 if (msg.metadata.href.startsWith('/')) {
                                   window.location.href = msg.metadata.href
                                 } else {
                                   window.open(msg.metadata.href, '_blank')
                                 }
+                              } : msg.metadata?.sourceMessageId ? () => {
+                                // Saved-from-chat events point back at the original message
+                                handleJumpToMessage(msg.metadata.sourceMessageId)
                               } : undefined}
                             >
                               {msg.content}
@@ -879,10 +1286,8 @@ export function ChatTab({
                       ) : isFromCurrentUser ? (
                         // Current user — right-aligned bubble
                         <div className="max-w-[75%]">
-                          <div className="flex items-end gap-1.5">
-                            <div className="bg-brand-blue text-white rounded-2xl rounded-br-md px-3.5 py-2">
-                              <p className="text-sm">{msg.content}</p>
-                            </div>
+                          <div className="flex items-end justify-end gap-1.5">
+                            {renderMessageBubble(msg, true)}
                           </div>
                           {dateDetectionCache.get(msg.id) && (
                             <button
@@ -911,9 +1316,7 @@ export function ChatTab({
                             {!isSameGroup && (
                               <p className="text-xs font-medium text-brand-carbon/60 mb-0.5 ml-1">{senderName}</p>
                             )}
-                            <div className="bg-brand-sand/50 rounded-2xl rounded-bl-md px-3.5 py-2">
-                              <p className="text-sm text-brand-carbon">{msg.content}</p>
-                            </div>
+                            {renderMessageBubble(msg, false)}
                             {dateDetectionCache.get(msg.id) && (
                               <button
                                 onClick={() => {
@@ -1209,16 +1612,71 @@ export function ChatTab({
         {/* Inline CTA for leadership transfer or hosted invite */}
         <ChatBottomCTA trip={trip} token={token} user={user} onRefresh={onRefresh} />
 
-        <div className={`flex gap-2 ${showActionCard ? 'pt-0' : 'mt-4 pt-4'} border-t`}>
+        {replyingTo && (
+          <div className="flex items-start justify-between gap-2 mt-3 rounded-lg bg-brand-sand/40 border-l-2 border-brand-blue px-3 py-1.5">
+            <div className="min-w-0 text-xs">
+              <p className="font-medium text-brand-carbon/70">Replying to {replyingTo.user?.name || 'a trip update'}</p>
+              <p className="truncate text-brand-carbon/60">{replyingTo.content}</p>
+            </div>
+            <button type="button" onClick={() => setReplyingTo?.(null)} aria-label="Cancel reply" className="text-brand-carbon/40 hover:text-brand-carbon">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+
+        <div className={`relative flex gap-2 ${showActionCard ? 'pt-0' : 'mt-4 pt-4'} border-t`}>
+          {mentionMatches.length > 0 && (
+            <ul
+              role="listbox"
+              aria-label="Mention a traveler"
+              className="absolute bottom-full left-0 mb-1 w-64 max-w-full rounded-lg border border-brand-carbon/10 bg-white shadow-md py-1 z-20"
+            >
+              {mentionMatches.map((candidate, i) => (
+                <li key={candidate.id} role="option" aria-selected={i === mentionIndex}>
+                  <button
+                    type="button"
+                    onMouseDown={(e) => {
+                      // Keep focus in the composer
+                      e.preventDefault()
+                      insertMention(candidate)
+                    }}
+                    className={`w-full text-left px-3 py-1.5 text-sm ${i === mentionIndex ? 'bg-brand-sand/50' : 'hover:bg-brand-sand/30'}`}
+                  >
+                    @{candidate.name}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
           <Input
+            ref={composerRef}
             value={newMessage}
             onChange={(e) => {
               if (!viewerIsReadOnly) {
                 setNewMessage(e.target.value)
+                updateMentionQuery(e.target.value, e.target.selectionStart)
               }
             }}
+            onBlur={() => setMentionQuery(null)}
             placeholder={readOnlyPlaceholder}
             onKeyDown={(e) => {
+              if (mentionMatches.length > 0) {
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                  e.preventDefault()
+                  const step = e.key === 'ArrowDown' ? 1 : -1
+                  setMentionIndex((mentionIndex + step + mentionMatches.length) % mentionMatches.length)
+                  return
+                }
+                if (e.key === 'Enter' || e.key === 'Tab') {
+                  e.preventDefault()
+                  insertMention(mentionMatches[mentionIndex] || mentionMatches[0])
+                  return
+                }
+                if (e.key === 'Escape') {
+                  setMentionQuery(null)
+                  return
+                }
+              }
               if (!viewerIsReadOnly && e.key === 'Enter' && sendMessage) {
                 handleSendMessage()
               }
@@ -1226,6 +1684,16 @@ export function ChatTab({
             disabled={viewerIsReadOnly}
             className="text-brand-carbon bg-white"
           />
+          {!viewerIsReadOnly && (
+            <Button
+              variant="outline"
+              onClick={() => setShowPollDialog(true)}
+              aria-label="Start a poll"
+              title="Start a poll"
+            >
+              <BarChart3 className="h-4 w-4" />
+            </Button>
+          )}
           <Button
             onClick={viewerIsReadOnly ? undefined : handleSendMessage}
             disabled={viewerIsReadOnly || sendingMessage || !newMessage.trim()}
@@ -1235,6 +1703,137 @@ export function ChatTab({
             <Send className="h-4 w-4" />
           </Button>
         </div>
+
+        {/* Delete message */}
+        <AlertDialog open={!!pendingDeleteId} onOpenChange={(open) => !open && setPendingDeleteId(null)}>
+          <AlertDialogContent>
+            <AlertDialogHeader>
+              <AlertDialogTitle>Delete this message?</AlertDialogTitle>
+              <AlertDialogDescription>
+                It will show as deleted for everyone on the trip.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel>Keep it</AlertDialogCancel>
+              <AlertDialogAction
+                onClick={() => {
+                  if (pendingDeleteId) deleteMessage?.(pendingDeleteId)
+                  setPendingDeleteId(null)
+                }}
+                className="bg-brand-red hover:bg-brand-red/90"
+              >
+                Delete
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+
+        {/* Start a poll */}
+        <Dialog open={showPollDialog} onOpenChange={(open) => {
+          setShowPollDialog(open)
+          if (!open) resetPollForm()
+        }}>
+          <DialogContent className="max-w-md">
+            <DialogHeader>
+              <DialogTitle>Start a poll</DialogTitle>
+              <DialogDescription>
+                Ask the group and settle it with a vote. The leader closes the poll.
+              </DialogDescription>
+            </DialogHeader>
+            <div className="space-y-4">
+              <div>
+                <Label htmlFor="poll-question">Question</Label>
+                <Input
+                  id="poll-question"
+                  value={pollQuestion}
+                  maxLength={MAX_QUESTION_LENGTH}
+                  onChange={(e) => setPollQuestion(e.target.value)}
+                  placeholder="e.g., Pizza or sushi for Friday dinner?"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Options</Label>
+                {pollOptions.map((option, idx) => (
+                  <div key={idx} className="flex items-center gap-2">
+                    <Input
+                      value={option}
+                      maxLength={MAX_OPTION_LENGTH}
+                      onChange={(e) => setPollOptions(prev => prev.map((o, i) => i === idx ? e.target.value : o))}
+                      placeholder={`Option ${idx + 1}`}
+                      aria-label={`Option ${idx + 1}`}
+                    />
+                    {pollOptions.length > MIN_OPTIONS && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => setPollOptions(prev => prev.filter((_, i) => i !== idx))}
+                        aria-label={`Remove option ${idx + 1}`}
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    )}
+                  </div>
+                ))}
+                {pollOptions.length < MAX_OPTIONS && (
+                  <Button variant="outline" size="sm" onClick={() => setPollOptions(prev => [...prev, ''])}>
+                    <Plus className="h-4 w-4 mr-1" />
+                    Add option
+                  </Button>
+                )}
+              </div>
+              <div className="flex items-center justify-between">
+                <Label htmlFor="poll-multi">Allow picking more than one</Label>
+                <Switch id="poll-multi" checked={pollMultiChoice} onCheckedChange={setPollMultiChoice} />
+              </div>
+              {!pollShowDeadline ? (
+                <Button variant="ghost" size="sm" className="px-0" onClick={() => setPollShowDeadline(true)}>
+                  Add a deadline
+                </Button>
+              ) : isFeatureGated(trip, 'decision_deadline') ? (
+                <BoostGateCard trip={trip} feature="decision_deadline" token={token} />
+              ) : (
+                <div className="space-y-3 rounded-md border border-brand-carbon/10 p-3">
+                  <div>
+                    <Label htmlFor="poll-deadline">Voting closes</Label>
+                    <Input
+                      id="poll-deadline"
+                      type="datetime-local"
+                      value={pollDeadline}
+                      onChange={(e) => setPollDeadline(e.target.value)}
+                    />
+                  </div>
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="poll-auto-close">Announce the result automatically</Label>
+                    <Switch id="poll-auto-close" checked={pollAutoClose} onCheckedChange={setPollAutoClose} />
+                  </div>
+                  {isTripLeader && pollAutoClose && (
+                    <div>
+                      <Label>If it's a tie</Label>
+                      <Select value={pollTieBreak} onValueChange={setPollTieBreak}>
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(TIE_BREAK_LABELS).map(([value, label]) => (
+                            <SelectItem key={value} value={value}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+            <DialogFooter>
+              <Button variant="outline" onClick={() => setShowPollDialog(false)}>
+                Cancel
+              </Button>
+              <Button onClick={handleCreatePoll} disabled={creatingPoll}>
+                {creatingPoll ? 'Posting...' : 'Post poll'}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
     </>
   )
 
@@ -1,5 +1,6 @@
 'use client'
 
+import type { ReactNode } from 'react'
 import { Button } from '@/components/ui/button'
 import { X } from 'lucide-react'
 
@@ -8,15 +9,17 @@ import { X } from 'lucide-react'
  * 
  * @param {Object} props
  * @param {Object} props.action - NextAction object from getNextAction
- * @param {Function} props.onDismiss - Callback when card is dismissed
- * @param {Function} props.onAction - Callback when primary button is clicked
+ * @param {Function} [props.onDismiss] - Callback when card is dismissed (no dismiss button when omitted)
+ * @param {Function} [props.onAction] - Callback when primary button is clicked (no button when omitted)
  * @param {boolean} props.actionRequired - Whether action is required (for red styling)
+ * @param {ReactNode} [props.children] - Extra content between the description and the CTA (e.g. poll options)
  */
 export function ActionCard({
   action,
   onDismiss,
   onAction,
-  actionRequired = false
+  actionRequired = false,
+  children
 }: {
   action: {
     id: string
@@ -27,9 +30,10 @@ export function ActionCard({
     deeplinkTab?: string
     actionRequired?: boolean
   }
-  onDismiss: () => void
-  onAction: () => void
+  onDismiss?: () => void
+  onAction?: () => void
   actionRequired?: boolean
+  children?: ReactNode
 }) {
   return (
     <div className="mb-4 p-4 bg-brand-sand/40 border border-brand-blue/20 rounded-lg flex flex-col gap-3">
@@ -42,24 +46,30 @@ export function ActionCard({
             {action.description}
           </p>
         </div>
-        <button
-          onClick={onDismiss}
-          className="flex-shrink-0 p-2 text-brand-carbon/40 hover:text-brand-carbon/70 transition-colors"
-          aria-label="Dismiss"
-        >
-          <X className="h-4 w-4" />
-        </button>
-      </div>
-      
-      <div className="flex items-center gap-2">
-        <Button
-          onClick={onAction}
-          size="sm"
-          className={`flex-shrink-0 h-10 md:h-9 ${actionRequired ? 'bg-brand-red hover:bg-brand-red/90' : ''}`}
-        >
-          {action.ctaLabel}
-        </Button>
+        {onDismiss && (
+          <button
+            onClick={onDismiss}
+            className="flex-shrink-0 p-2 text-brand-carbon/40 hover:text-brand-carbon/70 transition-colors"
+            aria-label="Dismiss"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
       </div>
+
+      {children}
+
+      {onAction && (
+        <div className="flex items-center gap-2">
+          <Button
+            onClick={onAction}
+            size="sm"
+            className={`flex-shrink-0 h-10 md:h-9 ${actionRequired ? 'bg-brand-red hover:bg-brand-red/90' : ''}`}
+          >
+            {action.ctaLabel}
+          </Button>
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,185 @@
+'use client'
+
+import { useState } from 'react'
+import { Check } from 'lucide-react'
+import { ActionCard } from '@/components/trip/chat/ActionCard'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { isPastDeadline, DEFAULT_TIE_BREAK, TIE_BREAK_LABELS } from '@/lib/decisions/decisionPolls'
+
+function formatDeadline(iso: string) {
+  return new Date(iso).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+}
+
+/**
+ * DecisionCard renders a group poll inline in trip chat, on top of ActionCard.
+ *
+ * Travelers tap options to vote (tap again to withdraw; multi-choice polls
+ * toggle each option). The leader gets a "Close poll" CTA; on a tie they pick
+ * the winner from the tied options. Closed polls render read-only.
+ *
+ * Polls with a deadline stop taking votes once it passes; with auto-close on,
+ * the leader can change how a tie is settled right on the card.
+ *
+ * @param {Object} props
+ * @param {Object} [props.decision] - Decision from /api/trips/:tripId/decisions (undefined while loading or if deleted)
+ * @param {string} props.fallbackQuestion - Question from the chat message metadata
+ * @param {boolean} props.loaded - Whether decisions have been fetched at least once
+ * @param {boolean} props.isTripLeader
+ * @param {boolean} props.readOnly
+ * @param {Function} props.onVote - (decisionId, optionIds) => Promise<void>
+ * @param {Function} props.onClose - (decisionId, winningOptionId?) => Promise<void>
+ * @param {Function} [props.onUpdate] - (decisionId, { tieBreak }) => Promise<void>
+ */
+export function DecisionCard({
+  decision,
+  fallbackQuestion,
+  loaded,
+  isTripLeader,
+  readOnly,
+  onVote,
+  onClose,
+  onUpdate
+}: {
+  decision?: any
+  fallbackQuestion: string
+  loaded: boolean
+  isTripLeader: boolean
+  readOnly: boolean
+  onVote: (decisionId: string, optionIds: string[]) => Promise<void>
+  onClose: (decisionId: string, winningOptionId?: string) => Promise<void>
+  onUpdate?: (decisionId: string, updates: Record<string, any>) => Promise<void>
+}) {
+  const [busy, setBusy] = useState(false)
+  const [pickingWinner, setPickingWinner] = useState(false)
+
+  if (!decision) {
+    return (
+      <div className="bg-brand-sand/50 rounded-lg px-4 py-2 text-sm text-brand-carbon/70 max-w-[85%]">
+        {loaded ? `Poll removed: ${fallbackQuestion}` : fallbackQuestion}
+      </div>
+    )
+  }
+
+  const isOpen = decision.status === 'open'
+  const results = decision.results || { options: [], voterCount: 0, leadingOptionIds: [] }
+  const viewerOptionIds: string[] = decision.viewerOptionIds || []
+  const isTie = results.leadingOptionIds.length > 1
+  const votingEnded = isOpen && isPastDeadline(decision)
+  const canVote = isOpen && !votingEnded && !readOnly && !busy
+
+  const run = async (fn: () => Promise<void>) => {
+    setBusy(true)
+    try {
+      await fn()
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleOptionTap = (optionId: string) => {
+    if (pickingWinner) {
+      setPickingWinner(false)
+      run(() => onClose(decision.id, optionId))
+      return
+    }
+    if (!canVote) return
+    const selected = viewerOptionIds.includes(optionId)
+    const next = decision.multiChoice
+      ? (selected ? viewerOptionIds.filter(id => id !== optionId) : [...viewerOptionIds, optionId])
+      : (selected ? [] : [optionId])
+    run(() => onVote(decision.id, next))
+  }
+
+  const handleClose = () => {
+    if (isTie) {
+      setPickingWinner(true)
+      return
+    }
+    run(() => onClose(decision.id))
+  }
+
+  const voterLabel = `${results.voterCount} ${results.voterCount === 1 ? 'vote' : 'votes'}`
+  const description = isOpen
+    ? pickingWinner
+      ? 'It\'s a tie — tap the option that wins.'
+      : votingEnded
+        ? `Voting ended · ${voterLabel}`
+        : `${decision.multiChoice ? 'Pick any' : 'Pick one'} · ${voterLabel}`
+    : decision.winningOptionId
+      ? `Decided · ${voterLabel}`
+      : `Closed without a decision · ${voterLabel}`
+
+  return (
+    <div className="w-full max-w-[85%]">
+      <ActionCard
+        action={{
+          id: `decision-${decision.id}`,
+          title: decision.question,
+          description,
+          ctaLabel: busy ? 'Closing...' : 'Close poll',
+          kind: 'inline'
+        }}
+        onAction={isOpen && isTripLeader && !readOnly && !pickingWinner ? handleClose : undefined}
+      >
+        <div className="space-y-2">
+          {results.options.map((option: any) => {
+            const selected = viewerOptionIds.includes(option.id)
+            const isWinner = !isOpen && decision.winningOptionId === option.id
+            const pickable = pickingWinner && results.leadingOptionIds.includes(option.id)
+            const percent = results.voterCount > 0 ? Math.round((option.count / results.voterCount) * 100) : 0
+            return (
+              <button
+                key={option.id}
+                type="button"
+                onClick={() => handleOptionTap(option.id)}
+                disabled={pickingWinner ? !pickable : !canVote}
+                className={`relative w-full overflow-hidden rounded-md border px-3 py-2 text-left text-sm transition-colors ${
+                  isWinner || pickable
+                    ? 'border-brand-red'
+                    : selected
+                      ? 'border-brand-blue'
+                      : 'border-brand-carbon/10'
+                } ${canVote || pickable ? 'hover:bg-white/60' : 'cursor-default'}`}
+                aria-pressed={selected}
+              >
+                <span
+                  className={`absolute inset-y-0 left-0 ${isWinner ? 'bg-brand-red/15' : 'bg-brand-blue/10'}`}
+                  style={{ width: `${percent}%` }}
+                  aria-hidden="true"
+                />
+                <span className="relative flex items-center justify-between gap-2">
+                  <span className="flex items-center gap-1.5 min-w-0">
+                    {selected && <Check className="h-3.5 w-3.5 text-brand-blue shrink-0" />}
+                    <span className="truncate text-brand-carbon">{option.label}</span>
+                  </span>
+                  <span className="text-xs text-brand-carbon/60 shrink-0">{option.count}</span>
+                </span>
+              </button>
+            )
+          })}
+          {isOpen && decision.deadline && !votingEnded && (
+            <p className="text-xs text-brand-carbon/60">
+              Closes {formatDeadline(decision.deadline)}{decision.autoClose ? ' · result posts automatically' : ''}
+            </p>
+          )}
+          {isOpen && decision.autoClose && isTripLeader && !readOnly && onUpdate && (
+            <Select
+              value={decision.tieBreak || DEFAULT_TIE_BREAK}
+              onValueChange={(tieBreak) => run(() => onUpdate(decision.id, { tieBreak }))}
+              disabled={busy}
+            >
+              <SelectTrigger className="h-8 text-xs" aria-label="If it's a tie">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(TIE_BREAK_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>If tied: {label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+      </ActionCard>
+    </div>
+  )
+}
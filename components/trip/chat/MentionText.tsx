@@ -0,0 +1,50 @@
+'use client'
+
+interface Mention {
+  userId: string
+  start: number
+  end: number
+}
+
+/**
+ * Message text with its @mentions emphasized. Mentions of the viewer get
+ * a stronger highlight.
+ */
+export function MentionText({
+  content,
+  mentions,
+  viewerId,
+  onDark = false
+}: {
+  content: string
+  mentions?: Mention[]
+  viewerId?: string
+  onDark?: boolean
+}) {
+  if (!mentions || mentions.length === 0) return <>{content}</>
+
+  const parts: React.ReactNode[] = []
+  let cursor = 0
+  for (const m of [...mentions].sort((a, b) => a.start - b.start)) {
+    if (m.start < cursor || m.end > content.length) continue
+    if (m.start > cursor) parts.push(content.slice(cursor, m.start))
+    const isViewer = m.userId === viewerId
+    parts.push(
+      <span
+        key={m.start}
+        className={
+          onDark
+            ? 'font-semibold underline decoration-white/50 underline-offset-2'
+            : isViewer
+              ? 'font-semibold text-brand-blue bg-brand-blue/10 rounded px-0.5'
+              : 'font-semibold text-brand-blue'
+        }
+      >
+        {content.slice(m.start, m.end)}
+      </span>
+    )
+    cursor = m.end
+  }
+  if (cursor < content.length) parts.push(content.slice(cursor))
+  return <>{parts}</>
+}
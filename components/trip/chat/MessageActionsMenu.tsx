@@ -0,0 +1,115 @@
+'use client'
+
+import { BarChart3, BedDouble, ClipboardList, FolderPlus, Lightbulb, MoreHorizontal, Pencil, Receipt, Reply, Trash2 } from 'lucide-react'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuSub,
+  DropdownMenuSubContent,
+  DropdownMenuSubTrigger,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu'
+import { REACTION_EMOJIS } from '@/lib/chat/messageActions'
+import { CONVERSION_TARGETS } from '@/lib/chat/messageConversions'
+
+export type ConversionTarget = keyof typeof CONVERSION_TARGETS
+
+const CONVERSION_ICONS: Record<ConversionTarget, any> = {
+  idea: Lightbulb,
+  expense: Receipt,
+  prep: ClipboardList,
+  accommodation: BedDouble,
+  poll: BarChart3
+}
+
+interface MessageActionsMenuProps {
+  align?: 'start' | 'end'
+  canEdit: boolean
+  canDelete: boolean
+  onReact: (emoji: string) => void
+  onReply: () => void
+  onEdit: () => void
+  onDelete: () => void
+  onConvert?: (target: ConversionTarget) => void
+}
+
+/**
+ * Per-message "..." menu: quick reactions, reply, saving the message as a
+ * trip item, and edit/delete when the viewer is allowed to.
+ */
+export function MessageActionsMenu({
+  align = 'start',
+  canEdit,
+  canDelete,
+  onReact,
+  onReply,
+  onEdit,
+  onDelete,
+  onConvert
+}: MessageActionsMenuProps) {
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button
+          type="button"
+          aria-label="Message actions"
+          className="p-1 rounded-full text-brand-carbon/40 hover:text-brand-carbon hover:bg-brand-sand/50 opacity-100 md:opacity-0 md:group-hover:opacity-100 focus:opacity-100 transition-opacity"
+        >
+          <MoreHorizontal className="h-4 w-4" />
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align={align} className="w-48">
+        <div className="flex justify-between px-1 py-1">
+          {REACTION_EMOJIS.map(emoji => (
+            <DropdownMenuItem
+              key={emoji}
+              onClick={() => onReact(emoji)}
+              className="px-1.5 py-1 text-lg cursor-pointer justify-center"
+              aria-label={`React ${emoji}`}
+            >
+              {emoji}
+            </DropdownMenuItem>
+          ))}
+        </div>
+        <DropdownMenuSeparator />
+        <DropdownMenuItem onClick={onReply} className="cursor-pointer">
+          <Reply className="h-4 w-4 mr-2" />
+          Reply
+        </DropdownMenuItem>
+        {onConvert && (
+          <DropdownMenuSub>
+            <DropdownMenuSubTrigger className="cursor-pointer">
+              <FolderPlus className="h-4 w-4 mr-2" />
+              Save as…
+            </DropdownMenuSubTrigger>
+            <DropdownMenuSubContent className="w-44">
+              {(Object.keys(CONVERSION_TARGETS) as ConversionTarget[]).map(target => {
+                const Icon = CONVERSION_ICONS[target]
+                return (
+                  <DropdownMenuItem key={target} onClick={() => onConvert(target)} className="cursor-pointer">
+                    <Icon className="h-4 w-4 mr-2" />
+                    {CONVERSION_TARGETS[target].label}
+                  </DropdownMenuItem>
+                )
+              })}
+            </DropdownMenuSubContent>
+          </DropdownMenuSub>
+        )}
+        {canEdit && (
+          <DropdownMenuItem onClick={onEdit} className="cursor-pointer">
+            <Pencil className="h-4 w-4 mr-2" />
+            Edit
+          </DropdownMenuItem>
+        )}
+        {canDelete && (
+          <DropdownMenuItem onClick={onDelete} className="cursor-pointer text-brand-red focus:text-brand-red">
+            <Trash2 className="h-4 w-4 mr-2" />
+            Delete
+          </DropdownMenuItem>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
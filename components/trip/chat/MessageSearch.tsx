@@ -0,0 +1,160 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Search, X } from 'lucide-react'
+import { Input } from '@/components/ui/input'
+
+interface SearchResult {
+  id: string
+  source: 'trip' | 'circle'
+  tripId: string | null
+  createdAt: string
+  user: { id: string; name: string } | null
+  snippet: { text: string; highlights: Array<[number, number]> }
+}
+
+interface MessageSearchProps {
+  tripId: string
+  token: string
+  onJump: (messageId: string) => void
+}
+
+const SEARCH_DEBOUNCE_MS = 300
+
+// Render a snippet with its highlight ranges as <mark>s
+function Snippet({ text, highlights }: SearchResult['snippet']) {
+  const parts: React.ReactNode[] = []
+  let cursor = 0
+  highlights.forEach(([start, end], i) => {
+    if (start > cursor) parts.push(text.slice(cursor, start))
+    parts.push(<mark key={i} className="bg-brand-sand text-brand-carbon rounded-sm px-0.5">{text.slice(start, end)}</mark>)
+    cursor = end
+  })
+  if (cursor < text.length) parts.push(text.slice(cursor))
+  return <>{parts}</>
+}
+
+/**
+ * MessageSearch — find a message in this trip's chat and jump to it.
+ *
+ * Collapsed to an icon until opened; searches as you type.
+ */
+export function MessageSearch({ tripId, token, onJump }: MessageSearchProps) {
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState<SearchResult[] | null>(null)
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    const q = query.trim()
+    if (q.length < 2) {
+      setResults(null)
+      setError(null)
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      setSearching(true)
+      try {
+        const res = await fetch(
+          `/api/messages/search?q=${encodeURIComponent(q)}&tripId=${encodeURIComponent(tripId)}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        )
+        const data = await res.json()
+        if (cancelled) return
+        if (!res.ok) throw new Error(data.error || "Search isn't available right now")
+        setResults(data.results)
+        setError(null)
+      } catch (err: any) {
+        if (!cancelled) setError(err.message)
+      } finally {
+        if (!cancelled) setSearching(false)
+      }
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query, tripId, token])
+
+  const close = () => {
+    setOpen(false)
+    setQuery('')
+    setResults(null)
+  }
+
+  if (!open) {
+    return (
+      <div className="flex justify-end px-1 pb-1">
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          aria-label="Search messages"
+          className="p-1.5 rounded-md text-brand-carbon/50 hover:text-brand-carbon hover:bg-brand-sand/40"
+        >
+          <Search className="h-4 w-4" />
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="px-1 pb-2 space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 h-4 w-4 text-brand-carbon/40" />
+          <Input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && close()}
+            placeholder="Search this trip's chat"
+            className="pl-8 h-9"
+            aria-label="Search messages"
+          />
+        </div>
+        <button type="button" onClick={close} aria-label="Close search" className="text-brand-carbon/50 hover:text-brand-carbon">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {(searching || error || results) && (
+        <div className="max-h-64 overflow-y-auto rounded-lg border border-brand-carbon/10 bg-white">
+          {searching && !results ? (
+            <p className="px-3 py-2 text-xs text-brand-carbon/50">Searching...</p>
+          ) : error ? (
+            <p className="px-3 py-2 text-xs text-brand-red">{error}</p>
+          ) : results && results.length === 0 ? (
+            <p className="px-3 py-2 text-xs text-brand-carbon/50">No messages match "{query.trim()}"</p>
+          ) : (
+            <ul className="divide-y divide-brand-carbon/5">
+              {results?.map(result => (
+                <li key={result.id}>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      onJump(result.id)
+                      close()
+                    }}
+                    className="w-full text-left px-3 py-2 hover:bg-brand-sand/30"
+                  >
+                    <div className="flex items-center justify-between gap-2 text-[11px] text-brand-carbon/50">
+                      <span>{result.user?.name || 'Trip update'}</span>
+                      <span>{new Date(result.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                    </div>
+                    <p className="text-sm text-brand-carbon/90 break-words">
+                      <Snippet {...result.snippet} />
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
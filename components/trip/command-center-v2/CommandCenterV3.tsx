@@ -248,7 +248,17 @@ export function CommandCenterV3({ trip, token, user, onRefresh }: CommandCenterV
     setNewMessage,
     sendingMessage,
     sendMessage,
-    loading: chatLoading
+    loading: chatLoading,
+    refresh: refreshMessages,
+    hasOlder: hasOlderMessages,
+    loadingOlder: loadingOlderMessages,
+    loadOlder: loadOlderMessages,
+    jumpToMessage,
+    replyingTo,
+    setReplyingTo,
+    editMessage,
+    deleteMessage,
+    toggleReaction
   } = useTripChat({
     tripId: trip?.id,
     token,
@@ -486,6 +496,16 @@ export function CommandCenterV3({ trip, token, user, onRefresh }: CommandCenterV
               isReadOnly={isReadOnly}
               collapseSystemMessages={true}
               onOpenOverlay={openOverlay}
+              refreshMessages={refreshMessages}
+              hasOlderMessages={hasOlderMessages}
+              loadingOlderMessages={loadingOlderMessages}
+              loadOlderMessages={loadOlderMessages}
+              jumpToMessage={jumpToMessage}
+              replyingTo={replyingTo}
+              setReplyingTo={setReplyingTo}
+              editMessage={editMessage}
+              deleteMessage={deleteMessage}
+              toggleReaction={toggleReaction}
             />
           </div>
 
@@ -584,6 +604,7 @@ export function CommandCenterV3({ trip, token, user, onRefresh }: CommandCenterV
               onRefresh={onRefresh}
               onClose={closeOverlay}
               setHasUnsavedChanges={setHasUnsavedChanges}
+              prefill={overlayParams?.prefillExpense}
             />
           )}
           {activeOverlay === 'memories' && (
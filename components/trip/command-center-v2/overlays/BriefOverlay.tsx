@@ -75,6 +75,15 @@ interface BriefData {
     totalAmount: number
     currency: string
     itemCount: number
+    byCategory?: Array<{
+      category: string
+      label: string
+      amount: number
+      count: number
+    }>
+    perPersonPerDay?: number
+    days?: number
+    travelerCount?: number
   } | null
 }
 
@@ -498,6 +507,21 @@ export function BriefOverlay({
                 <p className="text-xs text-brand-carbon/60">
                   {expensesSummary.itemCount} expense{expensesSummary.itemCount !== 1 ? 's' : ''} tracked
                 </p>
+                {expensesSummary.byCategory && expensesSummary.byCategory.length > 0 && (
+                  <div className="pt-2 space-y-1">
+                    {expensesSummary.byCategory.map((c) => (
+                      <div key={c.category} className="flex justify-between text-xs">
+                        <span className="text-brand-carbon/70">{c.label}</span>
+                        <span className="font-medium text-brand-carbon">{formatCurrency(c.amount, expensesSummary.currency)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {!!expensesSummary.perPersonPerDay && (
+                  <p className="text-xs text-brand-carbon/60 pt-1">
+                    ≈ {formatCurrency(expensesSummary.perPersonPerDay, expensesSummary.currency)} per person per day
+                  </p>
+                )}
               </div>
             ) : (
               <div className="rounded-md bg-brand-sand/40 px-3 py-2">
@@ -1,6 +1,6 @@
 'use client'
 
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useEffect, useMemo, useRef } from 'react'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
@@ -26,11 +26,26 @@ import {
 } from '@/components/ui/alert-dialog'
 import { Label } from '@/components/ui/label'
 import { Checkbox } from '@/components/ui/checkbox'
-import { Plus, DollarSign, Trash2, Calendar, ArrowRight, AlertTriangle } from 'lucide-react'
+import { Plus, DollarSign, Trash2, Calendar, ArrowRight, AlertTriangle, Copy, Download, Upload, Paperclip, X } from 'lucide-react'
 import { toast } from 'sonner'
 import { z } from 'zod'
 import { BrandedSpinner } from '@/components/common/BrandedSpinner'
 import { Skeleton } from '@/components/ui/skeleton'
+import { BoostGateCard } from '@/components/trip/BoostGateCard'
+import { computeBalances, computeExpenseShares } from '@/lib/expenses/settleUp'
+import { resolveSplit } from '@/lib/expenses/splitExpense'
+import { getTripBaseCurrency, convertExpensesToBase, getExpenseBaseCents, SUPPORTED_CURRENCIES } from '@/lib/expenses/currency'
+import {
+  EXPENSE_CATEGORIES,
+  EXPENSE_CATEGORY_LABELS,
+  DEFAULT_EXPENSE_CATEGORY,
+  getExpenseCategory,
+  filterExpenses,
+  buildExpenseBreakdown
+} from '@/lib/expenses/expenseBreakdown'
+import { isFeatureGated } from '@/lib/trips/isFeatureGated'
+import { MAX_RECEIPTS_PER_EXPENSE } from '@/lib/expenses/receipts'
+import { useBlobUpload } from '@/hooks/use-blob-upload'
 
 interface ExpensesOverlayProps {
   trip: any
@@ -39,6 +54,8 @@ interface ExpensesOverlayProps {
   onRefresh: (updatedTrip?: any) => void
   onClose: () => void
   setHasUnsavedChanges: (has: boolean) => void
+  // Draft from a chat message ("Save as… Expense" in chat)
+  prefill?: { title: string, amountCents: number | null, currency: string, sourceMessageId: string } | null
 }
 
 // API Helper
@@ -78,19 +95,34 @@ const expenseSchema = z.object({
     return !isNaN(num) && num > 0
   }, 'Amount must be a positive number'),
   currency: z.string().default('USD'),
+  exchangeRate: z.string().optional(),
   paidByUserId: z.string().min(1, 'Payer is required'),
-  splitBetweenUserIds: z.array(z.string()).min(1, 'At least one person must be included'),
+  // Split itself (any mode) is checked with resolveSplit, same as the server
+  splitBetweenUserIds: z.array(z.string()),
   incurredAt: z.string().optional(),
   note: z.string().optional()
 })
 
+const SPLIT_MODE_OPTIONS = [
+  { value: 'equal', label: 'Equally' },
+  { value: 'shares', label: 'By shares' },
+  { value: 'percent', label: 'By percentage' },
+  { value: 'exact', label: 'Exact amounts' },
+  { value: 'itemized', label: 'Itemized' }
+]
+
+type SplitItemDraft = { title: string, amount: string, userIds: string[] }
+
+const toCents = (value: string) => Math.round(parseFloat(value) * 100)
+
 export function ExpensesOverlay({
   trip,
   token,
   user,
   onRefresh,
   onClose,
-  setHasUnsavedChanges
+  setHasUnsavedChanges,
+  prefill = null
 }: ExpensesOverlayProps) {
   const [expenses, setExpenses] = useState<any[]>([])
   const [loading, setLoading] = useState(true)
@@ -99,18 +131,51 @@ export function ExpensesOverlay({
   const [deletingExpenseId, setDeletingExpenseId] = useState<string | null>(null)
   const [adding, setAdding] = useState(false)
   const [deleting, setDeleting] = useState(false)
+  const [showSettleUp, setShowSettleUp] = useState(false)
+  const [settleUpData, setSettleUpData] = useState<any>(null)
+  const [loadingSettleUp, setLoadingSettleUp] = useState(false)
+  const [savingSettlementKey, setSavingSettlementKey] = useState<string | null>(null)
 
   const [formData, setFormData] = useState({
     title: '',
     amount: '',
     currency: trip?.currency || 'USD',
+    exchangeRate: '',
+    category: DEFAULT_EXPENSE_CATEGORY,
     paidByUserId: user?.id || '',
     splitBetweenUserIds: [] as string[],
+    splitMode: 'equal',
+    splitValues: {} as Record<string, string>,
+    items: [] as SplitItemDraft[],
     incurredAt: '',
     note: ''
   })
 
   const [formErrors, setFormErrors] = useState<Record<string, string>>({})
+  const [editingRate, setEditingRate] = useState<{ expenseId: string, value: string } | null>(null)
+  const [savingRate, setSavingRate] = useState(false)
+  const [savingBaseCurrency, setSavingBaseCurrency] = useState(false)
+  const [filterCategory, setFilterCategory] = useState('all')
+  const [filterPaidBy, setFilterPaidBy] = useState('all')
+  const [showImportDialog, setShowImportDialog] = useState(false)
+  const [importCsv, setImportCsv] = useState('')
+  const [importPreview, setImportPreview] = useState<any>(null)
+  const [importing, setImporting] = useState(false)
+  const [exporting, setExporting] = useState(false)
+  const [newReceiptUrls, setNewReceiptUrls] = useState<string[]>([])
+  const [sourceMessageId, setSourceMessageId] = useState<string | null>(null)
+  const [attachingExpenseId, setAttachingExpenseId] = useState<string | null>(null)
+  const [viewingReceipts, setViewingReceipts] = useState<{ expense: any, index: number } | null>(null)
+  const [removingReceipt, setRemovingReceipt] = useState(false)
+  const newReceiptInputRef = useRef<HTMLInputElement>(null)
+  const attachReceiptInputRef = useRef<HTMLInputElement>(null)
+  const { uploadFiles, uploading: uploadingReceipts } = useBlobUpload({ receiptTripId: trip.id })
+
+  // Totals and settle up are all in the trip base currency
+  const baseCurrency = getTripBaseCurrency({ currency: trip?.currency, expenses })
+  const currencyOptions = SUPPORTED_CURRENCIES.includes(baseCurrency)
+    ? SUPPORTED_CURRENCIES
+    : [baseCurrency, ...SUPPORTED_CURRENCIES]
 
   const isReadOnly = !trip?.viewer?.isActiveParticipant || trip?.viewer?.participantStatus === 'left' || trip?.tripStatus === 'CANCELLED' || trip?.status === 'canceled'
 
@@ -156,6 +221,26 @@ export function ExpensesOverlay({
     }
   }, [travelers, user])
 
+  // Default new expenses to the base currency once it's known (legacy trips derive it from expenses)
+  useEffect(() => {
+    if (!showAddDialog) {
+      setFormData(prev => ({ ...prev, currency: baseCurrency, exchangeRate: '' }))
+    }
+  }, [baseCurrency])
+
+  // Opened from a chat message: start the add form pre-filled
+  useEffect(() => {
+    if (!prefill || isReadOnly) return
+    setFormData(prev => ({
+      ...prev,
+      title: prefill.title || '',
+      amount: prefill.amountCents ? (prefill.amountCents / 100).toFixed(2) : ''
+    }))
+    handleCurrencyChange(prefill.currency || baseCurrency)
+    setSourceMessageId(prefill.sourceMessageId)
+    setShowAddDialog(true)
+  }, [prefill])
+
   const loadExpenses = async () => {
     if (!trip?.id) return
 
@@ -172,6 +257,56 @@ export function ExpensesOverlay({
     }
   }
 
+  // Build the split part of the payload from the form (blank per-person fields = not included)
+  const buildSplitInput = () => {
+    const { splitMode, splitValues, items, splitBetweenUserIds } = formData
+    if (splitMode === 'equal') return { splitMode, splitBetweenUserIds }
+    if (splitMode === 'itemized') {
+      return {
+        splitMode,
+        items: items.map(item => ({ title: item.title, amountCents: toCents(item.amount), userIds: item.userIds }))
+      }
+    }
+    const splits = travelers
+      .filter((t: any) => (splitValues[t.id] || '').trim() !== '')
+      .map((t: any) => ({
+        userId: t.id,
+        value: splitMode === 'exact' ? toCents(splitValues[t.id]) : parseFloat(splitValues[t.id])
+      }))
+    return { splitMode, splits }
+  }
+
+  // Live per-person preview (same resolver the server validates with)
+  const splitPreview = useMemo(() => {
+    const amountCents = toCents(formData.amount)
+    if (!amountCents || amountCents <= 0) return null
+    return resolveSplit({ amountCents, ...buildSplitInput() })
+  }, [formData, travelers])
+
+  const handleSplitModeChange = (splitMode: string) => {
+    const allTravelerIds = travelers.map((t: any) => t.id)
+    setFormData(prev => ({
+      ...prev,
+      splitMode,
+      // Shares default to 1 each; other modes start blank
+      splitValues: splitMode === 'shares'
+        ? Object.fromEntries(allTravelerIds.map((id: string) => [id, '1']))
+        : {},
+      items: splitMode === 'itemized' && prev.items.length === 0
+        ? [{ title: '', amount: '', userIds: allTravelerIds }]
+        : prev.items
+    }))
+    setFormErrors(prev => ({ ...prev, splitBetweenUserIds: '' }))
+  }
+
+  const updateItem = (index: number, changes: Partial<SplitItemDraft>) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, ...changes } : item))
+    }))
+    setFormErrors(prev => ({ ...prev, splitBetweenUserIds: '' }))
+  }
+
   const handleAddExpense = async () => {
     if (isReadOnly) return
 
@@ -193,6 +328,17 @@ export function ExpensesOverlay({
       return
     }
 
+    if (formData.currency !== baseCurrency && formData.exchangeRate && !(parseFloat(formData.exchangeRate) > 0)) {
+      setFormErrors({ exchangeRate: 'Exchange rate must be a positive number' })
+      return
+    }
+
+    const split = resolveSplit({ amountCents: toCents(formData.amount), ...buildSplitInput() })
+    if (!split.ok) {
+      setFormErrors({ splitBetweenUserIds: split.message })
+      return
+    }
+
     setFormErrors({})
     setAdding(true)
 
@@ -205,10 +351,16 @@ export function ExpensesOverlay({
         title: formData.title,
         amountCents,
         currency: formData.currency,
+        ...(formData.currency !== baseCurrency && formData.exchangeRate
+          ? { exchangeRate: parseFloat(formData.exchangeRate) }
+          : {}),
+        category: formData.category,
         paidByUserId: formData.paidByUserId,
-        splitBetweenUserIds: formData.splitBetweenUserIds,
+        ...buildSplitInput(),
         incurredAt: formData.incurredAt || new Date().toISOString(),
-        note: formData.note || undefined
+        note: formData.note || undefined,
+        ...(newReceiptUrls.length > 0 ? { receiptUrls: newReceiptUrls } : {}),
+        ...(sourceMessageId ? { sourceMessageId } : {})
       }
 
       await api(`/trips/${trip.id}/expenses`, {
@@ -218,6 +370,8 @@ export function ExpensesOverlay({
 
       toast.success('Expense added')
       setShowAddDialog(false)
+      setShowSettleUp(false)
+      setSettleUpData(null)
       resetForm()
       await loadExpenses()
       onRefresh()
@@ -239,6 +393,8 @@ export function ExpensesOverlay({
 
       toast.success('Expense deleted')
       setDeletingExpenseId(null)
+      setShowSettleUp(false)
+      setSettleUpData(null)
       await loadExpenses()
       onRefresh()
     } catch (error: any) {
@@ -256,109 +412,364 @@ export function ExpensesOverlay({
     setFormData({
       title: '',
       amount: '',
-      currency: trip?.currency || 'USD',
+      currency: baseCurrency,
+      exchangeRate: '',
+      category: DEFAULT_EXPENSE_CATEGORY,
       paidByUserId: defaultPaidBy,
       splitBetweenUserIds: allTravelerIds,
+      splitMode: 'equal',
+      splitValues: {},
+      items: [],
       incurredAt: '',
       note: ''
     })
+    setNewReceiptUrls([])
+    setSourceMessageId(null)
     setFormErrors({})
   }
 
-  // Calculate totals and balances
-  const { totals, settlements } = useMemo(() => {
+  // Calculate totals and balances (integer cents, same math as the server)
+  const totals = useMemo(() => {
+    const baseExpenses = convertExpensesToBase(expenses, baseCurrency)
     const byPayer: Record<string, number> = {}
-    const byPerson: Record<string, { paid: number; owed: number }> = {}
+    baseExpenses.forEach((expense) => {
+      byPayer[expense.paidByUserId] = (byPayer[expense.paidByUserId] || 0) + expense.amountCents
+    })
+
+    // Recorded payments only come back with the (boosted) settle up view
+    const balances: Record<string, number> = {}
+    Object.entries(computeBalances(baseExpenses, settleUpData?.ledger || [])).forEach(([userId, balance]: [string, any]) => {
+      balances[userId] = balance.netCents
+    })
 
-    expenses.forEach((expense) => {
-      const amountDollars = expense.amountCents / 100
-      const payerId = expense.paidByUserId
-      const splitCount = expense.splitBetweenUserIds.length
-      const perPersonShare = amountDollars / splitCount
+    const totalSpendCents = baseExpenses.reduce((sum, e) => sum + (e.amountCents || 0), 0)
 
-      // Track by payer
-      byPayer[payerId] = (byPayer[payerId] || 0) + amountDollars
+    return { totalSpendCents, byPayer, balances }
+  }, [expenses, settleUpData, baseCurrency])
 
-      // Track by person
-      expense.splitBetweenUserIds.forEach((userId: string) => {
-        if (!byPerson[userId]) {
-          byPerson[userId] = { paid: 0, owed: 0 }
-        }
-        byPerson[userId].owed += perPersonShare
-      })
+  const hasUnsettledBalances = Object.values(totals.balances).some((cents) => cents !== 0)
 
-      if (!byPerson[payerId]) {
-        byPerson[payerId] = { paid: 0, owed: 0 }
-      }
-      byPerson[payerId].paid += amountDollars
-    })
+  const loadSettleUp = async () => {
+    if (!trip?.id) return
 
-    // Calculate net balances
-    const balances: Record<string, number> = {}
-    Object.keys(byPerson).forEach((userId) => {
-      balances[userId] = byPerson[userId].paid - byPerson[userId].owed
-    })
+    setShowSettleUp(true)
+    if (isFeatureGated(trip, 'settle_up')) return
 
-    const totalSpend = expenses.reduce((sum, e) => sum + (e.amountCents / 100), 0)
-
-    // Calculate who owes whom (simplified settlement)
-    const settlementsArr: { from: string; to: string; amount: number }[] = []
-    const debtors = Object.entries(balances)
-      .filter(([_, balance]) => balance < -0.01)
-      .map(([userId, balance]) => ({ userId, balance: -balance }))
-      .sort((a, b) => b.balance - a.balance)
-
-    const creditors = Object.entries(balances)
-      .filter(([_, balance]) => balance > 0.01)
-      .map(([userId, balance]) => ({ userId, balance }))
-      .sort((a, b) => b.balance - a.balance)
-
-    // Simple settlement algorithm
-    let i = 0, j = 0
-    while (i < debtors.length && j < creditors.length) {
-      const debtor = debtors[i]
-      const creditor = creditors[j]
-
-      const amount = Math.min(debtor.balance, creditor.balance)
-      if (amount > 0.01) {
-        settlementsArr.push({
-          from: debtor.userId,
-          to: creditor.userId,
-          amount
+    setLoadingSettleUp(true)
+    try {
+      const data = await api(`/trips/${trip.id}/settlements`, { method: 'GET' }, token)
+      setSettleUpData(data)
+    } catch (err: any) {
+      toast.error(err.message || "Couldn't load the settle up plan — try again")
+      setShowSettleUp(false)
+    } finally {
+      setLoadingSettleUp(false)
+    }
+  }
+
+  const isTripLeader = trip?.createdBy === user?.id
+
+  // Record "A paid B" for one row of the plan (payer, recipient or leader)
+  const handleRecordPayment = async (payment: any) => {
+    if (isReadOnly) return
+
+    const key = `plan-${payment.index}`
+    setSavingSettlementKey(key)
+    try {
+      await api(`/trips/${trip.id}/settlements`, {
+        method: 'POST',
+        body: JSON.stringify({
+          fromUserId: payment.from.userId,
+          toUserId: payment.to.userId,
+          amountCents: payment.amountCents,
+          paidAt: new Date().toISOString()
         })
+      }, token)
+      toast.success('Payment recorded')
+      await loadSettleUp()
+    } catch (err: any) {
+      toast.error(err.message || 'Could not record payment — please try again')
+    } finally {
+      setSavingSettlementKey(null)
+    }
+  }
+
+  const handleSettlementAction = async (settlementId: string, action: 'confirm' | 'dispute') => {
+    if (isReadOnly) return
+
+    setSavingSettlementKey(settlementId)
+    try {
+      await api(`/trips/${trip.id}/settlements/${settlementId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ action })
+      }, token)
+      toast.success(action === 'confirm' ? 'Payment confirmed' : 'Payment disputed')
+      await loadSettleUp()
+    } catch (err: any) {
+      toast.error(err.message || 'Could not update payment — please try again')
+    } finally {
+      setSavingSettlementKey(null)
+    }
+  }
+
+  // Foreign currency: prefill the rate to the base currency (still editable)
+  const handleCurrencyChange = async (currency: string) => {
+    setFormData(prev => ({ ...prev, currency, exchangeRate: '' }))
+    setFormErrors(prev => ({ ...prev, exchangeRate: '' }))
+    if (currency === baseCurrency) return
+
+    try {
+      const data = await api(`/trips/${trip.id}/exchange-rate?from=${currency}`, { method: 'GET' }, token)
+      setFormData(prev => (prev.currency === currency && !prev.exchangeRate
+        ? { ...prev, exchangeRate: String(data.rate) }
+        : prev))
+    } catch {
+      // No suggestion — the user can type a rate in
+    }
+  }
+
+  const handleSaveRate = async () => {
+    if (!editingRate || isReadOnly) return
+    const exchangeRate = parseFloat(editingRate.value)
+    if (!(exchangeRate > 0)) {
+      toast.error('Exchange rate must be a positive number')
+      return
+    }
+
+    setSavingRate(true)
+    try {
+      await api(`/trips/${trip.id}/expenses?expenseId=${editingRate.expenseId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ exchangeRate })
+      }, token)
+      toast.success('Exchange rate updated')
+      setEditingRate(null)
+      setSettleUpData(null)
+      setShowSettleUp(false)
+      await loadExpenses()
+    } catch (err: any) {
+      toast.error(err.message || 'Could not update exchange rate — please try again')
+    } finally {
+      setSavingRate(false)
+    }
+  }
+
+  const handleChangeCategory = async (expense: any, category: string) => {
+    if (isReadOnly || category === getExpenseCategory(expense)) return
+    try {
+      await api(`/trips/${trip.id}/expenses?expenseId=${expense._id || expense.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ category })
+      }, token)
+      toast.success('Category updated')
+      await loadExpenses()
+    } catch (err: any) {
+      toast.error(err.message || 'Could not update category — please try again')
+    }
+  }
+
+  const handleNewReceiptSelect = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (files.length === 0) return
+
+    if (newReceiptUrls.length + files.length > MAX_RECEIPTS_PER_EXPENSE) {
+      toast.error(`Maximum ${MAX_RECEIPTS_PER_EXPENSE} receipts per expense`)
+      return
+    }
+
+    const urls = await uploadFiles(files)
+    if (urls.length > 0) {
+      setNewReceiptUrls(prev => [...prev, ...urls])
+    } else {
+      toast.error('Could not upload receipt — please try again')
+    }
+  }
+
+  const handleAttachReceiptSelect = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    const expenseId = attachingExpenseId
+    if (!file || !expenseId || isReadOnly) return
+
+    const [url] = await uploadFiles([file])
+    if (!url) {
+      toast.error('Could not upload receipt — please try again')
+      setAttachingExpenseId(null)
+      return
+    }
+
+    try {
+      await api(`/trips/${trip.id}/expenses/receipts?expenseId=${expenseId}`, {
+        method: 'POST',
+        body: JSON.stringify({ url })
+      }, token)
+      toast.success('Receipt attached')
+      await loadExpenses()
+    } catch (err: any) {
+      toast.error(err.message || 'Could not attach receipt — please try again')
+    } finally {
+      setAttachingExpenseId(null)
+    }
+  }
+
+  const handleRemoveReceipt = async () => {
+    if (!viewingReceipts || isReadOnly) return
+    const { expense, index } = viewingReceipts
+    const receipt = expense.receipts?.[index]
+    if (!receipt) return
+
+    setRemovingReceipt(true)
+    try {
+      await api(`/trips/${trip.id}/expenses/receipts?expenseId=${expense._id || expense.id}&receiptId=${receipt.id}`, {
+        method: 'DELETE'
+      }, token)
+      toast.success('Receipt removed')
+      const remaining = expense.receipts.filter((r: any) => r.id !== receipt.id)
+      setViewingReceipts(remaining.length > 0
+        ? { expense: { ...expense, receipts: remaining }, index: Math.min(index, remaining.length - 1) }
+        : null)
+      await loadExpenses()
+    } catch (err: any) {
+      toast.error(err.message || 'Could not remove receipt — please try again')
+    } finally {
+      setRemovingReceipt(false)
+    }
+  }
+
+  const handleBaseCurrencyChange = async (currency: string) => {
+    if (!isTripLeader || currency === baseCurrency) return
+
+    setSavingBaseCurrency(true)
+    try {
+      await api(`/trips/${trip.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ currency })
+      }, token)
+      toast.success(`Totals now shown in ${currency}`)
+      setSettleUpData(null)
+      setShowSettleUp(false)
+      onRefresh()
+    } catch (err: any) {
+      toast.error(err.message || 'Could not change the trip currency — please try again')
+    } finally {
+      setSavingBaseCurrency(false)
+    }
+  }
+
+  const handleExportCsv = async () => {
+    if (!trip?.id) return
+
+    setExporting(true)
+    try {
+      const response = await fetch(`/api/trips/${trip.id}/expenses/export`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      })
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Export failed')
       }
+      const blob = await response.blob()
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `${(trip.name || 'trip').replace(/[^a-zA-Z0-9 ]/g, '').trim().replace(/\s+/g, '-')}-expenses.csv`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+      toast.success('Expenses exported')
+    } catch (err: any) {
+      toast.error(err.message || 'Could not export expenses — please try again')
+    } finally {
+      setExporting(false)
+    }
+  }
 
-      debtor.balance -= amount
-      creditor.balance -= amount
+  const resetImport = () => {
+    setImportCsv('')
+    setImportPreview(null)
+  }
 
-      if (debtor.balance < 0.01) i++
-      if (creditor.balance < 0.01) j++
+  // Dry run first: nothing is saved until the preview is clean and confirmed
+  const handleImportFile = async (file: File | undefined) => {
+    if (!file || !trip?.id) return
+
+    setImporting(true)
+    try {
+      const csv = await file.text()
+      setImportCsv(csv)
+      const preview = await api(`/trips/${trip.id}/expenses/import`, {
+        method: 'POST',
+        body: JSON.stringify({ csv, dryRun: true })
+      }, token)
+      setImportPreview(preview)
+    } catch (err: any) {
+      toast.error(err.message || 'Could not read that file')
+      resetImport()
+    } finally {
+      setImporting(false)
     }
+  }
 
-    return {
-      totals: {
-        totalSpend,
-        byPayer,
-        balances,
-        byPerson
-      },
-      settlements: settlementsArr
+  const handleConfirmImport = async () => {
+    if (!importCsv || isReadOnly) return
+
+    setImporting(true)
+    try {
+      const result = await api(`/trips/${trip.id}/expenses/import`, {
+        method: 'POST',
+        body: JSON.stringify({ csv: importCsv, dryRun: false })
+      }, token)
+      toast.success(`Imported ${result.imported} expense${result.imported !== 1 ? 's' : ''}`)
+      setShowImportDialog(false)
+      resetImport()
+      setShowSettleUp(false)
+      setSettleUpData(null)
+      await loadExpenses()
+      onRefresh()
+    } catch (err: any) {
+      toast.error(err.message || 'Could not import expenses — please try again')
+    } finally {
+      setImporting(false)
     }
-  }, [expenses])
+  }
+
+  const handleCopySettleUp = async () => {
+    if (!settleUpData) return
+    const lines = [
+      `Trip: ${trip?.name || 'Trip'} \u2014 Settle Up`,
+      '\u2500'.repeat(25),
+      ...settleUpData.payments.map((p: any) =>
+        `${p.from.name} owes ${p.to.name} ${formatCurrency(p.amountCents / 100)}`
+      )
+    ]
+    try {
+      await navigator.clipboard.writeText(lines.join('\n'))
+      toast.success('Copied to clipboard')
+    } catch {
+      toast.error('Could not copy — please try again')
+    }
+  }
 
   // Format currency
-  const formatCurrency = (amount: number) => {
-    const currency = trip?.currency || 'USD'
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency
-    }).format(amount)
+  const formatCurrency = (amount: number, currency: string = baseCurrency) => {
+    try {
+      return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency
+      }).format(amount)
+    } catch {
+      return `${amount.toFixed(2)} ${currency}`
+    }
   }
 
   // Get traveler name
   const getTravelerName = (userId: string) => {
     const traveler = travelers.find((t: any) => t.id === userId)
-    return traveler?.name || 'Unknown'
+    if (traveler) return traveler.name
+    const fromBalances = settleUpData?.balances?.find((b: any) => b.userId === userId)
+    return fromBalances?.name || 'Former traveler'
   }
 
   // Format date
@@ -375,14 +786,27 @@ export function ExpensesOverlay({
     }
   }
 
-  // Sort expenses by date (most recent first)
+  // Per category and per person per day, in the base currency
+  const breakdown = useMemo(() => buildExpenseBreakdown(expenses, {
+    baseCurrency,
+    startDate: trip?.lockedStartDate || trip?.startDate,
+    endDate: trip?.lockedEndDate || trip?.endDate
+  }), [expenses, baseCurrency, trip?.lockedStartDate, trip?.lockedEndDate, trip?.startDate, trip?.endDate])
+
+  // Filter, then sort by date (most recent first)
   const sortedExpenses = useMemo(() => {
-    return [...expenses].sort((a, b) => {
+    const filtered = filterExpenses(expenses, {
+      category: filterCategory === 'all' ? undefined : filterCategory,
+      paidBy: filterPaidBy === 'all' ? undefined : filterPaidBy
+    })
+    return filtered.sort((a, b) => {
       const dateA = new Date(a.incurredAt || a.createdAt || 0).getTime()
       const dateB = new Date(b.incurredAt || b.createdAt || 0).getTime()
       return dateB - dateA
     })
-  }, [expenses])
+  }, [expenses, filterCategory, filterPaidBy])
+
+  const payerIds = useMemo(() => [...new Set(expenses.map((e) => e.paidByUserId))], [expenses])
 
   if (loading) {
     return (
@@ -443,12 +867,26 @@ export function ExpensesOverlay({
             {expenses.length} expense{expenses.length !== 1 ? 's' : ''}
           </p>
         </div>
-        {!isReadOnly && (
-          <Button size="sm" onClick={() => setShowAddDialog(true)}>
-            <Plus className="h-4 w-4 mr-1" />
-            Add Expense
-          </Button>
-        )}
+        <div className="flex items-center gap-2">
+          {expenses.length > 0 && (
+            <Button size="sm" variant="outline" onClick={handleExportCsv} disabled={exporting} aria-label="Export CSV">
+              <Download className="h-4 w-4 mr-1" />
+              CSV
+            </Button>
+          )}
+          {!isReadOnly && (
+            <Button size="sm" variant="outline" onClick={() => setShowImportDialog(true)} aria-label="Import CSV">
+              <Upload className="h-4 w-4 mr-1" />
+              Import
+            </Button>
+          )}
+          {!isReadOnly && (
+            <Button size="sm" onClick={() => setShowAddDialog(true)}>
+              <Plus className="h-4 w-4 mr-1" />
+              Add Expense
+            </Button>
+          )}
+        </div>
       </div>
 
       {expenses.length === 0 ? (
@@ -471,30 +909,58 @@ export function ExpensesOverlay({
               <CardTitle className="text-base">Summary</CardTitle>
             </CardHeader>
             <CardContent className="space-y-4">
-              <div>
-                <p className="text-sm text-brand-carbon/70">Total spent</p>
-                <p className="text-2xl font-bold">{formatCurrency(totals.totalSpend)}</p>
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <p className="text-sm text-brand-carbon/70">Total spent</p>
+                  <p className="text-2xl font-bold">{formatCurrency(totals.totalSpendCents / 100)}</p>
+                </div>
+                {isTripLeader && !isReadOnly ? (
+                  <Select value={baseCurrency} onValueChange={handleBaseCurrencyChange} disabled={savingBaseCurrency}>
+                    <SelectTrigger className="h-8 w-24" aria-label="Trip currency">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {currencyOptions.map((code) => (
+                        <SelectItem key={code} value={code}>{code}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                ) : (
+                  <span className="text-xs text-brand-carbon/60">{baseCurrency}</span>
+                )}
               </div>
 
-              {/* Settlements - Who owes whom */}
-              {settlements.length > 0 && (
+              {/* Breakdown */}
+              {breakdown.byCategory.length > 0 && (
                 <div>
-                  <p className="text-sm text-brand-carbon/70 mb-2">To settle up</p>
-                  <div className="space-y-2">
-                    {settlements.map((s, idx) => (
-                      <div
-                        key={idx}
-                        className="flex items-center justify-between p-2 bg-brand-sand/30 rounded-lg text-sm"
-                      >
-                        <div className="flex items-center gap-2">
-                          <span className="font-medium">{getTravelerName(s.from)}</span>
-                          <ArrowRight className="h-4 w-4 text-brand-carbon/40" />
-                          <span className="font-medium">{getTravelerName(s.to)}</span>
-                        </div>
-                        <span className="font-semibold text-brand-red">{formatCurrency(s.amount)}</span>
+                  <p className="text-sm text-brand-carbon/70 mb-2">By category</p>
+                  <div className="space-y-1">
+                    {breakdown.byCategory.map((c) => (
+                      <div key={c.category} className="flex justify-between text-sm">
+                        <span>{EXPENSE_CATEGORY_LABELS[c.category as keyof typeof EXPENSE_CATEGORY_LABELS]}</span>
+                        <span className="font-medium">{formatCurrency(c.totalCents / 100)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {breakdown.byPerson.length > 0 && (
+                <div>
+                  <p className="text-sm text-brand-carbon/70 mb-2">
+                    Per person per day ({breakdown.days} {breakdown.days === 1 ? 'day' : 'days'})
+                  </p>
+                  <div className="space-y-1">
+                    {breakdown.byPerson.map((p) => (
+                      <div key={p.userId} className="flex justify-between text-sm">
+                        <span>{getTravelerName(p.userId)}</span>
+                        <span className="font-medium">{formatCurrency(p.perDayCents / 100)}/day</span>
                       </div>
                     ))}
                   </div>
+                  <p className="text-xs text-brand-carbon/60 mt-1">
+                    Group average {formatCurrency(breakdown.perPersonPerDayCents / 100)} per person per day
+                  </p>
                 </div>
               )}
 
@@ -505,12 +971,12 @@ export function ExpensesOverlay({
                   <div className="space-y-1">
                     {Object.entries(totals.balances).map(([userId, balance]) => {
                       const isPositive = balance > 0
-                      const isZero = Math.abs(balance) < 0.01
+                      const isZero = balance === 0
                       return (
                         <div key={userId} className="flex justify-between text-sm">
                           <span>{getTravelerName(userId)}</span>
                           <span className={`font-medium ${isZero ? 'text-brand-carbon/60' : isPositive ? 'text-green-600' : 'text-brand-red'}`}>
-                            {isZero ? 'Settled' : isPositive ? `+${formatCurrency(balance)}` : formatCurrency(balance)}
+                            {isZero ? 'Settled' : isPositive ? `+${formatCurrency(balance / 100)}` : formatCurrency(balance / 100)}
                           </span>
                         </div>
                       )
@@ -518,14 +984,170 @@ export function ExpensesOverlay({
                   </div>
                 </div>
               )}
+
+              {/* Settle Up - minimum set of payments (Boost) */}
+              {hasUnsettledBalances && !showSettleUp && (
+                <Button variant="outline" size="sm" className="w-full" onClick={loadSettleUp}>
+                  Settle Up
+                </Button>
+              )}
+
+              {showSettleUp && isFeatureGated(trip, 'settle_up') && (
+                <BoostGateCard trip={trip} feature="settle_up" token={token} />
+              )}
+
+              {showSettleUp && !isFeatureGated(trip, 'settle_up') && (
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="text-sm text-brand-carbon/70">To settle up</p>
+                    {settleUpData?.payments?.length > 0 && (
+                      <Button variant="ghost" size="sm" className="h-7 px-2" onClick={handleCopySettleUp}>
+                        <Copy className="h-3.5 w-3.5 mr-1" />
+                        Copy all
+                      </Button>
+                    )}
+                  </div>
+                  {loadingSettleUp ? (
+                    <div className="flex justify-center py-3">
+                      <BrandedSpinner size="sm" />
+                    </div>
+                  ) : settleUpData?.payments?.length > 0 ? (
+                    <div className="space-y-2">
+                      {settleUpData.payments.map((p: any) => (
+                        <div
+                          key={p.index}
+                          className="flex items-center justify-between p-2 bg-brand-sand/30 rounded-lg text-sm"
+                        >
+                          <div className="flex items-center gap-2 min-w-0">
+                            <span className="font-medium truncate">{p.from.name}</span>
+                            <ArrowRight className="h-4 w-4 shrink-0 text-brand-carbon/40" />
+                            <span className="font-medium truncate">{p.to.name}</span>
+                            {(p.from.hasLeft || p.to.hasLeft) && (
+                              <span className="text-xs text-brand-carbon/50 shrink-0">(left trip)</span>
+                            )}
+                          </div>
+                          <div className="flex items-center gap-2 shrink-0">
+                            <span className="font-semibold text-brand-red">{formatCurrency(p.amountCents / 100)}</span>
+                            {!isReadOnly && !isFeatureGated(trip, 'settle_mark') &&
+                              (p.from.userId === user?.id || p.to.userId === user?.id || isTripLeader) && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                className="h-7 px-2 text-xs"
+                                disabled={savingSettlementKey === `plan-${p.index}`}
+                                onClick={() => handleRecordPayment(p)}
+                              >
+                                Mark paid
+                              </Button>
+                            )}
+                          </div>
+                        </div>
+                      ))}
+                      <p className="text-xs text-brand-carbon/60">
+                        {settleUpData.payments.length} payment{settleUpData.payments.length !== 1 ? 's' : ''} to square everyone up
+                      </p>
+                    </div>
+                  ) : (
+                    <p className="text-sm text-brand-carbon/60">Everyone is square</p>
+                  )}
+
+                  {/* Recorded payments ledger */}
+                  {settleUpData?.ledger?.length > 0 && (
+                    <div className="mt-4">
+                      <p className="text-sm text-brand-carbon/70 mb-2">Recorded payments</p>
+                      <div className="space-y-2">
+                        {settleUpData.ledger.map((s: any) => {
+                          const isParty = s.fromUserId === user?.id || s.toUserId === user?.id
+                          const canConfirm = isParty && s.status !== 'confirmed' && s.createdBy !== user?.id
+                          const canDispute = isParty && s.status !== 'disputed'
+                          return (
+                            <div key={s.id} className="p-2 border border-brand-sand rounded-lg text-sm">
+                              <div className="flex items-center justify-between gap-2">
+                                <span className="min-w-0 truncate">
+                                  {s.from.name} paid {s.to.name}
+                                </span>
+                                <span className="font-semibold shrink-0">{formatCurrency(s.amountCents / 100)}</span>
+                              </div>
+                              <div className="flex items-center justify-between gap-2 mt-1">
+                                <span className={`text-xs ${s.status === 'confirmed' ? 'text-green-600' : s.status === 'disputed' ? 'text-brand-red' : 'text-brand-carbon/60'}`}>
+                                  {s.status === 'confirmed' ? 'Confirmed' : s.status === 'disputed' ? 'Disputed' : `Waiting on ${s.to.name}`}
+                                  {' \u00b7 '}
+                                  {formatDate(s.paidAt)}
+                                </span>
+                                {!isReadOnly && (canConfirm || canDispute) && (
+                                  <div className="flex gap-1">
+                                    {canConfirm && (
+                                      <Button
+                                        variant="outline"
+                                        size="sm"
+                                        className="h-7 px-2 text-xs"
+                                        disabled={savingSettlementKey === s.id}
+                                        onClick={() => handleSettlementAction(s.id, 'confirm')}
+                                      >
+                                        Confirm
+                                      </Button>
+                                    )}
+                                    {canDispute && (
+                                      <Button
+                                        variant="ghost"
+                                        size="sm"
+                                        className="h-7 px-2 text-xs text-brand-red"
+                                        disabled={savingSettlementKey === s.id}
+                                        onClick={() => handleSettlementAction(s.id, 'dispute')}
+                                      >
+                                        Dispute
+                                      </Button>
+                                    )}
+                                  </div>
+                                )}
+                              </div>
+                            </div>
+                          )
+                        })}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
             </CardContent>
           </Card>
 
           {/* Expenses List */}
           <div>
-            <h3 className="text-sm font-semibold text-brand-carbon/80 uppercase tracking-wide mb-3">
-              All Expenses
-            </h3>
+            <div className="flex items-center justify-between gap-2 mb-3">
+              <h3 className="text-sm font-semibold text-brand-carbon/80 uppercase tracking-wide">
+                All Expenses
+              </h3>
+              <div className="flex gap-2">
+                <Select value={filterCategory} onValueChange={setFilterCategory}>
+                  <SelectTrigger className="h-8 w-32 text-xs" aria-label="Filter by category">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All categories</SelectItem>
+                    {EXPENSE_CATEGORIES.map((category) => (
+                      <SelectItem key={category} value={category}>
+                        {EXPENSE_CATEGORY_LABELS[category as keyof typeof EXPENSE_CATEGORY_LABELS]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Select value={filterPaidBy} onValueChange={setFilterPaidBy}>
+                  <SelectTrigger className="h-8 w-32 text-xs" aria-label="Filter by payer">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">Anyone paid</SelectItem>
+                    {payerIds.map((userId) => (
+                      <SelectItem key={userId} value={userId}>{getTravelerName(userId)}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            {sortedExpenses.length === 0 && (
+              <p className="text-sm text-brand-carbon/60 py-4 text-center">No expenses match these filters</p>
+            )}
             <div className="space-y-2">
               {sortedExpenses.map((expense) => (
                 <Card key={expense._id || expense.id}>
@@ -534,25 +1156,128 @@ export function ExpensesOverlay({
                       <div className="flex-1 min-w-0">
                         <div className="flex items-center gap-2 mb-1">
                           <h4 className="font-medium text-sm">{expense.title}</h4>
-                          <span className="font-bold">{formatCurrency(expense.amountCents / 100)}</span>
+                          <span className="font-bold">{formatCurrency(expense.amountCents / 100, expense.currency || baseCurrency)}</span>
+                          {!isReadOnly && (expense.paidByUserId === user?.id || isTripLeader) ? (
+                            <Select value={getExpenseCategory(expense)} onValueChange={(value) => handleChangeCategory(expense, value)}>
+                              <SelectTrigger
+                                className="h-auto w-auto gap-1 border-0 text-[10px] uppercase tracking-wide rounded-full bg-brand-sand/60 px-2 py-0.5 text-brand-carbon/70"
+                                aria-label="Change category"
+                              >
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                {EXPENSE_CATEGORIES.map((category) => (
+                                  <SelectItem key={category} value={category}>
+                                    {EXPENSE_CATEGORY_LABELS[category as keyof typeof EXPENSE_CATEGORY_LABELS]}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          ) : (
+                            <span className="text-[10px] uppercase tracking-wide rounded-full bg-brand-sand/60 px-2 py-0.5 text-brand-carbon/70">
+                              {EXPENSE_CATEGORY_LABELS[getExpenseCategory(expense) as keyof typeof EXPENSE_CATEGORY_LABELS]}
+                            </span>
+                          )}
                         </div>
                         <div className="text-xs text-brand-carbon/70 space-y-0.5">
                           <p>Paid by {getTravelerName(expense.paidByUserId)}</p>
+                          {expense.currency && expense.currency !== baseCurrency && (
+                            editingRate?.expenseId === (expense._id || expense.id) ? (
+                              <div className="flex items-center gap-1">
+                                <span>1 {expense.currency} =</span>
+                                <Input
+                                  type="number"
+                                  step="any"
+                                  min="0"
+                                  className="h-7 w-24 text-xs"
+                                  value={editingRate.value}
+                                  onChange={(e) => setEditingRate({ ...editingRate, value: e.target.value })}
+                                  aria-label="Exchange rate"
+                                />
+                                <span>{baseCurrency}</span>
+                                <Button size="sm" variant="outline" className="h-7 px-2 text-xs" onClick={handleSaveRate} disabled={savingRate}>
+                                  {savingRate ? 'Saving...' : 'Save'}
+                                </Button>
+                                <Button size="sm" variant="ghost" className="h-7 px-2 text-xs" onClick={() => setEditingRate(null)}>
+                                  Cancel
+                                </Button>
+                              </div>
+                            ) : (
+                              <p>
+                                ≈ {formatCurrency(getExpenseBaseCents(expense, baseCurrency) / 100)}
+                                {expense.baseCurrency === baseCurrency && expense.exchangeRate
+                                  ? ` (1 ${expense.currency} = ${expense.exchangeRate} ${baseCurrency})`
+                                  : ' (estimated rate)'}
+                                {!isReadOnly && (expense.paidByUserId === user?.id || isTripLeader) && (
+                                  <button
+                                    type="button"
+                                    className="ml-1 text-brand-blue hover:underline"
+                                    onClick={() => setEditingRate({
+                                      expenseId: expense._id || expense.id,
+                                      value: String(expense.baseCurrency === baseCurrency && expense.exchangeRate ? expense.exchangeRate : '')
+                                    })}
+                                  >
+                                    Edit rate
+                                  </button>
+                                )}
+                              </p>
+                            )
+                          )}
                           {expense.incurredAt && (
                             <p className="flex items-center gap-1">
                               <Calendar className="h-3 w-3" />
                               {formatDate(expense.incurredAt)}
                             </p>
                           )}
-                          {expense.splitBetweenUserIds.length > 0 && (
+                          {expense.splits?.length > 0 ? (
+                            <p>
+                              {expense.splitMode === 'itemized'
+                                ? `Itemized (${expense.items?.length || 0} ${expense.items?.length === 1 ? 'item' : 'items'}): `
+                                : 'Split unevenly: '}
+                              {[...computeExpenseShares(expense)]
+                                .map(([userId, cents]) => `${getTravelerName(userId)} ${formatCurrency(cents / 100, expense.currency || baseCurrency)}`)
+                                .join(', ')}
+                            </p>
+                          ) : expense.splitBetweenUserIds.length > 0 && (
                             <p>
                               Split {expense.splitBetweenUserIds.length} ways
-                              ({formatCurrency((expense.amountCents / 100) / expense.splitBetweenUserIds.length)} each)
+                              ({formatCurrency((expense.amountCents / 100) / expense.splitBetweenUserIds.length, expense.currency || baseCurrency)} each)
                             </p>
                           )}
                           {expense.note && (
                             <p className="text-brand-carbon/60 italic">{expense.note}</p>
                           )}
+                          {(expense.receipts?.length > 0 || !isReadOnly) && (
+                            <div className="flex items-center gap-2 pt-1">
+                              {expense.receipts?.map((receipt: any, idx: number) => (
+                                <button
+                                  key={receipt.id}
+                                  type="button"
+                                  className="h-10 w-10 rounded border border-brand-carbon/10 overflow-hidden"
+                                  onClick={() => setViewingReceipts({ expense, index: idx })}
+                                  aria-label={`View receipt ${idx + 1}`}
+                                >
+                                  <img src={receipt.url} alt="" className="h-full w-full object-cover" />
+                                </button>
+                              ))}
+                              {!isReadOnly && (expense.receipts?.length || 0) < MAX_RECEIPTS_PER_EXPENSE && (
+                                <button
+                                  type="button"
+                                  className="flex items-center gap-1 text-brand-blue hover:underline disabled:opacity-50"
+                                  onClick={() => {
+                                    setAttachingExpenseId(expense._id || expense.id)
+                                    attachReceiptInputRef.current?.click()
+                                  }}
+                                  disabled={uploadingReceipts}
+                                >
+                                  <Paperclip className="h-3 w-3" />
+                                  {uploadingReceipts && attachingExpenseId === (expense._id || expense.id)
+                                    ? 'Uploading...'
+                                    : expense.receipts?.length > 0 ? 'Add receipt' : 'Attach receipt'}
+                                </button>
+                              )}
+                            </div>
+                          )}
                         </div>
                       </div>
                       {!isReadOnly && (
@@ -584,7 +1309,7 @@ export function ExpensesOverlay({
           <DialogHeader>
             <DialogTitle>Add Expense</DialogTitle>
             <DialogDescription>
-              Track a shared cost for this trip
+              {sourceMessageId ? 'Saving a chat message as an expense' : 'Track a shared cost for this trip'}
             </DialogDescription>
           </DialogHeader>
 
@@ -605,21 +1330,80 @@ export function ExpensesOverlay({
 
             <div>
               <Label htmlFor="amount">Amount *</Label>
-              <Input
-                id="amount"
-                type="number"
-                step="0.01"
-                min="0"
-                value={formData.amount}
-                onChange={(e) => {
-                  setFormData(prev => ({ ...prev, amount: e.target.value }))
-                  setFormErrors(prev => ({ ...prev, amount: '' }))
-                }}
-                placeholder="e.g., 50.00"
-              />
+              <div className="flex gap-2">
+                <Input
+                  id="amount"
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={formData.amount}
+                  onChange={(e) => {
+                    setFormData(prev => ({ ...prev, amount: e.target.value }))
+                    setFormErrors(prev => ({ ...prev, amount: '' }))
+                  }}
+                  placeholder="e.g., 50.00"
+                />
+                <Select value={formData.currency} onValueChange={handleCurrencyChange}>
+                  <SelectTrigger className="w-24" aria-label="Currency">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {currencyOptions.map((code) => (
+                      <SelectItem key={code} value={code}>{code}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
               {formErrors.amount && <p className="text-sm text-brand-red mt-1">{formErrors.amount}</p>}
             </div>
 
+            {formData.currency !== baseCurrency && (
+              <div>
+                <Label htmlFor="exchangeRate">Exchange rate</Label>
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="shrink-0">1 {formData.currency} =</span>
+                  <Input
+                    id="exchangeRate"
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={formData.exchangeRate}
+                    onChange={(e) => {
+                      setFormData(prev => ({ ...prev, exchangeRate: e.target.value }))
+                      setFormErrors(prev => ({ ...prev, exchangeRate: '' }))
+                    }}
+                    placeholder="Looked up automatically"
+                  />
+                  <span className="shrink-0">{baseCurrency}</span>
+                </div>
+                {formData.amount && parseFloat(formData.exchangeRate) > 0 && (
+                  <p className="text-xs text-brand-carbon/60 mt-1">
+                    ≈ {formatCurrency(parseFloat(formData.amount) * parseFloat(formData.exchangeRate))}
+                  </p>
+                )}
+                {formErrors.exchangeRate && <p className="text-sm text-brand-red mt-1">{formErrors.exchangeRate}</p>}
+              </div>
+            )}
+
+            <div>
+              <Label htmlFor="category">Category</Label>
+              <Select
+                value={formData.category}
+                onValueChange={(value) => setFormData(prev => ({ ...prev, category: value }))}
+              >
+                <SelectTrigger id="category">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {EXPENSE_CATEGORIES.map((category) => (
+                    <SelectItem key={category} value={category}>
+                      {EXPENSE_CATEGORY_LABELS[category as keyof typeof EXPENSE_CATEGORY_LABELS]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
             <div>
               <Label htmlFor="paidBy">Paid by *</Label>
               {travelers.length === 0 ? (
@@ -648,10 +1432,24 @@ export function ExpensesOverlay({
             </div>
 
             <div>
-              <Label>Split between *</Label>
+              <div className="flex items-center justify-between gap-2">
+                <Label>Split between *</Label>
+                <Select value={formData.splitMode} onValueChange={handleSplitModeChange}>
+                  <SelectTrigger className="h-8 w-40" aria-label="Split mode">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {SPLIT_MODE_OPTIONS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
               {travelers.length === 0 ? (
                 <p className="text-sm text-brand-carbon/60 mt-1">No active travelers found</p>
-              ) : (
+              ) : formData.splitMode === 'equal' ? (
                 <div className="space-y-2 mt-2">
                   {travelers.map((traveler: any) => {
                     const isChecked = formData.splitBetweenUserIds.includes(traveler.id)
@@ -677,6 +1475,117 @@ export function ExpensesOverlay({
                     )
                   })}
                 </div>
+              ) : formData.splitMode === 'itemized' ? (
+                <div className="space-y-3 mt-2">
+                  {formData.items.map((item, index) => (
+                    <div key={index} className="rounded-md border border-brand-carbon/10 p-2 space-y-2">
+                      <div className="flex items-center gap-2">
+                        <Input
+                          value={item.title}
+                          onChange={(e) => updateItem(index, { title: e.target.value })}
+                          placeholder="Item, e.g., Pasta"
+                          aria-label={`Item ${index + 1} name`}
+                        />
+                        <Input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          className="w-28"
+                          value={item.amount}
+                          onChange={(e) => updateItem(index, { amount: e.target.value })}
+                          placeholder="0.00"
+                          aria-label={`Item ${index + 1} amount`}
+                        />
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8 shrink-0"
+                          onClick={() => setFormData(prev => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }))}
+                          aria-label={`Remove item ${index + 1}`}
+                        >
+                          <Trash2 className="h-4 w-4 text-brand-red" />
+                        </Button>
+                      </div>
+                      <div className="flex flex-wrap gap-1.5">
+                        {travelers.map((traveler: any) => {
+                          const isIncluded = item.userIds.includes(traveler.id)
+                          return (
+                            <button
+                              key={traveler.id}
+                              type="button"
+                              className={`text-xs px-2 py-0.5 rounded-full border ${
+                                isIncluded
+                                  ? 'bg-brand-blue/10 border-brand-blue text-brand-blue'
+                                  : 'border-brand-carbon/20 text-brand-carbon/60'
+                              }`}
+                              onClick={() => updateItem(index, {
+                                userIds: isIncluded
+                                  ? item.userIds.filter((id) => id !== traveler.id)
+                                  : [...item.userIds, traveler.id]
+                              })}
+                            >
+                              {traveler.name}
+                            </button>
+                          )
+                        })}
+                      </div>
+                    </div>
+                  ))}
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setFormData(prev => ({
+                      ...prev,
+                      items: [...prev.items, { title: '', amount: '', userIds: travelers.map((t: any) => t.id) }]
+                    }))}
+                  >
+                    <Plus className="h-4 w-4 mr-1" />
+                    Add item
+                  </Button>
+                </div>
+              ) : (
+                <div className="space-y-2 mt-2">
+                  {travelers.map((traveler: any) => (
+                    <div key={traveler.id} className="flex items-center justify-between gap-2">
+                      <Label htmlFor={`split-${traveler.id}`} className="text-sm">
+                        {traveler.name}
+                      </Label>
+                      <div className="flex items-center gap-1">
+                        <Input
+                          id={`split-${traveler.id}`}
+                          type="number"
+                          step={formData.splitMode === 'shares' ? '0.5' : '0.01'}
+                          min="0"
+                          className="w-24 h-8"
+                          value={formData.splitValues[traveler.id] || ''}
+                          onChange={(e) => {
+                            setFormData(prev => ({
+                              ...prev,
+                              splitValues: { ...prev.splitValues, [traveler.id]: e.target.value }
+                            }))
+                            setFormErrors(prev => ({ ...prev, splitBetweenUserIds: '' }))
+                          }}
+                          placeholder="—"
+                        />
+                        <span className="text-xs text-brand-carbon/60 w-10">
+                          {formData.splitMode === 'shares' ? 'shares' : formData.splitMode === 'percent' ? '%' : formData.currency}
+                        </span>
+                      </div>
+                    </div>
+                  ))}
+                  <p className="text-xs text-brand-carbon/60">Leave blank to leave someone out</p>
+                </div>
+              )}
+              {formData.splitMode !== 'equal' && splitPreview && (
+                splitPreview.ok ? (
+                  <p className="text-xs text-brand-carbon/70 mt-2">
+                    {splitPreview.splits
+                      .map((s: any) => `${getTravelerName(s.userId)} ${formatCurrency(s.amountCents / 100, formData.currency)}`)
+                      .join(' · ')}
+                  </p>
+                ) : !formErrors.splitBetweenUserIds && (
+                  <p className="text-xs text-brand-carbon/60 mt-2">{splitPreview.message}</p>
+                )
               )}
               {formErrors.splitBetweenUserIds && <p className="text-sm text-brand-red mt-1">{formErrors.splitBetweenUserIds}</p>}
             </div>
@@ -701,6 +1610,45 @@ export function ExpensesOverlay({
                 rows={2}
               />
             </div>
+
+            <div>
+              <Label>Receipts</Label>
+              <div className="flex flex-wrap items-center gap-2 mt-1">
+                {newReceiptUrls.map((url, idx) => (
+                  <div key={url} className="relative h-14 w-14 rounded border border-brand-carbon/10 overflow-hidden">
+                    <img src={url} alt={`Receipt ${idx + 1}`} className="h-full w-full object-cover" />
+                    <button
+                      type="button"
+                      className="absolute top-0.5 right-0.5 rounded-full bg-white/90 p-0.5"
+                      onClick={() => setNewReceiptUrls(prev => prev.filter((_, i) => i !== idx))}
+                      aria-label="Remove receipt"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </div>
+                ))}
+                {newReceiptUrls.length < MAX_RECEIPTS_PER_EXPENSE && (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => newReceiptInputRef.current?.click()}
+                    disabled={uploadingReceipts}
+                  >
+                    <Paperclip className="h-4 w-4 mr-1" />
+                    {uploadingReceipts ? 'Uploading...' : 'Add photo'}
+                  </Button>
+                )}
+              </div>
+              <input
+                ref={newReceiptInputRef}
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={handleNewReceiptSelect}
+                className="hidden"
+              />
+            </div>
           </div>
 
           <DialogFooter>
@@ -710,13 +1658,162 @@ export function ExpensesOverlay({
             }}>
               Cancel
             </Button>
-            <Button onClick={handleAddExpense} disabled={adding || travelers.length === 0}>
+            <Button onClick={handleAddExpense} disabled={adding || uploadingReceipts || travelers.length === 0}>
               {adding ? 'Adding...' : 'Add Expense'}
             </Button>
           </DialogFooter>
         </DialogContent>
       </Dialog>
 
+      {/* Import CSV Dialog */}
+      <Dialog open={showImportDialog} onOpenChange={(open) => {
+        setShowImportDialog(open)
+        if (!open) resetImport()
+      }}>
+        <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Import expenses</DialogTitle>
+            <DialogDescription>
+              Upload a Splitwise export or a CSV with Description, Amount, Currency, Paid by and Split with columns
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <Input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => handleImportFile(e.target.files?.[0])}
+              disabled={importing}
+              aria-label="CSV file"
+            />
+
+            {importPreview && (
+              <div className="space-y-3">
+                <p className="text-sm">
+                  {importPreview.summary.valid} of {importPreview.summary.total} rows ready to import
+                </p>
+                {importPreview.summary.unknownTravelers.length > 0 && (
+                  <div className="rounded-md border border-brand-red/30 bg-brand-red/5 px-3 py-2 text-sm">
+                    <p className="flex items-center gap-1 font-medium text-brand-red">
+                      <AlertTriangle className="h-4 w-4" />
+                      Not on this trip
+                    </p>
+                    <p className="text-brand-carbon/70 mt-1">
+                      {importPreview.summary.unknownTravelers.join(', ')} — rename them in the file to match a traveler, or invite them first
+                    </p>
+                  </div>
+                )}
+                <div className="space-y-1 max-h-64 overflow-y-auto">
+                  {importPreview.rows.map((row: any) => (
+                    <div
+                      key={row.row}
+                      className={`rounded-md px-3 py-2 text-xs ${row.ok ? 'bg-brand-sand/40' : 'bg-brand-red/5 border border-brand-red/30'}`}
+                    >
+                      {row.ok ? (
+                        <div className="flex justify-between gap-2">
+                          <span className="truncate">
+                            {row.expense.title} · paid by {getTravelerName(row.expense.paidByUserId)}
+                          </span>
+                          <span className="font-medium shrink-0">
+                            {formatCurrency(row.expense.amountCents / 100, row.expense.currency)}
+                          </span>
+                        </div>
+                      ) : (
+                        <p className="text-brand-red">Row {row.row}: {row.errors.join('; ')}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => {
+              setShowImportDialog(false)
+              resetImport()
+            }}>
+              Cancel
+            </Button>
+            <Button
+              onClick={handleConfirmImport}
+              disabled={importing || !importPreview || importPreview.summary.invalid > 0 || importPreview.summary.valid === 0}
+            >
+              {importing
+                ? 'Working...'
+                : importPreview
+                  ? `Import ${importPreview.summary.valid} expense${importPreview.summary.valid !== 1 ? 's' : ''}`
+                  : 'Import'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <input
+        ref={attachReceiptInputRef}
+        type="file"
+        accept="image/*"
+        onChange={handleAttachReceiptSelect}
+        className="hidden"
+      />
+
+      {/* Receipt Viewer */}
+      <Dialog open={!!viewingReceipts} onOpenChange={(open) => {
+        if (!open) setViewingReceipts(null)
+      }}>
+        <DialogContent className="max-w-lg">
+          {viewingReceipts && (() => {
+            const { expense, index } = viewingReceipts
+            const receipt = expense.receipts[index]
+            const canRemove = !isReadOnly && (
+              receipt.uploadedBy === user?.id || expense.paidByUserId === user?.id || isTripLeader
+            )
+            return (
+              <>
+                <DialogHeader>
+                  <DialogTitle>{expense.title}</DialogTitle>
+                  <DialogDescription>
+                    Receipt {index + 1} of {expense.receipts.length}
+                    {receipt.uploadedBy ? ` · added by ${getTravelerName(receipt.uploadedBy)}` : ''}
+                  </DialogDescription>
+                </DialogHeader>
+                <a href={receipt.url} target="_blank" rel="noopener noreferrer">
+                  <img
+                    src={receipt.url}
+                    alt={`Receipt for ${expense.title}`}
+                    className="w-full max-h-[60vh] object-contain rounded bg-brand-sand/30"
+                  />
+                </a>
+                {expense.receipts.length > 1 && (
+                  <div className="flex gap-2 justify-center">
+                    {expense.receipts.map((r: any, idx: number) => (
+                      <button
+                        key={r.id}
+                        type="button"
+                        className={`h-12 w-12 rounded overflow-hidden border-2 ${idx === index ? 'border-brand-red' : 'border-transparent'}`}
+                        onClick={() => setViewingReceipts({ expense, index: idx })}
+                        aria-label={`Show receipt ${idx + 1}`}
+                      >
+                        <img src={r.url} alt="" className="h-full w-full object-cover" />
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <DialogFooter>
+                  {canRemove && (
+                    <Button variant="outline" onClick={handleRemoveReceipt} disabled={removingReceipt}>
+                      <Trash2 className="h-4 w-4 mr-1 text-brand-red" />
+                      {removingReceipt ? 'Removing...' : 'Remove'}
+                    </Button>
+                  )}
+                  <Button onClick={() => setViewingReceipts(null)}>Done</Button>
+                </DialogFooter>
+              </>
+            )
+          })()}
+        </DialogContent>
+      </Dialog>
+
       {/* Delete Confirmation Dialog */}
       <AlertDialog open={!!deletingExpenseId} onOpenChange={(open) => {
         if (!open) setDeletingExpenseId(null)
@@ -725,7 +1822,7 @@ export function ExpensesOverlay({
           <AlertDialogHeader>
             <AlertDialogTitle>Delete expense?</AlertDialogTitle>
             <AlertDialogDescription>
-              This action cannot be undone. The expense will be permanently removed.
+              This action cannot be undone. The expense and any receipt photos will be permanently removed.
             </AlertDialogDescription>
           </AlertDialogHeader>
           <AlertDialogFooter>
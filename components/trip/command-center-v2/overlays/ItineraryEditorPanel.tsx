@@ -33,6 +33,8 @@ interface ItineraryBlock {
   transitNotes?: string
   tags?: string[]
   reservation?: { needed?: boolean; notes?: string }
+  // Overrides the version's zone, e.g. a day trip across a border
+  timeZone?: string | null
 }
 
 interface ItineraryVersion {
@@ -40,6 +42,8 @@ interface ItineraryVersion {
   version: number
   changeLog?: string
   createdAt?: string
+  // IANA zone the block times are written in
+  timeZone?: string | null
   content?: {
     overview?: {
       pace?: string
@@ -324,6 +328,12 @@ export function ItineraryEditorPanel({
                 </div>
               )}
 
+              {(selectedVersion.timeZone || trip?.destinationTimeZone) && (
+                <p className="text-xs text-brand-carbon/60">
+                  Times are local to {(selectedVersion.timeZone || trip.destinationTimeZone).replace(/_/g, ' ')}
+                </p>
+              )}
+
               {/* Days */}
               {selectedVersion.content?.days && (
                 <Accordion type="multiple" className="w-full">
@@ -33,6 +33,7 @@ import { toast } from 'sonner'
 import { BrandedSpinner } from '@/components/common/BrandedSpinner'
 import { Skeleton } from '@/components/ui/skeleton'
 import { isTripCompleted } from '@/lib/trips/isTripCompleted'
+import { TimeZoneSelect } from '@/components/trip/TimeZoneSelect'
 
 interface PrepOverlayProps {
   trip: any
@@ -101,6 +102,8 @@ export function PrepOverlay({
     toLocation: '',
     departAt: '',
     arriveAt: '',
+    departTimeZone: '',
+    arriveTimeZone: '',
     bookingRef: '',
     provider: '',
     link: '',
@@ -147,6 +150,8 @@ export function PrepOverlay({
       toLocation: '',
       departAt: '',
       arriveAt: '',
+      departTimeZone: '',
+      arriveTimeZone: '',
       bookingRef: '',
       provider: '',
       link: '',
@@ -169,7 +174,10 @@ export function PrepOverlay({
         body: JSON.stringify({
           ...newTransport,
           departAt: newTransport.departAt || null,
-          arriveAt: newTransport.arriveAt || null
+          arriveAt: newTransport.arriveAt || null,
+          // Empty = the trip's destination time zone
+          departTimeZone: newTransport.departTimeZone || null,
+          arriveTimeZone: newTransport.arriveTimeZone || null
         })
       }, token)
 
@@ -578,6 +586,12 @@ export function PrepOverlay({
                         onChange={(e) => setNewTransport({ ...newTransport, departAt: e.target.value })}
                         className="h-9 text-sm"
                       />
+                      <TimeZoneSelect
+                        value={newTransport.departTimeZone}
+                        onChange={(tz) => setNewTransport({ ...newTransport, departTimeZone: tz })}
+                        placeholder="Trip time zone"
+                        className="h-9 text-xs"
+                      />
                     </div>
                     <div className="space-y-1">
                       <Label className="text-xs">Arrival</Label>
@@ -587,6 +601,12 @@ export function PrepOverlay({
                         onChange={(e) => setNewTransport({ ...newTransport, arriveAt: e.target.value })}
                         className="h-9 text-sm"
                       />
+                      <TimeZoneSelect
+                        value={newTransport.arriveTimeZone}
+                        onChange={(tz) => setNewTransport({ ...newTransport, arriveTimeZone: tz })}
+                        placeholder="Trip time zone"
+                        className="h-9 text-xs"
+                      />
                     </div>
                   </div>
                   <div className="space-y-1">
@@ -692,6 +712,9 @@ export function PrepOverlay({
                       {item.departAt && (
                         <p className="text-xs text-brand-carbon/70 mt-1">
                           Depart: {formatDateTime(item.departAt)}
+                          {(item.departTimeZone || trip.destinationTimeZone) && (
+                            <span className="text-brand-carbon/50"> ({(item.departTimeZone || trip.destinationTimeZone).replace(/_/g, ' ')})</span>
+                          )}
                         </p>
                       )}
                       {item.provider && (
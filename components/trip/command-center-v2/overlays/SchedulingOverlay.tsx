@@ -34,6 +34,9 @@ import { formatTripDateRange } from '@/lib/utils'
 import { generateICS } from '@/lib/trips/generateICS'
 import { SchedulingFunnelCard } from '@/components/trip/scheduling/SchedulingFunnelCard'
 import { DateWindowsFunnel } from '@/components/trip/scheduling/DateWindowsFunnel'
+import { CalendarFeedPanel } from '@/components/trip/scheduling/CalendarFeedPanel'
+import { DateSolverSuggestions } from '@/components/trip/scheduling/DateSolverSuggestions'
+import { SchedulingDeadlines } from '@/components/trip/scheduling/SchedulingDeadlines'
 
 // Types
 interface DatePick {
@@ -108,6 +111,9 @@ export function SchedulingOverlay({
   const [pendingLockDate, setPendingLockDate] = useState<string | null>(null)
   const [locking, setLocking] = useState(false)
 
+  // Bumped after a one-tap proposal so the date windows funnel reloads
+  const [funnelKey, setFunnelKey] = useState(0)
+
   // Trip scheduling parameters
   // Normalize to YYYY-MM-DD (handles both "2026-03-15" and "2026-03-15T00:00:00.000Z")
   const normalizeDate = (d: string | undefined | null) => d ? d.split('T')[0] : undefined
@@ -510,19 +516,37 @@ export function SchedulingOverlay({
   // Use date windows funnel for 'date_windows' mode trips
   if (trip.schedulingMode === 'date_windows') {
     const travelers = trip.travelers || []
+    const isCollecting = !isLocked && !trip.proposedWindowId && !(trip.proposedWindowIds?.length > 0)
     return (
-      <DateWindowsFunnel
-        trip={trip}
-        token={token}
-        user={user}
-        travelers={travelers}
-        onRefresh={onRefresh}
-        onClose={onClose}
-        setHasUnsavedChanges={setHasUnsavedChanges}
-        onQuoteToChat={onQuoteToChat}
-        prefillStart={prefillStart}
-        prefillEnd={prefillEnd}
-      />
+      <div className="space-y-4">
+        {!isLocked && (
+          <SchedulingDeadlines trip={trip} token={token} isLeader={isCreator} onUpdated={onRefresh} />
+        )}
+        {isCreator && isCollecting && (
+          <DateSolverSuggestions
+            key={funnelKey}
+            tripId={trip.id}
+            token={token}
+            onProposed={() => {
+              setFunnelKey(k => k + 1)
+              onRefresh()
+            }}
+          />
+        )}
+        <DateWindowsFunnel
+          key={funnelKey}
+          trip={trip}
+          token={token}
+          user={user}
+          travelers={travelers}
+          onRefresh={onRefresh}
+          onClose={onClose}
+          setHasUnsavedChanges={setHasUnsavedChanges}
+          onQuoteToChat={onQuoteToChat}
+          prefillStart={prefillStart}
+          prefillEnd={prefillEnd}
+        />
+      </div>
     )
   }
 
@@ -566,6 +590,8 @@ export function SchedulingOverlay({
           </CardContent>
         </Card>
 
+        <CalendarFeedPanel token={token} />
+
         <Button variant="outline" onClick={onClose} className="w-full">
           Close
         </Button>
@@ -579,6 +605,8 @@ export function SchedulingOverlay({
 
     return (
       <div className="space-y-4">
+        <SchedulingDeadlines trip={trip} token={token} isLeader={isCreator} onUpdated={onRefresh} />
+
         {/* Voting Phase Info */}
         <Card className="border-brand-blue/20 bg-brand-blue/5">
           <CardHeader className="pb-2">
@@ -734,6 +762,8 @@ export function SchedulingOverlay({
         </Card>
       )}
 
+      <SchedulingDeadlines trip={trip} token={token} isLeader={isCreator} onUpdated={onRefresh} />
+
       <Card>
         <CardHeader>
           <CardTitle className="flex items-center gap-2">
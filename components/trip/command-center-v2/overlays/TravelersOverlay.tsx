@@ -117,6 +117,7 @@ export function TravelersOverlay({
   const [processingRequest, setProcessingRequest] = useState<string | null>(null)
   const [selectedNewLeader, setSelectedNewLeader] = useState('')
   const [validationError, setValidationError] = useState('')
+  const [updatingRequired, setUpdatingRequired] = useState<string | null>(null)
   // Invitation state
   const [pendingInvitations, setPendingInvitations] = useState<any[]>([])
   const [loadingInvitations, setLoadingInvitations] = useState(false)
@@ -140,6 +141,10 @@ export function TravelersOverlay({
   const isPendingLeader = trip?.viewer?.isPendingLeader || false
   const hasPendingTransfer = !!pendingTransfer
 
+  // Must-attend travelers count toward proposal readiness; editable until dates lock
+  const requiredTravelerIds: string[] = trip?.requiredTravelerIds || []
+  const canEditRequired = isTripLeader && !isCancelled && trip?.status !== 'locked' && !completed
+
   // Get participants with status from trip data
   const participantsWithStatus = trip?.participantsWithStatus || []
 
@@ -441,6 +446,29 @@ export function TravelersOverlay({
     }
   }
 
+  const handleToggleRequired = async (userId: string) => {
+    if (!trip?.id || !token) return
+
+    const isRequired = requiredTravelerIds.includes(userId)
+    const next = isRequired
+      ? requiredTravelerIds.filter(id => id !== userId)
+      : [...requiredTravelerIds, userId]
+
+    setUpdatingRequired(userId)
+    try {
+      await api(`/trips/${trip.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ requiredTravelerIds: next })
+      }, token)
+      toast.success(isRequired ? 'No longer must attend' : 'Marked as must attend')
+      onRefresh()
+    } catch (err: any) {
+      toast.error(err.message || 'Couldn\'t update — try again')
+    } finally {
+      setUpdatingRequired(null)
+    }
+  }
+
   const handleLeaderLeaveClick = () => {
     if (hasEligibleSuccessors) {
       setShowTransferDialog(true)
@@ -648,6 +676,7 @@ export function TravelersOverlay({
               const participantUser = participant.user || { id: participant.userId, name: 'Unknown' }
               const isLeader = tripLeaderUserId && participantUser.id === tripLeaderUserId
               const isCurrentUser = participantUser.id === currentUserId
+              const isRequired = requiredTravelerIds.includes(participantUser.id)
 
               return (
                 <Card key={participant.userId || participantUser.id} className="overflow-hidden">
@@ -675,6 +704,22 @@ export function TravelersOverlay({
                         </div>
                       </button>
                       <div className="flex items-center gap-2">
+                        {canEditRequired ? (
+                          <Button
+                            size="sm"
+                            variant={isRequired ? 'default' : 'outline'}
+                            className={isRequired ? 'h-7 text-xs bg-brand-blue hover:bg-brand-blue/90' : 'h-7 text-xs'}
+                            onClick={() => handleToggleRequired(participantUser.id)}
+                            disabled={updatingRequired !== null}
+                            aria-pressed={isRequired}
+                          >
+                            {updatingRequired === participantUser.id ? 'Saving...' : 'Must attend'}
+                          </Button>
+                        ) : isRequired && (
+                          <Badge variant="outline" className="text-xs">
+                            Must attend
+                          </Badge>
+                        )}
                         {isLeader && (
                           <Badge variant="secondary" className="gap-1">
                             <Crown className="h-3 w-3" />
@@ -26,11 +26,13 @@ import {
   X,
   AlertTriangle,
   Share2,
-  FileText
+  FileText,
+  Clock
 } from 'lucide-react'
 import { toast } from 'sonner'
 import { BrandedSpinner } from '@/components/common/BrandedSpinner'
 import { BoostGateCard } from '@/components/trip/BoostGateCard'
+import { TimeZoneSelect } from '@/components/trip/TimeZoneSelect'
 import { isTripCompleted } from '@/lib/trips/isTripCompleted'
 import Link from 'next/link'
 import { circlePageHref } from '@/lib/navigation/routes'
@@ -59,6 +61,7 @@ export function TripInfoOverlay({
   const [editForm, setEditForm] = useState({
     name: trip?.name || '',
     destinationHint: trip?.destinationHint || '',
+    destinationTimeZone: trip?.destinationTimeZone || '',
     description: trip?.description || ''
   })
 
@@ -181,6 +184,7 @@ export function TripInfoOverlay({
     setEditForm({
       name: trip?.name || '',
       destinationHint: trip?.destinationHint || '',
+      destinationTimeZone: trip?.destinationTimeZone || '',
       description: trip?.description || ''
     })
     setIsEditing(true)
@@ -199,10 +203,11 @@ export function TripInfoOverlay({
     const hasChanges =
       editForm.name.trim() !== (trip?.name || '').trim() ||
       editForm.destinationHint.trim() !== (trip?.destinationHint || '').trim() ||
+      editForm.destinationTimeZone !== (trip?.destinationTimeZone || '') ||
       editForm.description.trim() !== (trip?.description || '').trim()
 
     setHasUnsavedChanges(hasChanges)
-  }, [isEditing, editForm, trip?.name, trip?.destinationHint, trip?.description, setHasUnsavedChanges])
+  }, [isEditing, editForm, trip?.name, trip?.destinationHint, trip?.destinationTimeZone, trip?.description, setHasUnsavedChanges])
 
   const handleSave = async () => {
     if (!isLocked && !editForm.name.trim()) {
@@ -213,10 +218,14 @@ export function TripInfoOverlay({
     setSaving(true)
     try {
       const body = isLocked
-        ? { destinationHint: editForm.destinationHint.trim() || null }
+        ? {
+            destinationHint: editForm.destinationHint.trim() || null,
+            destinationTimeZone: editForm.destinationTimeZone || null
+          }
         : {
             name: editForm.name.trim(),
             destinationHint: editForm.destinationHint.trim() || null,
+            destinationTimeZone: editForm.destinationTimeZone || null,
             description: editForm.description.trim() || null
           }
 
@@ -335,6 +344,28 @@ export function TripInfoOverlay({
             )}
           </div>
 
+          {/* Destination time zone — itinerary times, calendar export and countdown use it */}
+          {(isEditing || trip.destinationTimeZone) && (
+            <div className="space-y-1">
+              <div className="flex items-center gap-2 text-sm text-brand-carbon/60">
+                <Clock className="h-4 w-4" />
+                <span>Local time zone</span>
+              </div>
+              {isEditing ? (
+                <div className="bg-brand-sand/30 rounded-lg p-3">
+                  <TimeZoneSelect
+                    value={editForm.destinationTimeZone}
+                    onChange={(tz) => setEditForm({ ...editForm, destinationTimeZone: tz })}
+                  />
+                </div>
+              ) : (
+                <p className="text-sm text-brand-carbon/80 pl-6">
+                  {trip.destinationTimeZone.replace(/_/g, ' ')}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Description */}
           <div className="space-y-1">
             {isEditing && !isLocked ? (
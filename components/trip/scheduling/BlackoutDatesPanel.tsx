@@ -0,0 +1,185 @@
+'use client'
+
+import { useState } from 'react'
+import { CalendarOff, ChevronDown, ChevronUp, X } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+
+interface Blackout {
+  id: string
+  startDate: string
+  endDate: string
+  note: string | null
+  scope: 'trip' | 'circle'
+}
+
+function formatDay(dateStr: string): string {
+  return new Date(dateStr + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+}
+
+/**
+ * BlackoutDatesPanel — the viewer's "can't do" dates.
+ *
+ * Declared once, they flag every suggested window that hits them. A blackout
+ * can cover just this trip or every trip in the circle. Notes are only shown
+ * to their owner.
+ */
+export function BlackoutDatesPanel({
+  tripId,
+  token,
+  onChanged
+}: {
+  tripId: string
+  token: string
+  onChanged: () => void
+}) {
+  const [open, setOpen] = useState(false)
+  const [blackouts, setBlackouts] = useState<Blackout[] | null>(null)
+  const [startDate, setStartDate] = useState('')
+  const [endDate, setEndDate] = useState('')
+  const [note, setNote] = useState('')
+  const [circleWide, setCircleWide] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const loadBlackouts = async () => {
+    try {
+      const response = await fetch(`/api/trips/${tripId}/blackouts`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      if (response.ok) setBlackouts((await response.json()).blackouts)
+    } catch {
+      // Shown as empty — adding one still works
+    }
+  }
+
+  const handleAdd = async () => {
+    try {
+      setSaving(true)
+      const response = await fetch(`/api/trips/${tripId}/blackouts`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          startDate,
+          endDate: endDate || startDate,
+          note: note.trim() || null,
+          scope: circleWide ? 'circle' : 'trip'
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || "Couldn't save those dates — try again")
+      }
+      setBlackouts([...(blackouts || []), data].sort((a, b) => a.startDate.localeCompare(b.startDate)))
+      setStartDate('')
+      setEndDate('')
+      setNote('')
+      toast.success('Blackout dates saved')
+      onChanged()
+    } catch (err: any) {
+      toast.error(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRemove = async (blackout: Blackout) => {
+    try {
+      const response = await fetch(`/api/trips/${tripId}/blackouts/${blackout.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      if (!response.ok) {
+        const data = await response.json()
+        throw new Error(data.error || "Couldn't remove those dates — try again")
+      }
+      setBlackouts((blackouts || []).filter(b => b.id !== blackout.id))
+      onChanged()
+    } catch (err: any) {
+      toast.error(err.message)
+    }
+  }
+
+  return (
+    <div className="rounded-lg border border-brand-carbon/10">
+      <button
+        type="button"
+        onClick={() => {
+          setOpen(!open)
+          if (!open && blackouts === null) loadBlackouts()
+        }}
+        className="w-full flex items-center justify-between px-3 py-2 text-sm text-brand-carbon/80"
+      >
+        <span className="flex items-center gap-2">
+          <CalendarOff className="h-4 w-4" />
+          Dates you can't do
+          {blackouts && blackouts.length > 0 && (
+            <span className="text-xs text-brand-carbon/50">({blackouts.length})</span>
+          )}
+        </span>
+        {open ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+      </button>
+
+      {open && (
+        <div className="px-3 pb-3 space-y-3">
+          <p className="text-xs text-brand-carbon/60">
+            Suggested dates that clash get flagged for everyone. Your notes stay private.
+          </p>
+
+          {blackouts && blackouts.length > 0 && (
+            <ul className="space-y-1.5">
+              {blackouts.map(b => (
+                <li key={b.id} className="flex items-center justify-between gap-2 rounded-md bg-brand-red/5 px-2.5 py-1.5">
+                  <span className="text-sm text-brand-carbon">
+                    {b.startDate === b.endDate ? formatDay(b.startDate) : `${formatDay(b.startDate)} – ${formatDay(b.endDate)}`}
+                    {b.note && <span className="text-xs text-brand-carbon/50 ml-1.5">{b.note}</span>}
+                    {b.scope === 'circle' && <span className="text-[10px] text-brand-carbon/50 ml-1.5">all trips in this circle</span>}
+                  </span>
+                  <button type="button" onClick={() => handleRemove(b)} aria-label="Remove blackout" className="text-brand-carbon/40 hover:text-brand-red">
+                    <X className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <Label htmlFor="blackout-start" className="text-xs">From</Label>
+              <Input id="blackout-start" type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+            </div>
+            <div>
+              <Label htmlFor="blackout-end" className="text-xs">To</Label>
+              <Input id="blackout-end" type="date" value={endDate} min={startDate || undefined} onChange={(e) => setEndDate(e.target.value)} />
+            </div>
+          </div>
+          <Input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Why? (optional, only you see this)"
+            maxLength={80}
+            aria-label="Note"
+          />
+          <div className="flex items-center justify-between">
+            <Label htmlFor="blackout-circle" className="text-xs text-brand-carbon/70">Use for every trip in this circle</Label>
+            <Switch id="blackout-circle" checked={circleWide} onCheckedChange={setCircleWide} />
+          </div>
+          <Button
+            variant="outline"
+            size="sm"
+            className="w-full"
+            onClick={handleAdd}
+            disabled={saving || !startDate}
+          >
+            {saving ? 'Saving...' : "Add dates I can't do"}
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
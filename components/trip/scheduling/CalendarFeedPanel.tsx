@@ -0,0 +1,119 @@
+'use client'
+
+import { useState } from 'react'
+import { Copy, Link2, RefreshCw } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button'
+
+/**
+ * CalendarFeedPanel — subscribe to all of the viewer's locked trips.
+ *
+ * The feed URL is a per-user secret: anyone with it can read the feed, so the
+ * traveler can reset it (old subscriptions stop updating) or turn it off.
+ */
+export function CalendarFeedPanel({ token }: { token: string }) {
+  const [feedUrl, setFeedUrl] = useState<string | null>(null)
+  const [loading, setLoading] = useState(false)
+
+  const request = async (method: 'POST' | 'DELETE', body?: object) => {
+    try {
+      setLoading(true)
+      const response = await fetch('/api/users/me/calendar-feed', {
+        method,
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || "Couldn't update your calendar link — try again")
+      }
+      return data
+    } catch (err: any) {
+      toast.error(err.message)
+      return null
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleGetLink = async (rotate = false) => {
+    const data = await request('POST', rotate ? { rotate: true } : undefined)
+    if (!data) return
+    setFeedUrl(`${window.location.origin}${data.feedPath}`)
+    if (rotate) toast.success('New link created — the old one no longer updates')
+  }
+
+  const handleCopy = async () => {
+    if (!feedUrl) return
+    try {
+      await navigator.clipboard.writeText(feedUrl)
+      toast.success('Calendar link copied')
+    } catch {
+      toast.error("Couldn't copy — select the link instead")
+    }
+  }
+
+  const handleTurnOff = async () => {
+    const data = await request('DELETE')
+    if (!data) return
+    setFeedUrl(null)
+    toast.success('Calendar link turned off')
+  }
+
+  if (!feedUrl) {
+    return (
+      <Button variant="outline" className="w-full" onClick={() => handleGetLink()} disabled={loading}>
+        <Link2 className="h-4 w-4 mr-2" />
+        {loading ? 'Loading...' : 'Subscribe to all your trips'}
+      </Button>
+    )
+  }
+
+  return (
+    <div className="rounded-lg border border-brand-carbon/10 p-3 space-y-2">
+      <p className="text-xs text-brand-carbon/60">
+        Add this link to Google, Apple or Outlook calendar. Locked trips and their
+        itineraries stay in sync. Anyone with the link can see your trips.
+      </p>
+      <div className="flex gap-2">
+        <input
+          readOnly
+          value={feedUrl}
+          onFocus={(e) => e.target.select()}
+          aria-label="Calendar subscription link"
+          className="flex-1 min-w-0 rounded-md border border-brand-carbon/10 px-2 py-1 text-xs text-brand-carbon/80"
+        />
+        <Button variant="outline" size="sm" onClick={handleCopy}>
+          <Copy className="h-4 w-4" />
+        </Button>
+      </div>
+      <div className="flex items-center justify-between">
+        <a
+          href={feedUrl.replace(/^https?:\/\//, 'webcal://')}
+          className="text-xs text-brand-blue underline"
+        >
+          Open in calendar app
+        </a>
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={() => handleGetLink(true)}
+            disabled={loading}
+            className="flex items-center gap-1 text-xs text-brand-carbon/50 underline"
+          >
+            <RefreshCw className="h-3 w-3" />
+            Reset link
+          </button>
+          <button
+            type="button"
+            onClick={handleTurnOff}
+            disabled={loading}
+            className="text-xs text-brand-carbon/50 underline"
+          >
+            Turn off
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,204 @@
+'use client'
+
+import { useState, useRef } from 'react'
+import { CalendarPlus, ChevronDown, ChevronUp, Upload } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+
+interface FreeWindow {
+  startDate: string
+  endDate: string
+  days: number
+}
+
+interface CalendarImport {
+  source: 'upload' | 'url'
+  rangeStart: string
+  rangeEnd: string
+  busyDays: string[]
+  freeWindows: FreeWindow[]
+}
+
+function formatDay(dateStr: string): string {
+  return new Date(dateStr + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+}
+
+/**
+ * CalendarImportPanel — pre-fill date suggestions from a personal calendar.
+ *
+ * The traveler uploads an .ics file or pastes an ICS/CalDAV subscription URL;
+ * the server keeps only busy days and proposes free windows inside the trip's
+ * bounds. Tapping a window hands it to the add-dates form via onPickWindow.
+ */
+export function CalendarImportPanel({
+  tripId,
+  token,
+  onPickWindow
+}: {
+  tripId: string
+  token: string
+  onPickWindow: (window: { startDate: string; endDate: string }) => void
+}) {
+  const [open, setOpen] = useState(false)
+  const [url, setUrl] = useState('')
+  const [importing, setImporting] = useState(false)
+  const [result, setResult] = useState<CalendarImport | null>(null)
+  const [loadedExisting, setLoadedExisting] = useState(false)
+  const fileInputRef = useRef<HTMLInputElement>(null)
+
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone
+
+  const loadExisting = async () => {
+    if (loadedExisting) return
+    setLoadedExisting(true)
+    try {
+      const response = await fetch(`/api/trips/${tripId}/calendar-import`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      if (response.ok) setResult(await response.json())
+    } catch {
+      // Nothing imported yet is the common case — stay quiet
+    }
+  }
+
+  const runImport = async (init: RequestInit) => {
+    try {
+      setImporting(true)
+      const response = await fetch(`/api/trips/${tripId}/calendar-import`, {
+        method: 'POST',
+        ...init,
+        headers: { 'Authorization': `Bearer ${token}`, ...(init.headers || {}) }
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || "Couldn't import that calendar — try again")
+      }
+      setResult(data)
+      setUrl('')
+      toast.success(data.freeWindows.length > 0 ? 'Found some free dates' : 'Calendar imported')
+    } catch (err: any) {
+      toast.error(err.message)
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const handleFile = (file: File | undefined) => {
+    if (!file) return
+    const formData = new FormData()
+    formData.append('file', file)
+    formData.append('timeZone', timeZone)
+    runImport({ body: formData })
+    if (fileInputRef.current) fileInputRef.current.value = ''
+  }
+
+  const handleUrl = () => {
+    if (!url.trim()) return
+    runImport({
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: url.trim(), timeZone })
+    })
+  }
+
+  const handleForget = async () => {
+    try {
+      await fetch(`/api/trips/${tripId}/calendar-import`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      setResult(null)
+    } catch {
+      toast.error("Couldn't remove the import — try again")
+    }
+  }
+
+  return (
+    <div className="rounded-lg border border-brand-carbon/10">
+      <button
+        type="button"
+        onClick={() => {
+          setOpen(!open)
+          if (!open) loadExisting()
+        }}
+        className="w-full flex items-center justify-between px-3 py-2 text-sm text-brand-carbon/80"
+      >
+        <span className="flex items-center gap-2">
+          <CalendarPlus className="h-4 w-4" />
+          Find free dates from your calendar
+        </span>
+        {open ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+      </button>
+
+      {open && (
+        <div className="px-3 pb-3 space-y-3">
+          <p className="text-xs text-brand-carbon/60">
+            We only keep which days you're busy — never event names or details.
+          </p>
+
+          <div className="flex gap-2">
+            <Input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="Paste an ICS or CalDAV link"
+              aria-label="Calendar URL"
+            />
+            <Button variant="outline" onClick={handleUrl} disabled={importing || !url.trim()}>
+              {importing ? 'Importing...' : 'Import'}
+            </Button>
+          </div>
+
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".ics,text/calendar"
+            className="hidden"
+            onChange={(e) => handleFile(e.target.files?.[0])}
+          />
+          <Button
+            variant="outline"
+            size="sm"
+            className="w-full"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={importing}
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Upload an .ics file
+          </Button>
+
+          {result && (
+            <div className="space-y-2">
+              <p className="text-xs text-brand-carbon/60">
+                {result.busyDays.length} busy {result.busyDays.length === 1 ? 'day' : 'days'} between {formatDay(result.rangeStart)} and {formatDay(result.rangeEnd)}
+              </p>
+              {result.freeWindows.length === 0 ? (
+                <p className="text-sm text-brand-carbon/70">No free stretch of 2+ days in that range.</p>
+              ) : (
+                <div className="flex flex-wrap gap-1.5">
+                  {result.freeWindows.map((w) => (
+                    <button
+                      key={w.startDate}
+                      type="button"
+                      onClick={() => onPickWindow({ startDate: w.startDate, endDate: w.endDate })}
+                      className="px-2.5 py-1 rounded-full text-xs font-medium border border-brand-carbon/10 bg-white text-brand-carbon/70 hover:border-brand-blue/50 hover:text-brand-blue transition-colors"
+                    >
+                      {formatDay(w.startDate)} – {formatDay(w.endDate)} ({w.days}d)
+                    </button>
+                  ))}
+                </div>
+              )}
+              <button
+                type="button"
+                onClick={handleForget}
+                className="text-xs text-brand-carbon/50 underline"
+              >
+                Forget imported calendar
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -3,12 +3,16 @@
 /**
  * ConfidenceMeter — visual bar showing how close a window is to proposal-ready.
  * Replaces numeric threshold text with a colored progress bar + label.
+ * A missing must-attend traveler holds it short of "ready" and is named.
  */
-export function ConfidenceMeter({ current, target }) {
+export function ConfidenceMeter({ current, target, missingRequired = [] }) {
   const ratio = Math.min(current / Math.max(target, 1), 1)
 
   let fillColor, label
-  if (ratio >= 1) {
+  if (missingRequired.length > 0) {
+    fillColor = 'bg-amber-400'
+    label = `Waiting on ${missingRequired.join(', ')} (must attend)`
+  } else if (ratio >= 1) {
     fillColor = 'bg-brand-red'
     label = 'Ready when you are'
   } else if (ratio >= 0.8) {
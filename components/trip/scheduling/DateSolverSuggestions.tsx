@@ -0,0 +1,160 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { Sparkles, Users } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent } from '@/components/ui/card'
+import { datesProposed } from '@/lib/analytics/track'
+
+interface SolverPerson {
+  userId: string
+  name: string
+}
+
+interface SolverCandidate {
+  startDate: string
+  endDate: string
+  days: number
+  windowId: string | null
+  attendees: SolverPerson[]
+  conflicts: Array<SolverPerson & { reason: 'blocked' | 'busy' }>
+  unavailable: SolverPerson[]
+  noResponse: SolverPerson[]
+  durationFit: number
+}
+
+function formatRange(startDate: string, endDate: string) {
+  const fmt = (d: string) => new Date(d + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  return startDate === endDate ? fmt(startDate) : `${fmt(startDate)} – ${fmt(endDate)}`
+}
+
+function names(people: SolverPerson[]) {
+  return people.map(p => p.name.split(' ')[0]).join(', ')
+}
+
+/**
+ * DateSolverSuggestions — leader-only ranked date ranges from the solver,
+ * each proposable in one tap.
+ */
+export function DateSolverSuggestions({
+  tripId,
+  token,
+  onProposed
+}: {
+  tripId: string
+  token: string
+  onProposed: () => void
+}) {
+  const [candidates, setCandidates] = useState<SolverCandidate[]>([])
+  const [totalTravelers, setTotalTravelers] = useState(0)
+  const [proposalReady, setProposalReady] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [proposingKey, setProposingKey] = useState<string | null>(null)
+
+  const fetchCandidates = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/trips/${tripId}/date-windows/solve`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      if (!response.ok) return
+      const data = await response.json()
+      setCandidates(data.candidates || [])
+      setTotalTravelers(data.totalTravelers || 0)
+      setProposalReady(!!data.proposalReady)
+    } catch {
+      // Suggestions are optional — the funnel still works without them
+    } finally {
+      setLoading(false)
+    }
+  }, [tripId, token])
+
+  useEffect(() => {
+    fetchCandidates()
+  }, [fetchCandidates])
+
+  const handlePropose = async (candidate: SolverCandidate) => {
+    const key = `${candidate.startDate}_${candidate.endDate}`
+    try {
+      setProposingKey(key)
+      // An exact match proposes the existing window; anything else becomes a custom range
+      const body = candidate.windowId
+        ? { windowId: candidate.windowId, leaderOverride: !proposalReady }
+        : { startDate: candidate.startDate, endDate: candidate.endDate }
+      const response = await fetch(`/api/trips/${tripId}/propose-dates`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || "Couldn't propose dates — try again")
+      }
+      toast.success(`Proposed ${formatRange(candidate.startDate, candidate.endDate)}`)
+      datesProposed(tripId, 'leader')
+      onProposed()
+    } catch (err: any) {
+      toast.error(err.message)
+    } finally {
+      setProposingKey(null)
+    }
+  }
+
+  if (loading || candidates.length === 0) return null
+
+  return (
+    <Card>
+      <CardContent className="pt-4 space-y-3">
+        <div className="flex items-center gap-2">
+          <Sparkles className="h-4 w-4 text-brand-blue" />
+          <p className="text-sm font-medium text-brand-carbon">Best dates so far</p>
+        </div>
+        {candidates.map((candidate, index) => {
+          const key = `${candidate.startDate}_${candidate.endDate}`
+          const cantGo = [...candidate.conflicts, ...candidate.unavailable]
+          return (
+            <div key={key} className="rounded-lg border border-brand-carbon/10 p-3">
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-semibold text-brand-carbon">
+                    {formatRange(candidate.startDate, candidate.endDate)}
+                    <span className="text-xs font-normal text-brand-carbon/50 ml-1.5">
+                      {candidate.days} {candidate.days === 1 ? 'day' : 'days'}
+                    </span>
+                  </p>
+                  <p className="text-xs text-brand-carbon/70 flex items-center gap-1 mt-0.5">
+                    <Users className="h-3 w-3" />
+                    {candidate.attendees.length} of {totalTravelers} can go: {names(candidate.attendees)}
+                  </p>
+                  {cantGo.length > 0 && (
+                    <p className="text-xs text-brand-red/80 mt-0.5">
+                      Can't: {names(cantGo)}
+                      {candidate.conflicts.some(c => c.reason === 'busy') && ' (calendar busy)'}
+                    </p>
+                  )}
+                  {candidate.noResponse.length > 0 && (
+                    <p className="text-xs text-brand-carbon/50 mt-0.5">
+                      No dates yet: {names(candidate.noResponse)}
+                    </p>
+                  )}
+                </div>
+                <Button
+                  size="sm"
+                  variant={index === 0 ? 'default' : 'outline'}
+                  onClick={() => handlePropose(candidate)}
+                  disabled={proposingKey !== null}
+                  className={index === 0 ? 'bg-brand-blue hover:bg-brand-blue/90 shrink-0' : 'shrink-0'}
+                >
+                  {proposingKey === key ? 'Proposing...' : 'Propose'}
+                </Button>
+              </div>
+            </div>
+          )
+        })}
+      </CardContent>
+    </Card>
+  )
+}
@@ -53,7 +53,11 @@ import {
 import { ConvergenceTimeline } from './ConvergenceTimeline'
 import { DateRangePicker } from './DateRangePicker'
 import { ConfidenceMeter } from './ConfidenceMeter'
+import { CalendarImportPanel } from './CalendarImportPanel'
+import { BlackoutDatesPanel } from './BlackoutDatesPanel'
+import { RankedChoiceBallot, VotingModePicker, type RankedVoting } from './RankedChoiceBallot'
 import { normalizeWindow } from '@/lib/trips/normalizeWindow'
+import { getRankableWindows } from '@/lib/trips/rankedChoice'
 
 interface DateWindow {
   id: string
@@ -70,6 +74,7 @@ interface DateWindow {
   supportCount: number
   supporterIds: string[]
   isProposed: boolean
+  conflictUserIds?: string[]
 }
 
 interface ProposalStatus {
@@ -77,6 +82,8 @@ interface ProposalStatus {
   reason: string
   leadingWindow: DateWindow | null
   leaderCount: number
+  requiredTravelerIds?: string[]
+  missingRequiredUserIds?: string[]
   stats: {
     totalTravelers: number
     responderCount: number
@@ -106,6 +113,15 @@ interface ApprovalSummary {
   reactions: Reaction[]
 }
 
+interface PhraseExpansion {
+  summary: string
+  candidates: Array<{ startISO: string; endISO: string; label?: string }>
+  constraint: { days: 'weekdays' | 'weekends' } | null
+  holiday: { key: string; name: string; date: string } | null
+  truncated: boolean
+  sourceText: string
+}
+
 interface DateWindowsFunnelProps {
   trip: any
   token: string
@@ -278,6 +294,8 @@ export function DateWindowsFunnel({
   const [isLeader, setIsLeader] = useState(false)
   const [approvalSummary, setApprovalSummary] = useState<ApprovalSummary | null>(null)
   const [approvalSummaries, setApprovalSummaries] = useState<Record<string, ApprovalSummary>>({})
+  const [votingMode, setVotingMode] = useState('approval')
+  const [rankedVoting, setRankedVoting] = useState<RankedVoting | null>(null)
 
   // Shortlist mode state (leader CONVERGE UX)
   const [shortlistMode, setShortlistMode] = useState(false)
@@ -313,6 +331,10 @@ export function DateWindowsFunnel({
   const [manualEndDate, setManualEndDate] = useState('')
   const [normalizationError, setNormalizationError] = useState<string | null>(null)
 
+  // Recurring/relative phrase expansion ("any weekend in March") awaiting confirmation
+  const [phraseExpansion, setPhraseExpansion] = useState<PhraseExpansion | null>(null)
+  const [selectedCandidates, setSelectedCandidates] = useState<string[]>([])
+
   // Progressive disclosure state
   const [showInsightDetails, setShowInsightDetails] = useState(false)
   const [showLeaderFooter, setShowLeaderFooter] = useState(false)
@@ -407,6 +429,8 @@ export function DateWindowsFunnel({
       setCanCreateWindow(data.canCreateWindow ?? true)
       setApprovalSummary(data.approvalSummary || null)
       setApprovalSummaries(data.approvalSummaries || {})
+      setVotingMode(data.votingMode || 'approval')
+      setRankedVoting(data.rankedVoting || null)
     } catch (err: any) {
       setError(err.message)
     } finally {
@@ -579,6 +603,7 @@ export function DateWindowsFunnel({
         body: JSON.stringify({
           text: textToSubmit,
           acknowledgeOverlap,
+          locale: navigator.language,
         })
       })
 
@@ -593,6 +618,13 @@ export function DateWindowsFunnel({
         throw new Error(data.error || "Couldn't add dates — try again")
       }
 
+      // Phrase expanded to several candidates — let the user pick before anything is created
+      if (data.requiresConfirmation && data.expansion) {
+        setPhraseExpansion({ ...data.expansion, sourceText: data.sourceText })
+        setSelectedCandidates([])
+        return
+      }
+
       // Check if API is asking for overlap acknowledgement (window not yet created)
       if (data.requiresAcknowledgement && data.similarWindowId) {
         setSimilarWindowId(data.similarWindowId)
@@ -613,6 +645,61 @@ export function DateWindowsFunnel({
     }
   }
 
+  // Toggle a candidate from an expanded phrase, up to the remaining window slots
+  const toggleCandidate = (key: string) => {
+    setSelectedCandidates(prev => {
+      if (prev.includes(key)) return prev.filter(k => k !== key)
+      if (prev.length >= remainingWindows) {
+        toast.error(`You can add ${remainingWindows} more date option${remainingWindows === 1 ? '' : 's'}`)
+        return prev
+      }
+      return [...prev, key]
+    })
+  }
+
+  // Create a window for each confirmed candidate
+  const handleConfirmCandidates = async () => {
+    if (!phraseExpansion || selectedCandidates.length === 0) return
+
+    const chosen = phraseExpansion.candidates.filter(c => selectedCandidates.includes(`${c.startISO}_${c.endISO}`))
+    let added = 0
+    try {
+      setSubmitting(true)
+      for (const candidate of chosen) {
+        const response = await fetch(`/api/trips/${trip.id}/date-windows`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            startDate: candidate.startISO,
+            endDate: candidate.endISO,
+            sourceText: phraseExpansion.sourceText,
+            // The user already chose these explicitly
+            acknowledgeOverlap: true,
+          })
+        })
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.error || "Couldn't add dates — try again")
+        }
+        added++
+      }
+    } catch (err: any) {
+      toast.error(err.message)
+    } finally {
+      setSubmitting(false)
+    }
+
+    if (added > 0) {
+      toast.success(added === 1 ? 'Dates added' : `${added} date options added`)
+      datesProposed(trip.id, isLeader ? 'leader' : 'traveler')
+      resetFormState()
+      await fetchWindows()
+    }
+  }
+
   // Handle manual date entry (fallback when normalization fails)
   const handleManualSubmit = async (acknowledgeOverlap = false) => {
     if (!manualStartDate || !manualEndDate) {
@@ -682,6 +769,7 @@ export function DateWindowsFunnel({
         body: JSON.stringify({
           text: newDateText,
           forceAccept: true,
+          locale: navigator.language,
         })
       })
 
@@ -724,6 +812,8 @@ export function DateWindowsFunnel({
     setManualStartDate('')
     setManualEndDate('')
     setNormalizationError(null)
+    setPhraseExpansion(null)
+    setSelectedCandidates([])
     setShowCustomProposal(false)
     setCustomStartDate('')
     setCustomEndDate('')
@@ -733,6 +823,15 @@ export function DateWindowsFunnel({
     setChipPreEnd(null)
   }
 
+  // Must-attend travelers the leading window is still missing
+  const missingRequiredNames = useMemo(() =>
+    (proposalStatus?.missingRequiredUserIds || []).map((uid: string) => {
+      const t = travelers.find((tr: any) => tr.userId === uid || tr.id === uid)
+      return t ? (t.name || t.userName || 'Unknown') : 'Unknown'
+    }),
+    [proposalStatus, travelers]
+  )
+
   // Smart date chips
   const smartChips = useMemo(() => generateSmartChips(), [])
 
@@ -1609,6 +1708,7 @@ export function DateWindowsFunnel({
   const stats = proposalStatus?.stats
   const remainingWindows = maxWindows - userWindowCount
   const similarWindow = similarWindowId ? windows.find(w => w.id === similarWindowId) : null
+  const rankableWindows: DateWindow[] = getRankableWindows(windows)
 
   return (
     <div className="space-y-4 p-4">
@@ -1791,7 +1891,74 @@ export function DateWindowsFunnel({
                     </div>
                   )}
 
-                  {!normalizationError && (
+                  {/* Candidates from a recurring/relative phrase — pick which to add */}
+                  {phraseExpansion && (
+                    <div className="p-3 bg-brand-sand/40 border border-brand-carbon/10 rounded-lg mb-3">
+                      <p className="text-sm font-medium text-brand-carbon">
+                        {phraseExpansion.summary}
+                      </p>
+                      <p className="text-xs text-brand-carbon/60 mb-2">
+                        {phraseExpansion.holiday
+                          ? `${phraseExpansion.holiday.name} is ${formatDate(phraseExpansion.holiday.date)}. `
+                          : ''}
+                        Pick up to {remainingWindows} to add.
+                      </p>
+                      <div className="space-y-1.5 mb-3">
+                        {phraseExpansion.candidates.map((candidate) => {
+                          const key = `${candidate.startISO}_${candidate.endISO}`
+                          const selected = selectedCandidates.includes(key)
+                          return (
+                            <button
+                              key={key}
+                              type="button"
+                              onClick={() => toggleCandidate(key)}
+                              className={`w-full flex items-center justify-between px-3 py-2 rounded-md border text-sm transition-colors ${
+                                selected
+                                  ? 'border-brand-blue bg-brand-blue/10 text-brand-blue'
+                                  : 'border-brand-carbon/10 bg-white text-brand-carbon/80 hover:border-brand-blue/50'
+                              }`}
+                            >
+                              <span>
+                                {candidate.startISO === candidate.endISO
+                                  ? formatDate(candidate.startISO)
+                                  : `${formatDate(candidate.startISO)} – ${formatDate(candidate.endISO)}`}
+                                {candidate.label && (
+                                  <span className="text-xs text-brand-carbon/50 ml-1.5">{candidate.label}</span>
+                                )}
+                              </span>
+                              {selected && <Check className="h-4 w-4" />}
+                            </button>
+                          )
+                        })}
+                      </div>
+                      {phraseExpansion.truncated && (
+                        <p className="text-xs text-brand-carbon/50 mb-2">Showing the first few — type a narrower phrase for others.</p>
+                      )}
+                      <div className="flex gap-2">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => {
+                            setPhraseExpansion(null)
+                            setSelectedCandidates([])
+                          }}
+                          className="flex-1"
+                        >
+                          Back
+                        </Button>
+                        <Button
+                          size="sm"
+                          onClick={handleConfirmCandidates}
+                          disabled={submitting || selectedCandidates.length === 0}
+                          className="flex-1 bg-brand-blue hover:bg-brand-blue/90"
+                        >
+                          {submitting ? 'Adding...' : selectedCandidates.length > 1 ? `Add ${selectedCandidates.length} selected` : 'Add selected'}
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+
+                  {!normalizationError && !phraseExpansion && (
                     <>
                       <Label className="text-sm">When works for you?</Label>
 
@@ -1854,7 +2021,7 @@ export function DateWindowsFunnel({
                             placeholder="e.g., Feb 7-9, early March, last week of June"
                           />
                           <p className="text-xs text-muted-foreground mt-1.5">
-                            Try: "Feb 7-9", "mid March", "last weekend of June"
+                            Try: "Feb 7-9", "mid March", "any weekend in May", "week after Easter" — or "15-20 juin"
                           </p>
                         </div>
                       ) : (
@@ -1869,6 +2036,16 @@ export function DateWindowsFunnel({
                         </div>
                       )}
 
+                      <CalendarImportPanel
+                        tripId={trip.id}
+                        token={token}
+                        onPickWindow={({ startDate, endDate }) => {
+                          setUseTextInput(true)
+                          setNewDateText(startDate === endDate ? startDate : `${startDate} - ${endDate}`)
+                          setSelectedChipLabel(null)
+                        }}
+                      />
+
                       <p className="text-xs text-brand-carbon/40 mt-2">
                         You can change your dates anytime until they're locked.
                       </p>
@@ -1888,6 +2065,11 @@ export function DateWindowsFunnel({
         </CollapsibleContent>
       </Collapsible>
 
+      {/* Blackout dates — flag every suggestion that clashes */}
+      {isActiveParticipant && (
+        <BlackoutDatesPanel tripId={trip.id} token={token} onChanged={fetchWindows} />
+      )}
+
       {/* At cap message */}
       {!canCreateWindow && (
         <p className="text-sm text-center text-muted-foreground">
@@ -1978,6 +2160,18 @@ export function DateWindowsFunnel({
                             Approx dates
                           </Badge>
                         )}
+                        {!isBlocker && (window.conflictUserIds?.length ?? 0) > 0 && (
+                          <Badge variant="outline" className="text-xs bg-brand-red/10 text-brand-red border-brand-red/30">
+                            {(() => {
+                              const conflictNames = window.conflictUserIds!.map(id => {
+                                if (id === user.id) return 'You'
+                                const t = travelers.find((tr: any) => tr.userId === id || tr.id === id)
+                                return (t?.name || t?.userName || 'Someone').split(' ')[0]
+                              })
+                              return `Can't: ${conflictNames.slice(0, 3).join(', ')}${conflictNames.length > 3 ? ` +${conflictNames.length - 3}` : ''}`
+                            })()}
+                          </Badge>
+                        )}
                       </div>
                       {!isBlocker && (
                         <>
@@ -2077,6 +2271,29 @@ export function DateWindowsFunnel({
         </div>
       )}
 
+      {/* Ranked-choice voting (leader picks the mode once there are enough options) */}
+      {isLeader && phase === 'COLLECTING' && (
+        <VotingModePicker
+          tripId={trip.id}
+          token={token}
+          votingMode={votingMode}
+          rankableCount={rankableWindows.length}
+          onUpdated={fetchWindows}
+        />
+      )}
+      {rankedVoting && phase === 'COLLECTING' && rankableWindows.length > 0 && (
+        <RankedChoiceBallot
+          tripId={trip.id}
+          token={token}
+          windows={rankableWindows}
+          rankedVoting={rankedVoting}
+          isLeader={isLeader}
+          canVote={isActiveParticipant}
+          onSaved={fetchWindows}
+          onProposeWinner={(windowId) => handlePropose(windowId, !proposalStatus?.proposalReady)}
+        />
+      )}
+
       {/* Leader insight (collapsed into propose section) */}
       {isLeader && !proposalStatus?.proposalReady && phase === 'COLLECTING' && windows.length > 0 && stats && (
         (() => {
@@ -2085,7 +2302,7 @@ export function DateWindowsFunnel({
 
           if (responseRate >= 0.5) {
             return (
-              <ConfidenceMeter current={leaderCount} target={stats.thresholdNeeded} />
+              <ConfidenceMeter current={leaderCount} target={stats.thresholdNeeded} missingRequired={missingRequiredNames} />
             )
           }
           return null
@@ -2341,6 +2558,7 @@ export function DateWindowsFunnel({
                 TRIPTI.ai recommends <strong>{formatWindowDisplay(aiRecommendation.window)}</strong>
               </p>
               <ConfidenceMeter
+                missingRequired={aiRecommendation.window.id === proposalStatus?.leadingWindow?.id ? missingRequiredNames : []}
                 current={aiRecommendation.window.supporterIds.length}
                 target={stats?.thresholdNeeded || Math.ceil((stats?.totalTravelers || travelers.length) / 2)}
               />
@@ -0,0 +1,296 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { ArrowUp, ArrowDown, X, ListOrdered, Trophy } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent } from '@/components/ui/card'
+import { VOTING_MODES, VOTING_MODE_LABELS, RANKED_MIN_OPTIONS } from '@/lib/trips/rankedChoice'
+
+interface RankableWindow {
+  id: string
+  startDate: string
+  endDate: string
+  windowType?: 'available' | 'blocker'
+}
+
+interface RankedRound {
+  round: number
+  counts: Record<string, number>
+  eliminated: string[]
+  exhausted: number
+}
+
+export interface RankedVoting {
+  mode: 'instant_runoff' | 'borda'
+  options: Array<{ optionKey: string; votes: number; score: number; eliminatedInRound: number | null }>
+  rounds: RankedRound[]
+  leadingOption: { optionKey: string } | null
+  isTie: boolean
+  votedCount: number
+  totalTravelers: number
+  readyToLock: boolean
+  myRanking: string[]
+}
+
+function formatRange(startDate: string, endDate: string) {
+  const fmt = (d: string) => new Date(d + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  return startDate === endDate ? fmt(startDate) : `${fmt(startDate)} – ${fmt(endDate)}`
+}
+
+/**
+ * VotingModePicker — leader switch between thumbs-up support and ranked
+ * choice. Offered once there are enough options for ranking to matter.
+ */
+export function VotingModePicker({
+  tripId,
+  token,
+  votingMode,
+  rankableCount,
+  onUpdated
+}: {
+  tripId: string
+  token: string
+  votingMode: string
+  rankableCount: number
+  onUpdated: () => void
+}) {
+  const [saving, setSaving] = useState(false)
+
+  if (rankableCount < RANKED_MIN_OPTIONS && votingMode === VOTING_MODES.APPROVAL) return null
+
+  const handleChange = async (mode: string) => {
+    if (mode === votingMode) return
+    try {
+      setSaving(true)
+      const response = await fetch(`/api/trips/${tripId}`, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ votingMode: mode })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || "Couldn't change voting — try again")
+      }
+      toast.success(mode === VOTING_MODES.APPROVAL ? 'Back to thumbs up' : 'Ranked voting is on')
+      onUpdated()
+    } catch (err: any) {
+      toast.error(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="rounded-lg border border-brand-carbon/10 px-3 py-2">
+      <p className="text-xs font-medium text-brand-carbon mb-1.5">How should the group pick?</p>
+      <div className="flex flex-wrap gap-1.5">
+        {Object.values(VOTING_MODES).map(mode => (
+          <button
+            key={mode}
+            onClick={() => handleChange(mode)}
+            disabled={saving}
+            className={`px-2.5 py-1 rounded-full text-xs font-medium border transition-all ${
+              votingMode === mode
+                ? 'bg-brand-blue text-white border-brand-blue'
+                : 'bg-white text-brand-carbon/80 border-brand-carbon/10 hover:border-brand-blue/50'
+            }`}
+          >
+            {VOTING_MODE_LABELS[mode]}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * RankedChoiceBallot — rank the date options best first, then see the
+ * count round by round. The leader can propose the winner from here.
+ */
+export function RankedChoiceBallot({
+  tripId,
+  token,
+  windows,
+  rankedVoting,
+  isLeader,
+  canVote,
+  onSaved,
+  onProposeWinner
+}: {
+  tripId: string
+  token: string
+  windows: RankableWindow[]
+  rankedVoting: RankedVoting
+  isLeader: boolean
+  canVote: boolean
+  onSaved: () => void
+  onProposeWinner: (windowId: string) => void
+}) {
+  const windowById = new Map(windows.map(w => [w.id, w]))
+  // Options deleted since the ballot was cast drop out
+  const savedRanking = rankedVoting.myRanking.filter(id => windowById.has(id))
+  const [ranking, setRanking] = useState<string[]>(savedRanking)
+  const [saving, setSaving] = useState(false)
+
+  const savedKey = savedRanking.join(',')
+  useEffect(() => {
+    setRanking(savedKey ? savedKey.split(',') : [])
+  }, [savedKey])
+
+  const isDirty = ranking.join(',') !== savedKey
+  const unranked = windows.filter(w => !ranking.includes(w.id))
+  const label = (id: string) => {
+    const w = windowById.get(id)
+    return w ? formatRange(w.startDate, w.endDate) : 'Removed dates'
+  }
+
+  const move = (index: number, delta: number) => {
+    const next = [...ranking]
+    const [item] = next.splice(index, 1)
+    next.splice(index + delta, 0, item)
+    setRanking(next)
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      const response = await fetch(`/api/trips/${tripId}/ranked-ballot`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ranking })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || "Couldn't save your ranking — try again")
+      }
+      toast.success(ranking.length > 0 ? 'Ranking saved' : 'Ranking cleared')
+      onSaved()
+    } catch (err: any) {
+      toast.error(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const isBorda = rankedVoting.mode === VOTING_MODES.BORDA
+  const winnerId = !rankedVoting.isTie ? rankedVoting.leadingOption?.optionKey : null
+
+  return (
+    <Card>
+      <CardContent className="pt-4 space-y-4">
+        <div>
+          <div className="flex items-center gap-2">
+            <ListOrdered className="h-4 w-4 text-brand-blue" />
+            <p className="text-sm font-medium text-brand-carbon">Rank the dates</p>
+          </div>
+          <p className="text-xs text-brand-carbon/50 mt-0.5">
+            {isBorda
+              ? 'Best first. Higher picks earn more points; the most points wins.'
+              : 'Best first. If your top pick is knocked out, your vote moves to your next choice.'}
+          </p>
+        </div>
+
+        {canVote && (
+          <div className="space-y-2">
+            {ranking.map((id, index) => (
+              <div key={id} className="flex items-center gap-2 rounded-lg border border-brand-blue/30 bg-brand-blue/5 px-3 py-2">
+                <span className="text-xs font-semibold text-brand-blue w-5">{index + 1}.</span>
+                <span className="text-sm text-brand-carbon flex-1">{label(id)}</span>
+                <button onClick={() => move(index, -1)} disabled={index === 0} aria-label="Move up" className="text-brand-carbon/50 disabled:opacity-30">
+                  <ArrowUp className="h-4 w-4" />
+                </button>
+                <button onClick={() => move(index, 1)} disabled={index === ranking.length - 1} aria-label="Move down" className="text-brand-carbon/50 disabled:opacity-30">
+                  <ArrowDown className="h-4 w-4" />
+                </button>
+                <button onClick={() => setRanking(ranking.filter(r => r !== id))} aria-label="Unrank" className="text-brand-carbon/50">
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+            {unranked.length > 0 && (
+              <div className="flex flex-wrap gap-1.5">
+                {unranked.map(w => (
+                  <button
+                    key={w.id}
+                    onClick={() => setRanking([...ranking, w.id])}
+                    className="px-2.5 py-1 rounded-full text-xs font-medium border bg-white text-brand-carbon/80 border-brand-carbon/10 hover:border-brand-blue/50"
+                  >
+                    + {formatRange(w.startDate, w.endDate)}
+                  </button>
+                ))}
+              </div>
+            )}
+            {isDirty && (
+              <Button size="sm" onClick={handleSave} disabled={saving} className="w-full bg-brand-blue hover:bg-brand-blue/90">
+                {saving ? 'Saving...' : ranking.length > 0 ? 'Save my ranking' : 'Clear my ranking'}
+              </Button>
+            )}
+          </div>
+        )}
+
+        {/* Results, round by round */}
+        <div className="border-t border-brand-carbon/10 pt-3 space-y-2">
+          <p className="text-xs text-brand-carbon/70">
+            {rankedVoting.votedCount} of {rankedVoting.totalTravelers} have ranked
+          </p>
+          {rankedVoting.rounds.length === 0 ? (
+            <p className="text-xs text-brand-carbon/50">Results show up once someone ranks.</p>
+          ) : (
+            rankedVoting.rounds.map(round => (
+              <div key={round.round} className="rounded-lg bg-brand-sand/20 px-3 py-2">
+                {!isBorda && (
+                  <p className="text-[11px] font-semibold text-brand-carbon/60 mb-1">Round {round.round}</p>
+                )}
+                <ul className="space-y-0.5">
+                  {Object.entries(round.counts)
+                    .sort(([, a], [, b]) => b - a)
+                    .map(([id, count]) => (
+                      <li key={id} className={`flex justify-between text-xs ${round.eliminated.includes(id) ? 'text-brand-carbon/40 line-through' : 'text-brand-carbon'}`}>
+                        <span>{label(id)}</span>
+                        <span>{count} {isBorda ? (count === 1 ? 'pt' : 'pts') : (count === 1 ? 'vote' : 'votes')}</span>
+                      </li>
+                    ))}
+                </ul>
+                {round.eliminated.length > 0 && (
+                  <p className="text-[11px] text-brand-carbon/50 mt-1">
+                    Fewest votes: {round.eliminated.map(label).join(', ')} — those ballots move to their next choice
+                  </p>
+                )}
+                {round.exhausted > 0 && (
+                  <p className="text-[11px] text-brand-carbon/50">
+                    {round.exhausted} {round.exhausted === 1 ? 'ballot has' : 'ballots have'} no choices left
+                  </p>
+                )}
+              </div>
+            ))
+          )}
+          {winnerId && (
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-sm font-medium text-brand-carbon flex items-center gap-1.5">
+                <Trophy className="h-4 w-4 text-brand-blue" />
+                {label(winnerId)} {rankedVoting.readyToLock ? 'wins' : 'is leading'}
+              </p>
+              {isLeader && (
+                <Button size="sm" onClick={() => onProposeWinner(winnerId)} className="bg-brand-blue hover:bg-brand-blue/90 shrink-0">
+                  Propose
+                </Button>
+              )}
+            </div>
+          )}
+          {rankedVoting.isTie && (
+            <p className="text-xs text-brand-carbon/70">
+              It's a tie{isLeader ? ' — pick one to propose' : ' — the trip leader will pick'}.
+            </p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
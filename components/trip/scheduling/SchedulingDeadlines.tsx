@@ -0,0 +1,157 @@
+'use client'
+
+import { useState } from 'react'
+import { Clock } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+
+function formatDeadline(iso: string) {
+  return new Date(iso).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+}
+
+// ISO → datetime-local value in the viewer's timezone
+function toInputValue(iso?: string | null) {
+  if (!iso) return ''
+  const date = new Date(iso)
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16)
+}
+
+/**
+ * SchedulingDeadlines — "suggest dates by" and "react by" for the trip.
+ *
+ * Everyone sees the deadlines; the leader can set or clear them. When one
+ * passes, the hourly cron proposes the leading dates or locks the leading
+ * option and posts to chat.
+ */
+export function SchedulingDeadlines({
+  trip,
+  token,
+  isLeader,
+  onUpdated
+}: {
+  trip: any
+  token: string
+  isLeader: boolean
+  onUpdated: () => void
+}) {
+  const [editing, setEditing] = useState(false)
+  const [suggestDatesBy, setSuggestDatesBy] = useState(toInputValue(trip.suggestDatesBy))
+  const [reactBy, setReactBy] = useState(toInputValue(trip.reactBy))
+  const [saving, setSaving] = useState(false)
+
+  const hasDeadlines = !!(trip.suggestDatesBy || trip.reactBy)
+  if (!hasDeadlines && !isLeader) return null
+
+  const handleSave = async () => {
+    // Only send what changed — a deadline that already passed can't be re-saved
+    const updates: Record<string, string | null> = {}
+    if (suggestDatesBy !== toInputValue(trip.suggestDatesBy)) {
+      // datetime-local is in the viewer's timezone
+      updates.suggestDatesBy = suggestDatesBy ? new Date(suggestDatesBy).toISOString() : null
+    }
+    if (reactBy !== toInputValue(trip.reactBy)) {
+      updates.reactBy = reactBy ? new Date(reactBy).toISOString() : null
+    }
+    if (Object.keys(updates).length === 0) {
+      setEditing(false)
+      return
+    }
+
+    try {
+      setSaving(true)
+      const response = await fetch(`/api/trips/${trip.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(updates)
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || "Couldn't save deadlines — try again")
+      }
+      toast.success('Deadlines saved')
+      setEditing(false)
+      onUpdated()
+    } catch (err: any) {
+      toast.error(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (editing) {
+    return (
+      <div className="space-y-3 rounded-lg border border-brand-carbon/10 p-3">
+        <div>
+          <Label htmlFor="suggest-dates-by">Suggest dates by</Label>
+          <Input
+            id="suggest-dates-by"
+            type="datetime-local"
+            value={suggestDatesBy}
+            onChange={(e) => setSuggestDatesBy(e.target.value)}
+          />
+          <p className="text-xs text-brand-carbon/50 mt-1">Then the dates with the most support are proposed.</p>
+        </div>
+        <div>
+          <Label htmlFor="react-by">React by</Label>
+          <Input
+            id="react-by"
+            type="datetime-local"
+            value={reactBy}
+            onChange={(e) => setReactBy(e.target.value)}
+          />
+          <p className="text-xs text-brand-carbon/50 mt-1">Then the favorite dates are locked. Ties come back to you.</p>
+        </div>
+        <div className="flex gap-2">
+          <Button size="sm" onClick={handleSave} disabled={saving} className="bg-brand-blue hover:bg-brand-blue/90">
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+          <Button size="sm" variant="ghost" onClick={() => setEditing(false)} disabled={saving}>
+            Cancel
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex items-start justify-between gap-3 rounded-lg border border-brand-carbon/10 px-3 py-2">
+      <div className="flex items-start gap-2 text-xs text-brand-carbon/70">
+        <Clock className="h-4 w-4 text-brand-blue shrink-0" />
+        {hasDeadlines ? (
+          <div className="space-y-0.5">
+            {trip.suggestDatesBy && (
+              <p className={trip.suggestDatesByHandledAt ? 'line-through text-brand-carbon/40' : ''}>
+                Suggest dates by {formatDeadline(trip.suggestDatesBy)}
+              </p>
+            )}
+            {trip.reactBy && (
+              <p className={trip.reactByHandledAt ? 'line-through text-brand-carbon/40' : ''}>
+                React by {formatDeadline(trip.reactBy)}
+              </p>
+            )}
+          </div>
+        ) : (
+          <p>Set deadlines so dates don't stall.</p>
+        )}
+      </div>
+      {isLeader && (
+        <button
+          onClick={() => {
+            setSuggestDatesBy(toInputValue(trip.suggestDatesBy))
+            setReactBy(toInputValue(trip.reactBy))
+            setEditing(true)
+          }}
+          className="text-xs font-medium text-brand-blue hover:underline shrink-0"
+        >
+          {hasDeadlines ? 'Edit' : 'Set deadlines'}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -7,10 +7,22 @@ function getAuthToken(): string | null {
   return typeof window !== 'undefined' ? localStorage.getItem('tripti_token') : null
 }
 
+type UploadOptions = {
+  // Store as an expense receipt for this trip (receipts/<tripId>/ — see lib/expenses/receipts)
+  receiptTripId?: string
+}
+
+function getExtension(file: File): string {
+  return file.name.split('.').pop()?.toLowerCase().replace(/[^a-z0-9]/g, '') || 'jpg'
+}
+
 // Local upload — saves to public/uploads/ via the local API endpoint
-async function uploadLocal(file: File): Promise<string> {
+async function uploadLocal(file: File, { receiptTripId }: UploadOptions): Promise<string> {
   const formData = new FormData()
   formData.append('file', file)
+  if (receiptTripId) {
+    formData.append('receiptTripId', receiptTripId)
+  }
 
   const headers: Record<string, string> = {}
   const token = getAuthToken()
@@ -34,8 +46,11 @@ async function uploadLocal(file: File): Promise<string> {
 }
 
 // Vercel Blob upload — used in production with BLOB_READ_WRITE_TOKEN
-async function uploadBlob(file: File): Promise<string> {
-  const blob = await upload(file.name, file, {
+async function uploadBlob(file: File, { receiptTripId }: UploadOptions): Promise<string> {
+  const pathname = receiptTripId
+    ? `receipts/${receiptTripId}/${crypto.randomUUID()}.${getExtension(file)}`
+    : file.name
+  const blob = await upload(pathname, file, {
     access: 'public',
     handleUploadUrl: '/api/upload/token',
   })
@@ -44,18 +59,18 @@ async function uploadBlob(file: File): Promise<string> {
 
 // Try local first in development, blob in production
 // If one fails, fall back to the other
-async function uploadWithFallback(file: File): Promise<string> {
+async function uploadWithFallback(file: File, options: UploadOptions): Promise<string> {
   const isDev = typeof window !== 'undefined' &&
     (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
 
   if (isDev) {
     // In dev: try local first (no blob token needed)
     try {
-      return await uploadLocal(file)
+      return await uploadLocal(file, options)
     } catch (localErr: any) {
       console.warn('Local upload failed, trying blob:', localErr.message)
       try {
-        return await uploadBlob(file)
+        return await uploadBlob(file, options)
       } catch (blobErr: any) {
         throw new Error(localErr.message || 'Upload failed')
       }
@@ -63,15 +78,16 @@ async function uploadWithFallback(file: File): Promise<string> {
   } else {
     // In production: try blob first, fall back to local
     try {
-      return await uploadBlob(file)
+      return await uploadBlob(file, options)
     } catch (blobErr: any) {
       console.warn('Blob upload failed, trying local fallback:', blobErr.message)
-      return await uploadLocal(file)
+      return await uploadLocal(file, options)
     }
   }
 }
 
-export function useBlobUpload() {
+export function useBlobUpload(options: UploadOptions = {}) {
+  const { receiptTripId } = options
   const [uploading, setUploading] = useState(false)
   const [error, setError] = useState<string | null>(null)
 
@@ -80,7 +96,7 @@ export function useBlobUpload() {
     setError(null)
 
     try {
-      return await uploadWithFallback(file)
+      return await uploadWithFallback(file, { receiptTripId })
     } catch (err: any) {
       console.error('Upload failed:', err)
       setError(err.message || 'Upload failed')
@@ -88,7 +104,7 @@ export function useBlobUpload() {
     } finally {
       setUploading(false)
     }
-  }, [])
+  }, [receiptTripId])
 
   const uploadFiles = useCallback(async (files: File[]): Promise<string[]> => {
     setUploading(true)
@@ -98,7 +114,7 @@ export function useBlobUpload() {
       const results = await Promise.all(
         files.map(async (file) => {
           try {
-            return await uploadWithFallback(file)
+            return await uploadWithFallback(file, { receiptTripId })
           } catch (err) {
             console.error('Failed to upload file:', file.name, err)
             return null
@@ -109,7 +125,7 @@ export function useBlobUpload() {
     } finally {
       setUploading(false)
     }
-  }, [])
+  }, [receiptTripId])
 
   return { uploadFile, uploadFiles, uploading, error }
 }
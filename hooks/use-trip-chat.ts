@@ -33,11 +33,16 @@ const api = async (endpoint: string, options: RequestInit = {}, token: string |
   return data
 }
 
+type StreamEventType = 'message' | 'chat_event' | 'nudge'
+
 interface UseTripChatOptions {
   tripId: string
   token: string
   enabled?: boolean
   pollInterval?: number
+  // Receive new messages over the trip's SSE stream; polling stays as the fallback
+  stream?: boolean
+  onStreamEvent?: (type: StreamEventType, message: Message) => void
 }
 
 interface Message {
@@ -49,6 +54,10 @@ interface Message {
   createdAt: string
   isSystem?: boolean
   metadata?: Record<string, any>
+  reactions?: Array<{ emoji: string; userId: string }>
+  replyTo?: { messageId: string; userId: string | null; userName: string | null; excerpt: string; deleted?: boolean } | null
+  editedAt?: string | null
+  deleted?: boolean
 }
 
 // Backoff constants
@@ -56,15 +65,66 @@ const BASE_INTERVAL = 5000    // 5s
 const MAX_INTERVAL = 20000    // 20s
 const BACKOFF_MULTIPLIER = 1.5
 
+// Stream reconnects (after an error; a normal close reconnects right away)
+const STREAM_RETRY_BASE = 3000
+const STREAM_RETRY_MAX = 60000
+const STREAM_EVENT_TYPES = ['message', 'chat_event', 'nudge']
+
+// History paging (matches the server's default page size)
+const PAGE_SIZE = 100
+// How far back jumpToMessage will page before giving up
+const MAX_JUMP_PAGES = 10
+
+const isStoredMessage = (m: Message) => !m.id.startsWith('derived-')
+
+// Keep already-loaded history that's older than the fresh newest page
+function mergeWithHistory(prev: Message[], fresh: Message[]) {
+  const oldestFresh = fresh.find(isStoredMessage)
+  if (!oldestFresh) return fresh
+  const older = prev.filter(m =>
+    isStoredMessage(m) &&
+    !fresh.some(f => f.id === m.id) &&
+    (m.createdAt < oldestFresh.createdAt || (m.createdAt === oldestFresh.createdAt && m.id < oldestFresh.id))
+  )
+  return older.length > 0 ? [...older, ...fresh] : fresh
+}
+
+// Split an SSE buffer into complete events; the unfinished tail is returned as rest
+function parseSSE(buffer: string) {
+  const events: Array<{ event: string; id: string | null; data: string }> = []
+  const frames = buffer.split('\n\n')
+  const rest = frames.pop() || ''
+  for (const frame of frames) {
+    let event = 'message'
+    let id: string | null = null
+    const data: string[] = []
+    for (const line of frame.split('\n')) {
+      if (line.startsWith(':')) continue
+      const colon = line.indexOf(':')
+      const field = colon === -1 ? line : line.slice(0, colon)
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+      if (field === 'event') event = value
+      else if (field === 'id') id = value
+      else if (field === 'data') data.push(value)
+    }
+    if (data.length > 0) events.push({ event, id, data: data.join('\n') })
+  }
+  return { events, rest }
+}
+
 /**
  * Hook for managing trip chat messages
- * Handles loading, polling (with exponential backoff), and sending messages
+ * Handles loading, live updates (SSE stream, falling back to polling with
+ * exponential backoff), and sending messages. This is the trip stream's
+ * only client — see lib/chat/tripStream for what stays on timers.
  */
 export function useTripChat({
   tripId,
   token,
   enabled = true,
-  pollInterval = BASE_INTERVAL
+  pollInterval = BASE_INTERVAL,
+  stream = true,
+  onStreamEvent
 }: UseTripChatOptions) {
   const [messages, setMessages] = useState<Message[]>([])
   const [newMessage, setNewMessage] = useState('')
@@ -72,10 +132,25 @@ export function useTripChat({
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [failureCount, setFailureCount] = useState(0)
+  const [hasOlder, setHasOlder] = useState(false)
+  const [replyingTo, setReplyingTo] = useState<Message | null>(null)
+  const [loadingOlder, setLoadingOlder] = useState(false)
   const timeoutRef = useRef<NodeJS.Timeout | null>(null)
   const currentIntervalRef = useRef(pollInterval)
-  const prevMessageCountRef = useRef(0)
+  const prevNewestIdRef = useRef<string | null>(null)
+  const messagesRef = useRef(messages)
+  messagesRef.current = messages
   const stoppedRef = useRef(false)
+  const streamConnectedRef = useRef(false)
+  const lastMessageIdRef = useRef<string | null>(null)
+  const onStreamEventRef = useRef(onStreamEvent)
+  onStreamEventRef.current = onStreamEvent
+
+  // Stream cursor: the newest stored message (derived ones aren't in trip_messages)
+  useEffect(() => {
+    const last = [...messages].reverse().find(isStoredMessage)
+    lastMessageIdRef.current = last?.id || null
+  }, [messages])
 
   // Clear error helper
   const clearError = useCallback(() => setError(null), [])
@@ -92,13 +167,14 @@ export function useTripChat({
     try {
       const data = await api(`/trips/${tripId}/messages`, { method: 'GET' }, token)
       const msgList: Message[] = data || []
-      const prevCount = prevMessageCountRef.current
-      prevMessageCountRef.current = msgList.length
+      const prevNewestId = prevNewestIdRef.current
+      const newestId = [...msgList].reverse().find(isStoredMessage)?.id || null
+      prevNewestIdRef.current = newestId
 
       // If new messages arrived, reset backoff to base interval
-      if (msgList.length > prevCount && prevCount > 0) {
+      if (newestId !== prevNewestId && prevNewestId) {
         currentIntervalRef.current = pollInterval
-      } else if (prevCount > 0) {
+      } else if (prevNewestId) {
         // No new messages — increase interval with backoff
         currentIntervalRef.current = Math.min(
           currentIntervalRef.current * BACKOFF_MULTIPLIER,
@@ -106,7 +182,8 @@ export function useTripChat({
         )
       }
 
-      setMessages(msgList)
+      setMessages(prev => mergeWithHistory(prev, msgList))
+      setHasOlder(prev => prev || msgList.filter(isStoredMessage).length >= PAGE_SIZE)
       setError(null) // Clear error on success
       setFailureCount(0) // Reset failure count on success
     } catch (err: any) {
@@ -131,7 +208,9 @@ export function useTripChat({
   useEffect(() => {
     if (enabled && tripId && token) {
       setLoading(true)
-      prevMessageCountRef.current = 0
+      prevNewestIdRef.current = null
+      setMessages([])
+      setHasOlder(false)
       loadMessages().finally(() => setLoading(false))
     }
   }, [enabled, tripId, token, loadMessages])
@@ -151,7 +230,8 @@ export function useTripChat({
     const scheduleNext = () => {
       if (stoppedRef.current) return
       timeoutRef.current = setTimeout(async () => {
-        await loadMessages()
+        // The stream delivers new messages while it's open
+        if (!streamConnectedRef.current) await loadMessages()
         scheduleNext()
       }, currentIntervalRef.current)
     }
@@ -167,6 +247,131 @@ export function useTripChat({
     }
   }, [enabled, tripId, token, loadMessages])
 
+  // Live stream — resumes after the last message on every reconnect
+  useEffect(() => {
+    if (!stream || !enabled || !tripId || !token || typeof ReadableStream === 'undefined') return
+
+    let cancelled = false
+    let controller: AbortController | null = null
+    let retryTimer: NodeJS.Timeout | null = null
+    let retryDelay = STREAM_RETRY_BASE
+
+    const handleEvent = (event: string, data: string) => {
+      if (event === 'message_updated') {
+        const updated: Message = JSON.parse(data)
+        setMessages(prev => prev.map(m => (m.id === updated.id ? updated : m)))
+        return
+      }
+      if (!STREAM_EVENT_TYPES.includes(event)) return
+      const msg: Message = JSON.parse(data)
+      setMessages(prev => (prev.some(m => m.id === msg.id) ? prev : [...prev, msg]))
+      prevNewestIdRef.current = msg.id
+      onStreamEventRef.current?.(event as StreamEventType, msg)
+    }
+
+    const connect = async () => {
+      controller = new AbortController()
+      let reconnectNow = false
+      try {
+        const after = lastMessageIdRef.current ? `?after=${encodeURIComponent(lastMessageIdRef.current)}` : ''
+        const response = await fetch(`/api/trips/${tripId}/stream${after}`, {
+          headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'text/event-stream' },
+          signal: controller.signal
+        })
+        if (!response.ok || !response.body) throw new Error(`Stream unavailable (${response.status})`)
+
+        streamConnectedRef.current = true
+        retryDelay = STREAM_RETRY_BASE
+        // Catch anything sent while disconnected
+        await loadMessages()
+
+        const reader = response.body.getReader()
+        const decoder = new TextDecoder()
+        let buffer = ''
+        while (!cancelled) {
+          const { done, value } = await reader.read()
+          if (done) break
+          const parsed = parseSSE(buffer + decoder.decode(value, { stream: true }))
+          buffer = parsed.rest
+          for (const { event, data } of parsed.events) {
+            if (event === 'reconnect') reconnectNow = true
+            else handleEvent(event, data)
+          }
+        }
+      } catch (err: any) {
+        if (err?.name !== 'AbortError') console.warn('Chat stream disconnected:', err?.message)
+      } finally {
+        streamConnectedRef.current = false
+      }
+
+      if (cancelled) return
+      // Polling covers the gap until the stream is back
+      const delay = reconnectNow ? 0 : retryDelay
+      if (!reconnectNow) retryDelay = Math.min(retryDelay * 2, STREAM_RETRY_MAX)
+      retryTimer = setTimeout(connect, delay)
+    }
+
+    connect()
+
+    return () => {
+      cancelled = true
+      streamConnectedRef.current = false
+      controller?.abort()
+      if (retryTimer) clearTimeout(retryTimer)
+    }
+  }, [stream, enabled, tripId, token, loadMessages])
+
+  // Load one page of history before a message (default: the oldest loaded one)
+  const fetchOlderPage = useCallback(async (beforeId?: string): Promise<Message[]> => {
+    const before = beforeId || messagesRef.current.find(isStoredMessage)?.id
+    if (!before) return []
+    const page: Message[] = await api(
+      `/trips/${tripId}/messages?before=${encodeURIComponent(before)}&limit=${PAGE_SIZE}`,
+      { method: 'GET' },
+      token
+    )
+    setHasOlder(page.length >= PAGE_SIZE)
+    if (page.length > 0) {
+      setMessages(prev => [...page.filter(m => !prev.some(p => p.id === m.id)), ...prev])
+    }
+    return page
+  }, [tripId, token])
+
+  const loadOlder = useCallback(async () => {
+    if (!tripId || !token || loadingOlder) return
+    setLoadingOlder(true)
+    try {
+      await fetchOlderPage()
+    } catch (err: any) {
+      toast.error(err.message || "Couldn't load earlier messages")
+    } finally {
+      setLoadingOlder(false)
+    }
+  }, [tripId, token, loadingOlder, fetchOlderPage])
+
+  // Page back until a message is loaded (for jump-to-message); true once it's there
+  const jumpToMessage = useCallback(async (messageId: string) => {
+    if (messagesRef.current.some(m => m.id === messageId)) return true
+    if (!tripId || !token) return false
+
+    setLoadingOlder(true)
+    try {
+      let before: string | undefined
+      for (let i = 0; i < MAX_JUMP_PAGES; i++) {
+        const page = await fetchOlderPage(before)
+        if (page.some(m => m.id === messageId)) return true
+        if (page.length < PAGE_SIZE) return false
+        before = page[0].id
+      }
+      return false
+    } catch (err: any) {
+      toast.error(err.message || "Couldn't load that message")
+      return false
+    } finally {
+      setLoadingOlder(false)
+    }
+  }, [tripId, token, fetchOlderPage])
+
   // Send message
   const sendMessage = useCallback(async () => {
     if (!newMessage.trim() || !tripId || !token) return
@@ -176,12 +381,13 @@ export function useTripChat({
     try {
       const msg = await api(`/trips/${tripId}/messages`, {
         method: 'POST',
-        body: JSON.stringify({ content: newMessage })
+        body: JSON.stringify({ content: newMessage, replyToId: replyingTo?.id })
       }, token)
 
-      setMessages(prev => [...prev, msg])
+      setMessages(prev => (prev.some(m => m.id === msg.id) ? prev : [...prev, msg]))
       setNewMessage('')
-      prevMessageCountRef.current += 1
+      setReplyingTo(null)
+      prevNewestIdRef.current = msg.id
 
       // Reset backoff on user activity
       currentIntervalRef.current = pollInterval
@@ -190,7 +396,31 @@ export function useTripChat({
     } finally {
       setSendingMessage(false)
     }
-  }, [newMessage, tripId, token, pollInterval])
+  }, [newMessage, replyingTo, tripId, token, pollInterval])
+
+  // Edit, delete and react — the server returns the updated message
+  const updateMessage = useCallback(async (messageId: string, endpoint: string, options: RequestInit) => {
+    try {
+      const updated: Message = await api(`/trips/${tripId}/messages/${messageId}${endpoint}`, options, token)
+      setMessages(prev => prev.map(m => (m.id === updated.id ? updated : m)))
+      return true
+    } catch (error: any) {
+      toast.error(error.message || "Couldn't update that message")
+      return false
+    }
+  }, [tripId, token])
+
+  const editMessage = useCallback((messageId: string, content: string) =>
+    updateMessage(messageId, '', { method: 'PATCH', body: JSON.stringify({ content }) }),
+  [updateMessage])
+
+  const deleteMessage = useCallback((messageId: string) =>
+    updateMessage(messageId, '', { method: 'DELETE' }),
+  [updateMessage])
+
+  const toggleReaction = useCallback((messageId: string, emoji: string) =>
+    updateMessage(messageId, '/reactions', { method: 'POST', body: JSON.stringify({ emoji }) }),
+  [updateMessage])
 
   return {
     messages,
@@ -202,6 +432,15 @@ export function useTripChat({
     loading,
     error,
     clearError,
-    refresh: loadMessages
+    refresh: loadMessages,
+    hasOlder,
+    loadingOlder,
+    loadOlder,
+    jumpToMessage,
+    replyingTo,
+    setReplyingTo,
+    editMessage,
+    deleteMessage,
+    toggleReaction
   }
 }
@@ -0,0 +1,195 @@
+/**
+ * Chat @mentions
+ *
+ * Travelers mention each other as "@Full Name", or "@First" when nobody
+ * else on the trip shares that first name. POST /trips/:id/messages parses
+ * mentions against the active traveler list and stores them on the message
+ * as { userId, start, end } ranges into its content, so clients can
+ * highlight them without re-parsing.
+ *
+ * A mention stays pending (bell entry) until the mentioned traveler posts
+ * in that trip's chat, or it ages out.
+ *
+ * @module lib/chat/mentions
+ */
+
+export const MENTION_CONFIG = {
+  MAX_PER_MESSAGE: 10,
+  PREVIEW_LENGTH: 80,
+  PENDING_DAYS: 7,
+  // Longest "@query" the composer will autocomplete
+  MAX_QUERY_LENGTH: 30,
+}
+
+const WORD_CHAR = /[\p{L}\p{N}_]/u
+
+function firstName(name) {
+  return name.trim().split(/\s+/)[0]
+}
+
+/**
+ * Names each traveler can be mentioned by, longest first so "@Sam Lee"
+ * wins over "@Sam".
+ *
+ * @param {Array<{ id: string, name?: string }>} travelers
+ * @returns {Array<{ userId: string, alias: string }>}
+ */
+export function getMentionAliases(travelers) {
+  const named = (travelers || []).filter(t => t?.id && t.name?.trim())
+  const firstNameCounts = new Map()
+  for (const t of named) {
+    const key = firstName(t.name).toLowerCase()
+    firstNameCounts.set(key, (firstNameCounts.get(key) || 0) + 1)
+  }
+
+  const aliases = []
+  for (const t of named) {
+    const full = t.name.trim().replace(/\s+/g, ' ')
+    aliases.push({ userId: t.id, alias: full })
+    const first = firstName(full)
+    if (first !== full && firstNameCounts.get(first.toLowerCase()) === 1) {
+      aliases.push({ userId: t.id, alias: first })
+    }
+  }
+  return aliases.sort((a, b) => b.alias.length - a.alias.length)
+}
+
+/**
+ * Find @mentions of travelers in a message.
+ *
+ * The "@" must start the message or follow a non-word character, and the
+ * name must end at a word boundary. Matching is case-insensitive.
+ *
+ * @param {string} content
+ * @param {Array<{ id: string, name?: string }>} travelers
+ * @returns {Array<{ userId: string, start: number, end: number }>} start is the "@"
+ */
+export function findMentions(content, travelers) {
+  if (!content || !content.includes('@')) return []
+  const aliases = getMentionAliases(travelers)
+  const lower = content.toLowerCase()
+
+  const mentions = []
+  let i = lower.indexOf('@')
+  while (i !== -1) {
+    const prev = i > 0 ? content[i - 1] : ''
+    let matched = null
+    if (!prev || !WORD_CHAR.test(prev)) {
+      matched = aliases.find(({ alias }) => {
+        const end = i + 1 + alias.length
+        return lower.startsWith(alias.toLowerCase(), i + 1) && !(end < content.length && WORD_CHAR.test(content[end]))
+      })
+    }
+    if (matched) {
+      const end = i + 1 + matched.alias.length
+      mentions.push({ userId: matched.userId, start: i, end })
+      i = lower.indexOf('@', end)
+    } else {
+      i = lower.indexOf('@', i + 1)
+    }
+  }
+  return mentions
+}
+
+/**
+ * Mentions to store on a new message (at most MAX_PER_MESSAGE people) and
+ * who to notify. A self-mention is still highlighted but notifies nobody.
+ *
+ * @param {string} content
+ * @param {Array<{ id: string, name?: string }>} travelers
+ * @param {string} authorId
+ * @returns {{ mentions: Array<{ userId: string, start: number, end: number }>, mentionedUserIds: string[] }}
+ */
+export function parseMentions(content, travelers, authorId) {
+  const mentionedUserIds = []
+  const mentions = []
+  for (const m of findMentions(content, travelers)) {
+    const isNew = !mentionedUserIds.includes(m.userId)
+    if (isNew && mentionedUserIds.length >= MENTION_CONFIG.MAX_PER_MESSAGE) continue
+    if (isNew) mentionedUserIds.push(m.userId)
+    mentions.push(m)
+  }
+  return {
+    mentions,
+    mentionedUserIds: mentionedUserIds.filter(id => id !== authorId)
+  }
+}
+
+/**
+ * Short preview of a message for push copy and the bell.
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+export function buildMentionPreview(content) {
+  const flat = (content || '').replace(/\s+/g, ' ').trim()
+  return flat.length > MENTION_CONFIG.PREVIEW_LENGTH
+    ? `${flat.slice(0, MENTION_CONFIG.PREVIEW_LENGTH - 1)}…`
+    : flat
+}
+
+/**
+ * The "@query" being typed at the caret, for autocomplete.
+ *
+ * @param {string} text
+ * @param {number} caret
+ * @returns {{ start: number, query: string } | null} start is the "@"
+ */
+export function getMentionQuery(text, caret) {
+  const before = text.slice(0, caret)
+  const at = before.lastIndexOf('@')
+  if (at === -1) return null
+  if (at > 0 && WORD_CHAR.test(before[at - 1])) return null
+  const query = before.slice(at + 1)
+  if (query.length > MENTION_CONFIG.MAX_QUERY_LENGTH || /\n|\s\s/.test(query) || query.startsWith(' ')) return null
+  return { start: at, query }
+}
+
+/**
+ * Travelers matching an autocomplete query: full name or any later name
+ * starting with it.
+ *
+ * @param {Array<{ id: string, name: string }>} travelers
+ * @param {string} query
+ * @returns {Array<{ id: string, name: string }>}
+ */
+export function filterMentionCandidates(travelers, query) {
+  const q = query.toLowerCase()
+  return (travelers || []).filter(t => {
+    const name = (t.name || '').toLowerCase()
+    return name.startsWith(q) || name.split(/\s+/).some(part => part.startsWith(q))
+  })
+}
+
+/**
+ * Mentions of a user still waiting on them, grouped by trip: newer than
+ * PENDING_DAYS and after the user's own last post in that trip's chat.
+ *
+ * @param {Array<{ id: string, tripId: string, userId?: string, createdAt: string, mentions?: Array<{ userId: string }> }>} messages
+ * @param {string} userId
+ * @param {Date} [now]
+ * @returns {Map<string, Array<Object>>} tripId → pending messages, newest first
+ */
+export function getPendingMentions(messages, userId, now = new Date()) {
+  const cutoff = new Date(now.getTime() - MENTION_CONFIG.PENDING_DAYS * 24 * 60 * 60 * 1000).toISOString()
+
+  const lastOwnPost = new Map()
+  for (const m of messages || []) {
+    if (m.userId === userId && m.createdAt > (lastOwnPost.get(m.tripId) || '')) {
+      lastOwnPost.set(m.tripId, m.createdAt)
+    }
+  }
+
+  const byTrip = new Map()
+  for (const m of messages || []) {
+    if (m.userId === userId || m.createdAt <= cutoff) continue
+    if (!m.mentions?.some(x => x.userId === userId)) continue
+    if (m.createdAt <= (lastOwnPost.get(m.tripId) || '')) continue
+    if (!byTrip.has(m.tripId)) byTrip.set(m.tripId, [])
+    byTrip.get(m.tripId).push(m)
+  }
+  for (const list of byTrip.values()) {
+    list.sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  }
+  return byTrip
+}
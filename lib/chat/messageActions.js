@@ -0,0 +1,109 @@
+/**
+ * Trip Message Actions
+ *
+ * Reactions, quoted replies, author edits and soft delete for trip chat.
+ *
+ * - Reactions: one of REACTION_EMOJIS per traveler per emoji, toggled.
+ * - Replies: a new message carries a snapshot of the quoted one (author and
+ *   excerpt), so the quote renders even when the original is paged out.
+ * - Edits: the author only; mentions are re-parsed and editedAt is set.
+ * - Delete: the author or the trip leader. The message stays as a tombstone
+ *   (content cleared, deletedAt set) so replies and ordering hold up, and
+ *   quotes of it are cleared too.
+ *
+ * System messages (chat cards from emitTripChatEvent and
+ * createChatCardMessage) are immutable: no reactions, edits or deletes.
+ * They can't be converted into trip artifacts either
+ * (see lib/chat/messageConversions).
+ *
+ * @module lib/chat/messageActions
+ */
+
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '🙏', '🎉']
+
+export const REPLY_EXCERPT_LENGTH = 140
+
+/**
+ * Check whether a user may act on a message.
+ *
+ * @param {Object | null} message - trip_messages document
+ * @param {'react' | 'edit' | 'delete' | 'reply' | 'convert'} action
+ * @param {{ userId: string, isLeader?: boolean }} actor
+ * @returns {{ ok: true } | { ok: false, status: number, message: string }}
+ */
+export function canActOnMessage(message, action, { userId, isLeader = false }) {
+  if (!message) {
+    return { ok: false, status: 404, message: 'Message not found' }
+  }
+  if (message.deletedAt) {
+    return { ok: false, status: 400, message: 'This message was deleted' }
+  }
+  if (action === 'reply') return { ok: true }
+
+  if (message.isSystem) {
+    return action === 'convert'
+      ? { ok: false, status: 400, message: "Trip updates can't be saved as trip items" }
+      : { ok: false, status: 400, message: "Trip updates can't be changed" }
+  }
+  if (action === 'edit' && message.userId !== userId) {
+    return { ok: false, status: 403, message: 'Only the author can edit this message' }
+  }
+  if (action === 'delete' && message.userId !== userId && !isLeader) {
+    return { ok: false, status: 403, message: 'Only the author or the trip leader can delete this message' }
+  }
+  return { ok: true }
+}
+
+/**
+ * @param {unknown} emoji
+ * @returns {boolean}
+ */
+export function isValidReaction(emoji) {
+  return REACTION_EMOJIS.includes(emoji)
+}
+
+/**
+ * Reactions grouped by emoji in palette order.
+ *
+ * @param {Array<{ emoji: string, userId: string }>} reactions
+ * @param {string} [viewerId]
+ * @returns {Array<{ emoji: string, count: number, userIds: string[], reacted: boolean }>}
+ */
+export function summarizeReactions(reactions, viewerId) {
+  const byEmoji = new Map()
+  for (const r of reactions || []) {
+    if (!byEmoji.has(r.emoji)) byEmoji.set(r.emoji, [])
+    const userIds = byEmoji.get(r.emoji)
+    if (!userIds.includes(r.userId)) userIds.push(r.userId)
+  }
+  const order = (emoji) => {
+    const i = REACTION_EMOJIS.indexOf(emoji)
+    return i === -1 ? REACTION_EMOJIS.length : i
+  }
+  return [...byEmoji.entries()]
+    .sort(([a], [b]) => order(a) - order(b))
+    .map(([emoji, userIds]) => ({
+      emoji,
+      count: userIds.length,
+      userIds,
+      reacted: !!viewerId && userIds.includes(viewerId)
+    }))
+}
+
+/**
+ * Snapshot of a message for quoting in a reply.
+ *
+ * @param {{ id: string, userId?: string, content: string, isSystem?: boolean }} parent
+ * @param {string | null} [authorName]
+ * @returns {{ messageId: string, userId: string | null, userName: string | null, excerpt: string, isSystem: boolean }}
+ */
+export function buildReplySnapshot(parent, authorName = null) {
+  const flat = (parent.content || '').replace(/\s+/g, ' ').trim()
+  return {
+    messageId: parent.id,
+    userId: parent.userId || null,
+    userName: authorName,
+    excerpt: flat.length > REPLY_EXCERPT_LENGTH ? `${flat.slice(0, REPLY_EXCERPT_LENGTH - 1)}…` : flat,
+    isSystem: !!parent.isSystem
+  }
+}
@@ -0,0 +1,256 @@
+/**
+ * Chat Message Conversions
+ *
+ * Turns a traveler's chat message into a trip artifact — an itinerary idea,
+ * an expense, a prep checklist item, an accommodation option or a poll —
+ * so restaurants, costs and links pasted into chat don't get retyped.
+ *
+ * The client builds a draft from the message and posts it to the artifact's
+ * usual create endpoint with `sourceMessageId`. The endpoint checks it with
+ * loadConversionSource, stores the back-link on the artifact and posts a
+ * chat note with announceConversion. System messages can't be converted.
+ *
+ * Everything except loadConversionSource and announceConversion is pure and
+ * safe to import from client components (announceConversion takes the chat
+ * emitter from its caller so this module never pulls in the database).
+ *
+ * @module lib/chat/messageConversions
+ */
+
+import { SUPPORTED_CURRENCIES } from '../expenses/currency.js'
+import { canActOnMessage } from './messageActions.js'
+
+// idKey names the artifact's id in the conversion chat note's metadata
+export const CONVERSION_TARGETS = {
+  idea: { label: 'Itinerary idea', noun: 'an itinerary idea', idKey: 'ideaId' },
+  expense: { label: 'Expense', noun: 'an expense', idKey: 'expenseId' },
+  prep: { label: 'Prep item', noun: 'a prep item', idKey: 'prepItemId' },
+  accommodation: { label: 'Stay option', noun: 'a stay option', idKey: 'optionId' },
+  poll: { label: 'Poll', noun: 'a poll', idKey: 'decisionId' },
+}
+
+// Matches the create endpoints' limits (ideas are capped at 120 characters)
+export const CONVERSION_TITLE_LENGTH = {
+  idea: 120,
+  expense: 80,
+  prep: 80,
+  accommodation: 80,
+  poll: 120,
+}
+
+const SYMBOL_CURRENCIES = { '€': 'EUR', '£': 'GBP', '¥': 'JPY' }
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'MXN']
+
+const URL_PATTERN = /https?:\/\/[^\s<>"')]+/i
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d{1,2}))?'
+
+function toCents(whole, fraction) {
+  const cents = Math.round(parseFloat(`${whole.replace(/,/g, '')}.${fraction || '0'}`) * 100)
+  return cents > 0 ? cents : null
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text
+}
+
+/**
+ * First money amount in a message: "$45", "€12.50", "1,200 JPY", "EUR 30".
+ * Codes must be uppercase so words like "try" aren't read as currencies.
+ * "$" means the trip's base currency when that is a dollar currency.
+ *
+ * @param {string} content
+ * @param {string} [baseCurrency]
+ * @returns {{ amountCents: number, currency: string } | null}
+ */
+export function extractAmount(content, baseCurrency = 'USD') {
+  if (!content) return null
+  const codes = SUPPORTED_CURRENCIES.join('|')
+  const patterns = [
+    { regex: new RegExp(`([$€£¥])\\s?${NUMBER}`), currency: (m) => m[1] === '$'
+      ? (DOLLAR_CURRENCIES.includes(baseCurrency) ? baseCurrency : 'USD')
+      : SYMBOL_CURRENCIES[m[1]], whole: 2 },
+    { regex: new RegExp(`\\b${NUMBER}\\s?(${codes})\\b`), currency: (m) => m[3], whole: 1 },
+    { regex: new RegExp(`\\b(${codes})\\s?${NUMBER}`), currency: (m) => m[1], whole: 2 },
+  ]
+
+  let best = null
+  for (const { regex, currency, whole } of patterns) {
+    const m = content.match(regex)
+    if (!m || (best && best.index <= m.index)) continue
+    const amountCents = toCents(m[whole], m[whole + 1])
+    if (amountCents) best = { index: m.index, amountCents, currency: currency(m) }
+  }
+  return best ? { amountCents: best.amountCents, currency: best.currency } : null
+}
+
+/**
+ * @param {string} content
+ * @returns {string | null} first http(s) link in the message
+ */
+export function extractUrl(content) {
+  const m = (content || '').match(URL_PATTERN)
+  return m ? m[0].replace(/[.,;:!?]+$/, '') : null
+}
+
+/**
+ * Accommodation source for a listing link (matches POST /accommodations).
+ *
+ * @param {string | null} url
+ * @returns {'AIRBNB' | 'BOOKING' | 'VRBO' | 'OTHER'}
+ */
+export function detectAccommodationSource(url) {
+  const host = (() => {
+    try { return new URL(url).hostname.toLowerCase() } catch { return '' }
+  })()
+  if (/(^|\.)airbnb\./.test(host)) return 'AIRBNB'
+  if (/(^|\.)booking\.com$/.test(host)) return 'BOOKING'
+  if (/(^|\.)vrbo\.com$/.test(host)) return 'VRBO'
+  return 'OTHER'
+}
+
+/**
+ * Short title from a message: its first line without links, or the link's
+ * hostname when the message is just a link.
+ *
+ * @param {string} content
+ * @param {number} max
+ * @returns {string}
+ */
+export function buildConversionTitle(content, max) {
+  const firstLine = (content || '').split('\n').find(line => line.trim()) || ''
+  const withoutLinks = firstLine.replace(new RegExp(URL_PATTERN, 'gi'), ' ').replace(/\s+/g, ' ').trim()
+  if (withoutLinks) return truncate(withoutLinks, max)
+
+  const url = extractUrl(content)
+  if (!url) return ''
+  try {
+    return truncate(new URL(url).hostname.replace(/^www\./, ''), max)
+  } catch {
+    return truncate(url, max)
+  }
+}
+
+/**
+ * Pre-filled fields for converting a message into an artifact. The result
+ * is the create endpoint's body, minus anything the user still has to pick.
+ *
+ * @param {{ id: string, content: string }} message
+ * @param {keyof CONVERSION_TARGETS} target
+ * @param {{ baseCurrency?: string }} [options]
+ * @returns {Object | null} null for an unknown target
+ */
+export function buildConversionDraft(message, target, { baseCurrency = 'USD' } = {}) {
+  if (!CONVERSION_TARGETS[target]) return null
+  const content = (message.content || '').trim()
+  const title = buildConversionTitle(content, CONVERSION_TITLE_LENGTH[target])
+  const sourceMessageId = message.id
+
+  switch (target) {
+    case 'idea':
+      return { text: title, sourceMessageId }
+    case 'expense': {
+      const amount = extractAmount(content, baseCurrency)
+      return {
+        title,
+        amountCents: amount?.amountCents || null,
+        currency: amount?.currency || baseCurrency,
+        sourceMessageId
+      }
+    }
+    case 'prep':
+      return { category: 'other', title, sourceMessageId }
+    case 'accommodation': {
+      const url = extractUrl(content)
+      const amount = extractAmount(content, baseCurrency)
+      return {
+        title,
+        url,
+        source: url ? detectAccommodationSource(url) : 'MANUAL',
+        priceRange: amount ? `${(amount.amountCents / 100).toLocaleString('en-US')} ${amount.currency}` : null,
+        notes: content.length > title.length ? truncate(content, 500) : null,
+        sourceMessageId
+      }
+    }
+    case 'poll':
+      return { question: title, sourceMessageId }
+  }
+}
+
+/**
+ * Chat event text for a conversion, e.g. "Alex saved Sam's chat message as
+ * a prep item".
+ *
+ * @param {{ actorName?: string, authorName?: string | null, isOwnMessage: boolean, target: keyof CONVERSION_TARGETS }} options
+ * @returns {string}
+ */
+export function getConversionEventText({ actorName, authorName, isOwnMessage, target }) {
+  const whose = isOwnMessage ? 'their' : authorName ? `${authorName}'s` : 'a'
+  return `${actorName || 'Someone'} saved ${whose} chat message as ${CONVERSION_TARGETS[target].noun}`
+}
+
+/**
+ * Load and check the chat message an artifact is being created from. No
+ * `sourceMessageId` means the artifact isn't being saved from chat.
+ *
+ * @param {Object} db
+ * @param {string} tripId
+ * @param {unknown} sourceMessageId
+ * @param {string} actorUserId
+ * @returns {Promise<{ ok: true, message: Object | null, authorName: string | null } | { ok: false, status: number, message: string }>}
+ */
+export async function loadConversionSource(db, tripId, sourceMessageId, actorUserId) {
+  if (sourceMessageId === undefined || sourceMessageId === null || sourceMessageId === '') {
+    return { ok: true, message: null, authorName: null }
+  }
+  if (typeof sourceMessageId !== 'string') {
+    return { ok: false, status: 400, message: 'Invalid source message' }
+  }
+  const message = await db.collection('trip_messages').findOne({ tripId, id: sourceMessageId })
+  const allowed = canActOnMessage(message, 'convert', { userId: actorUserId })
+  if (!allowed.ok) return allowed
+
+  const author = message.userId
+    ? await db.collection('users').findOne({ id: message.userId }, { projection: { name: 1 } })
+    : null
+  return { ok: true, message, authorName: author?.name || null }
+}
+
+/**
+ * Post the chat note for a conversion, linking back to the source message.
+ * Does nothing when the artifact wasn't saved from chat. Non-critical: a
+ * failure is logged, never thrown.
+ *
+ * @param {Function} emitTripChatEvent - from lib/chat/emitTripChatEvent
+ * @param {Object} options
+ * @param {Object} options.trip
+ * @param {{ id: string, name?: string }} options.actor
+ * @param {Object} options.source - loadConversionSource result
+ * @param {keyof CONVERSION_TARGETS} options.target
+ * @param {string} options.artifactId
+ * @returns {Promise<void>}
+ */
+export async function announceConversion(emitTripChatEvent, { trip, actor, source, target, artifactId }) {
+  if (!source?.message) return
+  try {
+    await emitTripChatEvent({
+      tripId: trip.id,
+      circleId: trip.circleId,
+      actorUserId: actor.id,
+      subtype: 'message_converted',
+      text: getConversionEventText({
+        actorName: actor.name,
+        authorName: source.authorName,
+        isOwnMessage: source.message.userId === actor.id,
+        target
+      }),
+      metadata: {
+        target,
+        [CONVERSION_TARGETS[target].idKey]: artifactId,
+        sourceMessageId: source.message.id
+      },
+      dedupeKey: `converted:${target}:${artifactId}`
+    })
+  } catch (err) {
+    console.error('[chat] conversion event failed:', err.message)
+  }
+}
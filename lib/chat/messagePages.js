@@ -0,0 +1,73 @@
+/**
+ * Trip Message Pages
+ *
+ * Cursor paging for GET /api/trips/:id/messages. A cursor is a message id;
+ * `before` pages back through history, `after` pages forward. Messages are
+ * ordered by createdAt with id breaking ties, so a page boundary never
+ * skips or repeats messages that share a timestamp.
+ *
+ * Pages always come back oldest first. A full page means there may be more.
+ *
+ * @module lib/chat/messagePages
+ */
+
+export const MESSAGE_PAGE_CONFIG = {
+  DEFAULT_LIMIT: 100,
+  MAX_LIMIT: 200,
+}
+
+/**
+ * Read `before`, `after` and `limit` from the query string.
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {{ ok: true, before: string | null, after: string | null, limit: number }
+ *   | { ok: false, message: string }}
+ */
+export function parsePageParams(searchParams) {
+  const before = searchParams.get('before') || null
+  const after = searchParams.get('after') || null
+  if (before && after) {
+    return { ok: false, message: 'Use either before or after, not both' }
+  }
+
+  const rawLimit = searchParams.get('limit')
+  let limit = MESSAGE_PAGE_CONFIG.DEFAULT_LIMIT
+  if (rawLimit != null) {
+    limit = Number(rawLimit)
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { ok: false, message: 'limit must be a positive whole number' }
+    }
+    limit = Math.min(limit, MESSAGE_PAGE_CONFIG.MAX_LIMIT)
+  }
+
+  return { ok: true, before, after, limit }
+}
+
+/**
+ * Mongo filter and sort for one page.
+ *
+ * With no cursor this is the newest page. `newestFirst` pages are read
+ * backwards and must be reversed before returning.
+ *
+ * @param {string} tripId
+ * @param {{ id: string, createdAt: string } | null} cursor - the cursor message
+ * @param {'before' | 'after'} [direction]
+ * @returns {{ filter: Object, sort: Object, newestFirst: boolean }}
+ */
+export function buildPageQuery(tripId, cursor, direction = 'before') {
+  if (!cursor) {
+    return { filter: { tripId }, sort: { createdAt: -1, id: -1 }, newestFirst: true }
+  }
+
+  const op = direction === 'after' ? '$gt' : '$lt'
+  const filter = {
+    tripId,
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, id: { [op]: cursor.id } }
+    ]
+  }
+  return direction === 'after'
+    ? { filter, sort: { createdAt: 1, id: 1 }, newestFirst: false }
+    : { filter, sort: { createdAt: -1, id: -1 }, newestFirst: true }
+}
@@ -0,0 +1,92 @@
+/**
+ * Message Search
+ *
+ * Full-text search over trip_messages and circle_messages, backed by the
+ * text indexes from ensureMessageSearchIndexes. The route decides which
+ * trips and circles the viewer can still see; this module validates the
+ * query and builds highlighted snippets for the results.
+ *
+ * Snippets carry highlight ranges rather than markup so the client can
+ * render them without injecting HTML.
+ *
+ * @module lib/chat/messageSearch
+ */
+
+export const SEARCH_CONFIG = {
+  MIN_QUERY_LENGTH: 2,
+  MAX_QUERY_LENGTH: 100,
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  // Characters of context on each side of the first match
+  SNIPPET_RADIUS: 60,
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Validate a search query.
+ *
+ * @param {unknown} q
+ * @returns {{ ok: true, query: string } | { ok: false, message: string }}
+ */
+export function validateSearchQuery(q) {
+  const query = typeof q === 'string' ? q.trim() : ''
+  if (query.length < SEARCH_CONFIG.MIN_QUERY_LENGTH) {
+    return { ok: false, message: `Search for at least ${SEARCH_CONFIG.MIN_QUERY_LENGTH} characters` }
+  }
+  if (query.length > SEARCH_CONFIG.MAX_QUERY_LENGTH) {
+    return { ok: false, message: `Keep searches under ${SEARCH_CONFIG.MAX_QUERY_LENGTH} characters` }
+  }
+  return { ok: true, query }
+}
+
+/**
+ * The words to highlight: query terms without quotes or negations, longest
+ * first so overlapping matches prefer the longer term.
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function getSearchTerms(query) {
+  const terms = new Set()
+  for (const raw of query.toLowerCase().split(/\s+/)) {
+    if (raw.startsWith('-')) continue
+    const term = raw.replace(/^["']+|["']+$/g, '')
+    if (term.length >= SEARCH_CONFIG.MIN_QUERY_LENGTH) terms.add(term)
+  }
+  return [...terms].sort((a, b) => b.length - a.length)
+}
+
+/**
+ * Cut a snippet around the first match and mark every match inside it.
+ *
+ * @param {string} content
+ * @param {string[]} terms - from getSearchTerms
+ * @param {number} [radius]
+ * @returns {{ text: string, highlights: Array<[number, number]> }} highlights are [start, end) offsets into text
+ */
+export function buildSnippet(content, terms, radius = SEARCH_CONFIG.SNIPPET_RADIUS) {
+  const source = content || ''
+  if (terms.length === 0) {
+    const text = source.length > radius * 2 ? `${source.slice(0, radius * 2)}…` : source
+    return { text, highlights: [] }
+  }
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi')
+  const first = source.search(pattern)
+  const anchor = first === -1 ? 0 : first
+
+  const start = Math.max(0, anchor - radius)
+  const end = Math.min(source.length, anchor + radius * 2)
+  const prefix = start > 0 ? '…' : ''
+  const suffix = end < source.length ? '…' : ''
+  const body = source.slice(start, end)
+
+  const highlights = []
+  for (const match of body.matchAll(pattern)) {
+    highlights.push([prefix.length + match.index, prefix.length + match.index + match[0].length])
+  }
+  return { text: `${prefix}${body}${suffix}`, highlights }
+}
@@ -0,0 +1,168 @@
+/**
+ * Trip Chat Stream
+ *
+ * Server-Sent Events for a trip's chat: new trip_messages, chat-card events
+ * from emitTripChatEvent and nudge cards, as they're written. There's no
+ * pub/sub in this deployment, so the stream route polls trip_messages on a
+ * short interval and forwards anything past its cursor, backing off while
+ * the trip is quiet; clients that can't hold a stream open keep polling
+ * GET /messages.
+ *
+ * Each event's SSE id is the message id. On reconnect the client sends it
+ * back (Last-Event-ID or ?after=) and the stream resumes right after it.
+ * Edits, deletes and reactions go out as message_updated (no SSE id, so
+ * they don't move the cursor); the client refetches on reconnect to catch
+ * any it missed.
+ *
+ * Scope: the stream carries trip_messages only, and hooks/use-trip-chat is
+ * its one client. Timers elsewhere are not chat polling and stay as they
+ * are:
+ * - CircleUpdatesTab polls circle-wide updates across every trip in the
+ *   circle, which no per-trip stream covers.
+ * - ChatTab refreshes open poll results from the decisions API; votes
+ *   aren't trip messages. Poll cards themselves arrive over the stream.
+ * - useTripIntelligence only refreshes when a caller passes
+ *   refreshInterval, and none does.
+ *
+ * @module lib/chat/tripStream
+ */
+
+export const STREAM_CONFIG = {
+  POLL_INTERVAL_MS: 2000,
+  // Idle trips: the interval doubles every IDLE_STEP_MS without activity, up to MAX_POLL_INTERVAL_MS
+  IDLE_STEP_MS: 10000,
+  MAX_POLL_INTERVAL_MS: 10000,
+  HEARTBEAT_MS: 15000,
+  // Close before serverless time limits; the client reconnects with its cursor
+  MAX_DURATION_MS: 50000,
+  RETRY_MS: 3000,
+  BATCH_LIMIT: 100,
+}
+
+export const STREAM_EVENT = {
+  READY: 'ready',
+  MESSAGE: 'message',
+  CHAT_EVENT: 'chat_event',
+  NUDGE: 'nudge',
+  MESSAGE_UPDATED: 'message_updated',
+  RECONNECT: 'reconnect',
+}
+
+/**
+ * How long the stream waits before its next read, given how long the trip
+ * has been quiet.
+ *
+ * @param {number} idleMs - time since the stream last saw a new or updated message
+ * @returns {number}
+ */
+export function getStreamPollInterval(idleMs) {
+  const steps = Math.max(0, Math.floor(idleMs / STREAM_CONFIG.IDLE_STEP_MS))
+  return Math.min(STREAM_CONFIG.MAX_POLL_INTERVAL_MS, STREAM_CONFIG.POLL_INTERVAL_MS * 2 ** steps)
+}
+
+/**
+ * Serialize one SSE event.
+ *
+ * @param {{ event?: string, id?: string, data?: unknown, retry?: number }} fields
+ * @returns {string}
+ */
+export function formatSSE({ event, id, data, retry }) {
+  let out = ''
+  if (retry) out += `retry: ${retry}\n`
+  if (id) out += `id: ${id}\n`
+  if (event) out += `event: ${event}\n`
+  out += `data: ${JSON.stringify(data ?? null)}\n\n`
+  return out
+}
+
+/**
+ * Which stream event a trip message goes out as.
+ *
+ * @param {{ isSystem?: boolean, subtype?: string }} message
+ * @returns {'message' | 'chat_event' | 'nudge'}
+ */
+export function getStreamEventType(message) {
+  if (message.subtype === 'nudge') return STREAM_EVENT.NUDGE
+  if (message.isSystem) return STREAM_EVENT.CHAT_EVENT
+  return STREAM_EVENT.MESSAGE
+}
+
+/**
+ * Same shape as GET /api/trips/:id/messages.
+ *
+ * @param {Object} message - trip_messages document
+ * @param {Map<string, { id: string, name: string }>} usersById
+ */
+export function toStreamMessage(message, usersById) {
+  const user = message.userId ? usersById.get(message.userId) : null
+  return {
+    id: message.id,
+    content: message.content,
+    isSystem: message.isSystem,
+    subtype: message.subtype || null,
+    metadata: message.metadata || {},
+    mentions: message.mentions || [],
+    reactions: message.reactions || [],
+    replyTo: message.replyTo || null,
+    editedAt: message.editedAt || null,
+    deleted: !!message.deletedAt,
+    createdAt: message.createdAt,
+    userId: message.userId,
+    user: user ? { id: user.id, name: user.name } : null
+  }
+}
+
+/**
+ * Where to resume: just after the client's last message, or from now.
+ * An unknown id (e.g. a derived message) also starts from now.
+ *
+ * @param {Object} db
+ * @param {string} tripId
+ * @param {string | null} lastMessageId
+ * @param {Date} [now]
+ * @returns {Promise<{ createdAt: string, seenIds: string[] }>}
+ */
+export async function resolveStreamCursor(db, tripId, lastMessageId, now = new Date()) {
+  if (lastMessageId) {
+    const last = await db.collection('trip_messages').findOne({ tripId, id: lastMessageId })
+    if (last) return { createdAt: last.createdAt, seenIds: [last.id] }
+  }
+  return { createdAt: now.toISOString(), seenIds: [] }
+}
+
+/**
+ * Messages written after the cursor, oldest first, and the advanced cursor.
+ * Messages sharing the cursor's timestamp are told apart by id.
+ *
+ * With field 'updatedAt' this reads edits, deletes and reactions instead;
+ * the cursor's createdAt then holds an updatedAt. Seen ids only apply at
+ * the cursor's exact timestamp, so a message updated again later is read
+ * again.
+ *
+ * @param {Object} db
+ * @param {string} tripId
+ * @param {{ createdAt: string, seenIds: string[] }} cursor
+ * @param {'createdAt' | 'updatedAt'} [field]
+ * @returns {Promise<{ messages: Object[], cursor: { createdAt: string, seenIds: string[] } }>}
+ */
+export async function readMessagesSince(db, tripId, cursor, field = 'createdAt') {
+  const messages = await db.collection('trip_messages')
+    .find({
+      tripId,
+      $or: [
+        { [field]: { $gt: cursor.createdAt } },
+        { [field]: cursor.createdAt, id: { $nin: cursor.seenIds } }
+      ]
+    })
+    .sort({ [field]: 1 })
+    .limit(STREAM_CONFIG.BATCH_LIMIT)
+    .toArray()
+  if (messages.length === 0) return { messages, cursor }
+
+  const last = messages[messages.length - 1][field]
+  const seenIds = last === cursor.createdAt ? [...cursor.seenIds] : []
+  for (const m of messages) {
+    if (m[field] === last) seenIds.push(m.id)
+  }
+  return { messages, cursor: { createdAt: last, seenIds } }
+}
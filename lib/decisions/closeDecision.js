@@ -0,0 +1,83 @@
+/**
+ * Close a decision and announce the outcome.
+ *
+ * Shared by the leader's "Close poll" action and the deadline cron, so both
+ * produce the same chat card and push. Server only.
+ *
+ * @module lib/decisions/closeDecision
+ */
+
+import { DECISION_STATUS, tallyDecision } from './decisionPolls.js'
+
+/**
+ * @param {object} db - MongoDB instance
+ * @param {object} opts
+ * @param {object} opts.decision - Open decision document
+ * @param {object} opts.trip - Trip the decision belongs to
+ * @param {string} opts.closedBy - userId, or 'system' for automatic closes
+ * @param {string | null} opts.winningOptionId
+ * @returns {Promise<object | null>} The closed decision, or null if it was already closed
+ */
+export async function closeDecision(db, { decision, trip, closedBy, winningOptionId }) {
+  const now = new Date().toISOString()
+  const closed = await db.collection('decisions').findOneAndUpdate(
+    { id: decision.id, status: DECISION_STATUS.OPEN },
+    {
+      $set: {
+        status: DECISION_STATUS.CLOSED,
+        closedAt: now,
+        closedBy,
+        winningOptionId: winningOptionId || null,
+        updatedAt: now
+      }
+    },
+    { returnDocument: 'after' }
+  )
+  if (!closed) return null
+
+  const winner = closed.options.find(o => o.id === closed.winningOptionId)
+  const winnerCount = tallyDecision(closed).options.find(o => o.id === closed.winningOptionId)?.count || 0
+
+  // Chat card (non-critical)
+  try {
+    const { emitTripChatEvent } = await import('../chat/emitTripChatEvent.js')
+    await emitTripChatEvent({
+      tripId: trip.id,
+      circleId: trip.circleId,
+      actorUserId: closedBy === 'system' ? null : closedBy,
+      subtype: 'decision_closed',
+      text: winner
+        ? `Decided: ${winner.label} (${winnerCount} ${winnerCount === 1 ? 'vote' : 'votes'}) — ${closed.question}`
+        : `Poll closed without a decision — ${closed.question}`,
+      metadata: {
+        decisionId: closed.id,
+        question: closed.question,
+        winningOption: winner?.label || null,
+        voteCount: winnerCount
+      },
+      dedupeKey: `decision_closed:${closed.id}`
+    })
+  } catch (err) {
+    console.error('[decisions] chat event failed:', err.message)
+  }
+
+  // Push notification: decision closed (P1, fire-and-forget)
+  if (winner) {
+    try {
+      const { pushRouter } = await import('../push/pushRouter.js')
+      pushRouter(db, {
+        type: 'decision_closed',
+        tripId: trip.id,
+        trip,
+        context: {
+          tripName: trip.name,
+          decisionId: closed.id,
+          question: closed.question,
+          winningOption: winner.label,
+        }
+      }).catch(err => console.error('[push] decision_closed failed:', err.message))
+    } catch {}
+  }
+
+  return closed
+}
@@ -0,0 +1,346 @@
+/**
+ * Decision Cards
+ *
+ * Group polls posted into trip chat. A decision has 2–5 options and is either
+ * single-choice (one vote per traveler) or multi-choice (any number of
+ * options per traveler). Votes can change until the poll is closed.
+ *
+ * On boosted trips a poll can also carry a deadline: voting stops when it
+ * passes, and with auto-close on the deadline cron announces the outcome,
+ * breaking ties by the leader's chosen rule.
+ *
+ * Pure functions — safe to import from both API routes and client components.
+ *
+ * @module lib/decisions/decisionPolls
+ */
+
+import { v4 as uuidv4 } from 'uuid'
+import { isFeatureGated } from '../trips/isFeatureGated.js'
+
+export const DECISION_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+}
+
+/**
+ * How an auto-closed poll settles a tie. LEADER leaves the poll open after
+ * the deadline until the leader picks; the others close it straight away.
+ */
+export const TIE_BREAK_RULES = {
+  LEADER: 'leader',
+  FIRST_LISTED: 'first_listed',
+  FIRST_VOTED: 'first_voted',
+  NO_DECISION: 'no_decision',
+}
+
+export const DEFAULT_TIE_BREAK = TIE_BREAK_RULES.LEADER
+
+export const TIE_BREAK_LABELS = {
+  leader: 'Leader picks the winner',
+  first_listed: 'First option listed wins',
+  first_voted: 'First option to get a vote wins',
+  no_decision: 'Close without a decision',
+}
+
+export const MIN_DEADLINE_MINUTES = 15
+export const MAX_DEADLINE_DAYS = 30
+
+/** Non-voters get one nudge once the deadline is this close. */
+export const DECISION_NUDGE_WINDOW_HOURS = 24
+
+export const MAX_QUESTION_LENGTH = 200
+export const MAX_OPTION_LENGTH = 100
+export const MIN_OPTIONS = 2
+export const MAX_OPTIONS = 5
+
+/**
+ * Validate and normalise a new decision.
+ *
+ * @param {{ question: string, options: string[], multiChoice?: boolean }} input
+ * @returns {{ ok: true, question: string, options: Array<{ id: string, label: string }>, multiChoice: boolean } | { ok: false, message: string }}
+ */
+export function validateDecisionInput({ question, options, multiChoice } = {}) {
+  const cleanQuestion = typeof question === 'string' ? question.trim() : ''
+  if (!cleanQuestion) {
+    return { ok: false, message: 'Question is required' }
+  }
+  if (cleanQuestion.length > MAX_QUESTION_LENGTH) {
+    return { ok: false, message: `Question must be ${MAX_QUESTION_LENGTH} characters or fewer` }
+  }
+
+  if (!Array.isArray(options)) {
+    return { ok: false, message: `Add ${MIN_OPTIONS}–${MAX_OPTIONS} options` }
+  }
+  const labels = options
+    .map(o => (typeof o === 'string' ? o : o?.label))
+    .map(label => (typeof label === 'string' ? label.trim() : ''))
+    .filter(Boolean)
+
+  if (labels.length < MIN_OPTIONS || labels.length > MAX_OPTIONS) {
+    return { ok: false, message: `Add ${MIN_OPTIONS}–${MAX_OPTIONS} options` }
+  }
+  if (labels.some(label => label.length > MAX_OPTION_LENGTH)) {
+    return { ok: false, message: `Options must be ${MAX_OPTION_LENGTH} characters or fewer` }
+  }
+  const seen = new Set(labels.map(label => label.toLowerCase()))
+  if (seen.size !== labels.length) {
+    return { ok: false, message: 'Options must be different from each other' }
+  }
+
+  return {
+    ok: true,
+    question: cleanQuestion,
+    options: labels.map(label => ({ id: uuidv4(), label })),
+    multiChoice: multiChoice === true
+  }
+}
+
+/**
+ * Validate a ballot against a decision.
+ *
+ * @param {Object} decision
+ * @param {string[]} optionIds - Chosen options; empty clears the viewer's vote
+ * @returns {{ ok: true, optionIds: string[] } | { ok: false, message: string }}
+ */
+export function validateBallot(decision, optionIds) {
+  if (!Array.isArray(optionIds)) {
+    return { ok: false, message: 'optionIds must be an array' }
+  }
+  const unique = [...new Set(optionIds)]
+  const validIds = new Set((decision.options || []).map(o => o.id))
+  if (unique.some(id => !validIds.has(id))) {
+    return { ok: false, message: 'Unknown option' }
+  }
+  if (!decision.multiChoice && unique.length > 1) {
+    return { ok: false, message: 'This poll allows one choice' }
+  }
+  return { ok: true, optionIds: unique }
+}
+
+/**
+ * Count votes per option.
+ *
+ * `leadingOptionIds` holds every option tied for the most votes (empty when
+ * nobody has voted); `winningOptionId` is set only when one option leads
+ * outright.
+ *
+ * @param {Object} decision - { options, votes: [{ userId, optionId }] }
+ * @returns {{ options: Array<{ id: string, label: string, count: number, voterIds: string[] }>, voterCount: number, leadingOptionIds: string[], winningOptionId: string | null }}
+ */
+export function tallyDecision(decision) {
+  const votes = decision?.votes || []
+  const options = (decision?.options || []).map(o => {
+    const voterIds = [...new Set(votes.filter(v => v.optionId === o.id).map(v => v.userId))]
+    return { id: o.id, label: o.label, count: voterIds.length, voterIds }
+  })
+
+  const top = options.reduce((max, o) => Math.max(max, o.count), 0)
+  const leadingOptionIds = top > 0 ? options.filter(o => o.count === top).map(o => o.id) : []
+
+  return {
+    options,
+    voterCount: new Set(votes.map(v => v.userId)).size,
+    leadingOptionIds,
+    winningOptionId: leadingOptionIds.length === 1 ? leadingOptionIds[0] : null
+  }
+}
+
+/**
+ * Pick the outcome when a poll is closed. An explicit choice (the leader
+ * breaking a tie, or overriding) wins; otherwise the outright leader does.
+ * Closing with no votes at all is allowed and records no winner.
+ *
+ * @param {Object} decision
+ * @param {string} [chosenOptionId]
+ * @returns {{ ok: true, winningOptionId: string | null } | { ok: false, tie?: boolean, message: string }}
+ */
+export function resolveWinningOption(decision, chosenOptionId) {
+  if (chosenOptionId) {
+    if (!(decision.options || []).some(o => o.id === chosenOptionId)) {
+      return { ok: false, message: 'Unknown option' }
+    }
+    return { ok: true, winningOptionId: chosenOptionId }
+  }
+
+  const { leadingOptionIds, winningOptionId } = tallyDecision(decision)
+  if (leadingOptionIds.length > 1) {
+    return { ok: false, tie: true, message: 'It\'s a tie — pick the winning option' }
+  }
+  return { ok: true, winningOptionId }
+}
+
+/**
+ * Validate a poll deadline. `null` clears it.
+ *
+ * @param {string | null} deadline - ISO timestamp
+ * @param {Date} [now]
+ * @returns {{ ok: true, deadline: string | null } | { ok: false, message: string }}
+ */
+export function validateDeadline(deadline, now = new Date()) {
+  if (deadline === null || deadline === '') {
+    return { ok: true, deadline: null }
+  }
+  const date = typeof deadline === 'string' ? new Date(deadline) : null
+  if (!date || Number.isNaN(date.getTime())) {
+    return { ok: false, message: 'Deadline must be a valid date and time' }
+  }
+  if (date.getTime() < now.getTime() + MIN_DEADLINE_MINUTES * 60 * 1000) {
+    return { ok: false, message: `Deadline must be at least ${MIN_DEADLINE_MINUTES} minutes from now` }
+  }
+  if (date.getTime() > now.getTime() + MAX_DEADLINE_DAYS * 24 * 60 * 60 * 1000) {
+    return { ok: false, message: `Deadline must be within ${MAX_DEADLINE_DAYS} days` }
+  }
+  return { ok: true, deadline: date.toISOString() }
+}
+
+/**
+ * Validate deadline, auto-close and tie-break settings for a new or existing
+ * poll. Only fields present in `input` are returned. Deadlines and auto-close
+ * need a boosted trip; the tie-break rule is the leader's call.
+ *
+ * @param {{ deadline?: string | null, autoClose?: boolean, tieBreak?: string }} input
+ * @param {{ trip: Object, isLeader: boolean, decision?: Object, now?: Date }} opts
+ * @returns {{ ok: true, updates: Object } | { ok: false, status: number, message: string, feature?: string }}
+ */
+export function validateDecisionSettings(input = {}, { trip, isLeader, decision = null, now = new Date() }) {
+  const updates = {}
+
+  if (input.deadline !== undefined) {
+    if (input.deadline && isFeatureGated(trip, 'decision_deadline')) {
+      return { ok: false, status: 403, message: 'Poll deadlines are available on boosted trips', feature: 'decision_deadline' }
+    }
+    const result = validateDeadline(input.deadline, now)
+    if (!result.ok) return { ok: false, status: 400, message: result.message }
+    updates.deadline = result.deadline
+    // A new deadline earns a fresh nudge and a fresh pass of the deadline cron
+    updates.nudgedAt = null
+    updates.deadlineHandledAt = null
+    if (!result.deadline) updates.autoClose = false
+  }
+
+  if (input.autoClose !== undefined) {
+    if (typeof input.autoClose !== 'boolean') {
+      return { ok: false, status: 400, message: 'autoClose must be true or false' }
+    }
+    if (input.autoClose) {
+      if (isFeatureGated(trip, 'decision_auto_close')) {
+        return { ok: false, status: 403, message: 'Auto-close is available on boosted trips', feature: 'decision_auto_close' }
+      }
+      const deadline = updates.deadline !== undefined ? updates.deadline : decision?.deadline
+      if (!deadline) {
+        return { ok: false, status: 400, message: 'Set a deadline to auto-close the poll' }
+      }
+    }
+    updates.autoClose = input.autoClose
+    updates.deadlineHandledAt = null
+  }
+
+  if (input.tieBreak !== undefined) {
+    if (!isLeader) {
+      return { ok: false, status: 403, message: 'Only the trip leader can set the tie-break rule' }
+    }
+    if (!isValidTieBreak(input.tieBreak)) {
+      return { ok: false, status: 400, message: 'Unknown tie-break rule' }
+    }
+    updates.tieBreak = input.tieBreak
+  }
+
+  return { ok: true, updates }
+}
+
+/**
+ * @param {string} rule
+ * @returns {boolean}
+ */
+export function isValidTieBreak(rule) {
+  return Object.values(TIE_BREAK_RULES).includes(rule)
+}
+
+/**
+ * Whether voting has ended because the deadline passed.
+ *
+ * @param {Object} decision
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isPastDeadline(decision, now = new Date()) {
+  if (!decision?.deadline) return false
+  return new Date(decision.deadline).getTime() <= now.getTime()
+}
+
+/**
+ * Whether the pre-deadline nudge to non-voters is due.
+ *
+ * @param {Object} decision
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isNudgeDue(decision, now = new Date()) {
+  if (!decision?.deadline || decision.nudgedAt || decision.status !== DECISION_STATUS.OPEN) return false
+  if (isPastDeadline(decision, now)) return false
+  const msLeft = new Date(decision.deadline).getTime() - now.getTime()
+  return msLeft <= DECISION_NUDGE_WINDOW_HOURS * 60 * 60 * 1000
+}
+
+/**
+ * Travelers who haven't voted yet.
+ *
+ * @param {Object} decision
+ * @param {string[]} travelerIds - Active travelers on the trip
+ * @returns {string[]}
+ */
+export function getNonVoterIds(decision, travelerIds) {
+  const voted = new Set((decision?.votes || []).map(v => v.userId))
+  return travelerIds.filter(id => !voted.has(id))
+}
+
+/**
+ * Outcome for a poll closed by its deadline, applying the tie-break rule.
+ * Returns `close: false` when the rule leaves a tie for the leader.
+ *
+ * @param {Object} decision
+ * @returns {{ close: true, winningOptionId: string | null } | { close: false, tie: true }}
+ */
+export function resolveAutoCloseOutcome(decision) {
+  const { leadingOptionIds, winningOptionId } = tallyDecision(decision)
+  if (leadingOptionIds.length <= 1) {
+    return { close: true, winningOptionId }
+  }
+
+  switch (decision.tieBreak || DEFAULT_TIE_BREAK) {
+    case TIE_BREAK_RULES.FIRST_LISTED:
+      return { close: true, winningOptionId: leadingOptionIds[0] }
+    case TIE_BREAK_RULES.FIRST_VOTED: {
+      // The tied option whose first vote came earliest
+      const firstVoteAt = (optionId) => (decision.votes || [])
+        .filter(v => v.optionId === optionId)
+        .reduce((min, v) => (v.votedAt && v.votedAt < min ? v.votedAt : min), '\uffff')
+      const winner = [...leadingOptionIds].sort((a, b) => {
+        const fa = firstVoteAt(a)
+        const fb = firstVoteAt(b)
+        return fa < fb ? -1 : fa > fb ? 1 : 0
+      })[0]
+      return { close: true, winningOptionId: winner }
+    }
+    case TIE_BREAK_RULES.NO_DECISION:
+      return { close: true, winningOptionId: null }
+    default:
+      return { close: false, tie: true }
+  }
+}
+
+/**
+ * Shape a stored decision for API responses: results plus the viewer's own picks.
+ *
+ * @param {Object} decision - Stored decision document
+ * @param {string} viewerId
+ * @returns {Object}
+ */
+export function serializeDecision(decision, viewerId) {
+  const { _id, ...rest } = decision
+  return {
+    ...rest,
+    results: tallyDecision(decision),
+    viewerOptionIds: (decision.votes || []).filter(v => v.userId === viewerId).map(v => v.optionId)
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Base Currency Rates
+ *
+ * When the leader changes a trip's base currency, every expense and recorded
+ * payment without a rate to the new base gets one captured right then — one
+ * lookup per currency, stored on both. Money owed and money paid back are
+ * then converted at the same rate, so a debt that was repaid exactly still
+ * nets to zero (a live rate on one side and the static table on the other
+ * would leave a balance behind).
+ *
+ * Server only (looks rates up through lib/expenses/rateProvider).
+ *
+ * @module lib/expenses/baseCurrencyRates
+ */
+
+import { getExchangeRate } from './rateProvider.js'
+
+/**
+ * Capture exchange rates to a new trip base currency on the trip's expenses
+ * and settlements. Currencies with no known rate are left alone (the static
+ * table covers them, on both sides alike).
+ *
+ * @param {Object} db
+ * @param {Object} trip - the trip as it was before the change
+ * @param {string} baseCurrency - the trip's new base currency
+ * @returns {Promise<Object<string, number>>} captured rate per currency
+ */
+export async function captureBaseCurrencyRates(db, trip, baseCurrency) {
+  const settlements = await db.collection('settlements')
+    .find({ tripId: trip.id, currency: { $ne: baseCurrency }, baseCurrency: { $ne: baseCurrency } })
+    .project({ id: 1, currency: 1 })
+    .toArray()
+  const expenses = (trip.expenses || [])
+    .filter(e => e.currency && e.currency !== baseCurrency && e.baseCurrency !== baseCurrency)
+
+  const currencies = [...new Set([...settlements, ...expenses].map(x => x.currency).filter(Boolean))]
+  const captured = {}
+  for (const currency of currencies) {
+    const rate = await getExchangeRate(currency, baseCurrency)
+    if (!rate) continue
+    const rateFields = { baseCurrency, exchangeRate: rate.rate, rateSource: rate.source }
+    captured[currency] = rate.rate
+
+    await db.collection('settlements').updateMany(
+      { tripId: trip.id, currency, baseCurrency: { $ne: baseCurrency } },
+      { $set: rateFields }
+    )
+    if (expenses.some(e => e.currency === currency)) {
+      await db.collection('trips').updateOne(
+        { id: trip.id },
+        {
+          $set: {
+            'expenses.$[e].baseCurrency': rateFields.baseCurrency,
+            'expenses.$[e].exchangeRate': rateFields.exchangeRate,
+            'expenses.$[e].rateSource': rateFields.rateSource
+          }
+        },
+        { arrayFilters: [{ 'e.currency': currency, 'e.baseCurrency': { $ne: baseCurrency } }] }
+      )
+    }
+  }
+  return captured
+}
@@ -0,0 +1,202 @@
+/**
+ * Expense Currency Module
+ *
+ * Every trip has a base currency (`trip.currency`). Expenses keep the currency
+ * they were paid in plus the exchange rate captured when they were logged;
+ * totals and settle up are computed after converting everything to the base.
+ *
+ * Amounts are stored as hundredths of the currency unit for every currency
+ * (the app's `amountCents` convention), so conversion is a single multiply.
+ *
+ * Pure functions — safe to import from both API routes and client components.
+ * Live rates come from lib/expenses/rateProvider (server only).
+ *
+ * @module lib/expenses/currency
+ */
+
+import { divideByWeights } from './splitExpense.js'
+
+export const DEFAULT_CURRENCY = 'USD'
+
+/**
+ * Approximate units of each currency per 1 USD. Fallback only: used when no
+ * rate provider is configured (or it fails), and to convert legacy expenses
+ * that were logged without a rate.
+ */
+export const STATIC_USD_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.36,
+  AUD: 1.52,
+  NZD: 1.66,
+  JPY: 150,
+  CNY: 7.2,
+  HKD: 7.8,
+  SGD: 1.34,
+  KRW: 1330,
+  INR: 83,
+  THB: 36,
+  IDR: 15700,
+  PHP: 56,
+  VND: 24500,
+  MXN: 17,
+  BRL: 5,
+  COP: 3900,
+  CHF: 0.88,
+  SEK: 10.5,
+  NOK: 10.6,
+  DKK: 6.9,
+  ISK: 138,
+  CZK: 23,
+  PLN: 4,
+  HUF: 360,
+  TRY: 32,
+  AED: 3.67,
+  ZAR: 18.5,
+}
+
+export const SUPPORTED_CURRENCIES = Object.keys(STATIC_USD_RATES)
+
+/**
+ * @param {string} code
+ * @returns {boolean} true for a 3-letter uppercase ISO 4217-style code
+ */
+export function isValidCurrencyCode(code) {
+  return typeof code === 'string' && /^[A-Z]{3}$/.test(code)
+}
+
+/**
+ * Base currency for a trip. Trips created before base currencies existed fall
+ * back to the currency of their first expense, so single-currency trips keep
+ * displaying the way they always have.
+ *
+ * @param {Object} trip
+ * @returns {string}
+ */
+export function getTripBaseCurrency(trip) {
+  return trip?.currency || trip?.expenses?.[0]?.currency || DEFAULT_CURRENCY
+}
+
+/**
+ * Static fallback rate: units of `to` per 1 unit of `from`.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @returns {number | null} null when either currency is unknown
+ */
+export function getStaticRate(from, to) {
+  if (from === to) return 1
+  const fromPerUsd = STATIC_USD_RATES[from]
+  const toPerUsd = STATIC_USD_RATES[to]
+  if (!fromPerUsd || !toPerUsd) return null
+  return roundRate(toPerUsd / fromPerUsd)
+}
+
+/**
+ * Round a rate to 6 significant digits for storage and display.
+ *
+ * @param {number} rate
+ * @returns {number}
+ */
+export function roundRate(rate) {
+  return Number(rate.toPrecision(6))
+}
+
+/**
+ * Convert integer cents between currencies.
+ *
+ * @param {number} amountCents
+ * @param {string} from
+ * @param {string} to
+ * @param {number} [rate] - Units of `to` per 1 `from`; static table when omitted
+ * @returns {number} integer cents in `to` (unchanged if no rate is known)
+ */
+export function convertCents(amountCents, from, to, rate) {
+  if (!from || !to || from === to) return Math.round(amountCents || 0)
+  const effectiveRate = rate > 0 ? rate : getStaticRate(from, to)
+  if (!effectiveRate) return Math.round(amountCents || 0)
+  return Math.round((amountCents || 0) * effectiveRate)
+}
+
+/**
+ * Expense (or settlement) amount in the trip base currency. Uses the rate
+ * captured at entry (or when the base currency last changed) when it was
+ * captured against this base; otherwise the static table.
+ *
+ * @param {Object} expense - ({ amountCents, currency, exchangeRate?, baseCurrency? })
+ * @param {string} baseCurrency
+ * @returns {number} integer cents in baseCurrency
+ */
+export function getExpenseBaseCents(expense, baseCurrency) {
+  const currency = expense?.currency || baseCurrency
+  const storedRate = expense?.baseCurrency === baseCurrency ? expense?.exchangeRate : undefined
+  return convertCents(expense?.amountCents, currency, baseCurrency, storedRate)
+}
+
+// Re-scale per-person split amounts to the converted total so they still sum exactly
+function scaleSplits(splits, totalCents) {
+  const parts = divideByWeights(totalCents, splits.map(s => Math.max(0, Math.round(s.amountCents || 0))))
+  return splits.map((s, i) => ({ ...s, amountCents: parts[i] }))
+}
+
+/**
+ * Convert expenses to the base currency for totals and settle up.
+ * Original amounts are kept on `originalAmountCents` / `originalCurrency`.
+ *
+ * @param {Array} expenses
+ * @param {string} baseCurrency
+ * @returns {Array} expenses with amountCents (and splits) in baseCurrency
+ */
+export function convertExpensesToBase(expenses = [], baseCurrency) {
+  return expenses.map(expense => {
+    const currency = expense.currency || baseCurrency
+    if (currency === baseCurrency) return expense
+
+    const amountCents = getExpenseBaseCents(expense, baseCurrency)
+    return {
+      ...expense,
+      amountCents,
+      currency: baseCurrency,
+      originalAmountCents: expense.amountCents,
+      originalCurrency: currency,
+      ...(Array.isArray(expense.splits) && expense.splits.length > 0
+        ? { splits: scaleSplits(expense.splits, amountCents) }
+        : {})
+    }
+  })
+}
+
+/**
+ * Convert recorded settlement payments to the base currency. Payments keep
+ * the currency they were recorded in plus the rate captured then (or when
+ * the trip base currency last changed); the static table is the fallback.
+ * Original amounts are kept on `originalAmountCents` / `originalCurrency`.
+ *
+ * @param {Array} settlements
+ * @param {string} baseCurrency
+ * @returns {Array}
+ */
+export function convertSettlementsToBase(settlements = [], baseCurrency) {
+  return settlements.map(s => {
+    if (!s.currency || s.currency === baseCurrency) return s
+    return {
+      ...s,
+      amountCents: getExpenseBaseCents(s, baseCurrency),
+      currency: baseCurrency,
+      originalAmountCents: s.amountCents,
+      originalCurrency: s.currency
+    }
+  })
+}
+
+/**
+ * Total spend in the base currency (used by the trip brief).
+ *
+ * @param {Array} expenses
+ * @param {string} baseCurrency
+ * @returns {number} integer cents
+ */
+export function getTotalInBaseCurrency(expenses = [], baseCurrency) {
+  return expenses.reduce((sum, e) => sum + getExpenseBaseCents(e, baseCurrency), 0)
+}
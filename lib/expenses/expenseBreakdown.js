@@ -0,0 +1,190 @@
+/**
+ * Expense Categories & Breakdown Module
+ *
+ * Category tagging, list filters for GET /api/trips/:tripId/expenses, and the
+ * per-category / per-person-per-day breakdown shown in the trip brief and
+ * ExpensesOverlay. All amounts are converted to the trip base currency first.
+ *
+ * Pure functions — safe to import from both API routes and client components.
+ *
+ * @module lib/expenses/expenseBreakdown
+ */
+
+import { convertExpensesToBase } from './currency.js'
+import { computeExpenseShares } from './settleUp.js'
+
+export const EXPENSE_CATEGORIES = ['lodging', 'food', 'transport', 'activities', 'other']
+
+export const DEFAULT_EXPENSE_CATEGORY = 'other'
+
+export const EXPENSE_CATEGORY_LABELS = {
+  lodging: 'Lodging',
+  food: 'Food & drink',
+  transport: 'Transport',
+  activities: 'Activities',
+  other: 'Other',
+}
+
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/
+const ISO_TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Category of an expense (untagged expenses count as "other").
+ *
+ * @param {Object} expense
+ * @returns {string}
+ */
+export function getExpenseCategory(expense) {
+  return EXPENSE_CATEGORIES.includes(expense?.category) ? expense.category : DEFAULT_EXPENSE_CATEGORY
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} true for a YYYY-MM-DD date string
+ */
+export function isDateOnly(value) {
+  return typeof value === 'string' && DATE_ONLY_RE.test(value) && !isNaN(new Date(value).getTime())
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} true for a YYYY-MM-DD date or a full ISO 8601 timestamp
+ *   (what the date filters compare against)
+ */
+export function isIsoDate(value) {
+  return isDateOnly(value) ||
+    (typeof value === 'string' && ISO_TIMESTAMP_RE.test(value) && !isNaN(new Date(value).getTime()))
+}
+
+// Calendar day an expense happened on (YYYY-MM-DD)
+function expenseDay(expense) {
+  const when = expense.incurredAt || expense.createdAt
+  return typeof when === 'string' ? when.slice(0, 10) : null
+}
+
+/**
+ * Filter expenses. All filters are optional; date bounds are inclusive
+ * YYYY-MM-DD strings compared against the day the expense was incurred.
+ *
+ * @param {Array} expenses
+ * @param {{ category?: string, paidBy?: string, from?: string, to?: string }} filters
+ * @returns {Array}
+ */
+export function filterExpenses(expenses = [], { category, paidBy, from, to } = {}) {
+  return expenses.filter(expense => {
+    if (category && getExpenseCategory(expense) !== category) return false
+    if (paidBy && expense.paidByUserId !== paidBy) return false
+    if (from || to) {
+      const day = expenseDay(expense)
+      if (!day) return false
+      if (from && day < from) return false
+      if (to && day > to) return false
+    }
+    return true
+  })
+}
+
+/**
+ * Number of days the spend is spread over: the locked trip dates when known,
+ * otherwise first to last expense. Always at least 1.
+ */
+function countTripDays(expenses, startDate, endDate) {
+  let start = startDate
+  let end = endDate
+  if (!start || !end) {
+    const days = expenses.map(expenseDay).filter(Boolean).sort()
+    start = days[0]
+    end = days[days.length - 1]
+  }
+  if (!start || !end) return 1
+  const diff = Math.round((new Date(end).getTime() - new Date(start).getTime()) / MS_PER_DAY)
+  return Math.max(1, diff + 1)
+}
+
+/**
+ * Spend per category and per person per day, in the base currency.
+ *
+ * @param {Array} expenses - Trip expense records
+ * @param {Object} options
+ * @param {string} options.baseCurrency
+ * @param {string} [options.startDate] - Trip start (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Trip end (YYYY-MM-DD)
+ * @returns {{
+ *   byCategory: Array<{ category: string, totalCents: number, count: number }>,
+ *   byPerson: Array<{ userId: string, shareCents: number, perDayCents: number }>,
+ *   days: number,
+ *   travelerCount: number,
+ *   perPersonPerDayCents: number
+ * }}
+ */
+export function buildExpenseBreakdown(expenses = [], { baseCurrency, startDate, endDate } = {}) {
+  const baseExpenses = convertExpensesToBase(expenses, baseCurrency)
+
+  const categoryTotals = new Map()
+  const shareByUser = new Map()
+  let totalCents = 0
+
+  for (const expense of baseExpenses) {
+    const category = getExpenseCategory(expense)
+    const entry = categoryTotals.get(category) || { category, totalCents: 0, count: 0 }
+    entry.totalCents += Math.round(expense.amountCents || 0)
+    entry.count += 1
+    categoryTotals.set(category, entry)
+    totalCents += Math.round(expense.amountCents || 0)
+
+    for (const [userId, cents] of computeExpenseShares(expense)) {
+      shareByUser.set(userId, (shareByUser.get(userId) || 0) + cents)
+    }
+  }
+
+  const days = countTripDays(expenses, startDate, endDate)
+  const travelerCount = shareByUser.size
+
+  return {
+    byCategory: EXPENSE_CATEGORIES
+      .filter(category => categoryTotals.has(category))
+      .map(category => categoryTotals.get(category)),
+    byPerson: [...shareByUser.entries()]
+      .map(([userId, shareCents]) => ({ userId, shareCents, perDayCents: Math.round(shareCents / days) }))
+      .sort((a, b) => b.shareCents - a.shareCents || a.userId.localeCompare(b.userId)),
+    days,
+    travelerCount,
+    perPersonPerDayCents: travelerCount > 0 ? Math.round(totalCents / travelerCount / days) : 0
+  }
+}
+
+/**
+ * Expenses section of the trip brief (authenticated and public share views).
+ * Aggregates only — no user IDs or individual expenses.
+ *
+ * @param {Object} trip - Trip document (with embedded expenses)
+ * @param {string} baseCurrency
+ * @returns {{ totalAmount: number, currency: string, itemCount: number, byCategory: Array<{ category: string, label: string, amount: number, count: number }>, perPersonPerDay: number, days: number, travelerCount: number } | null}
+ */
+export function buildBriefExpensesSummary(trip, baseCurrency) {
+  const expenses = trip?.expenses || []
+  if (expenses.length === 0) return null
+
+  const breakdown = buildExpenseBreakdown(expenses, {
+    baseCurrency,
+    startDate: trip.lockedStartDate || trip.startDate,
+    endDate: trip.lockedEndDate || trip.endDate
+  })
+  const totalCents = breakdown.byCategory.reduce((sum, c) => sum + c.totalCents, 0)
+
+  return {
+    totalAmount: totalCents / 100,
+    currency: baseCurrency,
+    itemCount: expenses.length,
+    byCategory: breakdown.byCategory.map(c => ({
+      category: c.category,
+      label: EXPENSE_CATEGORY_LABELS[c.category],
+      amount: c.totalCents / 100,
+      count: c.count
+    })),
+    perPersonPerDay: breakdown.perPersonPerDayCents / 100,
+    days: breakdown.days,
+    travelerCount: breakdown.travelerCount
+  }
+}
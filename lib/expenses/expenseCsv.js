@@ -0,0 +1,399 @@
+/**
+ * Expense CSV Module
+ *
+ * CSV export/import of trip expenses, compatible with Splitwise's export:
+ *
+ *   Date,Description,Category,Cost,Currency,Alex,Sam,Jo
+ *   2026-06-01,Dinner,Food & drink,90.00,EUR,60.00,-30.00,-30.00
+ *
+ * Each person column is that person's net for the row: what they paid minus
+ * their share (positive = lent, negative = owes). One payer per row.
+ *
+ * Import also accepts a simpler layout with "Paid by" and "Split with"
+ * (names separated by ";") columns, split equally. Column names are matched
+ * case-insensitively against common aliases; callers can override the mapping.
+ *
+ * Pure functions — the API route resolves names to traveler IDs.
+ *
+ * @module lib/expenses/expenseCsv
+ */
+
+import { resolveSplit } from './splitExpense.js'
+import { computeExpenseShares } from './settleUp.js'
+import { EXPENSE_CATEGORIES, EXPENSE_CATEGORY_LABELS, getExpenseCategory } from './expenseBreakdown.js'
+import { isValidCurrencyCode } from './currency.js'
+
+export const MAX_IMPORT_ROWS = 500
+
+// Known columns → accepted header spellings (lowercased)
+const COLUMN_ALIASES = {
+  date: ['date', 'incurred at', 'incurredat', 'day'],
+  title: ['description', 'title', 'expense', 'name', 'item'],
+  category: ['category', 'type'],
+  amount: ['cost', 'amount', 'total', 'price'],
+  currency: ['currency', 'currency code'],
+  paidBy: ['paid by', 'paidby', 'payer', 'who paid'],
+  splitWith: ['split with', 'split between', 'splitbetween', 'participants', 'for whom'],
+  note: ['note', 'notes', 'details'],
+}
+
+// Splitwise rows that aren't expenses
+const SKIPPED_TITLES = new Set(['total balance'])
+
+// Free-text categories (incl. Splitwise's "Group - Subcategory") → ours
+const CATEGORY_KEYWORDS = [
+  ['lodging', ['lodging', 'hotel', 'rent', 'airbnb', 'hostel', 'accommodation', 'home']],
+  ['food', ['food', 'dining', 'restaurant', 'groceries', 'liquor', 'drink', 'meal']],
+  ['transport', ['transport', 'taxi', 'gas', 'fuel', 'parking', 'plane', 'flight', 'bus', 'train', 'car', 'bicycle']],
+  ['activities', ['activit', 'entertainment', 'sports', 'games', 'movies', 'music', 'tour', 'ticket']],
+]
+
+// ============ CSV primitives ============
+
+function escapeCell(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * @param {Array<Array<string|number>>} rows
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeCell).join(',')).join('\r\n')
+}
+
+/**
+ * RFC 4180 parser: quoted cells, escaped quotes, CRLF/LF. Drops blank lines.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+  const input = String(text || '').replace(/^\uFEFF/, '') // strip BOM (Excel)
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  row.push(cell)
+  rows.push(row)
+
+  return rows.filter(r => r.some(c => c.trim() !== ''))
+}
+
+// ============ Export ============
+
+const formatAmount = (cents) => (cents / 100).toFixed(2)
+
+/**
+ * Build a Splitwise-style CSV of trip expenses.
+ *
+ * @param {Array} expenses - Trip expense records
+ * @param {(userId: string) => string} nameOf - Resolves a traveler name
+ * @returns {string}
+ */
+export function buildExpensesCsv(expenses = [], nameOf) {
+  // One column per person who paid or owes anything, in first-seen order
+  const userIds = []
+  const seen = new Set()
+  const addUser = (id) => {
+    if (id && !seen.has(id)) {
+      seen.add(id)
+      userIds.push(id)
+    }
+  }
+  const sorted = [...expenses].sort((a, b) =>
+    String(a.incurredAt || a.createdAt || '').localeCompare(String(b.incurredAt || b.createdAt || '')))
+  sorted.forEach(e => {
+    addUser(e.paidByUserId)
+    computeExpenseShares(e).forEach((_, id) => addUser(id))
+  })
+
+  // Disambiguate duplicate names so the file imports back cleanly
+  const nameCounts = new Map()
+  const headers = userIds.map(id => {
+    const name = nameOf(id) || 'Unknown'
+    const count = (nameCounts.get(name) || 0) + 1
+    nameCounts.set(name, count)
+    return count > 1 ? `${name} (${count})` : name
+  })
+
+  const rows = [['Date', 'Description', 'Category', 'Cost', 'Currency', ...headers]]
+  for (const expense of sorted) {
+    const shares = computeExpenseShares(expense)
+    const amountCents = Math.round(expense.amountCents || 0)
+    rows.push([
+      String(expense.incurredAt || expense.createdAt || '').slice(0, 10),
+      expense.title || '',
+      EXPENSE_CATEGORY_LABELS[getExpenseCategory(expense)],
+      formatAmount(amountCents),
+      expense.currency || '',
+      ...userIds.map(id => {
+        const net = (id === expense.paidByUserId ? amountCents : 0) - (shares.get(id) || 0)
+        return formatAmount(net)
+      })
+    ])
+  }
+
+  return toCsv(rows)
+}
+
+// ============ Import ============
+
+/**
+ * Map our fields to header names by alias. Unmapped headers are treated as
+ * Splitwise per-person columns.
+ *
+ * @param {string[]} headers
+ * @param {Object<string, string>} [overrides] - field → header name
+ * @returns {{ columns: Object<string, number>, personColumns: Array<{ index: number, name: string }> }}
+ */
+export function detectColumnMapping(headers, overrides = {}) {
+  const normalized = headers.map(h => h.trim().toLowerCase())
+  const columns = {}
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const override = overrides[field]
+    const index = override
+      ? normalized.indexOf(String(override).trim().toLowerCase())
+      : normalized.findIndex(h => aliases.includes(h))
+    if (index >= 0) columns[field] = index
+  }
+
+  const used = new Set(Object.values(columns))
+  const personColumns = headers
+    .map((name, index) => ({ index, name: name.trim() }))
+    .filter(c => !used.has(c.index) && c.name)
+
+  return { columns, personColumns }
+}
+
+const CURRENCY_AFFIX = /^(?:[$€£¥]|[A-Za-z]{3}\b)\s*|\s*(?:[$€£¥]|\b[A-Za-z]{3})$/g
+
+// Digits with optional thousands separators: "1234", "1,234", "1.234.567"
+function parseWholeNumber(text, separator) {
+  if (/^\d+$/.test(text)) return Number(text)
+  const grouped = new RegExp(`^\\d{1,3}(\\${separator}\\d{3})+$`)
+  return grouped.test(text) ? Number(text.split(separator).join('')) : null
+}
+
+/**
+ * Parse "12.50", "$1,234.56", "12,50 €", "1.234,56", "(5.00)", "-5" or
+ * "5.00-" into integer cents.
+ *
+ * A minus only counts at the start or the end. The last comma or dot is the
+ * decimal separator when one or two digits follow it. Otherwise separators
+ * must be thousands groups, except a lone dot before three digits ("1.234"),
+ * which could be either and is rejected along with anything malformed.
+ *
+ * @param {string} value
+ * @returns {number | null}
+ */
+export function parseAmountCents(value) {
+  let text = String(value ?? '').trim()
+  if (!text) return null
+
+  let negative = /^\(.*\)$/.test(text)
+  if (negative) text = text.slice(1, -1)
+  text = text.trim().replace(CURRENCY_AFFIX, '')
+  const minus = text.match(/^-|-$/g) || []
+  if (minus.length > 1 || (negative && minus.length)) return null
+  if (minus.length) {
+    negative = true
+    text = text.replace(/^-|-$/, '').trim().replace(CURRENCY_AFFIX, '')
+  }
+  if (!/^\d[\d.,]*$/.test(text)) return null
+
+  const decimalAt = Math.max(text.lastIndexOf(','), text.lastIndexOf('.'))
+  const hasFraction = decimalAt >= 0 && /^\d{1,2}$/.test(text.slice(decimalAt + 1))
+  const whole = hasFraction ? text.slice(0, decimalAt) : text
+  const fraction = hasFraction ? text.slice(decimalAt + 1) : ''
+  if (!hasFraction && /^\d+\.\d{3}$/.test(text)) return null
+
+  const decimal = hasFraction ? text[decimalAt] : null
+  const thousands = decimal === ',' ? '.' : decimal === '.' ? ',' : (text.includes(',') ? ',' : '.')
+  const units = parseWholeNumber(whole, thousands)
+  if (units === null) return null
+
+  const cents = units * 100 + Number(fraction.padEnd(2, '0'))
+  return negative ? -cents : cents
+}
+
+/**
+ * Map a free-text category to one of ours.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function mapCategory(value) {
+  const text = String(value || '').trim().toLowerCase()
+  if (!text) return 'other'
+  if (EXPENSE_CATEGORIES.includes(text)) return text
+  const label = Object.entries(EXPENSE_CATEGORY_LABELS).find(([, l]) => l.toLowerCase() === text)
+  if (label) return label[0]
+  const match = CATEGORY_KEYWORDS.find(([, words]) => words.some(w => text.includes(w)))
+  return match ? match[0] : 'other'
+}
+
+function parseDate(value) {
+  const text = String(value || '').trim()
+  if (!text) return null
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T12:00:00.000Z` : text)
+  return isNaN(date.getTime()) ? undefined : date.toISOString()
+}
+
+/**
+ * Parse expense rows from CSV text into expense drafts. Never throws: each
+ * row reports its own errors, and names that don't match a traveler are
+ * listed in `unknownTravelers` (and make the row invalid).
+ *
+ * @param {string} csvText
+ * @param {Object} options
+ * @param {(name: string) => string | null} options.resolveTraveler - Name → userId
+ * @param {string} options.defaultCurrency - Used when a row has no currency
+ * @param {Object<string, string>} [options.mapping] - Column overrides (field → header)
+ * @returns {{ error?: string, mapping?: Object, rows: Array<{ row: number, ok: boolean, expense?: Object, errors: string[], unknownTravelers: string[] }> }}
+ */
+export function parseExpensesCsv(csvText, { resolveTraveler, defaultCurrency, mapping } = {}) {
+  const table = parseCsv(csvText)
+  if (table.length < 2) {
+    return { error: 'The file needs a header row and at least one expense', rows: [] }
+  }
+
+  const [headers, ...body] = table
+  const { columns, personColumns } = detectColumnMapping(headers, mapping)
+  const isSplitwiseLayout = columns.paidBy === undefined
+
+  if (columns.title === undefined || columns.amount === undefined) {
+    return { error: 'Could not find description and amount columns', rows: [] }
+  }
+  if (isSplitwiseLayout && personColumns.length === 0) {
+    return { error: 'Could not find a "Paid by" column or per-person columns', rows: [] }
+  }
+  if (body.length > MAX_IMPORT_ROWS) {
+    return { error: `Import up to ${MAX_IMPORT_ROWS} expenses at a time`, rows: [] }
+  }
+
+  const cell = (cells, field) => (columns[field] !== undefined ? (cells[columns[field]] || '').trim() : '')
+
+  const rows = []
+  body.forEach((cells, i) => {
+    const rowNumber = i + 2 // 1-based, after the header
+    const title = cell(cells, 'title')
+    if (SKIPPED_TITLES.has(title.toLowerCase())) return
+
+    const errors = []
+    const unknownTravelers = []
+    const lookup = (name) => {
+      const userId = resolveTraveler(name)
+      if (!userId && !unknownTravelers.includes(name)) unknownTravelers.push(name)
+      return userId
+    }
+
+    const amountCents = parseAmountCents(cell(cells, 'amount'))
+    if (!title) errors.push('Missing description')
+    if (amountCents === null && cell(cells, 'amount')) errors.push(`Unreadable amount "${cell(cells, 'amount')}"`)
+    else if (!amountCents || amountCents <= 0) errors.push('Amount must be a positive number')
+
+    const currency = (cell(cells, 'currency') || defaultCurrency || '').toUpperCase()
+    if (!isValidCurrencyCode(currency)) errors.push(`Unknown currency "${currency}"`)
+
+    const incurredAt = parseDate(cell(cells, 'date'))
+    if (incurredAt === undefined) errors.push(`Unreadable date "${cell(cells, 'date')}"`)
+
+    let paidByUserId = null
+    let splitInput = null
+
+    if (isSplitwiseLayout) {
+      // Net per person: payer is the one with a positive net; share = paid - net
+      const personCells = personColumns
+        .map(c => ({ name: c.name, text: String(cells[c.index] ?? '').trim(), cents: parseAmountCents(cells[c.index]) }))
+      personCells
+        .filter(n => n.text && n.cents === null)
+        .forEach(n => errors.push(`Unreadable amount "${n.text}" for ${n.name}`))
+      const nets = personCells.filter(n => n.cents)
+      const payers = nets.filter(n => n.cents > 0)
+      if (payers.length !== 1) {
+        errors.push(payers.length === 0 ? 'No payer found (nobody has a positive amount)' : 'Rows with more than one payer are not supported')
+      } else if (amountCents > 0) {
+        const payer = payers[0]
+        paidByUserId = lookup(payer.name)
+        const splits = []
+        const payerShare = amountCents - payer.cents
+        if (payerShare > 0) splits.push({ name: payer.name, value: payerShare })
+        nets.filter(n => n.cents < 0).forEach(n => splits.push({ name: n.name, value: -n.cents }))
+        splitInput = {
+          splitMode: 'exact',
+          splits: splits.map(s => ({ userId: lookup(s.name), value: s.value }))
+        }
+      }
+    } else {
+      const payerName = cell(cells, 'paidBy')
+      if (!payerName) errors.push('Missing payer')
+      else paidByUserId = lookup(payerName)
+      const names = cell(cells, 'splitWith').split(';').map(n => n.trim()).filter(Boolean)
+      if (names.length === 0) errors.push('Missing split members')
+      splitInput = { splitMode: 'equal', splitBetweenUserIds: names.map(lookup) }
+    }
+
+    unknownTravelers.forEach(name => errors.push(`"${name}" is not a traveler on this trip`))
+
+    let expense
+    if (errors.length === 0) {
+      const split = resolveSplit({ amountCents, ...splitInput })
+      if (!split.ok) {
+        errors.push(split.message)
+      } else {
+        expense = {
+          title,
+          amountCents,
+          currency,
+          category: mapCategory(cell(cells, 'category')),
+          paidByUserId,
+          splitBetweenUserIds: split.splitBetweenUserIds,
+          ...(split.splitMode !== 'equal' ? { splitMode: split.splitMode, splits: split.splits } : {}),
+          incurredAt: incurredAt || null,
+          note: cell(cells, 'note') || undefined
+        }
+      }
+    }
+
+    rows.push({ row: rowNumber, ok: errors.length === 0, ...(expense ? { expense } : {}), errors, unknownTravelers })
+  })
+
+  const mappedColumns = Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]]))
+  return {
+    mapping: {
+      columns: mappedColumns,
+      personColumns: isSplitwiseLayout ? personColumns.map(c => c.name) : []
+    },
+    rows
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Exchange Rate Provider
+ *
+ * Looks up the rate captured on an expense when it is logged in a currency
+ * other than the trip base. The provider is pluggable:
+ *
+ * - By default, if EXCHANGE_RATE_API_URL is set, rates come from an HTTP API
+ *   answering `GET {url}?base=EUR&symbols=USD` with `{ rates: { USD: 1.08 } }`
+ *   (the exchangerate.host / frankfurter shape).
+ * - Tests or other deployments can swap it with setRateProvider().
+ * - Any provider failure falls back to the static table in lib/expenses/currency.
+ *
+ * Server only.
+ *
+ * @module lib/expenses/rateProvider
+ */
+
+import { getStaticRate, roundRate } from './currency.js'
+
+const CACHE_TTL_MS = 60 * 60 * 1000 // 1 hour
+const FETCH_TIMEOUT_MS = 3000
+
+const rateCache = new Map() // `${from}:${to}` -> { rate, source, expiresAt }
+
+/**
+ * @typedef {Object} RateProvider
+ * @property {string} name - Recorded on expenses as `rateSource`
+ * @property {(from: string, to: string) => Promise<number | null>} getRate - Units of `to` per 1 `from`
+ */
+
+/**
+ * HTTP provider for exchangerate.host / frankfurter-style APIs.
+ *
+ * @param {string} baseUrl
+ * @returns {RateProvider}
+ */
+export function createHttpRateProvider(baseUrl) {
+  return {
+    name: 'api',
+    async getRate(from, to) {
+      const url = `${baseUrl}?base=${encodeURIComponent(from)}&symbols=${encodeURIComponent(to)}`
+      const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) })
+      if (!response.ok) return null
+      const data = await response.json()
+      const rate = data?.rates?.[to]
+      return typeof rate === 'number' && rate > 0 ? rate : null
+    }
+  }
+}
+
+let activeProvider = process.env.EXCHANGE_RATE_API_URL
+  ? createHttpRateProvider(process.env.EXCHANGE_RATE_API_URL)
+  : null
+
+/**
+ * Swap the rate provider (null = static table only). Clears the cache.
+ *
+ * @param {RateProvider | null} provider
+ */
+export function setRateProvider(provider) {
+  activeProvider = provider
+  rateCache.clear()
+}
+
+/**
+ * Get the exchange rate from one currency to another.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<{ rate: number, source: string } | null>} null when the pair is unknown
+ */
+export async function getExchangeRate(from, to) {
+  if (from === to) return { rate: 1, source: 'same' }
+
+  const key = `${from}:${to}`
+  const cached = rateCache.get(key)
+  if (cached && cached.expiresAt > Date.now()) {
+    return { rate: cached.rate, source: cached.source }
+  }
+
+  if (activeProvider) {
+    try {
+      const rate = await activeProvider.getRate(from, to)
+      if (rate) {
+        const result = { rate: roundRate(rate), source: activeProvider.name }
+        rateCache.set(key, { ...result, expiresAt: Date.now() + CACHE_TTL_MS })
+        return result
+      }
+    } catch (err) {
+      console.error(`[rates] ${activeProvider.name} lookup ${key} failed:`, err.message)
+    }
+  }
+
+  const staticRate = getStaticRate(from, to)
+  return staticRate ? { rate: staticRate, source: 'static' } : null
+}
@@ -0,0 +1,147 @@
+/**
+ * Receipt file ownership and cleanup
+ *
+ * Every receipt upload is recorded in `receipt_uploads` when it is authorized:
+ * { pathname, tripId, uploadedBy, expenseId, createdAt }. Attaching a receipt
+ * claims the record for one expense, and files are only ever deleted through
+ * a record they own — so a URL pointing at someone's avatar, a memory photo
+ * or another expense's receipt can't be attached and then deleted.
+ *
+ * Files live wherever the upload pipeline put them: Vercel Blob (needs
+ * BLOB_READ_WRITE_TOKEN) or public/uploads for the local fallback. Deletes
+ * are best effort — a failed delete is logged, never thrown, so it can't
+ * block deleting the expense or account that owned the file.
+ *
+ * Server only.
+ *
+ * @module lib/expenses/receiptStorage
+ */
+
+import { unlink } from 'fs/promises'
+import { join } from 'path'
+import { isActiveTraveler } from '../trips/isActiveTraveler.js'
+import { isBlobUploadUrl, getReceiptPathTripId, getReceiptPathname } from './receipts.js'
+
+/**
+ * Check that a receipt may be uploaded to this path and record who is
+ * uploading it. Called by both upload routes before any bytes are stored.
+ *
+ * @param {Object} db
+ * @param {string} pathname - "receipts/<tripId>/<file>"
+ * @param {string} userId
+ * @returns {Promise<{ ok: true, tripId: string } | { ok: false, status: number, message: string }>}
+ */
+export async function authorizeReceiptUpload(db, pathname, userId) {
+  const tripId = getReceiptPathTripId(pathname)
+  if (!tripId) {
+    return { ok: false, status: 400, message: 'Invalid receipt path' }
+  }
+
+  const trip = await db.collection('trips').findOne({ id: tripId })
+  if (!trip || !(await isActiveTraveler(db, trip, userId))) {
+    return { ok: false, status: 403, message: 'You are not a traveler on this trip' }
+  }
+
+  const existing = await db.collection('receipt_uploads').findOne({ pathname })
+  if (existing) {
+    return { ok: false, status: 409, message: 'That receipt was already uploaded' }
+  }
+
+  await db.collection('receipt_uploads').insertOne({
+    pathname,
+    tripId,
+    uploadedBy: userId,
+    expenseId: null,
+    createdAt: new Date().toISOString()
+  })
+  return { ok: true, tripId }
+}
+
+/**
+ * Claim uploaded receipts for an expense. All or nothing: every URL must be
+ * an unclaimed upload the user made for this trip.
+ *
+ * @param {Object} db
+ * @param {string[]} urls
+ * @param {{ tripId: string, userId: string, expenseId: string }} owner
+ * @returns {Promise<boolean>} false (and nothing claimed) if any URL isn't claimable
+ */
+export async function claimReceiptUploads(db, urls, { tripId, userId, expenseId }) {
+  const pathnames = [...new Set((urls || []).map(getReceiptPathname))]
+  if (pathnames.length === 0 || pathnames.includes(null)) return false
+
+  const uploads = db.collection('receipt_uploads')
+  const result = await uploads.updateMany(
+    { pathname: { $in: pathnames }, tripId, uploadedBy: userId, expenseId: null },
+    { $set: { expenseId } }
+  )
+  if (result.modifiedCount === pathnames.length) return true
+
+  await uploads.updateMany(
+    { pathname: { $in: pathnames }, expenseId },
+    { $set: { expenseId: null } }
+  )
+  return false
+}
+
+/**
+ * Delete receipt files owned by an expense (or, on account deletion, by the
+ * uploader). Call after the receipts are removed from the expense: files any
+ * expense still references are kept, as are files with no matching record.
+ *
+ * @param {Object} db
+ * @param {string[]} urls
+ * @param {{ expenseId: string } | { uploadedBy: string }} owner
+ * @returns {Promise<void>}
+ */
+export async function deleteReceiptFiles(db, urls, owner) {
+  const byPathname = new Map()
+  for (const url of urls || []) {
+    const pathname = getReceiptPathname(url)
+    if (pathname) byPathname.set(pathname, url)
+  }
+  if (byPathname.size === 0) return
+
+  const owned = await db.collection('receipt_uploads')
+    .find({ pathname: { $in: [...byPathname.keys()] }, ...owner })
+    .toArray()
+
+  const deletable = []
+  for (const { pathname } of owned) {
+    const url = byPathname.get(pathname)
+    const stillReferenced = await db.collection('trips').findOne(
+      { 'expenses.receipts.url': url },
+      { projection: { id: 1 } }
+    )
+    if (!stillReferenced) deletable.push({ pathname, url })
+  }
+  if (deletable.length === 0) return
+
+  await db.collection('receipt_uploads').deleteMany({ pathname: { $in: deletable.map(d => d.pathname) } })
+
+  const blobUrls = deletable.filter(d => isBlobUploadUrl(d.url)).map(d => d.url)
+  const localPaths = deletable.filter(d => !isBlobUploadUrl(d.url)).map(d => d.pathname)
+
+  if (blobUrls.length > 0) {
+    if (!process.env.BLOB_READ_WRITE_TOKEN) {
+      console.warn('[receipts] BLOB_READ_WRITE_TOKEN not set, leaving blobs in place:', blobUrls.length)
+    } else {
+      try {
+        const { del } = await import('@vercel/blob')
+        await del(blobUrls)
+      } catch (err) {
+        console.error('[receipts] Blob delete failed:', err.message)
+      }
+    }
+  }
+
+  for (const pathname of localPaths) {
+    try {
+      await unlink(join(process.cwd(), 'public', 'uploads', pathname))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('[receipts] Local delete failed:', pathname, err.message)
+      }
+    }
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Receipt photo attachments on expenses.
+ *
+ * Receipts are images uploaded through the shared upload pipeline
+ * (Vercel Blob in production, /api/upload/local in dev) under their own
+ * `receipts/<tripId>/<file>` path, and stored on the expense as
+ * { id, url, uploadedBy, uploadedAt }. Who uploaded each file is recorded
+ * server-side when the upload is authorized (see lib/expenses/receiptStorage).
+ */
+
+import { v4 as uuidv4 } from 'uuid'
+
+export const MAX_RECEIPTS_PER_EXPENSE = 5
+
+const RECEIPT_PATH_PATTERN = /^receipts\/([A-Za-z0-9-]+)\/[A-Za-z0-9-]+\.[a-z0-9]+$/
+const LOCAL_UPLOAD_PATTERN = /^\/uploads\/(?:receipts\/[A-Za-z0-9-]+\/)?[A-Za-z0-9._-]+$/
+const BLOB_HOST_SUFFIX = '.blob.vercel-storage.com'
+
+/**
+ * Local fallback uploads live under public/uploads/<file> (receipts under
+ * public/uploads/receipts/<tripId>/<file>).
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isLocalUploadUrl(url) {
+  return typeof url === 'string' && LOCAL_UPLOAD_PATTERN.test(url) && !url.includes('..')
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isBlobUploadUrl(url) {
+  if (typeof url !== 'string') return false
+  try {
+    const parsed = new URL(url)
+    return parsed.protocol === 'https:' && parsed.hostname.endsWith(BLOB_HOST_SUFFIX)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Trip a receipt upload path belongs to.
+ * @param {string} pathname - e.g. "receipts/<tripId>/<uuid>.jpg"
+ * @returns {string | null} tripId, or null when it isn't a receipt path
+ */
+export function getReceiptPathTripId(pathname) {
+  const match = typeof pathname === 'string' ? pathname.match(RECEIPT_PATH_PATTERN) : null
+  return match ? match[1] : null
+}
+
+/**
+ * Upload path of a receipt URL from either storage backend.
+ * @param {string} url
+ * @returns {string | null} "receipts/<tripId>/<file>", or null for any other URL
+ */
+export function getReceiptPathname(url) {
+  let pathname = null
+  if (isLocalUploadUrl(url)) {
+    pathname = url.slice('/uploads/'.length)
+  } else if (isBlobUploadUrl(url)) {
+    pathname = new URL(url).pathname.slice(1)
+  }
+  return getReceiptPathTripId(pathname) ? pathname : null
+}
+
+/**
+ * Only receipt uploads made for this trip can be attached to its expenses.
+ * This checks the URL's shape; the server also checks who uploaded it.
+ * @param {string} url
+ * @param {string} tripId
+ * @returns {boolean}
+ */
+export function isReceiptUrl(url, tripId) {
+  return !!tripId && getReceiptPathTripId(getReceiptPathname(url)) === tripId
+}
+
+/**
+ * @param {string} url
+ * @param {string} userId
+ * @returns {{ id: string, url: string, uploadedBy: string, uploadedAt: string }}
+ */
+export function buildReceipt(url, userId) {
+  return {
+    id: uuidv4(),
+    url,
+    uploadedBy: userId,
+    uploadedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Receipt URLs on a set of expenses, optionally only those uploaded by one user.
+ * @param {Array} expenses
+ * @param {{ uploadedBy?: string }} [options]
+ * @returns {string[]}
+ */
+export function collectReceiptUrls(expenses, { uploadedBy } = {}) {
+  return (expenses || [])
+    .flatMap(e => e.receipts || [])
+    .filter(r => r?.url && (!uploadedBy || r.uploadedBy === uploadedBy))
+    .map(r => r.url)
+}
@@ -0,0 +1,92 @@
+/**
+ * Settle Up Reminders
+ *
+ * Escalating payment reminders for travelers who still owe money once a trip
+ * is over: on the day the trip ends, 3 days later, then a final one at 7 days.
+ * Each stage is sent at most once per debtor (push dedupe key includes the
+ * stage); the daily push cap can push a stage to the next cron run.
+ *
+ * Outstanding debts are recomputed from expenses and the settlement ledger on
+ * every run, so a debtor who records their payment drops out immediately.
+ *
+ * @module lib/expenses/settleReminders
+ */
+
+/**
+ * Escalation schedule, in days after the trip's last day.
+ */
+export const SETTLE_REMINDER_SCHEDULE = [
+  { stage: 'trip_end', daysAfterEnd: 0 },
+  { stage: 'day_3', daysAfterEnd: 3 },
+  { stage: 'day_7', daysAfterEnd: 7 },
+]
+
+// A stage missed by one cron run (or deferred by the daily cap) is still sent the next day
+const CATCH_UP_DAYS = 1
+
+/**
+ * How many days back the cron has to look for trips that may still need a reminder.
+ */
+export const SETTLE_REMINDER_LOOKBACK_DAYS =
+  SETTLE_REMINDER_SCHEDULE[SETTLE_REMINDER_SCHEDULE.length - 1].daysAfterEnd + CATCH_UP_DAYS
+
+/**
+ * Last day of the trip (YYYY-MM-DD), locked dates first.
+ *
+ * @param {Object} trip
+ * @returns {string | null}
+ */
+export function getTripEndDate(trip) {
+  const end = trip?.lockedEndDate || trip?.endDate
+  return typeof end === 'string' && end.length >= 10 ? end.slice(0, 10) : null
+}
+
+/**
+ * Whole UTC days from `endDate` to `now` (0 on the end date itself).
+ *
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {Date} now
+ * @returns {number}
+ */
+export function daysSinceEnd(endDate, now = new Date()) {
+  const end = Date.parse(`${endDate}T00:00:00.000Z`)
+  const today = Date.parse(`${now.toISOString().slice(0, 10)}T00:00:00.000Z`)
+  return Math.round((today - end) / (24 * 60 * 60 * 1000))
+}
+
+/**
+ * Which reminder stage is due today, if any.
+ *
+ * @param {string | null} endDate - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {string | null} Stage key from SETTLE_REMINDER_SCHEDULE
+ */
+export function getDueReminderStage(endDate, now = new Date()) {
+  if (!endDate) return null
+  const days = daysSinceEnd(endDate, now)
+  if (Number.isNaN(days)) return null
+
+  const due = SETTLE_REMINDER_SCHEDULE.find(
+    s => days >= s.daysAfterEnd && days <= s.daysAfterEnd + CATCH_UP_DAYS
+  )
+  return due ? due.stage : null
+}
+
+/**
+ * Group a settlement plan by debtor: one reminder per person, however many
+ * people they owe.
+ *
+ * @param {Array<{ fromUserId: string, toUserId: string, amountCents: number }>} transfers
+ * @returns {Array<{ debtorId: string, creditorIds: string[], totalCents: number }>}
+ */
+export function groupTransfersByDebtor(transfers = []) {
+  const byDebtor = new Map()
+  for (const t of transfers) {
+    if (!t?.fromUserId || !(t.amountCents > 0)) continue
+    const entry = byDebtor.get(t.fromUserId) || { debtorId: t.fromUserId, creditorIds: [], totalCents: 0 }
+    if (!entry.creditorIds.includes(t.toUserId)) entry.creditorIds.push(t.toUserId)
+    entry.totalCents += t.amountCents
+    byDebtor.set(t.fromUserId, entry)
+  }
+  return [...byDebtor.values()]
+}
@@ -0,0 +1,277 @@
+/**
+ * Settle Up Module
+ *
+ * Turns trip expense records into per-traveler balances and the smallest set
+ * of transfers that squares everyone up. Pure functions, integer cents
+ * throughout — safe to import from both API routes and client components.
+ *
+ * Travelers who left the trip keep their balance: you still owe (or are owed)
+ * for expenses logged while you were on the trip.
+ *
+ * Recorded settlements ("A paid B $X") feed back into balances unless the
+ * other party disputed them.
+ *
+ * @module lib/expenses/settleUp
+ */
+
+// Exact minimisation is exponential in the number of non-zero balances.
+// Above this many people we fall back to the greedy plan (at most n - 1 transfers).
+export const MAX_EXACT_SETTLEMENT_SIZE = 16
+
+/**
+ * Lifecycle of a recorded settlement payment.
+ * pending → confirmed | disputed (either party; a disputed payment can be re-confirmed)
+ */
+export const SETTLEMENT_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  DISPUTED: 'disputed',
+}
+
+/**
+ * Whether a recorded settlement counts toward balances.
+ * Pending payments count right away (optimistic); disputed ones don't.
+ *
+ * @param {Object} settlement - Settlement record
+ * @returns {boolean}
+ */
+export function countsTowardBalance(settlement) {
+  return !!settlement && settlement.status !== SETTLEMENT_STATUS.DISPUTED
+}
+
+/**
+ * Format integer cents as a currency string, e.g. 4500 → "$45.00".
+ *
+ * @param {number} amountCents
+ * @param {string} [currency='USD']
+ * @returns {string}
+ */
+export function formatCents(amountCents, currency = 'USD') {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format((amountCents || 0) / 100)
+  } catch {
+    // Unknown currency code — fall back to a plain amount
+    return `${((amountCents || 0) / 100).toFixed(2)} ${currency}`
+  }
+}
+
+/**
+ * Split an expense into per-traveler shares (integer cents).
+ *
+ * Unequal and itemized expenses (see lib/expenses/splitExpense) carry their
+ * resolved `splits[].amountCents`, which are used as-is. Otherwise it's an
+ * even split; the remainder cents go to the first travelers in
+ * `splitBetweenUserIds` order, so shares differ by at most 1 cent and
+ * always sum to `amountCents`.
+ *
+ * @param {Object} expense - Expense record ({ amountCents, splitBetweenUserIds, splits? })
+ * @returns {Map<string, number>} userId -> share in cents
+ */
+export function computeExpenseShares(expense) {
+  const shares = new Map()
+  const amountCents = Math.round(expense?.amountCents || 0)
+  if (amountCents <= 0) return shares
+
+  if (Array.isArray(expense.splits) && expense.splits.length > 0) {
+    for (const split of expense.splits) {
+      if (!split?.userId) continue
+      shares.set(split.userId, (shares.get(split.userId) || 0) + Math.round(split.amountCents || 0))
+    }
+    return shares
+  }
+
+  const splitIds = [...new Set(expense.splitBetweenUserIds || [])]
+  if (splitIds.length === 0) return shares
+
+  const base = Math.floor(amountCents / splitIds.length)
+  let remainder = amountCents - base * splitIds.length
+
+  for (const userId of splitIds) {
+    const extra = remainder > 0 ? 1 : 0
+    remainder -= extra
+    shares.set(userId, base + extra)
+  }
+
+  return shares
+}
+
+/**
+ * Compute each traveler's balance across all expenses and recorded settlements.
+ *
+ * netCents > 0 means the traveler is owed money, < 0 means they owe.
+ *
+ * @param {Array} expenses - Trip expense records
+ * @param {Array} [settlements] - Recorded settlement payments ({ fromUserId, toUserId, amountCents, status })
+ * @returns {Object<string, { paidCents: number, owedCents: number, sentCents: number, receivedCents: number, netCents: number }>}
+ */
+export function computeBalances(expenses = [], settlements = []) {
+  const balances = {}
+  const ensure = (userId) => {
+    if (!balances[userId]) {
+      balances[userId] = { paidCents: 0, owedCents: 0, sentCents: 0, receivedCents: 0, netCents: 0 }
+    }
+    return balances[userId]
+  }
+
+  for (const expense of expenses) {
+    const shares = computeExpenseShares(expense)
+    if (shares.size === 0 || !expense.paidByUserId) continue
+
+    ensure(expense.paidByUserId).paidCents += Math.round(expense.amountCents)
+    for (const [userId, shareCents] of shares) {
+      ensure(userId).owedCents += shareCents
+    }
+  }
+
+  for (const settlement of settlements) {
+    if (!countsTowardBalance(settlement)) continue
+    const amountCents = Math.round(settlement.amountCents || 0)
+    if (amountCents <= 0 || !settlement.fromUserId || !settlement.toUserId) continue
+
+    ensure(settlement.fromUserId).sentCents += amountCents
+    ensure(settlement.toUserId).receivedCents += amountCents
+  }
+
+  for (const balance of Object.values(balances)) {
+    balance.netCents = balance.paidCents - balance.owedCents + balance.sentCents - balance.receivedCents
+  }
+
+  return balances
+}
+
+/**
+ * Greedy settlement: repeatedly match the largest debtor with the largest
+ * creditor. Each transfer zeroes at least one side, so a group of n
+ * non-zero balances needs at most n - 1 transfers.
+ *
+ * @param {Array<{ userId: string, netCents: number }>} entries - Non-zero balances summing to 0
+ * @returns {Array<{ fromUserId: string, toUserId: string, amountCents: number }>}
+ */
+function greedyTransfers(entries) {
+  const byAmountThenId = (a, b) => b.amount - a.amount || a.userId.localeCompare(b.userId)
+  const debtors = entries
+    .filter(e => e.netCents < 0)
+    .map(e => ({ userId: e.userId, amount: -e.netCents }))
+    .sort(byAmountThenId)
+  const creditors = entries
+    .filter(e => e.netCents > 0)
+    .map(e => ({ userId: e.userId, amount: e.netCents }))
+    .sort(byAmountThenId)
+
+  const transfers = []
+  let i = 0, j = 0
+  while (i < debtors.length && j < creditors.length) {
+    const debtor = debtors[i]
+    const creditor = creditors[j]
+    const amount = Math.min(debtor.amount, creditor.amount)
+
+    if (amount > 0) {
+      transfers.push({ fromUserId: debtor.userId, toUserId: creditor.userId, amountCents: amount })
+    }
+
+    debtor.amount -= amount
+    creditor.amount -= amount
+    if (debtor.amount === 0) i++
+    if (creditor.amount === 0) j++
+  }
+
+  return transfers
+}
+
+/**
+ * Partition balances into the maximum number of disjoint zero-sum groups.
+ *
+ * Every zero-sum group of k people settles in k - 1 transfers, so maximising
+ * the number of groups minimises the total transfer count. Subset DP over
+ * bitmasks: dp[mask] = most zero-sum groups an ordering of `mask` can close.
+ *
+ * @param {Array<{ userId: string, netCents: number }>} entries
+ * @returns {Array<Array<{ userId: string, netCents: number }>>}
+ */
+function zeroSumGroups(entries) {
+  const n = entries.length
+  const size = 1 << n
+  const sums = new Float64Array(size)
+  const dp = new Int8Array(size)
+  const lastAdded = new Int8Array(size)
+
+  for (let mask = 1; mask < size; mask++) {
+    const low = 31 - Math.clz32(mask & -mask)
+    sums[mask] = sums[mask ^ (1 << low)] + entries[low].netCents
+
+    let best = -1
+    for (let i = 0; i < n; i++) {
+      if (!(mask & (1 << i))) continue
+      const prev = dp[mask ^ (1 << i)]
+      if (prev > best) {
+        best = prev
+        lastAdded[mask] = i
+      }
+    }
+    dp[mask] = best + (sums[mask] === 0 ? 1 : 0)
+  }
+
+  // Walk the DP back to an ordering, then cut it wherever the prefix sum hits 0
+  const order = []
+  let mask = size - 1
+  while (mask) {
+    const i = lastAdded[mask]
+    order.push(entries[i])
+    mask ^= 1 << i
+  }
+  order.reverse()
+
+  const groups = []
+  let current = []
+  let running = 0
+  for (const entry of order) {
+    current.push(entry)
+    running += entry.netCents
+    if (running === 0) {
+      groups.push(current)
+      current = []
+    }
+  }
+  if (current.length > 0) groups.push(current)
+
+  return groups
+}
+
+/**
+ * Compute the minimum set of transfers that settles every balance.
+ *
+ * @param {Object<string, { netCents: number }>} balances - Output of computeBalances()
+ * @returns {Array<{ fromUserId: string, toUserId: string, amountCents: number }>}
+ */
+export function computeSettlementPlan(balances = {}) {
+  const entries = Object.entries(balances)
+    .map(([userId, b]) => ({ userId, netCents: Math.round(b.netCents || 0) }))
+    .filter(e => e.netCents !== 0)
+    .sort((a, b) => a.userId.localeCompare(b.userId))
+
+  if (entries.length === 0) return []
+
+  // Balances derived from records always net to zero; guard against bad data anyway
+  const total = entries.reduce((sum, e) => sum + e.netCents, 0)
+  if (total !== 0 || entries.length > MAX_EXACT_SETTLEMENT_SIZE) {
+    return greedyTransfers(entries)
+  }
+
+  return zeroSumGroups(entries).flatMap(group => greedyTransfers(group))
+}
+
+/**
+ * Convenience: balances + plan in one call.
+ *
+ * @param {Array} expenses - Trip expense records
+ * @param {Array} [settlements] - Recorded settlement payments
+ * @returns {{ balances: Object, transfers: Array, totalSpendCents: number }}
+ */
+export function settleUp(expenses = [], settlements = []) {
+  const balances = computeBalances(expenses, settlements)
+  return {
+    balances,
+    transfers: computeSettlementPlan(balances),
+    totalSpendCents: expenses.reduce((sum, e) => sum + Math.round(e.amountCents || 0), 0)
+  }
+}
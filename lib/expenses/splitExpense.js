@@ -0,0 +1,186 @@
+/**
+ * Expense Split Module
+ *
+ * Resolves how an expense is divided between travelers. Deterministic,
+ * integer cents throughout; the resolved parts always sum to `amountCents`.
+ * Used by the expenses API (server-side validation) and ExpensesOverlay
+ * (live preview while filling in the form).
+ *
+ * Split modes:
+ * - equal:    even split across splitBetweenUserIds (legacy default)
+ * - shares:   splits[].value = share count (e.g. a couple pays 2 shares)
+ * - percent:  splits[].value = percentage, must total 100
+ * - exact:    splits[].value = cents owed, must total amountCents
+ * - itemized: items[] = { title, amountCents, userIds }, items must total amountCents;
+ *             each item is split evenly between its userIds
+ *
+ * @module lib/expenses/splitExpense
+ */
+
+export const SPLIT_MODES = ['equal', 'shares', 'percent', 'exact', 'itemized']
+
+// Float tolerance for percentages entered with decimals (33.33 + 33.33 + 33.34)
+const PERCENT_TOLERANCE = 0.01
+
+/**
+ * Divide cents evenly; remainder cents go to the first IDs in order.
+ *
+ * @param {number} amountCents
+ * @param {string[]} userIds
+ * @returns {number[]} cents per userId (same order)
+ */
+export function divideEvenly(amountCents, userIds) {
+  if (userIds.length === 0) return []
+  const base = Math.floor(amountCents / userIds.length)
+  let remainder = amountCents - base * userIds.length
+  return userIds.map(() => {
+    const extra = remainder > 0 ? 1 : 0
+    remainder -= extra
+    return base + extra
+  })
+}
+
+/**
+ * Divide cents proportionally to weights using the largest-remainder method.
+ * Leftover cents go to the largest fractional parts (ties: input order).
+ *
+ * @param {number} amountCents
+ * @param {number[]} weights - Positive weights
+ * @returns {number[]} cents per weight (same order)
+ */
+export function divideByWeights(amountCents, weights) {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0)
+  if (weights.length === 0 || totalWeight <= 0) return weights.map(() => 0)
+
+  const exact = weights.map(w => (amountCents * w) / totalWeight)
+  const parts = exact.map(Math.floor)
+  let leftover = amountCents - parts.reduce((sum, p) => sum + p, 0)
+
+  const byFraction = exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+
+  for (let k = 0; leftover > 0 && k < byFraction.length; k++, leftover--) {
+    parts[byFraction[k].index] += 1
+  }
+
+  return parts
+}
+
+function fail(message) {
+  return { ok: false, message }
+}
+
+/**
+ * Validate split entries: non-empty, one per traveler, positive finite values.
+ */
+function validateEntries(splits, label) {
+  if (!Array.isArray(splits) || splits.length === 0) {
+    return fail('At least one person must be included in split')
+  }
+  const seen = new Set()
+  for (const entry of splits) {
+    if (!entry || typeof entry.userId !== 'string' || !entry.userId) {
+      return fail('Each split must name a traveler')
+    }
+    if (seen.has(entry.userId)) {
+      return fail('Each traveler can only appear once in a split')
+    }
+    seen.add(entry.userId)
+    if (typeof entry.value !== 'number' || !Number.isFinite(entry.value) || entry.value <= 0) {
+      return fail(`Each ${label} must be a positive number`)
+    }
+  }
+  return null
+}
+
+/**
+ * Resolve an expense split into per-traveler amounts.
+ *
+ * @param {Object} input
+ * @param {number} input.amountCents - Expense total (positive integer cents)
+ * @param {string} [input.splitMode='equal'] - One of SPLIT_MODES
+ * @param {string[]} [input.splitBetweenUserIds] - Used by 'equal'
+ * @param {Array<{ userId: string, value: number }>} [input.splits] - Used by shares/percent/exact
+ * @param {Array<{ title: string, amountCents: number, userIds: string[] }>} [input.items] - Used by 'itemized'
+ * @returns {{ ok: true, splitMode: string, splits: Array<{ userId: string, value: number, amountCents: number }>, items?: Array, splitBetweenUserIds: string[] } | { ok: false, message: string }}
+ */
+export function resolveSplit({ amountCents, splitMode = 'equal', splitBetweenUserIds, splits, items }) {
+  if (!Number.isInteger(amountCents) || amountCents <= 0) {
+    return fail('Amount must be a positive number')
+  }
+  if (!SPLIT_MODES.includes(splitMode)) {
+    return fail(`Split mode must be one of: ${SPLIT_MODES.join(', ')}`)
+  }
+
+  let resolved
+  let cleanItems
+
+  if (splitMode === 'equal') {
+    const userIds = [...new Set(Array.isArray(splitBetweenUserIds) ? splitBetweenUserIds : [])]
+    if (userIds.length === 0) {
+      return fail('At least one person must be included in split')
+    }
+    const amounts = divideEvenly(amountCents, userIds)
+    resolved = userIds.map((userId, i) => ({ userId, value: 1, amountCents: amounts[i] }))
+  } else if (splitMode === 'shares') {
+    const invalid = validateEntries(splits, 'share')
+    if (invalid) return invalid
+    const amounts = divideByWeights(amountCents, splits.map(s => s.value))
+    resolved = splits.map((s, i) => ({ userId: s.userId, value: s.value, amountCents: amounts[i] }))
+  } else if (splitMode === 'percent') {
+    const invalid = validateEntries(splits, 'percentage')
+    if (invalid) return invalid
+    const totalPercent = splits.reduce((sum, s) => sum + s.value, 0)
+    if (Math.abs(totalPercent - 100) > PERCENT_TOLERANCE) {
+      return fail(`Percentages must add up to 100% (currently ${Math.round(totalPercent * 100) / 100}%)`)
+    }
+    const amounts = divideByWeights(amountCents, splits.map(s => s.value))
+    resolved = splits.map((s, i) => ({ userId: s.userId, value: s.value, amountCents: amounts[i] }))
+  } else if (splitMode === 'exact') {
+    const invalid = validateEntries(splits, 'amount')
+    if (invalid) return invalid
+    if (splits.some(s => !Number.isInteger(s.value))) {
+      return fail('Exact amounts must be whole cents')
+    }
+    const total = splits.reduce((sum, s) => sum + s.value, 0)
+    if (total !== amountCents) {
+      return fail(`Exact amounts must add up to the expense total (off by ${Math.abs(amountCents - total)} cents)`)
+    }
+    resolved = splits.map(s => ({ userId: s.userId, value: s.value, amountCents: s.value }))
+  } else {
+    // itemized
+    if (!Array.isArray(items) || items.length === 0) {
+      return fail('Add at least one line item')
+    }
+    const totals = new Map()
+    cleanItems = []
+    for (const item of items) {
+      const title = typeof item?.title === 'string' ? item.title.trim() : ''
+      if (!title) return fail('Each line item needs a name')
+      if (!Number.isInteger(item.amountCents) || item.amountCents <= 0) {
+        return fail('Each line item amount must be a positive number')
+      }
+      const userIds = [...new Set(Array.isArray(item.userIds) ? item.userIds : [])]
+      if (userIds.length === 0) return fail(`"${title}" needs at least one person`)
+
+      divideEvenly(item.amountCents, userIds).forEach((cents, i) => {
+        totals.set(userIds[i], (totals.get(userIds[i]) || 0) + cents)
+      })
+      cleanItems.push({ title, amountCents: item.amountCents, userIds })
+    }
+    const itemTotal = cleanItems.reduce((sum, item) => sum + item.amountCents, 0)
+    if (itemTotal !== amountCents) {
+      return fail(`Line items must add up to the expense total (off by ${Math.abs(amountCents - itemTotal)} cents)`)
+    }
+    resolved = [...totals.entries()].map(([userId, cents]) => ({ userId, value: cents, amountCents: cents }))
+  }
+
+  return {
+    ok: true,
+    splitMode,
+    splits: resolved,
+    ...(cleanItems ? { items: cleanItems } : {}),
+    splitBetweenUserIds: resolved.map(s => s.userId)
+  }
+}
@@ -1,6 +1,7 @@
 import { connectToMongo } from '../server/db.js'
 import { filterTripsByActiveTravelerPrivacy } from '../trips/canViewerSeeTrip.js'
 import { buildTripCardData } from '../trips/buildTripCardData.js'
+import { getPendingMentions } from '../chat/mentions.js'
 
 /**
  * Lightweight notification fetch — returns globalNotifications without full dashboard data.
@@ -78,6 +79,40 @@ export async function getGlobalNotifications(userId) {
     }
   }
 
+  // Mention notifications — one per trip, until the user posts there
+  const pendingMentions = getPendingMentions(messages, userId)
+  if (pendingMentions.size > 0) {
+    const authorIds = [...new Set([...pendingMentions.values()].flat().map(m => m.userId).filter(Boolean))]
+    const authors = await db.collection('users')
+      .find({ id: { $in: authorIds } })
+      .toArray()
+    const authorMap = new Map(authors.map(u => [u.id, u]))
+
+    for (const [tripId, mentions] of pendingMentions) {
+      const trip = visibleTrips.find(t => t.id === tripId)
+      if (!trip) continue
+
+      const names = [...new Set(mentions.map(m => authorMap.get(m.userId)?.name || 'Someone'))]
+      const who = names.length > 1
+        ? `${names[0]} and ${names.length - 1} other${names.length > 2 ? 's' : ''}`
+        : names[0]
+
+      const returnParams = new URLSearchParams()
+      returnParams.set('returnTo', '/dashboard')
+      returnParams.set('circleId', trip.circleId)
+
+      notifications.push({
+        id: `mention-${trip.id}-${mentions[0].id}`,
+        title: trip.name,
+        context: `${who} mentioned you`,
+        ctaLabel: 'Reply',
+        href: `/trips/${trip.id}?${returnParams.toString()}`,
+        priority: 1,
+        timestamp: mentions[0].createdAt
+      })
+    }
+  }
+
   // Join request notifications (for trips user leads)
   const leaderTripIds = allTrips
     .filter(t => t.createdBy === userId)
@@ -326,7 +326,8 @@ export function evaluateTooManyWindows(
 
 /**
  * 8. LEADER_PROPOSING_LOW_COVERAGE
- * Confirm dialog when leader proposes a window with low coverage.
+ * Confirm dialog when leader proposes a window with low coverage, or one a
+ * must-attend traveler hasn't said they can make (regardless of coverage).
  * This is evaluated on-demand when leader attempts to propose.
  */
 export function evaluateLowCoverageProposal(
@@ -340,8 +341,9 @@ export function evaluateLowCoverageProposal(
   const total = context.proposedWindowTotal || travelerCount
 
   const coveragePct = total > 0 ? Math.round((coverage / total) * 100) : 0
+  const missingRequiredNames = context.missingRequiredNames || []
 
-  if (coveragePct >= LOW_COVERAGE_THRESHOLD) return null
+  if (coveragePct >= LOW_COVERAGE_THRESHOLD && missingRequiredNames.length === 0) return null
 
   const payload: NudgePayload = {
     message: '',
@@ -350,6 +352,7 @@ export function evaluateLowCoverageProposal(
       total,
       percentage: coveragePct,
     },
+    ...(missingRequiredNames.length > 0 && { missingRequiredNames }),
   }
 
   const copy = getNudgeCopy(NudgeType.LEADER_PROPOSING_LOW_COVERAGE, payload)
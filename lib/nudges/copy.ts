@@ -129,6 +129,14 @@ export function getNudgeCopy(
     // ============ Confirmation Nudges ============
 
     case NudgeType.LEADER_PROPOSING_LOW_COVERAGE:
+      if (payload.missingRequiredNames?.length) {
+        const names = payload.missingRequiredNames.join(' and ')
+        return {
+          title: 'Heads up',
+          message: `${names} ${payload.missingRequiredNames.length === 1 ? 'has' : 'have'} to be there but ${payload.missingRequiredNames.length === 1 ? "hasn't" : "haven't"} said these dates work. Still want to propose them?`,
+          ctaLabel: 'Suggest anyway',
+        }
+      }
       return {
         title: 'Heads up',
         message: payload.coverage
@@ -87,6 +87,9 @@ export interface NudgePayload {
     percentage: number
   }
 
+  // Must-attend travelers who can't make the proposed dates
+  missingRequiredNames?: string[]
+
   // For window-related nudges
   windowCount?: number
   maxWindows?: number
@@ -228,6 +231,7 @@ export interface InlineHintContext {
   currentWindowCount?: number
   proposedWindowCoverage?: number
   proposedWindowTotal?: number
+  missingRequiredNames?: string[]
 }
 
 /**
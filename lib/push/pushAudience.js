@@ -131,6 +131,41 @@ export async function resolveTargetUsers(db, type, trip, context) {
       return getActiveTravelerIds(db, trip)
     }
 
+    case 'decision_created': {
+      // All active travelers except the poll creator
+      const travelers = await getActiveTravelerIds(db, trip)
+      return travelers.filter(id => id !== context.actorUserId)
+    }
+
+    case 'decision_closed': {
+      // All active travelers
+      return getActiveTravelerIds(db, trip)
+    }
+
+    case 'decision_nudge': {
+      // Active travelers who haven't voted yet
+      const voterIds = new Set(context.voterIds || [])
+      const travelers = await getActiveTravelerIds(db, trip)
+      return travelers.filter(id => !voterIds.has(id))
+    }
+
+    case 'mention': {
+      // Mentioned travelers still on the trip, never the author
+      const mentioned = new Set(context.mentionedUserIds || [])
+      const travelers = await getActiveTravelerIds(db, trip)
+      return travelers.filter(id => mentioned.has(id) && id !== context.actorUserId)
+    }
+
+    case 'settle_reminder': {
+      // The debtor only — even if they've left the trip, they still owe
+      return context.debtorId ? [context.debtorId] : []
+    }
+
+    case 'scheduling_deadline': {
+      // All active travelers, leader included — nobody acted, the deadline did
+      return getActiveTravelerIds(db, trip)
+    }
+
     default:
       return []
   }
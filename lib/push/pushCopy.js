@@ -53,9 +53,10 @@ export const PUSH_COPY = {
     body: `${ctx.actorName} suggested ${ctx.dates}. Let them know if it works!`,
   }),
 
+  // ctx.auto: locked by the scheduling deadline, not by the leader
   dates_locked: (ctx, { userId, trip }) => ({
     title: ctx.tripName,
-    body: trip.createdBy === userId
+    body: trip.createdBy === userId && !ctx.auto
       ? `You confirmed ${ctx.dates}. Nice work!`
       : `Dates confirmed: ${ctx.dates}! Next up \u2014 share trip ideas.`,
   }),
@@ -118,4 +119,46 @@ export const PUSH_COPY = {
     title: ctx.tripName,
     body: 'You\'re now leading this trip. Check in when you\'re ready.',
   }),
+
+  decision_created: (ctx) => ({
+    title: ctx.tripName,
+    body: `${ctx.actorName} started a vote: ${ctx.question}`,
+  }),
+
+  decision_closed: (ctx) => ({
+    title: ctx.tripName,
+    body: `Decided: ${ctx.winningOption}`,
+  }),
+
+  decision_nudge: (ctx) => ({
+    title: ctx.tripName,
+    body: `Voting closes soon \u2014 add your vote: ${ctx.question}`,
+  }),
+
+  mention: (ctx) => ({
+    title: ctx.tripName,
+    body: `${ctx.actorName} mentioned you: ${ctx.preview}`,
+  }),
+
+  // Deadline cron moved scheduling on: ctx.step is proposed | voting_opened
+  // (a deadline lock is sent as dates_locked)
+  scheduling_deadline: (ctx) => ({
+    title: ctx.tripName,
+    body: ctx.step === 'voting_opened'
+      ? 'Time\'s up for date ideas \u2014 voting is open. Pick your favorite!'
+      : `Time's up for date ideas \u2014 ${ctx.dates} is proposed. Let everyone know if it works!`,
+  }),
+
+  // Escalates with ctx.stage: trip_end → day_3 → day_7
+  settle_reminder: (ctx) => {
+    const who = ctx.creditorCount > 1 ? `${ctx.creditorCount} people` : ctx.creditorName
+    switch (ctx.stage) {
+      case 'day_3':
+        return { title: ctx.tripName, body: `Quick reminder \u2014 you owe ${who} ${ctx.amount}.` }
+      case 'day_7':
+        return { title: ctx.tripName, body: `Still open: you owe ${who} ${ctx.amount}. Settling up wraps up the trip.` }
+      default:
+        return { title: ctx.tripName, body: `Welcome back! You owe ${who} ${ctx.amount} \u2014 settle up when you're ready.` }
+    }
+  },
 }
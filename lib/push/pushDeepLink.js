@@ -23,6 +23,12 @@ const OVERLAY_MAP = {
   prep_reminder_7d: 'prep',
   trip_started: null,
   leader_transferred: null,
+  decision_created: null,
+  decision_closed: null,
+  decision_nudge: null,
+  settle_reminder: 'expenses',
+  mention: null,
+  scheduling_deadline: 'scheduling',
 }
 
 /**
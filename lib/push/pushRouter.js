@@ -30,6 +30,8 @@ function buildDedupeKey(type, tripId, context, userId) {
       return `dates_proposed:${tripId}:${context.windowId || 'unknown'}`
     case 'dates_locked':
       return `dates_locked:${tripId}`
+    case 'scheduling_deadline':
+      return `scheduling_deadline:${tripId}:${context.step || 'unknown'}:${context.deadline || 'none'}`
     case 'itinerary_generated':
       return `itinerary_generated:${tripId}:v${context.version || 1}`
     case 'join_request_received':
@@ -52,6 +54,16 @@ function buildDedupeKey(type, tripId, context, userId) {
       return `prep_7d:${tripId}:${userId}`
     case 'trip_started':
       return `trip_started:${tripId}:${userId}`
+    case 'decision_created':
+      return `decision_created:${tripId}:${context.decisionId || 'unknown'}`
+    case 'decision_closed':
+      return `decision_closed:${tripId}:${context.decisionId || 'unknown'}`
+    case 'decision_nudge':
+      return `decision_nudge:${tripId}:${context.decisionId || 'unknown'}:${context.deadline || 'none'}`
+    case 'mention':
+      return `mention:${context.messageId || 'unknown'}:${userId}`
+    case 'settle_reminder':
+      return `settle_reminder:${tripId}:${userId}:${context.stage || 'trip_end'}`
     default:
       return `${type}:${tripId}:${userId}`
   }
@@ -43,6 +43,11 @@ export async function ensureCoreIndexes(db) {
       // users — queried by id, email
       db.collection('users').createIndex({ id: 1 }, { unique: true, background: true }),
       db.collection('users').createIndex({ email: 1 }, { unique: true, sparse: true, background: true }),
+      // users — calendar feed lookup (revoked tokens are null, so index strings only)
+      db.collection('users').createIndex(
+        { calendarFeedToken: 1 },
+        { unique: true, partialFilterExpression: { calendarFeedToken: { $type: 'string' } }, background: true }
+      ),
     ])
   } catch (error) {
     // Log but don't throw — indexes are optimization, not required for correctness
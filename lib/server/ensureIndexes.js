@@ -1,7 +1,7 @@
 /**
  * Lazy Index Creation for Boost-related Collections
  *
- * Called once on first boost endpoint hit. Uses a module-level flag
+ * Called once on first boost / settle up endpoint hit. Uses a module-level flag
  * to avoid redundant createIndex calls (which are idempotent but
  * still cost a round-trip to MongoDB).
  */
@@ -25,3 +25,123 @@ export async function ensureBoostIndexes() {
     ),
   ])
 }
+
+let settlementIndexesEnsured = false
+
+export async function ensureSettlementIndexes() {
+  if (settlementIndexesEnsured) return
+  settlementIndexesEnsured = true
+
+  const db = await connectToMongo()
+
+  await Promise.all([
+    db.collection('settlements').createIndex({ id: 1 }, { unique: true }),
+    db.collection('settlements').createIndex({ tripId: 1, createdAt: -1 }),
+  ])
+}
+
+let decisionIndexesEnsured = false
+
+export async function ensureDecisionIndexes() {
+  if (decisionIndexesEnsured) return
+  decisionIndexesEnsured = true
+
+  const db = await connectToMongo()
+
+  await Promise.all([
+    db.collection('decisions').createIndex({ id: 1 }, { unique: true }),
+    db.collection('decisions').createIndex({ tripId: 1, status: 1 }),
+    db.collection('decisions').createIndex({ tripId: 1, createdAt: -1 }),
+    // Deadline cron: open polls by deadline
+    db.collection('decisions').createIndex({ status: 1, deadline: 1 }),
+  ])
+}
+
+let calendarBusyIndexesEnsured = false
+
+export async function ensureCalendarBusyIndexes() {
+  if (calendarBusyIndexesEnsured) return
+  calendarBusyIndexesEnsured = true
+
+  const db = await connectToMongo()
+
+  await Promise.all([
+    db.collection('calendar_busy').createIndex({ tripId: 1, userId: 1 }, { unique: true }),
+    db.collection('calendar_busy').createIndex({ userId: 1 }),
+  ])
+}
+
+let blackoutIndexesEnsured = false
+
+export async function ensureBlackoutIndexes() {
+  if (blackoutIndexesEnsured) return
+  blackoutIndexesEnsured = true
+
+  const db = await connectToMongo()
+
+  await Promise.all([
+    db.collection('blackout_dates').createIndex({ id: 1 }, { unique: true }),
+    db.collection('blackout_dates').createIndex({ tripId: 1, userId: 1 }),
+    db.collection('blackout_dates').createIndex({ circleId: 1, userId: 1 }),
+  ])
+}
+
+let messageSearchIndexesEnsured = false
+
+export async function ensureMessageSearchIndexes() {
+  if (messageSearchIndexesEnsured) return
+  messageSearchIndexesEnsured = true
+
+  const db = await connectToMongo()
+
+  await Promise.all([
+    db.collection('trip_messages').createIndex({ content: 'text' }, { name: 'trip_messages_content_text' }),
+    db.collection('circle_messages').createIndex({ content: 'text' }, { name: 'circle_messages_content_text' }),
+    // Cursor paging: createdAt with id as the tie-breaker
+    db.collection('trip_messages').createIndex({ tripId: 1, createdAt: -1, id: -1 }),
+  ])
+}
+
+let tripStreamIndexesEnsured = false
+
+export async function ensureTripStreamIndexes() {
+  if (tripStreamIndexesEnsured) return
+  tripStreamIndexesEnsured = true
+
+  const db = await connectToMongo()
+
+  await Promise.all([
+    // New messages since a cursor
+    db.collection('trip_messages').createIndex({ tripId: 1, createdAt: -1, id: -1 }),
+    // Edits, deletes and reactions since a cursor
+    db.collection('trip_messages').createIndex({ tripId: 1, updatedAt: 1 }, { sparse: true }),
+  ])
+}
+
+let receiptUploadIndexesEnsured = false
+
+export async function ensureReceiptUploadIndexes() {
+  if (receiptUploadIndexesEnsured) return
+  receiptUploadIndexesEnsured = true
+
+  const db = await connectToMongo()
+
+  await Promise.all([
+    db.collection('receipt_uploads').createIndex({ pathname: 1 }, { unique: true }),
+    db.collection('receipt_uploads').createIndex({ uploadedBy: 1 }),
+  ])
+}
+
+let rankedBallotIndexesEnsured = false
+
+export async function ensureRankedBallotIndexes() {
+  if (rankedBallotIndexesEnsured) return
+  rankedBallotIndexesEnsured = true
+
+  const db = await connectToMongo()
+
+  await Promise.all([
+    // One ballot per traveler, even when two submits race
+    db.collection('ranked_ballots').createIndex({ tripId: 1, userId: 1 }, { unique: true }),
+  ])
+}
@@ -0,0 +1,186 @@
+/**
+ * Fetch a calendar subscription (ICS or CalDAV export URL) for busy-time import.
+ *
+ * - webcal:// is treated as https://
+ * - user:pass@ in the URL becomes Basic auth (CalDAV servers such as
+ *   Nextcloud or Radicale serve a collection as .ics to an authenticated GET)
+ * - Only public hosts: private, loopback, link-local and multicast addresses
+ *   are refused, including after redirects. The connection goes to the
+ *   address that was checked, so a host can't re-resolve (DNS rebinding)
+ *   to an internal one between the check and the request
+ * - Time and size limited (the body is streamed and cut off at the limit);
+ *   nothing about the URL is stored
+ */
+
+import { lookup } from 'dns/promises'
+import { isIP } from 'net'
+import http from 'http'
+import https from 'https'
+import { CALENDAR_IMPORT_CONFIG } from '../trips/calendarBusy.js'
+
+const FETCH_TIMEOUT_MS = 10000
+const MAX_REDIRECTS = 3
+
+export class CalendarFeedError extends Error {}
+
+/**
+ * @param {string} address - IPv4 or IPv6 literal
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  if (isIP(address) === 4) {
+    const [a, b] = address.split('.').map(Number)
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      a >= 224 // multicast, reserved and broadcast
+  }
+  const v6 = address.toLowerCase()
+  // IPv4-mapped, dotted (::ffff:127.0.0.1) or hex (::ffff:7f00:1)
+  const mapped = v6.match(/^::ffff:(?:([\d.]+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/)
+  if (mapped) {
+    if (mapped[1]) return isIP(mapped[1]) !== 4 || isPrivateAddress(mapped[1])
+    const high = parseInt(mapped[2], 16)
+    const low = parseInt(mapped[3], 16)
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'))
+  }
+  return v6 === '::1' || v6 === '::' ||
+    /^f[cd]/.test(v6) || // unique local
+    /^fe[89ab]/.test(v6) || // link-local
+    v6.startsWith('ff') // multicast
+}
+
+/**
+ * @param {string} hostname
+ * @returns {Promise<{ address: string, family: number }>} the address to connect to
+ */
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '')
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    throw new CalendarFeedError('That calendar address isn\'t reachable from here')
+  }
+  const addresses = isIP(host)
+    ? [{ address: host, family: isIP(host) }]
+    : await lookup(host, { all: true }).catch(() => [])
+  if (addresses.length === 0) {
+    throw new CalendarFeedError('Couldn\'t find that calendar address')
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new CalendarFeedError('That calendar address isn\'t reachable from here')
+  }
+  return addresses[0]
+}
+
+// dns.lookup replacement that always answers with the address already checked
+function pinnedLookup({ address, family }) {
+  return (hostname, options, callback) => {
+    if (options?.all) callback(null, [{ address, family }])
+    else callback(null, address, family)
+  }
+}
+
+function requestFeed(url, target, headers, signal) {
+  const client = url.protocol === 'https:' ? https : http
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { headers, signal, lookup: pinnedLookup(target) }, resolve)
+    request.on('error', reject)
+  })
+}
+
+async function readBody(response, maxBytes) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of response) {
+    size += chunk.length
+    if (size > maxBytes) {
+      response.destroy()
+      throw new CalendarFeedError('That calendar is too large to import')
+    }
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+/**
+ * Normalise a pasted subscription URL.
+ *
+ * @param {string} raw
+ * @returns {{ url: URL, authorization: string | null }}
+ */
+export function parseCalendarUrl(raw) {
+  let url
+  try {
+    url = new URL(String(raw).trim().replace(/^webcals?:\/\//i, 'https://'))
+  } catch {
+    throw new CalendarFeedError('Enter a valid calendar URL')
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new CalendarFeedError('Calendar URLs must start with https://, http:// or webcal://')
+  }
+
+  let authorization = null
+  if (url.username || url.password) {
+    const credentials = `${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`
+    authorization = `Basic ${Buffer.from(credentials).toString('base64')}`
+    url.username = ''
+    url.password = ''
+  }
+  return { url, authorization }
+}
+
+/**
+ * Download an .ics body.
+ *
+ * @param {string} rawUrl
+ * @returns {Promise<string>}
+ * @throws {CalendarFeedError} With a user-facing message
+ */
+export async function fetchCalendarFeed(rawUrl) {
+  let { url, authorization } = parseCalendarUrl(rawUrl)
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS)
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const target = await assertPublicHost(url.hostname)
+
+      const response = await requestFeed(url, target, {
+        Accept: 'text/calendar, text/plain;q=0.9, */*;q=0.5',
+        ...(authorization ? { Authorization: authorization } : {})
+      }, controller.signal)
+      const status = response.statusCode
+
+      if (status < 200 || status >= 300) response.resume()
+      if (status >= 300 && status < 400 && response.headers.location) {
+        if (redirects >= MAX_REDIRECTS) throw new CalendarFeedError('That calendar URL redirects too many times')
+        const next = new URL(response.headers.location, url)
+        // Don't leak credentials to another host
+        if (next.host !== url.host) authorization = null
+        url = next
+        continue
+      }
+      if (status === 401 || status === 403) {
+        throw new CalendarFeedError('That calendar needs a login — use its secret/public ICS address instead')
+      }
+      if (status < 200 || status >= 300) {
+        throw new CalendarFeedError(`Couldn't load that calendar (HTTP ${status})`)
+      }
+
+      const length = Number(response.headers['content-length'] || 0)
+      if (length > CALENDAR_IMPORT_CONFIG.MAX_ICS_BYTES) {
+        response.destroy()
+        throw new CalendarFeedError('That calendar is too large to import')
+      }
+      return await readBody(response, CALENDAR_IMPORT_CONFIG.MAX_ICS_BYTES)
+    }
+  } catch (err) {
+    if (err instanceof CalendarFeedError) throw err
+    if (err.name === 'AbortError') throw new CalendarFeedError('That calendar took too long to respond')
+    throw new CalendarFeedError('Couldn\'t load that calendar')
+  } finally {
+    clearTimeout(timer)
+  }
+}
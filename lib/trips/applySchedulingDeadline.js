@@ -0,0 +1,301 @@
+/**
+ * Act on a passed scheduling deadline.
+ *
+ * Used by the scheduling-deadlines cron. Each deadline is claimed before
+ * anything moves, so overlapping runs act on it once. Transitions post the
+ * same chat milestones as the leader's own actions plus a scheduling_deadline
+ * push (the lock itself goes out as dates_locked, like a leader's lock);
+ * when the call is the leader's, chat says why. Server only.
+ *
+ * @module lib/trips/applySchedulingDeadline
+ */
+
+import { computeProposalReady, getProposedWindowIds, getRequiredTravelerIds } from './proposalReady.js'
+import { isLateJoinerForTrip } from './isLateJoiner.js'
+import {
+  SCHEDULING_DEADLINE_STEP,
+  STEP_DEADLINE_FIELDS,
+  getDueSchedulingStep,
+  getHandledField,
+  resolveLeadingProposal,
+  resolveVotingOutcome
+} from './schedulingDeadlines.js'
+import { getRankableWindows, isRankedVotingMode } from './rankedChoice.js'
+import { getVotingStatus } from './getVotingStatus.js'
+import { formatDateRange } from '../push/pushCopy.js'
+
+const LEADER_DECIDES_TEXT = {
+  no_windows: 'Time\'s up for suggesting dates, but none are in yet — the trip leader can propose dates anytime.',
+  needs_dates: 'Time\'s up for suggesting dates — the leading option needs exact dates, so the trip leader will propose.',
+  no_approvals: 'Time\'s up for reacting, but nobody has said the proposed dates work — the trip leader decides what\'s next.',
+  no_votes: 'Voting closed without any votes — the trip leader decides what\'s next.',
+  tie: 'Time\'s up — the top dates are tied, so the trip leader picks.',
+}
+
+/**
+ * Active travelers, matching the scheduling endpoints (late joiners excluded)
+ */
+async function getSchedulingTravelers(db, trip) {
+  if (trip.type !== 'collaborative') {
+    const participants = await db.collection('trip_participants').find({ tripId: trip.id, status: 'active' }).toArray()
+    return participants.map(p => ({ id: p.userId }))
+  }
+  const memberships = await db.collection('memberships').find({ circleId: trip.circleId, status: { $ne: 'left' } }).toArray()
+  const participants = await db.collection('trip_participants').find({ tripId: trip.id }).toArray()
+  const statusMap = new Map(participants.map(p => [p.userId, p.status || 'active']))
+  return memberships
+    .filter(m => {
+      const status = statusMap.get(m.userId)
+      if (status === 'active') return true
+      if (status === 'left' || status === 'removed') return false
+      return !isLateJoinerForTrip(m, trip)
+    })
+    .map(m => ({ id: m.userId }))
+}
+
+async function emitChat(trip, event) {
+  try {
+    const { emitTripChatEvent } = await import('../chat/emitTripChatEvent.js')
+    await emitTripChatEvent({ tripId: trip.id, circleId: trip.circleId, actorUserId: null, ...event })
+  } catch (err) {
+    console.error('[scheduling-deadlines] chat event failed:', err.message)
+  }
+}
+
+async function pushTransition(db, trip, context, type = 'scheduling_deadline') {
+  try {
+    const { pushRouter } = await import('../push/pushRouter.js')
+    await pushRouter(db, {
+      type,
+      tripId: trip.id,
+      trip,
+      context: { tripName: trip.name, ...context }
+    })
+  } catch (err) {
+    console.error(`[push] ${type} failed:`, err.message)
+  }
+}
+
+async function emitStatusChange(trip, fromStatus, toStatus) {
+  try {
+    const { emitTripStatusChanged } = await import('../events/instrumentation.js')
+    emitTripStatusChanged(trip.id, trip.circleId, null, 'system', fromStatus, toStatus, new Date(trip.createdAt))
+  } catch (err) {
+    console.error('[events] trip status change failed:', err.message)
+  }
+}
+
+async function leaderDecides(db, trip, { step, deadline, reason, missingRequiredUserIds = [] }) {
+  let text = LEADER_DECIDES_TEXT[reason]
+  if (reason === 'required_missing') {
+    const users = await db.collection('users').find({ id: { $in: missingRequiredUserIds } }).toArray()
+    const names = users.map(u => u.name || 'Unknown').join(', ')
+    text = `Time's up — ${names} must attend and ${users.length === 1 ? 'hasn\'t' : 'haven\'t'} said the dates work, so the trip leader decides.`
+  }
+  await emitChat(trip, {
+    subtype: 'scheduling_deadline',
+    text,
+    metadata: { step, outcome: 'leader_decides', reason, deadline },
+    dedupeKey: `scheduling_deadline:${trip.id}:${step}:${deadline}`
+  })
+  return { action: 'leader_decides', reason }
+}
+
+async function proposeLeadingWindow(db, trip, deadline) {
+  const step = SCHEDULING_DEADLINE_STEP.PROPOSE
+  const travelers = await getSchedulingTravelers(db, trip)
+  const windows = await db.collection('date_windows').find({ tripId: trip.id }).sort({ createdAt: 1 }).toArray()
+  const supports = await db.collection('window_supports').find({ tripId: trip.id }).toArray()
+
+  let { leadingWindow } = computeProposalReady(trip, travelers, windows, supports)
+  let rankedWinner = false
+
+  // Ranked trips propose the ballot winner; a tie or no ballots falls back to support
+  if (isRankedVotingMode(trip.votingMode)) {
+    const rankedBallots = await db.collection('ranked_ballots').find({ tripId: trip.id }).toArray()
+    const rankedStatus = getVotingStatus({
+      ...trip,
+      consensusOptions: getRankableWindows(windows).map(w => ({ optionKey: w.id, startDate: w.startDate, endDate: w.endDate })),
+      promisingWindows: undefined,
+      rankedBallots
+    }, travelers, null)
+    if (rankedStatus.leadingOption && !rankedStatus.isTie) {
+      const winner = windows.find(w => w.id === rankedStatus.leadingOption.optionKey)
+      if (winner) {
+        leadingWindow = winner
+        rankedWinner = true
+      }
+    }
+  }
+
+  if (!leadingWindow) return leaderDecides(db, trip, { step, deadline, reason: 'no_windows' })
+  if (!leadingWindow.startDate || !leadingWindow.endDate) {
+    return leaderDecides(db, trip, { step, deadline, reason: 'needs_dates' })
+  }
+
+  const now = new Date().toISOString()
+  const result = await db.collection('trips').updateOne(
+    { id: trip.id, status: { $nin: ['locked', 'canceled'] }, lockedStartDate: null },
+    {
+      $set: {
+        proposedWindowId: leadingWindow.id,
+        proposedWindowIds: [leadingWindow.id],
+        proposedAt: now,
+        proposedByOverride: true,
+        proposedByDeadline: true,
+        proposedWindowReactions: []
+      }
+    }
+  )
+  if (result.modifiedCount === 0) return { action: 'skipped' }
+
+  await db.collection('date_windows').updateOne({ id: leadingWindow.id }, { $set: { reactions: [] } })
+
+  const dates = formatDateRange(leadingWindow.startDate, leadingWindow.endDate)
+  const reactBy = trip.reactBy && !trip.reactByHandledAt ? trip.reactBy : null
+  await emitChat(trip, {
+    subtype: 'scheduling_deadline',
+    text: `⏰ Time's up for suggesting dates — ${dates} ${rankedWinner ? 'is the group\'s top pick' : 'has the most support'}, so it's now proposed. Let everyone know if it works.`,
+    metadata: {
+      step,
+      outcome: 'proposed',
+      deadline,
+      reactBy,
+      windowId: leadingWindow.id,
+      startDate: leadingWindow.startDate,
+      endDate: leadingWindow.endDate
+    },
+    dedupeKey: `scheduling_deadline:${trip.id}:${step}:${deadline}`
+  })
+  await pushTransition(db, trip, { step: 'proposed', deadline, dates })
+
+  return { action: 'proposed', windowId: leadingWindow.id }
+}
+
+async function openVoting(db, trip, deadline) {
+  const step = SCHEDULING_DEADLINE_STEP.PROPOSE
+  const pickCount = await db.collection('trip_date_picks').countDocuments({ tripId: trip.id, 'picks.0': { $exists: true } })
+  if (pickCount === 0) return leaderDecides(db, trip, { step, deadline, reason: 'no_windows' })
+
+  const fromStatus = trip.status || 'scheduling'
+  const result = await db.collection('trips').updateOne(
+    { id: trip.id, status: { $in: ['proposed', 'scheduling'] } },
+    { $set: { status: 'voting' } }
+  )
+  if (result.modifiedCount === 0) return { action: 'skipped' }
+
+  await emitChat(trip, {
+    subtype: 'milestone',
+    text: '🗳️ Time\'s up for date ideas — voting is now open! Choose your preferred dates from the top options.',
+    metadata: { key: 'voting_opened', deadline },
+    dedupeKey: `scheduling_deadline:${trip.id}:${step}:${deadline}`
+  })
+  await emitStatusChange(trip, fromStatus, 'voting')
+  await pushTransition(db, trip, { step: 'voting_opened', deadline })
+
+  return { action: 'voting_opened' }
+}
+
+async function lockDates(db, trip, deadline, { startDate, endDate, windowId = null, basis }) {
+  const lockedAt = new Date().toISOString()
+  const result = await db.collection('trips').updateOne(
+    { id: trip.id, status: { $nin: ['locked', 'canceled'] }, lockedStartDate: null },
+    {
+      $set: {
+        status: 'locked',
+        datesLocked: true,
+        lockedStartDate: startDate,
+        lockedEndDate: endDate,
+        lockedAt,
+        lockedByDeadline: true,
+        ...(windowId ? { lockedFromWindowId: windowId } : {}),
+        itineraryStatus: 'collecting_ideas'
+      }
+    }
+  )
+  if (result.modifiedCount === 0) return { action: 'skipped' }
+
+  const dates = formatDateRange(startDate, endDate)
+  await emitChat(trip, {
+    subtype: 'milestone',
+    text: `⏰ Time's up — ${dates} had the ${basis}, so those dates are locked. Itinerary planning is now open — start sharing ideas.`,
+    metadata: { key: 'dates_locked', startDate, endDate, auto: true, deadline },
+    dedupeKey: `dates_locked_${trip.id}`
+  })
+  await emitStatusChange(trip, trip.status || 'scheduling', 'locked')
+
+  const updatedTrip = await db.collection('trips').findOne({ id: trip.id })
+  // Only the lock is cap-exempt (P0), so it shares the leader lock's push type
+  await pushTransition(db, updatedTrip || trip, { actorUserId: null, auto: true, dates }, 'dates_locked')
+
+  return { action: 'locked', startDate, endDate }
+}
+
+async function lockLeadingOption(db, trip, deadline) {
+  const step = SCHEDULING_DEADLINE_STEP.LOCK
+  const travelers = await getSchedulingTravelers(db, trip)
+
+  if (trip.schedulingMode === 'date_windows') {
+    const proposedIds = getProposedWindowIds(trip)
+    const windows = await db.collection('date_windows').find({ id: { $in: proposedIds }, tripId: trip.id }).toArray()
+    const proposals = proposedIds
+      .map(id => windows.find(w => w.id === id))
+      .filter(Boolean)
+      .map(window => ({
+        window,
+        // Single proposals from before per-window reactions keep them on the trip
+        reactions: (window.reactions || []).length > 0 || proposedIds.length > 1
+          ? window.reactions || []
+          : trip.proposedWindowReactions || []
+      }))
+
+    const outcome = resolveLeadingProposal(proposals, getRequiredTravelerIds(trip, travelers))
+    if (!outcome.lock) return leaderDecides(db, trip, { step, deadline, ...outcome })
+    return lockDates(db, trip, deadline, {
+      startDate: outcome.window.startDate,
+      endDate: outcome.window.endDate,
+      windowId: outcome.window.id,
+      basis: 'most thumbs-up'
+    })
+  }
+
+  const votes = await db.collection('votes').find({ tripId: trip.id }).toArray()
+  const outcome = resolveVotingOutcome(trip, travelers, votes)
+  if (!outcome.lock) return leaderDecides(db, trip, { step, deadline, ...outcome })
+  return lockDates(db, trip, deadline, { startDate: outcome.startDate, endDate: outcome.endDate, basis: 'most votes' })
+}
+
+/**
+ * @param {object} db - MongoDB instance
+ * @param {object} opts
+ * @param {object} opts.trip - Trip whose deadline passed
+ * @param {'propose' | 'lock'} opts.step - From getDueSchedulingStep
+ * @param {Date} [opts.now]
+ * @returns {Promise<{ action: 'proposed' | 'voting_opened' | 'locked' | 'leader_decides' | 'skipped', reason?: string }>}
+ */
+export async function applySchedulingDeadline(db, { trip, step, now = new Date() }) {
+  const deadlineField = STEP_DEADLINE_FIELDS[step]
+  const handledField = getHandledField(deadlineField)
+  const deadline = trip[deadlineField]
+
+  // Claim the deadline; a moved deadline or another run means it's not ours
+  const claimed = await db.collection('trips').findOneAndUpdate(
+    { id: trip.id, [deadlineField]: deadline, [handledField]: null },
+    { $set: { [handledField]: now.toISOString() } },
+    { returnDocument: 'after' }
+  )
+  if (!claimed) return { action: 'skipped' }
+
+  // The trip may have moved on since the cron read it (the leader proposed,
+  // voting opened, dates locked): only act if this step is still the due one
+  if (getDueSchedulingStep({ ...claimed, [handledField]: null }, now) !== step) {
+    return { action: 'skipped' }
+  }
+
+  if (step === SCHEDULING_DEADLINE_STEP.PROPOSE) {
+    return claimed.schedulingMode === 'date_windows'
+      ? proposeLeadingWindow(db, claimed, deadline)
+      : openVoting(db, claimed, deadline)
+  }
+  return lockLeadingOption(db, claimed, deadline)
+}
@@ -0,0 +1,129 @@
+/**
+ * Blackout Dates
+ *
+ * Date ranges a traveler can't do, declared once instead of waiting for a
+ * proposal to react "can't" to. A blackout belongs to one trip, or to the
+ * whole circle so it carries over to every trip there.
+ *
+ * Suggested windows are checked against every active traveler's blackouts;
+ * the solver treats blacked-out days as conflicts and the similarity nudge
+ * prefers windows nobody has blacked out.
+ *
+ * Pure — callers load blackout_dates and pass them in.
+ *
+ * @module lib/trips/blackoutDates
+ */
+
+export const BLACKOUT_SCOPE = {
+  TRIP: 'trip',
+  CIRCLE: 'circle',
+}
+
+export const BLACKOUT_CONFIG = {
+  MAX_PER_USER: 30,
+  MAX_DAYS: 366,
+  MAX_NOTE_LENGTH: 80,
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+
+function isValidDay(value) {
+  return typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+}
+
+function addDays(iso, days) {
+  return new Date(Date.parse(`${iso}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+function getWindowRange(window) {
+  const start = window.normalizedStart || window.startISO || window.startDate
+  const end = window.normalizedEnd || window.endISO || window.endDate
+  if (!start || !end) return null
+  return { start: start.slice(0, 10), end: end.slice(0, 10) }
+}
+
+/**
+ * Validate a new blackout.
+ *
+ * @param {{ startDate?: unknown, endDate?: unknown, note?: unknown, scope?: unknown }} input
+ * @returns {{ ok: true, blackout: { startDate: string, endDate: string, note: string | null, scope: string } }
+ *   | { ok: false, message: string }}
+ */
+export function validateBlackout(input) {
+  const { startDate, endDate, note, scope = BLACKOUT_SCOPE.TRIP } = input || {}
+  if (!isValidDay(startDate) || !isValidDay(endDate)) {
+    return { ok: false, message: 'Blackout dates must be YYYY-MM-DD' }
+  }
+  if (startDate > endDate) {
+    return { ok: false, message: 'Blackout must end on or after it starts' }
+  }
+  if (addDays(startDate, BLACKOUT_CONFIG.MAX_DAYS - 1) < endDate) {
+    return { ok: false, message: `Blackouts can be at most ${BLACKOUT_CONFIG.MAX_DAYS} days` }
+  }
+  if (!Object.values(BLACKOUT_SCOPE).includes(scope)) {
+    return { ok: false, message: 'Scope must be trip or circle' }
+  }
+  if (note != null && typeof note !== 'string') {
+    return { ok: false, message: 'Note must be text' }
+  }
+  const trimmed = note?.trim() || null
+  if (trimmed && trimmed.length > BLACKOUT_CONFIG.MAX_NOTE_LENGTH) {
+    return { ok: false, message: `Keep the note under ${BLACKOUT_CONFIG.MAX_NOTE_LENGTH} characters` }
+  }
+  return { ok: true, blackout: { startDate, endDate, note: trimmed, scope } }
+}
+
+/**
+ * Mongo filter for the blackouts that apply to a trip: the trip's own plus
+ * circle-wide ones.
+ *
+ * @param {{ id: string, circleId?: string }} trip
+ * @param {string[]} [userIds] - Limit to these travelers
+ * @returns {Object}
+ */
+export function tripBlackoutsQuery(trip, userIds) {
+  const query = {
+    $or: [
+      { tripId: trip.id },
+      ...(trip.circleId ? [{ tripId: null, circleId: trip.circleId }] : [])
+    ]
+  }
+  if (userIds) query.userId = { $in: userIds }
+  return query
+}
+
+/**
+ * Blackouts overlapping a window, one per traveler.
+ *
+ * @param {Object} window - date window (startDate/endDate or normalized fields)
+ * @param {Array<{ id: string, userId: string, startDate: string, endDate: string }>} blackouts
+ * @returns {Array<{ userId: string, blackoutId: string, startDate: string, endDate: string }>}
+ */
+export function findWindowConflicts(window, blackouts) {
+  const range = getWindowRange(window)
+  if (!range) return []
+
+  const byUser = new Map()
+  for (const b of blackouts || []) {
+    if (byUser.has(b.userId)) continue
+    if (b.startDate <= range.end && range.start <= b.endDate) {
+      byUser.set(b.userId, { userId: b.userId, blackoutId: b.id, startDate: b.startDate, endDate: b.endDate })
+    }
+  }
+  return [...byUser.values()]
+}
+
+/**
+ * Blackouts as solver input: the days each traveler can't make.
+ *
+ * @param {Array<{ userId: string, startDate: string, endDate: string }>} blackouts
+ * @returns {Array<{ userId: string, days: string[], source: 'blackout', reason: 'blocked' }>}
+ */
+export function blackoutsToDays(blackouts) {
+  return (blackouts || []).map(b => {
+    const days = []
+    for (let day = b.startDate; day <= b.endDate; day = addDays(day, 1)) days.push(day)
+    return { userId: b.userId, days, source: 'blackout', reason: 'blocked' }
+  })
+}
@@ -0,0 +1,426 @@
+/**
+ * Calendar Busy-Time Import
+ *
+ * Reads an iCalendar (.ics) feed and reduces it to busy days, then proposes
+ * free date windows inside the trip's bounds. Only dates survive parsing —
+ * event titles, locations and attendees are never read into the result.
+ *
+ * Times are compared as wall-clock time in the traveler's timezone. UTC
+ * ("Z") times are converted with Intl; TZID and floating times are taken as
+ * already local, which holds for almost every personal calendar.
+ *
+ * All parsing is deterministic and pure — no network or DB access.
+ *
+ * @module lib/trips/calendarBusy
+ */
+
+import { WINDOW_CONFIG } from './normalizeWindow.js'
+import { getWallClockMs } from './tripTimezone.js'
+
+export const CALENDAR_IMPORT_CONFIG = {
+  MAX_ICS_BYTES: 2 * 1024 * 1024,
+  // Timed events shorter than this (summed per day) don't block a travel day
+  BUSY_DAY_MIN_MINUTES: 240,
+  // Used when the trip has no date bounds yet
+  DEFAULT_RANGE_DAYS: 120,
+  MAX_RANGE_DAYS: 366,
+  MIN_WINDOW_DAYS: 2,
+  MAX_FREE_WINDOWS: 3,
+  // Guard against runaway RRULEs
+  MAX_RECURRENCE_STEPS: 5000,
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+
+// ============ Date helpers (wall-clock ms, i.e. local time stored as UTC) ============
+
+function dayToMs(day) {
+  return Date.UTC(+day.slice(0, 4), +day.slice(5, 7) - 1, +day.slice(8, 10))
+}
+
+function msToDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10)
+}
+
+/**
+ * Add days to a YYYY-MM-DD string.
+ *
+ * @param {string} day
+ * @param {number} n
+ * @returns {string}
+ */
+export function addDays(day, n) {
+  return msToDay(dayToMs(day) + n * DAY_MS)
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value into wall-clock ms.
+ *
+ * @returns {{ ms: number, allDay: boolean } | null}
+ */
+function parseIcsDate(value, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim())
+  if (!match) return null
+  const [, y, mo, d, h, mi, s, z] = match
+  if (h === undefined) {
+    return { ms: Date.UTC(+y, +mo - 1, +d), allDay: true }
+  }
+  const utc = Date.UTC(+y, +mo - 1, +d, +h, +mi, +(s || 0))
+  return { ms: z ? getWallClockMs(new Date(utc), timeZone) : utc, allDay: false }
+}
+
+/**
+ * Parse an RFC 5545 duration (e.g. "PT1H30M", "P2D", "P1W") into ms.
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim())
+  if (!match) return null
+  const [, sign, w, d, h, m, s] = match
+  const ms = ((+(w || 0) * 7 + +(d || 0)) * 24 * 3600 + +(h || 0) * 3600 + +(m || 0) * 60 + +(s || 0)) * 1000
+  return sign === '-' ? -ms : ms
+}
+
+// ============ Line parsing ============
+
+/**
+ * Split an .ics body into { name, params, value } properties, unfolding
+ * continuation lines.
+ */
+function parseLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      // The value starts at the first colon outside a quoted parameter
+      let inQuotes = false
+      let colon = -1
+      for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes
+        else if (line[i] === ':' && !inQuotes) { colon = i; break }
+      }
+      if (colon === -1) return null
+      const [name, ...paramParts] = line.slice(0, colon).split(';')
+      const params = {}
+      for (const part of paramParts) {
+        const eq = part.indexOf('=')
+        if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '')
+      }
+      return { name: name.toUpperCase(), params, value: line.slice(colon + 1) }
+    })
+    .filter(Boolean)
+}
+
+// ============ Recurrence ============
+
+function parseRRule(value) {
+  const rule = {}
+  for (const part of value.split(';')) {
+    const [k, v] = part.split('=')
+    if (k && v) rule[k.toUpperCase()] = v.toUpperCase()
+  }
+  return rule
+}
+
+/**
+ * Expand an event's start times. Supports FREQ=DAILY|WEEKLY|MONTHLY|YEARLY
+ * with INTERVAL, COUNT, UNTIL and (weekly) BYDAY — enough for the usual
+ * "every Tuesday" or "first of the month" entries. Other BY* parts are
+ * ignored, so the first occurrence of each period is used.
+ */
+function expandOccurrences(startMs, rrule, exdates, rangeStartMs, rangeEndMs, timeZone) {
+  if (!rrule) return exdates.has(startMs) ? [] : [startMs]
+
+  const rule = parseRRule(rrule)
+  const interval = Math.max(1, parseInt(rule.INTERVAL || '1', 10) || 1)
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity
+  const until = rule.UNTIL ? parseIcsDate(rule.UNTIL, timeZone) : null
+  const endMs = Math.min(rangeEndMs, until ? until.ms + (until.allDay ? DAY_MS - 1 : 0) : Infinity)
+  const maxSteps = CALENDAR_IMPORT_CONFIG.MAX_RECURRENCE_STEPS
+
+  // Without COUNT, whole periods before the range can be skipped
+  const skipPeriods = (periodMs) => count === Infinity && rangeStartMs > startMs
+    ? Math.max(0, Math.floor((rangeStartMs - startMs) / (periodMs * interval)) - 1)
+    : 0
+
+  const starts = []
+  let emitted = 0
+  const push = (ms) => {
+    emitted++
+    if (!exdates.has(ms)) starts.push(ms)
+  }
+
+  if (rule.FREQ === 'WEEKLY') {
+    const startDate = new Date(startMs)
+    const byDay = (rule.BYDAY ? rule.BYDAY.split(',') : [WEEKDAYS[startDate.getUTCDay()]])
+      .map(d => WEEKDAYS.indexOf(d.slice(-2)))
+      .filter(d => d >= 0)
+      .sort((a, b) => a - b)
+    const weekStart = startMs - startDate.getUTCDay() * DAY_MS
+    const firstWeek = skipPeriods(7 * DAY_MS) * interval
+    for (let week = firstWeek, step = 0; emitted < count && step < maxSteps; week += interval, step++) {
+      const base = weekStart + week * 7 * DAY_MS
+      if (base > endMs) break
+      for (const dow of byDay) {
+        const ms = base + dow * DAY_MS
+        if (ms < startMs) continue
+        if (ms > endMs || emitted >= count) break
+        push(ms)
+      }
+    }
+    return starts
+  }
+
+  const firstStep = rule.FREQ === 'DAILY' ? skipPeriods(DAY_MS) : 0
+  for (let i = firstStep; emitted < count && i - firstStep < maxSteps; i++) {
+    const d = new Date(startMs)
+    let ms
+    switch (rule.FREQ) {
+      case 'DAILY':
+        ms = startMs + i * interval * DAY_MS
+        break
+      case 'MONTHLY':
+        d.setUTCMonth(d.getUTCMonth() + i * interval)
+        ms = d.getTime()
+        break
+      case 'YEARLY':
+        d.setUTCFullYear(d.getUTCFullYear() + i * interval)
+        ms = d.getTime()
+        break
+      default:
+        return exdates.has(startMs) ? [] : [startMs]
+    }
+    if (ms > endMs) break
+    push(ms)
+  }
+  return starts
+}
+
+// ============ Public API ============
+
+/**
+ * Extract busy blocks from an .ics body. Cancelled and transparent ("show as
+ * free") events are skipped; VFREEBUSY periods are included.
+ *
+ * @param {string} icsText
+ * @param {{ rangeStart: string, rangeEnd: string, timeZone?: string }} opts - Range as YYYY-MM-DD (inclusive)
+ * @returns {Array<{ startMs: number, endMs: number, allDay: boolean }>} Wall-clock ms, end exclusive
+ */
+export function parseIcsBusyBlocks(icsText, { rangeStart, rangeEnd, timeZone = 'UTC' }) {
+  if (typeof icsText !== 'string' || !/BEGIN:VCALENDAR/i.test(icsText)) {
+    throw new Error('That file doesn\'t look like a calendar (.ics)')
+  }
+
+  const rangeStartMs = dayToMs(rangeStart)
+  const rangeEndMs = dayToMs(rangeEnd) + DAY_MS
+  const blocks = []
+  let event = null
+  let freeBusy = false
+
+  for (const { name, params, value } of parseLines(icsText)) {
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      event = { exdates: new Set() }
+      continue
+    }
+    if (name === 'BEGIN' && value.toUpperCase() === 'VFREEBUSY') {
+      freeBusy = true
+      continue
+    }
+    if (name === 'END' && value.toUpperCase() === 'VFREEBUSY') {
+      freeBusy = false
+      continue
+    }
+
+    if (freeBusy && name === 'FREEBUSY') {
+      if (params.FBTYPE && params.FBTYPE.toUpperCase() === 'FREE') continue
+      for (const period of value.split(',')) {
+        const [from, to] = period.split('/')
+        const start = from && parseIcsDate(from, timeZone)
+        if (!start) continue
+        const end = to && (parseIcsDate(to, timeZone)?.ms ?? (parseDuration(to) !== null ? start.ms + parseDuration(to) : null))
+        if (end && end > rangeStartMs && start.ms < rangeEndMs) {
+          blocks.push({ startMs: start.ms, endMs: end, allDay: false })
+        }
+      }
+      continue
+    }
+
+    if (!event) continue
+
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      const { start, end, duration, rrule, exdates, skip } = event
+      event = null
+      if (skip || !start) continue
+
+      const lengthMs = end
+        ? end.ms - start.ms
+        : duration !== null && duration !== undefined
+          ? duration
+          : start.allDay ? DAY_MS : 0
+      if (lengthMs <= 0) continue
+
+      for (const occurrence of expandOccurrences(start.ms, rrule, exdates, rangeStartMs, rangeEndMs, timeZone)) {
+        const occurrenceEnd = occurrence + lengthMs
+        if (occurrenceEnd > rangeStartMs && occurrence < rangeEndMs) {
+          blocks.push({ startMs: occurrence, endMs: occurrenceEnd, allDay: start.allDay })
+        }
+      }
+      continue
+    }
+
+    switch (name) {
+      case 'DTSTART':
+        event.start = parseIcsDate(value, timeZone)
+        break
+      case 'DTEND':
+        event.end = parseIcsDate(value, timeZone)
+        break
+      case 'DURATION':
+        event.duration = parseDuration(value)
+        break
+      case 'RRULE':
+        event.rrule = value
+        break
+      case 'EXDATE':
+        for (const v of value.split(',')) {
+          const ex = parseIcsDate(v, timeZone)
+          if (ex) event.exdates.add(ex.ms)
+        }
+        break
+      case 'TRANSP':
+        if (value.trim().toUpperCase() === 'TRANSPARENT') event.skip = true
+        break
+      case 'STATUS':
+        if (value.trim().toUpperCase() === 'CANCELLED') event.skip = true
+        break
+    }
+  }
+
+  return blocks
+}
+
+/**
+ * Reduce busy blocks to busy days within a range. All-day events block every
+ * day they cover; timed events block a day once they add up to
+ * BUSY_DAY_MIN_MINUTES on it.
+ *
+ * @param {Array<{ startMs: number, endMs: number, allDay: boolean }>} blocks
+ * @param {{ rangeStart: string, rangeEnd: string }} range
+ * @returns {string[]} Sorted YYYY-MM-DD days
+ */
+export function computeBusyDays(blocks, { rangeStart, rangeEnd }) {
+  const busy = new Set()
+  const minutesByDay = new Map()
+
+  for (const block of blocks) {
+    let dayMs = Math.floor(block.startMs / DAY_MS) * DAY_MS
+    while (dayMs < block.endMs) {
+      const day = msToDay(dayMs)
+      if (day >= rangeStart && day <= rangeEnd) {
+        if (block.allDay) {
+          busy.add(day)
+        } else {
+          const overlap = Math.min(block.endMs, dayMs + DAY_MS) - Math.max(block.startMs, dayMs)
+          const total = (minutesByDay.get(day) || 0) + overlap / 60000
+          minutesByDay.set(day, total)
+          if (total >= CALENDAR_IMPORT_CONFIG.BUSY_DAY_MIN_MINUTES) busy.add(day)
+        }
+      }
+      dayMs += DAY_MS
+    }
+  }
+
+  return [...busy].sort()
+}
+
+/**
+ * Parse an .ics body straight to busy days.
+ *
+ * @param {string} icsText
+ * @param {{ rangeStart: string, rangeEnd: string, timeZone?: string }} opts
+ * @returns {string[]}
+ */
+export function extractBusyDays(icsText, opts) {
+  return computeBusyDays(parseIcsBusyBlocks(icsText, opts), opts)
+}
+
+/**
+ * Propose free windows: the longest runs of free days in the range, capped
+ * at the date-window length limit, longest first then earliest.
+ *
+ * @param {string[]} busyDays
+ * @param {{ rangeStart: string, rangeEnd: string, minDays?: number, maxDays?: number, limit?: number }} opts
+ * @returns {Array<{ startDate: string, endDate: string, days: number }>}
+ */
+export function findFreeWindows(busyDays, {
+  rangeStart,
+  rangeEnd,
+  minDays = CALENDAR_IMPORT_CONFIG.MIN_WINDOW_DAYS,
+  maxDays = WINDOW_CONFIG.MAX_WINDOW_DAYS,
+  limit = CALENDAR_IMPORT_CONFIG.MAX_FREE_WINDOWS
+}) {
+  const busy = new Set(busyDays)
+  const runs = []
+  let runStart = null
+
+  for (let day = rangeStart; day <= rangeEnd; day = addDays(day, 1)) {
+    if (busy.has(day)) {
+      if (runStart) runs.push({ start: runStart, end: addDays(day, -1) })
+      runStart = null
+    } else if (!runStart) {
+      runStart = day
+    }
+  }
+  if (runStart) runs.push({ start: runStart, end: rangeEnd })
+
+  return runs
+    .map(({ start, end }) => {
+      const length = Math.round((dayToMs(end) - dayToMs(start)) / DAY_MS) + 1
+      const days = Math.min(length, maxDays)
+      return { startDate: start, endDate: addDays(start, days - 1), days }
+    })
+    .filter(w => w.days >= minDays)
+    .sort((a, b) => b.days - a.days || a.startDate.localeCompare(b.startDate))
+    .slice(0, limit)
+}
+
+/**
+ * Per-day availability for POST /api/trips/:id/availability — busy days are
+ * unavailable, the rest available.
+ *
+ * @param {string[]} busyDays
+ * @param {{ rangeStart: string, rangeEnd: string }} range
+ * @returns {Array<{ day: string, status: 'available' | 'unavailable' }>}
+ */
+export function buildAvailabilityFromBusy(busyDays, { rangeStart, rangeEnd }) {
+  const busy = new Set(busyDays)
+  const availabilities = []
+  for (let day = rangeStart; day <= rangeEnd; day = addDays(day, 1)) {
+    availabilities.push({ day, status: busy.has(day) ? 'unavailable' : 'available' })
+  }
+  return availabilities
+}
+
+/**
+ * The date range to import for a trip: its bounds when set (never before
+ * today), otherwise the next DEFAULT_RANGE_DAYS days.
+ *
+ * @param {Object} trip
+ * @param {Date} [now]
+ * @returns {{ rangeStart: string, rangeEnd: string } | null} null when the trip's bounds are already past
+ */
+export function getCalendarImportRange(trip, now = new Date()) {
+  const today = now.toISOString().slice(0, 10)
+  const boundStart = trip?.startBound || trip?.startDate
+  const boundEnd = trip?.endBound || trip?.endDate
+
+  const rangeStart = boundStart && boundStart > today ? boundStart : today
+  let rangeEnd = boundEnd || addDays(today, CALENDAR_IMPORT_CONFIG.DEFAULT_RANGE_DAYS)
+  const maxEnd = addDays(rangeStart, CALENDAR_IMPORT_CONFIG.MAX_RANGE_DAYS - 1)
+  if (rangeEnd > maxEnd) rangeEnd = maxEnd
+
+  if (rangeEnd < rangeStart) return null
+  return { rangeStart, rangeEnd }
+}
@@ -0,0 +1,328 @@
+/**
+ * Window Phrase Expansion
+ *
+ * normalizeWindow turns one phrase into one range. Some phrases describe a
+ * set of ranges or a rule instead:
+ *
+ *   "any weekend in March"                → every Sat–Sun in March
+ *   "any long weekend in May"             → each holiday weekend in May
+ *   "the week after Easter"               → Mon–Sun after Easter Sunday
+ *   "first two weeks of July, weekdays only" → the Mon–Fri runs in Jul 1–14
+ *
+ * Results are candidates only — the traveler picks which ones become
+ * date_windows. Holiday anchors come from the bundled holidayTable.
+ * Deterministic, no LLM.
+ *
+ * @module lib/trips/expandWindowPhrase
+ */
+
+import { normalizeWindow, getTargetYear, validateWindowBounds, WINDOW_CONFIG } from './normalizeWindow.js'
+import { foldWindowText, parseMonthName } from './windowLocales.js'
+import { findHoliday, getHolidayDate, getHolidayCountry, getHolidaysForYear } from './holidayTable.js'
+
+export const MAX_CANDIDATES = 6
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MONTH_LABELS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+const COUNT_WORDS = { two: 2, three: 3, four: 4, '2': 2, '3': 3, '4': 4, 'couple of': 2 }
+
+function addDays(iso, days) {
+  return new Date(Date.parse(`${iso}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+function dayOfWeek(iso) {
+  return new Date(`${iso}T00:00:00Z`).getUTCDay()
+}
+
+function daysInclusive(startISO, endISO) {
+  return Math.round((Date.parse(endISO) - Date.parse(startISO)) / DAY_MS) + 1
+}
+
+function monthStart(year, month) {
+  return `${year}-${String(month + 1).padStart(2, '0')}-01`
+}
+
+function monthEnd(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).toISOString().slice(0, 10)
+}
+
+/**
+ * Strip a trailing day-type rule ("…, weekdays only", "… on weekends").
+ *
+ * @returns {{ phrase: string, constraint: { days: 'weekdays'|'weekends' } | null }}
+ */
+function splitDayConstraint(text) {
+  const match = text.match(/^(.*?)[\s,;]+(?:(weekdays|weekends) only|only (?:on )?(weekdays|weekends)|on (weekdays|weekends))$/)
+  if (!match) return { phrase: text, constraint: null }
+  return { phrase: match[1].trim(), constraint: { days: match[2] || match[3] || match[4] } }
+}
+
+function resolveMonth(monthStr, yearStr, context) {
+  const month = parseMonthName(monthStr)
+  if (month === null) return null
+  const year = yearStr ? parseInt(yearStr, 10) : getTargetYear(month, context)
+  return { month, year }
+}
+
+/**
+ * Year a holiday anchor refers to: explicit, the trip's year, or the next
+ * occurrence on or after the trip's earliest date (or today).
+ */
+function resolveHolidayYear(holiday, yearStr, context) {
+  if (yearStr) return parseInt(yearStr, 10)
+  if (context.tripYear) return context.tripYear
+  const from = context.startBound || context.today || new Date().toISOString().slice(0, 10)
+  const baseYear = parseInt(from.slice(0, 4), 10)
+  return getHolidayDate(holiday, baseYear) >= from ? baseYear : baseYear + 1
+}
+
+/**
+ * Days off around a holiday: Thursday/Friday holidays run to Sunday,
+ * Monday/Tuesday holidays start on Saturday. Easter spans Good Friday to
+ * Easter Monday.
+ */
+function getHolidayWeekend(holidayKey, dateISO) {
+  if (holidayKey === 'easter') return { startISO: addDays(dateISO, -2), endISO: addDays(dateISO, 1) }
+  switch (dayOfWeek(dateISO)) {
+    case 0: return { startISO: addDays(dateISO, -1), endISO: dateISO }
+    case 1: return { startISO: addDays(dateISO, -2), endISO: dateISO }
+    case 2: return { startISO: addDays(dateISO, -3), endISO: dateISO }
+    case 3: return { startISO: dateISO, endISO: addDays(dateISO, 4) }
+    case 4: return { startISO: dateISO, endISO: addDays(dateISO, 3) }
+    case 5: return { startISO: dateISO, endISO: addDays(dateISO, 2) }
+    default: return { startISO: dateISO, endISO: addDays(dateISO, 1) }
+  }
+}
+
+function getWeekendsInMonth(year, month) {
+  const weekends = []
+  const end = monthEnd(year, month)
+  let day = monthStart(year, month)
+  day = addDays(day, (6 - dayOfWeek(day) + 7) % 7)
+  for (; day <= end; day = addDays(day, 7)) {
+    weekends.push({ startISO: day, endISO: addDays(day, 1) })
+  }
+  return weekends
+}
+
+/**
+ * "any weekend in March", "every weekend of June", "weekends in May",
+ * "any long weekend in May"
+ */
+function expandWeekends(phrase, context) {
+  const match = phrase.match(/^(?:any|every|all(?: the)?|a)?\s*(long )?weekends? (?:in|of|during) ([a-z]+)(?: (\d{4}))?$/)
+  if (!match) return null
+  const [, long, monthStr, yearStr] = match
+  const resolved = resolveMonth(monthStr, yearStr, context)
+  if (!resolved) return null
+  const { month, year } = resolved
+  const label = `${MONTH_LABELS[month]} ${year}`
+
+  if (!long) {
+    return {
+      kind: 'weekends',
+      summary: `Weekends in ${label}`,
+      candidates: getWeekendsInMonth(year, month)
+    }
+  }
+
+  const country = getHolidayCountry(context.locale)
+  const holidays = getHolidaysForYear(country, year)
+    .filter(h => parseInt(h.date.slice(5, 7), 10) - 1 === month)
+  if (holidays.length > 0) {
+    return {
+      kind: 'long_weekends',
+      summary: `Long weekends in ${label}`,
+      candidates: holidays.map(h => ({ ...getHolidayWeekend(h.key, h.date), label: h.name }))
+    }
+  }
+
+  // No public holiday that month — offer Friday–Sunday weekends instead
+  return {
+    kind: 'long_weekends',
+    summary: `No public holidays in ${label}, so these are Friday–Sunday weekends`,
+    candidates: getWeekendsInMonth(year, month).map(w => ({ startISO: addDays(w.startISO, -1), endISO: w.endISO }))
+  }
+}
+
+/**
+ * "the week after Easter", "week before Thanksgiving", "Christmas week",
+ * "week of July 4th", "Easter weekend", "around New Year"
+ */
+function expandHolidayAnchor(phrase, context) {
+  const patterns = [
+    { re: /^(?:the )?week (after|before) (.+?)(?: (\d{4}))?$/, kind: m => m[1] },
+    { re: /^(?:the )?week of (.+?)(?: (\d{4}))?$/, kind: () => 'week' },
+    { re: /^(?:the )?(.+?) week(?: (\d{4}))?$/, kind: () => 'week' },
+    { re: /^(?:the )?(?:long )?weekend (?:of|around) (.+?)(?: (\d{4}))?$/, kind: () => 'weekend' },
+    { re: /^(?:the )?(.+?) (?:long )?weekend(?: (\d{4}))?$/, kind: () => 'weekend' },
+    { re: /^(?:around|near|over) (.+?)(?: (\d{4}))?$/, kind: () => 'around' },
+  ]
+
+  for (const { re, kind } of patterns) {
+    const match = phrase.match(re)
+    if (!match) continue
+    const anchorKind = kind(match)
+    const [name, yearStr] = anchorKind === 'after' || anchorKind === 'before'
+      ? [match[2], match[3]]
+      : [match[1], match[2]]
+    const holiday = findHoliday(name)
+    if (!holiday) continue
+
+    const year = resolveHolidayYear(holiday, yearStr, context)
+    const date = getHolidayDate(holiday, year)
+    const holidayInfo = { key: holiday.key, name: holiday.name, date }
+
+    let range
+    let summary
+    if (anchorKind === 'after') {
+      range = { startISO: addDays(date, 1), endISO: addDays(date, 7) }
+      summary = `The week after ${holiday.name} ${year}`
+    } else if (anchorKind === 'before') {
+      range = { startISO: addDays(date, -7), endISO: addDays(date, -1) }
+      summary = `The week before ${holiday.name} ${year}`
+    } else if (anchorKind === 'week') {
+      // Monday–Sunday week containing the holiday
+      const monday = addDays(date, -((dayOfWeek(date) + 6) % 7))
+      range = { startISO: monday, endISO: addDays(monday, 6) }
+      summary = `${holiday.name} week ${year}`
+    } else if (anchorKind === 'weekend') {
+      range = getHolidayWeekend(holiday.key, date)
+      summary = `${holiday.name} weekend ${year}`
+    } else {
+      range = { startISO: addDays(date, -3), endISO: addDays(date, 3) }
+      summary = `Around ${holiday.name} ${year}`
+    }
+
+    return { kind: 'holiday', summary, candidates: [range], holiday: holidayInfo }
+  }
+  return null
+}
+
+/**
+ * "first two weeks of July", "last 3 weeks of August"
+ */
+function expandWeeks(phrase, context) {
+  const match = phrase.match(/^(?:the )?(first|last) (two|three|four|couple of|[234]) weeks (?:of|in) ([a-z]+)(?: (\d{4}))?$/)
+  if (!match) return null
+  const [, edge, countStr, monthStr, yearStr] = match
+  const resolved = resolveMonth(monthStr, yearStr, context)
+  if (!resolved) return null
+  const { month, year } = resolved
+  const span = COUNT_WORDS[countStr] * 7
+
+  const range = edge === 'first'
+    ? { startISO: monthStart(year, month), endISO: addDays(monthStart(year, month), span - 1) }
+    : { startISO: addDays(monthEnd(year, month), -(span - 1)), endISO: monthEnd(year, month) }
+
+  return {
+    kind: 'weeks',
+    summary: `${edge === 'first' ? 'First' : 'Last'} ${COUNT_WORDS[countStr]} weeks of ${MONTH_LABELS[month]} ${year}`,
+    candidates: [range]
+  }
+}
+
+/**
+ * Split a range into runs of allowed days (Mon–Fri or Sat–Sun).
+ */
+function splitByDays(range, days) {
+  const allowed = (iso) => {
+    const dow = dayOfWeek(iso)
+    const weekend = dow === 0 || dow === 6
+    return days === 'weekends' ? weekend : !weekend
+  }
+  const runs = []
+  let runStart = null
+  for (let day = range.startISO; day <= range.endISO; day = addDays(day, 1)) {
+    if (allowed(day)) {
+      if (!runStart) runStart = day
+    } else if (runStart) {
+      runs.push({ startISO: runStart, endISO: addDays(day, -1) })
+      runStart = null
+    }
+  }
+  if (runStart) runs.push({ startISO: runStart, endISO: range.endISO })
+  return runs
+}
+
+/**
+ * Break ranges longer than the window limit into week-long pieces.
+ */
+function splitLongRange(range) {
+  if (daysInclusive(range.startISO, range.endISO) <= WINDOW_CONFIG.MAX_WINDOW_DAYS) return [range]
+  const pieces = []
+  for (let start = range.startISO; start <= range.endISO; start = addDays(start, 7)) {
+    const end = addDays(start, 6)
+    pieces.push({ startISO: start, endISO: end < range.endISO ? end : range.endISO })
+  }
+  return pieces
+}
+
+/**
+ * Expand a recurring or relative availability phrase into candidate windows.
+ * Returns null when the phrase is a plain single range — normalizeWindow
+ * handles those.
+ *
+ * @param {string} inputText - e.g. "any long weekend in May"
+ * @param {Object} context
+ * @param {string} [context.startBound] - Trip start bound (YYYY-MM-DD)
+ * @param {string} [context.endBound] - Trip end bound (YYYY-MM-DD)
+ * @param {number} [context.tripYear] - Target year hint
+ * @param {string} [context.locale] - Writer's locale; picks the holiday country
+ * @param {string} [context.today] - Drop candidates that end before this date
+ * @returns {{
+ *   kind: 'weekends'|'long_weekends'|'holiday'|'weeks'|'constrained',
+ *   summary: string,
+ *   candidates: Array<{ startISO: string, endISO: string, label?: string }>,
+ *   constraint: { days: 'weekdays'|'weekends' } | null,
+ *   holiday: { key: string, name: string, date: string } | null,
+ *   truncated: boolean
+ * } | null}
+ */
+export function expandWindowPhrase(inputText, context = {}) {
+  if (!inputText || typeof inputText !== 'string') return null
+
+  const text = foldWindowText(inputText)
+    .replace(/[’']/g, '')
+    .replace(/[.!?]+$/, '')
+    .replace(/\s+/g, ' ')
+  const { phrase, constraint } = splitDayConstraint(text)
+
+  let expansion = expandWeekends(phrase, context) ||
+    expandHolidayAnchor(phrase, context) ||
+    expandWeeks(phrase, context)
+
+  // A plain range with a day rule ("July 1-14, weekdays only")
+  if (!expansion && constraint) {
+    const base = normalizeWindow(phrase, context)
+    if (base.error) return null
+    expansion = {
+      kind: 'constrained',
+      summary: phrase,
+      candidates: [{ startISO: base.startISO, endISO: base.endISO }]
+    }
+  }
+  if (!expansion) return null
+
+  let candidates = constraint
+    ? expansion.candidates.flatMap(c => splitByDays(c, constraint.days).map(run => ({ ...run, label: c.label })))
+    : expansion.candidates.flatMap(c => splitLongRange(c).map(piece => ({ ...piece, label: c.label })))
+
+  candidates = candidates
+    .filter(c => !context.today || c.endISO >= context.today)
+    .filter(c => validateWindowBounds(c.startISO, c.endISO, context.startBound, context.endBound).valid)
+    .map(({ label, ...range }) => (label ? { ...range, label } : range))
+
+  const summary = constraint
+    ? `${expansion.summary}, ${constraint.days} only`
+    : expansion.summary
+
+  return {
+    kind: expansion.kind,
+    summary,
+    candidates: candidates.slice(0, MAX_CANDIDATES),
+    constraint,
+    holiday: expansion.holiday || null,
+    truncated: candidates.length > MAX_CANDIDATES
+  }
+}
@@ -1,8 +1,17 @@
 /**
  * Generate ICS calendar content from trip and itinerary data.
  * RFC 5545 compliant.
+ *
+ * UIDs are derived from the trip, date and block position, so re-importing
+ * or re-fetching a feed updates events in place instead of duplicating them.
+ *
+ * Timed events are pinned with TZID to the block's, itinerary's or trip's
+ * destination zone (plus a matching VTIMEZONE); without a zone they stay
+ * floating local times.
  */
 
+import { isValidTimeZone, buildVTimezone } from './tripTimezone.js'
+
 function escapeICS(text) {
   if (!text) return ''
   return text.replace(/[\\;,\n]/g, match => {
@@ -16,22 +25,28 @@ function formatICSDate(dateStr) {
   return dateStr.replace(/-/g, '')
 }
 
-function generateUID() {
-  // Use timestamp + random for environments without crypto.randomUUID
-  const ts = Date.now().toString(36)
-  const rand = Math.random().toString(36).substring(2, 10)
-  return `${ts}-${rand}@tripti.ai`
+/**
+ * Stable UID for an event: the trip span, a whole itinerary day, or the
+ * nth block of a day.
+ */
+function buildStableUID(tripId, date = null, blockIndex = null) {
+  const parts = [tripId]
+  if (date) parts.push(formatICSDate(date))
+  if (blockIndex !== null) parts.push(`b${blockIndex}`)
+  return `${parts.join('-')}@tripti.ai`
 }
 
 /**
- * Parse a time string like "9:00 AM" or "2:30 PM" into { hours, minutes }
+ * Parse a time string like "9:00 AM", "2:30 PM" or "14:30" (generated
+ * itineraries use 24-hour times) into { hours, minutes }
  */
 function parseTime(timeStr) {
   if (!timeStr) return null
-  const match = timeStr.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i)
+  const match = timeStr.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i)
   if (!match) return null
   let hours = parseInt(match[1], 10)
   const minutes = parseInt(match[2], 10)
+  if (!match[3]) return hours < 24 && minutes < 60 ? { hours, minutes } : null
   const period = match[3].toUpperCase()
   if (period === 'PM' && hours !== 12) hours += 12
   if (period === 'AM' && hours === 12) hours = 0
@@ -61,6 +76,22 @@ function formatICSDateTime(dateStr, time) {
   return `${d}T${h}${m}00`
 }
 
+/**
+ * Property prefix for a wall-clock time, e.g. "DTSTART;TZID=Europe/Lisbon".
+ * Records the zone and year so the calendar can include its VTIMEZONE.
+ */
+function timedProperty(name, timeZone, dateStr, zones) {
+  if (!timeZone) return name
+  const year = Number(dateStr.slice(0, 4))
+  const [minYear, maxYear] = zones.get(timeZone) || [year, year]
+  zones.set(timeZone, [Math.min(minYear, year), Math.max(maxYear, year)])
+  return `${name};TZID=${timeZone}`
+}
+
+function firstValidZone(...candidates) {
+  return candidates.find(tz => isValidTimeZone(tz)) || null
+}
+
 /**
  * Build description for an itinerary block event
  */
@@ -73,17 +104,18 @@ function buildBlockDescription(block, tripId) {
   return escapeICS(parts.join('\n'))
 }
 
-function createEventFromBlock(trip, day, block) {
+function createEventFromBlock(trip, day, block, blockIndex, timeZone, zones) {
   const lines = []
   lines.push('BEGIN:VEVENT')
-  lines.push(`UID:${generateUID()}`)
+  lines.push(`UID:${buildStableUID(trip.id, day.date, blockIndex)}`)
   lines.push(`DTSTAMP:${formatICSDate(new Date().toISOString().slice(0, 10))}T000000Z`)
   lines.push(`SUMMARY:${escapeICS(block.title)}`)
 
   const timeRange = parseTimeRange(block.timeRange)
   if (timeRange) {
-    lines.push(`DTSTART:${formatICSDateTime(day.date, timeRange.start)}`)
-    lines.push(`DTEND:${formatICSDateTime(day.date, timeRange.end)}`)
+    const zone = firstValidZone(block.timeZone, timeZone)
+    lines.push(`${timedProperty('DTSTART', zone, day.date, zones)}:${formatICSDateTime(day.date, timeRange.start)}`)
+    lines.push(`${timedProperty('DTEND', zone, day.date, zones)}:${formatICSDateTime(day.date, timeRange.end)}`)
   } else {
     // No parseable time — all-day event for that date
     lines.push(`DTSTART;VALUE=DATE:${formatICSDate(day.date)}`)
@@ -106,7 +138,7 @@ function createEventFromBlock(trip, day, block) {
 function createAllDayEvent(trip, day) {
   const lines = []
   lines.push('BEGIN:VEVENT')
-  lines.push(`UID:${generateUID()}`)
+  lines.push(`UID:${buildStableUID(trip.id, day.date)}`)
   lines.push(`DTSTAMP:${formatICSDate(new Date().toISOString().slice(0, 10))}T000000Z`)
   lines.push(`SUMMARY:${escapeICS(day.title || `${trip.name} - ${day.date}`)}`)
   lines.push(`DTSTART;VALUE=DATE:${formatICSDate(day.date)}`)
@@ -127,7 +159,7 @@ function createAllDayEvent(trip, day) {
 function createTripSpanEvent(trip) {
   const lines = []
   lines.push('BEGIN:VEVENT')
-  lines.push(`UID:${generateUID()}`)
+  lines.push(`UID:${buildStableUID(trip.id)}`)
   lines.push(`DTSTAMP:${formatICSDate(new Date().toISOString().slice(0, 10))}T000000Z`)
   lines.push(`SUMMARY:${escapeICS(trip.name)}`)
   lines.push(`DTSTART;VALUE=DATE:${formatICSDate(trip.lockedStartDate)}`)
@@ -146,22 +178,80 @@ function createTripSpanEvent(trip) {
   return lines
 }
 
-export function generateICS(trip, itinerary) {
-  const lines = [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//Tripti.ai//Trip Export//EN',
-    'CALSCALE:GREGORIAN',
-    'METHOD:PUBLISH',
-    `X-WR-CALNAME:${escapeICS(trip.name)}`,
-  ]
+const TRANSPORT_MODE_LABELS = {
+  flight: 'Flight',
+  train: 'Train',
+  bus: 'Bus',
+  car: 'Drive',
+  other: 'Transport',
+}
+
+/**
+ * Split a transport time into a UTC instant ("...Z" / "+01:00") or a
+ * wall-clock time ("2026-03-07T09:30" from a datetime-local input).
+ *
+ * @returns {{ date: string, stamp: string, utc: boolean } | null}
+ */
+function parseTransportTime(value) {
+  if (!value || typeof value !== 'string') return null
+  const match = value.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/)
+  if (!match) return null
+  const [, date, hours, minutes, offset] = match
+  if (offset) {
+    const instant = new Date(value)
+    if (isNaN(instant)) return null
+    return { date, stamp: `${instant.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`, utc: true }
+  }
+  return { date, stamp: formatICSDateTime(date, { hours: Number(hours), minutes: Number(minutes) }), utc: false }
+}
+
+function createTransportEvent(trip, item, zones) {
+  const depart = parseTransportTime(item.departAt)
+  if (!depart) return []
+  const arrive = parseTransportTime(item.arriveAt)
 
+  // Legs inside the destination default to the trip's zone
+  const departZone = firstValidZone(item.departTimeZone, trip.destinationTimeZone)
+  const arriveZone = firstValidZone(item.arriveTimeZone, trip.destinationTimeZone)
+  const formatTime = (name, time, zone) => time.utc
+    ? `${name}:${time.stamp}`
+    : `${timedProperty(name, zone, time.date, zones)}:${time.stamp}`
+
+  const lines = []
+  lines.push('BEGIN:VEVENT')
+  lines.push(`UID:${trip.id}-transport-${item.id}@tripti.ai`)
+  lines.push(`DTSTAMP:${formatICSDate(new Date().toISOString().slice(0, 10))}T000000Z`)
+  lines.push(`SUMMARY:${escapeICS(`${TRANSPORT_MODE_LABELS[item.mode] || 'Transport'}: ${item.fromLocation} → ${item.toLocation}`)}`)
+  lines.push(formatTime('DTSTART', depart, departZone))
+  if (arrive) lines.push(formatTime('DTEND', arrive, arriveZone))
+  lines.push(`LOCATION:${escapeICS(item.fromLocation)}`)
+
+  const parts = []
+  if (item.provider) parts.push(item.provider)
+  if (item.bookingRef) parts.push(`Booking ref: ${item.bookingRef}`)
+  if (item.notes) parts.push(item.notes)
+  if (item.link) parts.push(item.link)
+  parts.push(`View on Tripti: https://tripti.ai/trips/${trip.id}`)
+  lines.push(`DESCRIPTION:${escapeICS(parts.join('\n'))}`)
+
+  lines.push('END:VEVENT')
+  return lines
+}
+
+/**
+ * VEVENT lines for one trip: one event per itinerary block (or per day
+ * without blocks), or a single span event when there's no itinerary, plus
+ * one per timed transport leg. Zones used are recorded in `zones`.
+ */
+function buildTripEvents(trip, itinerary, transportItems, zones) {
+  const lines = []
+  const itineraryZone = firstValidZone(itinerary?.timeZone, trip.destinationTimeZone)
   if (itinerary?.content?.days) {
     for (const day of itinerary.content.days) {
       if (day.blocks?.length > 0) {
-        for (const block of day.blocks) {
-          lines.push(...createEventFromBlock(trip, day, block))
-        }
+        day.blocks.forEach((block, blockIndex) => {
+          lines.push(...createEventFromBlock(trip, day, block, blockIndex, itineraryZone, zones))
+        })
       } else {
         lines.push(...createAllDayEvent(trip, day))
       }
@@ -169,10 +259,68 @@ export function generateICS(trip, itinerary) {
   } else if (trip.lockedStartDate && trip.lockedEndDate) {
     lines.push(...createTripSpanEvent(trip))
   }
+  for (const item of transportItems || []) {
+    lines.push(...createTransportEvent(trip, item, zones))
+  }
+  return lines
+}
+
+function buildTimeZones(zones) {
+  return [...zones].flatMap(([timeZone, [minYear, maxYear]]) => buildVTimezone(timeZone, minYear, maxYear))
+}
+
+/**
+ * @param {Object} trip
+ * @param {Object | null} itinerary - Latest itinerary version
+ * @param {{ transportItems?: Object[] }} [opts]
+ * @returns {string}
+ */
+export function generateICS(trip, itinerary, { transportItems = [] } = {}) {
+  const zones = new Map()
+  const events = buildTripEvents(trip, itinerary, transportItems, zones)
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Tripti.ai//Trip Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICS(trip.name)}`,
+    ...(trip.destinationTimeZone && isValidTimeZone(trip.destinationTimeZone)
+      ? [`X-WR-TIMEZONE:${trip.destinationTimeZone}`]
+      : []),
+    ...buildTimeZones(zones),
+    ...events,
+    'END:VCALENDAR',
+  ]
+  return lines.join('\r\n')
+}
 
-  lines.push('END:VCALENDAR')
+/**
+ * Generate a subscribable calendar covering several trips.
+ *
+ * @param {Array<{ trip: Object, itinerary: Object | null, transportItems?: Object[] }>} entries
+ * @param {{ name?: string }} [opts]
+ * @returns {string}
+ */
+export function generateCalendarFeed(entries, { name = 'Tripti trips' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Tripti.ai//Trip Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICS(name)}`,
+    // Hint for subscribing clients; Google and Apple poll on their own schedule
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+  ]
+  const zones = new Map()
+  const events = entries.flatMap(({ trip, itinerary, transportItems }) =>
+    buildTripEvents(trip, itinerary, transportItems, zones)
+  )
+  lines.push(...buildTimeZones(zones), ...events, 'END:VCALENDAR')
   return lines.join('\r\n')
 }
 
 // Export helpers for testing
-export { escapeICS, formatICSDate, parseTimeRange, formatICSDateTime }
+export { escapeICS, formatICSDate, parseTimeRange, formatICSDateTime, buildStableUID }
@@ -7,7 +7,7 @@
  * @param {Object} trip - Trip object from API
  * @param {Object} user - Current user object
  * @returns {Object|null} Blocking info or null if no blockers
- * @property {Array} blockers - Array of { id, name, reason } objects
+ * @property {Array} blockers - Array of { id, name, reason, required } objects, must-attend travelers first
  * @property {string} reasonCode - Overall reason code ('picking_dates', 'voting', 'leader_lock')
  * @property {string} message - Human-readable message
  */
@@ -62,14 +62,11 @@ export function getBlockingUsers(trip, user) {
       }
     }
     
+    const blockers = toBlockers(blockingParticipants, trip.requiredTravelerIds, 'picking_dates')
     return {
-      blockers: blockingParticipants.map(p => ({
-        id: p.id,
-        name: p.name || 'Unknown',
-        reason: 'picking_dates'
-      })),
+      blockers,
       reasonCode: 'picking_dates',
-      message: `Waiting on: ${blockingParticipants.map(p => p.name || 'Unknown').join(', ')} to pick dates`
+      message: `Waiting on: ${formatBlockerNames(blockers)} to pick dates`
     }
   }
   
@@ -103,17 +100,32 @@ export function getBlockingUsers(trip, user) {
       return null // Non-leader waiting for lock
     }
     
+    const blockers = toBlockers(blockingParticipants, trip.requiredTravelerIds, 'voting')
     return {
-      blockers: blockingParticipants.map(p => ({
-        id: p.id,
-        name: p.name || 'Unknown',
-        reason: 'voting'
-      })),
+      blockers,
       reasonCode: 'voting',
-      message: `Waiting on: ${blockingParticipants.map(p => p.name || 'Unknown').join(', ')} to vote`
+      message: `Waiting on: ${formatBlockerNames(blockers)} to vote`
     }
   }
   
   // Locked/completed: no blockers
   return null
 }
+
+/**
+ * Map participants to blockers, must-attend travelers first
+ */
+function toBlockers(participants, requiredTravelerIds, reason) {
+  const requiredIds = new Set(requiredTravelerIds || [])
+  const blockers = participants.map(p => ({
+    id: p.id,
+    name: p.name || 'Unknown',
+    reason,
+    required: requiredIds.has(p.id)
+  }))
+  return [...blockers.filter(b => b.required), ...blockers.filter(b => !b.required)]
+}
+
+function formatBlockerNames(blockers) {
+  return blockers.map(b => (b.required ? `${b.name} (must attend)` : b.name)).join(', ')
+}
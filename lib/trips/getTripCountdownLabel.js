@@ -1,8 +1,28 @@
+import { isValidTimeZone, getDateInTimeZone } from './tripTimezone.js'
+
+/**
+ * Whole days from "today" until a YYYY-MM-DD start date. "Today" is the
+ * destination's calendar date when the trip has a time zone (so the label
+ * flips at local midnight there), otherwise the viewer's.
+ *
+ * @param {Object} trip - Trip object, optionally with destinationTimeZone
+ * @param {string} startDateStr - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {number} Negative once the start date has passed
+ */
+export function getDaysUntilTripStart(trip, startDateStr, now = new Date()) {
+  const today = isValidTimeZone(trip.destinationTimeZone)
+    ? getDateInTimeZone(trip.destinationTimeZone, now)
+    : [now.getFullYear(), String(now.getMonth() + 1).padStart(2, '0'), String(now.getDate()).padStart(2, '0')].join('-')
+  const toUtcDay = (ymd) => Date.UTC(+ymd.slice(0, 4), +ymd.slice(5, 7) - 1, +ymd.slice(8, 10))
+  return Math.round((toUtcDay(startDateStr) - toUtcDay(today)) / (1000 * 60 * 60 * 24))
+}
+
 /**
  * Get compact countdown badge text for a trip
  * Shows "Today", "Tmrw", "20d", or "Mar 15" format
  *
- * @param {Object} trip - Trip object with lockedStartDate or startDate
+ * @param {Object} trip - Trip object with lockedStartDate or startDate (and optional destinationTimeZone)
  * @returns {string|null} Compact badge text, or null if not applicable
  */
 export function getTripCountdownBadge(trip) {
@@ -12,21 +32,14 @@ export function getTripCountdownBadge(trip) {
   const startDateStr = trip.lockedStartDate || trip.startDate
   if (!startDateStr) return null
 
-  const startDate = new Date(startDateStr + 'T12:00:00')
-  const today = new Date()
-  const startDay = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate())
-  const todayDay = new Date(today.getFullYear(), today.getMonth(), today.getDate())
-
-  if (startDay < todayDay) return null
-
-  const diffMs = startDay - todayDay
-  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24))
+  const diffDays = getDaysUntilTripStart(trip, startDateStr)
+  if (diffDays < 0) return null
 
   if (diffDays === 0) return 'Today'
   if (diffDays === 1) return 'Tmrw'
   if (diffDays <= 99) return `${diffDays}d`
   // For 100+ days, show month and day
-  return startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  return new Date(startDateStr + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
 }
 
 /**
@@ -50,23 +63,14 @@ export function getTripCountdownLabel(trip, tripName = null) {
     return null
   }
   
-  // Parse start date (YYYY-MM-DD format)
-  const startDate = new Date(startDateStr + 'T12:00:00') // Use noon to avoid timezone edge cases
-  const today = new Date()
-  
-  // Reset time to midnight for date-only comparison
-  const startDay = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate())
-  const todayDay = new Date(today.getFullYear(), today.getMonth(), today.getDate())
+  // Days until start, counted in the destination's time zone when known
+  const diffDays = getDaysUntilTripStart(trip, startDateStr)
   
   // If start date is in the past, hide countdown (MVP behavior)
-  if (startDay < todayDay) {
+  if (diffDays < 0) {
     return null
   }
   
-  // Calculate difference in days
-  const diffMs = startDay - todayDay
-  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24))
-  
   if (diffDays === 0) {
     return 'Today'
   } else if (diffDays === 1) {
@@ -1,7 +1,14 @@
+import { isRankedVotingMode, tallyRankedBallots, VOTING_MODES } from './rankedChoice.js'
+
 /**
  * Computes voting status for a trip in the voting stage.
+ *
+ * Trips in a ranked mode (trip.votingMode) are tallied from trip.rankedBallots
+ * instead of trip.votes, with the round-by-round result in `rounds`. Ranked
+ * ballots are cast while date windows are still being collected, so passing
+ * rankedBallots also counts outside the voting stage.
  * 
- * @param {Object} trip - Trip object with votes array and date options
+ * @param {Object} trip - Trip object with votes array (or rankedBallots) and date options
  * @param {Array} travelers - Active travelers for this trip [{id, name}, ...]
  * @param {string} currentUserId - The viewing user's ID
  * @returns {Object} Voting status
@@ -19,16 +26,23 @@ export function getVotingStatus(trip, travelers, currentUserId) {
     isTie: false,
     readyToLock: false,
     readyToLockReason: null,
-    options: []
+    options: [],
+    votingMode: isRankedVotingMode(trip.votingMode) ? trip.votingMode : VOTING_MODES.APPROVAL,
+    rounds: []
   }
   
   // Only compute for voting stage
   const tripStatus = trip.status || (trip.type === 'hosted' ? 'locked' : 'scheduling')
-  if (tripStatus !== 'voting') {
+  const isRanked = isRankedVotingMode(trip.votingMode) && Array.isArray(trip.rankedBallots)
+  if (tripStatus !== 'voting' && !(isRanked && tripStatus !== 'locked')) {
     return result
   }
   
   result.isVotingStage = true
+
+  if (isRanked) {
+    return getRankedVotingStatus(trip, travelers, result, currentUserId)
+  }
   
   // Get votes and unique voters
   const votes = trip.votes || []
@@ -57,15 +71,6 @@ export function getVotingStatus(trip, travelers, currentUserId) {
     const optionKey = `${startDate}_${endDate}`
     
     // Format label for display
-    const formatDate = (dateStr) => {
-      try {
-        const date = new Date(dateStr + 'T12:00:00')
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
-      } catch {
-        return dateStr
-      }
-    }
-    
     const label = opt.name || opt.label || `${formatDate(startDate)}–${formatDate(endDate)}`
     
     optionMap.set(optionKey, {
@@ -143,6 +148,87 @@ export function getVotingStatus(trip, travelers, currentUserId) {
   return result
 }
 
+function formatDate(dateStr) {
+  try {
+    const date = new Date(dateStr + 'T12:00:00')
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  } catch {
+    return dateStr
+  }
+}
+
+/**
+ * Ranked-mode status: options ordered by final standing, votes = first
+ * choices, score = final-round count (instant runoff) or points (Borda).
+ */
+function getRankedVotingStatus(trip, travelers, result, currentUserId) {
+  // Ballots from people who have since left don't count
+  const travelerIds = new Set((travelers || []).map(t => t.id))
+  const ballots = trip.rankedBallots.filter(b =>
+    (b.ranking || []).length > 0 && travelerIds.has(b.userId)
+  )
+  result.votedCount = ballots.length
+  result.remainingCount = Math.max(result.totalTravelers - result.votedCount, 0)
+  result.hasCurrentUserVoted = ballots.some(b => b.userId === currentUserId)
+
+  // Ranked options are keyed by their own optionKey (a date window ID) when given
+  const options = (trip.promisingWindows || trip.consensusOptions || [])
+    .filter(opt => (opt.startDate || opt.startDateISO) && (opt.endDate || opt.endDateISO))
+    .map((opt, index) => {
+      const startDate = opt.startDate || opt.startDateISO
+      const endDate = opt.endDate || opt.endDateISO
+      const optionKey = opt.optionKey || `${startDate}_${endDate}`
+      const label = opt.name || opt.label || `${formatDate(startDate)}–${formatDate(endDate)}`
+      return { id: optionKey, optionKey, name: label, label, startDate, endDate, votes: 0, score: 0, voterNames: [], index }
+    })
+  if (options.length === 0) return result
+
+  const optionIds = options.map(o => o.optionKey)
+  const tally = tallyRankedBallots(result.votingMode, optionIds, ballots)
+  result.rounds = tally.rounds
+
+  const firstRound = tally.rounds[0]?.counts || {}
+  const lastCounts = {}
+  const eliminatedInRound = {}
+  for (const round of tally.rounds) {
+    for (const [id, count] of Object.entries(round.counts)) lastCounts[id] = count
+    for (const id of round.eliminated) eliminatedInRound[id] = round.round
+  }
+  for (const opt of options) {
+    opt.votes = result.votingMode === VOTING_MODES.BORDA
+      ? ballots.filter(b => b.ranking[0] === opt.optionKey).length
+      : firstRound[opt.optionKey] || 0
+    opt.score = lastCounts[opt.optionKey] || 0
+    opt.eliminatedInRound = eliminatedInRound[opt.optionKey] || null
+  }
+
+  // Winner first, then whoever lasted longest, then score, then listed order
+  const staying = id => (eliminatedInRound[id] === undefined ? Infinity : eliminatedInRound[id])
+  result.options = options.sort((a, b) =>
+    (b.optionKey === tally.winner) - (a.optionKey === tally.winner) ||
+    staying(b.optionKey) - staying(a.optionKey) ||
+    b.score - a.score ||
+    a.index - b.index
+  )
+
+  if (tally.winner || tally.isTie) {
+    result.leadingOption = result.options[0]
+    result.leadingVotes = result.options[0].score
+    result.isTie = tally.isTie
+  }
+
+  const majorityVoted = result.votedCount > result.totalTravelers / 2
+  if (tally.winner && (majorityVoted || result.votedCount === result.totalTravelers)) {
+    result.readyToLock = true
+    result.readyToLockReason = `${result.votedCount}/${result.totalTravelers} ranked, clear winner`
+  } else if (result.votedCount === result.totalTravelers && tally.isTie) {
+    result.readyToLock = true
+    result.readyToLockReason = 'All ballots in (tie - leader decides)'
+  }
+
+  return result
+}
+
 /**
  * Formats the leading option for display
  */
@@ -150,9 +236,13 @@ export function formatLeadingOption(votingStatus) {
   if (!votingStatus.leadingOption) return null
   
   const { leadingOption, leadingVotes, isTie } = votingStatus
+  const isBorda = votingStatus.votingMode === VOTING_MODES.BORDA
+  const unit = isBorda
+    ? (leadingVotes === 1 ? 'point' : 'points')
+    : (leadingVotes === 1 ? 'vote' : 'votes')
   
   if (isTie) {
-    return `Tied: ${leadingOption.name || leadingOption.label} (${leadingVotes} votes)`
+    return `Tied: ${leadingOption.name || leadingOption.label} (${leadingVotes} ${isBorda ? 'points' : 'votes'})`
   }
-  return `Leading: ${leadingOption.name || leadingOption.label} (${leadingVotes} ${leadingVotes === 1 ? 'vote' : 'votes'})`
+  return `Leading: ${leadingOption.name || leadingOption.label} (${leadingVotes} ${unit})`
 }
@@ -0,0 +1,141 @@
+/**
+ * Bundled Holiday Table
+ *
+ * Public holidays used as anchors for date phrases ("the week after Easter",
+ * "Thanksgiving weekend") and to find long weekends. Dates are computed from
+ * rules, so the table never needs a yearly refresh. Regional holidays are
+ * left out — only nationwide days for the countries our circles travel from.
+ *
+ * @module lib/trips/holidayTable
+ */
+
+import { foldWindowText } from './windowLocales.js'
+
+export const HOLIDAY_COUNTRIES = ['US', 'GB', 'FR', 'DE', 'ES', 'PT', 'BR', 'MX']
+export const DEFAULT_HOLIDAY_COUNTRY = 'US'
+
+const ALL = HOLIDAY_COUNTRIES
+
+/**
+ * Rules:
+ * - { type: 'fixed', month, day }
+ * - { type: 'nth', month, weekday, n } — n = -1 for the last one
+ * - { type: 'easter', offset } — days from Easter Sunday
+ */
+export const HOLIDAYS = [
+  { key: 'new_year', name: "New Year's Day", aliases: ['new year', 'new years', 'new years day', 'nouvel an', 'ano nuevo', 'neujahr', 'ano novo'], countries: ALL, rule: { type: 'fixed', month: 0, day: 1 } },
+  { key: 'mlk_day', name: 'Martin Luther King Jr. Day', aliases: ['mlk', 'mlk day', 'martin luther king day'], countries: ['US'], rule: { type: 'nth', month: 0, weekday: 1, n: 3 } },
+  { key: 'presidents_day', name: "Presidents' Day", aliases: ['presidents day', 'president day'], countries: ['US'], rule: { type: 'nth', month: 1, weekday: 1, n: 3 } },
+  { key: 'carnival', name: 'Carnival', aliases: ['carnival', 'carnaval', 'karneval', 'mardi gras'], countries: ['BR'], rule: { type: 'easter', offset: -47 } },
+  { key: 'good_friday', name: 'Good Friday', aliases: ['good friday', 'vendredi saint', 'viernes santo', 'karfreitag', 'sexta feira santa'], countries: ['GB', 'DE', 'ES', 'PT', 'BR', 'MX'], rule: { type: 'easter', offset: -2 } },
+  { key: 'easter', name: 'Easter', aliases: ['easter', 'paques', 'pascua', 'semana santa', 'ostern', 'pascoa'], countries: [], rule: { type: 'easter', offset: 0 } },
+  { key: 'easter_monday', name: 'Easter Monday', aliases: ['easter monday', 'lundi de paques', 'ostermontag'], countries: ['GB', 'FR', 'DE'], rule: { type: 'easter', offset: 1 } },
+  { key: 'labour_day', name: 'May Day', aliases: ['may day', 'labour day', 'fete du travail', 'dia del trabajo', 'tag der arbeit', 'dia do trabalhador'], countries: ['FR', 'DE', 'ES', 'PT', 'BR', 'MX'], rule: { type: 'fixed', month: 4, day: 1 } },
+  { key: 'early_may_bank_holiday', name: 'Early May bank holiday', aliases: ['early may bank holiday'], countries: ['GB'], rule: { type: 'nth', month: 4, weekday: 1, n: 1 } },
+  { key: 'ascension', name: 'Ascension Day', aliases: ['ascension', 'ascension day', 'christi himmelfahrt'], countries: ['FR', 'DE'], rule: { type: 'easter', offset: 39 } },
+  { key: 'memorial_day', name: 'Memorial Day', aliases: ['memorial day'], countries: ['US'], rule: { type: 'nth', month: 4, weekday: 1, n: -1 } },
+  { key: 'spring_bank_holiday', name: 'Spring bank holiday', aliases: ['spring bank holiday', 'late may bank holiday'], countries: ['GB'], rule: { type: 'nth', month: 4, weekday: 1, n: -1 } },
+  { key: 'whit_monday', name: 'Whit Monday', aliases: ['whit monday', 'pentecost monday', 'lundi de pentecote', 'pfingstmontag'], countries: ['FR', 'DE'], rule: { type: 'easter', offset: 50 } },
+  { key: 'juneteenth', name: 'Juneteenth', aliases: ['juneteenth'], countries: ['US'], rule: { type: 'fixed', month: 5, day: 19 } },
+  { key: 'independence_day_us', name: 'Independence Day', aliases: ['july 4th', 'july 4', 'fourth of july', '4th of july', 'independence day'], countries: ['US'], rule: { type: 'fixed', month: 6, day: 4 } },
+  { key: 'bastille_day', name: 'Bastille Day', aliases: ['bastille day', '14 juillet', 'fete nationale'], countries: ['FR'], rule: { type: 'fixed', month: 6, day: 14 } },
+  { key: 'summer_bank_holiday', name: 'Summer bank holiday', aliases: ['august bank holiday', 'summer bank holiday'], countries: ['GB'], rule: { type: 'nth', month: 7, weekday: 1, n: -1 } },
+  { key: 'assumption', name: 'Assumption Day', aliases: ['assumption', 'assomption', 'asuncion', 'assuncao', 'ferragosto'], countries: ['FR', 'ES', 'PT'], rule: { type: 'fixed', month: 7, day: 15 } },
+  { key: 'labor_day', name: 'Labor Day', aliases: ['labor day'], countries: ['US'], rule: { type: 'nth', month: 8, weekday: 1, n: 1 } },
+  { key: 'german_unity_day', name: 'German Unity Day', aliases: ['tag der deutschen einheit'], countries: ['DE'], rule: { type: 'fixed', month: 9, day: 3 } },
+  { key: 'hispanic_day', name: 'Fiesta Nacional de España', aliases: ['fiesta nacional', 'dia de la hispanidad'], countries: ['ES'], rule: { type: 'fixed', month: 9, day: 12 } },
+  { key: 'all_saints', name: "All Saints' Day", aliases: ['all saints', 'toussaint', 'todos los santos', 'todos os santos'], countries: ['FR', 'ES', 'PT'], rule: { type: 'fixed', month: 10, day: 1 } },
+  { key: 'thanksgiving', name: 'Thanksgiving', aliases: ['thanksgiving'], countries: ['US'], rule: { type: 'nth', month: 10, weekday: 4, n: 4 } },
+  { key: 'christmas', name: 'Christmas', aliases: ['christmas', 'xmas', 'noel', 'navidad', 'weihnachten', 'natal'], countries: ALL, rule: { type: 'fixed', month: 11, day: 25 } },
+  { key: 'boxing_day', name: 'Boxing Day', aliases: ['boxing day', 'zweiter weihnachtstag'], countries: ['GB', 'DE'], rule: { type: 'fixed', month: 11, day: 26 } },
+]
+
+function toISO(year, month, day) {
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * Easter Sunday (Gregorian), anonymous algorithm.
+ *
+ * @param {number} year
+ * @returns {{ month: number, day: number }} month is 0-based
+ */
+export function getEasterSunday(year) {
+  const a = year % 19
+  const b = Math.floor(year / 100)
+  const c = year % 100
+  const d = Math.floor(b / 4)
+  const e = b % 4
+  const f = Math.floor((b + 8) / 25)
+  const g = Math.floor((b - f + 1) / 3)
+  const h = (19 * a + b - d - g + 15) % 30
+  const i = Math.floor(c / 4)
+  const k = c % 4
+  const l = (32 + 2 * e + 2 * i - h - k) % 7
+  const m = Math.floor((a + 11 * h + 22 * l) / 451)
+  const month = Math.floor((h + l - 7 * m + 114) / 31) - 1
+  const day = ((h + l - 7 * m + 114) % 31) + 1
+  return { month, day }
+}
+
+/**
+ * @param {Object} holiday - Entry from HOLIDAYS
+ * @param {number} year
+ * @returns {string} YYYY-MM-DD
+ */
+export function getHolidayDate(holiday, year) {
+  const { rule } = holiday
+  if (rule.type === 'fixed') return toISO(year, rule.month, rule.day)
+
+  if (rule.type === 'easter') {
+    const { month, day } = getEasterSunday(year)
+    const date = new Date(Date.UTC(year, month, day + rule.offset))
+    return date.toISOString().slice(0, 10)
+  }
+
+  // nth weekday of the month
+  if (rule.n > 0) {
+    const firstDow = new Date(Date.UTC(year, rule.month, 1)).getUTCDay()
+    const day = 1 + ((rule.weekday - firstDow + 7) % 7) + (rule.n - 1) * 7
+    return toISO(year, rule.month, day)
+  }
+  const lastDay = new Date(Date.UTC(year, rule.month + 1, 0)).getUTCDate()
+  const lastDow = new Date(Date.UTC(year, rule.month, lastDay)).getUTCDay()
+  return toISO(year, rule.month, lastDay - ((lastDow - rule.weekday + 7) % 7))
+}
+
+/**
+ * Look a holiday up by any of its names ("Pâques", "July 4th").
+ *
+ * @param {string} text
+ * @returns {Object | null}
+ */
+export function findHoliday(text) {
+  const folded = foldWindowText(text).replace(/[’'.]/g, '').replace(/-/g, ' ').replace(/\s+/g, ' ')
+  return HOLIDAYS.find(h => h.aliases.includes(folded)) || null
+}
+
+/**
+ * Country whose public holidays apply, from a BCP 47 locale ("pt-BR" → BR).
+ *
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function getHolidayCountry(locale) {
+  const region = typeof locale === 'string' ? locale.split(/[-_]/)[1]?.toUpperCase() : null
+  return region && HOLIDAY_COUNTRIES.includes(region) ? region : DEFAULT_HOLIDAY_COUNTRY
+}
+
+/**
+ * Public holidays of a country in a year, sorted by date.
+ *
+ * @param {string} country
+ * @param {number} year
+ * @returns {Array<{ key: string, name: string, date: string }>}
+ */
+export function getHolidaysForYear(country, year) {
+  return HOLIDAYS
+    .filter(h => h.countries.includes(country))
+    .map(h => ({ key: h.key, name: h.name, date: getHolidayDate(h, year) }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
@@ -0,0 +1,57 @@
+import { isLateJoinerForTrip } from './isLateJoiner.js'
+
+/**
+ * Check if a user is an active traveler for a trip.
+ *
+ * Shared by the catch-all API route and the standalone trip route files
+ * (expenses, settlements, ...).
+ *
+ * - Collaborative trips: circle member, not left/removed, not a late joiner
+ *   without an explicit participant record
+ * - Hosted trips: explicit active participant record
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} trip - Trip document (id, type, circleId, createdAt, createdBy)
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function isActiveTraveler(db, trip, userId) {
+  if (!trip || !userId) return false
+
+  // Get all participants
+  const allParticipants = await db.collection('trip_participants')
+    .find({ tripId: trip.id })
+    .toArray()
+
+  if (trip.type === 'collaborative') {
+    // For collaborative trips: user must be circle member AND not have left/removed status
+    const circleMembership = await db.collection('memberships').findOne({
+      userId,
+      circleId: trip.circleId,
+      status: { $ne: 'left' }
+    })
+
+    if (!circleMembership) return false
+
+    // Check explicit participant record
+    const participant = allParticipants.find(p => p.userId === userId)
+    if (participant) {
+      const status = participant.status || 'active'
+      if (status === 'active') return true
+      return false
+    }
+
+    // No participant record: check if late joiner
+    if (isLateJoinerForTrip(circleMembership, trip)) return false
+
+    // Original member
+    return true
+  } else {
+    // Hosted trips: user must have active participant record
+    const participant = allParticipants.find(p => p.userId === userId)
+    if (!participant) return false
+
+    const status = participant.status || 'active'
+    return status === 'active'
+  }
+}
@@ -4,9 +4,15 @@
  * Converts free-form date text into structured date ranges.
  * All parsing is deterministic - no LLM calls.
  *
+ * English phrasing is parsed directly; Spanish, French, German and
+ * Portuguese are rewritten into English forms first (see windowLocales).
+ * All-numeric dates ("20/6–25/6") are read day- or month-first by locale.
+ *
  * @module lib/trips/normalizeWindow
  */
 
+import { getDateOrder, containsLocalizedMultiRange, translateWindowText } from './windowLocales.js'
+
 // Configuration
 export const WINDOW_CONFIG = {
   MAX_WINDOW_DAYS: 14,
@@ -75,7 +81,7 @@ function daysBetween(startISO, endISO) {
  * Determine the target year for a date
  * Uses trip context if available, otherwise current year
  */
-function getTargetYear(month, context = {}) {
+export function getTargetYear(month, context = {}) {
   const now = new Date()
   const currentYear = now.getFullYear()
   const currentMonth = now.getMonth()
@@ -230,6 +236,65 @@ function parseExplicitDates(text, context) {
   return null
 }
 
+/**
+ * Parse all-numeric dates, day- or month-first
+ * Handles: "20/6-25/6", "20/06/2026 - 25/06/2026", "20.6.-25.6.", "6/20 to 6/25", "20/6"
+ *
+ * An end above 12 settles the order; otherwise the locale decides
+ * (context.locale, e.g. "fr-FR" → DD/MM, "en-US" → MM/DD).
+ */
+function parseNumericDates(text, context) {
+  const datePart = '(\\d{1,2})[/.](\\d{1,2})(?:[/.](\\d{4}|\\d{2}))?\\.?'
+  const connector = '\\s*(?:[-–—]|\\s(?:to|through|au|al|a|bis|ate|até)\\s)\\s*'
+  const pattern = new RegExp(`^(?:(?:from|du|del|de|vom|von)\\s+)?${datePart}(?:${connector}${datePart})?$`, 'i')
+  const match = text.trim().match(pattern)
+  if (!match) return null
+
+  const [, a1, b1, y1, a2, b2, y2] = match
+  const pairs = [[+a1, +b1]]
+  if (a2 !== undefined) pairs.push([+a2, +b2])
+
+  // Evidence from any part > 12 wins; conflicting evidence is nonsense
+  const dayFirst = pairs.some(([a, b]) => a > 12 && b <= 12)
+  const monthFirst = pairs.some(([a, b]) => b > 12 && a <= 12)
+  if (dayFirst && monthFirst) return null
+  const order = dayFirst ? 'DMY' : monthFirst ? 'MDY' : getDateOrder(context.locale)
+
+  const toYear = (y) => (y ? (y.length === 2 ? 2000 + parseInt(y, 10) : parseInt(y, 10)) : null)
+  const dates = pairs.map(([a, b]) => (order === 'DMY' ? { day: a, month: b - 1 } : { day: b, month: a - 1 }))
+  if (dates.some(d => d.month < 0 || d.month > 11)) return null
+
+  const start = dates[0]
+  const end = dates[dates.length - 1]
+  const startYear = toYear(y1) ?? toYear(y2) ?? getTargetYear(start.month, context)
+  let endYear = toYear(y2) ?? startYear
+  // "28/12 - 3/1" crosses into the next year
+  if (!y2 && (end.month < start.month || (end.month === start.month && end.day < start.day))) {
+    endYear = startYear + 1
+  }
+
+  if (start.day < 1 || start.day > getLastDayOfMonth(startYear, start.month)) return null
+  if (end.day < 1 || end.day > getLastDayOfMonth(endYear, end.month)) return null
+
+  return {
+    startISO: toISO(startYear, start.month, start.day),
+    endISO: toISO(endYear, end.month, end.day),
+    precision: 'exact'
+  }
+}
+
+/**
+ * Run the English parsers in order of specificity
+ */
+function parseEnglish(text, context) {
+  return parseExplicitDates(text, context) ||
+    parseRelativeMonth(text, context) ||
+    parseLastWeekPattern(text, context) ||
+    parseOrdinalWeekPattern(text, context) ||
+    parseWeekendPattern(text, context) ||
+    parseBareMonth(text, context)
+}
+
 /**
  * Parse relative month patterns
  * Handles: "early Feb", "mid March", "late April",
@@ -454,6 +519,7 @@ function parseBareMonth(text, context) {
  * @param {string} context.startBound - Trip start bound (YYYY-MM-DD)
  * @param {string} context.endBound - Trip end bound (YYYY-MM-DD)
  * @param {number} context.tripYear - Target year hint
+ * @param {string} [context.locale] - Writer's locale (BCP 47), for DD/MM vs MM/DD
  * @returns {{ startISO: string, endISO: string, precision: 'exact'|'approx' } | { error: string }}
  */
 export function normalizeWindow(inputText, context = {}) {
@@ -471,28 +537,19 @@ export function normalizeWindow(inputText, context = {}) {
   }
 
   // Check for multi-range or ambiguous input
-  if (containsMultiRange(trimmed)) {
+  if (containsMultiRange(trimmed) || containsLocalizedMultiRange(trimmed)) {
     return {
       error: 'Please suggest one date range at a time. You can add another option separately.'
     }
   }
 
-  // Try parsing in order of specificity
-  let result = parseExplicitDates(trimmed, context)
+  // English first, then numeric dates, then localized phrasing
+  let result = parseEnglish(trimmed, context) || parseNumericDates(trimmed, context)
   if (!result) {
-    result = parseRelativeMonth(trimmed, context)
-  }
-  if (!result) {
-    result = parseLastWeekPattern(trimmed, context)
-  }
-  if (!result) {
-    result = parseOrdinalWeekPattern(trimmed, context)
-  }
-  if (!result) {
-    result = parseWeekendPattern(trimmed, context)
-  }
-  if (!result) {
-    result = parseBareMonth(trimmed, context)
+    const translated = translateWindowText(trimmed)
+    if (translated && translated !== trimmed.toLowerCase()) {
+      result = parseEnglish(translated, context)
+    }
   }
 
   if (!result) {
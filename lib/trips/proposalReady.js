@@ -10,27 +10,60 @@
  * - Small groups (≤10 travelers): majority of total travelers must support leading window
  * - Large groups (>10 travelers): majority of responders AND minimum 5 must support leading window
  *
+ * Must-attend travelers (trip.requiredTravelerIds, set by the leader) are a
+ * hard requirement on top of the threshold: a window missing any of them is
+ * never proposal-ready, and windows that include all of them lead.
+ *
  * @module lib/trips/proposalReady
  */
 
+/**
+ * Must-attend travelers who are still on the trip
+ * @param {Object} trip - Trip object with optional requiredTravelerIds
+ * @param {Array} travelers - Array of traveler objects with id field
+ * @returns {string[]} Required user IDs
+ */
+export function getRequiredTravelerIds(trip, travelers) {
+  const activeIds = new Set(travelers.map(t => t.id))
+  return (trip?.requiredTravelerIds || []).filter(id => activeIds.has(id))
+}
+
+/**
+ * Required travelers who haven't approved (WORKS) a proposed window
+ * @param {string[]} requiredIds - From getRequiredTravelerIds
+ * @param {Array} reactions - Array of { userId, reactionType }
+ * @returns {string[]} User IDs still missing
+ */
+export function getMissingRequiredApprovals(requiredIds, reactions) {
+  const approvedIds = new Set((reactions || []).filter(r => r.reactionType === 'WORKS').map(r => r.userId))
+  return requiredIds.filter(id => !approvedIds.has(id))
+}
+
 /**
  * Count supports per window
  * @param {Array} windows - Array of window objects with id
  * @param {Array} supports - Array of support objects with windowId, userId
- * @returns {Array} Array of { window, count, userIds } sorted by count descending
+ * @param {string[]} [requiredIds] - Must-attend user IDs
+ * @returns {Array} Array of { window, count, userIds, missingRequired } sorted best first
  */
-function countSupportByWindow(windows, supports) {
+function countSupportByWindow(windows, supports, requiredIds = []) {
   const counts = windows.map(window => {
     const windowSupports = supports.filter(s => s.windowId === window.id)
+    const userIds = windowSupports.map(s => s.userId)
     return {
       window,
       count: windowSupports.length,
-      userIds: windowSupports.map(s => s.userId)
+      userIds,
+      missingRequired: requiredIds.filter(id => !userIds.includes(id))
     }
   })
 
-  // Sort by count descending, then by creation date (earlier windows win ties)
+  // Fewest missing must-attend travelers first, then count descending,
+  // then by creation date (earlier windows win ties)
   return counts.sort((a, b) => {
+    if (a.missingRequired.length !== b.missingRequired.length) {
+      return a.missingRequired.length - b.missingRequired.length
+    }
     if (b.count !== a.count) return b.count - a.count
     // Earlier window wins ties
     return new Date(a.window.createdAt) - new Date(b.window.createdAt)
@@ -53,12 +86,14 @@ function getResponders(supports) {
  * @param {Array} travelers - Array of traveler objects with id field
  * @param {Array} windows - Array of date window objects
  * @param {Array} supports - Array of window support objects
- * @returns {Object} Proposal readiness result
+ * @returns {Object} Proposal readiness result, including requiredTravelerIds and
+ *   missingRequiredUserIds (must-attend travelers not supporting the leading window)
  */
 export function computeProposalReady(trip, travelers, windows, supports) {
   const totalTravelers = travelers.length
   const responders = getResponders(supports)
   const responderCount = responders.size
+  const requiredTravelerIds = getRequiredTravelerIds(trip, travelers)
 
   // No windows = not ready
   if (windows.length === 0) {
@@ -66,6 +101,8 @@ export function computeProposalReady(trip, travelers, windows, supports) {
       proposalReady: false,
       reason: 'no_windows',
       leadingWindow: null,
+      requiredTravelerIds,
+      missingRequiredUserIds: requiredTravelerIds,
       stats: {
         totalTravelers,
         responderCount,
@@ -78,7 +115,7 @@ export function computeProposalReady(trip, travelers, windows, supports) {
   }
 
   // Count supports per window
-  const windowCounts = countSupportByWindow(windows, supports)
+  const windowCounts = countSupportByWindow(windows, supports, requiredTravelerIds)
   const leader = windowCounts[0]
   const runnerUp = windowCounts[1] || null
 
@@ -97,12 +134,20 @@ export function computeProposalReady(trip, travelers, windows, supports) {
     proposalReady = leader.count >= thresholdNeeded
   }
 
+  // A must-attend traveler missing from the leading window blocks readiness
+  const thresholdMet = proposalReady
+  proposalReady = thresholdMet && leader.missingRequired.length === 0
+
   return {
     proposalReady,
-    reason: proposalReady ? 'threshold_met' : 'threshold_not_met',
+    reason: proposalReady
+      ? 'threshold_met'
+      : thresholdMet ? 'required_missing' : 'threshold_not_met',
     leadingWindow: leader.window,
     leaderCount: leader.count,
     leaderUserIds: leader.userIds,
+    requiredTravelerIds,
+    missingRequiredUserIds: leader.missingRequired,
     runnerUp: runnerUp ? {
       window: runnerUp.window,
       count: runnerUp.count
@@ -0,0 +1,194 @@
+/**
+ * Ranked-Choice Voting
+ *
+ * An alternative to approval-style support for trips with many viable date
+ * windows. Each traveler ranks as many options as they like, best first, and
+ * the leader picks how ballots are counted:
+ *
+ * - Instant runoff: count first choices; until one option has a majority of
+ *   the ballots still in play, drop the last-place option(s) and move those
+ *   ballots to their next choice. Options tied for last drop together; if
+ *   that would drop everything left, it's a tie.
+ * - Borda: an option ranked k-th on a ballot gets (number of options − k)
+ *   points; unranked options get none. Most points wins.
+ *
+ * Every round is returned so the result can be shown step by step.
+ * Deterministic — same inputs, same rounds.
+ *
+ * @module lib/trips/rankedChoice
+ */
+
+export const VOTING_MODES = {
+  APPROVAL: 'approval',
+  INSTANT_RUNOFF: 'instant_runoff',
+  BORDA: 'borda',
+}
+
+export const VOTING_MODE_LABELS = {
+  approval: 'Thumbs up on any dates that work',
+  instant_runoff: 'Ranked — instant runoff',
+  borda: 'Ranked — points (Borda)',
+}
+
+// Ranked mode is offered once there are this many viable windows
+export const RANKED_MIN_OPTIONS = 4
+
+/**
+ * @param {string} mode
+ * @returns {boolean}
+ */
+export function isValidVotingMode(mode) {
+  return Object.values(VOTING_MODES).includes(mode)
+}
+
+/**
+ * @param {string | undefined} mode - trip.votingMode
+ * @returns {boolean}
+ */
+export function isRankedVotingMode(mode) {
+  return mode === VOTING_MODES.INSTANT_RUNOFF || mode === VOTING_MODES.BORDA
+}
+
+/**
+ * Windows that can be ranked: available (not blocker) with concrete dates.
+ *
+ * @param {Array} windows - date_windows
+ * @returns {Array}
+ */
+export function getRankableWindows(windows) {
+  return (windows || []).filter(w =>
+    (w.windowType || 'available') !== 'blocker' && w.startDate && w.endDate
+  )
+}
+
+/**
+ * Validate a ballot. An empty ranking withdraws it.
+ *
+ * @param {unknown} ranking - Option IDs, best first
+ * @param {string[]} optionIds - Options that can be ranked
+ * @returns {{ ok: true, ranking: string[] } | { ok: false, message: string }}
+ */
+export function validateRanking(ranking, optionIds) {
+  if (!Array.isArray(ranking) || ranking.some(id => typeof id !== 'string')) {
+    return { ok: false, message: 'Ranking must be a list of date option IDs' }
+  }
+  if (new Set(ranking).size !== ranking.length) {
+    return { ok: false, message: 'Each date option can only be ranked once' }
+  }
+  const valid = new Set(optionIds)
+  if (ranking.some(id => !valid.has(id))) {
+    return { ok: false, message: 'One or more date options no longer exist' }
+  }
+  return { ok: true, ranking }
+}
+
+// Ballots limited to the current options, dropping empties
+function cleanBallots(optionIds, ballots) {
+  const valid = new Set(optionIds)
+  return (ballots || [])
+    .map(b => (b.ranking || []).filter(id => valid.has(id)))
+    .filter(ranking => ranking.length > 0)
+}
+
+function zeroCounts(optionIds) {
+  return Object.fromEntries(optionIds.map(id => [id, 0]))
+}
+
+/**
+ * Instant-runoff tally.
+ *
+ * @param {string[]} optionIds - In display order
+ * @param {Array<{ ranking: string[] }>} ballots
+ * @returns {{
+ *   winner: string | null,
+ *   isTie: boolean,
+ *   tiedIds: string[],
+ *   rounds: Array<{ round: number, counts: Record<string, number>, eliminated: string[], exhausted: number }>
+ * }}
+ */
+export function tallyInstantRunoff(optionIds, ballots) {
+  const rankings = cleanBallots(optionIds, ballots)
+  const rounds = []
+  if (rankings.length === 0 || optionIds.length === 0) {
+    return { winner: null, isTie: false, tiedIds: [], rounds }
+  }
+
+  let continuing = [...optionIds]
+  for (let round = 1; continuing.length > 0; round++) {
+    const inPlay = new Set(continuing)
+    const counts = zeroCounts(continuing)
+    let exhausted = 0
+    for (const ranking of rankings) {
+      const choice = ranking.find(id => inPlay.has(id))
+      if (choice) counts[choice]++
+      else exhausted++
+    }
+
+    const active = rankings.length - exhausted
+    const top = Math.max(...continuing.map(id => counts[id]))
+    const leaders = continuing.filter(id => counts[id] === top)
+
+    if ((leaders.length === 1 && top * 2 > active) || continuing.length === 1) {
+      rounds.push({ round, counts, eliminated: [], exhausted })
+      return { winner: leaders[0], isTie: false, tiedIds: [], rounds }
+    }
+
+    const bottom = Math.min(...continuing.map(id => counts[id]))
+    const eliminated = continuing.filter(id => counts[id] === bottom)
+    if (eliminated.length === continuing.length) {
+      rounds.push({ round, counts, eliminated: [], exhausted })
+      return { winner: null, isTie: true, tiedIds: continuing, rounds }
+    }
+
+    rounds.push({ round, counts, eliminated, exhausted })
+    continuing = continuing.filter(id => !eliminated.includes(id))
+  }
+
+  return { winner: null, isTie: false, tiedIds: [], rounds }
+}
+
+/**
+ * Borda tally. Returned as a single round so it renders like a runoff.
+ *
+ * @param {string[]} optionIds - In display order
+ * @param {Array<{ ranking: string[] }>} ballots
+ * @returns {{
+ *   winner: string | null,
+ *   isTie: boolean,
+ *   tiedIds: string[],
+ *   rounds: Array<{ round: number, counts: Record<string, number>, eliminated: string[], exhausted: number }>
+ * }}
+ */
+export function tallyBorda(optionIds, ballots) {
+  const rankings = cleanBallots(optionIds, ballots)
+  if (rankings.length === 0 || optionIds.length === 0) {
+    return { winner: null, isTie: false, tiedIds: [], rounds: [] }
+  }
+
+  const points = zeroCounts(optionIds)
+  for (const ranking of rankings) {
+    ranking.forEach((id, position) => {
+      points[id] += optionIds.length - 1 - position
+    })
+  }
+
+  const top = Math.max(...optionIds.map(id => points[id]))
+  const leaders = optionIds.filter(id => points[id] === top)
+  const rounds = [{ round: 1, counts: points, eliminated: [], exhausted: 0 }]
+  return leaders.length === 1
+    ? { winner: leaders[0], isTie: false, tiedIds: [], rounds }
+    : { winner: null, isTie: true, tiedIds: leaders, rounds }
+}
+
+/**
+ * Tally with the trip's ranked mode.
+ *
+ * @param {'instant_runoff' | 'borda'} mode
+ * @param {string[]} optionIds
+ * @param {Array<{ ranking: string[] }>} ballots
+ */
+export function tallyRankedBallots(mode, optionIds, ballots) {
+  return mode === VOTING_MODES.BORDA
+    ? tallyBorda(optionIds, ballots)
+    : tallyInstantRunoff(optionIds, ballots)
+}
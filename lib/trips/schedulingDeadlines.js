@@ -0,0 +1,186 @@
+/**
+ * Scheduling Deadlines
+ *
+ * Leaders can give scheduling two deadlines so it can't stall:
+ * - suggestDatesBy: once it passes while dates are still being collected, the
+ *   leading dates are proposed (date windows) or voting opens (date picks)
+ * - reactBy: once it passes while the group is reacting or voting, the
+ *   leading option is locked
+ *
+ * The hourly scheduling-deadlines cron acts on each deadline once. A tie, a
+ * must-attend traveler who hasn't approved, or no input at all leaves the
+ * call to the leader, and chat says so.
+ *
+ * Pure functions — safe to import from both API routes and client components.
+ *
+ * @module lib/trips/schedulingDeadlines
+ */
+
+import { getProposedWindowIds, getMissingRequiredApprovals } from './proposalReady.js'
+import { getVotingStatus } from './getVotingStatus.js'
+
+export const SCHEDULING_DEADLINE_STEP = {
+  PROPOSE: 'propose',
+  LOCK: 'lock',
+}
+
+export const MIN_SCHEDULING_DEADLINE_HOURS = 1
+export const MAX_SCHEDULING_DEADLINE_DAYS = 90
+
+// Deadline field → the field the cron stamps once it has acted on it
+const HANDLED_FIELDS = {
+  suggestDatesBy: 'suggestDatesByHandledAt',
+  reactBy: 'reactByHandledAt',
+}
+
+export const STEP_DEADLINE_FIELDS = {
+  [SCHEDULING_DEADLINE_STEP.PROPOSE]: 'suggestDatesBy',
+  [SCHEDULING_DEADLINE_STEP.LOCK]: 'reactBy',
+}
+
+/**
+ * @param {'suggestDatesBy' | 'reactBy'} field
+ * @returns {string} Field marking the deadline as acted on
+ */
+export function getHandledField(field) {
+  return HANDLED_FIELDS[field]
+}
+
+function validateOne(value, now) {
+  if (value === null || value === '') {
+    return { ok: true, value: null }
+  }
+  const date = typeof value === 'string' ? new Date(value) : null
+  if (!date || Number.isNaN(date.getTime())) {
+    return { ok: false, message: 'Deadline must be a valid date and time' }
+  }
+  if (date.getTime() < now.getTime() + MIN_SCHEDULING_DEADLINE_HOURS * 60 * 60 * 1000) {
+    return { ok: false, message: `Deadline must be at least ${MIN_SCHEDULING_DEADLINE_HOURS} hour from now` }
+  }
+  if (date.getTime() > now.getTime() + MAX_SCHEDULING_DEADLINE_DAYS * 24 * 60 * 60 * 1000) {
+    return { ok: false, message: `Deadline must be within ${MAX_SCHEDULING_DEADLINE_DAYS} days` }
+  }
+  return { ok: true, value: date.toISOString() }
+}
+
+/**
+ * Validate "suggest dates by" and "react by" deadlines from a trip update.
+ * Only fields present in `input` are returned; `null` clears a deadline.
+ * Changing a deadline re-arms it for the cron.
+ *
+ * @param {{ suggestDatesBy?: string | null, reactBy?: string | null }} input
+ * @param {{ trip: Object, now?: Date }} opts
+ * @returns {{ ok: true, updates: Object } | { ok: false, message: string }}
+ */
+export function validateSchedulingDeadlines(input = {}, { trip, now = new Date() }) {
+  const updates = {}
+
+  for (const field of Object.keys(HANDLED_FIELDS)) {
+    if (input[field] === undefined) continue
+    const result = validateOne(input[field], now)
+    if (!result.ok) return result
+    updates[field] = result.value
+    updates[HANDLED_FIELDS[field]] = null
+  }
+
+  const suggestDatesBy = updates.suggestDatesBy !== undefined ? updates.suggestDatesBy : trip?.suggestDatesBy
+  const reactBy = updates.reactBy !== undefined ? updates.reactBy : trip?.reactBy
+  if (suggestDatesBy && reactBy && new Date(reactBy) <= new Date(suggestDatesBy)) {
+    return { ok: false, message: 'The react-by deadline must be after the suggest-dates-by deadline' }
+  }
+
+  return { ok: true, updates }
+}
+
+function isPast(iso, now) {
+  return !!iso && new Date(iso).getTime() <= now.getTime()
+}
+
+/**
+ * Whether the trip is past collecting dates and waiting on reactions or votes.
+ *
+ * @param {Object} trip
+ * @returns {boolean}
+ */
+export function isAwaitingReactions(trip) {
+  if (trip.schedulingMode === 'date_windows') {
+    return getProposedWindowIds(trip).length > 0
+  }
+  return (trip.status || 'scheduling') === 'voting'
+}
+
+/**
+ * The deadline step the cron should act on now, if any.
+ *
+ * @param {Object} trip
+ * @param {Date} [now]
+ * @returns {'propose' | 'lock' | null}
+ */
+export function getDueSchedulingStep(trip, now = new Date()) {
+  if (!trip || trip.type === 'hosted' || trip.schedulingMode === 'funnel') return null
+  const status = trip.status || 'scheduling'
+  if (['locked', 'completed', 'canceled'].includes(status) || trip.tripStatus === 'CANCELLED' || trip.lockedStartDate) {
+    return null
+  }
+
+  if (isAwaitingReactions(trip)) {
+    return isPast(trip.reactBy, now) && !trip.reactByHandledAt ? SCHEDULING_DEADLINE_STEP.LOCK : null
+  }
+  return isPast(trip.suggestDatesBy, now) && !trip.suggestDatesByHandledAt ? SCHEDULING_DEADLINE_STEP.PROPOSE : null
+}
+
+/**
+ * The proposed window with the most "works" reactions.
+ *
+ * @param {Array<{ window: Object, reactions: Array }>} proposals - In proposal order
+ * @param {string[]} [requiredIds] - Active must-attend travelers
+ * @returns {{ lock: true, window: Object, approvals: number } |
+ *   { lock: false, reason: 'no_approvals' | 'tie' | 'required_missing', missingRequiredUserIds?: string[] }}
+ */
+export function resolveLeadingProposal(proposals, requiredIds = []) {
+  const ranked = proposals
+    .map((p, index) => ({
+      ...p,
+      index,
+      approvals: (p.reactions || []).filter(r => r.reactionType === 'WORKS').length
+    }))
+    .sort((a, b) => (b.approvals - a.approvals) || (a.index - b.index))
+
+  const [leader, runnerUp] = ranked
+  if (!leader || leader.approvals === 0) return { lock: false, reason: 'no_approvals' }
+  if (runnerUp && runnerUp.approvals === leader.approvals) return { lock: false, reason: 'tie' }
+
+  const missingRequiredUserIds = getMissingRequiredApprovals(requiredIds, leader.reactions)
+  if (missingRequiredUserIds.length > 0) {
+    return { lock: false, reason: 'required_missing', missingRequiredUserIds }
+  }
+  return { lock: true, window: leader.window, approvals: leader.approvals }
+}
+
+/**
+ * The leading date-pick vote, per getVotingStatus. Options come from the
+ * votes themselves — an option nobody voted for can't lead.
+ *
+ * @param {Object} trip
+ * @param {Array<{ id: string, name?: string }>} travelers - Active travelers
+ * @param {Array<{ userId: string, optionKey: string }>} votes
+ * @returns {{ lock: true, startDate: string, endDate: string, votes: number } |
+ *   { lock: false, reason: 'no_votes' | 'tie' }}
+ */
+export function resolveVotingOutcome(trip, travelers, votes) {
+  const optionKeys = [...new Set(votes.map(v => v.optionKey).filter(Boolean))]
+  const consensusOptions = optionKeys.map(optionKey => {
+    const [startDate, endDate] = optionKey.split('_')
+    return { optionKey, startDate, endDate }
+  })
+
+  const status = getVotingStatus({ ...trip, status: 'voting', votes, promisingWindows: null, consensusOptions }, travelers, null)
+  if (!status.leadingOption) return { lock: false, reason: 'no_votes' }
+  if (status.isTie) return { lock: false, reason: 'tie' }
+  return {
+    lock: true,
+    startDate: status.leadingOption.startDate,
+    endDate: status.leadingOption.endDate,
+    votes: status.leadingVotes
+  }
+}
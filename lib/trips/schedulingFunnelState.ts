@@ -111,6 +111,23 @@ export function countApprovals(reactions: DateReaction[] | undefined): number {
   return reactions.filter(r => r.reactionType === DateReactionType.WORKS).length
 }
 
+/**
+ * Check that every must-attend traveler has a WORKS reaction
+ * @param reactions - Array of date reactions
+ * @param requiredTravelerIds - Must-attend user IDs (trip.requiredTravelerIds)
+ * @returns True if no required traveler is missing
+ */
+export function hasRequiredApprovals(
+  reactions: DateReaction[] | undefined,
+  requiredTravelerIds: string[] | undefined
+): boolean {
+  if (!requiredTravelerIds || requiredTravelerIds.length === 0) return true
+  const approved = new Set(
+    (reactions || []).filter(r => r.reactionType === DateReactionType.WORKS).map(r => r.userId)
+  )
+  return requiredTravelerIds.every(id => approved.has(id))
+}
+
 /**
  * Check if windows are frozen (dateProposal exists)
  * @param trip - Trip object
@@ -180,11 +197,14 @@ export function scoreWindowProposals(
  *
  * @param trip - Trip object from database
  * @param memberCount - Number of active members (for approval threshold)
+ * @param requiredTravelerIds - Must-attend travelers still on the trip
+ *   (trip.activeRequiredTravelerIds); the raw list may name people who left
  * @returns Current scheduling funnel state
  */
 export function getSchedulingFunnelState(
   trip: any,
-  memberCount: number = 1
+  memberCount: number = 1,
+  requiredTravelerIds: string[] | undefined = trip?.activeRequiredTravelerIds ?? trip?.requiredTravelerIds
 ): SchedulingFunnelStateType {
   if (!trip) return SchedulingFunnelState.NO_DATES
 
@@ -214,7 +234,7 @@ export function getSchedulingFunnelState(
     const approvals = countApprovals(trip.dateReactions)
     const required = requiredApprovals(memberCount)
 
-    if (approvals >= required) {
+    if (approvals >= required && hasRequiredApprovals(trip.dateReactions, requiredTravelerIds)) {
       return SchedulingFunnelState.READY_TO_LOCK
     }
 
@@ -0,0 +1,215 @@
+/**
+ * Date Window Solver
+ *
+ * Ranks concrete date ranges for the leader to propose, from everything the
+ * group has said so far:
+ *
+ * - Available windows + supports → the days each traveler can make
+ * - Blocker windows, blackout dates and imported calendar busy days → days they can't
+ * - Duration preferences → which trip lengths to try
+ *
+ * A traveler attends a range only if their supported windows cover every day
+ * of it and none of those days is blacked out. Ranges are ranked by attendance,
+ * then fewest conflicts, then how many duration preferences they satisfy.
+ * Deterministic — same inputs, same ranking.
+ *
+ * @module lib/trips/solveDateWindows
+ */
+
+import { WINDOW_CONFIG } from './normalizeWindow.js'
+
+export const SOLVER_CONFIG = {
+  MAX_CANDIDATES: 3,
+  // Used when nobody has stated a duration preference and the trip has no length
+  DEFAULT_LENGTHS: [3]
+}
+
+// Duration preference → acceptable trip lengths in days (matches the funnel's labels)
+export const DURATION_PREFERENCE_DAYS = {
+  weekend: [2, 3],
+  extended: [3, 4],
+  week: [5, 7],
+  week_plus: [8, WINDOW_CONFIG.MAX_WINDOW_DAYS],
+  flexible: null
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function addDays(iso, days) {
+  return new Date(Date.parse(`${iso}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+function eachDay(startISO, endISO) {
+  const days = []
+  for (let day = startISO; day <= endISO; day = addDays(day, 1)) days.push(day)
+  return days
+}
+
+function getWindowRange(window) {
+  const start = window.normalizedStart || window.startDate
+  const end = window.normalizedEnd || window.endDate
+  if (!start || !end || start > end) return null
+  return { start: start.slice(0, 10), end: end.slice(0, 10) }
+}
+
+/**
+ * Trip lengths to try: every length any traveler would accept, else the
+ * trip's own length, else the defaults.
+ */
+function getCandidateLengths(durationPreferences, tripLengthDays) {
+  const lengths = new Set()
+  for (const { preference } of durationPreferences) {
+    const range = DURATION_PREFERENCE_DAYS[preference]
+    if (!range) continue
+    for (let days = range[0]; days <= range[1]; days++) lengths.add(days)
+  }
+  if (lengths.size === 0 && tripLengthDays) lengths.add(Number(tripLengthDays))
+  if (lengths.size === 0) SOLVER_CONFIG.DEFAULT_LENGTHS.forEach(d => lengths.add(d))
+  return [...lengths]
+    .filter(d => d >= 1 && d <= WINDOW_CONFIG.MAX_WINDOW_DAYS)
+    .sort((a, b) => a - b)
+}
+
+function fitsPreference(preference, days) {
+  const range = DURATION_PREFERENCE_DAYS[preference]
+  return !range || (days >= range[0] && days <= range[1])
+}
+
+// Earlier ranks first: more attendees, fewer conflicts, more length fits, earlier, longer
+function compareCandidates(a, b) {
+  return (b.attendees.length - a.attendees.length) ||
+    (a.conflicts.length - b.conflicts.length) ||
+    (b.durationFit - a.durationFit) ||
+    a.startDate.localeCompare(b.startDate) ||
+    (b.days - a.days)
+}
+
+function overlaps(a, b) {
+  return a.startDate <= b.endDate && b.startDate <= a.endDate
+}
+
+/**
+ * Rank date ranges for a proposal.
+ *
+ * @param {Object} input
+ * @param {Array<{ id: string }>} input.travelers - Active travelers
+ * @param {Array} input.windows - date_windows (available and blocker)
+ * @param {Array<{ windowId: string, userId: string }>} input.supports - window_supports
+ * @param {Array<{ userId: string, preference: string }>} [input.durationPreferences]
+ * @param {Array<{ userId: string, days: string[], source: string, reason?: 'blocked' | 'busy' }>} [input.blackouts] -
+ *   Days a traveler can't travel, e.g. blackout dates ('blocked') or imported calendar busy days ('busy', the default)
+ * @param {{ startBound?: string, endBound?: string, tripLengthDays?: number }} [input.trip]
+ * @returns {Array<{
+ *   startDate: string,
+ *   endDate: string,
+ *   days: number,
+ *   windowId: string | null,
+ *   attendees: string[],
+ *   conflicts: Array<{ userId: string, reason: 'blocked' | 'busy' }>,
+ *   unavailable: string[],
+ *   noResponse: string[],
+ *   durationFit: number
+ * }>}
+ */
+export function solveDateWindows({
+  travelers,
+  windows,
+  supports,
+  durationPreferences = [],
+  blackouts = [],
+  trip = {}
+}) {
+  const travelerIds = travelers.map(t => t.id)
+  const availableWindows = windows
+    .filter(w => (w.windowType || 'available') !== 'blocker')
+    .map(w => ({ window: w, range: getWindowRange(w) }))
+    .filter(w => w.range)
+  if (availableWindows.length === 0 || travelerIds.length === 0) return []
+
+  // Days each traveler said they can make
+  const availableDays = new Map(travelerIds.map(id => [id, new Set()]))
+  for (const { window, range } of availableWindows) {
+    const days = eachDay(range.start, range.end)
+    for (const support of supports) {
+      if (support.windowId !== window.id || !availableDays.has(support.userId)) continue
+      days.forEach(d => availableDays.get(support.userId).add(d))
+    }
+  }
+
+  // Days each traveler can't make, with why
+  const blockedDays = new Map(travelerIds.map(id => [id, new Map()]))
+  for (const w of windows) {
+    if ((w.windowType || 'available') !== 'blocker' || !blockedDays.has(w.proposedBy)) continue
+    const range = getWindowRange(w)
+    if (!range) continue
+    eachDay(range.start, range.end).forEach(d => blockedDays.get(w.proposedBy).set(d, 'blocked'))
+  }
+  for (const { userId, days, reason = 'busy' } of blackouts) {
+    if (!blockedDays.has(userId)) continue
+    const blocked = blockedDays.get(userId)
+    // A stated "can't" outranks a busy calendar
+    days.forEach(d => { if (!blocked.has(d) || reason === 'blocked') blocked.set(d, reason) })
+  }
+
+  const preferenceByUser = new Map(durationPreferences.map(p => [p.userId, p.preference]))
+  const responders = new Set(travelerIds.filter(id => availableDays.get(id).size > 0))
+
+  // Search every start day across the windows, clipped to the trip bounds
+  let searchStart = availableWindows.reduce((min, w) => (w.range.start < min ? w.range.start : min), availableWindows[0].range.start)
+  let searchEnd = availableWindows.reduce((max, w) => (w.range.end > max ? w.range.end : max), availableWindows[0].range.end)
+  if (trip.startBound && trip.startBound > searchStart) searchStart = trip.startBound
+  if (trip.endBound && trip.endBound < searchEnd) searchEnd = trip.endBound
+  if (searchStart > searchEnd) return []
+
+  const exactWindowIds = new Map(availableWindows.map(({ window, range }) => [`${range.start}_${range.end}`, window.id]))
+  const lengths = getCandidateLengths(durationPreferences, trip.tripLengthDays)
+
+  const candidates = []
+  for (const days of lengths) {
+    for (let startDate = searchStart; addDays(startDate, days - 1) <= searchEnd; startDate = addDays(startDate, 1)) {
+      const endDate = addDays(startDate, days - 1)
+      const range = eachDay(startDate, endDate)
+
+      const attendees = []
+      const conflicts = []
+      const unavailable = []
+      const noResponse = []
+      for (const userId of travelerIds) {
+        const blocked = blockedDays.get(userId)
+        const conflictDay = range.find(d => blocked.has(d))
+        if (conflictDay) {
+          conflicts.push({ userId, reason: blocked.get(conflictDay) })
+        } else if (!responders.has(userId)) {
+          noResponse.push(userId)
+        } else if (range.every(d => availableDays.get(userId).has(d))) {
+          attendees.push(userId)
+        } else {
+          unavailable.push(userId)
+        }
+      }
+      if (attendees.length === 0) continue
+
+      candidates.push({
+        startDate,
+        endDate,
+        days,
+        windowId: exactWindowIds.get(`${startDate}_${endDate}`) || null,
+        attendees,
+        conflicts,
+        unavailable,
+        noResponse,
+        durationFit: attendees.filter(id => fitsPreference(preferenceByUser.get(id), days)).length
+      })
+    }
+  }
+
+  // Best first, keeping only ranges that don't overlap a better one
+  candidates.sort(compareCandidates)
+  const ranked = []
+  for (const candidate of candidates) {
+    if (ranked.some(r => overlaps(r, candidate))) continue
+    ranked.push(candidate)
+    if (ranked.length === SOLVER_CONFIG.MAX_CANDIDATES) break
+  }
+  return ranked
+}
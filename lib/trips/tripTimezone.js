@@ -0,0 +1,163 @@
+/**
+ * Destination timezone helpers
+ *
+ * Trips carry an IANA zone (trip.destinationTimeZone, e.g. "Europe/Lisbon").
+ * Itinerary times and transport legs are wall-clock times in a named zone,
+ * so calendar exports can pin them with TZID and countdowns can roll over at
+ * the destination's midnight rather than the viewer's.
+ *
+ * @module lib/trips/tripTimezone
+ */
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+/**
+ * @param {unknown} timeZone
+ * @returns {boolean} true for a zone name Intl recognises
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Wall-clock time of an instant in a zone, as ms since epoch read as UTC.
+ * Falls back to the instant itself (i.e. UTC) for an unknown zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+export function getWallClockMs(date, timeZone) {
+  try {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+      }).formatToParts(date).map(p => [p.type, p.value])
+    )
+    return Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second)
+  } catch {
+    return date.getTime()
+  }
+}
+
+/**
+ * UTC offset of a zone at an instant, in minutes (Lisbon in summer → 60).
+ *
+ * @param {string} timeZone
+ * @param {Date} date
+ * @returns {number}
+ */
+export function getTimeZoneOffsetMinutes(timeZone, date) {
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000
+  return Math.round((getWallClockMs(new Date(wholeSeconds), timeZone) - wholeSeconds) / MINUTE_MS)
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) at an instant in a zone.
+ *
+ * @param {string} timeZone
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function getDateInTimeZone(timeZone, now = new Date()) {
+  return new Date(getWallClockMs(now, timeZone)).toISOString().slice(0, 10)
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+'
+  const abs = Math.abs(minutes)
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`
+}
+
+function formatLocalStamp(ms) {
+  return new Date(ms).toISOString().slice(0, 19).replace(/[-:]/g, '')
+}
+
+function getZoneAbbreviation(timeZone, date) {
+  try {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(p => p.type === 'timeZoneName')
+    return part?.value || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Offset transitions (DST changes) between two instants, found by stepping a
+ * day at a time and bisecting to the minute.
+ *
+ * @returns {Array<{ at: number, from: number, to: number }>}
+ */
+function findTransitions(timeZone, startMs, endMs) {
+  const transitions = []
+  let prevMs = startMs
+  let prevOffset = getTimeZoneOffsetMinutes(timeZone, new Date(startMs))
+  for (let ms = startMs + DAY_MS; ms <= endMs; ms += DAY_MS) {
+    const offset = getTimeZoneOffsetMinutes(timeZone, new Date(ms))
+    if (offset !== prevOffset) {
+      let lo = prevMs
+      let hi = ms
+      while (hi - lo > MINUTE_MS) {
+        const mid = lo + Math.floor((hi - lo) / 2 / MINUTE_MS) * MINUTE_MS
+        if (getTimeZoneOffsetMinutes(timeZone, new Date(mid)) === prevOffset) lo = mid
+        else hi = mid
+      }
+      transitions.push({ at: hi, from: prevOffset, to: offset })
+      prevOffset = offset
+    }
+    prevMs = ms
+  }
+  return transitions
+}
+
+/**
+ * VTIMEZONE component for a zone, covering the given years with explicit
+ * observances (no RRULE), so any calendar client can resolve TZID times.
+ *
+ * @param {string} timeZone - IANA zone name
+ * @param {number} fromYear
+ * @param {number} toYear
+ * @returns {string[]} ICS lines
+ */
+export function buildVTimezone(timeZone, fromYear, toYear) {
+  const startMs = Date.UTC(fromYear, 0, 1)
+  const endMs = Date.UTC(toYear + 1, 0, 1)
+  const initialOffset = getTimeZoneOffsetMinutes(timeZone, new Date(startMs))
+  const transitions = findTransitions(timeZone, startMs, endMs)
+
+  // The larger of two alternating offsets is daylight time
+  const minOffset = Math.min(initialOffset, ...transitions.map(t => t.to))
+  const observance = (at, from, to) => {
+    const kind = to > minOffset ? 'DAYLIGHT' : 'STANDARD'
+    const name = getZoneAbbreviation(timeZone, new Date(at))
+    return [
+      `BEGIN:${kind}`,
+      // Onset is expressed in the local time in effect before the change
+      `DTSTART:${formatLocalStamp(at + from * MINUTE_MS)}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      ...(name ? [`TZNAME:${name}`] : []),
+      `END:${kind}`,
+    ]
+  }
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(startMs, initialOffset, initialOffset),
+    ...transitions.flatMap(t => observance(t.at, t.from, t.to)),
+    'END:VTIMEZONE',
+  ]
+}
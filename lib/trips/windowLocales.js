@@ -0,0 +1,215 @@
+/**
+ * Window Locale Vocabulary
+ *
+ * Spanish, French, German and Portuguese phrasing for date windows, rewritten
+ * into the English forms normalizeWindow already understands:
+ *
+ *   "15-20 juin"           → "jun 15-20"
+ *   "3. bis 7. Mai"        → "may 3-7"
+ *   "del 3 al 7 de mayo"   → "may 3-7"
+ *   "fin juin"             → "late jun"
+ *   "primer fin de semana de julio" → "first weekend jul"
+ *
+ * Month and keyword tables are merged across languages — no word means
+ * different things in two of them — so mixed-language circles parse the same
+ * regardless of the writer's locale. The locale only decides DD/MM vs MM/DD
+ * for all-numeric dates. Deterministic, no LLM.
+ *
+ * @module lib/trips/windowLocales
+ */
+
+export const SUPPORTED_WINDOW_LANGUAGES = ['en', 'es', 'fr', 'de', 'pt']
+
+// Regions that write numeric dates month-first; every other locale is day-first
+const MONTH_FIRST_LOCALES = new Set(['en', 'en-us', 'en-ph', 'en-pr', 'en-gu', 'en-as', 'en-vi', 'en-um', 'en-mp', 'en-fm', 'en-mh'])
+
+// Folded (lowercase, no accents) month names → the English abbreviation.
+// Abbreviations that are also English words ("ago", "set", "out") are left out.
+const LOCALIZED_MONTHS = {
+  // Spanish
+  enero: 'jan', ene: 'jan', febrero: 'feb', marzo: 'mar', abril: 'apr', abr: 'apr', mayo: 'may',
+  junio: 'jun', julio: 'jul', agosto: 'aug', septiembre: 'sep', setiembre: 'sep',
+  octubre: 'oct', noviembre: 'nov', diciembre: 'dec', dic: 'dec',
+  // French
+  janvier: 'jan', janv: 'jan', fevrier: 'feb', fevr: 'feb', fev: 'feb', mars: 'mar', avril: 'apr',
+  avr: 'apr', mai: 'may', juin: 'jun', juillet: 'jul', juil: 'jul', aout: 'aug', septembre: 'sep',
+  octobre: 'oct', novembre: 'nov', decembre: 'dec',
+  // German
+  januar: 'jan', janner: 'jan', februar: 'feb', marz: 'mar', maerz: 'mar', juni: 'jun', juli: 'jul',
+  oktober: 'oct', okt: 'oct', dezember: 'dec', dez: 'dec',
+  // Portuguese
+  janeiro: 'jan', fevereiro: 'feb', marco: 'mar', maio: 'may', junho: 'jun', julho: 'jul',
+  setembro: 'sep', outubro: 'oct', novembro: 'nov', dezembro: 'dec',
+  // English (full names and abbreviations pass through)
+  jan: 'jan', january: 'jan', feb: 'feb', february: 'feb', mar: 'mar', march: 'mar', apr: 'apr',
+  april: 'apr', may: 'may', jun: 'jun', june: 'jun', jul: 'jul', july: 'jul', aug: 'aug',
+  august: 'aug', sep: 'sep', sept: 'sep', september: 'sep', oct: 'oct', october: 'oct',
+  nov: 'nov', november: 'nov', dec: 'dec', december: 'dec'
+}
+
+// Words that join the two ends of a range
+const RANGE_CONNECTORS = new Set([
+  'to', 'through', 'thru', 'until', 'till',
+  'al', 'a', 'hasta',
+  'au', 'jusqu', 'jusquau',
+  'bis',
+  'ate'
+])
+
+// "and" only joins a range after "between" ("entre el 3 y el 7 de mayo")
+const BETWEEN_WORDS = new Set(['between', 'entre', 'zwischen'])
+const AND_WORDS = new Set(['and', 'y', 'et', 'e', 'und'])
+
+const RELATIVE_WORDS = {
+  early: 'early', beginning: 'early', debut: 'early', principios: 'early', principio: 'early',
+  comienzos: 'early', inicios: 'early', inicio: 'early', anfang: 'early', comeco: 'early',
+  mid: 'mid', mi: 'mid', mediados: 'mid', mitte: 'mid', meados: 'mid',
+  late: 'late', end: 'late', fin: 'late', fines: 'late', finales: 'late', final: 'late',
+  fim: 'late', ende: 'late'
+}
+
+const ORDINAL_WORDS = {
+  first: 'first', premier: 'first', premiere: 'first', primer: 'first',
+  primera: 'first', primero: 'first', primeira: 'first', primeiro: 'first', erste: 'first',
+  erstes: 'first', ersten: 'first',
+  second: 'second', deuxieme: 'second', seconde: 'second', segunda: 'second',
+  segundo: 'second', zweite: 'second', zweites: 'second', zweiten: 'second',
+  third: 'third', troisieme: 'third', tercera: 'third', tercer: 'third',
+  terceira: 'third', terceiro: 'third', dritte: 'third', dritten: 'third',
+  fourth: 'fourth', quatrieme: 'fourth', cuarta: 'fourth', quarta: 'fourth',
+  vierte: 'fourth', vierten: 'fourth',
+  last: 'last', dernier: 'last', derniere: 'last', ultima: 'last', ultimo: 'last',
+  letzte: 'last', letztes: 'last', letzten: 'last'
+}
+
+const WEEK_WORDS = new Set(['week', 'semaine', 'semana', 'woche'])
+
+// Articles and prepositions that carry no date meaning
+const FILLER_WORDS = new Set([
+  'the', 'of', 'from', 'on', 'in',
+  'de', 'del', 'el', 'la', 'los', 'las', 'en',
+  'du', 'des', 'le', 'les', 'l', 'd',
+  'der', 'den', 'dem', 'im', 'am', 'vom', 'von',
+  'o', 'os', 'do', 'da', 'no', 'na', 'em', 'dia', 'dias'
+])
+
+/**
+ * Lowercase and strip diacritics ("Début Août" → "debut aout").
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldWindowText(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim()
+}
+
+const MONTH_INDEX = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 }
+
+/**
+ * Month index (0-11) for a month name in any supported language.
+ *
+ * @param {string} word - e.g. "March", "juin", "März"
+ * @returns {number | null}
+ */
+export function parseMonthName(word) {
+  const abbreviation = LOCALIZED_MONTHS[foldWindowText(word)]
+  return abbreviation ? MONTH_INDEX[abbreviation] : null
+}
+
+/**
+ * Whether a locale writes numeric dates month-first (US) or day-first.
+ * No locale keeps the app's historical US reading.
+ *
+ * @param {string} [locale] - BCP 47 tag, e.g. "fr-FR", "en-GB", "pt-BR"
+ * @returns {'MDY' | 'DMY'}
+ */
+export function getDateOrder(locale) {
+  if (!locale || typeof locale !== 'string') return 'MDY'
+  const tag = locale.toLowerCase().replace(/_/g, '-')
+  const [language, region] = tag.split('-')
+  return MONTH_FIRST_LOCALES.has(region ? `${language}-${region}` : language) ? 'MDY' : 'DMY'
+}
+
+// A day number or a month name in any supported language
+const DATE_MENTION = new RegExp(`\\d|\\b(?:${Object.keys(LOCALIZED_MONTHS).join('|')})\\b`)
+
+/**
+ * Multi-range conjunctions beyond English ("15-20 juin ou 3-7 juillet").
+ * Spanish "o" is also the Portuguese article and a stray letter, so it only
+ * counts between two dates ("3-7 julio o 10-14 agosto").
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function containsLocalizedMultiRange(text) {
+  const folded = foldWindowText(text)
+  if (/^(entre|zwischen|between)\b/.test(folded)) return false
+  if (/\b(ou|oder)\b/.test(folded)) return true
+  const parts = folded.split(/\bo\b/)
+  return parts.some((part, i) => i > 0 && DATE_MENTION.test(parts[i - 1]) && DATE_MENTION.test(part))
+}
+
+/**
+ * Rewrite a localized (or day-first English) window into the English phrasing
+ * parsed by normalizeWindow, or null when any word isn't recognised.
+ *
+ * @param {string} text
+ * @returns {string | null}
+ */
+export function translateWindowText(text) {
+  const folded = foldWindowText(text)
+    // Multi-word weekend/week phrases first, before "fin"/"de" are read alone
+    .replace(/\b(?:fin|fim) de semana\b/g, ' weekend ')
+    .replace(/\bweek[\s-]?ends?\b/g, ' weekend ')
+    .replace(/\bwochenende\b/g, ' weekend ')
+    .replace(/\bjusqu'?au\b/g, ' to ')
+    .replace(/\bmi-/g, 'mi ')
+    // Ordinal day markers: "1er", "1o", "1º", "3." (German)
+    .replace(/\b(\d{1,2})(?:er|re|eme|o|º|ª)(?=\s|$|[-–—])/g, '$1')
+    .replace(/\b(\d{1,2})\.(?!\d)/g, '$1 ')
+    .replace(/[,']/g, ' ')
+
+  const rawTokens = folded.match(/\d{4}|\d{1,2}|[a-z]+|[-–—]/g)
+  if (!rawTokens) return null
+
+  const hasBetween = rawTokens.some(t => BETWEEN_WORDS.has(t))
+  const tokens = []
+  for (const token of rawTokens) {
+    if (/^\d+$/.test(token)) tokens.push(token)
+    else if (/^[-–—]$/.test(token) || RANGE_CONNECTORS.has(token)) tokens.push('-')
+    else if (hasBetween && AND_WORDS.has(token)) tokens.push('-')
+    else if (LOCALIZED_MONTHS[token]) tokens.push(LOCALIZED_MONTHS[token])
+    else if (RELATIVE_WORDS[token]) tokens.push(RELATIVE_WORDS[token])
+    else if (ORDINAL_WORDS[token]) tokens.push(ORDINAL_WORDS[token])
+    else if (WEEK_WORDS.has(token)) tokens.push('week')
+    else if (token === 'weekend') tokens.push('weekend')
+    else if (BETWEEN_WORDS.has(token) || FILLER_WORDS.has(token)) continue
+    else return null
+  }
+
+  // Drop leading/doubled connectors left behind by removed words
+  const cleaned = tokens.filter((t, i) => t !== '-' || (i > 0 && tokens[i - 1] !== '-'))
+  while (cleaned[0] === '-') cleaned.shift()
+  while (cleaned[cleaned.length - 1] === '-') cleaned.pop()
+  const phrase = cleaned.join(' ')
+
+  // Day-first forms → month-first
+  let match = phrase.match(/^(\d{1,2}) - (\d{1,2}) ([a-z]+)(?: (\d{4}))?$/)
+  if (match) {
+    const [, day1, day2, month, year] = match
+    return `${month} ${day1}-${day2}${year ? ` ${year}` : ''}`
+  }
+  match = phrase.match(/^(\d{1,2}) ([a-z]+)(?: (\d{4}))? - (\d{1,2}) ([a-z]+)(?: (\d{4}))?$/)
+  if (match) {
+    const [, day1, month1, year1, day2, month2, year2] = match
+    const year = year2 || year1
+    return `${month1} ${day1} to ${month2} ${day2}${year ? ` ${year}` : ''}`
+  }
+  match = phrase.match(/^(\d{1,2}) ([a-z]+)(?: (\d{4}))?$/)
+  if (match) {
+    const [, day, month, year] = match
+    return `${month} ${day}${year ? ` ${year}` : ''}`
+  }
+
+  return phrase
+}
@@ -3,18 +3,22 @@
  *
  * Computes overlap between date windows for similarity detection.
  * Used to nudge users toward supporting existing windows instead of duplicates.
+ * Given travelers' blackout dates, conflict-free windows are suggested first.
  *
  * @module lib/trips/windowOverlap
  */
 
+import { findWindowConflicts } from './blackoutDates.js'
+
 // Default similarity threshold
 export const DEFAULT_SIMILARITY_THRESHOLD = 0.6
 
 /**
- * Parse ISO date string to Date object (noon to avoid timezone issues)
+ * Parse ISO date string to a UTC day timestamp — windows are calendar dates,
+ * so day counts must not depend on the server's zone or DST changes
  */
 function parseDate(isoStr) {
-  return new Date(isoStr + 'T12:00:00')
+  return Date.UTC(+isoStr.slice(0, 4), +isoStr.slice(5, 7) - 1, +isoStr.slice(8, 10))
 }
 
 /**
@@ -89,9 +93,12 @@ export function computeOverlapScore(windowA, windowB) {
  * @param {Object} newWindow - New window with start/end dates
  * @param {Array} existingWindows - Array of existing window objects
  * @param {number} threshold - Similarity threshold (default 0.6)
- * @returns {Array} Array of { window, score } for windows above threshold, sorted by score desc
+ * @param {Object} [options]
+ * @param {Array} [options.blackouts] - Travelers' blackout dates; windows they hit rank lower
+ * @returns {Array} Array of { window, score, conflictCount } for windows above threshold,
+ *   sorted by fewest blackout conflicts, then score desc
  */
-export function findSimilarWindows(newWindow, existingWindows, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+export function findSimilarWindows(newWindow, existingWindows, threshold = DEFAULT_SIMILARITY_THRESHOLD, { blackouts = [] } = {}) {
   if (!existingWindows || existingWindows.length === 0) {
     return []
   }
@@ -103,13 +110,14 @@ export function findSimilarWindows(newWindow, existingWindows, threshold = DEFAU
     if (score >= threshold) {
       similar.push({
         window: existing,
-        score: Math.round(score * 100) / 100 // Round to 2 decimal places
+        score: Math.round(score * 100) / 100, // Round to 2 decimal places
+        conflictCount: blackouts.length > 0 ? findWindowConflicts(existing, blackouts).length : 0
       })
     }
   }
 
-  // Sort by score descending
-  similar.sort((a, b) => b.score - a.score)
+  // Conflict-free first, then by score descending
+  similar.sort((a, b) => (a.conflictCount - b.conflictCount) || (b.score - a.score))
 
   return similar
 }
@@ -120,10 +128,11 @@ export function findSimilarWindows(newWindow, existingWindows, threshold = DEFAU
  * @param {Object} newWindow - New window with start/end dates
  * @param {Array} existingWindows - Array of existing window objects
  * @param {number} threshold - Similarity threshold (default 0.6)
+ * @param {Object} [options] - See findSimilarWindows
  * @returns {{ windowId: string, score: number } | null}
  */
-export function getMostSimilarWindow(newWindow, existingWindows, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
-  const similar = findSimilarWindows(newWindow, existingWindows, threshold)
+export function getMostSimilarWindow(newWindow, existingWindows, threshold = DEFAULT_SIMILARITY_THRESHOLD, options = {}) {
+  const similar = findSimilarWindows(newWindow, existingWindows, threshold, options)
 
   if (similar.length === 0) {
     return null
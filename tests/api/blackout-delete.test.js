@@ -0,0 +1,134 @@
+/**
+ * API tests for removing blackout dates
+ *
+ * Tests:
+ * - DELETE /api/trips/:tripId/blackouts/:blackoutId
+ *
+ * Verifies:
+ * - Authentication required
+ * - Only the owner can remove a blackout (the trip leader can't either)
+ * - Circle-wide blackouts can be removed from any trip in their circle
+ * - Blackouts from another trip or circle are not found through this trip
+ */
+
+import { NextRequest } from 'next/server'
+import jwt from 'jsonwebtoken'
+import { setupTestDatabase, teardownTestDatabase, JWT_SECRET } from '../testUtils/dbTestHarness.js'
+
+// Helper to create JWT token
+function createToken(userId) {
+  return jwt.sign({ userId }, JWT_SECRET)
+}
+
+// Import route handlers
+let DELETE
+
+describe('Blackout DELETE API', () => {
+  let client
+  let db
+
+  const leaderId = 'test-blackout-leader'
+  const ownerId = 'test-blackout-owner'
+  const circleId = 'circle-test-blackout'
+  const otherCircleId = 'circle-test-blackout-other'
+  const tripId = 'trip-test-blackout'
+  const otherTripId = 'trip-test-blackout-other'
+
+  beforeAll(async () => {
+    // Setup test database (sets env vars and resets connection)
+    const result = await setupTestDatabase()
+    db = result.db
+    client = result.client
+
+    // Import route handlers after env vars are set
+    const module = await import('@/app/api/trips/[tripId]/blackouts/[blackoutId]/route.js')
+    DELETE = module.DELETE
+  })
+
+  afterAll(async () => {
+    await teardownTestDatabase(client)
+  })
+
+  beforeEach(async () => {
+    // Clean up test data before each test
+    await db.collection('users').deleteMany({ id: /^test-blackout-/ })
+    await db.collection('trips').deleteMany({ id: /^trip-test-blackout/ })
+    await db.collection('blackout_dates').deleteMany({ userId: /^test-blackout-/ })
+
+    await db.collection('users').insertMany([
+      { id: leaderId, name: 'Leader', email: 'leader@test.com' },
+      { id: ownerId, name: 'Owner', email: 'owner@test.com' }
+    ])
+    await db.collection('trips').insertMany([
+      { id: tripId, name: 'Blackout Trip', circleId, createdBy: leaderId, type: 'collaborative', status: 'scheduling' },
+      { id: otherTripId, name: 'Other Trip', circleId: otherCircleId, createdBy: leaderId, type: 'collaborative', status: 'scheduling' }
+    ])
+  })
+
+  async function createBlackout({ id, userId = ownerId, tripId: blackoutTripId = tripId, circleId: blackoutCircleId = circleId }) {
+    await db.collection('blackout_dates').insertOne({
+      id,
+      userId,
+      circleId: blackoutCircleId,
+      tripId: blackoutTripId,
+      startDate: '2026-07-10',
+      endDate: '2026-07-12',
+      note: null,
+      createdAt: new Date().toISOString()
+    })
+    return id
+  }
+
+  function deleteBlackout(blackoutId, userId, onTripId = tripId) {
+    const url = new URL(`http://localhost:3000/api/trips/${onTripId}/blackouts/${blackoutId}`)
+    const request = new NextRequest(url, {
+      method: 'DELETE',
+      headers: userId ? { 'Authorization': `Bearer ${createToken(userId)}` } : {}
+    })
+    return DELETE(request, { params: { tripId: onTripId, blackoutId } })
+  }
+
+  it('should return 401 when not authenticated', async () => {
+    const blackoutId = await createBlackout({ id: 'blackout-test-noauth' })
+
+    const response = await deleteBlackout(blackoutId, null)
+
+    expect(response.status).toBe(401)
+  })
+
+  it('should let the owner remove their blackout', async () => {
+    const blackoutId = await createBlackout({ id: 'blackout-test-own' })
+
+    const response = await deleteBlackout(blackoutId, ownerId)
+
+    expect(response.status).toBe(200)
+    expect(await db.collection('blackout_dates').findOne({ id: blackoutId })).toBeNull()
+  })
+
+  it('should not let the trip leader remove someone else\'s blackout', async () => {
+    const blackoutId = await createBlackout({ id: 'blackout-test-leader' })
+
+    const response = await deleteBlackout(blackoutId, leaderId)
+
+    expect(response.status).toBe(403)
+    expect(await db.collection('blackout_dates').findOne({ id: blackoutId })).not.toBeNull()
+  })
+
+  it('should let the owner remove a circle-wide blackout from a trip in that circle', async () => {
+    const blackoutId = await createBlackout({ id: 'blackout-test-circle', tripId: null })
+
+    const response = await deleteBlackout(blackoutId, ownerId)
+
+    expect(response.status).toBe(200)
+    expect(await db.collection('blackout_dates').findOne({ id: blackoutId })).toBeNull()
+  })
+
+  it('should return 404 for a blackout that belongs to another trip or circle', async () => {
+    const tripBlackout = await createBlackout({ id: 'blackout-test-other-trip', tripId: otherTripId, circleId: otherCircleId })
+    const circleBlackout = await createBlackout({ id: 'blackout-test-other-circle', tripId: null, circleId: otherCircleId })
+
+    expect((await deleteBlackout(tripBlackout, ownerId)).status).toBe(404)
+    expect((await deleteBlackout(circleBlackout, ownerId)).status).toBe(404)
+    expect(await db.collection('blackout_dates').countDocuments({ id: { $in: [tripBlackout, circleBlackout] } })).toBe(2)
+  })
+})
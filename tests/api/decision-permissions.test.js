@@ -0,0 +1,198 @@
+/**
+ * API tests for decision poll voting and closing
+ *
+ * Tests:
+ * - POST /api/trips/:tripId/decisions/:decisionId/vote
+ * - POST /api/trips/:tripId/decisions/:decisionId/close
+ *
+ * Verifies:
+ * - Only active travelers can vote
+ * - A vote replaces the voter's previous ballot
+ * - Only the trip leader can close a poll, even one a traveler created
+ * - Closed polls take no more votes
+ */
+
+import { NextRequest } from 'next/server'
+import jwt from 'jsonwebtoken'
+import { setupTestDatabase, teardownTestDatabase, JWT_SECRET } from '../testUtils/dbTestHarness.js'
+
+// Helper to create JWT token
+function createToken(userId) {
+  return jwt.sign({ userId }, JWT_SECRET)
+}
+
+// Import route handlers
+let VOTE, CLOSE
+
+describe('Decision vote/close API', () => {
+  let client
+  let db
+
+  const leaderId = 'test-decision-leader'
+  const travelerId = 'test-decision-traveler'
+  const leftId = 'test-decision-left'
+  const outsiderId = 'test-decision-outsider'
+  const circleId = 'circle-test-decision'
+  const tripId = 'trip-test-decision'
+  const decisionId = 'decision-test-1'
+
+  beforeAll(async () => {
+    // Setup test database (sets env vars and resets connection)
+    const result = await setupTestDatabase()
+    db = result.db
+    client = result.client
+
+    // Import route handlers after env vars are set
+    VOTE = (await import('@/app/api/trips/[tripId]/decisions/[decisionId]/vote/route.js')).POST
+    CLOSE = (await import('@/app/api/trips/[tripId]/decisions/[decisionId]/close/route.js')).POST
+  })
+
+  afterAll(async () => {
+    await teardownTestDatabase(client)
+  })
+
+  beforeEach(async () => {
+    // Clean up test data before each test
+    await db.collection('users').deleteMany({ id: /^test-decision-/ })
+    await db.collection('trips').deleteMany({ id: /^trip-test-decision/ })
+    await db.collection('circles').deleteMany({ id: /^circle-test-decision/ })
+    await db.collection('memberships').deleteMany({ userId: /^test-decision-/ })
+    await db.collection('trip_participants').deleteMany({ tripId: /^trip-test-decision/ })
+    await db.collection('decisions').deleteMany({ tripId: /^trip-test-decision/ })
+    await db.collection('trip_messages').deleteMany({ tripId: /^trip-test-decision/ })
+
+    const members = [leaderId, travelerId, leftId]
+    await db.collection('users').insertMany(
+      [...members, outsiderId].map(id => ({ id, name: id, email: `${id}@test.com` }))
+    )
+    await db.collection('circles').insertOne({ id: circleId, name: 'Decision Circle', ownerId: leaderId })
+    await db.collection('memberships').insertMany(
+      members.map(userId => ({ userId, circleId, role: userId === leaderId ? 'owner' : 'member', joinedAt: new Date().toISOString() }))
+    )
+    await db.collection('trips').insertOne({
+      id: tripId,
+      name: 'Decision Trip',
+      circleId,
+      createdBy: leaderId,
+      type: 'collaborative',
+      status: 'locked',
+      createdAt: new Date().toISOString()
+    })
+    await db.collection('trip_participants').insertMany([
+      { tripId, userId: leaderId, status: 'active' },
+      { tripId, userId: travelerId, status: 'active' },
+      { tripId, userId: leftId, status: 'left' }
+    ])
+
+    const now = new Date().toISOString()
+    await db.collection('decisions').insertOne({
+      id: decisionId,
+      tripId,
+      createdBy: travelerId,
+      question: 'Dinner on Friday?',
+      options: [{ id: 'opt-tapas', label: 'Tapas' }, { id: 'opt-pizza', label: 'Pizza' }],
+      multiChoice: false,
+      votes: [],
+      status: 'open',
+      closedAt: null,
+      closedBy: null,
+      winningOptionId: null,
+      deadline: null,
+      autoClose: false,
+      tieBreak: 'leader',
+      createdAt: now,
+      updatedAt: now
+    })
+  })
+
+  function post(handler, action, userId, body = {}) {
+    const url = new URL(`http://localhost:3000/api/trips/${tripId}/decisions/${decisionId}/${action}`)
+    const request = new NextRequest(url, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${createToken(userId)}` },
+      body: JSON.stringify(body)
+    })
+    return handler(request, { params: { tripId, decisionId } })
+  }
+
+  describe('POST /api/trips/:tripId/decisions/:decisionId/vote', () => {
+    it('should record a traveler\'s vote and replace it on a re-vote', async () => {
+      const first = await post(VOTE, 'vote', travelerId, { optionIds: ['opt-tapas'] })
+      expect(first.status).toBe(200)
+
+      const second = await post(VOTE, 'vote', travelerId, { optionIds: ['opt-pizza'] })
+      expect(second.status).toBe(200)
+      const data = await second.json()
+      expect(data.viewerOptionIds).toEqual(['opt-pizza'])
+
+      const stored = await db.collection('decisions').findOne({ id: decisionId })
+      expect(stored.votes.map(v => [v.userId, v.optionId])).toEqual([[travelerId, 'opt-pizza']])
+    })
+
+    it('should return 403 for someone outside the circle', async () => {
+      const response = await post(VOTE, 'vote', outsiderId, { optionIds: ['opt-tapas'] })
+
+      expect(response.status).toBe(403)
+    })
+
+    it('should return 403 for a traveler who left the trip', async () => {
+      const response = await post(VOTE, 'vote', leftId, { optionIds: ['opt-tapas'] })
+
+      expect(response.status).toBe(403)
+      const stored = await db.collection('decisions').findOne({ id: decisionId })
+      expect(stored.votes).toEqual([])
+    })
+
+    it('should reject two choices on a single-choice poll', async () => {
+      const response = await post(VOTE, 'vote', travelerId, { optionIds: ['opt-tapas', 'opt-pizza'] })
+
+      expect(response.status).toBe(400)
+    })
+  })
+
+  describe('POST /api/trips/:tripId/decisions/:decisionId/close', () => {
+    it('should not let the traveler who created the poll close it', async () => {
+      await post(VOTE, 'vote', travelerId, { optionIds: ['opt-tapas'] })
+
+      const response = await post(CLOSE, 'close', travelerId)
+
+      expect(response.status).toBe(403)
+      const stored = await db.collection('decisions').findOne({ id: decisionId })
+      expect(stored.status).toBe('open')
+    })
+
+    it('should return 403 for someone outside the circle', async () => {
+      const response = await post(CLOSE, 'close', outsiderId)
+
+      expect(response.status).toBe(403)
+    })
+
+    it('should let the leader close the poll, after which votes are refused', async () => {
+      await post(VOTE, 'vote', travelerId, { optionIds: ['opt-tapas'] })
+
+      const response = await post(CLOSE, 'close', leaderId)
+
+      expect(response.status).toBe(200)
+      const data = await response.json()
+      expect(data.status).toBe('closed')
+      expect(data.winningOptionId).toBe('opt-tapas')
+      expect(data.closedBy).toBe(leaderId)
+
+      const late = await post(VOTE, 'vote', leaderId, { optionIds: ['opt-pizza'] })
+      expect(late.status).toBe(400)
+    })
+
+    it('should ask the leader to break a tie', async () => {
+      await post(VOTE, 'vote', travelerId, { optionIds: ['opt-tapas'] })
+      await post(VOTE, 'vote', leaderId, { optionIds: ['opt-pizza'] })
+
+      const tied = await post(CLOSE, 'close', leaderId)
+      expect(tied.status).toBe(400)
+      expect((await tied.json()).tie).toBe(true)
+
+      const picked = await post(CLOSE, 'close', leaderId, { winningOptionId: 'opt-pizza' })
+      expect(picked.status).toBe(200)
+      expect((await picked.json()).winningOptionId).toBe('opt-pizza')
+    })
+  })
+})
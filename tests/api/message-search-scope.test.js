@@ -0,0 +1,160 @@
+/**
+ * API tests for message search scoping
+ *
+ * Tests:
+ * - GET /api/messages/search?q=&tripId=&circleId=
+ *
+ * Verifies:
+ * - Results only come from the viewer's circles
+ * - Trips hidden by a private traveler stay hidden from search
+ * - tripId narrows to one trip's chat; another circle's trip is not found
+ * - circleId must be a circle the viewer belongs to
+ */
+
+import { NextRequest } from 'next/server'
+import jwt from 'jsonwebtoken'
+import { setupTestDatabase, teardownTestDatabase, JWT_SECRET } from '../testUtils/dbTestHarness.js'
+
+// Helper to create JWT token
+function createToken(userId) {
+  return jwt.sign({ userId }, JWT_SECRET)
+}
+
+// Import route handlers
+let GET
+
+describe('Message Search API scoping', () => {
+  let client
+  let db
+
+  const viewerId = 'test-search-viewer'
+  const friendId = 'test-search-friend'
+  const privateId = 'test-search-private'
+  const strangerId = 'test-search-stranger'
+  const circleId = 'circle-test-search'
+  const otherCircleId = 'circle-test-search-other'
+  const tripId = 'trip-test-search'
+  const privateTripId = 'trip-test-search-private'
+  const otherTripId = 'trip-test-search-other'
+
+  beforeAll(async () => {
+    // Setup test database (sets env vars and resets connection)
+    const result = await setupTestDatabase()
+    db = result.db
+    client = result.client
+
+    // Import route handlers after env vars are set
+    const module = await import('@/app/api/[[...path]]/route.js')
+    GET = module.GET
+  })
+
+  afterAll(async () => {
+    await teardownTestDatabase(client)
+  })
+
+  beforeEach(async () => {
+    // Clean up test data before each test
+    await db.collection('users').deleteMany({ id: /^test-search-/ })
+    await db.collection('trips').deleteMany({ id: /^trip-test-search/ })
+    await db.collection('circles').deleteMany({ id: /^circle-test-search/ })
+    await db.collection('memberships').deleteMany({ userId: /^test-search-/ })
+    await db.collection('trip_participants').deleteMany({ tripId: /^trip-test-search/ })
+    await db.collection('trip_messages').deleteMany({ tripId: /^trip-test-search/ })
+    await db.collection('circle_messages').deleteMany({ circleId: /^circle-test-search/ })
+
+    await db.collection('users').insertMany([
+      { id: viewerId, name: 'Viewer', email: 'viewer@test.com' },
+      { id: friendId, name: 'Friend', email: 'friend@test.com' },
+      { id: privateId, name: 'Private', email: 'private@test.com', privacy: { tripsVisibility: 'private' } },
+      { id: strangerId, name: 'Stranger', email: 'stranger@test.com' }
+    ])
+    await db.collection('circles').insertMany([
+      { id: circleId, name: 'Search Circle', ownerId: friendId },
+      { id: otherCircleId, name: 'Other Circle', ownerId: strangerId }
+    ])
+    await db.collection('memberships').insertMany([
+      { userId: viewerId, circleId, role: 'member' },
+      { userId: friendId, circleId, role: 'owner' },
+      { userId: privateId, circleId, role: 'member' },
+      { userId: strangerId, circleId: otherCircleId, role: 'owner' }
+    ])
+    await db.collection('trips').insertMany([
+      { id: tripId, name: 'Coast Trip', circleId, createdBy: friendId, type: 'collaborative', status: 'scheduling' },
+      // The viewer left this trip and a private traveler is still on it
+      { id: privateTripId, name: 'Private Trip', circleId, createdBy: privateId, type: 'collaborative', status: 'scheduling' },
+      { id: otherTripId, name: 'Other Trip', circleId: otherCircleId, createdBy: strangerId, type: 'collaborative', status: 'scheduling' }
+    ])
+    await db.collection('trip_participants').insertMany([
+      { tripId, userId: viewerId, status: 'active' },
+      { tripId, userId: friendId, status: 'active' },
+      { tripId, userId: privateId, status: 'left' },
+      { tripId: privateTripId, userId: viewerId, status: 'left' },
+      { tripId: privateTripId, userId: friendId, status: 'left' },
+      { tripId: privateTripId, userId: privateId, status: 'active' },
+      { tripId: otherTripId, userId: strangerId, status: 'active' }
+    ])
+
+    const createdAt = new Date().toISOString()
+    await db.collection('trip_messages').insertMany([
+      { id: 'msg-test-search-trip', tripId, circleId, userId: friendId, content: 'The lighthouse tour is at noon', createdAt },
+      { id: 'msg-test-search-private', tripId: privateTripId, circleId, userId: privateId, content: 'Lighthouse tickets booked', createdAt },
+      { id: 'msg-test-search-other', tripId: otherTripId, circleId: otherCircleId, userId: strangerId, content: 'Lighthouse at dawn', createdAt }
+    ])
+    await db.collection('circle_messages').insertMany([
+      { id: 'msg-test-search-circle', circleId, userId: friendId, content: 'Who wants to see the lighthouse?', createdAt },
+      { id: 'msg-test-search-circle-private', circleId, tripId: privateTripId, userId: privateId, content: 'Lighthouse plans are set', createdAt },
+      { id: 'msg-test-search-circle-other', circleId: otherCircleId, userId: strangerId, content: 'Lighthouse party', createdAt }
+    ])
+  })
+
+  function search(userId, params) {
+    const url = new URL('http://localhost:3000/api/messages/search')
+    for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value)
+    const request = new NextRequest(url, {
+      method: 'GET',
+      headers: { 'Authorization': `Bearer ${createToken(userId)}` }
+    })
+    return GET(request, { params: { path: ['messages', 'search'] } })
+  }
+
+  it('should only return messages from the viewer\'s circles and visible trips', async () => {
+    const response = await search(viewerId, { q: 'lighthouse' })
+
+    expect(response.status).toBe(200)
+    const data = await response.json()
+    const ids = data.results.map(r => r.id).sort()
+    expect(ids).toEqual(['msg-test-search-circle', 'msg-test-search-trip'])
+  })
+
+  it('should narrow to one trip\'s chat with tripId', async () => {
+    const response = await search(viewerId, { q: 'lighthouse', tripId })
+
+    expect(response.status).toBe(200)
+    const data = await response.json()
+    expect(data.results.map(r => r.id)).toEqual(['msg-test-search-trip'])
+    expect(data.results[0]).toMatchObject({ source: 'trip', tripName: 'Coast Trip' })
+  })
+
+  it('should return 404 for a trip in another circle or hidden by privacy', async () => {
+    const other = await search(viewerId, { q: 'lighthouse', tripId: otherTripId })
+    const hidden = await search(viewerId, { q: 'lighthouse', tripId: privateTripId })
+
+    expect(other.status).toBe(404)
+    expect(hidden.status).toBe(404)
+  })
+
+  it('should return 403 for a circle the viewer is not in', async () => {
+    const response = await search(viewerId, { q: 'lighthouse', circleId: otherCircleId })
+
+    expect(response.status).toBe(403)
+  })
+
+  it('should not search the viewer\'s circles for someone outside them', async () => {
+    const response = await search(strangerId, { q: 'lighthouse' })
+
+    expect(response.status).toBe(200)
+    const data = await response.json()
+    const ids = data.results.map(r => r.id).sort()
+    expect(ids).toEqual(['msg-test-search-circle-other', 'msg-test-search-other'])
+  })
+})
@@ -0,0 +1,152 @@
+/**
+ * API tests for ranked-choice ballots
+ *
+ * Tests:
+ * - POST /api/trips/:tripId/ranked-ballot
+ *
+ * Verifies:
+ * - Only active travelers can submit a ballot
+ * - Only trips in a ranked voting mode take ballots
+ * - Rankings must name the trip's own date options
+ * - Resubmitting replaces the traveler's one ballot; an empty ranking withdraws it
+ */
+
+import { NextRequest } from 'next/server'
+import jwt from 'jsonwebtoken'
+import { setupTestDatabase, teardownTestDatabase, JWT_SECRET } from '../testUtils/dbTestHarness.js'
+
+// Helper to create JWT token
+function createToken(userId) {
+  return jwt.sign({ userId }, JWT_SECRET)
+}
+
+// Import route handlers
+let POST
+
+describe('Ranked Ballot API', () => {
+  let client
+  let db
+
+  const leaderId = 'test-ballot-leader'
+  const travelerId = 'test-ballot-traveler'
+  const leftId = 'test-ballot-left'
+  const outsiderId = 'test-ballot-outsider'
+  const circleId = 'circle-test-ballot'
+  const tripId = 'trip-test-ballot'
+
+  beforeAll(async () => {
+    // Setup test database (sets env vars and resets connection)
+    const result = await setupTestDatabase()
+    db = result.db
+    client = result.client
+
+    // Import route handlers after env vars are set
+    const module = await import('@/app/api/[[...path]]/route.js')
+    POST = module.POST
+  })
+
+  afterAll(async () => {
+    await teardownTestDatabase(client)
+  })
+
+  beforeEach(async () => {
+    // Clean up test data before each test
+    await db.collection('users').deleteMany({ id: /^test-ballot-/ })
+    await db.collection('trips').deleteMany({ id: /^trip-test-ballot/ })
+    await db.collection('circles').deleteMany({ id: /^circle-test-ballot/ })
+    await db.collection('memberships').deleteMany({ userId: /^test-ballot-/ })
+    await db.collection('trip_participants').deleteMany({ tripId: /^trip-test-ballot/ })
+    await db.collection('date_windows').deleteMany({ tripId: /^trip-test-ballot/ })
+    await db.collection('ranked_ballots').deleteMany({ tripId: /^trip-test-ballot/ })
+
+    const members = [leaderId, travelerId, leftId]
+    await db.collection('users').insertMany(
+      [...members, outsiderId].map(id => ({ id, name: id, email: `${id}@test.com` }))
+    )
+    await db.collection('circles').insertOne({ id: circleId, name: 'Ballot Circle', ownerId: leaderId })
+    await db.collection('memberships').insertMany(
+      members.map(userId => ({ userId, circleId, role: userId === leaderId ? 'owner' : 'member', joinedAt: new Date().toISOString() }))
+    )
+    await db.collection('trips').insertOne({
+      id: tripId,
+      name: 'Ballot Trip',
+      circleId,
+      createdBy: leaderId,
+      type: 'collaborative',
+      status: 'scheduling',
+      votingMode: 'instant_runoff',
+      createdAt: new Date().toISOString()
+    })
+    await db.collection('trip_participants').insertMany([
+      { tripId, userId: leaderId, status: 'active' },
+      { tripId, userId: travelerId, status: 'active' },
+      { tripId, userId: leftId, status: 'left' }
+    ])
+    await db.collection('date_windows').insertMany([
+      { id: 'window-test-a', tripId, proposedBy: leaderId, startDate: '2026-07-01', endDate: '2026-07-05' },
+      { id: 'window-test-b', tripId, proposedBy: travelerId, startDate: '2026-08-01', endDate: '2026-08-05' },
+      { id: 'window-test-blocker', tripId, proposedBy: travelerId, windowType: 'blocker', startDate: '2026-09-01', endDate: '2026-09-05' }
+    ])
+  })
+
+  function submitBallot(userId, ranking) {
+    const url = new URL(`http://localhost:3000/api/trips/${tripId}/ranked-ballot`)
+    const request = new NextRequest(url, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${createToken(userId)}` },
+      body: JSON.stringify({ ranking })
+    })
+    return POST(request, { params: { path: ['trips', tripId, 'ranked-ballot'] } })
+  }
+
+  it('should save a traveler\'s ballot and replace it on resubmit', async () => {
+    const first = await submitBallot(travelerId, ['window-test-a', 'window-test-b'])
+    expect(first.status).toBe(200)
+
+    const second = await submitBallot(travelerId, ['window-test-b'])
+    expect(second.status).toBe(200)
+
+    const ballots = await db.collection('ranked_ballots').find({ tripId, userId: travelerId }).toArray()
+    expect(ballots).toHaveLength(1)
+    expect(ballots[0].ranking).toEqual(['window-test-b'])
+  })
+
+  it('should withdraw the ballot on an empty ranking', async () => {
+    await submitBallot(travelerId, ['window-test-a'])
+
+    const response = await submitBallot(travelerId, [])
+
+    expect(response.status).toBe(200)
+    expect(await db.collection('ranked_ballots').countDocuments({ tripId, userId: travelerId })).toBe(0)
+  })
+
+  it('should return 403 for someone outside the circle', async () => {
+    const response = await submitBallot(outsiderId, ['window-test-a'])
+
+    expect(response.status).toBe(403)
+    expect(await db.collection('ranked_ballots').countDocuments({ tripId })).toBe(0)
+  })
+
+  it('should return 403 for a traveler who left the trip', async () => {
+    const response = await submitBallot(leftId, ['window-test-a'])
+
+    expect(response.status).toBe(403)
+    expect(await db.collection('ranked_ballots').countDocuments({ tripId })).toBe(0)
+  })
+
+  it('should reject blocker windows and windows from other trips', async () => {
+    const blocker = await submitBallot(travelerId, ['window-test-blocker'])
+    const unknown = await submitBallot(travelerId, ['window-test-elsewhere'])
+
+    expect(blocker.status).toBe(400)
+    expect(unknown.status).toBe(400)
+  })
+
+  it('should return 400 when the trip uses approval voting', async () => {
+    await db.collection('trips').updateOne({ id: tripId }, { $set: { votingMode: 'approval' } })
+
+    const response = await submitBallot(travelerId, ['window-test-a'])
+
+    expect(response.status).toBe(400)
+  })
+})
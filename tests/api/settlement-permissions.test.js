@@ -0,0 +1,208 @@
+/**
+ * API tests for settlement confirm/dispute
+ *
+ * Tests:
+ * - PATCH /api/trips/:tripId/settlements/:settlementId
+ *
+ * Verifies:
+ * - Only active travelers can act, and only on boosted trips
+ * - Only the payer or the recipient can confirm or dispute
+ * - Whoever recorded a payment can't also confirm it
+ * - A leader-recorded payment can be confirmed by either party
+ * - Either party can dispute
+ */
+
+import { NextRequest } from 'next/server'
+import jwt from 'jsonwebtoken'
+import { setupTestDatabase, teardownTestDatabase, JWT_SECRET } from '../testUtils/dbTestHarness.js'
+
+// Helper to create JWT token
+function createToken(userId) {
+  return jwt.sign({ userId }, JWT_SECRET)
+}
+
+// Import route handlers
+let PATCH
+
+describe('Settlement confirm/dispute API', () => {
+  let client
+  let db
+
+  const leaderId = 'test-settle-leader'
+  const payerId = 'test-settle-payer'
+  const recipientId = 'test-settle-recipient'
+  const bystanderId = 'test-settle-bystander'
+  const outsiderId = 'test-settle-outsider'
+  const circleId = 'circle-test-settle'
+  const tripId = 'trip-test-settle'
+
+  beforeAll(async () => {
+    // Setup test database (sets env vars and resets connection)
+    const result = await setupTestDatabase()
+    db = result.db
+    client = result.client
+
+    // Import route handlers after env vars are set
+    const module = await import('@/app/api/trips/[tripId]/settlements/[settlementId]/route.js')
+    PATCH = module.PATCH
+  })
+
+  afterAll(async () => {
+    await teardownTestDatabase(client)
+  })
+
+  beforeEach(async () => {
+    // Clean up test data before each test
+    await db.collection('users').deleteMany({ id: /^test-settle-/ })
+    await db.collection('trips').deleteMany({ id: /^trip-test-settle/ })
+    await db.collection('circles').deleteMany({ id: /^circle-test-settle/ })
+    await db.collection('memberships').deleteMany({ userId: /^test-settle-/ })
+    await db.collection('trip_participants').deleteMany({ tripId: /^trip-test-settle/ })
+    await db.collection('settlements').deleteMany({ tripId: /^trip-test-settle/ })
+    await db.collection('trip_messages').deleteMany({ tripId: /^trip-test-settle/ })
+
+    await setupTrip()
+  })
+
+  async function setupTrip({ boostStatus = 'boosted' } = {}) {
+    const members = [leaderId, payerId, recipientId, bystanderId]
+    await db.collection('users').insertMany(
+      [...members, outsiderId].map(id => ({ id, name: id, email: `${id}@test.com` }))
+    )
+    await db.collection('circles').insertOne({ id: circleId, name: 'Settle Circle', ownerId: leaderId })
+    await db.collection('memberships').insertMany(
+      members.map(userId => ({ userId, circleId, role: userId === leaderId ? 'owner' : 'member', joinedAt: new Date().toISOString() }))
+    )
+    await db.collection('trips').insertOne({
+      id: tripId,
+      name: 'Settle Trip',
+      circleId,
+      createdBy: leaderId,
+      type: 'collaborative',
+      status: 'locked',
+      boostStatus,
+      createdAt: new Date().toISOString()
+    })
+    await db.collection('trip_participants').insertMany(
+      members.map(userId => ({ tripId, userId, status: 'active', joinedAt: new Date().toISOString() }))
+    )
+  }
+
+  async function createSettlement({ id = 'settlement-test-1', createdBy = payerId, status = 'pending' } = {}) {
+    const now = new Date().toISOString()
+    await db.collection('settlements').insertOne({
+      id,
+      tripId,
+      fromUserId: payerId,
+      toUserId: recipientId,
+      amountCents: 4500,
+      currency: 'USD',
+      paidAt: now,
+      status,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+      history: [{ action: 'recorded', userId: createdBy, at: now }]
+    })
+    return id
+  }
+
+  function patchSettlement(settlementId, userId, body) {
+    const url = new URL(`http://localhost:3000/api/trips/${tripId}/settlements/${settlementId}`)
+    const request = new NextRequest(url, {
+      method: 'PATCH',
+      headers: { 'Authorization': `Bearer ${createToken(userId)}` },
+      body: JSON.stringify(body)
+    })
+    return PATCH(request, { params: { tripId, settlementId } })
+  }
+
+  it('should let the recipient confirm a payment the payer recorded', async () => {
+    const settlementId = await createSettlement({ createdBy: payerId })
+
+    const response = await patchSettlement(settlementId, recipientId, { action: 'confirm' })
+
+    expect(response.status).toBe(200)
+    const data = await response.json()
+    expect(data.status).toBe('confirmed')
+    expect(data.history.at(-1)).toMatchObject({ action: 'confirmed', userId: recipientId })
+
+    const stored = await db.collection('settlements').findOne({ id: settlementId })
+    expect(stored.status).toBe('confirmed')
+  })
+
+  it('should not let the person who recorded a payment confirm it', async () => {
+    const settlementId = await createSettlement({ createdBy: payerId })
+
+    const response = await patchSettlement(settlementId, payerId, { action: 'confirm' })
+
+    expect(response.status).toBe(400)
+    const data = await response.json()
+    expect(data.error).toContain('other person')
+
+    const stored = await db.collection('settlements').findOne({ id: settlementId })
+    expect(stored.status).toBe('pending')
+  })
+
+  it('should let either party confirm a payment the leader recorded', async () => {
+    const settlementId = await createSettlement({ createdBy: leaderId })
+
+    const response = await patchSettlement(settlementId, payerId, { action: 'confirm' })
+
+    expect(response.status).toBe(200)
+    expect((await response.json()).status).toBe('confirmed')
+  })
+
+  it('should not let the leader confirm a payment they are not part of', async () => {
+    const settlementId = await createSettlement({ createdBy: payerId })
+
+    const response = await patchSettlement(settlementId, leaderId, { action: 'confirm' })
+
+    expect(response.status).toBe(403)
+  })
+
+  it('should not let a traveler outside the payment confirm or dispute it', async () => {
+    const settlementId = await createSettlement({ createdBy: payerId })
+
+    const confirm = await patchSettlement(settlementId, bystanderId, { action: 'confirm' })
+    const dispute = await patchSettlement(settlementId, bystanderId, { action: 'dispute' })
+
+    expect(confirm.status).toBe(403)
+    expect(dispute.status).toBe(403)
+  })
+
+  it('should return 403 for someone who is not a traveler', async () => {
+    const settlementId = await createSettlement({ createdBy: payerId })
+
+    const response = await patchSettlement(settlementId, outsiderId, { action: 'dispute' })
+
+    expect(response.status).toBe(403)
+  })
+
+  it('should let the payer dispute their own recorded payment', async () => {
+    const settlementId = await createSettlement({ createdBy: payerId })
+
+    const response = await patchSettlement(settlementId, payerId, { action: 'dispute', reason: 'Wrong amount' })
+
+    expect(response.status).toBe(200)
+    const data = await response.json()
+    expect(data.status).toBe('disputed')
+    expect(data.history.at(-1)).toMatchObject({ action: 'disputed', userId: payerId, reason: 'Wrong amount' })
+  })
+
+  it('should require a boosted trip', async () => {
+    await db.collection('trips').updateOne({ id: tripId }, { $set: { boostStatus: 'free' } })
+    const settlementId = await createSettlement({ createdBy: payerId })
+
+    const response = await patchSettlement(settlementId, recipientId, { action: 'confirm' })
+
+    expect(response.status).toBe(403)
+    expect((await response.json()).feature).toBe('settle_mark')
+  })
+
+  it('should return 404 for a payment on another trip', async () => {
+    const response = await patchSettlement('settlement-test-missing', recipientId, { action: 'confirm' })
+
+    expect(response.status).toBe(404)
+  })
+})
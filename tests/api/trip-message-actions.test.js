@@ -0,0 +1,199 @@
+/**
+ * API tests for editing and deleting trip chat messages
+ *
+ * Tests:
+ * - PATCH /api/trips/:tripId/messages/:messageId
+ * - DELETE /api/trips/:tripId/messages/:messageId
+ *
+ * Verifies:
+ * - Only the author can edit (not even the trip leader)
+ * - The author or the trip leader can delete; other travelers can't
+ * - Deleting clears the text from the message and from quotes of it
+ * - System chat cards can't be changed
+ * - Non-travelers are refused
+ */
+
+import { NextRequest } from 'next/server'
+import jwt from 'jsonwebtoken'
+import { setupTestDatabase, teardownTestDatabase, JWT_SECRET } from '../testUtils/dbTestHarness.js'
+
+// Helper to create JWT token
+function createToken(userId) {
+  return jwt.sign({ userId }, JWT_SECRET)
+}
+
+// Import route handlers
+let PATCH, DELETE
+
+describe('Trip Message Edit/Delete API', () => {
+  let client
+  let db
+
+  const leaderId = 'test-msg-leader'
+  const authorId = 'test-msg-author'
+  const travelerId = 'test-msg-traveler'
+  const outsiderId = 'test-msg-outsider'
+  const circleId = 'circle-test-msg'
+  const tripId = 'trip-test-msg'
+
+  beforeAll(async () => {
+    // Setup test database (sets env vars and resets connection)
+    const result = await setupTestDatabase()
+    db = result.db
+    client = result.client
+
+    // Import route handlers after env vars are set
+    const module = await import('@/app/api/[[...path]]/route.js')
+    PATCH = module.PATCH
+    DELETE = module.DELETE
+  })
+
+  afterAll(async () => {
+    await teardownTestDatabase(client)
+  })
+
+  beforeEach(async () => {
+    // Clean up test data before each test
+    await db.collection('users').deleteMany({ id: /^test-msg-/ })
+    await db.collection('trips').deleteMany({ id: /^trip-test-msg/ })
+    await db.collection('circles').deleteMany({ id: /^circle-test-msg/ })
+    await db.collection('memberships').deleteMany({ userId: /^test-msg-/ })
+    await db.collection('trip_participants').deleteMany({ tripId: /^trip-test-msg/ })
+    await db.collection('trip_messages').deleteMany({ tripId: /^trip-test-msg/ })
+
+    const members = [leaderId, authorId, travelerId]
+    await db.collection('users').insertMany(
+      [...members, outsiderId].map(id => ({ id, name: id, email: `${id}@test.com` }))
+    )
+    await db.collection('circles').insertOne({ id: circleId, name: 'Chat Circle', ownerId: leaderId })
+    await db.collection('memberships').insertMany(
+      members.map(userId => ({ userId, circleId, role: userId === leaderId ? 'owner' : 'member', joinedAt: new Date().toISOString() }))
+    )
+    await db.collection('trips').insertOne({
+      id: tripId,
+      name: 'Chat Trip',
+      circleId,
+      createdBy: leaderId,
+      type: 'collaborative',
+      status: 'scheduling',
+      createdAt: new Date().toISOString()
+    })
+    await db.collection('trip_participants').insertMany(
+      members.map(userId => ({ tripId, userId, status: 'active' }))
+    )
+  })
+
+  async function createMessage({ id, userId = authorId, content = 'Meet at the station at 9', isSystem = false, replyTo }) {
+    await db.collection('trip_messages').insertOne({
+      id,
+      tripId,
+      circleId,
+      userId: isSystem ? null : userId,
+      content,
+      isSystem,
+      ...(replyTo ? { replyTo } : {}),
+      createdAt: new Date().toISOString()
+    })
+    return id
+  }
+
+  function messageRequest(handler, method, messageId, userId, body) {
+    const url = new URL(`http://localhost:3000/api/trips/${tripId}/messages/${messageId}`)
+    const request = new NextRequest(url, {
+      method,
+      headers: { 'Authorization': `Bearer ${createToken(userId)}` },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    })
+    return handler(request, { params: { path: ['trips', tripId, 'messages', messageId] } })
+  }
+
+  describe('PATCH /api/trips/:tripId/messages/:messageId', () => {
+    it('should let the author edit their message', async () => {
+      const messageId = await createMessage({ id: 'msg-test-edit' })
+
+      const response = await messageRequest(PATCH, 'PATCH', messageId, authorId, { content: 'Meet at the station at 10' })
+
+      expect(response.status).toBe(200)
+      const data = await response.json()
+      expect(data.content).toBe('Meet at the station at 10')
+      expect(data.editedAt).toBeTruthy()
+    })
+
+    it('should not let the trip leader edit someone else\'s message', async () => {
+      const messageId = await createMessage({ id: 'msg-test-leader-edit' })
+
+      const response = await messageRequest(PATCH, 'PATCH', messageId, leaderId, { content: 'Changed' })
+
+      expect(response.status).toBe(403)
+      const stored = await db.collection('trip_messages').findOne({ id: messageId })
+      expect(stored.content).toBe('Meet at the station at 9')
+    })
+
+    it('should return 403 for someone who is not a traveler', async () => {
+      const messageId = await createMessage({ id: 'msg-test-outsider-edit' })
+
+      const response = await messageRequest(PATCH, 'PATCH', messageId, outsiderId, { content: 'Changed' })
+
+      expect(response.status).toBe(403)
+    })
+  })
+
+  describe('DELETE /api/trips/:tripId/messages/:messageId', () => {
+    it('should let the trip leader delete someone else\'s message and clear quotes of it', async () => {
+      const messageId = await createMessage({ id: 'msg-test-leader-delete' })
+      await createMessage({
+        id: 'msg-test-reply',
+        userId: travelerId,
+        content: 'Works for me',
+        replyTo: { messageId, userId: authorId, excerpt: 'Meet at the station at 9' }
+      })
+
+      const response = await messageRequest(DELETE, 'DELETE', messageId, leaderId)
+
+      expect(response.status).toBe(200)
+      const data = await response.json()
+      expect(data.deleted).toBe(true)
+      expect(data.content).toBe('')
+
+      const stored = await db.collection('trip_messages').findOne({ id: messageId })
+      expect(stored.deletedBy).toBe(leaderId)
+      const reply = await db.collection('trip_messages').findOne({ id: 'msg-test-reply' })
+      expect(reply.replyTo).toMatchObject({ excerpt: '', deleted: true })
+    })
+
+    it('should let the author delete their own message', async () => {
+      const messageId = await createMessage({ id: 'msg-test-author-delete' })
+
+      const response = await messageRequest(DELETE, 'DELETE', messageId, authorId)
+
+      expect(response.status).toBe(200)
+    })
+
+    it('should not let another traveler delete the message', async () => {
+      const messageId = await createMessage({ id: 'msg-test-traveler-delete' })
+
+      const response = await messageRequest(DELETE, 'DELETE', messageId, travelerId)
+
+      expect(response.status).toBe(403)
+      const stored = await db.collection('trip_messages').findOne({ id: messageId })
+      expect(stored.deletedAt).toBeUndefined()
+    })
+
+    it('should not let the leader delete a system chat card', async () => {
+      const messageId = await createMessage({ id: 'msg-test-system', isSystem: true, content: 'Dates locked' })
+
+      const response = await messageRequest(DELETE, 'DELETE', messageId, leaderId)
+
+      expect(response.status).toBe(400)
+    })
+
+    it('should return 400 for a message that is already deleted', async () => {
+      const messageId = await createMessage({ id: 'msg-test-twice' })
+      await messageRequest(DELETE, 'DELETE', messageId, authorId)
+
+      const response = await messageRequest(DELETE, 'DELETE', messageId, leaderId)
+
+      expect(response.status).toBe(400)
+    })
+  })
+})
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getMentionAliases,
+  findMentions,
+  parseMentions,
+  buildMentionPreview,
+  getMentionQuery,
+  filterMentionCandidates,
+  getPendingMentions,
+  MENTION_CONFIG,
+} from '@/lib/chat/mentions.js'
+
+const TRAVELERS = [
+  { id: 'sam', name: 'Sam Lee' },
+  { id: 'sam-k', name: 'Sam Kim' },
+  { id: 'alex', name: 'Alex Rivera' },
+  { id: 'jo', name: 'Jo' },
+]
+
+describe('getMentionAliases', () => {
+  it('should offer first names only when unambiguous', () => {
+    const aliases = getMentionAliases(TRAVELERS).map(a => a.alias)
+    expect(aliases).toContain('Alex')
+    expect(aliases).not.toContain('Sam')
+    expect(aliases).toContain('Sam Lee')
+    expect(aliases.filter(a => a === 'Jo')).toHaveLength(1)
+  })
+})
+
+describe('findMentions', () => {
+  it('should match full names and unique first names with ranges', () => {
+    const content = 'Hey @Sam Lee and @alex, flights?'
+    expect(findMentions(content, TRAVELERS)).toEqual([
+      { userId: 'sam', start: 4, end: 12 },
+      { userId: 'alex', start: 17, end: 22 },
+    ])
+  })
+
+  it('should ignore email addresses and partial words', () => {
+    expect(findMentions('mail jo@alex.com', TRAVELERS)).toEqual([])
+    expect(findMentions('@Joanna is coming', TRAVELERS)).toEqual([])
+  })
+
+  it('should not match an ambiguous first name', () => {
+    expect(findMentions('@Sam can you book?', TRAVELERS)).toEqual([])
+  })
+})
+
+describe('parseMentions', () => {
+  it('should keep self-mentions for highlighting but not notify the author', () => {
+    const result = parseMentions('@Jo and @Alex', TRAVELERS, 'jo')
+    expect(result.mentions.map(m => m.userId)).toEqual(['jo', 'alex'])
+    expect(result.mentionedUserIds).toEqual(['alex'])
+  })
+
+  it('should dedupe notified users', () => {
+    const result = parseMentions('@Alex @Alex Rivera', TRAVELERS, 'jo')
+    expect(result.mentions).toHaveLength(2)
+    expect(result.mentionedUserIds).toEqual(['alex'])
+  })
+
+  it('should cap distinct people per message', () => {
+    const many = Array.from({ length: MENTION_CONFIG.MAX_PER_MESSAGE + 2 }, (_, i) => ({ id: `u${i}`, name: `Person${i}` }))
+    const content = many.map(t => `@${t.name}`).join(' ')
+    expect(parseMentions(content, many, 'author').mentionedUserIds).toHaveLength(MENTION_CONFIG.MAX_PER_MESSAGE)
+  })
+})
+
+describe('buildMentionPreview', () => {
+  it('should collapse whitespace and truncate', () => {
+    expect(buildMentionPreview('  hi\n there ')).toBe('hi there')
+    const long = buildMentionPreview('x'.repeat(200))
+    expect(long).toHaveLength(MENTION_CONFIG.PREVIEW_LENGTH)
+    expect(long.endsWith('…')).toBe(true)
+  })
+})
+
+describe('getMentionQuery', () => {
+  it('should find the query being typed at the caret', () => {
+    expect(getMentionQuery('hey @Sa', 7)).toEqual({ start: 4, query: 'Sa' })
+    expect(getMentionQuery('@Sam L', 6)).toEqual({ start: 0, query: 'Sam L' })
+    expect(getMentionQuery('@', 1)).toEqual({ start: 0, query: '' })
+  })
+
+  it('should ignore emails and finished mentions', () => {
+    expect(getMentionQuery('jo@ex', 5)).toBeNull()
+    expect(getMentionQuery('@ Sam', 5)).toBeNull()
+    expect(getMentionQuery('no mention', 10)).toBeNull()
+  })
+})
+
+describe('filterMentionCandidates', () => {
+  it('should match the start of any name part', () => {
+    expect(filterMentionCandidates(TRAVELERS, 'ri').map(t => t.id)).toEqual(['alex'])
+    expect(filterMentionCandidates(TRAVELERS, 'sam').map(t => t.id)).toEqual(['sam', 'sam-k'])
+  })
+})
+
+describe('getPendingMentions', () => {
+  const now = new Date('2025-03-10T12:00:00.000Z')
+  const mention = (overrides) => ({
+    id: 'm1',
+    tripId: 't1',
+    userId: 'alex',
+    createdAt: '2025-03-10T10:00:00.000Z',
+    mentions: [{ userId: 'jo', start: 0, end: 3 }],
+    ...overrides,
+  })
+
+  it('should group pending mentions by trip, newest first', () => {
+    const result = getPendingMentions([
+      mention({ id: 'm1' }),
+      mention({ id: 'm2', createdAt: '2025-03-10T11:00:00.000Z' }),
+      mention({ id: 'm3', tripId: 't2' }),
+    ], 'jo', now)
+    expect(result.get('t1').map(m => m.id)).toEqual(['m2', 'm1'])
+    expect(result.get('t2').map(m => m.id)).toEqual(['m3'])
+  })
+
+  it('should clear mentions once the user posts in that trip', () => {
+    const result = getPendingMentions([
+      mention({ id: 'm1' }),
+      { id: 'r1', tripId: 't1', userId: 'jo', createdAt: '2025-03-10T10:30:00.000Z' },
+    ], 'jo', now)
+    expect(result.size).toBe(0)
+  })
+
+  it('should drop old mentions and mentions of other people', () => {
+    const result = getPendingMentions([
+      mention({ createdAt: '2025-02-01T10:00:00.000Z' }),
+      mention({ mentions: [{ userId: 'sam', start: 0, end: 4 }] }),
+    ], 'jo', now)
+    expect(result.size).toBe(0)
+  })
+})
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+import {
+  canActOnMessage,
+  isValidReaction,
+  summarizeReactions,
+  buildReplySnapshot,
+  REACTION_EMOJIS,
+  REPLY_EXCERPT_LENGTH,
+} from '@/lib/chat/messageActions.js'
+
+const message = (overrides) => ({ id: 'm1', userId: 'author', content: 'hi', isSystem: false, ...overrides })
+
+describe('canActOnMessage', () => {
+  it('should 404 when the message is missing', () => {
+    expect(canActOnMessage(null, 'react', { userId: 'u1' })).toMatchObject({ ok: false, status: 404 })
+  })
+
+  it('should reject any action on a deleted message', () => {
+    const deleted = message({ deletedAt: '2025-01-01T00:00:00.000Z' })
+    for (const action of ['react', 'edit', 'delete', 'reply']) {
+      expect(canActOnMessage(deleted, action, { userId: 'author' })).toMatchObject({ ok: false, status: 400 })
+    }
+  })
+
+  it('should keep system chat cards immutable but allow replying to them', () => {
+    const card = message({ userId: null, isSystem: true })
+    for (const action of ['react', 'edit', 'delete']) {
+      expect(canActOnMessage(card, action, { userId: 'leader', isLeader: true })).toMatchObject({ ok: false, status: 400 })
+    }
+    expect(canActOnMessage(card, 'reply', { userId: 'u1' })).toEqual({ ok: true })
+    expect(canActOnMessage(card, 'convert', { userId: 'u1' })).toMatchObject({ ok: false, status: 400 })
+  })
+
+  it('should let any traveler save a message as a trip item', () => {
+    expect(canActOnMessage(message(), 'convert', { userId: 'u2' })).toEqual({ ok: true })
+  })
+
+  it('should let only the author edit', () => {
+    expect(canActOnMessage(message(), 'edit', { userId: 'author' })).toEqual({ ok: true })
+    expect(canActOnMessage(message(), 'edit', { userId: 'leader', isLeader: true })).toMatchObject({ ok: false, status: 403 })
+  })
+
+  it('should let the author or the leader delete', () => {
+    expect(canActOnMessage(message(), 'delete', { userId: 'author' })).toEqual({ ok: true })
+    expect(canActOnMessage(message(), 'delete', { userId: 'leader', isLeader: true })).toEqual({ ok: true })
+    expect(canActOnMessage(message(), 'delete', { userId: 'u2' })).toMatchObject({ ok: false, status: 403 })
+  })
+
+  it('should let any traveler react', () => {
+    expect(canActOnMessage(message(), 'react', { userId: 'u2' })).toEqual({ ok: true })
+  })
+})
+
+describe('isValidReaction', () => {
+  it('should only accept palette emojis', () => {
+    expect(isValidReaction(REACTION_EMOJIS[0])).toBe(true)
+    expect(isValidReaction('🦄')).toBe(false)
+    expect(isValidReaction(undefined)).toBe(false)
+  })
+})
+
+describe('summarizeReactions', () => {
+  it('should group by emoji in palette order and flag the viewer', () => {
+    const result = summarizeReactions([
+      { emoji: '🎉', userId: 'u1' },
+      { emoji: '👍', userId: 'u2' },
+      { emoji: '👍', userId: 'u1' },
+      { emoji: '👍', userId: 'u1' },
+    ], 'u1')
+    expect(result).toEqual([
+      { emoji: '👍', count: 2, userIds: ['u2', 'u1'], reacted: true },
+      { emoji: '🎉', count: 1, userIds: ['u1'], reacted: true },
+    ])
+  })
+
+  it('should handle missing reactions', () => {
+    expect(summarizeReactions(undefined, 'u1')).toEqual([])
+  })
+})
+
+describe('buildReplySnapshot', () => {
+  it('should quote the author and a flattened excerpt', () => {
+    expect(buildReplySnapshot(message({ content: 'see\n  you there' }), 'Alex')).toEqual({
+      messageId: 'm1',
+      userId: 'author',
+      userName: 'Alex',
+      excerpt: 'see you there',
+      isSystem: false,
+    })
+  })
+
+  it('should truncate long messages', () => {
+    const { excerpt } = buildReplySnapshot(message({ content: 'x'.repeat(500) }))
+    expect(excerpt).toHaveLength(REPLY_EXCERPT_LENGTH)
+    expect(excerpt.endsWith('…')).toBe(true)
+  })
+})
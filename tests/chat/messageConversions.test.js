@@ -0,0 +1,185 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  extractAmount,
+  extractUrl,
+  detectAccommodationSource,
+  buildConversionTitle,
+  buildConversionDraft,
+  getConversionEventText,
+  loadConversionSource,
+  announceConversion,
+  CONVERSION_TITLE_LENGTH,
+} from '@/lib/chat/messageConversions.js'
+
+// Helper to create mock DB with a trip_messages row and its author
+const createMockDb = ({ message = null, author = null } = {}) => {
+  const collections = {
+    trip_messages: { findOne: vi.fn().mockResolvedValue(message) },
+    users: { findOne: vi.fn().mockResolvedValue(author) },
+  }
+  return { collection: vi.fn((name) => collections[name]), _collections: collections }
+}
+
+describe('extractAmount', () => {
+  it('should read symbol amounts', () => {
+    expect(extractAmount('Dinner was $45.50 total')).toEqual({ amountCents: 4550, currency: 'USD' })
+    expect(extractAmount('Tickets €12 each')).toEqual({ amountCents: 1200, currency: 'EUR' })
+    expect(extractAmount('£1,250 for the villa')).toEqual({ amountCents: 125000, currency: 'GBP' })
+  })
+
+  it('should read currency codes before or after the number', () => {
+    expect(extractAmount('Ramen 1,200 JPY')).toEqual({ amountCents: 120000, currency: 'JPY' })
+    expect(extractAmount('Taxi EUR 30')).toEqual({ amountCents: 3000, currency: 'EUR' })
+  })
+
+  it('should take the first amount in the message', () => {
+    expect(extractAmount('EUR 20 or $30?')).toEqual({ amountCents: 2000, currency: 'EUR' })
+  })
+
+  it('should treat "$" as the base currency when it is a dollar currency', () => {
+    expect(extractAmount('$80 a night', 'AUD')).toEqual({ amountCents: 8000, currency: 'AUD' })
+    expect(extractAmount('$80 a night', 'EUR')).toEqual({ amountCents: 8000, currency: 'USD' })
+  })
+
+  it('should ignore plain numbers and lowercase words', () => {
+    expect(extractAmount('We are 4 people, lets try 2 places')).toBeNull()
+    expect(extractAmount('')).toBeNull()
+  })
+})
+
+describe('extractUrl', () => {
+  it('should find the first link without trailing punctuation', () => {
+    expect(extractUrl('Look: https://www.airbnb.com/rooms/123. Thoughts?')).toBe('https://www.airbnb.com/rooms/123')
+    expect(extractUrl('no link here')).toBeNull()
+  })
+})
+
+describe('detectAccommodationSource', () => {
+  it('should map listing hosts to accommodation sources', () => {
+    expect(detectAccommodationSource('https://www.airbnb.co.uk/rooms/1')).toBe('AIRBNB')
+    expect(detectAccommodationSource('https://www.booking.com/hotel/x')).toBe('BOOKING')
+    expect(detectAccommodationSource('https://vrbo.com/123')).toBe('VRBO')
+    expect(detectAccommodationSource('https://example.com')).toBe('OTHER')
+    expect(detectAccommodationSource('not a url')).toBe('OTHER')
+  })
+})
+
+describe('buildConversionTitle', () => {
+  it('should use the first line without links', () => {
+    expect(buildConversionTitle('\nCasa Azul https://x.com/a\nsecond line', 80)).toBe('Casa Azul')
+  })
+
+  it('should fall back to the link host for link-only messages', () => {
+    expect(buildConversionTitle('https://www.airbnb.com/rooms/123', 80)).toBe('airbnb.com')
+  })
+
+  it('should truncate to the limit', () => {
+    const title = buildConversionTitle('x'.repeat(300), CONVERSION_TITLE_LENGTH.idea)
+    expect(title).toHaveLength(CONVERSION_TITLE_LENGTH.idea)
+    expect(title.endsWith('…')).toBe(true)
+  })
+})
+
+describe('buildConversionDraft', () => {
+  const message = { id: 'm1', content: 'Sushi Dai — about ¥4000 each\nhttps://www.booking.com/hotel/abc' }
+
+  it('should pre-fill an expense with the amount and back-link', () => {
+    expect(buildConversionDraft(message, 'expense')).toEqual({
+      title: 'Sushi Dai — about ¥4000 each',
+      amountCents: 400000,
+      currency: 'JPY',
+      sourceMessageId: 'm1',
+    })
+  })
+
+  it('should default the expense currency to the base when no amount is found', () => {
+    const draft = buildConversionDraft({ id: 'm2', content: 'Groceries' }, 'expense', { baseCurrency: 'CAD' })
+    expect(draft).toMatchObject({ amountCents: null, currency: 'CAD' })
+  })
+
+  it('should build an accommodation option from a listing link', () => {
+    const draft = buildConversionDraft(message, 'accommodation')
+    expect(draft).toMatchObject({
+      url: 'https://www.booking.com/hotel/abc',
+      source: 'BOOKING',
+      priceRange: '4,000 JPY',
+      sourceMessageId: 'm1',
+    })
+    expect(draft.notes).toBe(message.content)
+  })
+
+  it('should build ideas, prep items and polls', () => {
+    expect(buildConversionDraft(message, 'idea')).toEqual({ text: 'Sushi Dai — about ¥4000 each', sourceMessageId: 'm1' })
+    expect(buildConversionDraft(message, 'prep')).toMatchObject({ category: 'other', sourceMessageId: 'm1' })
+    expect(buildConversionDraft(message, 'poll')).toMatchObject({ question: 'Sushi Dai — about ¥4000 each' })
+  })
+
+  it('should return null for unknown targets', () => {
+    expect(buildConversionDraft(message, 'flight')).toBeNull()
+  })
+})
+
+describe('getConversionEventText', () => {
+  it('should name whose message was saved', () => {
+    expect(getConversionEventText({ actorName: 'Alex', authorName: 'Sam', isOwnMessage: false, target: 'prep' }))
+      .toBe("Alex saved Sam's chat message as a prep item")
+    expect(getConversionEventText({ actorName: 'Alex', authorName: 'Alex', isOwnMessage: true, target: 'expense' }))
+      .toBe('Alex saved their chat message as an expense')
+  })
+})
+
+describe('loadConversionSource', () => {
+  it('should return the message and its author name', async () => {
+    const db = createMockDb({ message: { id: 'm1', tripId: 't1', userId: 'sam', content: 'hi' }, author: { name: 'Sam' } })
+    const result = await loadConversionSource(db, 't1', 'm1', 'alex')
+    expect(db._collections.trip_messages.findOne).toHaveBeenCalledWith({ tripId: 't1', id: 'm1' })
+    expect(result).toMatchObject({ ok: true, authorName: 'Sam', message: { id: 'm1' } })
+  })
+
+  it('should reject missing, deleted and system messages', async () => {
+    expect(await loadConversionSource(createMockDb(), 't1', 'm1', 'alex')).toMatchObject({ ok: false, status: 404 })
+    expect(await loadConversionSource(createMockDb({ message: { id: 'm1', deletedAt: '2025-01-01' } }), 't1', 'm1', 'alex'))
+      .toMatchObject({ ok: false, status: 400 })
+    expect(await loadConversionSource(createMockDb({ message: { id: 'm1', isSystem: true } }), 't1', 'm1', 'alex'))
+      .toMatchObject({ ok: false, status: 400 })
+    expect(await loadConversionSource(createMockDb(), 't1', 42, 'alex')).toMatchObject({ ok: false, status: 400 })
+  })
+
+  it('should pass artifacts that are not saved from chat', async () => {
+    const db = createMockDb()
+    expect(await loadConversionSource(db, 't1', undefined, 'alex')).toEqual({ ok: true, message: null, authorName: null })
+    expect(await loadConversionSource(db, 't1', '', 'alex')).toMatchObject({ ok: true, message: null })
+    expect(db._collections.trip_messages.findOne).not.toHaveBeenCalled()
+  })
+})
+
+describe('announceConversion', () => {
+  const trip = { id: 't1', circleId: 'c1' }
+  const actor = { id: 'alex', name: 'Alex' }
+  const source = { ok: true, message: { id: 'm1', userId: 'sam' }, authorName: 'Sam' }
+
+  it('should post a chat note linking back to the message', async () => {
+    const emit = vi.fn().mockResolvedValue({})
+    await announceConversion(emit, { trip, actor, source, target: 'prep', artifactId: 'p1' })
+    expect(emit).toHaveBeenCalledWith({
+      tripId: 't1',
+      circleId: 'c1',
+      actorUserId: 'alex',
+      subtype: 'message_converted',
+      text: "Alex saved Sam's chat message as a prep item",
+      metadata: { target: 'prep', prepItemId: 'p1', sourceMessageId: 'm1' },
+      dedupeKey: 'converted:prep:p1'
+    })
+  })
+
+  it('should do nothing without a source message and never throw', async () => {
+    const emit = vi.fn().mockRejectedValue(new Error('db down'))
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    await announceConversion(emit, { trip, actor, source: { ok: true, message: null }, target: 'poll', artifactId: 'd1' })
+    expect(emit).not.toHaveBeenCalled()
+
+    await expect(announceConversion(emit, { trip, actor, source, target: 'poll', artifactId: 'd1' })).resolves.toBeUndefined()
+    expect(error).toHaveBeenCalledWith('[chat] conversion event failed:', 'db down')
+    error.mockRestore()
+  })
+})
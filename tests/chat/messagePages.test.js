@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parsePageParams,
+  buildPageQuery,
+  MESSAGE_PAGE_CONFIG,
+} from '@/lib/chat/messagePages.js'
+
+const params = (query) => new URLSearchParams(query)
+
+describe('parsePageParams', () => {
+  it('should default to the newest page', () => {
+    expect(parsePageParams(params(''))).toEqual({
+      ok: true,
+      before: null,
+      after: null,
+      limit: MESSAGE_PAGE_CONFIG.DEFAULT_LIMIT,
+    })
+  })
+
+  it('should read a cursor and cap the limit', () => {
+    const result = parsePageParams(params('before=m5&limit=1000'))
+    expect(result).toEqual({ ok: true, before: 'm5', after: null, limit: MESSAGE_PAGE_CONFIG.MAX_LIMIT })
+  })
+
+  it('should reject both cursors at once', () => {
+    expect(parsePageParams(params('before=m1&after=m2')).ok).toBe(false)
+  })
+
+  it('should reject a non-numeric or zero limit', () => {
+    expect(parsePageParams(params('limit=abc')).ok).toBe(false)
+    expect(parsePageParams(params('limit=0')).ok).toBe(false)
+    expect(parsePageParams(params('limit=2.5')).ok).toBe(false)
+  })
+})
+
+describe('buildPageQuery', () => {
+  const cursor = { id: 'm5', createdAt: '2025-01-01T10:00:00.000Z' }
+
+  it('should read the newest page backwards without a cursor', () => {
+    expect(buildPageQuery('t1', null)).toEqual({
+      filter: { tripId: 't1' },
+      sort: { createdAt: -1, id: -1 },
+      newestFirst: true,
+    })
+  })
+
+  it('should page back before the cursor, tie-breaking on id', () => {
+    expect(buildPageQuery('t1', cursor, 'before')).toEqual({
+      filter: {
+        tripId: 't1',
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, id: { $lt: 'm5' } },
+        ],
+      },
+      sort: { createdAt: -1, id: -1 },
+      newestFirst: true,
+    })
+  })
+
+  it('should page forward after the cursor in order', () => {
+    const query = buildPageQuery('t1', cursor, 'after')
+    expect(query.filter.$or).toEqual([
+      { createdAt: { $gt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, id: { $gt: 'm5' } },
+    ])
+    expect(query.sort).toEqual({ createdAt: 1, id: 1 })
+    expect(query.newestFirst).toBe(false)
+  })
+})
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import {
+  validateSearchQuery,
+  getSearchTerms,
+  buildSnippet,
+  SEARCH_CONFIG,
+} from '@/lib/chat/messageSearch.js'
+
+describe('validateSearchQuery', () => {
+  it('should trim and accept a normal query', () => {
+    expect(validateSearchQuery('  airbnb link ')).toEqual({ ok: true, query: 'airbnb link' })
+  })
+
+  it('should reject short, long and missing queries', () => {
+    expect(validateSearchQuery('a').ok).toBe(false)
+    expect(validateSearchQuery('x'.repeat(SEARCH_CONFIG.MAX_QUERY_LENGTH + 1)).ok).toBe(false)
+    expect(validateSearchQuery(undefined).ok).toBe(false)
+    expect(validateSearchQuery(42).ok).toBe(false)
+  })
+})
+
+describe('getSearchTerms', () => {
+  it('should lowercase, dedupe and drop negations and quotes', () => {
+    expect(getSearchTerms('Airbnb "link" -hotel airbnb')).toEqual(['airbnb', 'link'])
+  })
+
+  it('should skip single characters', () => {
+    expect(getSearchTerms('a bc')).toEqual(['bc'])
+  })
+})
+
+describe('buildSnippet', () => {
+  it('should highlight every match in a short message', () => {
+    const snippet = buildSnippet('Airbnb link: airbnb.com/rooms/1', ['airbnb'])
+    expect(snippet.text).toBe('Airbnb link: airbnb.com/rooms/1')
+    expect(snippet.highlights).toEqual([[0, 6], [13, 19]])
+  })
+
+  it('should cut around the first match with ellipses and shifted offsets', () => {
+    const content = `${'x'.repeat(100)} the villa ${'y'.repeat(200)}`
+    const snippet = buildSnippet(content, ['villa'], 10)
+    expect(snippet.text.startsWith('…')).toBe(true)
+    expect(snippet.text.endsWith('…')).toBe(true)
+    const [[start, end]] = snippet.highlights
+    expect(snippet.text.slice(start, end)).toBe('villa')
+  })
+
+  it('should match inside longer words', () => {
+    const snippet = buildSnippet('Posted the links', ['link'])
+    expect(snippet.text.slice(...snippet.highlights[0])).toBe('link')
+  })
+
+  it('should fall back to the start of the message without terms', () => {
+    const snippet = buildSnippet('z'.repeat(50), [], 10)
+    expect(snippet).toEqual({ text: `${'z'.repeat(20)}…`, highlights: [] })
+  })
+})
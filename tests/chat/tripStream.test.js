@@ -0,0 +1,151 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  formatSSE,
+  getStreamEventType,
+  getStreamPollInterval,
+  toStreamMessage,
+  resolveStreamCursor,
+  readMessagesSince,
+  STREAM_EVENT,
+  STREAM_CONFIG,
+} from '@/lib/chat/tripStream.js'
+
+// Helper to create mock DB whose trip_messages query returns `rows`
+const createMockDb = ({ findOne = null, rows = [] } = {}) => {
+  const limit = vi.fn().mockReturnValue({ toArray: vi.fn().mockResolvedValue(rows) })
+  const sort = vi.fn().mockReturnValue({ limit })
+  const mockCollection = {
+    findOne: vi.fn().mockResolvedValue(findOne),
+    find: vi.fn().mockReturnValue({ sort }),
+  }
+  return {
+    collection: vi.fn().mockReturnValue(mockCollection),
+    _mockCollection: mockCollection,
+    _limit: limit,
+  }
+}
+
+describe('formatSSE', () => {
+  it('should serialize event, id and JSON data', () => {
+    expect(formatSSE({ event: 'message', id: 'm1', data: { a: 1 } }))
+      .toBe('id: m1\nevent: message\ndata: {"a":1}\n\n')
+  })
+
+  it('should include retry and default data to null', () => {
+    expect(formatSSE({ event: 'reconnect', retry: 3000 }))
+      .toBe('retry: 3000\nevent: reconnect\ndata: null\n\n')
+  })
+})
+
+describe('getStreamEventType', () => {
+  it('should classify nudge cards, system events and user messages', () => {
+    expect(getStreamEventType({ isSystem: true, subtype: 'nudge' })).toBe(STREAM_EVENT.NUDGE)
+    expect(getStreamEventType({ isSystem: true, subtype: 'milestone' })).toBe(STREAM_EVENT.CHAT_EVENT)
+    expect(getStreamEventType({ isSystem: false })).toBe(STREAM_EVENT.MESSAGE)
+  })
+})
+
+describe('getStreamPollInterval', () => {
+  it('should poll fast while the trip is active and back off when idle', () => {
+    expect(getStreamPollInterval(0)).toBe(STREAM_CONFIG.POLL_INTERVAL_MS)
+    expect(getStreamPollInterval(STREAM_CONFIG.IDLE_STEP_MS)).toBe(STREAM_CONFIG.POLL_INTERVAL_MS * 2)
+    expect(getStreamPollInterval(60 * 60 * 1000)).toBe(STREAM_CONFIG.MAX_POLL_INTERVAL_MS)
+  })
+})
+
+describe('toStreamMessage', () => {
+  it('should match the GET /messages shape', () => {
+    const usersById = new Map([['u1', { id: 'u1', name: 'Alex', email: 'a@x.com' }]])
+    const result = toStreamMessage(
+      { id: 'm1', tripId: 't1', userId: 'u1', content: 'hi', isSystem: false, createdAt: '2025-01-01T00:00:00.000Z' },
+      usersById
+    )
+    expect(result).toEqual({
+      id: 'm1',
+      content: 'hi',
+      isSystem: false,
+      subtype: null,
+      metadata: {},
+      mentions: [],
+      reactions: [],
+      replyTo: null,
+      editedAt: null,
+      deleted: false,
+      createdAt: '2025-01-01T00:00:00.000Z',
+      userId: 'u1',
+      user: { id: 'u1', name: 'Alex' },
+    })
+  })
+
+  it('should leave user null for system messages', () => {
+    const result = toStreamMessage({ id: 'm2', content: 'Dates locked', isSystem: true, userId: null }, new Map())
+    expect(result.user).toBeNull()
+  })
+})
+
+describe('resolveStreamCursor', () => {
+  it('should resume after a known message', async () => {
+    const db = createMockDb({ findOne: { id: 'm5', createdAt: '2025-01-01T10:00:00.000Z' } })
+    const cursor = await resolveStreamCursor(db, 't1', 'm5')
+    expect(db._mockCollection.findOne).toHaveBeenCalledWith({ tripId: 't1', id: 'm5' })
+    expect(cursor).toEqual({ createdAt: '2025-01-01T10:00:00.000Z', seenIds: ['m5'] })
+  })
+
+  it('should start from now for unknown or missing ids', async () => {
+    const now = new Date('2025-02-01T00:00:00.000Z')
+    const db = createMockDb()
+    expect(await resolveStreamCursor(db, 't1', 'derived-votes-t1', now))
+      .toEqual({ createdAt: now.toISOString(), seenIds: [] })
+    expect(await resolveStreamCursor(db, 't1', null, now))
+      .toEqual({ createdAt: now.toISOString(), seenIds: [] })
+  })
+})
+
+describe('readMessagesSince', () => {
+  const cursor = { createdAt: '2025-01-01T10:00:00.000Z', seenIds: ['m1'] }
+
+  it('should query past the cursor and keep it when nothing is new', async () => {
+    const db = createMockDb()
+    const result = await readMessagesSince(db, 't1', cursor)
+    expect(db._mockCollection.find).toHaveBeenCalledWith({
+      tripId: 't1',
+      $or: [
+        { createdAt: { $gt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, id: { $nin: ['m1'] } },
+      ],
+    })
+    expect(db._limit).toHaveBeenCalledWith(STREAM_CONFIG.BATCH_LIMIT)
+    expect(result).toEqual({ messages: [], cursor })
+  })
+
+  it('should advance to the newest timestamp and track ids sharing it', async () => {
+    const rows = [
+      { id: 'm2', createdAt: '2025-01-01T10:00:05.000Z' },
+      { id: 'm3', createdAt: '2025-01-01T10:00:09.000Z' },
+      { id: 'm4', createdAt: '2025-01-01T10:00:09.000Z' },
+    ]
+    const result = await readMessagesSince(createMockDb({ rows }), 't1', cursor)
+    expect(result.messages).toEqual(rows)
+    expect(result.cursor).toEqual({ createdAt: '2025-01-01T10:00:09.000Z', seenIds: ['m3', 'm4'] })
+  })
+
+  it('should keep earlier seen ids when new messages share the cursor timestamp', async () => {
+    const rows = [{ id: 'm2', createdAt: cursor.createdAt }]
+    const result = await readMessagesSince(createMockDb({ rows }), 't1', cursor)
+    expect(result.cursor).toEqual({ createdAt: cursor.createdAt, seenIds: ['m1', 'm2'] })
+  })
+
+  it('should read updates by updatedAt so a re-edited message comes back', async () => {
+    const rows = [{ id: 'm1', updatedAt: '2025-01-01T10:05:00.000Z' }]
+    const db = createMockDb({ rows })
+    const result = await readMessagesSince(db, 't1', cursor, 'updatedAt')
+    expect(db._mockCollection.find).toHaveBeenCalledWith({
+      tripId: 't1',
+      $or: [
+        { updatedAt: { $gt: cursor.createdAt } },
+        { updatedAt: cursor.createdAt, id: { $nin: ['m1'] } },
+      ],
+    })
+    expect(result.cursor).toEqual({ createdAt: '2025-01-01T10:05:00.000Z', seenIds: ['m1'] })
+  })
+})
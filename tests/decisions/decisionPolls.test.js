@@ -0,0 +1,225 @@
+import { describe, it, expect } from 'vitest'
+import {
+  validateDecisionInput,
+  validateBallot,
+  tallyDecision,
+  resolveWinningOption,
+  serializeDecision,
+  validateDecisionSettings,
+  isPastDeadline,
+  isNudgeDue,
+  getNonVoterIds,
+  resolveAutoCloseOutcome,
+  MAX_OPTIONS,
+} from '@/lib/decisions/decisionPolls'
+
+const OPTIONS = [
+  { id: 'a', label: 'Pizza' },
+  { id: 'b', label: 'Sushi' },
+  { id: 'c', label: 'Tacos' },
+]
+
+function decision(overrides = {}) {
+  return { id: 'd1', options: OPTIONS, multiChoice: false, votes: [], status: 'open', ...overrides }
+}
+
+describe('validateDecisionInput', () => {
+  it('trims input and assigns option ids', () => {
+    const result = validateDecisionInput({ question: '  Dinner?  ', options: [' Pizza ', 'Sushi', ''] })
+    expect(result.ok).toBe(true)
+    expect(result.question).toBe('Dinner?')
+    expect(result.options.map(o => o.label)).toEqual(['Pizza', 'Sushi'])
+    expect(result.options.every(o => typeof o.id === 'string' && o.id)).toBe(true)
+    expect(result.multiChoice).toBe(false)
+  })
+
+  it('rejects a missing question', () => {
+    expect(validateDecisionInput({ question: ' ', options: ['a', 'b'] }).ok).toBe(false)
+  })
+
+  it('rejects too few or too many options', () => {
+    expect(validateDecisionInput({ question: 'Q', options: ['a'] }).ok).toBe(false)
+    const many = Array.from({ length: MAX_OPTIONS + 1 }, (_, i) => `opt ${i}`)
+    expect(validateDecisionInput({ question: 'Q', options: many }).ok).toBe(false)
+  })
+
+  it('rejects duplicate options regardless of case', () => {
+    const result = validateDecisionInput({ question: 'Q', options: ['Pizza', 'pizza'] })
+    expect(result).toEqual({ ok: false, message: 'Options must be different from each other' })
+  })
+})
+
+describe('validateBallot', () => {
+  it('allows one option on single-choice polls', () => {
+    expect(validateBallot(decision(), ['a'])).toEqual({ ok: true, optionIds: ['a'] })
+    expect(validateBallot(decision(), ['a', 'b']).ok).toBe(false)
+  })
+
+  it('allows several options on multi-choice polls and dedupes them', () => {
+    expect(validateBallot(decision({ multiChoice: true }), ['a', 'b', 'a'])).toEqual({ ok: true, optionIds: ['a', 'b'] })
+  })
+
+  it('accepts an empty ballot to withdraw a vote', () => {
+    expect(validateBallot(decision(), [])).toEqual({ ok: true, optionIds: [] })
+  })
+
+  it('rejects unknown options', () => {
+    expect(validateBallot(decision(), ['zzz']).ok).toBe(false)
+  })
+})
+
+describe('tallyDecision', () => {
+  it('counts votes and finds an outright winner', () => {
+    const result = tallyDecision(decision({
+      votes: [
+        { userId: 'u1', optionId: 'a' },
+        { userId: 'u2', optionId: 'a' },
+        { userId: 'u3', optionId: 'b' },
+      ]
+    }))
+    expect(result.options.map(o => o.count)).toEqual([2, 1, 0])
+    expect(result.voterCount).toBe(3)
+    expect(result.winningOptionId).toBe('a')
+  })
+
+  it('reports every tied leader and no winner on a tie', () => {
+    const result = tallyDecision(decision({
+      votes: [
+        { userId: 'u1', optionId: 'a' },
+        { userId: 'u2', optionId: 'b' },
+      ]
+    }))
+    expect(result.leadingOptionIds).toEqual(['a', 'b'])
+    expect(result.winningOptionId).toBeNull()
+  })
+
+  it('counts multi-choice voters once in voterCount', () => {
+    const result = tallyDecision(decision({
+      multiChoice: true,
+      votes: [
+        { userId: 'u1', optionId: 'a' },
+        { userId: 'u1', optionId: 'b' },
+      ]
+    }))
+    expect(result.voterCount).toBe(1)
+    expect(result.leadingOptionIds).toEqual(['a', 'b'])
+  })
+
+  it('has no leader when nobody has voted', () => {
+    expect(tallyDecision(decision()).leadingOptionIds).toEqual([])
+  })
+})
+
+describe('resolveWinningOption', () => {
+  const tied = decision({ votes: [{ userId: 'u1', optionId: 'a' }, { userId: 'u2', optionId: 'b' }] })
+
+  it('needs an explicit pick to break a tie', () => {
+    expect(resolveWinningOption(tied)).toMatchObject({ ok: false, tie: true })
+    expect(resolveWinningOption(tied, 'b')).toEqual({ ok: true, winningOptionId: 'b' })
+  })
+
+  it('closes with no winner when nobody voted', () => {
+    expect(resolveWinningOption(decision())).toEqual({ ok: true, winningOptionId: null })
+  })
+
+  it('rejects an unknown explicit pick', () => {
+    expect(resolveWinningOption(tied, 'zzz').ok).toBe(false)
+  })
+})
+
+describe('serializeDecision', () => {
+  it('strips _id and adds results and the viewer picks', () => {
+    const result = serializeDecision(
+      decision({ _id: 'mongo', votes: [{ userId: 'me', optionId: 'c' }, { userId: 'u2', optionId: 'a' }] }),
+      'me'
+    )
+    expect(result._id).toBeUndefined()
+    expect(result.viewerOptionIds).toEqual(['c'])
+    expect(result.results.voterCount).toBe(2)
+  })
+})
+
+describe('validateDecisionSettings', () => {
+  const now = new Date('2026-06-01T12:00:00Z')
+  const BOOSTED = { id: 't1', boostStatus: 'boosted' }
+  const FREE = { id: 't1', boostStatus: 'free' }
+
+  it('accepts a deadline with auto-close on a boosted trip', () => {
+    const result = validateDecisionSettings(
+      { deadline: '2026-06-02T12:00:00Z', autoClose: true },
+      { trip: BOOSTED, isLeader: false, now }
+    )
+    expect(result).toEqual({
+      ok: true,
+      updates: { deadline: '2026-06-02T12:00:00.000Z', nudgedAt: null, deadlineHandledAt: null, autoClose: true }
+    })
+  })
+
+  it('gates deadlines on free trips', () => {
+    const result = validateDecisionSettings({ deadline: '2026-06-02T12:00:00Z' }, { trip: FREE, isLeader: true, now })
+    expect(result).toMatchObject({ ok: false, status: 403, feature: 'decision_deadline' })
+  })
+
+  it('rejects deadlines in the past or too far out', () => {
+    expect(validateDecisionSettings({ deadline: '2026-06-01T12:05:00Z' }, { trip: BOOSTED, isLeader: true, now }).ok).toBe(false)
+    expect(validateDecisionSettings({ deadline: '2026-08-01T12:00:00Z' }, { trip: BOOSTED, isLeader: true, now }).ok).toBe(false)
+  })
+
+  it('needs a deadline to auto-close', () => {
+    const result = validateDecisionSettings({ autoClose: true }, { trip: BOOSTED, isLeader: true, now })
+    expect(result).toMatchObject({ ok: false, status: 400 })
+  })
+
+  it('lets only the leader set the tie-break rule', () => {
+    expect(validateDecisionSettings({ tieBreak: 'first_listed' }, { trip: BOOSTED, isLeader: false, now }))
+      .toMatchObject({ ok: false, status: 403 })
+    expect(validateDecisionSettings({ tieBreak: 'first_listed' }, { trip: BOOSTED, isLeader: true, now }))
+      .toEqual({ ok: true, updates: { tieBreak: 'first_listed' } })
+    expect(validateDecisionSettings({ tieBreak: 'coin_flip' }, { trip: BOOSTED, isLeader: true, now }).ok).toBe(false)
+  })
+
+  it('clearing the deadline turns auto-close off', () => {
+    const result = validateDecisionSettings({ deadline: null }, { trip: FREE, isLeader: false, now })
+    expect(result).toEqual({ ok: true, updates: { deadline: null, nudgedAt: null, deadlineHandledAt: null, autoClose: false } })
+  })
+})
+
+describe('deadline helpers', () => {
+  const now = new Date('2026-06-01T12:00:00Z')
+
+  it('isPastDeadline', () => {
+    expect(isPastDeadline(decision(), now)).toBe(false)
+    expect(isPastDeadline(decision({ deadline: '2026-06-01T11:00:00Z' }), now)).toBe(true)
+  })
+
+  it('isNudgeDue only inside the window and only once', () => {
+    expect(isNudgeDue(decision({ deadline: '2026-06-01T20:00:00Z' }), now)).toBe(true)
+    expect(isNudgeDue(decision({ deadline: '2026-06-03T12:00:00Z' }), now)).toBe(false)
+    expect(isNudgeDue(decision({ deadline: '2026-06-01T20:00:00Z', nudgedAt: '2026-06-01T10:00:00Z' }), now)).toBe(false)
+  })
+
+  it('getNonVoterIds', () => {
+    expect(getNonVoterIds(decision({ votes: [{ userId: 'u1', optionId: 'a' }] }), ['u1', 'u2'])).toEqual(['u2'])
+  })
+})
+
+describe('resolveAutoCloseOutcome', () => {
+  const tiedVotes = [
+    { userId: 'u1', optionId: 'b', votedAt: '2026-06-01T09:00:00Z' },
+    { userId: 'u2', optionId: 'a', votedAt: '2026-06-01T10:00:00Z' },
+  ]
+
+  it('closes with an outright winner regardless of rule', () => {
+    expect(resolveAutoCloseOutcome(decision({ votes: [tiedVotes[0]] }))).toEqual({ close: true, winningOptionId: 'b' })
+  })
+
+  it('leaves a tie to the leader by default', () => {
+    expect(resolveAutoCloseOutcome(decision({ votes: tiedVotes }))).toEqual({ close: false, tie: true })
+  })
+
+  it('breaks ties by listed order, first vote or not at all', () => {
+    expect(resolveAutoCloseOutcome(decision({ votes: tiedVotes, tieBreak: 'first_listed' })).winningOptionId).toBe('a')
+    expect(resolveAutoCloseOutcome(decision({ votes: tiedVotes, tieBreak: 'first_voted' })).winningOptionId).toBe('b')
+    expect(resolveAutoCloseOutcome(decision({ votes: tiedVotes, tieBreak: 'no_decision' }))).toEqual({ close: true, winningOptionId: null })
+  })
+})
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { captureBaseCurrencyRates } from '@/lib/expenses/baseCurrencyRates.js'
+import { setRateProvider } from '@/lib/expenses/rateProvider.js'
+import { convertExpensesToBase, convertSettlementsToBase } from '@/lib/expenses/currency.js'
+import { settleUp } from '@/lib/expenses/settleUp.js'
+
+function makeDb(settlements) {
+  const find = vi.fn(() => ({
+    project: () => ({ toArray: async () => settlements })
+  }))
+  const updateMany = vi.fn(async () => ({}))
+  const updateOne = vi.fn(async () => ({}))
+  return { db: { collection: () => ({ find, updateMany, updateOne }) }, find, updateMany, updateOne }
+}
+
+describe('captureBaseCurrencyRates', () => {
+  afterEach(() => setRateProvider(null))
+
+  it('stores one rate per currency on settlements and expenses', async () => {
+    setRateProvider({ name: 'test', getRate: async (from) => (from === 'EUR' ? 1.08 : 0.0067) })
+    const trip = {
+      id: 'trip-1',
+      expenses: [
+        { currency: 'EUR', amountCents: 10000 },
+        { currency: 'USD', amountCents: 500 }
+      ]
+    }
+    const { db, find, updateMany, updateOne } = makeDb([{ id: 's1', currency: 'EUR' }, { id: 's2', currency: 'JPY' }])
+
+    expect(await captureBaseCurrencyRates(db, trip, 'USD')).toEqual({ EUR: 1.08, JPY: 0.0067 })
+    expect(find).toHaveBeenCalledWith({ tripId: 'trip-1', currency: { $ne: 'USD' }, baseCurrency: { $ne: 'USD' } })
+    expect(updateMany).toHaveBeenCalledWith(
+      { tripId: 'trip-1', currency: 'EUR', baseCurrency: { $ne: 'USD' } },
+      { $set: { baseCurrency: 'USD', exchangeRate: 1.08, rateSource: 'test' } }
+    )
+    // Only EUR has expenses to update
+    expect(updateOne).toHaveBeenCalledTimes(1)
+    expect(updateOne.mock.calls[0][1].$set).toEqual({
+      'expenses.$[e].baseCurrency': 'USD',
+      'expenses.$[e].exchangeRate': 1.08,
+      'expenses.$[e].rateSource': 'test'
+    })
+    expect(updateOne.mock.calls[0][2]).toEqual({ arrayFilters: [{ 'e.currency': 'EUR', 'e.baseCurrency': { $ne: 'USD' } }] })
+  })
+
+  it('skips currencies with no known rate', async () => {
+    const { db, updateMany, updateOne } = makeDb([{ id: 's1', currency: 'XYZ' }])
+    expect(await captureBaseCurrencyRates(db, { id: 'trip-1', expenses: [{ currency: 'XYZ' }] }, 'USD')).toEqual({})
+    expect(updateMany).not.toHaveBeenCalled()
+    expect(updateOne).not.toHaveBeenCalled()
+  })
+
+  it('leaves an exactly repaid debt at zero after the switch', () => {
+    // Both sides carry the rate captured when the base moved from EUR to USD
+    const rate = { baseCurrency: 'USD', exchangeRate: 1.08, rateSource: 'test' }
+    const expenses = convertExpensesToBase([
+      { currency: 'EUR', amountCents: 10000, paidByUserId: 'a', splitBetweenUserIds: ['a', 'b'], ...rate }
+    ], 'USD')
+    const settlements = convertSettlementsToBase([
+      { currency: 'EUR', amountCents: 5000, fromUserId: 'b', toUserId: 'a', status: 'confirmed', ...rate }
+    ], 'USD')
+    expect(settleUp(expenses, settlements).transfers).toEqual([])
+  })
+})
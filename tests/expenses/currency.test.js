@@ -0,0 +1,161 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  getTripBaseCurrency,
+  getStaticRate,
+  convertCents,
+  getExpenseBaseCents,
+  convertExpensesToBase,
+  convertSettlementsToBase,
+  getTotalInBaseCurrency,
+  isValidCurrencyCode
+} from '@/lib/expenses/currency.js'
+import { getExchangeRate, setRateProvider } from '@/lib/expenses/rateProvider.js'
+import { settleUp } from '@/lib/expenses/settleUp.js'
+
+describe('getTripBaseCurrency', () => {
+  it('prefers the trip currency', () => {
+    expect(getTripBaseCurrency({ currency: 'EUR', expenses: [{ currency: 'JPY' }] })).toBe('EUR')
+  })
+
+  it('falls back to the first expense, then USD', () => {
+    expect(getTripBaseCurrency({ expenses: [{ currency: 'JPY' }] })).toBe('JPY')
+    expect(getTripBaseCurrency({})).toBe('USD')
+  })
+})
+
+describe('isValidCurrencyCode', () => {
+  it('accepts 3-letter uppercase codes only', () => {
+    expect(isValidCurrencyCode('EUR')).toBe(true)
+    expect(isValidCurrencyCode('eur')).toBe(false)
+    expect(isValidCurrencyCode('EURO')).toBe(false)
+    expect(isValidCurrencyCode(undefined)).toBe(false)
+  })
+})
+
+describe('conversion', () => {
+  it('uses the static table when no rate is given', () => {
+    expect(getStaticRate('USD', 'USD')).toBe(1)
+    expect(getStaticRate('USD', 'JPY')).toBe(150)
+    expect(getStaticRate('USD', 'XXX')).toBeNull()
+    expect(convertCents(1000, 'USD', 'JPY')).toBe(150000)
+  })
+
+  it('prefers an explicit rate', () => {
+    expect(convertCents(1000, 'EUR', 'USD', 1.1)).toBe(1100)
+  })
+
+  it('leaves unknown currencies unconverted', () => {
+    expect(convertCents(1000, 'XXX', 'USD')).toBe(1000)
+  })
+
+  it('uses the rate captured at entry only if it was against the current base', () => {
+    const expense = { amountCents: 1000, currency: 'EUR', exchangeRate: 1.1, baseCurrency: 'USD' }
+    expect(getExpenseBaseCents(expense, 'USD')).toBe(1100)
+    // Base changed to GBP since — fall back to the static table
+    expect(getExpenseBaseCents(expense, 'GBP')).toBe(convertCents(1000, 'EUR', 'GBP'))
+  })
+
+  it('treats expenses without a currency as already in the base', () => {
+    expect(getExpenseBaseCents({ amountCents: 500 }, 'EUR')).toBe(500)
+  })
+})
+
+describe('convertExpensesToBase', () => {
+  it('converts amounts and keeps the originals', () => {
+    const [converted] = convertExpensesToBase([
+      { amountCents: 10000, currency: 'EUR', exchangeRate: 1.08, baseCurrency: 'USD', splitBetweenUserIds: ['a', 'b'] }
+    ], 'USD')
+    expect(converted).toMatchObject({
+      amountCents: 10800,
+      currency: 'USD',
+      originalAmountCents: 10000,
+      originalCurrency: 'EUR'
+    })
+  })
+
+  it('rescales unequal splits so they still sum to the converted total', () => {
+    const [converted] = convertExpensesToBase([{
+      amountCents: 1000,
+      currency: 'EUR',
+      exchangeRate: 1.0837,
+      baseCurrency: 'USD',
+      splitMode: 'exact',
+      splits: [{ userId: 'a', value: 700, amountCents: 700 }, { userId: 'b', value: 300, amountCents: 300 }]
+    }], 'USD')
+    expect(converted.amountCents).toBe(1084)
+    expect(converted.splits.reduce((sum, s) => sum + s.amountCents, 0)).toBe(1084)
+  })
+
+  it('settles a mixed-currency trip in the base currency', () => {
+    const expenses = convertExpensesToBase([
+      { amountCents: 2000, currency: 'USD', paidByUserId: 'a', splitBetweenUserIds: ['a', 'b'] },
+      { amountCents: 1000, currency: 'EUR', exchangeRate: 1.2, baseCurrency: 'USD', paidByUserId: 'b', splitBetweenUserIds: ['a', 'b'] }
+    ], 'USD')
+    const { balances, totalSpendCents } = settleUp(expenses)
+    expect(totalSpendCents).toBe(3200)
+    expect(balances.a.netCents).toBe(400)
+    expect(balances.b.netCents).toBe(-400)
+  })
+})
+
+describe('convertSettlementsToBase', () => {
+  it('converts payments recorded under an older base currency', () => {
+    const [converted] = convertSettlementsToBase([{ amountCents: 1000, currency: 'USD' }], 'JPY')
+    expect(converted).toMatchObject({ amountCents: 150000, currency: 'JPY' })
+  })
+
+  it('uses the rate captured against this base', () => {
+    const [converted] = convertSettlementsToBase([
+      { amountCents: 1000, currency: 'USD', baseCurrency: 'JPY', exchangeRate: 148.25 }
+    ], 'JPY')
+    expect(converted).toMatchObject({ amountCents: 148250, currency: 'JPY' })
+  })
+
+  it('ignores a rate captured against a different base', () => {
+    const [converted] = convertSettlementsToBase([
+      { amountCents: 1000, currency: 'USD', baseCurrency: 'EUR', exchangeRate: 0.9 }
+    ], 'JPY')
+    expect(converted.amountCents).toBe(150000)
+  })
+})
+
+describe('getTotalInBaseCurrency', () => {
+  it('sums mixed currencies in the base', () => {
+    const total = getTotalInBaseCurrency([
+      { amountCents: 1000, currency: 'USD' },
+      { amountCents: 1000, currency: 'EUR', exchangeRate: 1.1, baseCurrency: 'USD' }
+    ], 'USD')
+    expect(total).toBe(2100)
+  })
+})
+
+describe('getExchangeRate', () => {
+  afterEach(() => setRateProvider(null))
+
+  it('returns 1 for the same currency', async () => {
+    expect(await getExchangeRate('USD', 'USD')).toEqual({ rate: 1, source: 'same' })
+  })
+
+  it('uses the configured provider', async () => {
+    setRateProvider({ name: 'test', getRate: vi.fn().mockResolvedValue(1.0912345) })
+    expect(await getExchangeRate('EUR', 'USD')).toEqual({ rate: 1.09123, source: 'test' })
+  })
+
+  it('caches provider lookups', async () => {
+    const getRate = vi.fn().mockResolvedValue(1.1)
+    setRateProvider({ name: 'test', getRate })
+    await getExchangeRate('EUR', 'USD')
+    await getExchangeRate('EUR', 'USD')
+    expect(getRate).toHaveBeenCalledTimes(1)
+  })
+
+  it('falls back to the static table when the provider fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    setRateProvider({ name: 'test', getRate: vi.fn().mockRejectedValue(new Error('down')) })
+    expect(await getExchangeRate('USD', 'JPY')).toEqual({ rate: 150, source: 'static' })
+  })
+
+  it('returns null for unknown pairs', async () => {
+    expect(await getExchangeRate('USD', 'XXX')).toBeNull()
+  })
+})
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getExpenseCategory,
+  filterExpenses,
+  buildExpenseBreakdown,
+  buildBriefExpensesSummary,
+  isDateOnly,
+  isIsoDate
+} from '@/lib/expenses/expenseBreakdown.js'
+
+const expense = (overrides) => ({
+  title: 'Test',
+  amountCents: 1000,
+  currency: 'USD',
+  paidByUserId: 'a',
+  splitBetweenUserIds: ['a', 'b'],
+  incurredAt: '2026-06-01T12:00:00.000Z',
+  ...overrides
+})
+
+describe('getExpenseCategory', () => {
+  it('treats untagged or unknown categories as other', () => {
+    expect(getExpenseCategory(expense({ category: 'food' }))).toBe('food')
+    expect(getExpenseCategory(expense({}))).toBe('other')
+    expect(getExpenseCategory(expense({ category: 'snacks' }))).toBe('other')
+  })
+})
+
+describe('isDateOnly', () => {
+  it('accepts YYYY-MM-DD only', () => {
+    expect(isDateOnly('2026-06-01')).toBe(true)
+    expect(isDateOnly('2026-6-1')).toBe(false)
+    expect(isDateOnly('2026-13-45')).toBe(false)
+    expect(isDateOnly(undefined)).toBe(false)
+  })
+})
+
+describe('isIsoDate', () => {
+  it('accepts ISO dates and timestamps', () => {
+    expect(isIsoDate('2026-06-01')).toBe(true)
+    expect(isIsoDate('2026-06-01T12:00:00.000Z')).toBe(true)
+    expect(isIsoDate('2026-06-01T12:00+02:00')).toBe(true)
+  })
+
+  it('rejects anything the date filters could misread', () => {
+    expect(isIsoDate('June 1, 2026')).toBe(false)
+    expect(isIsoDate('06/01/2026')).toBe(false)
+    expect(isIsoDate('2026-06-01T25:00:00Z')).toBe(false)
+    expect(isIsoDate('2026-06-01 12:00')).toBe(false)
+    expect(isIsoDate(20260601)).toBe(false)
+  })
+})
+
+describe('filterExpenses', () => {
+  const expenses = [
+    expense({ title: 'Hotel', category: 'lodging', paidByUserId: 'a', incurredAt: '2026-06-01T10:00:00.000Z' }),
+    expense({ title: 'Dinner', category: 'food', paidByUserId: 'b', incurredAt: '2026-06-02T20:00:00.000Z' }),
+    expense({ title: 'Taxi', paidByUserId: 'a', incurredAt: '2026-06-03T08:00:00.000Z' })
+  ]
+  const titles = (list) => list.map(e => e.title)
+
+  it('returns everything with no filters', () => {
+    expect(filterExpenses(expenses)).toHaveLength(3)
+  })
+
+  it('filters by category, including untagged as other', () => {
+    expect(titles(filterExpenses(expenses, { category: 'food' }))).toEqual(['Dinner'])
+    expect(titles(filterExpenses(expenses, { category: 'other' }))).toEqual(['Taxi'])
+  })
+
+  it('filters by payer', () => {
+    expect(titles(filterExpenses(expenses, { paidBy: 'a' }))).toEqual(['Hotel', 'Taxi'])
+  })
+
+  it('filters by inclusive date range', () => {
+    expect(titles(filterExpenses(expenses, { from: '2026-06-02' }))).toEqual(['Dinner', 'Taxi'])
+    expect(titles(filterExpenses(expenses, { to: '2026-06-02' }))).toEqual(['Hotel', 'Dinner'])
+    expect(titles(filterExpenses(expenses, { from: '2026-06-02', to: '2026-06-02' }))).toEqual(['Dinner'])
+  })
+
+  it('combines filters', () => {
+    expect(titles(filterExpenses(expenses, { paidBy: 'a', from: '2026-06-02' }))).toEqual(['Taxi'])
+  })
+})
+
+describe('buildExpenseBreakdown', () => {
+  it('totals per category in category order', () => {
+    const breakdown = buildExpenseBreakdown([
+      expense({ category: 'food', amountCents: 3000 }),
+      expense({ category: 'lodging', amountCents: 20000 }),
+      expense({ category: 'food', amountCents: 1000 })
+    ], { baseCurrency: 'USD' })
+    expect(breakdown.byCategory).toEqual([
+      { category: 'lodging', totalCents: 20000, count: 1 },
+      { category: 'food', totalCents: 4000, count: 2 }
+    ])
+  })
+
+  it('spreads spend over the trip dates per person', () => {
+    const breakdown = buildExpenseBreakdown([
+      expense({ amountCents: 12000, splitBetweenUserIds: ['a', 'b'] })
+    ], { baseCurrency: 'USD', startDate: '2026-06-01', endDate: '2026-06-03' })
+    expect(breakdown.days).toBe(3)
+    expect(breakdown.travelerCount).toBe(2)
+    expect(breakdown.perPersonPerDayCents).toBe(2000)
+    expect(breakdown.byPerson).toEqual([
+      { userId: 'a', shareCents: 6000, perDayCents: 2000 },
+      { userId: 'b', shareCents: 6000, perDayCents: 2000 }
+    ])
+  })
+
+  it('falls back to the span of expense dates without trip dates', () => {
+    const breakdown = buildExpenseBreakdown([
+      expense({ incurredAt: '2026-06-01T10:00:00.000Z' }),
+      expense({ incurredAt: '2026-06-04T10:00:00.000Z' })
+    ], { baseCurrency: 'USD' })
+    expect(breakdown.days).toBe(4)
+  })
+
+  it('converts foreign-currency expenses to the base first', () => {
+    const breakdown = buildExpenseBreakdown([
+      expense({ category: 'food', amountCents: 1000, currency: 'EUR', exchangeRate: 1.1, baseCurrency: 'USD' })
+    ], { baseCurrency: 'USD' })
+    expect(breakdown.byCategory[0].totalCents).toBe(1100)
+  })
+})
+
+describe('buildBriefExpensesSummary', () => {
+  it('returns null with no expenses', () => {
+    expect(buildBriefExpensesSummary({ expenses: [] }, 'USD')).toBeNull()
+  })
+
+  it('summarises in dollars without user IDs', () => {
+    const summary = buildBriefExpensesSummary({
+      lockedStartDate: '2026-06-01',
+      lockedEndDate: '2026-06-02',
+      expenses: [
+        expense({ category: 'food', amountCents: 4000 }),
+        expense({ category: 'transport', amountCents: 2000 })
+      ]
+    }, 'USD')
+    expect(summary).toEqual({
+      totalAmount: 60,
+      currency: 'USD',
+      itemCount: 2,
+      byCategory: [
+        { category: 'food', label: 'Food & drink', amount: 40, count: 1 },
+        { category: 'transport', label: 'Transport', amount: 20, count: 1 }
+      ],
+      perPersonPerDay: 15,
+      days: 2,
+      travelerCount: 2
+    })
+  })
+})
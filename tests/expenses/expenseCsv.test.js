@@ -0,0 +1,220 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseCsv,
+  toCsv,
+  buildExpensesCsv,
+  parseExpensesCsv,
+  parseAmountCents,
+  mapCategory,
+  detectColumnMapping
+} from '@/lib/expenses/expenseCsv.js'
+
+const names = { u1: 'Alex', u2: 'Sam', u3: 'Jo' }
+const nameOf = (id) => names[id]
+const resolveTraveler = (name) =>
+  Object.keys(names).find(id => names[id].toLowerCase() === name.trim().toLowerCase()) || null
+
+describe('CSV primitives', () => {
+  it('round-trips quotes, commas and newlines', () => {
+    const rows = [['a', 'b,c', 'say "hi"', 'line\nbreak']]
+    expect(parseCsv(toCsv(rows))).toEqual(rows)
+  })
+
+  it('handles CRLF, BOM and blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\r\n\r\n1,2\r\n')).toEqual([['a', 'b'], ['1', '2']])
+  })
+})
+
+describe('parseAmountCents', () => {
+  it('parses common spreadsheet formats', () => {
+    expect(parseAmountCents('12.50')).toBe(1250)
+    expect(parseAmountCents('$1,234.56')).toBe(123456)
+    expect(parseAmountCents('-30.00')).toBe(-3000)
+    expect(parseAmountCents('(5.00)')).toBe(-500)
+    expect(parseAmountCents('')).toBeNull()
+    expect(parseAmountCents('abc')).toBeNull()
+  })
+
+  it('only reads a minus at the start or end', () => {
+    expect(parseAmountCents('12.50-')).toBe(-1250)
+    expect(parseAmountCents('-$5')).toBe(-500)
+    expect(parseAmountCents('USD 12-50')).toBeNull()
+    expect(parseAmountCents('2026-06-01')).toBeNull()
+    expect(parseAmountCents('(-5)')).toBeNull()
+  })
+
+  it('detects a comma decimal separator', () => {
+    expect(parseAmountCents('12,50')).toBe(1250)
+    expect(parseAmountCents('12,50 €')).toBe(1250)
+    expect(parseAmountCents('1.234,56')).toBe(123456)
+    expect(parseAmountCents('1.234.567')).toBe(123456700)
+    expect(parseAmountCents('1,234')).toBe(123400)
+  })
+
+  it('rejects ambiguous or malformed amounts', () => {
+    expect(parseAmountCents('1.234')).toBeNull()
+    expect(parseAmountCents('1,5,0')).toBeNull()
+    expect(parseAmountCents('1,234.567')).toBeNull()
+    expect(parseAmountCents('1.234.56')).toBeNull()
+  })
+})
+
+describe('mapCategory', () => {
+  it('maps our labels and Splitwise categories', () => {
+    expect(mapCategory('Food & drink')).toBe('food')
+    expect(mapCategory('Food and drink - Dining out')).toBe('food')
+    expect(mapCategory('Transportation - Taxi')).toBe('transport')
+    expect(mapCategory('Transportation - Hotel')).toBe('lodging')
+    expect(mapCategory('Entertainment - Movies')).toBe('activities')
+    expect(mapCategory('General')).toBe('other')
+    expect(mapCategory('')).toBe('other')
+  })
+})
+
+describe('buildExpensesCsv', () => {
+  it('writes Splitwise-style per-person net columns with names', () => {
+    const csv = buildExpensesCsv([
+      {
+        title: 'Dinner, downtown',
+        amountCents: 9000,
+        currency: 'EUR',
+        category: 'food',
+        paidByUserId: 'u1',
+        splitBetweenUserIds: ['u1', 'u2', 'u3'],
+        incurredAt: '2026-06-01T19:00:00.000Z'
+      }
+    ], nameOf)
+    expect(parseCsv(csv)).toEqual([
+      ['Date', 'Description', 'Category', 'Cost', 'Currency', 'Alex', 'Sam', 'Jo'],
+      ['2026-06-01', 'Dinner, downtown', 'Food & drink', '90.00', 'EUR', '60.00', '-30.00', '-30.00']
+    ])
+  })
+
+  it('disambiguates duplicate names', () => {
+    const csv = buildExpensesCsv([
+      { title: 'Cab', amountCents: 1000, paidByUserId: 'a', splitBetweenUserIds: ['a', 'b'], incurredAt: '2026-06-01' }
+    ], () => 'Alex')
+    expect(parseCsv(csv)[0].slice(5)).toEqual(['Alex', 'Alex (2)'])
+  })
+})
+
+describe('parseExpensesCsv', () => {
+  it('imports its own export back', () => {
+    const original = [{
+      title: 'Hotel',
+      amountCents: 30000,
+      currency: 'USD',
+      category: 'lodging',
+      paidByUserId: 'u2',
+      splitMode: 'exact',
+      splitBetweenUserIds: ['u1', 'u2'],
+      splits: [{ userId: 'u1', value: 20000, amountCents: 20000 }, { userId: 'u2', value: 10000, amountCents: 10000 }],
+      incurredAt: '2026-06-02T12:00:00.000Z'
+    }]
+    const { rows } = parseExpensesCsv(buildExpensesCsv(original, nameOf), { resolveTraveler, defaultCurrency: 'USD' })
+    expect(rows).toHaveLength(1)
+    expect(rows[0].ok).toBe(true)
+    expect(rows[0].expense).toMatchObject({
+      title: 'Hotel',
+      amountCents: 30000,
+      currency: 'USD',
+      category: 'lodging',
+      paidByUserId: 'u2',
+      incurredAt: '2026-06-02T12:00:00.000Z'
+    })
+    const shares = Object.fromEntries(rows[0].expense.splits.map(s => [s.userId, s.amountCents]))
+    expect(shares).toEqual({ u1: 20000, u2: 10000 })
+  })
+
+  it('skips Splitwise total rows', () => {
+    const csv = [
+      'Date,Description,Category,Cost,Currency,Alex,Sam',
+      '2026-06-01,Taxi,Transportation - Taxi,20.00,USD,10.00,-10.00',
+      ',Total balance,,,USD,10.00,-10.00'
+    ].join('\n')
+    const { rows } = parseExpensesCsv(csv, { resolveTraveler, defaultCurrency: 'USD' })
+    expect(rows).toHaveLength(1)
+    expect(rows[0].expense.category).toBe('transport')
+  })
+
+  it('reads the simple Paid by / Split with layout', () => {
+    const csv = [
+      'Title,Amount,Paid by,Split with',
+      'Groceries,45.00,sam,Alex; Sam; Jo'
+    ].join('\n')
+    const { rows } = parseExpensesCsv(csv, { resolveTraveler, defaultCurrency: 'EUR' })
+    expect(rows[0].ok).toBe(true)
+    expect(rows[0].expense).toMatchObject({
+      amountCents: 4500,
+      currency: 'EUR',
+      paidByUserId: 'u2',
+      splitBetweenUserIds: ['u1', 'u2', 'u3']
+    })
+    expect(rows[0].expense.splitMode).toBeUndefined()
+  })
+
+  it('flags unknown travelers without failing the whole file', () => {
+    const csv = [
+      'Title,Amount,Paid by,Split with',
+      'Lunch,30.00,Alex,Alex;Morgan',
+      'Museum,20.00,Taylor,Alex'
+    ].join('\n')
+    const { rows } = parseExpensesCsv(csv, { resolveTraveler, defaultCurrency: 'USD' })
+    expect(rows.map(r => r.ok)).toEqual([false, false])
+    expect(rows[0].unknownTravelers).toEqual(['Morgan'])
+    expect(rows[1].unknownTravelers).toEqual(['Taylor'])
+    expect(rows[0].errors).toContain('"Morgan" is not a traveler on this trip')
+  })
+
+  it('reports row-level errors', () => {
+    const csv = [
+      'Title,Amount,Currency,Date,Paid by,Split with',
+      ',10.00,USD,2026-06-01,Alex,Alex',
+      'Snacks,-4,USD,2026-06-01,Alex,Alex',
+      'Drinks,4,dollars,2026-06-01,Alex,Alex',
+      'Cab,4,USD,someday,Alex,Alex'
+    ].join('\n')
+    const { rows } = parseExpensesCsv(csv, { resolveTraveler, defaultCurrency: 'USD' })
+    expect(rows[0].errors).toContain('Missing description')
+    expect(rows[1].errors).toContain('Amount must be a positive number')
+    expect(rows[2].errors).toContain('Unknown currency "DOLLARS"')
+    expect(rows[3].errors).toContain('Unreadable date "someday"')
+  })
+
+  it('reports unreadable amounts instead of guessing', () => {
+    const csv = [
+      'Date,Description,Category,Cost,Currency,Alex,Sam',
+      '2026-06-01,Taxi,Transportation - Taxi,1.234,EUR,1.234,-1.234',
+      '2026-06-01,Dinner,Dining out,"40,00",EUR,"20,00","-20,00"'
+    ].join('\n')
+    const { rows } = parseExpensesCsv(csv, { resolveTraveler, defaultCurrency: 'EUR' })
+    expect(rows[0].errors).toContain('Unreadable amount "1.234"')
+    expect(rows[0].errors).toContain('Unreadable amount "-1.234" for Sam')
+    expect(rows[1].ok).toBe(true)
+    expect(rows[1].expense.amountCents).toBe(4000)
+  })
+
+  it('honours column mapping overrides', () => {
+    const csv = ['What,Price,Who,With', 'Ferry,12.00,Jo,Jo;Sam'].join('\n')
+    const { rows, mapping } = parseExpensesCsv(csv, {
+      resolveTraveler,
+      defaultCurrency: 'USD',
+      mapping: { title: 'What', amount: 'Price', paidBy: 'Who', splitWith: 'With' }
+    })
+    expect(mapping.columns).toMatchObject({ title: 'What', amount: 'Price', paidBy: 'Who', splitWith: 'With' })
+    expect(rows[0].ok).toBe(true)
+  })
+
+  it('rejects files without the required columns', () => {
+    expect(parseExpensesCsv('Foo,Bar\n1,2', { resolveTraveler }).error).toBeDefined()
+    expect(parseExpensesCsv('Description,Cost', { resolveTraveler }).error).toBeDefined()
+  })
+})
+
+describe('detectColumnMapping', () => {
+  it('treats unknown headers as person columns', () => {
+    const { columns, personColumns } = detectColumnMapping(['Date', 'Description', 'Cost', 'Currency', 'Alex', 'Sam'])
+    expect(columns).toMatchObject({ date: 0, title: 1, amount: 2, currency: 3 })
+    expect(personColumns.map(c => c.name)).toEqual(['Alex', 'Sam'])
+  })
+})
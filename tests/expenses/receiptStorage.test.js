@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('@/lib/trips/isActiveTraveler.js', () => ({
+  isActiveTraveler: vi.fn(async (db, trip, userId) => userId !== 'outsider')
+}))
+
+vi.mock('fs/promises', () => ({
+  unlink: vi.fn(async () => {})
+}))
+
+import { unlink } from 'fs/promises'
+import { authorizeReceiptUpload, claimReceiptUploads, deleteReceiptFiles } from '@/lib/expenses/receiptStorage.js'
+
+// Just enough of a Mongo collection for these helpers: equality, $in and null matches
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (key === 'expenses.receipts.url') {
+      return (doc.expenses || []).some(e => (e.receipts || []).some(r => r.url === value))
+    }
+    if (value && typeof value === 'object' && '$in' in value) return value.$in.includes(doc[key])
+    return (doc[key] ?? null) === value
+  })
+}
+
+function makeDb({ trips = [], uploads = [] } = {}) {
+  const data = { trips, receipt_uploads: uploads }
+  const collection = (name) => ({
+    findOne: async (filter) => data[name].find(d => matches(d, filter)) || null,
+    find: (filter) => ({ toArray: async () => data[name].filter(d => matches(d, filter)) }),
+    insertOne: async (doc) => { data[name].push(doc) },
+    updateMany: async (filter, { $set }) => {
+      const hits = data[name].filter(d => matches(d, filter))
+      hits.forEach(d => Object.assign(d, $set))
+      return { modifiedCount: hits.length }
+    },
+    deleteMany: async (filter) => {
+      data[name] = data[name].filter(d => !matches(d, filter))
+    }
+  })
+  return { db: { collection }, data }
+}
+
+const RECEIPT = '/uploads/receipts/trip-1/3f2a.jpg'
+
+describe('authorizeReceiptUpload', () => {
+  it('records uploads by travelers', async () => {
+    const { db, data } = makeDb({ trips: [{ id: 'trip-1' }] })
+    const result = await authorizeReceiptUpload(db, 'receipts/trip-1/3f2a.jpg', 'u1')
+    expect(result).toEqual({ ok: true, tripId: 'trip-1' })
+    expect(data.receipt_uploads).toEqual([
+      expect.objectContaining({ pathname: 'receipts/trip-1/3f2a.jpg', tripId: 'trip-1', uploadedBy: 'u1', expenseId: null })
+    ])
+  })
+
+  it('rejects non-travelers, other paths and reused paths', async () => {
+    const { db } = makeDb({
+      trips: [{ id: 'trip-1' }],
+      uploads: [{ pathname: 'receipts/trip-1/used.jpg', tripId: 'trip-1', uploadedBy: 'u2' }]
+    })
+    expect((await authorizeReceiptUpload(db, 'receipts/trip-1/3f2a.jpg', 'outsider')).status).toBe(403)
+    expect((await authorizeReceiptUpload(db, 'avatars/3f2a.jpg', 'u1')).status).toBe(400)
+    expect((await authorizeReceiptUpload(db, 'receipts/trip-1/used.jpg', 'u1')).status).toBe(409)
+  })
+})
+
+describe('claimReceiptUploads', () => {
+  let setup
+  beforeEach(() => {
+    setup = makeDb({
+      uploads: [
+        { pathname: 'receipts/trip-1/3f2a.jpg', tripId: 'trip-1', uploadedBy: 'u1', expenseId: null },
+        { pathname: 'receipts/trip-1/9b7c.jpg', tripId: 'trip-1', uploadedBy: 'u2', expenseId: null }
+      ]
+    })
+  })
+
+  it("claims the uploader's own receipt for the expense", async () => {
+    expect(await claimReceiptUploads(setup.db, [RECEIPT], { tripId: 'trip-1', userId: 'u1', expenseId: 'e1' })).toBe(true)
+    expect(setup.data.receipt_uploads[0].expenseId).toBe('e1')
+  })
+
+  it("won't claim someone else's upload, and claims nothing if one URL fails", async () => {
+    const urls = [RECEIPT, '/uploads/receipts/trip-1/9b7c.jpg']
+    expect(await claimReceiptUploads(setup.db, urls, { tripId: 'trip-1', userId: 'u1', expenseId: 'e1' })).toBe(false)
+    expect(setup.data.receipt_uploads.map(u => u.expenseId)).toEqual([null, null])
+  })
+
+  it("won't claim a receipt twice or an unrecorded URL", async () => {
+    await claimReceiptUploads(setup.db, [RECEIPT], { tripId: 'trip-1', userId: 'u1', expenseId: 'e1' })
+    expect(await claimReceiptUploads(setup.db, [RECEIPT], { tripId: 'trip-1', userId: 'u1', expenseId: 'e2' })).toBe(false)
+    expect(setup.data.receipt_uploads[0].expenseId).toBe('e1')
+    expect(await claimReceiptUploads(setup.db, ['/uploads/avatar.jpg'], { tripId: 'trip-1', userId: 'u1', expenseId: 'e2' })).toBe(false)
+  })
+})
+
+describe('deleteReceiptFiles', () => {
+  beforeEach(() => unlink.mockClear())
+
+  it('deletes files the expense owns', async () => {
+    const { db, data } = makeDb({
+      uploads: [{ pathname: 'receipts/trip-1/3f2a.jpg', tripId: 'trip-1', uploadedBy: 'u1', expenseId: 'e1' }]
+    })
+    await deleteReceiptFiles(db, [RECEIPT], { expenseId: 'e1' })
+    expect(unlink).toHaveBeenCalledWith(expect.stringMatching(/public\/uploads\/receipts\/trip-1\/3f2a\.jpg$/))
+    expect(data.receipt_uploads).toEqual([])
+  })
+
+  it('keeps files owned elsewhere, unrecorded or still referenced', async () => {
+    const { db } = makeDb({
+      trips: [{ id: 'trip-1', expenses: [{ receipts: [{ url: '/uploads/receipts/trip-1/9b7c.jpg' }] }] }],
+      uploads: [
+        { pathname: 'receipts/trip-1/3f2a.jpg', tripId: 'trip-1', uploadedBy: 'u1', expenseId: 'e2' },
+        { pathname: 'receipts/trip-1/9b7c.jpg', tripId: 'trip-1', uploadedBy: 'u1', expenseId: 'e1' }
+      ]
+    })
+    await deleteReceiptFiles(db, [
+      RECEIPT,
+      '/uploads/receipts/trip-1/9b7c.jpg',
+      '/uploads/receipts/trip-1/none.jpg',
+      '/uploads/avatar.jpg'
+    ], { expenseId: 'e1' })
+    expect(unlink).not.toHaveBeenCalled()
+  })
+
+  it('deletes by uploader on account deletion', async () => {
+    const { db } = makeDb({
+      uploads: [{ pathname: 'receipts/trip-1/3f2a.jpg', tripId: 'trip-1', uploadedBy: 'u1', expenseId: 'e1' }]
+    })
+    await deleteReceiptFiles(db, [RECEIPT], { uploadedBy: 'u2' })
+    expect(unlink).not.toHaveBeenCalled()
+    await deleteReceiptFiles(db, [RECEIPT], { uploadedBy: 'u1' })
+    expect(unlink).toHaveBeenCalledTimes(1)
+  })
+})
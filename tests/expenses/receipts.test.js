@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isReceiptUrl,
+  isLocalUploadUrl,
+  isBlobUploadUrl,
+  getReceiptPathTripId,
+  getReceiptPathname,
+  buildReceipt,
+  collectReceiptUrls
+} from '@/lib/expenses/receipts.js'
+
+describe('getReceiptPathTripId', () => {
+  it('reads the trip from a receipt path', () => {
+    expect(getReceiptPathTripId('receipts/trip-1/3f2a-9b.jpg')).toBe('trip-1')
+  })
+
+  it('rejects other paths', () => {
+    expect(getReceiptPathTripId('avatar.jpg')).toBeNull()
+    expect(getReceiptPathTripId('receipts/../x.jpg')).toBeNull()
+    expect(getReceiptPathTripId('receipts/trip-1/nested/x.jpg')).toBeNull()
+    expect(getReceiptPathTripId(null)).toBeNull()
+  })
+})
+
+describe('getReceiptPathname', () => {
+  it('reads local and Vercel Blob receipt URLs', () => {
+    expect(getReceiptPathname('/uploads/receipts/trip-1/3f2a.jpg')).toBe('receipts/trip-1/3f2a.jpg')
+    expect(getReceiptPathname('https://abc123.public.blob.vercel-storage.com/receipts/trip-1/3f2a.png'))
+      .toBe('receipts/trip-1/3f2a.png')
+  })
+
+  it('ignores uploads outside the receipts prefix', () => {
+    expect(isLocalUploadUrl('/uploads/3f2a-avatar.jpg')).toBe(true)
+    expect(getReceiptPathname('/uploads/3f2a-avatar.jpg')).toBeNull()
+    expect(getReceiptPathname('https://abc123.public.blob.vercel-storage.com/memory-xyz.png')).toBeNull()
+  })
+})
+
+describe('isReceiptUrl', () => {
+  it('accepts receipt uploads for this trip', () => {
+    expect(isReceiptUrl('/uploads/receipts/trip-1/3f2a.jpg', 'trip-1')).toBe(true)
+    const url = 'https://abc123.public.blob.vercel-storage.com/receipts/trip-1/3f2a.png'
+    expect(isBlobUploadUrl(url)).toBe(true)
+    expect(isReceiptUrl(url, 'trip-1')).toBe(true)
+  })
+
+  it('rejects receipts from another trip and other uploads', () => {
+    expect(isReceiptUrl('/uploads/receipts/trip-2/3f2a.jpg', 'trip-1')).toBe(false)
+    expect(isReceiptUrl('/uploads/3f2a-avatar.jpg', 'trip-1')).toBe(false)
+    expect(isReceiptUrl('https://abc123.public.blob.vercel-storage.com/avatar.png', 'trip-1')).toBe(false)
+  })
+
+  it('rejects anything else', () => {
+    expect(isReceiptUrl('/uploads/../.env', 'trip-1')).toBe(false)
+    expect(isReceiptUrl('/uploads/receipts/trip-1/../x.jpg', 'trip-1')).toBe(false)
+    expect(isReceiptUrl('https://example.com/receipts/trip-1/x.jpg', 'trip-1')).toBe(false)
+    expect(isReceiptUrl('http://abc.public.blob.vercel-storage.com/receipts/trip-1/x.png', 'trip-1')).toBe(false)
+    expect(isReceiptUrl('https://blob.vercel-storage.com.evil.com/receipts/trip-1/x.png', 'trip-1')).toBe(false)
+    expect(isReceiptUrl(null, 'trip-1')).toBe(false)
+  })
+})
+
+describe('buildReceipt', () => {
+  it('records the uploader and time', () => {
+    const receipt = buildReceipt('/uploads/a.jpg', 'u1')
+    expect(receipt).toMatchObject({ url: '/uploads/a.jpg', uploadedBy: 'u1' })
+    expect(receipt.id).toBeTruthy()
+    expect(Date.parse(receipt.uploadedAt)).not.toBeNaN()
+  })
+})
+
+describe('collectReceiptUrls', () => {
+  const expenses = [
+    { title: 'Dinner', receipts: [{ id: '1', url: '/uploads/a.jpg', uploadedBy: 'u1' }, { id: '2', url: '/uploads/b.jpg', uploadedBy: 'u2' }] },
+    { title: 'Taxi' },
+    { title: 'Hotel', receipts: [{ id: '3', url: '/uploads/c.jpg', uploadedBy: 'u1' }] }
+  ]
+
+  it('collects every receipt', () => {
+    expect(collectReceiptUrls(expenses)).toEqual(['/uploads/a.jpg', '/uploads/b.jpg', '/uploads/c.jpg'])
+  })
+
+  it('filters by uploader', () => {
+    expect(collectReceiptUrls(expenses, { uploadedBy: 'u1' })).toEqual(['/uploads/a.jpg', '/uploads/c.jpg'])
+  })
+})
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getTripEndDate,
+  daysSinceEnd,
+  getDueReminderStage,
+  groupTransfersByDebtor,
+  SETTLE_REMINDER_LOOKBACK_DAYS
+} from '@/lib/expenses/settleReminders.js'
+
+const at = (date) => new Date(`${date}T10:00:00.000Z`)
+
+describe('getTripEndDate', () => {
+  it('prefers locked dates', () => {
+    expect(getTripEndDate({ lockedEndDate: '2026-06-10', endDate: '2026-06-12' })).toBe('2026-06-10')
+    expect(getTripEndDate({ endDate: '2026-06-12' })).toBe('2026-06-12')
+    expect(getTripEndDate({})).toBeNull()
+  })
+})
+
+describe('daysSinceEnd', () => {
+  it('counts whole UTC days', () => {
+    expect(daysSinceEnd('2026-06-10', at('2026-06-10'))).toBe(0)
+    expect(daysSinceEnd('2026-06-10', at('2026-06-13'))).toBe(3)
+    expect(daysSinceEnd('2026-06-10', at('2026-06-09'))).toBe(-1)
+  })
+})
+
+describe('getDueReminderStage', () => {
+  const end = '2026-06-10'
+
+  it('escalates at trip end, +3 days and +7 days', () => {
+    expect(getDueReminderStage(end, at('2026-06-10'))).toBe('trip_end')
+    expect(getDueReminderStage(end, at('2026-06-13'))).toBe('day_3')
+    expect(getDueReminderStage(end, at('2026-06-17'))).toBe('day_7')
+  })
+
+  it('catches up a stage the day after', () => {
+    expect(getDueReminderStage(end, at('2026-06-11'))).toBe('trip_end')
+    expect(getDueReminderStage(end, at('2026-06-18'))).toBe('day_7')
+  })
+
+  it('is quiet between stages, before the trip ends and after the last one', () => {
+    expect(getDueReminderStage(end, at('2026-06-09'))).toBeNull()
+    expect(getDueReminderStage(end, at('2026-06-12'))).toBeNull()
+    expect(getDueReminderStage(end, at('2026-06-15'))).toBeNull()
+    expect(getDueReminderStage(end, at('2026-06-19'))).toBeNull()
+    expect(getDueReminderStage(null, at('2026-06-10'))).toBeNull()
+  })
+
+  it('looks back far enough for the last stage', () => {
+    expect(SETTLE_REMINDER_LOOKBACK_DAYS).toBe(8)
+  })
+})
+
+describe('groupTransfersByDebtor', () => {
+  it('sends one reminder per debtor with their total', () => {
+    expect(groupTransfersByDebtor([
+      { fromUserId: 'a', toUserId: 'c', amountCents: 1000 },
+      { fromUserId: 'b', toUserId: 'c', amountCents: 500 },
+      { fromUserId: 'a', toUserId: 'd', amountCents: 250 }
+    ])).toEqual([
+      { debtorId: 'a', creditorIds: ['c', 'd'], totalCents: 1250 },
+      { debtorId: 'b', creditorIds: ['c'], totalCents: 500 }
+    ])
+  })
+
+  it('returns nothing once everything is settled', () => {
+    expect(groupTransfersByDebtor([])).toEqual([])
+  })
+})
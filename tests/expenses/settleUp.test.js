@@ -0,0 +1,211 @@
+import { describe, it, expect } from 'vitest'
+import {
+  computeExpenseShares,
+  computeBalances,
+  computeSettlementPlan,
+  settleUp,
+  countsTowardBalance,
+  SETTLEMENT_STATUS,
+  MAX_EXACT_SETTLEMENT_SIZE
+} from '@/lib/expenses/settleUp.js'
+
+// Helper to create expense records
+const expense = (paidByUserId, amountCents, splitBetweenUserIds) => ({
+  title: 'Test',
+  amountCents,
+  currency: 'USD',
+  paidByUserId,
+  splitBetweenUserIds
+})
+
+// Apply a plan to balances and return what's left
+function applyPlan(balances, transfers) {
+  const remaining = Object.fromEntries(
+    Object.entries(balances).map(([id, b]) => [id, b.netCents])
+  )
+  for (const t of transfers) {
+    remaining[t.fromUserId] += t.amountCents
+    remaining[t.toUserId] -= t.amountCents
+  }
+  return remaining
+}
+
+describe('computeExpenseShares', () => {
+  it('splits evenly when the amount divides cleanly', () => {
+    const shares = computeExpenseShares(expense('a', 3000, ['a', 'b', 'c']))
+    expect([...shares.values()]).toEqual([1000, 1000, 1000])
+  })
+
+  it('assigns remainder cents to the first travelers in split order', () => {
+    const shares = computeExpenseShares(expense('a', 1000, ['a', 'b', 'c']))
+    expect(shares.get('a')).toBe(334)
+    expect(shares.get('b')).toBe(333)
+    expect(shares.get('c')).toBe(333)
+  })
+
+  it('ignores duplicate split IDs', () => {
+    const shares = computeExpenseShares(expense('a', 1000, ['a', 'a', 'b']))
+    expect(shares.size).toBe(2)
+    expect(shares.get('a')).toBe(500)
+  })
+
+  it('uses resolved splits for unequal expenses', () => {
+    const shares = computeExpenseShares({
+      ...expense('a', 1000, ['a', 'b']),
+      splitMode: 'exact',
+      splits: [{ userId: 'a', value: 700, amountCents: 700 }, { userId: 'b', value: 300, amountCents: 300 }]
+    })
+    expect(shares.get('a')).toBe(700)
+    expect(shares.get('b')).toBe(300)
+  })
+
+  it('returns empty shares for empty or invalid expenses', () => {
+    expect(computeExpenseShares(expense('a', 1000, [])).size).toBe(0)
+    expect(computeExpenseShares(expense('a', 0, ['a'])).size).toBe(0)
+    expect(computeExpenseShares(null).size).toBe(0)
+  })
+})
+
+describe('computeBalances', () => {
+  it('nets paid against owed per traveler', () => {
+    const balances = computeBalances([
+      expense('a', 3000, ['a', 'b', 'c']),
+      expense('b', 600, ['a', 'b', 'c'])
+    ])
+    expect(balances.a).toMatchObject({ paidCents: 3000, owedCents: 1200, netCents: 1800 })
+    expect(balances.b).toMatchObject({ paidCents: 600, owedCents: 1200, netCents: -600 })
+    expect(balances.c).toMatchObject({ paidCents: 0, owedCents: 1200, netCents: -1200 })
+  })
+
+  it('always nets to zero, even with uneven cents', () => {
+    const balances = computeBalances([
+      expense('a', 1001, ['a', 'b', 'c']),
+      expense('c', 707, ['b', 'c'])
+    ])
+    const total = Object.values(balances).reduce((sum, b) => sum + b.netCents, 0)
+    expect(total).toBe(0)
+  })
+
+  it('keeps balances for travelers who are not in the current traveler list', () => {
+    // "left" paid for dinner before leaving the trip — still owed
+    const balances = computeBalances([expense('left', 2000, ['left', 'a'])])
+    expect(balances.left.netCents).toBe(1000)
+    expect(balances.a.netCents).toBe(-1000)
+  })
+
+  it('returns empty object with no expenses', () => {
+    expect(computeBalances([])).toEqual({})
+  })
+
+  it('applies recorded settlements to balances', () => {
+    const balances = computeBalances(
+      [expense('a', 3000, ['a', 'b', 'c'])],
+      [{ fromUserId: 'b', toUserId: 'a', amountCents: 1000, status: 'pending' }]
+    )
+    expect(balances.a).toMatchObject({ receivedCents: 1000, netCents: 1000 })
+    expect(balances.b).toMatchObject({ sentCents: 1000, netCents: 0 })
+    expect(balances.c.netCents).toBe(-1000)
+  })
+
+  it('ignores disputed settlements', () => {
+    const balances = computeBalances(
+      [expense('a', 2000, ['a', 'b'])],
+      [{ fromUserId: 'b', toUserId: 'a', amountCents: 1000, status: 'disputed' }]
+    )
+    expect(balances.b.netCents).toBe(-1000)
+  })
+
+  it('lets an overpayment flip the balance the other way', () => {
+    const balances = computeBalances(
+      [expense('a', 2000, ['a', 'b'])],
+      [{ fromUserId: 'b', toUserId: 'a', amountCents: 1500, status: 'confirmed' }]
+    )
+    expect(balances.a.netCents).toBe(-500)
+    expect(balances.b.netCents).toBe(500)
+  })
+})
+
+describe('countsTowardBalance', () => {
+  it('counts pending and confirmed, not disputed', () => {
+    expect(countsTowardBalance({ status: SETTLEMENT_STATUS.PENDING })).toBe(true)
+    expect(countsTowardBalance({ status: SETTLEMENT_STATUS.CONFIRMED })).toBe(true)
+    expect(countsTowardBalance({ status: SETTLEMENT_STATUS.DISPUTED })).toBe(false)
+    expect(countsTowardBalance(null)).toBe(false)
+  })
+})
+
+describe('computeSettlementPlan', () => {
+  it('returns no transfers when everyone is square', () => {
+    expect(computeSettlementPlan({})).toEqual([])
+    expect(computeSettlementPlan({ a: { netCents: 0 } })).toEqual([])
+  })
+
+  it('settles a simple debt in one transfer', () => {
+    const plan = computeSettlementPlan({ a: { netCents: 500 }, b: { netCents: -500 } })
+    expect(plan).toEqual([{ fromUserId: 'b', toUserId: 'a', amountCents: 500 }])
+  })
+
+  it('finds independent zero-sum pairs the greedy pass would miss', () => {
+    // Largest-first greedy needs 5 transfers here
+    const balances = {
+      a: { netCents: 1000 },
+      b: { netCents: -1000 },
+      c: { netCents: 700 },
+      d: { netCents: -300 },
+      e: { netCents: -400 },
+      f: { netCents: 600 },
+      g: { netCents: -600 }
+    }
+    const plan = computeSettlementPlan(balances)
+    // 7 people, 3 zero-sum groups ({a,b}, {c,d,e}, {f,g}) → 4 transfers
+    expect(plan).toHaveLength(4)
+    expect(Object.values(applyPlan(balances, plan)).every(v => v === 0)).toBe(true)
+  })
+
+  it('never uses more than n - 1 transfers', () => {
+    const balances = {
+      a: { netCents: 1234 },
+      b: { netCents: -567 },
+      c: { netCents: -300 },
+      d: { netCents: -367 }
+    }
+    const plan = computeSettlementPlan(balances)
+    expect(plan.length).toBeLessThanOrEqual(3)
+    expect(Object.values(applyPlan(balances, plan)).every(v => v === 0)).toBe(true)
+  })
+
+  it('is deterministic regardless of input key order', () => {
+    const one = computeSettlementPlan({ a: { netCents: 300 }, b: { netCents: -100 }, c: { netCents: -200 } })
+    const two = computeSettlementPlan({ c: { netCents: -200 }, a: { netCents: 300 }, b: { netCents: -100 } })
+    expect(one).toEqual(two)
+  })
+
+  it('falls back to greedy for very large groups and still settles everyone', () => {
+    const balances = {}
+    const size = MAX_EXACT_SETTLEMENT_SIZE + 4
+    for (let i = 0; i < size; i++) {
+      balances[`u${String(i).padStart(2, '0')}`] = { netCents: i % 2 === 0 ? 100 + i : -(100 + i - 1) }
+    }
+    // Make the total exactly zero
+    const total = Object.values(balances).reduce((s, b) => s + b.netCents, 0)
+    balances.u00.netCents -= total
+
+    const plan = computeSettlementPlan(balances)
+    expect(plan.length).toBeLessThanOrEqual(size - 1)
+    expect(Object.values(applyPlan(balances, plan)).every(v => v === 0)).toBe(true)
+  })
+})
+
+describe('settleUp', () => {
+  it('returns balances, transfers and total spend', () => {
+    const result = settleUp([
+      expense('a', 3000, ['a', 'b', 'c']),
+      expense('b', 600, ['a', 'b', 'c'])
+    ])
+    expect(result.totalSpendCents).toBe(3600)
+    expect(result.transfers).toEqual([
+      { fromUserId: 'c', toUserId: 'a', amountCents: 1200 },
+      { fromUserId: 'b', toUserId: 'a', amountCents: 600 }
+    ])
+  })
+})
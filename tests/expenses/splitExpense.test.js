@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest'
+import {
+  resolveSplit,
+  divideEvenly,
+  divideByWeights,
+  SPLIT_MODES
+} from '@/lib/expenses/splitExpense.js'
+import { computeBalances } from '@/lib/expenses/settleUp.js'
+
+const sum = (splits) => splits.reduce((total, s) => total + s.amountCents, 0)
+
+describe('divideEvenly', () => {
+  it('gives remainder cents to the first IDs', () => {
+    expect(divideEvenly(1000, ['a', 'b', 'c'])).toEqual([334, 333, 333])
+  })
+})
+
+describe('divideByWeights', () => {
+  it('always sums to the total', () => {
+    const parts = divideByWeights(1000, [1, 1, 1])
+    expect(parts.reduce((a, b) => a + b, 0)).toBe(1000)
+    expect(parts).toEqual([334, 333, 333])
+  })
+
+  it('hands leftover cents to the largest fractions', () => {
+    // 1001 * 2/3 = 667.33, 1001 * 1/3 = 333.67 → the 1/3 share gets the extra cent
+    expect(divideByWeights(1001, [2, 1])).toEqual([667, 334])
+  })
+})
+
+describe('resolveSplit', () => {
+  it('lists every supported mode', () => {
+    expect(SPLIT_MODES).toEqual(['equal', 'shares', 'percent', 'exact', 'itemized'])
+  })
+
+  it('defaults to an equal split', () => {
+    const result = resolveSplit({ amountCents: 1000, splitBetweenUserIds: ['a', 'b', 'c'] })
+    expect(result.ok).toBe(true)
+    expect(result.splitMode).toBe('equal')
+    expect(result.splits.map(s => s.amountCents)).toEqual([334, 333, 333])
+    expect(result.splitBetweenUserIds).toEqual(['a', 'b', 'c'])
+  })
+
+  it('rejects an equal split with nobody in it', () => {
+    const result = resolveSplit({ amountCents: 1000, splitBetweenUserIds: [] })
+    expect(result).toEqual({ ok: false, message: 'At least one person must be included in split' })
+  })
+
+  it('rejects unknown modes and bad amounts', () => {
+    expect(resolveSplit({ amountCents: 1000, splitMode: 'vibes' }).ok).toBe(false)
+    expect(resolveSplit({ amountCents: 0, splitBetweenUserIds: ['a'] }).ok).toBe(false)
+    expect(resolveSplit({ amountCents: 10.5, splitBetweenUserIds: ['a'] }).ok).toBe(false)
+  })
+
+  it('splits by shares', () => {
+    const result = resolveSplit({
+      amountCents: 9000,
+      splitMode: 'shares',
+      splits: [{ userId: 'couple', value: 2 }, { userId: 'solo', value: 1 }]
+    })
+    expect(result.ok).toBe(true)
+    expect(result.splits).toEqual([
+      { userId: 'couple', value: 2, amountCents: 6000 },
+      { userId: 'solo', value: 1, amountCents: 3000 }
+    ])
+  })
+
+  it('rejects zero, negative and duplicate shares', () => {
+    expect(resolveSplit({ amountCents: 1000, splitMode: 'shares', splits: [{ userId: 'a', value: 0 }] }).ok).toBe(false)
+    expect(resolveSplit({ amountCents: 1000, splitMode: 'shares', splits: [{ userId: 'a', value: -1 }] }).ok).toBe(false)
+    expect(resolveSplit({
+      amountCents: 1000,
+      splitMode: 'shares',
+      splits: [{ userId: 'a', value: 1 }, { userId: 'a', value: 1 }]
+    }).ok).toBe(false)
+  })
+
+  it('splits by percentage and sums exactly', () => {
+    const result = resolveSplit({
+      amountCents: 1000,
+      splitMode: 'percent',
+      splits: [{ userId: 'a', value: 33.33 }, { userId: 'b', value: 33.33 }, { userId: 'c', value: 33.34 }]
+    })
+    expect(result.ok).toBe(true)
+    expect(sum(result.splits)).toBe(1000)
+  })
+
+  it('requires percentages to total 100', () => {
+    const result = resolveSplit({
+      amountCents: 1000,
+      splitMode: 'percent',
+      splits: [{ userId: 'a', value: 50 }, { userId: 'b', value: 40 }]
+    })
+    expect(result.ok).toBe(false)
+    expect(result.message).toContain('100%')
+  })
+
+  it('accepts exact amounts that add up to the total', () => {
+    const result = resolveSplit({
+      amountCents: 5000,
+      splitMode: 'exact',
+      splits: [{ userId: 'a', value: 3200 }, { userId: 'b', value: 1800 }]
+    })
+    expect(result.ok).toBe(true)
+    expect(result.splits.map(s => s.amountCents)).toEqual([3200, 1800])
+  })
+
+  it('rejects exact amounts that do not add up', () => {
+    const result = resolveSplit({
+      amountCents: 5000,
+      splitMode: 'exact',
+      splits: [{ userId: 'a', value: 3200 }, { userId: 'b', value: 1700 }]
+    })
+    expect(result.ok).toBe(false)
+    expect(result.message).toContain('off by 100 cents')
+  })
+
+  it('splits line items between the people who had them', () => {
+    const result = resolveSplit({
+      amountCents: 6000,
+      splitMode: 'itemized',
+      items: [
+        { title: 'Steak', amountCents: 3000, userIds: ['a'] },
+        { title: ' Wine ', amountCents: 2000, userIds: ['a', 'b'] },
+        { title: 'Salad', amountCents: 1000, userIds: ['b', 'c'] }
+      ]
+    })
+    expect(result.ok).toBe(true)
+    expect(result.splits).toEqual([
+      { userId: 'a', value: 4000, amountCents: 4000 },
+      { userId: 'b', value: 1500, amountCents: 1500 },
+      { userId: 'c', value: 500, amountCents: 500 }
+    ])
+    expect(result.items[1].title).toBe('Wine')
+    expect(result.splitBetweenUserIds).toEqual(['a', 'b', 'c'])
+  })
+
+  it('rejects line items that do not add up or have nobody on them', () => {
+    expect(resolveSplit({
+      amountCents: 6000,
+      splitMode: 'itemized',
+      items: [{ title: 'Steak', amountCents: 3000, userIds: ['a'] }]
+    }).ok).toBe(false)
+    expect(resolveSplit({
+      amountCents: 3000,
+      splitMode: 'itemized',
+      items: [{ title: 'Steak', amountCents: 3000, userIds: [] }]
+    }).ok).toBe(false)
+    expect(resolveSplit({ amountCents: 3000, splitMode: 'itemized', items: [] }).ok).toBe(false)
+  })
+
+  it('feeds resolved splits into balances', () => {
+    const result = resolveSplit({
+      amountCents: 9000,
+      splitMode: 'shares',
+      splits: [{ userId: 'a', value: 2 }, { userId: 'b', value: 1 }]
+    })
+    const balances = computeBalances([{
+      amountCents: 9000,
+      paidByUserId: 'b',
+      splitBetweenUserIds: result.splitBetweenUserIds,
+      splitMode: result.splitMode,
+      splits: result.splits
+    }])
+    expect(balances.a.netCents).toBe(-6000)
+    expect(balances.b.netCents).toBe(6000)
+  })
+})
@@ -386,6 +386,23 @@ describe('evaluateLowCoverageProposal', () => {
     expect(nudge).toBeNull()
   })
 
+  it('should return nudge when a must-attend traveler is missing, even at high coverage', () => {
+    const nudge = evaluateLowCoverageProposal(
+      {
+        action: 'propose_window',
+        proposedWindowCoverage: 4,
+        proposedWindowTotal: 5,
+        missingRequiredNames: ['Sam'],
+      },
+      'trip-1',
+      5
+    )
+
+    expect(nudge).not.toBeNull()
+    expect(nudge.type).toBe(NudgeType.LEADER_PROPOSING_LOW_COVERAGE)
+    expect(nudge.payload.missingRequiredNames).toEqual(['Sam'])
+  })
+
   it('should return null for wrong action', () => {
     const nudge = evaluateLowCoverageProposal(
       {
@@ -0,0 +1,177 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('@/lib/push/pushRouter', () => ({
+  pushRouter: vi.fn().mockResolvedValue({ sent: 2, suppressed: 0, failed: 0 }),
+}))
+
+vi.mock('@/lib/server/db', () => ({
+  connectToMongo: vi.fn(),
+}))
+
+vi.mock('@/lib/chat/emitTripChatEvent', () => ({
+  emitTripChatEvent: vi.fn().mockResolvedValue({}),
+}))
+
+vi.mock('@/lib/decisions/closeDecision', () => ({
+  closeDecision: vi.fn(async (db, { decision }) => ({ ...decision, status: 'closed' })),
+}))
+
+import { pushRouter } from '@/lib/push/pushRouter'
+import { connectToMongo } from '@/lib/server/db'
+import { emitTripChatEvent } from '@/lib/chat/emitTripChatEvent'
+import { closeDecision } from '@/lib/decisions/closeDecision'
+import { POST } from '@/app/api/jobs/decision-deadlines/route'
+
+function makeRequest(secret) {
+  return {
+    headers: new Map([['authorization', `Bearer ${secret}`]]),
+  }
+}
+
+function makeDb({ decisions = [], trips = [] }) {
+  const data = { decisions, trips }
+  const updateOne = vi.fn().mockResolvedValue({})
+  const find = vi.fn().mockImplementation(() => ({ toArray: vi.fn().mockResolvedValue([]) }))
+  return {
+    updateOne,
+    find,
+    collection: vi.fn().mockImplementation((name) => ({
+      find: (...args) => {
+        find(name, ...args)
+        return { toArray: vi.fn().mockResolvedValue(data[name] || []) }
+      },
+      updateOne,
+    })),
+  }
+}
+
+const hoursFromNow = (h) => new Date(Date.now() + h * 60 * 60 * 1000).toISOString()
+
+const TRIP = { id: 'trip-1', name: 'Beach Trip', circleId: 'circle-1', boostStatus: 'boosted', status: 'locked' }
+
+const OPTIONS = [{ id: 'a', label: 'Pizza' }, { id: 'b', label: 'Sushi' }]
+
+function decision(overrides = {}) {
+  return {
+    id: 'd1',
+    tripId: 'trip-1',
+    question: 'Dinner?',
+    options: OPTIONS,
+    votes: [],
+    status: 'open',
+    autoClose: true,
+    tieBreak: 'leader',
+    nudgedAt: null,
+    deadline: hoursFromNow(-1),
+    ...overrides,
+  }
+}
+
+describe('decision-deadlines cron', () => {
+  const ORIGINAL_ENV = process.env
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    process.env = { ...ORIGINAL_ENV, CRON_SECRET: 'test-secret' }
+  })
+
+  it('rejects requests without valid CRON_SECRET', async () => {
+    const res = await POST(makeRequest('wrong-secret'))
+    expect(res.status).toBe(401)
+  })
+
+  it('auto-closes an overdue poll with the leading option', async () => {
+    const db = makeDb({
+      decisions: [decision({ votes: [{ userId: 'u1', optionId: 'b' }] })],
+      trips: [TRIP],
+    })
+    connectToMongo.mockResolvedValue(db)
+
+    const body = await (await POST(makeRequest('test-secret'))).json()
+
+    expect(body.decision_auto_close.closed).toBe(1)
+    expect(closeDecision).toHaveBeenCalledWith(db, expect.objectContaining({ closedBy: 'system', winningOptionId: 'b' }))
+  })
+
+  it('applies the tie-break rule', async () => {
+    const db = makeDb({
+      decisions: [decision({
+        tieBreak: 'first_listed',
+        votes: [{ userId: 'u1', optionId: 'b' }, { userId: 'u2', optionId: 'a' }],
+      })],
+      trips: [TRIP],
+    })
+    connectToMongo.mockResolvedValue(db)
+
+    await POST(makeRequest('test-secret'))
+
+    expect(closeDecision).toHaveBeenCalledWith(db, expect.objectContaining({ winningOptionId: 'a' }))
+  })
+
+  it('leaves a tie open for the leader and says so in chat', async () => {
+    const db = makeDb({
+      decisions: [decision({ votes: [{ userId: 'u1', optionId: 'a' }, { userId: 'u2', optionId: 'b' }] })],
+      trips: [TRIP],
+    })
+    connectToMongo.mockResolvedValue(db)
+
+    const body = await (await POST(makeRequest('test-secret'))).json()
+
+    expect(closeDecision).not.toHaveBeenCalled()
+    expect(body.decision_auto_close.awaiting_leader).toBe(1)
+    expect(db.updateOne).toHaveBeenCalledWith({ id: 'd1' }, { $set: { deadlineHandledAt: expect.any(String) } })
+    expect(emitTripChatEvent).toHaveBeenCalledWith(expect.objectContaining({
+      subtype: 'decision_tie',
+      dedupeKey: 'decision_tie:d1',
+    }))
+  })
+
+  it('does not auto-close when auto-close is off', async () => {
+    const db = makeDb({ decisions: [decision({ autoClose: false })], trips: [TRIP] })
+    connectToMongo.mockResolvedValue(db)
+
+    await POST(makeRequest('test-secret'))
+
+    expect(closeDecision).not.toHaveBeenCalled()
+    expect(db.updateOne).toHaveBeenCalledWith({ id: 'd1' }, { $set: { deadlineHandledAt: expect.any(String) } })
+  })
+
+  it('only scans polls whose deadline has not been handled yet', async () => {
+    const db = makeDb({ decisions: [], trips: [TRIP] })
+    connectToMongo.mockResolvedValue(db)
+
+    await POST(makeRequest('test-secret'))
+
+    expect(db.find).toHaveBeenCalledWith('decisions', expect.objectContaining({ deadlineHandledAt: null }))
+  })
+
+  it('nudges non-voters once the deadline is near', async () => {
+    const db = makeDb({
+      decisions: [decision({ deadline: hoursFromNow(6), votes: [{ userId: 'u1', optionId: 'a' }] })],
+      trips: [TRIP],
+    })
+    connectToMongo.mockResolvedValue(db)
+
+    const body = await (await POST(makeRequest('test-secret'))).json()
+
+    expect(body.decision_nudge.sent).toBe(2)
+    expect(pushRouter).toHaveBeenCalledWith(db, expect.objectContaining({
+      type: 'decision_nudge',
+      context: expect.objectContaining({ decisionId: 'd1', voterIds: ['u1'] }),
+    }))
+    expect(db.updateOne).toHaveBeenCalledWith({ id: 'd1' }, { $set: { nudgedAt: expect.any(String) } })
+  })
+
+  it('skips polls on trips that are not boosted', async () => {
+    const db = makeDb({
+      decisions: [decision(), decision({ id: 'd2', deadline: hoursFromNow(6) })],
+      trips: [{ ...TRIP, boostStatus: 'free' }],
+    })
+    connectToMongo.mockResolvedValue(db)
+
+    await POST(makeRequest('test-secret'))
+
+    expect(closeDecision).not.toHaveBeenCalled()
+    expect(pushRouter).not.toHaveBeenCalled()
+  })
+})
@@ -124,6 +124,29 @@ describe('resolveTargetUsers', () => {
     expect(result).toEqual([])
   })
 
+  it('settle_reminder: debtor only', async () => {
+    const result = await resolveTargetUsers(db, 'settle_reminder', COLLAB_TRIP, { debtorId: 'bob' })
+    expect(result).toEqual(['bob'])
+  })
+
+  it('decision_nudge: travelers who have not voted', async () => {
+    const result = await resolveTargetUsers(db, 'decision_nudge', COLLAB_TRIP, { voterIds: ['leader'] })
+    expect(result).toEqual(['alice', 'bob'])
+  })
+
+  it('mention: mentioned travelers except the author', async () => {
+    const result = await resolveTargetUsers(db, 'mention', COLLAB_TRIP, {
+      mentionedUserIds: ['alice', 'leader', 'stranger'],
+      actorUserId: 'leader',
+    })
+    expect(result).toEqual(['alice'])
+  })
+
+  it('scheduling_deadline: all active travelers, leader included', async () => {
+    const result = await resolveTargetUsers(db, 'scheduling_deadline', COLLAB_TRIP, {})
+    expect(result).toEqual(['leader', 'alice', 'bob'])
+  })
+
   it('unknown type: returns empty', async () => {
     const result = await resolveTargetUsers(db, 'unknown_type', COLLAB_TRIP, {})
     expect(result).toEqual([])
@@ -25,6 +25,12 @@ const CONTEXTS = {
   prep_reminder_7d: { tripName: 'Beach Trip' },
   trip_started: { tripName: 'Beach Trip' },
   leader_transferred: { tripName: 'Beach Trip' },
+  decision_created: { tripName: 'Beach Trip', actorName: 'Alex', question: 'Pizza or sushi?' },
+  decision_closed: { tripName: 'Beach Trip', winningOption: 'Pizza' },
+  decision_nudge: { tripName: 'Beach Trip', question: 'Dinner Friday?' },
+  scheduling_deadline: { tripName: 'Beach Trip', step: 'proposed', dates: 'Feb 7\u2013Feb 9' },
+  settle_reminder: { tripName: 'Beach Trip', stage: 'trip_end', creditorName: 'Alex', creditorCount: 1, amount: '$45.00' },
+  mention: { tripName: 'Beach Trip', actorName: 'Alex', preview: '@Sam did you book the Airbnb?' },
 }
 
 const TRIP = { id: 'trip-1', name: 'Beach Trip', createdBy: 'leader-1' }
@@ -70,6 +76,12 @@ describe('pushCopy', () => {
       const result = PUSH_COPY.dates_locked(ctx, { userId: 'traveler-1', trip: TRIP })
       expect(result.body).toContain('Dates confirmed')
     })
+
+    it('leader gets announcement copy when the deadline locked the dates', () => {
+      const ctx = { tripName: 'Beach Trip', dates: 'Feb 7\u2013Feb 9', auto: true }
+      const result = PUSH_COPY.dates_locked(ctx, { userId: 'leader-1', trip: TRIP })
+      expect(result.body).toContain('Dates confirmed')
+    })
   })
 
   describe('itinerary_generated is version-aware', () => {
@@ -90,6 +102,27 @@ describe('pushCopy', () => {
     })
   })
 
+  describe('settle_reminder escalates by stage', () => {
+    const ctx = { tripName: 'Beach Trip', creditorName: 'Alex', creditorCount: 1, amount: '$45.00' }
+
+    it('names the creditor and amount', () => {
+      const result = PUSH_COPY.settle_reminder({ ...ctx, stage: 'trip_end' }, { userId: 'user-1', trip: TRIP })
+      expect(result.body).toContain('owe Alex $45.00')
+    })
+
+    it('uses different copy for each stage', () => {
+      const bodies = ['trip_end', 'day_3', 'day_7'].map(stage =>
+        PUSH_COPY.settle_reminder({ ...ctx, stage }, { userId: 'user-1', trip: TRIP }).body
+      )
+      expect(new Set(bodies).size).toBe(3)
+    })
+
+    it('summarises several creditors', () => {
+      const result = PUSH_COPY.settle_reminder({ ...ctx, creditorCount: 2, stage: 'day_3' }, { userId: 'user-1', trip: TRIP })
+      expect(result.body).toContain('you owe 2 people $45.00')
+    })
+  })
+
   describe('formatDateRange', () => {
     it('formats dates as "Feb 7–Feb 9"', () => {
       const result = formatDateRange('2026-02-07', '2026-02-09')
@@ -111,6 +111,7 @@ describe('isP0Type', () => {
     'prep_reminder_7d',
     'trip_started',
     'leader_transferred',
+    'scheduling_deadline',
   ]
 
   for (const type of P1_TYPES) {
@@ -8,6 +8,7 @@ vi.mock('@/lib/push/pushCopy', () => ({
       title: ctx.tripName,
       body: trip.createdBy === userId ? 'You locked it.' : 'Dates locked!',
     }),
+    mention: (ctx) => ({ title: ctx.tripName, body: `${ctx.actorName} mentioned you: ${ctx.preview}` }),
   },
 }))
 
@@ -165,4 +166,19 @@ describe('pushRouter', () => {
     expect(leaderCall[2].body).toContain('You locked')
     expect(aliceCall[2].body).toContain('Dates locked')
   })
+
+  it('mention dedupes per message and recipient', async () => {
+    resolveTargetUsers.mockResolvedValue(['alice'])
+    await pushRouter(DB, {
+      type: 'mention',
+      tripId: 'trip-1',
+      trip: TRIP,
+      context: { tripName: 'Beach Trip', actorName: 'Sam', messageId: 'msg-1', preview: '@Alice flights?' },
+    })
+    expect(tryRecordPush).toHaveBeenCalledWith(DB, expect.objectContaining({
+      userId: 'alice',
+      dedupeKey: 'mention:msg-1:alice',
+      pushType: 'mention',
+    }))
+  })
 })
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('@/lib/server/db', () => ({
+  connectToMongo: vi.fn(),
+}))
+
+vi.mock('@/lib/trips/applySchedulingDeadline', () => ({
+  applySchedulingDeadline: vi.fn(async (db, { step }) => ({ action: step === 'propose' ? 'proposed' : 'locked' })),
+}))
+
+import { connectToMongo } from '@/lib/server/db'
+import { applySchedulingDeadline } from '@/lib/trips/applySchedulingDeadline'
+import { POST } from '@/app/api/jobs/scheduling-deadlines/route'
+
+function makeRequest(secret) {
+  return {
+    headers: new Map([['authorization', `Bearer ${secret}`]]),
+  }
+}
+
+function makeDb(trips) {
+  return {
+    collection: vi.fn().mockImplementation(() => ({
+      find: vi.fn().mockReturnValue({ toArray: vi.fn().mockResolvedValue(trips) }),
+    })),
+  }
+}
+
+const hoursFromNow = (h) => new Date(Date.now() + h * 60 * 60 * 1000).toISOString()
+
+function trip(overrides = {}) {
+  return {
+    id: 'trip-1',
+    name: 'Beach Trip',
+    circleId: 'circle-1',
+    type: 'collaborative',
+    schedulingMode: 'date_windows',
+    status: 'scheduling',
+    ...overrides,
+  }
+}
+
+describe('scheduling-deadlines cron', () => {
+  const ORIGINAL_ENV = process.env
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    process.env = { ...ORIGINAL_ENV, CRON_SECRET: 'test-secret' }
+  })
+
+  it('rejects requests without valid CRON_SECRET', async () => {
+    const res = await POST(makeRequest('wrong-secret'))
+    expect(res.status).toBe(401)
+  })
+
+  it('proposes once suggest-dates-by passes', async () => {
+    const db = makeDb([trip({ suggestDatesBy: hoursFromNow(-1) })])
+    connectToMongo.mockResolvedValue(db)
+
+    const body = await (await POST(makeRequest('test-secret'))).json()
+
+    expect(body.proposed).toBe(1)
+    expect(applySchedulingDeadline).toHaveBeenCalledWith(db, expect.objectContaining({ step: 'propose' }))
+  })
+
+  it('locks once react-by passes with dates proposed', async () => {
+    const db = makeDb([trip({ proposedWindowIds: ['w1'], reactBy: hoursFromNow(-1) })])
+    connectToMongo.mockResolvedValue(db)
+
+    const body = await (await POST(makeRequest('test-secret'))).json()
+
+    expect(body.locked).toBe(1)
+    expect(applySchedulingDeadline).toHaveBeenCalledWith(db, expect.objectContaining({ step: 'lock' }))
+  })
+
+  it('skips trips whose deadline belongs to another step', async () => {
+    // Still collecting, so a passed react-by has nothing to lock yet
+    const db = makeDb([trip({ reactBy: hoursFromNow(-1) })])
+    connectToMongo.mockResolvedValue(db)
+
+    const body = await (await POST(makeRequest('test-secret'))).json()
+
+    expect(applySchedulingDeadline).not.toHaveBeenCalled()
+    expect(body.trips_scanned).toBe(0)
+  })
+
+  it('keeps going when one trip fails', async () => {
+    applySchedulingDeadline.mockRejectedValueOnce(new Error('boom'))
+    const db = makeDb([
+      trip({ id: 'trip-1', suggestDatesBy: hoursFromNow(-1) }),
+      trip({ id: 'trip-2', suggestDatesBy: hoursFromNow(-2) }),
+    ])
+    connectToMongo.mockResolvedValue(db)
+
+    const body = await (await POST(makeRequest('test-secret'))).json()
+
+    expect(body.success).toBe(true)
+    expect(body.proposed).toBe(1)
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('@/lib/push/pushRouter', () => ({
+  pushRouter: vi.fn().mockResolvedValue({ sent: 1, suppressed: 0, failed: 0 }),
+}))
+
+vi.mock('@/lib/server/db', () => ({
+  connectToMongo: vi.fn(),
+}))
+
+import { pushRouter } from '@/lib/push/pushRouter'
+import { connectToMongo } from '@/lib/server/db'
+import { POST, GET } from '@/app/api/jobs/settle-reminders/route'
+
+function makeRequest(secret) {
+  return {
+    headers: new Map([['authorization', `Bearer ${secret}`]]),
+  }
+}
+
+function makeDb({ trips = [], settlements = [], users = [] }) {
+  const cursor = (docs) => {
+    const c = { toArray: vi.fn().mockResolvedValue(docs) }
+    c.project = vi.fn().mockReturnValue(c)
+    return c
+  }
+  const data = { trips, settlements, users }
+  return {
+    collection: vi.fn().mockImplementation((name) => ({
+      find: vi.fn().mockReturnValue(cursor(data[name] || [])),
+    })),
+  }
+}
+
+const today = new Date().toISOString().slice(0, 10)
+
+// Alex paid $90 for three; Sam and Jo each owe Alex $30
+const TRIP = {
+  id: 'trip-1',
+  name: 'Beach Trip',
+  boostStatus: 'boosted',
+  status: 'locked',
+  lockedEndDate: today,
+  currency: 'USD',
+  expenses: [
+    { amountCents: 9000, currency: 'USD', paidByUserId: 'alex', splitBetweenUserIds: ['alex', 'sam', 'jo'] }
+  ],
+}
+
+describe('settle-reminders cron', () => {
+  const ORIGINAL_ENV = process.env
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    process.env = { ...ORIGINAL_ENV, CRON_SECRET: 'test-secret' }
+  })
+
+  it('rejects requests without valid CRON_SECRET', async () => {
+    const res = await POST(makeRequest('wrong-secret'))
+    expect(res.status).toBe(401)
+  })
+
+  it('reminds each debtor on the day the trip ends', async () => {
+    const db = makeDb({ trips: [TRIP], users: [{ id: 'alex', name: 'Alex' }] })
+    connectToMongo.mockResolvedValue(db)
+
+    const res = await POST(makeRequest('test-secret'))
+    const body = await res.json()
+
+    expect(body.success).toBe(true)
+    expect(body.settle_reminder.debtors).toBe(2)
+    expect(pushRouter).toHaveBeenCalledTimes(2)
+    expect(pushRouter).toHaveBeenCalledWith(db, expect.objectContaining({
+      type: 'settle_reminder',
+      tripId: 'trip-1',
+      context: expect.objectContaining({ stage: 'trip_end', debtorId: 'sam', creditorName: 'Alex', amount: '$30.00' }),
+    }))
+  })
+
+  it('skips debtors who recorded their payment', async () => {
+    const db = makeDb({
+      trips: [TRIP],
+      settlements: [{ tripId: 'trip-1', fromUserId: 'sam', toUserId: 'alex', amountCents: 3000, currency: 'USD', status: 'pending' }],
+      users: [{ id: 'alex', name: 'Alex' }],
+    })
+    connectToMongo.mockResolvedValue(db)
+
+    await POST(makeRequest('test-secret'))
+
+    expect(pushRouter).toHaveBeenCalledTimes(1)
+    expect(pushRouter.mock.calls[0][1].context.debtorId).toBe('jo')
+  })
+
+  it('skips trips that are not boosted', async () => {
+    connectToMongo.mockResolvedValue(makeDb({ trips: [{ ...TRIP, boostStatus: 'free' }] }))
+
+    await POST(makeRequest('test-secret'))
+
+    expect(pushRouter).not.toHaveBeenCalled()
+  })
+
+  it('GET returns endpoint info', async () => {
+    const res = await GET()
+    const body = await res.json()
+    expect(body.endpoint).toBe('/api/jobs/settle-reminders')
+  })
+})
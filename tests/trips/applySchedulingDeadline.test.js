@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('@/lib/chat/emitTripChatEvent.js', () => ({
+  emitTripChatEvent: vi.fn(async () => ({}))
+}))
+
+import { emitTripChatEvent } from '@/lib/chat/emitTripChatEvent.js'
+import { applySchedulingDeadline } from '@/lib/trips/applySchedulingDeadline.js'
+
+const NOW = new Date('2027-03-01T12:00:00Z')
+const DEADLINE = '2027-03-01T09:00:00Z'
+
+// The claim hands back `claimed`; every read finds nothing
+function makeDb(claimed) {
+  const empty = { toArray: async () => [], sort: () => empty }
+  const collections = {
+    trips: { findOneAndUpdate: vi.fn(async () => claimed), updateOne: vi.fn() },
+    memberships: { find: vi.fn(() => empty) },
+    trip_participants: { find: vi.fn(() => empty) },
+    date_windows: { find: vi.fn(() => empty) },
+    window_supports: { find: vi.fn(() => empty) }
+  }
+  return { collection: (name) => collections[name], collections }
+}
+
+const collecting = {
+  id: 't1',
+  circleId: 'c1',
+  type: 'collaborative',
+  schedulingMode: 'date_windows',
+  status: 'scheduling',
+  suggestDatesBy: DEADLINE,
+  suggestDatesByHandledAt: null
+}
+
+describe('applySchedulingDeadline', () => {
+  beforeEach(() => emitTripChatEvent.mockClear())
+
+  it('acts on the step it claimed while it is still due', async () => {
+    const db = makeDb({ ...collecting, suggestDatesByHandledAt: NOW.toISOString() })
+
+    const result = await applySchedulingDeadline(db, { trip: collecting, step: 'propose', now: NOW })
+
+    expect(result).toEqual({ action: 'leader_decides', reason: 'no_windows' })
+    expect(emitTripChatEvent).toHaveBeenCalledTimes(1)
+  })
+
+  it('skips when the trip moved on between the cron read and the claim', async () => {
+    // The leader proposed dates in the meantime, so reactions are what's due now
+    const db = makeDb({
+      ...collecting,
+      suggestDatesByHandledAt: NOW.toISOString(),
+      proposedWindowIds: ['w1'],
+      reactBy: '2027-03-04T09:00:00Z'
+    })
+
+    const result = await applySchedulingDeadline(db, { trip: collecting, step: 'propose', now: NOW })
+
+    expect(result).toEqual({ action: 'skipped' })
+    expect(db.collections.date_windows.find).not.toHaveBeenCalled()
+    expect(emitTripChatEvent).not.toHaveBeenCalled()
+  })
+
+  it('skips when another run already claimed the deadline', async () => {
+    const db = makeDb(null)
+
+    expect(await applySchedulingDeadline(db, { trip: collecting, step: 'propose', now: NOW }))
+      .toEqual({ action: 'skipped' })
+  })
+})
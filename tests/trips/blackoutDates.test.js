@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest'
+import {
+  validateBlackout,
+  tripBlackoutsQuery,
+  findWindowConflicts,
+  blackoutsToDays,
+  BLACKOUT_CONFIG
+} from '@/lib/trips/blackoutDates.js'
+
+function blackout(id, userId, startDate, endDate) {
+  return { id, userId, startDate, endDate }
+}
+
+describe('validateBlackout', () => {
+  it('accepts a range and defaults to this trip', () => {
+    expect(validateBlackout({ startDate: '2027-05-01', endDate: '2027-05-03', note: ' wedding ' })).toEqual({
+      ok: true,
+      blackout: { startDate: '2027-05-01', endDate: '2027-05-03', note: 'wedding', scope: 'trip' }
+    })
+  })
+
+  it('accepts circle-wide blackouts', () => {
+    const result = validateBlackout({ startDate: '2027-05-01', endDate: '2027-05-01', scope: 'circle' })
+    expect(result.blackout.scope).toBe('circle')
+  })
+
+  it('rejects bad dates, reversed ranges and unknown scopes', () => {
+    expect(validateBlackout({ startDate: 'May 1', endDate: '2027-05-03' }).ok).toBe(false)
+    expect(validateBlackout({ startDate: '2027-05-03', endDate: '2027-05-01' }).ok).toBe(false)
+    expect(validateBlackout({ startDate: '2027-05-01', endDate: '2027-05-03', scope: 'forever' }).ok).toBe(false)
+  })
+
+  it('caps range length and note length', () => {
+    expect(validateBlackout({ startDate: '2027-01-01', endDate: '2028-06-01' }).ok).toBe(false)
+    const note = 'x'.repeat(BLACKOUT_CONFIG.MAX_NOTE_LENGTH + 1)
+    expect(validateBlackout({ startDate: '2027-05-01', endDate: '2027-05-01', note }).ok).toBe(false)
+  })
+})
+
+describe('tripBlackoutsQuery', () => {
+  it('includes the trip\'s own and circle-wide blackouts', () => {
+    expect(tripBlackoutsQuery({ id: 'trip-1', circleId: 'circle-1' }, ['ana'])).toEqual({
+      $or: [{ tripId: 'trip-1' }, { tripId: null, circleId: 'circle-1' }],
+      userId: { $in: ['ana'] }
+    })
+  })
+})
+
+describe('findWindowConflicts', () => {
+  const window = { id: 'w1', startDate: '2027-05-01', endDate: '2027-05-05' }
+
+  it('lists each traveler whose blackout overlaps, once', () => {
+    const blackouts = [
+      blackout('b1', 'ana', '2027-04-28', '2027-05-01'),
+      blackout('b2', 'ana', '2027-05-04', '2027-05-04'),
+      blackout('b3', 'ben', '2027-05-05', '2027-05-09'),
+      blackout('b4', 'cal', '2027-05-06', '2027-05-09')
+    ]
+    expect(findWindowConflicts(window, blackouts)).toEqual([
+      { userId: 'ana', blackoutId: 'b1', startDate: '2027-04-28', endDate: '2027-05-01' },
+      { userId: 'ben', blackoutId: 'b3', startDate: '2027-05-05', endDate: '2027-05-09' }
+    ])
+  })
+
+  it('reads normalized window fields', () => {
+    const normalized = { id: 'w2', normalizedStart: '2027-05-01', normalizedEnd: '2027-05-02' }
+    expect(findWindowConflicts(normalized, [blackout('b1', 'ana', '2027-05-02', '2027-05-02')])).toHaveLength(1)
+  })
+
+  it('ignores windows without dates', () => {
+    expect(findWindowConflicts({ id: 'w3', sourceText: 'spring' }, [blackout('b1', 'ana', '2027-05-02', '2027-05-02')])).toEqual([])
+  })
+})
+
+describe('blackoutsToDays', () => {
+  it('expands ranges into blocked days', () => {
+    expect(blackoutsToDays([blackout('b1', 'ana', '2027-02-27', '2027-03-01')])).toEqual([
+      { userId: 'ana', days: ['2027-02-27', '2027-02-28', '2027-03-01'], source: 'blackout', reason: 'blocked' }
+    ])
+  })
+})
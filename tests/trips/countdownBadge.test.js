@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { getTripCountdownBadge } from '../../lib/trips/getTripCountdownLabel'
+import { getTripCountdownBadge, getTripCountdownLabel, getDaysUntilTripStart } from '../../lib/trips/getTripCountdownLabel'
 
 describe('getTripCountdownBadge', () => {
   beforeEach(() => {
@@ -57,3 +57,29 @@ describe('getTripCountdownBadge', () => {
     expect(getTripCountdownBadge(trip)).toBeNull()
   })
 })
+
+describe('destination time zone', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('counts days from the destination\'s calendar date', () => {
+    // 23:30 UTC on Mar 1 is already Mar 2 in Tokyo
+    const now = new Date('2026-03-01T23:30:00Z')
+    const trip = { destinationTimeZone: 'Asia/Tokyo' }
+    expect(getDaysUntilTripStart(trip, '2026-03-02', now)).toBe(0)
+    expect(getDaysUntilTripStart({ destinationTimeZone: 'America/Los_Angeles' }, '2026-03-02', now)).toBe(1)
+  })
+
+  it('flips the label at local midnight', () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2026-03-01T15:30:00Z')) // 00:30 Mar 2 in Tokyo
+    const trip = { status: 'locked', lockedStartDate: '2026-03-02', lockedEndDate: '2026-03-05', destinationTimeZone: 'Asia/Tokyo' }
+    expect(getTripCountdownLabel(trip)).toBe('Today')
+    expect(getTripCountdownBadge(trip)).toBe('Today')
+  })
+
+  it('ignores an unknown zone', () => {
+    expect(getDaysUntilTripStart({ destinationTimeZone: 'Nope/Nowhere' }, '2026-03-05', new Date(2026, 2, 1, 12))).toBe(4)
+  })
+})
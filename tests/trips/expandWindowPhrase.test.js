@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest'
+import { expandWindowPhrase, MAX_CANDIDATES } from '@/lib/trips/expandWindowPhrase.js'
+import {
+  getEasterSunday,
+  getHolidayDate,
+  getHolidaysForYear,
+  findHoliday,
+  getHolidayCountry
+} from '@/lib/trips/holidayTable.js'
+
+describe('holidayTable', () => {
+  it('computes Easter Sunday', () => {
+    expect(getEasterSunday(2026)).toEqual({ month: 3, day: 5 })
+    expect(getEasterSunday(2027)).toEqual({ month: 2, day: 28 })
+    expect(getEasterSunday(2038)).toEqual({ month: 3, day: 25 })
+  })
+
+  it('resolves nth and last weekday rules', () => {
+    expect(getHolidayDate(findHoliday('thanksgiving'), 2026)).toBe('2026-11-26')
+    expect(getHolidayDate(findHoliday('memorial day'), 2027)).toBe('2027-05-31')
+    expect(getHolidayDate(findHoliday('labor day'), 2027)).toBe('2027-09-06')
+  })
+
+  it('resolves Easter-relative holidays', () => {
+    expect(getHolidayDate(findHoliday('good friday'), 2027)).toBe('2027-03-26')
+    expect(getHolidayDate(findHoliday('whit monday'), 2026)).toBe('2026-05-25')
+  })
+
+  it('finds holidays by localized or punctuated names', () => {
+    expect(findHoliday('Pâques').key).toBe('easter')
+    expect(findHoliday("New Year's").key).toBe('new_year')
+    expect(findHoliday('4th of July').key).toBe('independence_day_us')
+    expect(findHoliday('march')).toBeNull()
+  })
+
+  it('picks the holiday country from the locale region', () => {
+    expect(getHolidayCountry('en-GB')).toBe('GB')
+    expect(getHolidayCountry('pt-BR')).toBe('BR')
+    expect(getHolidayCountry('fr')).toBe('US')
+    expect(getHolidayCountry(undefined)).toBe('US')
+  })
+
+  it('lists a country\'s holidays in date order', () => {
+    const may = getHolidaysForYear('GB', 2027).filter(h => h.date.startsWith('2027-05'))
+    expect(may.map(h => h.date)).toEqual(['2027-05-03', '2027-05-31'])
+  })
+})
+
+describe('expandWindowPhrase', () => {
+  it('returns null for single-range phrases', () => {
+    expect(expandWindowPhrase('Feb 7-9', { tripYear: 2027 })).toBeNull()
+    expect(expandWindowPhrase('first weekend of March', { tripYear: 2027 })).toBeNull()
+    expect(expandWindowPhrase('early June', { tripYear: 2027 })).toBeNull()
+    expect(expandWindowPhrase('', {})).toBeNull()
+  })
+
+  describe('weekends', () => {
+    it('expands "any weekend in March" to every Sat–Sun', () => {
+      const result = expandWindowPhrase('any weekend in March', { tripYear: 2027 })
+      expect(result.kind).toBe('weekends')
+      expect(result.summary).toBe('Weekends in March 2027')
+      expect(result.candidates).toEqual([
+        { startISO: '2027-03-06', endISO: '2027-03-07' },
+        { startISO: '2027-03-13', endISO: '2027-03-14' },
+        { startISO: '2027-03-20', endISO: '2027-03-21' },
+        { startISO: '2027-03-27', endISO: '2027-03-28' }
+      ])
+      expect(result.constraint).toBeNull()
+    })
+
+    it('accepts localized month names', () => {
+      const result = expandWindowPhrase('every weekend in juin', { tripYear: 2027 })
+      expect(result.candidates[0]).toEqual({ startISO: '2027-06-05', endISO: '2027-06-06' })
+    })
+
+    it('uses public holidays for long weekends', () => {
+      const result = expandWindowPhrase('any long weekend in May', { tripYear: 2027 })
+      expect(result.kind).toBe('long_weekends')
+      expect(result.candidates).toEqual([
+        { startISO: '2027-05-29', endISO: '2027-05-31', label: 'Memorial Day' }
+      ])
+    })
+
+    it('uses the locale\'s country for long weekends', () => {
+      const result = expandWindowPhrase('any long weekend in May', { tripYear: 2027, locale: 'en-GB' })
+      expect(result.candidates.map(c => c.startISO)).toEqual(['2027-05-01', '2027-05-29'])
+    })
+
+    it('falls back to Fri–Sun when the month has no holiday', () => {
+      const result = expandWindowPhrase('any long weekend in March', { tripYear: 2027 })
+      expect(result.summary).toContain('No public holidays')
+      expect(result.candidates[0]).toEqual({ startISO: '2027-03-05', endISO: '2027-03-07' })
+    })
+  })
+
+  describe('holiday anchors', () => {
+    it('expands "the week after Easter"', () => {
+      const result = expandWindowPhrase('the week after Easter', { tripYear: 2027 })
+      expect(result.kind).toBe('holiday')
+      expect(result.holiday).toEqual({ key: 'easter', name: 'Easter', date: '2027-03-28' })
+      expect(result.candidates).toEqual([{ startISO: '2027-03-29', endISO: '2027-04-04' }])
+    })
+
+    it('expands "week before Thanksgiving"', () => {
+      const result = expandWindowPhrase('week before Thanksgiving', { tripYear: 2026 })
+      expect(result.candidates).toEqual([{ startISO: '2026-11-19', endISO: '2026-11-25' }])
+    })
+
+    it('expands "Christmas week" to the Monday–Sunday week', () => {
+      const result = expandWindowPhrase('Christmas week', { tripYear: 2026 })
+      expect(result.candidates).toEqual([{ startISO: '2026-12-21', endISO: '2026-12-27' }])
+    })
+
+    it('spans Good Friday to Easter Monday for Easter weekend', () => {
+      const result = expandWindowPhrase('Easter weekend', { tripYear: 2026 })
+      expect(result.candidates).toEqual([{ startISO: '2026-04-03', endISO: '2026-04-06' }])
+    })
+
+    it('extends a Thursday holiday through Sunday', () => {
+      const result = expandWindowPhrase('Thanksgiving weekend', { tripYear: 2026 })
+      expect(result.candidates).toEqual([{ startISO: '2026-11-26', endISO: '2026-11-29' }])
+    })
+
+    it('expands "around" a holiday to three days either side', () => {
+      const result = expandWindowPhrase('around July 4th', { tripYear: 2027 })
+      expect(result.candidates).toEqual([{ startISO: '2027-07-01', endISO: '2027-07-07' }])
+    })
+
+    it('picks the next occurrence on or after the trip start', () => {
+      const result = expandWindowPhrase('week after Easter', { startBound: '2026-06-01', endBound: '2027-06-01' })
+      expect(result.holiday.date).toBe('2027-03-28')
+    })
+
+    it('ignores phrases that name no known holiday', () => {
+      expect(expandWindowPhrase('the week after graduation', { tripYear: 2027 })).toBeNull()
+    })
+  })
+
+  describe('day constraints', () => {
+    it('splits "first two weeks of July, weekdays only" into weekday runs', () => {
+      const result = expandWindowPhrase('first two weeks of July, weekdays only', { tripYear: 2027 })
+      expect(result.kind).toBe('weeks')
+      expect(result.constraint).toEqual({ days: 'weekdays' })
+      expect(result.summary).toBe('First 2 weeks of July 2027, weekdays only')
+      expect(result.candidates).toEqual([
+        { startISO: '2027-07-01', endISO: '2027-07-02' },
+        { startISO: '2027-07-05', endISO: '2027-07-09' },
+        { startISO: '2027-07-12', endISO: '2027-07-14' }
+      ])
+    })
+
+    it('applies a constraint to a plain range', () => {
+      const result = expandWindowPhrase('Jul 1-14 weekends only', { tripYear: 2027 })
+      expect(result.kind).toBe('constrained')
+      expect(result.candidates).toEqual([
+        { startISO: '2027-07-03', endISO: '2027-07-04' },
+        { startISO: '2027-07-10', endISO: '2027-07-11' }
+      ])
+    })
+
+    it('returns null when the base phrase cannot be parsed', () => {
+      expect(expandWindowPhrase('sometime, weekdays only', { tripYear: 2027 })).toBeNull()
+    })
+  })
+
+  describe('filtering', () => {
+    it('splits ranges longer than the window limit into weeks', () => {
+      const result = expandWindowPhrase('last three weeks of August', { tripYear: 2027 })
+      expect(result.candidates).toEqual([
+        { startISO: '2027-08-11', endISO: '2027-08-17' },
+        { startISO: '2027-08-18', endISO: '2027-08-24' },
+        { startISO: '2027-08-25', endISO: '2027-08-31' }
+      ])
+    })
+
+    it('drops candidates outside the trip bounds', () => {
+      const result = expandWindowPhrase('any weekend in March', {
+        tripYear: 2027,
+        startBound: '2027-03-10',
+        endBound: '2027-03-22'
+      })
+      expect(result.candidates.map(c => c.startISO)).toEqual(['2027-03-13', '2027-03-20'])
+    })
+
+    it('drops candidates that have already passed', () => {
+      const result = expandWindowPhrase('any weekend in March', { tripYear: 2027, today: '2027-03-15' })
+      expect(result.candidates.map(c => c.startISO)).toEqual(['2027-03-20', '2027-03-27'])
+    })
+
+    it('caps the number of candidates', () => {
+      const result = expandWindowPhrase('March 2027, weekdays only', {})
+      expect(result.candidates.length).toBeLessThanOrEqual(MAX_CANDIDATES)
+    })
+  })
+})
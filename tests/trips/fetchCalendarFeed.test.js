@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { Readable } from 'stream'
+
+const lookupMock = vi.fn()
+const getMock = vi.fn()
+
+vi.mock('dns/promises', () => ({ lookup: (...args) => lookupMock(...args) }))
+vi.mock('http', () => ({ default: { get: (...args) => getMock(...args) } }))
+
+import { fetchCalendarFeed } from '@/lib/server/fetchCalendarFeed'
+
+// Answers the request with a streamed body and records the options it was made with
+function respondWith({ statusCode = 200, headers = {}, chunks = [] }) {
+  getMock.mockImplementation((url, options, callback) => {
+    const response = Readable.from(chunks.map(c => Buffer.from(c)))
+    Object.assign(response, { statusCode, headers })
+    queueMicrotask(() => callback(response))
+    return { on: () => {} }
+  })
+}
+
+describe('fetchCalendarFeed', () => {
+  beforeEach(() => {
+    lookupMock.mockReset()
+    getMock.mockReset()
+  })
+
+  it('connects to the address it checked, even if the name re-resolves', async () => {
+    lookupMock.mockResolvedValue([{ address: '93.184.216.34', family: 4 }])
+    respondWith({ chunks: ['BEGIN:VCALENDAR\r\n', 'END:VCALENDAR'] })
+
+    expect(await fetchCalendarFeed('http://cal.example.com/feed.ics')).toBe('BEGIN:VCALENDAR\r\nEND:VCALENDAR')
+
+    const { lookup } = getMock.mock.calls[0][1]
+    const answer = vi.fn()
+    lookup('cal.example.com', {}, answer)
+    expect(answer).toHaveBeenCalledWith(null, '93.184.216.34', 4)
+    lookup('cal.example.com', { all: true }, answer)
+    expect(answer).toHaveBeenLastCalledWith(null, [{ address: '93.184.216.34', family: 4 }])
+  })
+
+  it('refuses hosts that resolve to private addresses', async () => {
+    lookupMock.mockResolvedValue([{ address: '10.0.0.5', family: 4 }])
+    await expect(fetchCalendarFeed('http://rebind.example.com/feed.ics')).rejects.toThrow('isn\'t reachable')
+    expect(getMock).not.toHaveBeenCalled()
+  })
+
+  it('stops reading a body without content-length once it passes the limit', async () => {
+    lookupMock.mockResolvedValue([{ address: '93.184.216.34', family: 4 }])
+    const chunk = 'x'.repeat(1024 * 1024)
+    respondWith({ chunks: [chunk, chunk, chunk, chunk] })
+
+    await expect(fetchCalendarFeed('http://cal.example.com/huge.ics')).rejects.toThrow('too large')
+  })
+})
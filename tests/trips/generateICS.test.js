@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { generateICS, escapeICS, formatICSDate, parseTimeRange, formatICSDateTime } from '../../lib/trips/generateICS.js'
+import { generateICS, generateCalendarFeed, escapeICS, formatICSDate, parseTimeRange, formatICSDateTime, buildStableUID } from '../../lib/trips/generateICS.js'
 
 describe('escapeICS', () => {
   it('escapes backslashes', () => {
@@ -77,6 +77,14 @@ describe('parseTimeRange', () => {
     expect(parseTimeRange('morning')).toBeNull()
   })
 
+  it('parses 24-hour times from generated itineraries', () => {
+    expect(parseTimeRange('09:00-11:30')).toEqual({
+      start: { hours: 9, minutes: 0 },
+      end: { hours: 11, minutes: 30 }
+    })
+    expect(parseTimeRange('25:00-26:00')).toBeNull()
+  })
+
   it('handles en-dash separator', () => {
     const result = parseTimeRange('9:00 AM – 12:00 PM')
     expect(result).toEqual({
@@ -299,3 +307,108 @@ describe('generateICS', () => {
     })
   })
 })
+
+describe('buildStableUID', () => {
+  it('identifies the trip span, a day and a block', () => {
+    expect(buildStableUID('trip-1')).toBe('trip-1@tripti.ai')
+    expect(buildStableUID('trip-1', '2026-03-07')).toBe('trip-1-20260307@tripti.ai')
+    expect(buildStableUID('trip-1', '2026-03-07', 0)).toBe('trip-1-20260307-b0@tripti.ai')
+  })
+
+  it('yields the same UIDs on every export', () => {
+    const trip = { id: 'trip-1', name: 'Trip', lockedStartDate: '2026-03-07', lockedEndDate: '2026-03-08' }
+    const itinerary = { content: { days: [{ date: '2026-03-07', blocks: [{ timeRange: '9:00 AM - 10:00 AM', title: 'Breakfast' }] }] } }
+    const uids = (ics) => ics.split('\r\n').filter(l => l.startsWith('UID:'))
+    expect(uids(generateICS(trip, itinerary))).toEqual(uids(generateICS(trip, itinerary)))
+    expect(uids(generateICS(trip, itinerary))).toEqual(['UID:trip-1-20260307-b0@tripti.ai'])
+  })
+})
+
+describe('generateCalendarFeed', () => {
+  const tripA = { id: 'trip-a', name: 'Beach', lockedStartDate: '2026-03-07', lockedEndDate: '2026-03-10' }
+  const tripB = { id: 'trip-b', name: 'Ski', lockedStartDate: '2026-12-20', lockedEndDate: '2026-12-27' }
+
+  it('lists every trip in one calendar', () => {
+    const ics = generateCalendarFeed([{ trip: tripA, itinerary: null }, { trip: tripB, itinerary: null }])
+    expect((ics.match(/BEGIN:VEVENT/g) || []).length).toBe(2)
+    expect(ics).toContain('UID:trip-a@tripti.ai')
+    expect(ics).toContain('UID:trip-b@tripti.ai')
+    expect(ics).toContain('X-WR-CALNAME:Tripti trips')
+    expect(ics).toContain('PRODID:-//Tripti.ai//Trip Feed//EN')
+  })
+
+  it('returns an empty calendar without trips', () => {
+    const ics = generateCalendarFeed([])
+    expect(ics).toContain('BEGIN:VCALENDAR')
+    expect(ics).not.toContain('BEGIN:VEVENT')
+  })
+})
+
+describe('destination time zones', () => {
+  const trip = {
+    id: 'trip-tz',
+    name: 'Lisbon',
+    lockedStartDate: '2026-03-27',
+    lockedEndDate: '2026-03-30',
+    destinationTimeZone: 'Europe/Lisbon',
+  }
+  const itinerary = {
+    content: { days: [{ date: '2026-03-28', blocks: [{ timeRange: '09:00-10:00', title: 'Pastéis' }] }] },
+  }
+
+  it('pins block times to the destination zone with a VTIMEZONE', () => {
+    const ics = generateICS(trip, itinerary)
+    expect(ics).toContain('DTSTART;TZID=Europe/Lisbon:20260328T090000')
+    expect(ics).toContain('DTEND;TZID=Europe/Lisbon:20260328T100000')
+    expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/Lisbon')
+    // Zones are defined before the events that reference them
+    expect(ics.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(ics.indexOf('BEGIN:VEVENT'))
+  })
+
+  it('prefers the zone stored on the itinerary version', () => {
+    const ics = generateICS(trip, { ...itinerary, timeZone: 'Atlantic/Azores' })
+    expect(ics).toContain('DTSTART;TZID=Atlantic/Azores:20260328T090000')
+  })
+
+  it('keeps floating times without a zone', () => {
+    const ics = generateICS({ ...trip, destinationTimeZone: null }, itinerary)
+    expect(ics).toContain('DTSTART:20260328T090000')
+    expect(ics).not.toContain('VTIMEZONE')
+  })
+
+  it('exports transport legs in their departure and arrival zones', () => {
+    const ics = generateICS(trip, null, {
+      transportItems: [{
+        id: 'leg-1',
+        mode: 'flight',
+        fromLocation: 'New York',
+        toLocation: 'Lisbon',
+        departAt: '2026-03-27T19:00',
+        arriveAt: '2026-03-28T07:00',
+        departTimeZone: 'America/New_York',
+        bookingRef: 'ABC123',
+      }],
+    })
+    expect(ics).toContain('UID:trip-tz-transport-leg-1@tripti.ai')
+    expect(ics).toContain('SUMMARY:Flight: New York → Lisbon')
+    expect(ics).toContain('DTSTART;TZID=America/New_York:20260327T190000')
+    // Arrival zone falls back to the trip's destination
+    expect(ics).toContain('DTEND;TZID=Europe/Lisbon:20260328T070000')
+    expect(ics).toContain('TZID:America/New_York')
+    expect(ics).toContain('Booking ref: ABC123')
+  })
+
+  it('writes absolute transport times as UTC', () => {
+    const ics = generateICS(trip, null, {
+      transportItems: [{ id: 'leg-2', mode: 'train', fromLocation: 'Lisbon', toLocation: 'Porto', departAt: '2026-03-29T10:00:00+01:00' }],
+    })
+    expect(ics).toContain('DTSTART:20260329T090000Z')
+  })
+
+  it('skips transport legs without a departure time', () => {
+    const ics = generateICS(trip, null, {
+      transportItems: [{ id: 'leg-3', mode: 'car', fromLocation: 'A', toLocation: 'B', departAt: null }],
+    })
+    expect(ics).not.toContain('leg-3')
+  })
+})
@@ -76,6 +76,24 @@ describe('getBlockingUsers', () => {
       expect(result.message).toContain('Charlie')
     })
 
+    it('should list must-attend travelers first and flag them', () => {
+      const trip = mockTrip({
+        status: 'scheduling',
+        requiredTravelerIds: ['user-3'],
+        pickProgress: {
+          respondedCount: 2,
+          totalCount: 4,
+          respondedUserIds: ['leader-user-id', 'user-1']
+        }
+      })
+      const result = getBlockingUsers(trip, mockUser({ id: 'user-1' }))
+
+      expect(result.blockers.map(b => b.id)).toEqual(['user-3', 'user-2'])
+      expect(result.blockers[0].required).toBe(true)
+      expect(result.blockers[1].required).toBe(false)
+      expect(result.message).toBe('Waiting on: Charlie (must attend), Bob to pick dates')
+    })
+
     it('should return "waiting on you" when current user has not picked', () => {
       const trip = mockTrip({
         status: 'scheduling',
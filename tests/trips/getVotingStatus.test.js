@@ -462,3 +462,65 @@ describe('formatLeadingOption', () => {
     expect(result).toBe('Leading: Jun 1–5 (2 votes)')
   })
 })
+
+describe('getVotingStatus (ranked choice)', () => {
+  const travelers = [{ id: 'user-1' }, { id: 'user-2' }, { id: 'user-3' }, { id: 'user-4' }]
+  const rankedTrip = (overrides = {}) => ({
+    id: 'trip-1',
+    status: 'scheduling',
+    type: 'collaborative',
+    votingMode: 'instant_runoff',
+    consensusOptions: [
+      { optionKey: 'w1', startDate: '2024-06-01', endDate: '2024-06-05' },
+      { optionKey: 'w2', startDate: '2024-06-08', endDate: '2024-06-12' },
+      { optionKey: 'w3', startDate: '2024-06-15', endDate: '2024-06-19' }
+    ],
+    rankedBallots: [
+      { userId: 'user-1', ranking: ['w1', 'w2'] },
+      { userId: 'user-2', ranking: ['w2', 'w1'] },
+      { userId: 'user-3', ranking: ['w3', 'w1'] },
+      { userId: 'user-4', ranking: ['w1', 'w3'] }
+    ],
+    ...overrides
+  })
+
+  it('tallies ranked ballots while dates are still being collected', () => {
+    const result = getVotingStatus(rankedTrip(), travelers, 'user-1')
+
+    expect(result.isVotingStage).toBe(true)
+    expect(result.votingMode).toBe('instant_runoff')
+    expect(result.votedCount).toBe(4)
+    expect(result.hasCurrentUserVoted).toBe(true)
+    // Round 1: w1 2, w2 1, w3 1 — no majority, so w2 and w3 drop and move to w1
+    expect(result.rounds.map(r => r.eliminated)).toEqual([['w2', 'w3'], []])
+    expect(result.leadingOption.optionKey).toBe('w1')
+    expect(result.leadingOption.label).toBe('Jun 1–Jun 5')
+    expect(result.options.map(o => o.optionKey)).toEqual(['w1', 'w2', 'w3'])
+    expect(result.readyToLock).toBe(true)
+  })
+
+  it('reports first choices as votes', () => {
+    const result = getVotingStatus(rankedTrip(), travelers, 'user-1')
+    expect(Object.fromEntries(result.options.map(o => [o.optionKey, o.votes]))).toEqual({ w1: 2, w2: 1, w3: 1 })
+  })
+
+  it('tallies Borda points', () => {
+    const result = getVotingStatus(rankedTrip({ votingMode: 'borda' }), travelers, 'user-1')
+    // w1: 2+1+1+2, w2: 1+2, w3: 2+1
+    expect(result.rounds).toHaveLength(1)
+    expect(result.leadingOption.optionKey).toBe('w1')
+    expect(result.leadingVotes).toBe(6)
+    expect(formatLeadingOption(result)).toBe('Leading: Jun 1–Jun 5 (6 points)')
+  })
+
+  it('ignores ballots from people no longer on the trip', () => {
+    const result = getVotingStatus(rankedTrip(), travelers.slice(0, 3), 'user-4')
+    expect(result.votedCount).toBe(3)
+    expect(result.hasCurrentUserVoted).toBe(false)
+  })
+
+  it('leaves locked and approval trips alone', () => {
+    expect(getVotingStatus(rankedTrip({ status: 'locked' }), travelers, 'user-1').isVotingStage).toBe(false)
+    expect(getVotingStatus(rankedTrip({ votingMode: 'approval' }), travelers, 'user-1').isVotingStage).toBe(false)
+  })
+})
@@ -425,3 +425,101 @@ describe('validateWindowBounds', () => {
     expect(result.error).toContain('after')
   })
 })
+
+describe('normalizeWindow — other languages', () => {
+  const context = { tripYear: 2025 }
+  const expectRange = (text, startISO, endISO, ctx = context) => {
+    const result = normalizeWindow(text, ctx)
+    expect(result.error).toBeUndefined()
+    expect(result.startISO).toBe(startISO)
+    expect(result.endISO).toBe(endISO)
+    return result
+  }
+
+  it('should parse day-first ranges with month names', () => {
+    expectRange('15-20 juin', '2025-06-15', '2025-06-20')
+    expectRange('3. bis 7. Mai', '2025-05-03', '2025-05-07')
+    expectRange('del 3 al 7 de mayo', '2025-05-03', '2025-05-07')
+    expectRange('de 3 a 7 de maio', '2025-05-03', '2025-05-07')
+    expectRange('15-20 June', '2025-06-15', '2025-06-20')
+  })
+
+  it('should parse cross-month and single dates', () => {
+    expectRange('du 28 juin au 3 juillet', '2025-06-28', '2025-07-03')
+    expectRange('1er août', '2025-08-01', '2025-08-01')
+    expectRange('15 de junho', '2025-06-15', '2025-06-15')
+    expectRange('entre el 3 y el 7 de mayo', '2025-05-03', '2025-05-07')
+  })
+
+  it('should parse early/mid/late phrasing', () => {
+    expect(expectRange('début juin', '2025-06-01', '2025-06-07').precision).toBe('approx')
+    expectRange('mi-juillet', '2025-07-10', '2025-07-20')
+    expectRange('Ende März', '2025-03-21', '2025-03-31')
+    expectRange('finales de septiembre', '2025-09-21', '2025-09-30')
+    expectRange('meados de julho', '2025-07-10', '2025-07-20')
+  })
+
+  it('should parse weeks, weekends and bare months', () => {
+    expectRange('primer fin de semana de julio', '2025-07-05', '2025-07-06')
+    expectRange('premier week-end de juin', '2025-06-07', '2025-06-08')
+    expectRange('letzte Woche im Juni', '2025-06-24', '2025-06-30')
+    expect(expectRange('Juni', '2025-06-01', '2025-06-30').isBareMonth).toBe(true)
+  })
+
+  it('should reject several ranges joined by a local "or"', () => {
+    expect(normalizeWindow('15-20 juin ou 3-7 juillet', context).error).toContain('one date range')
+    expect(normalizeWindow('3.-7. Mai oder Juni', context).error).toContain('one date range')
+    expect(normalizeWindow('3-7 julio o 10-14 agosto', context).error).toContain('one date range')
+    expect(normalizeWindow('julio o agosto', context).error).toContain('one date range')
+  })
+
+  it('should only read a bare "o" as "or" between two dates', () => {
+    expectRange('o primeiro fim de semana de julho', '2025-07-05', '2025-07-06')
+    expect(normalizeWindow('o 3 de julho', context).error).toBeUndefined()
+  })
+
+  it('should reject unknown words', () => {
+    expect(normalizeWindow('quelque part en été', context).error).toBeDefined()
+  })
+})
+
+describe('normalizeWindow — numeric dates', () => {
+  it('should read an unambiguous day-first range', () => {
+    const result = normalizeWindow('20/6–25/6', { tripYear: 2025 })
+    expect(result.startISO).toBe('2025-06-20')
+    expect(result.endISO).toBe('2025-06-25')
+    expect(result.precision).toBe('exact')
+  })
+
+  it('should read an unambiguous month-first range', () => {
+    const result = normalizeWindow('6/20 to 6/25', { tripYear: 2025, locale: 'de-DE' })
+    expect(result.startISO).toBe('2025-06-20')
+  })
+
+  it('should use the locale when both parts could be a month', () => {
+    expect(normalizeWindow('5/6-8/6', { tripYear: 2025, locale: 'fr-FR' }).startISO).toBe('2025-06-05')
+    expect(normalizeWindow('5/6-5/9', { tripYear: 2025, locale: 'en-US' }).startISO).toBe('2025-05-06')
+    expect(normalizeWindow('5/6-8/6', { tripYear: 2025, locale: 'en-GB' }).endISO).toBe('2025-06-08')
+  })
+
+  it('should default to month-first without a locale', () => {
+    expect(normalizeWindow('5/6-5/9', { tripYear: 2025 }).endISO).toBe('2025-05-09')
+  })
+
+  it('should parse German dotted dates and full years', () => {
+    expect(normalizeWindow('20.6.-25.6.', { tripYear: 2025 }).endISO).toBe('2025-06-25')
+    const result = normalizeWindow('du 20/06/2026 au 25/06/2026', { tripYear: 2025 })
+    expect(result.startISO).toBe('2026-06-20')
+  })
+
+  it('should roll a range over the new year', () => {
+    const result = normalizeWindow('28/12 - 3/1', { tripYear: 2025, locale: 'es-ES' })
+    expect(result.startISO).toBe('2025-12-28')
+    expect(result.endISO).toBe('2026-01-03')
+  })
+
+  it('should reject impossible dates', () => {
+    expect(normalizeWindow('13/14', { tripYear: 2025 }).error).toBeDefined()
+    expect(normalizeWindow('31/2', { tripYear: 2025, locale: 'fr-FR' }).error).toBeDefined()
+  })
+})
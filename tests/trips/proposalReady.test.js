@@ -3,7 +3,9 @@ import {
   computeProposalReady,
   canLeaderPropose,
   getSchedulingPhase,
-  canSubmitWindow
+  canSubmitWindow,
+  getRequiredTravelerIds,
+  getMissingRequiredApprovals
 } from '@/lib/trips/proposalReady.js'
 
 // Helper to create mock data
@@ -216,6 +218,65 @@ describe('computeProposalReady', () => {
   })
 })
 
+describe('must-attend travelers', () => {
+  it('should not be ready while a required traveler is missing from the leading window', () => {
+    const trip = { ...baseTripCollecting, requiredTravelerIds: ['user-6'] }
+    const travelers = createTravelers(6)
+    const windows = [createWindow('w1', '2025-03-01', '2025-03-05')]
+    const supports = ['user-1', 'user-2', 'user-3', 'user-4'].map(id => createSupport('w1', id))
+
+    const result = computeProposalReady(trip, travelers, windows, supports)
+
+    expect(result.proposalReady).toBe(false)
+    expect(result.reason).toBe('required_missing')
+    expect(result.requiredTravelerIds).toEqual(['user-6'])
+    expect(result.missingRequiredUserIds).toEqual(['user-6'])
+  })
+
+  it('should be ready once every required traveler supports the window', () => {
+    const trip = { ...baseTripCollecting, requiredTravelerIds: ['user-6'] }
+    const travelers = createTravelers(6)
+    const windows = [createWindow('w1', '2025-03-01', '2025-03-05')]
+    const supports = ['user-1', 'user-2', 'user-3', 'user-6'].map(id => createSupport('w1', id))
+
+    const result = computeProposalReady(trip, travelers, windows, supports)
+
+    expect(result.proposalReady).toBe(true)
+    expect(result.missingRequiredUserIds).toEqual([])
+  })
+
+  it('should prefer a window that every required traveler can make', () => {
+    const trip = { ...baseTripCollecting, requiredTravelerIds: ['user-1'] }
+    const travelers = createTravelers(6)
+    const windows = [
+      createWindow('w1', '2025-03-01', '2025-03-05'),
+      createWindow('w2', '2025-03-08', '2025-03-12')
+    ]
+    const supports = [
+      ...['user-2', 'user-3', 'user-4', 'user-5'].map(id => createSupport('w1', id)),
+      ...['user-1', 'user-2', 'user-3'].map(id => createSupport('w2', id))
+    ]
+
+    const result = computeProposalReady(trip, travelers, windows, supports)
+
+    expect(result.leadingWindow.id).toBe('w2')
+  })
+
+  it('should ignore required travelers who are no longer active', () => {
+    const trip = { requiredTravelerIds: ['user-1', 'gone'] }
+    expect(getRequiredTravelerIds(trip, createTravelers(3))).toEqual(['user-1'])
+    expect(getRequiredTravelerIds({}, createTravelers(3))).toEqual([])
+  })
+
+  it('should list required travelers without a works reaction', () => {
+    const reactions = [
+      { userId: 'user-1', reactionType: 'WORKS' },
+      { userId: 'user-2', reactionType: 'CAVEAT' }
+    ]
+    expect(getMissingRequiredApprovals(['user-1', 'user-2', 'user-3'], reactions)).toEqual(['user-2', 'user-3'])
+  })
+})
+
 describe('canLeaderPropose', () => {
   it('should allow proposal when threshold met', () => {
     const trip = { ...baseTripCollecting }
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+  tallyInstantRunoff,
+  tallyBorda,
+  validateRanking,
+  getRankableWindows,
+  isRankedVotingMode
+} from '@/lib/trips/rankedChoice.js'
+
+const OPTIONS = ['a', 'b', 'c', 'd']
+const ballot = (...ranking) => ({ ranking })
+
+describe('tallyInstantRunoff', () => {
+  it('declares a first-round majority winner', () => {
+    const result = tallyInstantRunoff(OPTIONS, [ballot('a', 'b'), ballot('a'), ballot('b', 'a')])
+    expect(result.winner).toBe('a')
+    expect(result.rounds).toHaveLength(1)
+    expect(result.rounds[0].counts).toEqual({ a: 2, b: 1, c: 0, d: 0 })
+  })
+
+  it('moves eliminated ballots to their next choice', () => {
+    const ballots = [
+      ballot('a', 'c'),
+      ballot('a'),
+      ballot('b', 'c'),
+      ballot('b'),
+      ballot('c', 'b')
+    ]
+    const result = tallyInstantRunoff(OPTIONS, ballots)
+    // Round 1: d (0) drops; round 2: c (1) drops and moves to b
+    expect(result.rounds.map(r => r.eliminated)).toEqual([['d'], ['c'], []])
+    expect(result.rounds[2].counts).toEqual({ a: 2, b: 3 })
+    expect(result.winner).toBe('b')
+  })
+
+  it('counts ballots with no choices left as exhausted', () => {
+    const ballots = [ballot('a'), ballot('a'), ballot('b'), ballot('b'), ballot('c')]
+    const result = tallyInstantRunoff(['a', 'b', 'c'], ballots)
+    expect(result.rounds[1].exhausted).toBe(1)
+    expect(result.isTie).toBe(true)
+    expect(result.tiedIds).toEqual(['a', 'b'])
+  })
+
+  it('returns no rounds without ballots', () => {
+    expect(tallyInstantRunoff(OPTIONS, [])).toEqual({ winner: null, isTie: false, tiedIds: [], rounds: [] })
+  })
+
+  it('ignores options that no longer exist', () => {
+    const result = tallyInstantRunoff(['a', 'b'], [ballot('gone', 'b'), ballot('b')])
+    expect(result.winner).toBe('b')
+  })
+})
+
+describe('tallyBorda', () => {
+  it('awards more points to higher ranks', () => {
+    const result = tallyBorda(OPTIONS, [ballot('a', 'b', 'c'), ballot('b', 'c'), ballot('c', 'b')])
+    // a: 3, b: 2+3+2 = 7, c: 1+2+3 = 6
+    expect(result.rounds[0].counts).toEqual({ a: 3, b: 7, c: 6, d: 0 })
+    expect(result.winner).toBe('b')
+  })
+
+  it('reports ties', () => {
+    const result = tallyBorda(['a', 'b'], [ballot('a'), ballot('b')])
+    expect(result).toMatchObject({ winner: null, isTie: true, tiedIds: ['a', 'b'] })
+  })
+})
+
+describe('validateRanking', () => {
+  it('accepts known, unique options', () => {
+    expect(validateRanking(['b', 'a'], OPTIONS)).toEqual({ ok: true, ranking: ['b', 'a'] })
+    expect(validateRanking([], OPTIONS)).toEqual({ ok: true, ranking: [] })
+  })
+
+  it('rejects duplicates, unknown options and bad input', () => {
+    expect(validateRanking(['a', 'a'], OPTIONS).ok).toBe(false)
+    expect(validateRanking(['z'], OPTIONS).ok).toBe(false)
+    expect(validateRanking('a', OPTIONS).ok).toBe(false)
+  })
+})
+
+describe('getRankableWindows', () => {
+  it('skips blockers and windows without concrete dates', () => {
+    const windows = [
+      { id: 'w1', startDate: '2027-04-01', endDate: '2027-04-03' },
+      { id: 'w2', startDate: '2027-04-08', endDate: '2027-04-10', windowType: 'blocker' },
+      { id: 'w3', sourceText: 'sometime in spring' }
+    ]
+    expect(getRankableWindows(windows).map(w => w.id)).toEqual(['w1'])
+  })
+})
+
+describe('isRankedVotingMode', () => {
+  it('only treats instant runoff and Borda as ranked', () => {
+    expect(isRankedVotingMode('instant_runoff')).toBe(true)
+    expect(isRankedVotingMode('borda')).toBe(true)
+    expect(isRankedVotingMode('approval')).toBe(false)
+    expect(isRankedVotingMode(undefined)).toBe(false)
+  })
+})
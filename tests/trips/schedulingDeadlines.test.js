@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest'
+import {
+  validateSchedulingDeadlines,
+  getDueSchedulingStep,
+  resolveLeadingProposal,
+  resolveVotingOutcome,
+  SCHEDULING_DEADLINE_STEP
+} from '@/lib/trips/schedulingDeadlines.js'
+
+const NOW = new Date('2027-03-01T12:00:00Z')
+const hoursFromNow = (h) => new Date(NOW.getTime() + h * 60 * 60 * 1000).toISOString()
+
+const travelers = [{ id: 'ana' }, { id: 'ben' }, { id: 'cal' }]
+
+function proposal(id, ...worksUserIds) {
+  return {
+    window: { id, startDate: '2027-04-01', endDate: '2027-04-03' },
+    reactions: worksUserIds.map(userId => ({ userId, reactionType: 'WORKS' }))
+  }
+}
+
+describe('validateSchedulingDeadlines', () => {
+  it('accepts deadlines and re-arms them', () => {
+    const result = validateSchedulingDeadlines(
+      { suggestDatesBy: hoursFromNow(24), reactBy: hoursFromNow(72) },
+      { trip: {}, now: NOW }
+    )
+    expect(result.ok).toBe(true)
+    expect(result.updates).toEqual({
+      suggestDatesBy: hoursFromNow(24),
+      suggestDatesByHandledAt: null,
+      reactBy: hoursFromNow(72),
+      reactByHandledAt: null
+    })
+  })
+
+  it('only returns the fields that were sent', () => {
+    const result = validateSchedulingDeadlines({ reactBy: null }, { trip: { reactBy: hoursFromNow(5) }, now: NOW })
+    expect(result.updates).toEqual({ reactBy: null, reactByHandledAt: null })
+  })
+
+  it('rejects invalid, too-soon and too-far deadlines', () => {
+    expect(validateSchedulingDeadlines({ reactBy: 'soon' }, { trip: {}, now: NOW }).ok).toBe(false)
+    expect(validateSchedulingDeadlines({ reactBy: hoursFromNow(0.5) }, { trip: {}, now: NOW }).ok).toBe(false)
+    expect(validateSchedulingDeadlines({ reactBy: hoursFromNow(24 * 91) }, { trip: {}, now: NOW }).ok).toBe(false)
+  })
+
+  it('requires react-by to come after suggest-dates-by', () => {
+    const result = validateSchedulingDeadlines(
+      { reactBy: hoursFromNow(12) },
+      { trip: { suggestDatesBy: hoursFromNow(24) }, now: NOW }
+    )
+    expect(result.ok).toBe(false)
+    expect(result.message).toContain('react-by')
+  })
+})
+
+describe('getDueSchedulingStep', () => {
+  const collecting = { type: 'collaborative', schedulingMode: 'date_windows', status: 'scheduling' }
+
+  it('proposes once suggest-dates-by passes while collecting', () => {
+    expect(getDueSchedulingStep({ ...collecting, suggestDatesBy: hoursFromNow(-1) }, NOW)).toBe(SCHEDULING_DEADLINE_STEP.PROPOSE)
+    expect(getDueSchedulingStep({ ...collecting, suggestDatesBy: hoursFromNow(1) }, NOW)).toBeNull()
+  })
+
+  it('acts on each deadline once', () => {
+    const trip = { ...collecting, suggestDatesBy: hoursFromNow(-1), suggestDatesByHandledAt: hoursFromNow(-0.5) }
+    expect(getDueSchedulingStep(trip, NOW)).toBeNull()
+  })
+
+  it('locks once react-by passes with dates proposed', () => {
+    const trip = { ...collecting, proposedWindowIds: ['w1'], suggestDatesBy: hoursFromNow(-30), reactBy: hoursFromNow(-1) }
+    expect(getDueSchedulingStep(trip, NOW)).toBe(SCHEDULING_DEADLINE_STEP.LOCK)
+  })
+
+  it('treats legacy voting as the reacting step', () => {
+    const trip = { type: 'collaborative', status: 'voting', reactBy: hoursFromNow(-1) }
+    expect(getDueSchedulingStep(trip, NOW)).toBe(SCHEDULING_DEADLINE_STEP.LOCK)
+  })
+
+  it('ignores locked, canceled and hosted trips', () => {
+    expect(getDueSchedulingStep({ ...collecting, status: 'locked', suggestDatesBy: hoursFromNow(-1) }, NOW)).toBeNull()
+    expect(getDueSchedulingStep({ ...collecting, tripStatus: 'CANCELLED', suggestDatesBy: hoursFromNow(-1) }, NOW)).toBeNull()
+    expect(getDueSchedulingStep({ type: 'hosted', suggestDatesBy: hoursFromNow(-1) }, NOW)).toBeNull()
+  })
+})
+
+describe('resolveLeadingProposal', () => {
+  it('picks the window with the most works reactions', () => {
+    const result = resolveLeadingProposal([proposal('w1', 'ana'), proposal('w2', 'ana', 'ben')])
+    expect(result).toMatchObject({ lock: true, approvals: 2 })
+    expect(result.window.id).toBe('w2')
+  })
+
+  it('hands ties and empty reactions to the leader', () => {
+    expect(resolveLeadingProposal([proposal('w1', 'ana'), proposal('w2', 'ben')])).toEqual({ lock: false, reason: 'tie' })
+    expect(resolveLeadingProposal([proposal('w1')])).toEqual({ lock: false, reason: 'no_approvals' })
+  })
+
+  it('won\'t lock without every must-attend traveler', () => {
+    const result = resolveLeadingProposal([proposal('w1', 'ana', 'ben')], ['cal'])
+    expect(result).toEqual({ lock: false, reason: 'required_missing', missingRequiredUserIds: ['cal'] })
+  })
+})
+
+describe('resolveVotingOutcome', () => {
+  it('locks the option with the most votes', () => {
+    const votes = [
+      { userId: 'ana', optionKey: '2027-04-01_2027-04-03' },
+      { userId: 'ben', optionKey: '2027-04-08_2027-04-10' },
+      { userId: 'cal', optionKey: '2027-04-08_2027-04-10' }
+    ]
+    expect(resolveVotingOutcome({ status: 'voting' }, travelers, votes)).toEqual({
+      lock: true,
+      startDate: '2027-04-08',
+      endDate: '2027-04-10',
+      votes: 2
+    })
+  })
+
+  it('hands ties and empty votes to the leader', () => {
+    const tied = [
+      { userId: 'ana', optionKey: '2027-04-01_2027-04-03' },
+      { userId: 'ben', optionKey: '2027-04-08_2027-04-10' }
+    ]
+    expect(resolveVotingOutcome({ status: 'voting' }, travelers, tied)).toEqual({ lock: false, reason: 'tie' })
+    expect(resolveVotingOutcome({ status: 'voting' }, travelers, [])).toEqual({ lock: false, reason: 'no_votes' })
+  })
+})
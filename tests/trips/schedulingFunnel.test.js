@@ -143,6 +143,22 @@ describe('Scheduling Funnel State', () => {
       expect(getSchedulingFunnelState(trip, 4)).toBe(SchedulingFunnelState.READY_TO_LOCK)
     })
 
+    it('should ignore must-attend travelers who have left the trip', () => {
+      const trip = {
+        type: 'collaborative',
+        dateProposal: { startDate: '2025-05-01', endDate: '2025-05-05' },
+        dateReactions: [
+          { userId: 'u1', reactionType: 'WORKS' },
+          { userId: 'u2', reactionType: 'WORKS' }
+        ],
+        requiredTravelerIds: ['u1', 'gone'],
+        activeRequiredTravelerIds: ['u1']
+      }
+      expect(getSchedulingFunnelState(trip, 3)).toBe(SchedulingFunnelState.READY_TO_LOCK)
+      expect(getSchedulingFunnelState({ ...trip, activeRequiredTravelerIds: undefined }, 3))
+        .toBe(SchedulingFunnelState.DATE_PROPOSED)
+    })
+
     it('should handle null trip gracefully', () => {
       expect(getSchedulingFunnelState(null, 1)).toBe(SchedulingFunnelState.NO_DATES)
     })
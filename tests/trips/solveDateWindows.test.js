@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest'
+import { solveDateWindows, SOLVER_CONFIG } from '@/lib/trips/solveDateWindows.js'
+
+const travelers = [{ id: 'ana' }, { id: 'ben' }, { id: 'cal' }, { id: 'dee' }]
+
+function win(id, start, end, extra = {}) {
+  return { id, normalizedStart: start, normalizedEnd: end, createdAt: '2027-01-01T00:00:00Z', ...extra }
+}
+
+function support(windowId, ...userIds) {
+  return userIds.map(userId => ({ windowId, userId }))
+}
+
+describe('solveDateWindows', () => {
+  it('returns nothing without windows or travelers', () => {
+    expect(solveDateWindows({ travelers, windows: [], supports: [] })).toEqual([])
+    expect(solveDateWindows({ travelers: [], windows: [win('w1', '2027-03-05', '2027-03-07')], supports: [] })).toEqual([])
+  })
+
+  it('ranks the range most travelers can make first', () => {
+    const windows = [
+      win('w1', '2027-03-05', '2027-03-07'),
+      win('w2', '2027-04-09', '2027-04-11')
+    ]
+    const supports = [...support('w1', 'ana'), ...support('w2', 'ana', 'ben', 'cal')]
+    const [best] = solveDateWindows({ travelers, windows, supports, trip: { tripLengthDays: 3 } })
+
+    expect(best.startDate).toBe('2027-04-09')
+    expect(best.endDate).toBe('2027-04-11')
+    expect(best.windowId).toBe('w2')
+    expect(best.attendees).toEqual(['ana', 'ben', 'cal'])
+    expect(best.noResponse).toEqual(['dee'])
+  })
+
+  it('finds the overlap of different travelers\' windows', () => {
+    const windows = [
+      win('w1', '2027-06-01', '2027-06-07'),
+      win('w2', '2027-06-04', '2027-06-10')
+    ]
+    const supports = [...support('w1', 'ana', 'ben'), ...support('w2', 'cal', 'dee')]
+    const [best] = solveDateWindows({ travelers, windows, supports, trip: { tripLengthDays: 3 } })
+
+    expect(best).toMatchObject({ startDate: '2027-06-04', endDate: '2027-06-06', windowId: null })
+    expect(best.attendees).toHaveLength(4)
+  })
+
+  it('drops travelers with a blocker window on those days', () => {
+    const windows = [
+      win('w1', '2027-05-01', '2027-05-03'),
+      win('w2', '2027-05-08', '2027-05-10'),
+      win('b1', '2027-05-02', '2027-05-02', { windowType: 'blocker', proposedBy: 'ben' })
+    ]
+    const supports = [...support('w1', 'ana', 'ben'), ...support('w2', 'ana', 'ben')]
+    const result = solveDateWindows({ travelers, windows, supports, trip: { tripLengthDays: 3 } })
+
+    expect(result[0].startDate).toBe('2027-05-08')
+    expect(result[1].startDate).toBe('2027-05-01')
+    expect(result[1].conflicts).toEqual([{ userId: 'ben', reason: 'blocked' }])
+  })
+
+  it('treats imported calendar busy days as conflicts', () => {
+    const windows = [win('w1', '2027-05-01', '2027-05-03')]
+    const supports = support('w1', 'ana', 'ben')
+    const [best] = solveDateWindows({
+      travelers,
+      windows,
+      supports,
+      blackouts: [{ userId: 'ana', days: ['2027-05-03'], source: 'calendar' }],
+      trip: { tripLengthDays: 3 }
+    })
+
+    expect(best.attendees).toEqual(['ben'])
+    expect(best.conflicts).toEqual([{ userId: 'ana', reason: 'busy' }])
+  })
+
+  it('treats blackout dates as blocked, even on busy calendar days', () => {
+    const windows = [win('w1', '2027-05-01', '2027-05-03')]
+    const supports = support('w1', 'ana', 'ben')
+    const [best] = solveDateWindows({
+      travelers,
+      windows,
+      supports,
+      blackouts: [
+        { userId: 'ana', days: ['2027-05-02'], source: 'calendar' },
+        { userId: 'ana', days: ['2027-05-01', '2027-05-02'], source: 'blackout', reason: 'blocked' }
+      ],
+      trip: { tripLengthDays: 3 }
+    })
+
+    expect(best.conflicts).toEqual([{ userId: 'ana', reason: 'blocked' }])
+  })
+
+  it('tries the lengths travelers prefer', () => {
+    const windows = [win('w1', '2027-07-01', '2027-07-14')]
+    const supports = support('w1', 'ana', 'ben', 'cal', 'dee')
+    const durationPreferences = [
+      { userId: 'ana', preference: 'week' },
+      { userId: 'ben', preference: 'week' },
+      { userId: 'cal', preference: 'weekend' },
+      { userId: 'dee', preference: 'flexible' }
+    ]
+    const [best] = solveDateWindows({ travelers, windows, supports, durationPreferences })
+
+    // Everyone can make any length; a week suits ana, ben and dee
+    expect(best).toMatchObject({ startDate: '2027-07-01', endDate: '2027-07-07', days: 7, durationFit: 3 })
+  })
+
+  it('returns distinct, non-overlapping options up to the limit', () => {
+    const windows = [win('w1', '2027-08-01', '2027-08-31')]
+    const supports = support('w1', 'ana', 'ben')
+    const result = solveDateWindows({ travelers, windows, supports, trip: { tripLengthDays: 3 } })
+
+    expect(result).toHaveLength(SOLVER_CONFIG.MAX_CANDIDATES)
+    for (let i = 1; i < result.length; i++) {
+      expect(result[i].startDate > result[i - 1].endDate).toBe(true)
+    }
+  })
+
+  it('keeps ranges inside the trip bounds', () => {
+    const windows = [win('w1', '2027-09-01', '2027-09-10')]
+    const supports = support('w1', 'ana')
+    const [best] = solveDateWindows({
+      travelers,
+      windows,
+      supports,
+      trip: { startBound: '2027-09-05', endBound: '2027-09-20', tripLengthDays: 3 }
+    })
+
+    expect(best.startDate).toBe('2027-09-05')
+  })
+
+  it('is deterministic', () => {
+    const windows = [win('w1', '2027-10-01', '2027-10-09'), win('w2', '2027-10-05', '2027-10-12')]
+    const supports = [...support('w1', 'ana', 'cal'), ...support('w2', 'ben', 'cal')]
+    const input = { travelers, windows, supports, trip: { tripLengthDays: 4 } }
+    expect(solveDateWindows(input)).toEqual(solveDateWindows(input))
+  })
+})
@@ -10,6 +10,8 @@
  */
 
 import { describe, it, expect } from 'vitest'
+import { getTripBaseCurrency } from '@/lib/expenses/currency.js'
+import { buildBriefExpensesSummary } from '@/lib/expenses/expenseBreakdown.js'
 
 // ─────────────────────────────────────────────────
 // Extract brief assembly logic (mirrors API handler)
@@ -94,17 +96,7 @@ function assembleBrief({
   }))
 
   // Expenses
-  let expensesSummary = null
-  const expenses = trip.expenses || []
-  if (expenses.length > 0) {
-    const totalCents = expenses.reduce((sum, e) => sum + (e.amountCents || 0), 0)
-    const currency = expenses[0]?.currency || trip.currency || 'USD'
-    expensesSummary = {
-      totalAmount: totalCents / 100,
-      currency,
-      itemCount: expenses.length
-    }
-  }
+  const expensesSummary = buildBriefExpensesSummary(trip, getTripBaseCurrency(trip))
 
   return { overview, accommodation, dayByDay, decisions, packingReminders, expensesSummary }
 }
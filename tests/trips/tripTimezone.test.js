@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isValidTimeZone,
+  getTimeZoneOffsetMinutes,
+  getDateInTimeZone,
+  buildVTimezone,
+} from '@/lib/trips/tripTimezone'
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA names and rejects anything else', () => {
+    expect(isValidTimeZone('Europe/Lisbon')).toBe(true)
+    expect(isValidTimeZone('America/Argentina/Buenos_Aires')).toBe(true)
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false)
+    expect(isValidTimeZone('')).toBe(false)
+    expect(isValidTimeZone(null)).toBe(false)
+  })
+})
+
+describe('getTimeZoneOffsetMinutes', () => {
+  it('follows daylight saving', () => {
+    expect(getTimeZoneOffsetMinutes('America/New_York', new Date('2026-01-15T12:00:00Z'))).toBe(-300)
+    expect(getTimeZoneOffsetMinutes('America/New_York', new Date('2026-07-15T12:00:00Z'))).toBe(-240)
+    expect(getTimeZoneOffsetMinutes('Asia/Kolkata', new Date('2026-07-15T12:00:00Z'))).toBe(330)
+  })
+})
+
+describe('getDateInTimeZone', () => {
+  it('returns the calendar date at the destination', () => {
+    const now = new Date('2026-03-01T23:30:00Z')
+    expect(getDateInTimeZone('Asia/Tokyo', now)).toBe('2026-03-02')
+    expect(getDateInTimeZone('America/Los_Angeles', now)).toBe('2026-03-01')
+  })
+})
+
+describe('buildVTimezone', () => {
+  it('lists the DST transitions of each year', () => {
+    const lines = buildVTimezone('Europe/Lisbon', 2026, 2026)
+    expect(lines[0]).toBe('BEGIN:VTIMEZONE')
+    expect(lines).toContain('TZID:Europe/Lisbon')
+    // Clocks go forward at 01:00 on the last Sunday of March, back at 02:00 in October
+    expect(lines).toContain('DTSTART:20260329T010000')
+    expect(lines).toContain('DTSTART:20261025T020000')
+    expect(lines.filter(l => l === 'BEGIN:DAYLIGHT')).toHaveLength(1)
+    expect(lines.at(-1)).toBe('END:VTIMEZONE')
+  })
+
+  it('emits a single standard observance for zones without DST', () => {
+    const lines = buildVTimezone('Asia/Tokyo', 2026, 2027)
+    expect(lines.filter(l => l.startsWith('BEGIN:STANDARD'))).toHaveLength(1)
+    expect(lines).toContain('TZOFFSETTO:+0900')
+    expect(lines).not.toContain('BEGIN:DAYLIGHT')
+  })
+})
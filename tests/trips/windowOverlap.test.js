@@ -172,6 +172,30 @@ describe('findSimilarWindows', () => {
   })
 })
 
+describe('findSimilarWindows with blackout dates', () => {
+  const existingWindows = [
+    createWindow('w1', '2025-03-01', '2025-03-05'),
+    createWindow('w2', '2025-03-02', '2025-03-06')
+  ]
+  const newWindow = createWindow('new', '2025-03-01', '2025-03-05')
+
+  it('ranks conflict-free windows ahead of closer matches', () => {
+    const blackouts = [{ id: 'b1', userId: 'ana', startDate: '2025-03-01', endDate: '2025-03-01' }]
+
+    const result = findSimilarWindows(newWindow, existingWindows, 0.5, { blackouts })
+
+    expect(result.map(r => r.window.id)).toEqual(['w2', 'w1'])
+    expect(result.map(r => r.conflictCount)).toEqual([0, 1])
+  })
+
+  it('passes blackouts through getMostSimilarWindow', () => {
+    const blackouts = [{ id: 'b1', userId: 'ana', startDate: '2025-03-01', endDate: '2025-03-01' }]
+
+    expect(getMostSimilarWindow(newWindow, existingWindows).windowId).toBe('w1')
+    expect(getMostSimilarWindow(newWindow, existingWindows, 0.5, { blackouts }).windowId).toBe('w2')
+  })
+})
+
 describe('getMostSimilarWindow', () => {
   const existingWindows = [
     createWindow('w1', '2025-03-01', '2025-03-05'),